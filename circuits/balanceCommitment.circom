@@ -0,0 +1,59 @@
+pragma circom 2.0.0;
+
+/*
+ * Balance commitment for ZK proofs
+ *
+ * Binds the per-wallet balances a proof is built from to the wallet addresses,
+ * their networks and the block the balances were read at. The commitment is a
+ * public signal, so the server can recompute it from balances it fetched
+ * independently and reject proofs built from made-up balances.
+ */
+
+include "circomlib/circuits/poseidon.circom";
+include "bitify.circom";
+
+// Sums the wallet balances and commits to them
+template BalanceCommitment(n) {
+    signal input balances[n];
+    signal input addresses[n];
+    signal input networkIds[n];
+    signal input blockNumber;
+    signal input blockHashHi;
+    signal input blockHashLo;
+    signal input salt;
+
+    signal output total;
+    signal output commitment;
+
+    component balanceBits[n];
+    component leaves[n];
+    var sum = 0;
+
+    for (var i = 0; i < n; i++) {
+        // Keep balances to 128 bits so the sum cannot wrap around the field
+        balanceBits[i] = Num2Bits(128);
+        balanceBits[i].in <== balances[i];
+
+        leaves[i] = Poseidon(3);
+        leaves[i].inputs[0] <== addresses[i];
+        leaves[i].inputs[1] <== networkIds[i];
+        leaves[i].inputs[2] <== balances[i];
+
+        sum += balances[i];
+    }
+
+    total <== sum;
+
+    // Commit to every wallet leaf and the block snapshot; the salt hides the
+    // balances from anyone who only sees the public signals
+    component root = Poseidon(n + 4);
+    for (var i = 0; i < n; i++) {
+        root.inputs[i] <== leaves[i].out;
+    }
+    root.inputs[n] <== blockNumber;
+    root.inputs[n + 1] <== blockHashHi;
+    root.inputs[n + 2] <== blockHashLo;
+    root.inputs[n + 3] <== salt;
+
+    commitment <== root.out;
+}
@@ -0,0 +1,60 @@
+pragma circom 2.0.0;
+
+include "../comparators.circom";
+include "../bitify.circom";
+include "../balanceCommitment.circom";
+
+/*
+ * Threshold proof with balance commitment (circuit version v2.0.0)
+ *
+ * Proves that the sum of up to n wallet balances is at least the threshold.
+ * The balances are bound to their wallets and block snapshot through the
+ * commitment output, unlike v1 where the total balance was a free input.
+ *
+ * Public signals: [valid, commitment, threshold, blockNumber, blockHashHi, blockHashLo]
+ */
+template ThresholdVerifierV2(n) {
+    signal input balances[n];
+    signal input addresses[n];
+    signal input networkIds[n];
+    signal input salt;
+    signal input threshold;
+    signal input blockNumber;
+    signal input blockHashHi;
+    signal input blockHashLo;
+
+    signal output valid;
+    signal output commitment;
+
+    component balance = BalanceCommitment(n);
+    for (var i = 0; i < n; i++) {
+        balance.balances[i] <== balances[i];
+        balance.addresses[i] <== addresses[i];
+        balance.networkIds[i] <== networkIds[i];
+    }
+    balance.blockNumber <== blockNumber;
+    balance.blockHashHi <== blockHashHi;
+    balance.blockHashLo <== blockHashLo;
+    balance.salt <== salt;
+
+    commitment <== balance.commitment;
+
+    // Convert to bits for comparison
+    component totalBits = Num2Bits(252);
+    totalBits.in <== balance.total;
+
+    component thresholdBits = Num2Bits(252);
+    thresholdBits.in <== threshold;
+
+    // Check if total balance >= threshold
+    component gte = GreaterEqThan(252);
+    for (var i = 0; i < 252; i++) {
+        gte.a[i] <== totalBits.out[i];
+        gte.b[i] <== thresholdBits.out[i];
+    }
+
+    valid <== gte.out;
+    valid === 1;
+}
+
+component main {public [threshold, blockNumber, blockHashHi, blockHashLo]} = ThresholdVerifierV2(4);
@@ -0,0 +1,125 @@
+/**
+ * Two-Factor Authentication Middleware Tests
+ *
+ * Tests step-up for sensitive actions, including refusing requests when the
+ * 2FA requirement cannot be looked up.
+ */
+
+import { Request, Response, NextFunction } from 'express';
+import { requireStepUp, checkTwoFactorRequired } from '../../middleware/twoFactorAuth';
+import { isTwoFactorRequired, verifyStepUpToken } from '../../services/twoFactorService';
+
+jest.mock('../../services/twoFactorService', () => ({
+  isTwoFactorRequired: jest.fn(),
+  verifyStepUpToken: jest.fn()
+}));
+
+jest.mock('../../services/auditLogService', () => ({
+  auditLogService: {
+    log: jest.fn().mockResolvedValue(undefined)
+  }
+}));
+
+jest.mock('../../utils/logger', () => ({
+  __esModule: true,
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+const mockIsTwoFactorRequired = isTwoFactorRequired as jest.Mock;
+const mockVerifyStepUpToken = verifyStepUpToken as jest.Mock;
+
+const createRequest = (headers: Record<string, string> = {}) => ({
+  user: { id: 'user-1' },
+  headers,
+  path: '/proofs/proof-1/revoke',
+  method: 'POST',
+  ip: '127.0.0.1'
+}) as unknown as Request;
+
+const createResponse = () => {
+  const res: any = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res as Response & { status: jest.Mock; json: jest.Mock };
+};
+
+/**
+ * Run a middleware chain until a handler responds or the chain ends
+ */
+const runChain = async (chain: Array<(req: Request, res: Response, next: NextFunction) => any>, req: Request, res: Response) => {
+  let passed = false;
+
+  const run = async (index: number): Promise<void> => {
+    if (index === chain.length) {
+      passed = true;
+      return;
+    }
+    let nextCalled = false;
+    await chain[index](req, res, () => {
+      nextCalled = true;
+    });
+    if (nextCalled) {
+      await run(index + 1);
+    }
+  };
+
+  await run(0);
+  return passed;
+};
+
+describe('twoFactorAuth middleware', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('requireStepUp', () => {
+    it('lets users without 2FA through', async () => {
+      mockIsTwoFactorRequired.mockResolvedValue(false);
+      const res = createResponse();
+
+      expect(await runChain(requireStepUp, createRequest(), res)).toBe(true);
+      expect(res.status).not.toHaveBeenCalled();
+    });
+
+    it('asks users with 2FA for a step-up token', async () => {
+      mockIsTwoFactorRequired.mockResolvedValue(true);
+      const res = createResponse();
+
+      expect(await runChain(requireStepUp, createRequest(), res)).toBe(false);
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ requiresTwoFactor: true }));
+    });
+
+    it('accepts a valid step-up token', async () => {
+      mockIsTwoFactorRequired.mockResolvedValue(true);
+      mockVerifyStepUpToken.mockReturnValue(true);
+      const res = createResponse();
+
+      expect(await runChain(requireStepUp, createRequest({ 'x-step-up-token': 'token' }), res)).toBe(true);
+      expect(mockVerifyStepUpToken).toHaveBeenCalledWith('token', 'user-1');
+    });
+
+    it('refuses the action when the 2FA requirement cannot be looked up', async () => {
+      mockIsTwoFactorRequired.mockRejectedValue(new Error('connection terminated'));
+      const res = createResponse();
+
+      expect(await runChain(requireStepUp, createRequest(), res)).toBe(false);
+      expect(res.status).toHaveBeenCalledWith(503);
+    });
+  });
+
+  describe('checkTwoFactorRequired', () => {
+    it('does not lock users out when the 2FA requirement cannot be looked up', async () => {
+      mockIsTwoFactorRequired.mockRejectedValue(new Error('connection terminated'));
+      const req = createRequest();
+
+      expect(await runChain([checkTwoFactorRequired], req, createResponse())).toBe(true);
+      expect(req.twoFactorAuth).toEqual({ required: false, verified: false });
+    });
+  });
+});
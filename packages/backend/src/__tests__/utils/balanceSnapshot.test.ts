@@ -0,0 +1,49 @@
+/**
+ * Tests for balance snapshot validation
+ */
+
+import { parseBalanceSnapshot } from '../../utils/balanceSnapshot';
+
+const NOW = new Date(Date.UTC(2025, 9, 19, 12, 0, 0));
+const QUARTER_END = Date.UTC(2025, 8, 30, 23, 59, 59) / 1000;
+
+describe('balanceSnapshot', () => {
+  it('should return null when no snapshot is sent', () => {
+    expect(parseBalanceSnapshot(undefined, NOW)).toBeNull();
+    expect(parseBalanceSnapshot(null, NOW)).toBeNull();
+  });
+
+  it('should keep only the known fields', () => {
+    const snapshot = parseBalanceSnapshot({
+      timestamp: QUARTER_END,
+      blocks: [{ chainId: 1, blockNumber: 23470000, timestamp: QUARTER_END - 5, balance: '1' }],
+      extra: true
+    }, NOW);
+
+    expect(snapshot).toEqual({
+      timestamp: QUARTER_END,
+      blocks: [{ chainId: 1, blockNumber: 23470000, timestamp: QUARTER_END - 5 }]
+    });
+  });
+
+  it('should reject snapshots in the future', () => {
+    expect(() => parseBalanceSnapshot({ timestamp: NOW.getTime() / 1000 + 60, blocks: [] }, NOW))
+      .toThrow('Snapshot timestamp cannot be in the future');
+  });
+
+  it('should reject malformed snapshots', () => {
+    expect(() => parseBalanceSnapshot({ timestamp: '2025-09-30', blocks: [] }, NOW))
+      .toThrow('Snapshot timestamp must be a Unix time in seconds');
+    expect(() => parseBalanceSnapshot({ timestamp: QUARTER_END }, NOW))
+      .toThrow('Snapshot blocks must be an array');
+    expect(() => parseBalanceSnapshot({ timestamp: QUARTER_END, blocks: [{ chainId: 1 }] }, NOW))
+      .toThrow('Snapshot blocks need a chain ID, block number and timestamp');
+  });
+
+  it('should reject blocks after the snapshot date', () => {
+    expect(() => parseBalanceSnapshot({
+      timestamp: QUARTER_END,
+      blocks: [{ chainId: 137, blockNumber: 1, timestamp: QUARTER_END + 1 }]
+    }, NOW)).toThrow('Snapshot block on chain 137 is after the snapshot date');
+  });
+});
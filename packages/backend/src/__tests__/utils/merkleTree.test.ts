@@ -0,0 +1,77 @@
+/**
+ * Tests for Merkle tree utilities
+ */
+
+import { ethers } from 'ethers';
+import {
+  toTokenId,
+  toBatchId,
+  hashLeaf,
+  buildMerkleTree,
+  getMerkleProof,
+  verifyMerkleProof
+} from '../../utils/merkleTree';
+
+describe('merkleTree', () => {
+  const tokenIds = ['pof-1', 'pof-2', 'pof-3', 'pof-4', 'pof-5'].map(toTokenId);
+
+  describe('toTokenId and toBatchId', () => {
+    it('should derive bytes32 identifiers', () => {
+      expect(toTokenId('pof-1')).toBe(ethers.utils.id('pof-1'));
+      expect(toBatchId('batch-1')).toMatch(/^0x[0-9a-f]{64}$/);
+    });
+  });
+
+  describe('buildMerkleTree', () => {
+    it('should use the leaf hash as the root of a single-leaf tree', () => {
+      const tree = buildMerkleTree([tokenIds[0]]);
+
+      expect(tree.root).toBe(hashLeaf(tokenIds[0]));
+      expect(getMerkleProof(tree, 0)).toEqual([]);
+    });
+
+    it('should hash pairs in sorted order', () => {
+      const [a, b] = [hashLeaf(tokenIds[0]), hashLeaf(tokenIds[1])];
+      const [first, second] = a < b ? [a, b] : [b, a];
+
+      const tree = buildMerkleTree(tokenIds.slice(0, 2));
+
+      expect(tree.root).toBe(ethers.utils.keccak256(ethers.utils.concat([first, second])));
+      expect(buildMerkleTree([tokenIds[1], tokenIds[0]]).root).toBe(tree.root);
+    });
+
+    it('should reject an empty leaf set', () => {
+      expect(() => buildMerkleTree([])).toThrow('Cannot build a Merkle tree without leaves');
+    });
+  });
+
+  describe('getMerkleProof and verifyMerkleProof', () => {
+    it('should prove every leaf of an odd-sized tree', () => {
+      const tree = buildMerkleTree(tokenIds);
+
+      tokenIds.forEach((tokenId, index) => {
+        expect(verifyMerkleProof(tokenId, getMerkleProof(tree, index), tree.root)).toBe(true);
+      });
+    });
+
+    it('should reject a token that is not in the tree', () => {
+      const tree = buildMerkleTree(tokenIds);
+
+      expect(verifyMerkleProof(toTokenId('pof-6'), getMerkleProof(tree, 0), tree.root)).toBe(false);
+    });
+
+    it('should reject a tampered path', () => {
+      const tree = buildMerkleTree(tokenIds);
+      const proof = getMerkleProof(tree, 2);
+      proof[0] = ethers.utils.keccak256('0x00');
+
+      expect(verifyMerkleProof(tokenIds[2], proof, tree.root)).toBe(false);
+    });
+
+    it('should reject out-of-range leaf indexes', () => {
+      const tree = buildMerkleTree(tokenIds);
+
+      expect(() => getMerkleProof(tree, tokenIds.length)).toThrow('Leaf index out of range');
+    });
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Tests for the OpenAPI generator
+ */
+
+import { Router } from 'express';
+import { body, param, query } from 'express-validator';
+import { validate } from '../../middleware/validation';
+import { collectRoutes, generatePaths, toOpenApiPath } from '../../utils/openApiGenerator';
+
+const authenticate = (req: any, res: any, next: any) => next();
+const listItems = (req: any, res: any) => res.json({});
+const createItem = (req: any, res: any) => res.json({});
+const getItem = (req: any, res: any) => res.json({});
+
+function createApi() {
+  const items = Router();
+  items.use(authenticate);
+  items.get('/',
+    validate([
+      query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+      query('status').optional().isIn(['OPEN', 'CLOSED'])
+    ]),
+    listItems
+  );
+  items.post('/',
+    validate([
+      body('name').isString().isLength({ min: 1, max: 50 }).withMessage('Name is required'),
+      body('email').optional({ nullable: true }).isEmail(),
+      body('tags').optional().isArray({ max: 5 }),
+      body('tags.*').isString(),
+      body('settings.color').optional().matches(/^#[0-9a-f]{6}$/)
+    ]),
+    createItem
+  );
+  items.get('/:itemId', validate([param('itemId').isUUID()]), getItem);
+
+  const members = Router();
+  members.get('/', (req, res) => res.json({}));
+
+  const api = Router();
+  api.use('/items', items);
+  api.use('/groups/:groupId/members', validate([param('groupId').isUUID()]), members);
+  api.get('/status', (req, res) => res.json({}));
+
+  return api;
+}
+
+describe('openApiGenerator', () => {
+  describe('collectRoutes', () => {
+    it('should include mount paths and the middleware that applies to each route', () => {
+      const routes = collectRoutes(createApi());
+
+      expect(routes.map(route => `${route.method} ${route.path}`)).toEqual([
+        'get /items/',
+        'post /items/',
+        'get /items/:itemId',
+        'get /groups/:groupId/members/',
+        'get /status'
+      ]);
+      expect(routes[0].handlers).toContain(authenticate);
+      expect(routes[4].handlers).not.toContain(authenticate);
+    });
+
+    it('should convert Express paths', () => {
+      expect(toOpenApiPath('/items/:itemId/revoke')).toBe('/items/{itemId}/revoke');
+      expect(toOpenApiPath('/items/')).toBe('/items');
+      expect(toOpenApiPath('/')).toBe('/');
+    });
+  });
+
+  describe('generatePaths', () => {
+    const paths = generatePaths(createApi(), {
+      securitySchemes: new Map([[authenticate, 'bearerAuth']]),
+      errorSchema: { $ref: '#/components/schemas/Error' },
+      operations: {
+        'GET /items/{itemId}': {
+          summary: 'Get an item',
+          responses: { '200': { description: 'The item' } }
+        }
+      }
+    });
+
+    it('should document query parameters from validators', () => {
+      const operation = paths['/items'].get;
+
+      expect(operation.operationId).toBe('listItems');
+      expect(operation.summary).toBe('List items');
+      expect(operation.security).toEqual([{ bearerAuth: [] }]);
+      expect(operation.parameters).toEqual([
+        {
+          name: 'page',
+          in: 'query',
+          required: false,
+          description: 'Page must be a positive integer',
+          schema: { type: 'integer', minimum: 1 }
+        },
+        {
+          name: 'status',
+          in: 'query',
+          required: false,
+          schema: { enum: ['OPEN', 'CLOSED'] }
+        }
+      ]);
+      expect(operation.responses['401']).toBeDefined();
+    });
+
+    it('should document the request body from validators', () => {
+      const schema = paths['/items'].post.requestBody!.content['application/json'].schema;
+
+      expect(paths['/items'].post.requestBody!.required).toBe(true);
+      expect(schema.required).toEqual(['name']);
+      expect(schema.properties.name).toEqual({
+        type: 'string',
+        minLength: 1,
+        maxLength: 50,
+        description: 'Name is required'
+      });
+      expect(schema.properties.email).toEqual({ type: ['string', 'null'], format: 'email' });
+      expect(schema.properties.tags).toEqual({ type: 'array', items: { type: 'string' } });
+      expect(schema.properties.settings).toEqual({
+        type: 'object',
+        properties: { color: { type: 'string', pattern: '^#[0-9a-f]{6}$' } }
+      });
+    });
+
+    it('should document path parameters, including those of mount paths', () => {
+      expect(paths['/items/{itemId}'].get.parameters).toEqual([
+        { name: 'itemId', in: 'path', required: true, schema: { type: 'string', format: 'uuid' } }
+      ]);
+      expect(paths['/groups/{groupId}/members'].get.parameters).toEqual([
+        { name: 'groupId', in: 'path', required: true, schema: { type: 'string', format: 'uuid' } }
+      ]);
+    });
+
+    it('should merge operation details over the generated operation', () => {
+      const operation = paths['/items/{itemId}'].get;
+
+      expect(operation.summary).toBe('Get an item');
+      expect(operation.responses['200']).toEqual({ description: 'The item' });
+      expect(operation.responses['2XX']).toBeUndefined();
+      expect(operation.responses['400'].content!['application/json'].schema).toEqual({ $ref: '#/components/schemas/Error' });
+    });
+
+    it('should name anonymous handlers after their path', () => {
+      expect(paths['/status'].get.operationId).toBe('getStatus');
+      expect(paths['/status'].get.security).toBeUndefined();
+      expect(paths['/groups/{groupId}/members'].get.operationId).toBe('getGroupsGroupIdMembers');
+    });
+  });
+});
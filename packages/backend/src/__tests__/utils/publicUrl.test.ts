@@ -0,0 +1,69 @@
+/**
+ * Tests for public URL checks
+ */
+
+import { assertPublicUrl, isPublicAddress } from '../../utils/publicUrl';
+
+describe('publicUrl', () => {
+  describe('isPublicAddress', () => {
+    it('should accept public addresses', () => {
+      expect(isPublicAddress('93.184.216.34')).toBe(true);
+      expect(isPublicAddress('2606:2800:220:1:248:1893:25c8:1946')).toBe(true);
+    });
+
+    it('should reject loopback, private, link-local and metadata addresses', () => {
+      [
+        '127.0.0.1',
+        '0.0.0.0',
+        '10.1.2.3',
+        '172.16.0.1',
+        '192.168.1.1',
+        '169.254.169.254',
+        '100.100.100.200',
+        '::1',
+        '::',
+        'fe80::1',
+        'fd00:ec2::254',
+        '::ffff:127.0.0.1',
+        '::ffff:7f00:1'
+      ].forEach(address => expect(isPublicAddress(address)).toBe(false));
+    });
+
+    it('should reject values that are not IP addresses', () => {
+      expect(isPublicAddress('localhost')).toBe(false);
+    });
+  });
+
+  describe('assertPublicUrl', () => {
+    it('should check every address the host resolves to', async () => {
+      const resolve = jest.fn().mockResolvedValue(['93.184.216.34', '10.0.0.1']);
+
+      await expect(assertPublicUrl('https://hooks.example.com/path', resolve)).rejects.toMatchObject({
+        statusCode: 400,
+        code: 'URL_NOT_ALLOWED'
+      });
+      expect(resolve).toHaveBeenCalledWith('hooks.example.com');
+    });
+
+    it('should accept hosts that only resolve to public addresses', async () => {
+      const resolve = jest.fn().mockResolvedValue(['93.184.216.34']);
+
+      await expect(assertPublicUrl('https://hooks.example.com/path', resolve)).resolves.toBeUndefined();
+    });
+
+    it('should check IP literals without resolving them', async () => {
+      const resolve = jest.fn();
+
+      await expect(assertPublicUrl('http://[::1]:8080/', resolve)).rejects.toMatchObject({ code: 'URL_NOT_ALLOWED' });
+      expect(resolve).not.toHaveBeenCalled();
+    });
+
+    it('should reject hosts that cannot be resolved', async () => {
+      const resolve = jest.fn().mockRejectedValue(new Error('getaddrinfo ENOTFOUND'));
+
+      await expect(assertPublicUrl('https://missing.example.com/', resolve)).rejects.toThrow(
+        'Host missing.example.com could not be resolved'
+      );
+    });
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Tests for Sign-In With Ethereum message formatting and parsing
+ */
+
+import { formatSiweMessage, generateSiweNonce, parseSiweMessage, SiweMessageFields } from '../../utils/siwe';
+
+const ADDRESS = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2';
+
+const fields: SiweMessageFields = {
+  domain: 'app.proofoffunds.com',
+  address: ADDRESS,
+  statement: 'Sign in to Proof of Funds',
+  uri: 'https://app.proofoffunds.com',
+  version: '1',
+  chainId: 1,
+  nonce: 'a1b2c3d4e5f60718',
+  issuedAt: '2025-10-19T12:00:00.000Z',
+  expirationTime: '2025-10-19T12:10:00.000Z',
+  resources: ['https://app.proofoffunds.com/proofs', 'ipfs://bafybeiemxf5abjwjbikoz4mc3a3dla6ual3jsgpdr4cjr3oz3evfyavhwq']
+};
+
+describe('siwe', () => {
+  it('should format messages in the EIP-4361 layout', () => {
+    expect(formatSiweMessage(fields)).toBe([
+      'app.proofoffunds.com wants you to sign in with your Ethereum account:',
+      ADDRESS,
+      '',
+      'Sign in to Proof of Funds',
+      '',
+      'URI: https://app.proofoffunds.com',
+      'Version: 1',
+      'Chain ID: 1',
+      'Nonce: a1b2c3d4e5f60718',
+      'Issued At: 2025-10-19T12:00:00.000Z',
+      'Expiration Time: 2025-10-19T12:10:00.000Z',
+      'Resources:',
+      '- https://app.proofoffunds.com/proofs',
+      '- ipfs://bafybeiemxf5abjwjbikoz4mc3a3dla6ual3jsgpdr4cjr3oz3evfyavhwq'
+    ].join('\n'));
+  });
+
+  it('should checksum the address', () => {
+    expect(formatSiweMessage({ ...fields, address: ADDRESS.toLowerCase() }).split('\n')[1]).toBe(ADDRESS);
+  });
+
+  it('should parse the messages it formats', () => {
+    expect(parseSiweMessage(formatSiweMessage(fields))).toEqual(fields);
+
+    const minimal = { ...fields, statement: undefined, expirationTime: undefined, resources: undefined };
+    expect(parseSiweMessage(formatSiweMessage(minimal))).toEqual(minimal);
+  });
+
+  it('should parse optional fields written by wallets', () => {
+    const message = [
+      'app.proofoffunds.com wants you to sign in with your Ethereum account:',
+      ADDRESS,
+      '',
+      '',
+      'URI: https://app.proofoffunds.com/login',
+      'Version: 1',
+      'Chain ID: 137',
+      'Nonce: a1b2c3d4e5f60718',
+      'Issued At: 2025-10-19T14:00:00+02:00',
+      'Not Before: 2025-10-19T12:00:00Z',
+      'Request ID: login-1'
+    ].join('\n');
+
+    expect(parseSiweMessage(message)).toMatchObject({
+      statement: undefined,
+      uri: 'https://app.proofoffunds.com/login',
+      chainId: 137,
+      notBefore: '2025-10-19T12:00:00Z',
+      requestId: 'login-1'
+    });
+  });
+
+  it('should reject malformed messages', () => {
+    const message = formatSiweMessage(fields);
+
+    expect(() => parseSiweMessage('Sign this message to authenticate: pof-123'))
+      .toThrow('Invalid sign-in message: missing header');
+    expect(() => parseSiweMessage(message.replace(ADDRESS, ADDRESS.toLowerCase())))
+      .toThrow('address must be a checksummed Ethereum address');
+    expect(() => parseSiweMessage(message.replace('Nonce: a1b2c3d4e5f60718', 'Nonce: pof-1')))
+      .toThrow('nonce must be at least 8 alphanumeric characters');
+    expect(() => parseSiweMessage(message.replace('Version: 1', 'Version: 2')))
+      .toThrow('unsupported version');
+    expect(() => parseSiweMessage(message.replace('2025-10-19T12:10:00.000Z', 'tomorrow')))
+      .toThrow('invalid expirationTime');
+    expect(() => parseSiweMessage(`${message}\nPlease also transfer 10 ETH`))
+      .toThrow('unexpected content after the message fields');
+  });
+
+  it('should generate alphanumeric nonces', () => {
+    const nonce = generateSiweNonce();
+
+    expect(nonce).toMatch(/^[a-zA-Z0-9]{32}$/);
+    expect(generateSiweNonce()).not.toBe(nonce);
+  });
+});
@@ -0,0 +1,48 @@
+/**
+ * TOTP Utilities Tests
+ */
+import {
+  base32Decode,
+  base32Encode,
+  findTotpStep,
+  generateTotp,
+  generateTotpSecret,
+  getTimeStep
+} from '../../utils/totp';
+
+// RFC 6238 test secret "12345678901234567890" (SHA-1)
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('TOTP utilities', () => {
+  it('should round-trip base32', () => {
+    expect(RFC_SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(base32Decode('gezd gnbv gy3t qojq gezd gnbv gy3t qojq').toString()).toBe('12345678901234567890');
+    expect(() => base32Decode('GEZD1')).toThrow('Invalid base32 character');
+  });
+
+  it('should generate 160-bit secrets', () => {
+    const secret = generateTotpSecret();
+
+    expect(base32Decode(secret)).toHaveLength(20);
+    expect(generateTotpSecret()).not.toBe(secret);
+  });
+
+  it('should match the RFC 6238 test vectors', () => {
+    expect(generateTotp(RFC_SECRET, getTimeStep(59 * 1000))).toBe('287082');
+    expect(generateTotp(RFC_SECRET, getTimeStep(1111111109 * 1000))).toBe('081804');
+    expect(generateTotp(RFC_SECRET, getTimeStep(1234567890 * 1000))).toBe('005924');
+    expect(generateTotp(RFC_SECRET, getTimeStep(2000000000 * 1000))).toBe('279037');
+  });
+
+  it('should find the time step of a code within the window', () => {
+    const time = 1234567890 * 1000;
+    const step = getTimeStep(time);
+
+    expect(findTotpStep(RFC_SECRET, generateTotp(RFC_SECRET, step), 1, time)).toBe(step);
+    expect(findTotpStep(RFC_SECRET, generateTotp(RFC_SECRET, step - 1), 1, time)).toBe(step - 1);
+    expect(findTotpStep(RFC_SECRET, generateTotp(RFC_SECRET, step + 1), 1, time)).toBe(step + 1);
+    expect(findTotpStep(RFC_SECRET, generateTotp(RFC_SECRET, step - 2), 1, time)).toBeNull();
+    expect(findTotpStep(RFC_SECRET, '12345', 1, time)).toBeNull();
+    expect(findTotpStep(RFC_SECRET, 'abcdef', 1, time)).toBeNull();
+  });
+});
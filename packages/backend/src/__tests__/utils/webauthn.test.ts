@@ -0,0 +1,148 @@
+/**
+ * WebAuthn Utilities Tests
+ */
+import {
+  COSE_ALG_EDDSA,
+  COSE_ALG_ES256,
+  WebAuthnError,
+  decodeCbor,
+  generateChallenge,
+  getResponseChallenge,
+  verifyAuthenticationResponse,
+  verifyRegistrationResponse
+} from '../../utils/webauthn';
+import { SoftwareAuthenticator, encodeCbor } from '../../../test/software-authenticator';
+
+const ORIGIN = 'http://localhost:3000';
+const RP_ID = 'localhost';
+
+const expectedFor = (challenge: string) => ({
+  challenge,
+  origins: [ORIGIN],
+  rpId: RP_ID,
+  requireUserVerification: true
+});
+
+const registrationOptions = (challenge: string) => ({
+  challenge,
+  user: { id: Buffer.from('user-1').toString('base64url') }
+});
+
+describe('WebAuthn utilities', () => {
+  it('should decode CBOR items', () => {
+    const encoded = encodeCbor(new Map<any, any>([
+      [1, 2],
+      [-7, 'text'],
+      ['bytes', Buffer.from([1, 2, 3])],
+      ['list', [1, 500, 70000]]
+    ]));
+    const { value, offset } = decodeCbor(encoded);
+
+    expect(offset).toBe(encoded.length);
+    expect(value.get(1)).toBe(2);
+    expect(value.get(-7)).toBe('text');
+    expect(value.get('bytes')).toEqual(Buffer.from([1, 2, 3]));
+    expect(value.get('list')).toEqual([1, 500, 70000]);
+    expect(decodeCbor(Buffer.from([0xf5])).value).toBe(true);
+    expect(() => decodeCbor(Buffer.from([0x43, 1]))).toThrow(WebAuthnError);
+  });
+
+  it('should read the challenge of a response', () => {
+    const challenge = generateChallenge();
+    const clientData = Buffer.from(JSON.stringify({ challenge })).toString('base64url');
+
+    expect(Buffer.from(challenge, 'base64url')).toHaveLength(32);
+    expect(getResponseChallenge(clientData)).toBe(challenge);
+    expect(() => getResponseChallenge('not-json')).toThrow('Invalid client data');
+  });
+
+  it.each([
+    ['ES256', COSE_ALG_ES256],
+    ['EdDSA', COSE_ALG_EDDSA]
+  ] as const)('should register and authenticate with %s credentials', (_name, algorithm) => {
+    const authenticator = new SoftwareAuthenticator();
+    const registrationChallenge = generateChallenge();
+    const { response } = authenticator.createCredential(registrationOptions(registrationChallenge), algorithm);
+
+    const credential = verifyRegistrationResponse(response, expectedFor(registrationChallenge));
+
+    expect(credential).toMatchObject({
+      credentialId: response.rawId,
+      algorithm,
+      signCount: 1,
+      transports: ['internal', 'hybrid'],
+      backupEligible: false,
+      backedUp: false
+    });
+    expect(credential.aaguid).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/);
+
+    const challenge = generateChallenge();
+    const assertion = authenticator.getAssertion({ challenge });
+
+    expect(verifyAuthenticationResponse(assertion, expectedFor(challenge), credential)).toEqual({
+      signCount: 2,
+      backedUp: false
+    });
+  });
+
+  it('should reject registrations for another challenge, origin or relying party', () => {
+    const challenge = generateChallenge();
+    const { response } = new SoftwareAuthenticator().createCredential(registrationOptions(challenge));
+
+    expect(() => verifyRegistrationResponse(response, expectedFor(generateChallenge())))
+      .toThrow('Challenge mismatch');
+    expect(() => verifyRegistrationResponse(response, { ...expectedFor(challenge), origins: ['https://example.com'] }))
+      .toThrow('Origin mismatch');
+    expect(() => verifyRegistrationResponse(response, { ...expectedFor(challenge), rpId: 'example.com' }))
+      .toThrow('Relying party ID mismatch');
+  });
+
+  it('should require user verification', () => {
+    const challenge = generateChallenge();
+    const { response } = new SoftwareAuthenticator({ userVerified: false })
+      .createCredential(registrationOptions(challenge));
+
+    expect(() => verifyRegistrationResponse(response, expectedFor(challenge)))
+      .toThrow('User verification is required');
+  });
+
+  it('should reject tampered signatures and counters that do not increase', () => {
+    const authenticator = new SoftwareAuthenticator();
+    const registrationChallenge = generateChallenge();
+    const { response } = authenticator.createCredential(registrationOptions(registrationChallenge));
+    const credential = verifyRegistrationResponse(response, expectedFor(registrationChallenge));
+
+    const challenge = generateChallenge();
+    const assertion = authenticator.getAssertion({ challenge });
+    const tampered = {
+      ...assertion,
+      response: {
+        ...assertion.response,
+        clientDataJSON: Buffer.from(JSON.stringify({
+          type: 'webauthn.get',
+          challenge,
+          origin: ORIGIN,
+          crossOrigin: false,
+          extra: 1
+        })).toString('base64url')
+      }
+    };
+
+    expect(() => verifyAuthenticationResponse(tampered, expectedFor(challenge), credential))
+      .toThrow('Invalid signature');
+    expect(() => verifyAuthenticationResponse(assertion, expectedFor(challenge), { ...credential, signCount: 5 }))
+      .toThrow('Signature counter did not increase');
+  });
+
+  it('should accept authenticators without counters', () => {
+    const authenticator = new SoftwareAuthenticator({ counterStep: 0 });
+    const registrationChallenge = generateChallenge();
+    const { response } = authenticator.createCredential(registrationOptions(registrationChallenge));
+    const credential = verifyRegistrationResponse(response, expectedFor(registrationChallenge));
+
+    const challenge = generateChallenge();
+    const result = verifyAuthenticationResponse(authenticator.getAssertion({ challenge }), expectedFor(challenge), credential);
+
+    expect(result.signCount).toBe(0);
+  });
+});
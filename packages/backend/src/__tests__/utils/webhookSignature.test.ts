@@ -0,0 +1,61 @@
+/**
+ * Tests for webhook payload signing
+ */
+
+import { signWebhookPayload, verifyWebhookPayload } from '../../utils/webhookSignature';
+
+const SECRET = 'whsec_test';
+const NOW = Date.UTC(2025, 9, 19, 12, 0, 0);
+
+const event = {
+  id: 'evt_1',
+  type: 'proof.verified',
+  data: { referenceId: 'ref-1', isValid: true }
+};
+
+describe('webhookSignature', () => {
+  it('should add a signed _security block', () => {
+    const signed = signWebhookPayload(event, SECRET, NOW);
+
+    expect(signed.id).toBe('evt_1');
+    expect(signed._security).toEqual({
+      timestamp: NOW,
+      expires: null,
+      algorithm: 'sha256',
+      version: '1.0',
+      signature: expect.stringMatching(/^sha256:[0-9a-f]{64}$/)
+    });
+  });
+
+  it('should verify a payload after a JSON round trip', () => {
+    const body = JSON.stringify(signWebhookPayload(event, SECRET, NOW));
+
+    expect(verifyWebhookPayload(JSON.parse(body), SECRET, NOW + 1000)).toEqual({ valid: true });
+  });
+
+  it('should reject altered payloads and other secrets', () => {
+    const signed = signWebhookPayload(event, SECRET, NOW);
+
+    expect(verifyWebhookPayload({ ...signed, data: { ...signed.data, isValid: false } }, SECRET, NOW))
+      .toEqual({ valid: false, reason: 'INVALID_SIGNATURE' });
+    expect(verifyWebhookPayload(signed, 'whsec_other', NOW))
+      .toEqual({ valid: false, reason: 'INVALID_SIGNATURE' });
+    expect(verifyWebhookPayload({ ...signed, _security: { ...signed._security, timestamp: NOW + 1 } }, SECRET, NOW))
+      .toEqual({ valid: false, reason: 'INVALID_SIGNATURE' });
+  });
+
+  it('should reject unsigned payloads', () => {
+    const signed = signWebhookPayload(event, SECRET, NOW);
+
+    expect(verifyWebhookPayload(event, SECRET, NOW)).toEqual({ valid: false, reason: 'MISSING_SECURITY_METADATA' });
+    expect(verifyWebhookPayload({ ...signed, _security: { ...signed._security, signature: undefined } }, SECRET, NOW))
+      .toEqual({ valid: false, reason: 'MISSING_SIGNATURE' });
+  });
+
+  it('should reject stale and future timestamps', () => {
+    const signed = signWebhookPayload(event, SECRET, NOW);
+
+    expect(verifyWebhookPayload(signed, SECRET, NOW + 16 * 60 * 1000)).toEqual({ valid: false, reason: 'STALE_TIMESTAMP' });
+    expect(verifyWebhookPayload(signed, SECRET, NOW - 2 * 60 * 1000)).toEqual({ valid: false, reason: 'FUTURE_TIMESTAMP' });
+  });
+});
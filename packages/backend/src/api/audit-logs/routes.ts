@@ -10,6 +10,7 @@ import {
   exportAuditLogs 
 } from './controller';
 import { authenticate, checkPermissions } from '../../middleware/auth';
+import { requireStepUp } from '../../middleware/twoFactorAuth';
 import { authAuditMiddleware } from '../../middleware/auditMiddleware';
 
 // Create router
@@ -31,11 +32,12 @@ router.get(
   getAuditLogById
 );
 
-// POST /api/audit-logs/export - Export audit logs
+// POST /api/audit-logs/export - Export audit logs; users with 2FA enabled must step up first
 router.post(
   '/export',
   authenticate,
   checkPermissions(['audit.export']),
+  requireStepUp,
   exportAuditLogs
 );
 
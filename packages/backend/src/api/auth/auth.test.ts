@@ -5,10 +5,20 @@ import { createTestServer, authenticatedRequest, publicRequest, expectSuccess, e
 import { createUser } from '@proof-of-funds/db/test/seed-test-data';
 import { v4 as uuidv4 } from 'uuid';
 
-// Mock crypto service
-jest.mock('../../utils/crypto', () => ({
-  verifySignature: jest.fn().mockResolvedValue(true)
-}));
+// Mock signature verification of the SIWE service
+jest.mock('../../services/siweService', () => {
+  const actual = jest.requireActual('../../services/siweService');
+  actual.siweService.verifyLogin = jest.fn().mockResolvedValue({
+    success: true,
+    fields: {
+      address: '0x1234567890123456789012345678901234567890',
+      chainId: 1,
+      nonce: 'testnonce1'
+    },
+    method: 'eoa'
+  });
+  return actual;
+});
 
 describe('Authentication API', () => {
   let app: any;
@@ -25,7 +35,9 @@ describe('Authentication API', () => {
       
       expectSuccess(response, 200);
       expect(response.body.nonce).toBeDefined();
-      expect(response.body.message).toContain(response.body.nonce);
+      expect(response.body.message).toContain(`Nonce: ${response.body.nonce}`);
+      expect(response.body.message).toContain('Chain ID: 1');
+      expect(response.body.expirationTime).toBeDefined();
     });
     
     it('should return 400 when address is missing', async () => {
@@ -47,9 +59,8 @@ describe('Authentication API', () => {
       const response = await publicRequest(app)
         .post('/api/v1/auth/authenticate')
         .send({
-          address: '0x1234567890123456789012345678901234567890',
-          signature: '0xsignature',
-          nonce: 'test-nonce'
+          message: 'signed sign-in message',
+          signature: '0x1234'
         });
       
       expectSuccess(response, 200);
@@ -64,7 +75,7 @@ describe('Authentication API', () => {
       const response = await publicRequest(app)
         .post('/api/v1/auth/authenticate')
         .send({
-          address: '0x1234567890123456789012345678901234567890'
+          signature: '0x1234'
         });
       
       expectError(response, 400, 'MISSING_PARAMS');
@@ -1,7 +1,8 @@
 /**
  * Authentication Controller
  * 
- * Handles user authentication via wallet signatures
+ * Handles user authentication via Sign-In With Ethereum (EIP-4361) messages
+ * signed by EOAs or smart-contract wallets
  */
 import { Request, Response, NextFunction } from 'express';
 import { prisma, transaction } from '@proof-of-funds/db';
@@ -10,24 +11,23 @@ import { v4 as uuidv4 } from 'uuid';
 import config from '../../config';
 import logger from '../../utils/logger';
 import { ApiError } from '../../middleware/errorHandler';
-import { verifySignature } from '../../utils/crypto';
-import { generateNonce } from '../../utils/auth';
 import { auditLogService } from '../../services/auditLogService';
+import { siweService } from '../../services/siweService';
+import { walletAuthLogService, AuthResult, AuthFailureReason } from '../../services/walletAuthLogService';
 import { AuditEventType, ActorType, AuditAction, AuditStatus, AuditSeverity } from '../../models/auditLog';
 
 /**
- * Generate a nonce for wallet signature authentication
+ * Issue a Sign-In With Ethereum (EIP-4361) message for a wallet
  */
 export const getNonce = async (req: Request, res: Response, next: NextFunction) => {
   try {
-    const { address } = req.body;
+    const { address, chainId = 1, resources } = req.body;
     
     if (!address) {
       throw new ApiError(400, 'Wallet address is required', 'MISSING_ADDRESS');
     }
 
-    // Generate a nonce
-    const nonce = generateNonce(address);
+    const challenge = await siweService.createChallenge(address, Number(chainId), resources);
     
     // Log nonce generation in both systems for transition period
     // 1. General audit log (existing)
@@ -38,6 +38,7 @@ export const getNonce = async (req: Request, res: Response, next: NextFunction)
       status: AuditStatus.PENDING,
       details: {
         address,
+        chainId: Number(chainId),
         action: 'nonce_generation'
       },
       ipAddress: req.ip,
@@ -46,49 +47,44 @@ export const getNonce = async (req: Request, res: Response, next: NextFunction)
     });
     
     // 2. New dedicated wallet auth log
-    const { walletAuthLogService } = require('../../services/walletAuthLogService');
-    const { AuthResult } = require('../../services/walletAuthLogService');
-    
     await walletAuthLogService.logAuthAttempt({
       walletAddress: address,
-      nonce: nonce,
+      chainId: Number(chainId),
+      nonce: challenge.nonce,
       ipAddress: req.ip,
       userAgent: req.headers['user-agent'],
       authResult: AuthResult.PENDING,
       metadata: {
-        action: 'nonce_generation'
+        action: 'nonce_generation',
+        expirationTime: challenge.expirationTime
       }
     });
     
-    // Return the nonce
-    res.status(200).json({
-      nonce,
-      message: `Sign this message to authenticate: ${nonce}`
-    });
+    // Return the message for the wallet to sign
+    res.status(200).json(challenge);
   } catch (error) {
     next(error);
   }
 };
 
 /**
- * Authenticate user based on wallet signature
+ * Authenticate user with a signed Sign-In With Ethereum message
  */
 export const authenticate = async (req: Request, res: Response, next: NextFunction) => {
   try {
-    const { address, signature, nonce } = req.body;
+    const { message, signature } = req.body;
     
-    if (!address || !signature || !nonce) {
-      throw new ApiError(400, 'Address, signature, and nonce are required', 'MISSING_PARAMS');
+    if (!message || !signature) {
+      throw new ApiError(400, 'Message and signature are required', 'MISSING_PARAMS');
     }
 
-    // Import wallet auth logging service
-    const { walletAuthLogService, AuthResult, AuthFailureReason } = require('../../services/walletAuthLogService');
-
-    // Verify the signature
-    const message = `Sign this message to authenticate: ${nonce}`;
-    const isValid = await verifySignature(message, signature, address);
+    // Verify the message, its nonce and the signature
+    const verification = await siweService.verifyLogin(message, signature);
     
-    if (!isValid) {
+    if (!verification.success) {
+      const { fields, reason, error } = verification;
+      const walletAddress = fields?.address || req.body.address || 'unknown';
+
       // Log failed authentication attempt in both systems
       // 1. General audit log (existing)
       await auditLogService.log({
@@ -97,8 +93,8 @@ export const authenticate = async (req: Request, res: Response, next: NextFuncti
         action: AuditAction.LOGIN,
         status: AuditStatus.FAILURE,
         details: {
-          address,
-          reason: 'Invalid signature'
+          address: walletAddress,
+          reason: error.message
         },
         ipAddress: req.ip,
         userAgent: req.headers['user-agent'],
@@ -107,21 +103,27 @@ export const authenticate = async (req: Request, res: Response, next: NextFuncti
       
       // 2. New dedicated wallet auth log
       await walletAuthLogService.logAuthAttempt({
-        walletAddress: address,
-        nonce: nonce,
+        walletAddress,
+        chainId: fields?.chainId,
+        nonce: fields?.nonce || '',
         signature: signature,
         ipAddress: req.ip,
         userAgent: req.headers['user-agent'],
         authResult: AuthResult.FAILURE,
-        failureReason: AuthFailureReason.INVALID_SIGNATURE,
+        failureReason: reason,
         metadata: {
-          message: message
+          domain: fields?.domain,
+          uri: fields?.uri
         }
       });
       
-      throw new ApiError(401, 'Invalid signature', 'INVALID_SIGNATURE');
+      throw error;
     }
 
+    const { fields, method } = verification;
+    const address = fields.address;
+    const nonce = fields.nonce;
+
     // Find or create user
     const user = await transaction(async (tx) => {
       let user = await tx.user.findUnique({
@@ -191,6 +193,7 @@ export const authenticate = async (req: Request, res: Response, next: NextFuncti
       await walletAuthLogService.logAuthAttempt({
         userId: user.id,
         walletAddress: address,
+        chainId: fields.chainId,
         nonce: nonce,
         signature: signature,
         ipAddress: req.ip,
@@ -236,7 +239,8 @@ export const authenticate = async (req: Request, res: Response, next: NextFuncti
       status: AuditStatus.SUCCESS,
       details: {
         address: user.address,
-        isNewUser: user.lastLoginAt === null
+        isNewUser: user.lastLoginAt === null,
+        signatureMethod: method
       },
       ipAddress: req.ip,
       userAgent: req.headers['user-agent'],
@@ -247,6 +251,7 @@ export const authenticate = async (req: Request, res: Response, next: NextFuncti
     await walletAuthLogService.logAuthAttempt({
       userId: user.id,
       walletAddress: address,
+      chainId: fields.chainId,
       nonce: nonce,
       signature: signature,
       ipAddress: req.ip,
@@ -254,7 +259,8 @@ export const authenticate = async (req: Request, res: Response, next: NextFuncti
       authResult: AuthResult.SUCCESS,
       metadata: {
         isNewUser: user.lastLoginAt === null,
-        permissions: user.permissions
+        permissions: user.permissions,
+        signatureMethod: method
       }
     });
 
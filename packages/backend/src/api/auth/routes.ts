@@ -14,35 +14,44 @@ const router = Router();
 router.use(authRateLimit);
 
 /**
- * GET /api/v1/auth/nonce
- * @description Get a nonce for wallet signature authentication
+ * POST /api/v1/auth/nonce
+ * @description Get a Sign-In With Ethereum message for the wallet to sign
  */
 router.post('/nonce',
   validate([
     body('address')
       .isString()
       .isLength({ min: 42, max: 42 })
-      .withMessage('Valid Ethereum address is required')
+      .withMessage('Valid Ethereum address is required'),
+    body('chainId')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Chain ID must be a positive integer'),
+    body('resources')
+      .optional()
+      .isArray({ max: 10 })
+      .withMessage('Resources must be a list of URIs'),
+    body('resources.*')
+      .matches(/^[a-z][a-z0-9+.-]*:\S+$/i)
+      .withMessage('Resources must be a list of URIs')
   ]),
   authController.getNonce
 );
 
 /**
  * POST /api/v1/auth/authenticate
- * @description Authenticate user with wallet signature
+ * @description Authenticate user with a signed Sign-In With Ethereum message
  */
 router.post('/authenticate',
   validate([
-    body('address')
+    body('message')
       .isString()
-      .isLength({ min: 42, max: 42 })
-      .withMessage('Valid Ethereum address is required'),
+      .isLength({ max: 4096 })
+      .withMessage('Signed sign-in message is required'),
     body('signature')
       .isString()
-      .withMessage('Valid signature is required'),
-    body('nonce')
-      .isString()
-      .withMessage('Valid nonce is required')
+      .matches(/^0x[0-9a-fA-F]*$/)
+      .withMessage('Valid signature is required')
   ]),
   authAuditMiddleware.login,
   authController.authenticate
@@ -0,0 +1,156 @@
+/**
+ * Sanctions Lists API
+ *
+ * Provides endpoints for importing and activating sanctions list versions
+ * and managing the sanctions allow-list, for use in the admin dashboard.
+ */
+
+import { Request, Response, NextFunction } from 'express';
+import { sanctionsScreeningService } from '../../services/sanctionsScreeningService';
+import logger from '../../utils/logger';
+import { ApiError } from '../../middleware/errorHandler';
+
+/**
+ * Get the versions of the imported sanctions lists
+ */
+export const getSanctionsLists = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const lists = await sanctionsScreeningService.getLists(req.query.name as string | undefined);
+
+    res.status(200).json({ lists });
+  } catch (error) {
+    logger.error('Error fetching sanctions lists', {
+      error: error instanceof Error ? error.message : String(error)
+    });
+
+    next(error);
+  }
+};
+
+/**
+ * Import a sanctions list document as the next version of a list
+ */
+export const importSanctionsList = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const { name, format, content, source, activate } = req.body;
+
+    if (typeof content !== 'string' || !content) {
+      throw new ApiError(400, 'List content is required', 'MISSING_CONTENT');
+    }
+
+    const result = await sanctionsScreeningService.importList(
+      { name, format, content, source, activate },
+      req.user!.id
+    );
+
+    res.status(result.unchanged ? 200 : 201).json(result);
+  } catch (error) {
+    logger.error('Error importing sanctions list', {
+      error: error instanceof Error ? error.message : String(error)
+    });
+
+    next(error);
+  }
+};
+
+/**
+ * Download and import the OFAC SDN list now
+ */
+export const refreshOfacList = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const result = await sanctionsScreeningService.refreshOfacList();
+
+    res.status(200).json(result);
+  } catch (error) {
+    logger.error('Error refreshing OFAC SDN list', {
+      error: error instanceof Error ? error.message : String(error)
+    });
+
+    next(error);
+  }
+};
+
+/**
+ * Make a list version the active version of its list
+ */
+export const activateSanctionsList = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const list = await sanctionsScreeningService.activateList(req.params.listId, req.user!.id);
+
+    res.status(200).json({ list });
+  } catch (error) {
+    logger.error('Error activating sanctions list', {
+      error: error instanceof Error ? error.message : String(error)
+    });
+
+    next(error);
+  }
+};
+
+/**
+ * Get allow-list entries, optionally for one address or including revoked entries
+ */
+export const getSanctionsAllowlist = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const entries = await sanctionsScreeningService.getAllowlist({
+      address: req.query.address as string | undefined,
+      includeRevoked: req.query.includeRevoked === 'true'
+    });
+
+    res.status(200).json({ entries });
+  } catch (error) {
+    logger.error('Error fetching sanctions allow-list', {
+      error: error instanceof Error ? error.message : String(error)
+    });
+
+    next(error);
+  }
+};
+
+/**
+ * Clear an address despite sanctions matches
+ */
+export const addSanctionsAllowlistEntry = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const { address, reason, expiresAt } = req.body;
+    const expiry = expiresAt ? new Date(expiresAt) : undefined;
+
+    if (expiry && isNaN(expiry.getTime())) {
+      throw new ApiError(400, 'Invalid expiry date', 'INVALID_EXPIRY');
+    }
+
+    const entry = await sanctionsScreeningService.addAllowlistEntry(
+      { address, reason, expiresAt: expiry },
+      req.user!.id
+    );
+
+    res.status(201).json({ entry });
+  } catch (error) {
+    logger.error('Error adding sanctions allow-list entry', {
+      error: error instanceof Error ? error.message : String(error)
+    });
+
+    next(error);
+  }
+};
+
+/**
+ * Revoke an allow-list entry
+ */
+export const removeSanctionsAllowlistEntry = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const entry = await sanctionsScreeningService.removeAllowlistEntry(
+      req.params.entryId,
+      req.user!.id,
+      req.body?.reason
+    );
+
+    res.status(200).json({ entry });
+  } catch (error) {
+    logger.error('Error removing sanctions allow-list entry', {
+      error: error instanceof Error ? error.message : String(error)
+    });
+
+    next(error);
+  }
+};
@@ -0,0 +1,61 @@
+/**
+ * Scheduled Jobs API
+ *
+ * Provides endpoints for the scheduler's leader and job history,
+ * for use in the admin dashboard.
+ */
+
+import { Request, Response, NextFunction } from 'express';
+import { schedulerService, ScheduledJobRunStatus } from '../../services/schedulerService';
+import logger from '../../utils/logger';
+import { ApiError } from '../../middleware/errorHandler';
+
+const RUN_STATUSES: ScheduledJobRunStatus[] = ['RUNNING', 'SUCCEEDED', 'FAILED'];
+
+/**
+ * Get the scheduler leader and the last run of each job
+ */
+export const getSchedulerStatus = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const status = await schedulerService.getStatus();
+
+    res.status(200).json(status);
+  } catch (error) {
+    logger.error('Error fetching scheduler status', {
+      error: error instanceof Error ? error.message : String(error)
+    });
+
+    next(error);
+  }
+};
+
+/**
+ * Get recent job runs, optionally for one job or status
+ */
+export const getSchedulerRuns = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const job = req.query.job as string | undefined;
+    const status = req.query.status as ScheduledJobRunStatus | undefined;
+
+    if (job && !schedulerService.isJob(job)) {
+      throw new ApiError(400, `Unknown scheduled job: ${job}`, 'INVALID_JOB');
+    }
+
+    if (status && !RUN_STATUSES.includes(status)) {
+      throw new ApiError(400, `Invalid run status: ${status}`, 'INVALID_STATUS');
+    }
+
+    // Parse limit from query params (default to 50, capped by the service)
+    const limit = parseInt(req.query.limit as string) || 50;
+
+    const runs = await schedulerService.getRuns({ job, status, limit });
+
+    res.status(200).json({ runs });
+  } catch (error) {
+    logger.error('Error fetching scheduler runs', {
+      error: error instanceof Error ? error.message : String(error)
+    });
+
+    next(error);
+  }
+};
@@ -0,0 +1,91 @@
+/**
+ * API Documentation Controller
+ * 
+ * Serves the OpenAPI document and a Swagger UI page to browse it. The
+ * Swagger UI assets come from the swagger-ui-dist package rather than a CDN.
+ */
+import crypto from 'crypto';
+import path from 'path';
+import { Request, Response, NextFunction } from 'express';
+import { getAbsoluteFSPath } from 'swagger-ui-dist';
+import { ApiError } from '../../middleware/errorHandler';
+import { getOpenApiDocument } from './openApiSpec';
+
+// Swagger UI files the docs page loads, served from the installed package
+const SWAGGER_UI_ASSETS: Record<string, { type: string }> = {
+  'swagger-ui.css': { type: 'css' },
+  'swagger-ui-bundle.js': { type: 'js' }
+};
+
+/**
+ * Get the OpenAPI document
+ */
+export const getOpenApiSpec = (req: Request, res: Response, next: NextFunction) => {
+  try {
+    res.status(200).json(getOpenApiDocument());
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Serve a Swagger UI asset from the swagger-ui-dist package
+ */
+export const getDocsAsset = (req: Request, res: Response, next: NextFunction) => {
+  const file = SWAGGER_UI_ASSETS[req.params.file];
+
+  if (!file) {
+    return next(new ApiError(404, 'Asset not found', 'NOT_FOUND'));
+  }
+
+  res.setHeader('Cache-Control', 'public, max-age=86400');
+  res.type(file.type).sendFile(path.join(getAbsoluteFSPath(), req.params.file), error => {
+    if (error) {
+      next(error);
+    }
+  });
+};
+
+/**
+ * Render the Swagger UI page
+ */
+export const getDocsPage = (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const assetsUrl = `${req.baseUrl}/assets`;
+    const specUrl = `${req.baseUrl}/openapi.json`;
+    const nonce = crypto.randomBytes(16).toString('base64');
+
+    // Only this server's assets and the page's own startup script may run
+    res.setHeader('Content-Security-Policy', [
+      'default-src \'self\'',
+      `script-src 'self' 'nonce-${nonce}'`,
+      'style-src \'self\' \'unsafe-inline\'',
+      'img-src \'self\' data:',
+      'connect-src \'self\'',
+      'frame-ancestors \'none\''
+    ].join('; '));
+
+    res.status(200).type('html').send(`<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+    <title>Proof of Funds API</title>
+    <link rel="stylesheet" href="${assetsUrl}/swagger-ui.css" />
+  </head>
+  <body>
+    <div id="swagger-ui"></div>
+    <script src="${assetsUrl}/swagger-ui-bundle.js"></script>
+    <script nonce="${nonce}">
+      window.ui = SwaggerUIBundle({
+        url: ${JSON.stringify(specUrl)},
+        dom_id: '#swagger-ui',
+        persistAuthorization: true
+      });
+    </script>
+  </body>
+</html>`);
+  } catch (error) {
+    next(error);
+  }
+};
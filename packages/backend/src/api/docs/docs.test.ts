@@ -0,0 +1,125 @@
+/**
+ * API Documentation Tests
+ */
+import { createTestServer, publicRequest, expectSuccess } from '../../../test/api-test-helpers';
+
+describe('API Documentation', () => {
+  let app: any;
+
+  beforeAll(() => {
+    app = createTestServer();
+  });
+
+  describe('GET /api/v1/docs/openapi.json', () => {
+    let document: any;
+
+    beforeAll(async () => {
+      const response = await publicRequest(app)
+        .get('/api/v1/docs/openapi.json');
+
+      document = expectSuccess(response, 200);
+    });
+
+    it('should serve an OpenAPI 3.1 document', () => {
+      expect(document.openapi).toBe('3.1.0');
+      expect(document.servers).toEqual([{ url: '/api/v1' }]);
+      expect(document.components.securitySchemes.bearerAuth.scheme).toBe('bearer');
+    });
+
+    it('should document every API router', () => {
+      const paths = Object.keys(document.paths);
+
+      expect(paths).toEqual(expect.arrayContaining([
+        '/auth/nonce',
+        '/proofs',
+        '/proofs/events',
+        '/proofs/jobs/{jobId}',
+        '/proofs/{proofId}/revoke',
+        '/verify/{referenceId}',
+        '/audit-logs',
+        '/user/auth/login',
+        '/organizations/{organizationId}/templates',
+        '/organizations/{organizationId}/webhooks/deliveries/{deliveryId}/replay',
+        '/templates',
+        '/relay/transactions/{transactionId}',
+        '/security-dashboard/metrics',
+        '/security-dashboard/scheduler/runs',
+        '/security-dashboard/sanctions/allowlist/{entryId}'
+      ]));
+    });
+
+    it('should document the webhook events', () => {
+      expect(Object.keys(document.webhooks)).toEqual(['proof.confirmed', 'proof.verified', 'proof.revoked', 'proof.expired']);
+    });
+
+    it('should derive the request body from the route validators', () => {
+      const schema = document.paths['/proofs'].post.requestBody.content['application/json'].schema;
+
+      expect(schema.required).toEqual(['proofType', 'input']);
+      expect(schema.properties.proofType.enum).toEqual(['STANDARD', 'THRESHOLD', 'MAXIMUM', 'ZERO_KNOWLEDGE']);
+      expect(schema.properties.input.type).toBe('object');
+      expect(schema.properties.templateId).toEqual(expect.objectContaining({ type: 'string', format: 'uuid' }));
+    });
+
+    it('should derive parameters from the route validators', () => {
+      const parameters = document.paths['/proofs'].get.parameters;
+
+      expect(parameters).toContainEqual(expect.objectContaining({
+        name: 'limit',
+        in: 'query',
+        required: false,
+        schema: { type: 'integer', minimum: 1, maximum: 100 }
+      }));
+      expect(document.paths['/verify/{referenceId}'].post.parameters).toContainEqual(expect.objectContaining({
+        name: 'referenceId',
+        in: 'path',
+        required: true
+      }));
+    });
+
+    it('should only require authentication where the routes do', () => {
+      expect(document.paths['/proofs'].post.security).toEqual([{ bearerAuth: [] }]);
+      expect(document.paths['/verify/{referenceId}'].get.security).toBeUndefined();
+    });
+
+    it('should use unique operation IDs', () => {
+      const operationIds = Object.values(document.paths)
+        .flatMap((pathItem: any) => Object.values(pathItem).map((operation: any) => operation.operationId));
+
+      expect(new Set(operationIds).size).toBe(operationIds.length);
+    });
+  });
+
+  describe('GET /api/v1/docs', () => {
+    it('should serve the Swagger UI page', async () => {
+      const response = await publicRequest(app)
+        .get('/api/v1/docs');
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toContain('text/html');
+      expect(response.text).toContain('SwaggerUIBundle');
+      expect(response.text).toContain('"/api/v1/docs/openapi.json"');
+      expect(response.text).toContain('src="/api/v1/docs/assets/swagger-ui-bundle.js"');
+      expect(response.headers['content-security-policy']).toMatch(/script-src 'self' 'nonce-[^']+'(;|$)/);
+    });
+
+    it('should serve the Swagger UI assets from this server', async () => {
+      const script = await publicRequest(app)
+        .get('/api/v1/docs/assets/swagger-ui-bundle.js');
+      const styles = await publicRequest(app)
+        .get('/api/v1/docs/assets/swagger-ui.css');
+
+      expect(script.status).toBe(200);
+      expect(script.headers['content-type']).toContain('javascript');
+      expect(styles.status).toBe(200);
+      expect(styles.headers['content-type']).toContain('text/css');
+    });
+
+    it('should not serve other files of the package', async () => {
+      const response = await publicRequest(app)
+        .get('/api/v1/docs/assets/package.json');
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
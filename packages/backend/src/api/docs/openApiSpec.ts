@@ -0,0 +1,934 @@
+/**
+ * OpenAPI Document
+ *
+ * Combines the paths generated from the API routers with the response
+ * schemas of the endpoints partner integrations rely on.
+ */
+import apiRoutes from '../index';
+import config from '../../config';
+import { authenticate } from '../../middleware/auth';
+import { WEBHOOK_EVENTS } from '../../services/webhookService';
+import { PROOF_EVENTS } from '../../services/proofEventService';
+import { generatePaths, OperationObject, SchemaObject } from '../../utils/openApiGenerator';
+
+const ref = (name: string) => ({ $ref: `#/components/schemas/${name}` });
+
+const json = (description: string, schema: SchemaObject) => ({
+  description,
+  content: { 'application/json': { schema } }
+});
+
+const nullable = (type: string, extra: SchemaObject = {}): SchemaObject => ({ type: [type, 'null'], ...extra });
+
+const dateTime = { type: 'string', format: 'date-time' };
+
+/**
+ * Reusable schemas
+ */
+const schemas: Record<string, SchemaObject> = {
+  Error: {
+    type: 'object',
+    required: ['error'],
+    properties: {
+      error: {
+        type: 'object',
+        required: ['code', 'message'],
+        properties: {
+          code: { type: 'string', example: 'VALIDATION_ERROR' },
+          message: { type: 'string' },
+          details: { description: 'Additional error information, omitted in production' },
+          stack: { type: 'string', description: 'Stack trace, included in development only' }
+        }
+      }
+    }
+  },
+  ProofType: {
+    type: 'string',
+    enum: ['STANDARD', 'THRESHOLD', 'MAXIMUM', 'ZERO_KNOWLEDGE']
+  },
+  ProofStatus: {
+    type: 'string',
+    enum: ['PENDING', 'SUBMITTED', 'CONFIRMED', 'FAILED', 'EXPIRED', 'REVOKED']
+  },
+  ProofJob: {
+    type: 'object',
+    required: ['id', 'status', 'stage', 'progress', 'proofType', 'referenceId', 'expiresAt', 'createdAt'],
+    properties: {
+      id: { type: 'string', format: 'uuid' },
+      status: { type: 'string', enum: ['QUEUED', 'RUNNING', 'COMPLETED', 'FAILED', 'CANCELLED'] },
+      stage: { type: 'string', enum: ['init', 'witness', 'proof', 'complete'] },
+      progress: { type: 'integer', minimum: 0, maximum: 100 },
+      proofType: ref('ProofType'),
+      referenceId: { type: 'string' },
+      proofId: nullable('string', { format: 'uuid', description: 'Set once the proof has been generated' }),
+      expiresAt: dateTime,
+      error: {
+        type: ['object', 'null'],
+        properties: {
+          code: { type: 'string' },
+          message: { type: 'string' }
+        }
+      },
+      createdAt: dateTime,
+      startedAt: nullable('string', { format: 'date-time' }),
+      completedAt: nullable('string', { format: 'date-time' })
+    }
+  },
+  QueuedProof: {
+    type: 'object',
+    required: ['success', 'jobId', 'status', 'referenceId', 'expiresAt', 'proofType', 'decryptionKey'],
+    properties: {
+      success: { type: 'boolean' },
+      jobId: { type: 'string', format: 'uuid' },
+      status: { type: 'string', enum: ['QUEUED'] },
+      referenceId: { type: 'string' },
+      expiresAt: dateTime,
+      proofType: ref('ProofType'),
+      decryptionKey: {
+        type: 'string',
+        pattern: '^[0-9a-f]{64}$',
+        description: 'Key that decrypts the proof for verifiers. It is not stored and cannot be retrieved again.'
+      }
+    }
+  },
+  ProofSummary: {
+    type: 'object',
+    required: ['id', 'referenceId', 'createdAt', 'expiresAt', 'proofType', 'status', 'isRevoked'],
+    properties: {
+      id: { type: 'string', format: 'uuid' },
+      referenceId: { type: 'string' },
+      createdAt: dateTime,
+      expiresAt: dateTime,
+      proofType: ref('ProofType'),
+      status: ref('ProofStatus'),
+      isRevoked: { type: 'boolean' },
+      revokedAt: nullable('string', { format: 'date-time' }),
+      warningFlags: { type: 'array', items: { type: 'string' } },
+      originalWallets: { type: 'array', items: { type: 'string' } },
+      transactionHash: nullable('string'),
+      verificationCount: { type: 'integer', minimum: 0 }
+    }
+  },
+  ProofList: {
+    type: 'object',
+    required: ['proofs', 'pagination'],
+    properties: {
+      proofs: { type: 'array', items: ref('ProofSummary') },
+      pagination: {
+        type: 'object',
+        required: ['total', 'page', 'limit', 'pages'],
+        properties: {
+          total: { type: 'integer' },
+          page: { type: 'integer' },
+          limit: { type: 'integer' },
+          pages: { type: 'integer' }
+        }
+      }
+    }
+  },
+  ProofDetails: {
+    type: 'object',
+    required: ['id', 'referenceId', 'createdAt', 'expiresAt', 'proofType', 'status', 'isRevoked'],
+    properties: {
+      id: { type: 'string', format: 'uuid' },
+      referenceId: { type: 'string' },
+      createdAt: dateTime,
+      expiresAt: dateTime,
+      proofType: ref('ProofType'),
+      status: ref('ProofStatus'),
+      isRevoked: { type: 'boolean' },
+      revokedAt: nullable('string', { format: 'date-time' }),
+      revocationReason: nullable('string'),
+      warningFlags: { type: 'array', items: { type: 'string' } },
+      originalWallets: { type: 'array', items: { type: 'string' } },
+      transactionHash: nullable('string'),
+      merkleRoot: nullable('string'),
+      tempWallet: {
+        type: 'object',
+        properties: {
+          address: { type: 'string' },
+          chainId: { type: 'integer' }
+        }
+      },
+      verifications: {
+        type: 'array',
+        description: 'The five most recent verifications',
+        items: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', format: 'uuid' },
+            verifierAddress: nullable('string'),
+            verifiedAt: dateTime,
+            isSuccessful: { type: 'boolean' }
+          }
+        }
+      }
+    }
+  },
+  ProofStatusCheck: {
+    type: 'object',
+    required: ['exists', 'proofType', 'status', 'isRevoked', 'isExpired', 'createdAt', 'expiresAt'],
+    properties: {
+      exists: { type: 'boolean' },
+      proofType: ref('ProofType'),
+      status: ref('ProofStatus'),
+      isRevoked: { type: 'boolean' },
+      isExpired: { type: 'boolean' },
+      createdAt: dateTime,
+      expiresAt: dateTime
+    }
+  },
+  BalanceSnapshot: {
+    type: 'object',
+    description: 'Date the balances of a historical proof were taken as of, and the block read on each chain',
+    required: ['timestamp', 'blocks'],
+    properties: {
+      timestamp: { type: 'integer', description: 'Unix time in seconds' },
+      blocks: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['chainId', 'blockNumber', 'timestamp'],
+          properties: {
+            chainId: { type: 'integer' },
+            blockNumber: { type: 'integer' },
+            timestamp: { type: 'integer' }
+          }
+        }
+      }
+    }
+  },
+  VerificationResult: {
+    type: 'object',
+    required: ['success', 'isValid', 'proofType', 'createdAt', 'expiresAt', 'verificationId'],
+    properties: {
+      success: { type: 'boolean' },
+      isValid: { type: 'boolean' },
+      proofType: ref('ProofType'),
+      createdAt: dateTime,
+      expiresAt: dateTime,
+      verificationId: { type: 'string', format: 'uuid' },
+      input: { type: 'object', description: 'Public inputs of the proof, such as the threshold amount' },
+      batch: {
+        type: ['object', 'null'],
+        description: 'Inclusion of the proof in its anchored batch, for batched proofs',
+        required: ['batchId', 'merkleRoot', 'included'],
+        properties: {
+          batchId: { type: 'string' },
+          merkleRoot: { type: 'string' },
+          transactionHash: { type: 'string' },
+          included: { type: 'boolean' }
+        }
+      },
+      warningFlags: { type: 'array', items: { type: 'string' } },
+      balanceSnapshot: {
+        oneOf: [ref('BalanceSnapshot'), { type: 'null' }],
+        description: 'Set when the proof is of balances as of a past date rather than current balances'
+      },
+      verificationHistory: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['verifiedAt', 'isSuccessful'],
+          properties: {
+            verifiedAt: dateTime,
+            isSuccessful: { type: 'boolean' }
+          }
+        }
+      },
+      issuerAddress: nullable('string')
+    }
+  },
+  WebhookEndpoint: {
+    type: 'object',
+    required: ['id', 'organizationId', 'url', 'events', 'secretPrefix', 'isActive', 'createdAt'],
+    properties: {
+      id: { type: 'string', format: 'uuid' },
+      organizationId: { type: 'string', format: 'uuid' },
+      url: { type: 'string', format: 'uri' },
+      description: nullable('string'),
+      events: { type: 'array', items: { type: 'string', enum: [...WEBHOOK_EVENTS] } },
+      secretPrefix: { type: 'string', description: 'Start of the signing secret, for telling secrets apart' },
+      isActive: { type: 'boolean' },
+      createdAt: dateTime,
+      updatedAt: dateTime
+    }
+  },
+  WebhookEndpointWithSecret: {
+    allOf: [
+      ref('WebhookEndpoint'),
+      {
+        type: 'object',
+        required: ['secret'],
+        properties: {
+          secret: {
+            type: 'string',
+            description: 'Secret that signs deliveries to this endpoint. It cannot be retrieved again.'
+          }
+        }
+      }
+    ]
+  },
+  WebhookEvent: {
+    type: 'object',
+    required: ['id', 'type', 'createdAt', 'organizationId', 'data'],
+    properties: {
+      id: { type: 'string', description: 'Event ID, kept when a delivery is replayed' },
+      type: { type: 'string', enum: [...WEBHOOK_EVENTS] },
+      createdAt: dateTime,
+      organizationId: { type: 'string', format: 'uuid' },
+      data: {
+        type: 'object',
+        required: ['proofId', 'referenceId', 'proofType', 'status'],
+        description: 'The proof, plus transactionHash for confirmed, verificationId and isValid for verified and revokedAt for revoked events',
+        properties: {
+          proofId: { type: 'string', format: 'uuid' },
+          referenceId: { type: 'string' },
+          proofType: ref('ProofType'),
+          status: ref('ProofStatus'),
+          templateId: { type: 'string', format: 'uuid' },
+          expiresAt: dateTime
+        }
+      }
+    }
+  },
+  WebhookDelivery: {
+    type: 'object',
+    required: ['id', 'endpointId', 'eventId', 'eventType', 'status', 'attempts', 'createdAt', 'event'],
+    properties: {
+      id: { type: 'string', format: 'uuid' },
+      endpointId: { type: 'string', format: 'uuid' },
+      eventId: { type: 'string' },
+      eventType: { type: 'string', enum: [...WEBHOOK_EVENTS] },
+      status: { type: 'string', enum: ['PENDING', 'DELIVERED', 'FAILED'] },
+      attempts: { type: 'integer', minimum: 0 },
+      nextAttemptAt: dateTime,
+      responseStatus: nullable('integer'),
+      lastError: nullable('string'),
+      replayOfId: nullable('string', { format: 'uuid' }),
+      createdAt: dateTime,
+      deliveredAt: nullable('string', { format: 'date-time' }),
+      event: ref('WebhookEvent')
+    }
+  },
+  RelayTransaction: {
+    type: 'object',
+    required: ['id', 'status', 'chainId', 'target', 'signer', 'requestNonce', 'replacements', 'gasPrice', 'createdAt'],
+    properties: {
+      id: { type: 'string', format: 'uuid' },
+      status: { type: 'string', enum: ['PENDING', 'SUBMITTED', 'CONFIRMED', 'FAILED'] },
+      chainId: { type: 'integer' },
+      target: { type: 'string', description: 'Contract the request calls' },
+      signer: { type: 'string', description: 'Temporary wallet that signed the request' },
+      requestNonce: { type: 'integer' },
+      txHash: nullable('string', { description: 'Latest relayer transaction; replaced when a transaction is stuck' }),
+      replacements: { type: 'integer', minimum: 0 },
+      gasPrice: { type: 'string', description: 'Gas price in wei' },
+      blockNumber: nullable('integer'),
+      gasUsed: nullable('string'),
+      error: nullable('string'),
+      createdAt: dateTime,
+      submittedAt: nullable('string', { format: 'date-time' }),
+      confirmedAt: nullable('string', { format: 'date-time' })
+    }
+  },
+  RelayQuota: {
+    type: 'object',
+    required: ['limit', 'used', 'remaining'],
+    properties: {
+      limit: { type: 'integer' },
+      used: { type: 'integer' },
+      remaining: { type: 'integer' },
+      resetsAt: nullable('string', { format: 'date-time', description: 'When the oldest counted request leaves the 24-hour window' })
+    }
+  },
+  ScheduledJobRun: {
+    type: 'object',
+    required: ['id', 'job', 'instanceId', 'status', 'startedAt'],
+    properties: {
+      id: { type: 'string', format: 'uuid' },
+      job: { type: 'string', example: 'expireProofs' },
+      instanceId: { type: 'string', description: 'Instance that held the scheduler lease' },
+      status: { type: 'string', enum: ['RUNNING', 'SUCCEEDED', 'FAILED'] },
+      result: nullable('object', { description: 'Counts reported by the job, e.g. expired proofs' }),
+      error: nullable('string'),
+      startedAt: dateTime,
+      finishedAt: nullable('string', { format: 'date-time' }),
+      durationMs: nullable('integer')
+    }
+  },
+  SanctionsList: {
+    type: 'object',
+    required: ['id', 'name', 'version', 'format', 'checksum', 'entryCount', 'isActive', 'createdAt'],
+    properties: {
+      id: { type: 'string', format: 'uuid' },
+      name: { type: 'string', example: 'ofac-sdn' },
+      version: { type: 'integer', minimum: 1 },
+      format: { type: 'string', enum: ['OFAC_SDN_XML', 'CSV', 'JSON'] },
+      source: nullable('string', { description: 'URL or file name the list was read from' }),
+      checksum: { type: 'string', description: 'SHA-256 of the imported document' },
+      entryCount: { type: 'integer' },
+      isActive: { type: 'boolean', description: 'Whether this version is screened against' },
+      importedBy: nullable('string'),
+      createdAt: dateTime,
+      activatedAt: nullable('string', { format: 'date-time' })
+    }
+  },
+  SanctionsAllowlistEntry: {
+    type: 'object',
+    required: ['id', 'address', 'reason', 'createdBy', 'createdAt'],
+    properties: {
+      id: { type: 'string', format: 'uuid' },
+      address: { type: 'string' },
+      reason: { type: 'string' },
+      createdBy: { type: 'string' },
+      createdAt: dateTime,
+      expiresAt: nullable('string', { format: 'date-time' }),
+      revokedAt: nullable('string', { format: 'date-time' }),
+      revokedBy: nullable('string'),
+      revokeReason: nullable('string')
+    }
+  },
+  ProofEvent: {
+    type: 'object',
+    required: ['id', 'type', 'userId', 'createdAt', 'data'],
+    properties: {
+      id: { type: 'string', example: 'evt_6f1c2b9e-3d4a-4c55-9a0e-2b7d8e1f4a90' },
+      type: { type: 'string', enum: [...PROOF_EVENTS] },
+      userId: { type: 'string', format: 'uuid' },
+      createdAt: dateTime,
+      data: {
+        type: 'object',
+        description: 'Job events carry the job ID, status, stage and progress; transaction events the relay ' +
+          'transaction ID, status and hash; proof events the proof ID, reference ID and status'
+      }
+    }
+  },
+  AuthenticatedUser: {
+    type: 'object',
+    required: ['id', 'permissions'],
+    properties: {
+      id: { type: 'string', format: 'uuid' },
+      address: nullable('string'),
+      permissions: { type: 'array', items: { type: 'string' } }
+    }
+  }
+};
+
+/**
+ * Response schemas and descriptions, keyed by method and path
+ */
+const operations: Record<string, Partial<OperationObject>> = {
+  'POST /auth/nonce': {
+    summary: 'Get a Sign-In With Ethereum message to sign',
+    description: 'Issues an EIP-4361 message with a single-use nonce for the wallet and chain (default 1). ' +
+      'The nonce expires at expirationTime.',
+    responses: {
+      '200': json('Nonce and the message to sign', {
+        type: 'object',
+        required: ['nonce', 'message', 'issuedAt', 'expirationTime'],
+        properties: {
+          nonce: { type: 'string' },
+          message: { type: 'string' },
+          issuedAt: { type: 'string', format: 'date-time' },
+          expirationTime: { type: 'string', format: 'date-time' }
+        }
+      })
+    }
+  },
+  'POST /auth/authenticate': {
+    summary: 'Authenticate with a signed Sign-In With Ethereum message',
+    description: 'The message must name this site, a supported chain and an unused nonce from /auth/nonce. ' +
+      'Smart-contract wallets are verified with ERC-1271, and wallets not deployed yet with EIP-6492 signatures.',
+    responses: {
+      '200': json('Access and refresh tokens', {
+        type: 'object',
+        required: ['token', 'refreshToken', 'user'],
+        properties: {
+          token: { type: 'string' },
+          refreshToken: { type: 'string' },
+          user: ref('AuthenticatedUser')
+        }
+      })
+    }
+  },
+  'POST /auth/refresh': {
+    summary: 'Refresh an access token',
+    responses: {
+      '200': json('New access token', {
+        type: 'object',
+        required: ['token', 'user'],
+        properties: {
+          token: { type: 'string' },
+          user: ref('AuthenticatedUser')
+        }
+      })
+    }
+  },
+  'POST /proofs': {
+    summary: 'Queue a proof for generation',
+    description: 'Proofs are generated in the background. Follow the returned job to its completion. ' +
+      'Proofs of balances as of a past date send the date and blocks they were read at as balanceSnapshot.',
+    responses: {
+      '202': json('Proof generation job queued', ref('QueuedProof'))
+    }
+  },
+  'GET /proofs': {
+    summary: 'List proofs of the authenticated user',
+    responses: {
+      '200': json('Page of proofs', ref('ProofList'))
+    }
+  },
+  'GET /proofs/events': {
+    summary: 'Stream proof events',
+    description: 'Server-Sent Events stream of the authenticated user\'s job progress, relayed transaction ' +
+      'confirmations and proof status changes. Each message is named after the event type and its data is a ' +
+      'ProofEvent. A ready event opens the stream and comment lines are sent while it is idle. Events are not ' +
+      'replayed, so clients should re-read the state they follow after reconnecting.',
+    responses: {
+      '200': {
+        description: 'Event stream',
+        content: { 'text/event-stream': { schema: { type: 'string' } } }
+      },
+      '429': json('Too many open event streams', ref('Error'))
+    }
+  },
+  'GET /proofs/jobs/{jobId}': {
+    summary: 'Get the status and progress of a proof generation job',
+    responses: {
+      '200': json('Proof generation job', {
+        type: 'object',
+        required: ['success', 'job'],
+        properties: { success: { type: 'boolean' }, job: ref('ProofJob') }
+      }),
+      '404': json('Job not found', ref('Error'))
+    }
+  },
+  'DELETE /proofs/jobs/{jobId}': {
+    summary: 'Cancel a queued or running proof generation job',
+    responses: {
+      '200': json('Cancelled job', {
+        type: 'object',
+        required: ['success', 'job'],
+        properties: { success: { type: 'boolean' }, job: ref('ProofJob') }
+      }),
+      '404': json('Job not found', ref('Error')),
+      '409': json('Job has already finished', ref('Error'))
+    }
+  },
+  'GET /proofs/{proofId}': {
+    summary: 'Get proof details',
+    responses: {
+      '200': json('Proof details', ref('ProofDetails')),
+      '403': json('Proof belongs to another user', ref('Error')),
+      '404': json('Proof not found', ref('Error'))
+    }
+  },
+  'POST /proofs/{proofId}/revoke': {
+    summary: 'Revoke a proof',
+    description: 'Users with two-factor authentication enabled or a passkey must send a token from /user/2fa/step-up ' +
+      'or /user/auth/passkeys/step-up/verify in the X-Step-Up-Token header.',
+    responses: {
+      '200': json('Revoked proof', {
+        type: 'object',
+        required: ['success', 'message', 'proof'],
+        properties: {
+          success: { type: 'boolean' },
+          message: { type: 'string' },
+          proof: { type: 'object' }
+        }
+      }),
+      '403': json('Proof belongs to another user, or a step-up token is required', ref('Error')),
+      '404': json('Proof not found', ref('Error'))
+    }
+  },
+  'POST /user/2fa/step-up': {
+    summary: 'Step up with a two-factor code',
+    description: 'Verifies a TOTP or backup code and returns a short-lived token for the X-Step-Up-Token header. ' +
+      'Users with two-factor authentication enabled need it to revoke proofs, rotate API keys, change their ' +
+      'password and export audit logs. Each TOTP code is accepted once.',
+    responses: {
+      '200': json('Step-up token', {
+        type: 'object',
+        required: ['success', 'stepUpToken', 'expiresAt'],
+        properties: {
+          success: { type: 'boolean' },
+          stepUpToken: { type: 'string' },
+          expiresAt: dateTime
+        }
+      })
+    }
+  },
+  'POST /user/auth/passkeys/login/verify': {
+    summary: 'Log in with a passkey',
+    description: 'Verifies a WebAuthn assertion for options from /user/auth/passkeys/login/options. ' +
+      'Each challenge is accepted once.',
+    responses: {
+      '200': json('Access and refresh tokens', {
+        type: 'object',
+        required: ['success', 'token', 'refreshToken', 'user'],
+        properties: {
+          success: { type: 'boolean' },
+          message: { type: 'string' },
+          token: { type: 'string' },
+          refreshToken: { type: 'string' },
+          user: { type: 'object' }
+        }
+      }),
+      '401': json('Unknown passkey, failed check or inactive account', ref('Error'))
+    }
+  },
+  'POST /user/auth/passkeys/step-up/verify': {
+    summary: 'Step up with a passkey',
+    description: 'Verifies a WebAuthn assertion of one of the user\'s passkeys and returns a short-lived token ' +
+      'for the X-Step-Up-Token header, like /user/2fa/step-up.',
+    responses: {
+      '200': json('Step-up token', {
+        type: 'object',
+        required: ['success', 'stepUpToken', 'expiresAt'],
+        properties: {
+          success: { type: 'boolean' },
+          stepUpToken: { type: 'string' },
+          expiresAt: dateTime
+        }
+      }),
+      '401': json('Unknown passkey or failed check', ref('Error'))
+    }
+  },
+  'POST /organizations/{organizationId}/webhooks': {
+    summary: 'Register a webhook endpoint',
+    responses: {
+      '201': json('Endpoint with its signing secret', ref('WebhookEndpointWithSecret'))
+    }
+  },
+  'POST /organizations/{organizationId}/webhooks/{endpointId}/secret': {
+    summary: 'Replace the signing secret of a webhook endpoint',
+    responses: {
+      '200': json('Endpoint with its new signing secret', ref('WebhookEndpointWithSecret')),
+      '404': json('Endpoint not found', ref('Error'))
+    }
+  },
+  'GET /organizations/{organizationId}/webhooks/deliveries': {
+    summary: 'List webhook deliveries',
+    responses: {
+      '200': json('Page of deliveries', {
+        type: 'object',
+        required: ['deliveries', 'pagination'],
+        properties: {
+          deliveries: { type: 'array', items: ref('WebhookDelivery') },
+          pagination: {
+            type: 'object',
+            required: ['total', 'page', 'limit', 'pages'],
+            properties: {
+              total: { type: 'integer' },
+              page: { type: 'integer' },
+              limit: { type: 'integer' },
+              pages: { type: 'integer' }
+            }
+          }
+        }
+      })
+    }
+  },
+  'POST /organizations/{organizationId}/webhooks/deliveries/{deliveryId}/replay': {
+    summary: 'Send a delivery\'s event again',
+    responses: {
+      '202': json('New delivery of the event', ref('WebhookDelivery')),
+      '404': json('Delivery not found', ref('Error'))
+    }
+  },
+  'GET /relay/forwarder': {
+    summary: 'Get the forwarder and EIP-712 domain to sign relay requests for',
+    responses: {
+      '200': json('Forwarder details', {
+        type: 'object',
+        required: ['chainId', 'forwarder', 'domain', 'types', 'targets', 'maxGas'],
+        properties: {
+          chainId: { type: 'integer' },
+          forwarder: { type: 'string' },
+          domain: { type: 'object', description: 'EIP-712 domain of the ProofForwarder contract' },
+          types: { type: 'object', description: 'EIP-712 ForwardRequest type' },
+          targets: { type: 'object', description: 'Addresses of the contracts requests may call' },
+          maxGas: { type: 'integer' },
+          nonce: { type: 'string', description: 'Nonce the next request of the from address must use' }
+        }
+      }),
+      '503': json('Relayer is not configured', ref('Error'))
+    }
+  },
+  'GET /relay/quota': {
+    summary: 'Get the remaining daily relay quota',
+    responses: {
+      '200': json('Relay quota', {
+        type: 'object',
+        required: ['quota'],
+        properties: { quota: ref('RelayQuota') }
+      })
+    }
+  },
+  'POST /relay/transactions': {
+    summary: 'Relay a proof submission signed by a temporary wallet',
+    description: 'The relayer pays the gas and sends the request through the trusted forwarder. Follow the returned transaction to its confirmation.',
+    responses: {
+      '202': json('Relay transaction sent', {
+        type: 'object',
+        required: ['transaction'],
+        properties: { transaction: ref('RelayTransaction') }
+      }),
+      '409': json('A request from the signer is still being relayed', ref('Error')),
+      '429': json('Daily relay quota exceeded', ref('Error')),
+      '502': json('Relay transaction could not be sent', ref('Error'))
+    }
+  },
+  'GET /relay/transactions/{transactionId}': {
+    summary: 'Get the status of a relay transaction',
+    responses: {
+      '200': json('Relay transaction', {
+        type: 'object',
+        required: ['transaction'],
+        properties: { transaction: ref('RelayTransaction') }
+      }),
+      '404': json('Relay transaction not found', ref('Error'))
+    }
+  },
+  'GET /security-dashboard/scheduler': {
+    summary: 'Get the scheduler leader and the last run of each job',
+    responses: {
+      '200': json('Scheduler status', {
+        type: 'object',
+        required: ['leader', 'jobs'],
+        properties: {
+          leader: nullable('object', { description: 'Instance holding the scheduler lease, null while no instance leads' }),
+          jobs: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['name', 'intervalMs', 'lastRun', 'nextRunAt'],
+              properties: {
+                name: { type: 'string' },
+                intervalMs: { type: 'integer' },
+                lastRun: { oneOf: [ref('ScheduledJobRun'), { type: 'null' }] },
+                nextRunAt: nullable('string', { format: 'date-time' })
+              }
+            }
+          }
+        }
+      })
+    }
+  },
+  'GET /security-dashboard/scheduler/runs': {
+    summary: 'Get recent scheduled job runs',
+    responses: {
+      '200': json('Job runs, newest first', {
+        type: 'object',
+        required: ['runs'],
+        properties: { runs: { type: 'array', items: ref('ScheduledJobRun') } }
+      })
+    }
+  },
+  'GET /security-dashboard/sanctions/lists': {
+    summary: 'Get the versions of the imported sanctions lists',
+    responses: {
+      '200': json('List versions, newest first within each list', {
+        type: 'object',
+        required: ['lists'],
+        properties: { lists: { type: 'array', items: ref('SanctionsList') } }
+      })
+    }
+  },
+  'POST /security-dashboard/sanctions/lists': {
+    summary: 'Import a sanctions list as its next version',
+    requestBody: {
+      required: true,
+      content: {
+        'application/json': {
+          schema: {
+            type: 'object',
+            required: ['name', 'format', 'content'],
+            properties: {
+              name: { type: 'string', example: 'internal-watchlist' },
+              format: { type: 'string', enum: ['OFAC_SDN_XML', 'CSV', 'JSON'] },
+              content: { type: 'string', description: 'List document' },
+              source: { type: 'string' },
+              activate: { type: 'boolean', default: true }
+            }
+          }
+        }
+      }
+    },
+    responses: {
+      '200': json('Document is identical to the latest version, which is returned', {
+        type: 'object',
+        properties: { list: ref('SanctionsList'), unchanged: { type: 'boolean', const: true } }
+      }),
+      '201': json('Imported list version', {
+        type: 'object',
+        properties: { list: ref('SanctionsList'), unchanged: { type: 'boolean', const: false } }
+      }),
+      '400': json('List could not be read or has no addresses', ref('Error'))
+    }
+  },
+  'POST /security-dashboard/sanctions/lists/ofac/refresh': {
+    summary: 'Download and import the OFAC SDN list',
+    responses: {
+      '200': json('Import result', {
+        type: 'object',
+        required: ['imported', 'entries'],
+        properties: {
+          imported: { type: 'integer', description: '0 when the list has not changed' },
+          entries: { type: 'integer' }
+        }
+      })
+    }
+  },
+  'POST /security-dashboard/sanctions/lists/{listId}/activate': {
+    summary: 'Make a list version the active version of its list',
+    responses: {
+      '200': json('Activated list version', {
+        type: 'object',
+        required: ['list'],
+        properties: { list: ref('SanctionsList') }
+      }),
+      '404': json('List version not found', ref('Error'))
+    }
+  },
+  'GET /security-dashboard/sanctions/allowlist': {
+    summary: 'Get sanctions allow-list entries',
+    responses: {
+      '200': json('Entries, newest first', {
+        type: 'object',
+        required: ['entries'],
+        properties: { entries: { type: 'array', items: ref('SanctionsAllowlistEntry') } }
+      })
+    }
+  },
+  'POST /security-dashboard/sanctions/allowlist': {
+    summary: 'Clear an address despite sanctions matches',
+    requestBody: {
+      required: true,
+      content: {
+        'application/json': {
+          schema: {
+            type: 'object',
+            required: ['address', 'reason'],
+            properties: {
+              address: { type: 'string' },
+              reason: { type: 'string' },
+              expiresAt: dateTime
+            }
+          }
+        }
+      }
+    },
+    responses: {
+      '201': json('Allow-list entry', {
+        type: 'object',
+        required: ['entry'],
+        properties: { entry: ref('SanctionsAllowlistEntry') }
+      })
+    }
+  },
+  'DELETE /security-dashboard/sanctions/allowlist/{entryId}': {
+    summary: 'Revoke a sanctions allow-list entry',
+    responses: {
+      '200': json('Revoked entry', {
+        type: 'object',
+        required: ['entry'],
+        properties: { entry: ref('SanctionsAllowlistEntry') }
+      }),
+      '404': json('Entry not found', ref('Error')),
+      '409': json('Entry is already revoked', ref('Error'))
+    }
+  },
+  'GET /verify/{referenceId}': {
+    summary: 'Check whether a proof exists and get its status',
+    responses: {
+      '200': json('Proof status', ref('ProofStatusCheck')),
+      '404': json('Proof not found', ref('Error'))
+    }
+  },
+  'POST /verify/{referenceId}': {
+    summary: 'Verify a proof with its reference ID and decryption key',
+    responses: {
+      '200': json('Verification result', ref('VerificationResult')),
+      '404': json('Proof not found', ref('Error'))
+    }
+  }
+};
+
+let document: Record<string, any> | null = null;
+
+/**
+ * Get the OpenAPI document of the API
+ *
+ * The document is generated from the routers on first use.
+ */
+export function getOpenApiDocument(): Record<string, any> {
+  if (!document) {
+    document = {
+      openapi: '3.1.0',
+      info: {
+        title: 'Proof of Funds API',
+        version: '1.0.0',
+        description: 'Create, manage and verify zero-knowledge proofs of funds.'
+      },
+      servers: [{ url: config.server.apiPrefix }],
+      paths: generatePaths(apiRoutes, {
+        securitySchemes: new Map([[authenticate, 'bearerAuth']]),
+        operations,
+        errorSchema: ref('Error')
+      }),
+      webhooks: Object.fromEntries(WEBHOOK_EVENTS.map(event => [event, {
+        post: {
+          summary: `${event} event`,
+          description: 'Sent to the endpoints of the organization whose template the proof was made from. ' +
+            'The _security block is signed like API responses, with the endpoint secret: an sha256 HMAC ' +
+            'over the JSON body without _security.signature. Failed deliveries are retried with exponential backoff.',
+          requestBody: {
+            content: {
+              'application/json': {
+                schema: {
+                  allOf: [
+                    ref('WebhookEvent'),
+                    {
+                      type: 'object',
+                      properties: {
+                        _security: {
+                          type: 'object',
+                          required: ['timestamp', 'algorithm', 'version', 'signature'],
+                          properties: {
+                            timestamp: { type: 'integer', description: 'Signing time in milliseconds' },
+                            expires: { type: 'null' },
+                            algorithm: { type: 'string', enum: ['sha256'] },
+                            version: { type: 'string' },
+                            signature: { type: 'string', pattern: '^sha256:[0-9a-f]{64}$' }
+                          }
+                        }
+                      }
+                    }
+                  ]
+                }
+              }
+            }
+          },
+          responses: {
+            '2XX': { description: 'Event received' }
+          }
+        }
+      }])),
+      components: {
+        schemas,
+        securitySchemes: {
+          bearerAuth: {
+            type: 'http',
+            scheme: 'bearer',
+            bearerFormat: 'JWT',
+            description: 'Access token from /auth/authenticate or /user/auth/login'
+          }
+        }
+      }
+    };
+  }
+
+  return document;
+}
@@ -0,0 +1,27 @@
+/**
+ * API Documentation Routes
+ */
+import { Router } from 'express';
+import * as docsController from './controller';
+
+const router = Router();
+
+/**
+ * GET /api/v1/docs
+ * @description Browse the API documentation
+ */
+router.get('/', docsController.getDocsPage);
+
+/**
+ * GET /api/v1/docs/openapi.json
+ * @description Get the OpenAPI document
+ */
+router.get('/openapi.json', docsController.getOpenApiSpec);
+
+/**
+ * GET /api/v1/docs/assets/:file
+ * @description Get a Swagger UI asset
+ */
+router.get('/assets/:file', docsController.getDocsAsset);
+
+export default router;
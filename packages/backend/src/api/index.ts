@@ -9,11 +9,13 @@ import proofRoutes from './proofs/routes';
 import verifyRoutes from './verify/routes';
 import auditLogRoutes from './audit-logs/routes';
 import userRoutes from './user';
+import organizationRoutes from './organizations/routes';
+import templateRoutes from './templates/routes';
+import relayRoutes from './relay/routes';
 import securityDashboardRoutes from '../routes/securityDashboardRoutes';
 
 // For future implementation
 // import walletRoutes from './wallets/routes';
-// import organizationRoutes from './organizations/routes';
 
 // Create main router
 const router = Router();
@@ -24,11 +26,13 @@ router.use('/proofs', proofRoutes);
 router.use('/verify', verifyRoutes);
 router.use('/audit-logs', auditLogRoutes);
 router.use('/user', userRoutes);
+router.use('/organizations', organizationRoutes);
+router.use('/templates', templateRoutes);
+router.use('/relay', relayRoutes);
 router.use('/security-dashboard', securityDashboardRoutes);
 
 // For future implementation
 // router.use('/wallets', walletRoutes);
-// router.use('/organizations', organizationRoutes);
 
 // Add API information route
 router.get('/', (req, res) => {
@@ -0,0 +1,257 @@
+/**
+ * Organization Controller
+ *
+ * Handles organizations, their members, invitations and API keys
+ */
+import { Request, Response, NextFunction } from 'express';
+import { ApiError } from '../../middleware/errorHandler';
+import { organizationService } from '../../services/organizationService';
+
+/**
+ * Get the acting organization member attached by requireOrgRole
+ */
+const getActor = (req: Request) => {
+  if (!req.organizationMember) {
+    throw new ApiError(401, 'Authentication required', 'UNAUTHORIZED');
+  }
+
+  return req.organizationMember;
+};
+
+/**
+ * Create an organization owned by the authenticated user
+ */
+export const createOrganization = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const userId = req.user?.id;
+
+    if (!userId) {
+      throw new ApiError(401, 'Authentication required', 'UNAUTHORIZED');
+    }
+
+    const { name, email, contactPhone, description, settings } = req.body;
+    const organization = await organizationService.createOrganization(userId, {
+      name,
+      email,
+      contactPhone,
+      description,
+      settings
+    });
+
+    res.status(201).json(organization);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List the organizations of the authenticated user
+ */
+export const listOrganizations = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const userId = req.user?.id;
+
+    if (!userId) {
+      throw new ApiError(401, 'Authentication required', 'UNAUTHORIZED');
+    }
+
+    const organizations = await organizationService.listUserOrganizations(userId);
+
+    res.status(200).json({ organizations });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get organization details
+ */
+export const getOrganization = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const actor = getActor(req);
+    const organization = await organizationService.getOrganization(actor.organizationId);
+
+    res.status(200).json({ ...organization, role: actor.role });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update organization details
+ */
+export const updateOrganization = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const actor = getActor(req);
+    const { name, email, contactPhone, description, settings } = req.body;
+
+    // Only pass fields present in the request so absent fields stay unchanged
+    const data = Object.fromEntries(
+      Object.entries({ name, email, contactPhone, description, settings }).filter(([, value]) => value !== undefined)
+    );
+
+    const organization = await organizationService.updateOrganization(actor.organizationId, data, actor.userId);
+
+    res.status(200).json(organization);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete an organization
+ */
+export const deleteOrganization = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const actor = getActor(req);
+    await organizationService.deleteOrganization(actor.organizationId, actor.userId);
+
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List organization members
+ */
+export const listMembers = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const actor = getActor(req);
+    const members = await organizationService.listMembers(actor.organizationId);
+
+    res.status(200).json({ members });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Change a member's role
+ */
+export const updateMemberRole = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const actor = getActor(req);
+    const member = await organizationService.updateMemberRole(
+      actor.organizationId,
+      req.params.userId,
+      req.body.role,
+      actor
+    );
+
+    res.status(200).json(member);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Remove a member, or leave the organization
+ */
+export const removeMember = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const actor = getActor(req);
+    await organizationService.removeMember(actor.organizationId, req.params.userId, actor);
+
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Invite a new member by email
+ */
+export const inviteMember = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const actor = getActor(req);
+    const { email, role = 'MEMBER' } = req.body;
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+
+    const invitation = await organizationService.inviteMember(actor.organizationId, email, role, actor, baseUrl);
+
+    res.status(201).json(invitation);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List pending invitations
+ */
+export const listInvitations = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const actor = getActor(req);
+    const invitations = await organizationService.listInvitations(actor.organizationId);
+
+    res.status(200).json({ invitations });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revoke a pending invitation
+ */
+export const revokeInvitation = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const actor = getActor(req);
+    await organizationService.revokeInvitation(actor.organizationId, req.params.invitationId, actor.userId);
+
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Accept an invitation as the authenticated user
+ */
+export const acceptInvitation = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const userId = req.user?.id;
+
+    if (!userId) {
+      throw new ApiError(401, 'Authentication required', 'UNAUTHORIZED');
+    }
+
+    const membership = await organizationService.acceptInvitation(req.body.token, userId);
+
+    res.status(200).json(membership);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Generate a new API key. The key is only returned in this response.
+ */
+export const rotateApiKey = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const actor = getActor(req);
+    const result = await organizationService.rotateApiKey(actor.organizationId, actor.userId);
+
+    // Keep the one-time key out of any intermediate caches
+    res.set('Cache-Control', 'no-store');
+    res.status(201).json({
+      ...result,
+      warning: 'Store this API key securely. It will not be shown again.'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Revoke the organization API key
+ */
+export const revokeApiKey = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const actor = getActor(req);
+    await organizationService.revokeApiKey(actor.organizationId, actor.userId);
+
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,237 @@
+/**
+ * Organization Routes
+ */
+import { Router } from 'express';
+import { body, param } from 'express-validator';
+import { validate } from '../../middleware/validation';
+import { authenticate } from '../../middleware/auth';
+import { requireOrgRole } from '../../middleware/organizationAuth';
+import { requireStepUp } from '../../middleware/twoFactorAuth';
+import { organizationTemplateRoutes } from '../templates/routes';
+import { organizationWebhookRoutes } from '../webhooks/routes';
+import * as organizationController from './controller';
+
+const router = Router();
+
+const ORG_ROLES = ['OWNER', 'ADMIN', 'MEMBER'];
+
+// Apply authentication middleware to all organization routes
+router.use(authenticate);
+
+const organizationIdParam = param('organizationId')
+  .isUUID()
+  .withMessage('Valid organization ID is required');
+
+const organizationFields = (optional: boolean) => [
+  (optional ? body('name').optional() : body('name'))
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 255 })
+    .withMessage('Name must be between 1 and 255 characters'),
+  body('email')
+    .optional({ nullable: true })
+    .isEmail()
+    .withMessage('Valid email is required'),
+  body('contactPhone')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 50 })
+    .withMessage('Contact phone must be a string with maximum 50 characters'),
+  body('description')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 1000 })
+    .withMessage('Description must be a string with maximum 1000 characters'),
+  body('settings')
+    .optional()
+    .isObject()
+    .withMessage('Settings must be an object')
+];
+
+/**
+ * POST /api/v1/organizations
+ * @description Create an organization owned by the authenticated user
+ */
+router.post('/',
+  validate(organizationFields(false)),
+  organizationController.createOrganization
+);
+
+/**
+ * GET /api/v1/organizations
+ * @description List the organizations of the authenticated user
+ */
+router.get('/', organizationController.listOrganizations);
+
+/**
+ * POST /api/v1/organizations/invitations/accept
+ * @description Accept an invitation sent to the authenticated user's email
+ */
+router.post('/invitations/accept',
+  validate([
+    body('token')
+      .isString()
+      .isLength({ min: 1 })
+      .withMessage('Invitation token is required')
+  ]),
+  organizationController.acceptInvitation
+);
+
+/**
+ * GET /api/v1/organizations/:organizationId
+ * @description Get organization details
+ */
+router.get('/:organizationId',
+  validate([organizationIdParam]),
+  requireOrgRole('MEMBER'),
+  organizationController.getOrganization
+);
+
+/**
+ * PATCH /api/v1/organizations/:organizationId
+ * @description Update organization details
+ */
+router.patch('/:organizationId',
+  validate([organizationIdParam, ...organizationFields(true)]),
+  requireOrgRole('ADMIN'),
+  organizationController.updateOrganization
+);
+
+/**
+ * DELETE /api/v1/organizations/:organizationId
+ * @description Delete an organization
+ */
+router.delete('/:organizationId',
+  validate([organizationIdParam]),
+  requireOrgRole('OWNER'),
+  organizationController.deleteOrganization
+);
+
+/**
+ * GET /api/v1/organizations/:organizationId/members
+ * @description List organization members
+ */
+router.get('/:organizationId/members',
+  validate([organizationIdParam]),
+  requireOrgRole('MEMBER'),
+  organizationController.listMembers
+);
+
+/**
+ * PATCH /api/v1/organizations/:organizationId/members/:userId
+ * @description Change a member's role
+ */
+router.patch('/:organizationId/members/:userId',
+  validate([
+    organizationIdParam,
+    param('userId')
+      .isUUID()
+      .withMessage('Valid user ID is required'),
+    body('role')
+      .isIn(ORG_ROLES)
+      .withMessage(`Role must be one of: ${ORG_ROLES.join(', ')}`)
+  ]),
+  requireOrgRole('ADMIN'),
+  organizationController.updateMemberRole
+);
+
+/**
+ * DELETE /api/v1/organizations/:organizationId/members/:userId
+ * @description Remove a member; any member may remove themselves
+ */
+router.delete('/:organizationId/members/:userId',
+  validate([
+    organizationIdParam,
+    param('userId')
+      .isUUID()
+      .withMessage('Valid user ID is required')
+  ]),
+  requireOrgRole('MEMBER'),
+  organizationController.removeMember
+);
+
+/**
+ * GET /api/v1/organizations/:organizationId/invitations
+ * @description List pending invitations
+ */
+router.get('/:organizationId/invitations',
+  validate([organizationIdParam]),
+  requireOrgRole('ADMIN'),
+  organizationController.listInvitations
+);
+
+/**
+ * POST /api/v1/organizations/:organizationId/invitations
+ * @description Invite a new member by email
+ */
+router.post('/:organizationId/invitations',
+  validate([
+    organizationIdParam,
+    body('email')
+      .isEmail()
+      .withMessage('Valid email is required'),
+    body('role')
+      .optional()
+      .isIn(ORG_ROLES)
+      .withMessage(`Role must be one of: ${ORG_ROLES.join(', ')}`)
+  ]),
+  requireOrgRole('ADMIN'),
+  organizationController.inviteMember
+);
+
+/**
+ * DELETE /api/v1/organizations/:organizationId/invitations/:invitationId
+ * @description Revoke a pending invitation
+ */
+router.delete('/:organizationId/invitations/:invitationId',
+  validate([
+    organizationIdParam,
+    param('invitationId')
+      .isUUID()
+      .withMessage('Valid invitation ID is required')
+  ]),
+  requireOrgRole('ADMIN'),
+  organizationController.revokeInvitation
+);
+
+/**
+ * POST /api/v1/organizations/:organizationId/api-key
+ * @description Generate a new API key, replacing the current one. The key is shown once.
+ * Users with 2FA enabled must send a step-up token.
+ */
+router.post('/:organizationId/api-key',
+  validate([organizationIdParam]),
+  requireOrgRole('ADMIN'),
+  requireStepUp,
+  organizationController.rotateApiKey
+);
+
+/**
+ * DELETE /api/v1/organizations/:organizationId/api-key
+ * @description Revoke the organization API key
+ */
+router.delete('/:organizationId/api-key',
+  validate([organizationIdParam]),
+  requireOrgRole('ADMIN'),
+  organizationController.revokeApiKey
+);
+
+/**
+ * /api/v1/organizations/:organizationId/templates
+ * @description Organization proof templates
+ */
+router.use('/:organizationId/templates',
+  validate([organizationIdParam]),
+  organizationTemplateRoutes
+);
+
+/**
+ * /api/v1/organizations/:organizationId/webhooks
+ * @description Organization webhook endpoints and deliveries
+ */
+router.use('/:organizationId/webhooks',
+  validate([organizationIdParam]),
+  organizationWebhookRoutes
+);
+
+export default router;
@@ -4,29 +4,24 @@
  * Handles the creation and management of zero-knowledge proofs
  */
 import { Request, Response, NextFunction } from 'express';
-import { v4 as uuidv4 } from 'uuid';
-import path from 'path';
-import fs from 'fs';
 import { prisma, transaction } from '@proof-of-funds/db';
 import { ApiError } from '../../middleware/errorHandler';
-import logger from '../../utils/logger';
-import { encryptData, generateEncryptionKey } from '../../utils/crypto';
-import config from '../../config';
-import { SecretManagerServiceClient } from '@google-cloud/secret-manager';
 import { auditLogService } from '../../services/auditLogService';
+import { proofJobQueue } from '../../services/proofJobQueue';
+import { webhookService } from '../../services/webhookService';
+import { proofEventService, ProofEvent } from '../../services/proofEventService';
+import config from '../../config';
 import { AuditEventType, ActorType, AuditAction, AuditStatus, AuditSeverity } from '../../models/auditLog';
 
-// Initialize Secret Manager client if GCP integration is enabled
-const secretManager = config.gcp.secretManager.enabled
-  ? new SecretManagerServiceClient()
-  : null;
-
 /**
- * Generate a zero-knowledge proof
+ * Queue a zero-knowledge proof for generation
+ *
+ * Proving runs in a background worker; the response carries the job to poll
+ * and the key that will decrypt the proof once it has been generated.
  */
 export const generateProof = async (req: Request, res: Response, next: NextFunction) => {
   try {
-    const { proofType, input } = req.body;
+    const { proofType, input, templateId, balanceSnapshot } = req.body;
     const userId = req.user?.id;
 
     if (!userId) {
@@ -43,163 +38,107 @@ export const generateProof = async (req: Request, res: Response, next: NextFunct
       throw new ApiError(400, `Invalid proof type. Must be one of: ${validProofTypes.join(', ')}`, 'INVALID_PROOF_TYPE');
     }
 
-    // Generate a unique reference ID
-    const referenceId = `ref-${uuidv4()}`;
+    const { job, decryptionKey } = await proofJobQueue.enqueue(userId, { proofType, input, templateId, balanceSnapshot });
 
-    // Set expiration date (default 30 days)
-    const expiresAt = new Date();
-    expiresAt.setDate(expiresAt.getDate() + 30);
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      status: job.status,
+      referenceId: job.referenceId,
+      expiresAt: job.expiresAt,
+      proofType,
+      decryptionKey // Only for demonstration, would be handled differently in production
+    });
+  } catch (error) {
+    next(error);
+  }
+};
 
-    try {
-      // Import snarkjs dynamically to avoid frontend issues
-      const snarkjs = require('snarkjs');
+/**
+ * Get the status and progress of a proof generation job
+ */
+export const getProofJob = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const userId = req.user?.id;
 
-      // Determine circuit paths based on proof type
-      const circuitName = proofType.toLowerCase().replace('_', '') + 'Proof';
-      const wasmPath = path.join(config.zkProof.circuitPaths[proofType.toLowerCase() as keyof typeof config.zkProof.circuitPaths], '.wasm');
-      const zkeyPath = path.join(config.zkProof.circuitPaths[proofType.toLowerCase() as keyof typeof config.zkProof.circuitPaths], '.zkey');
+    if (!userId) {
+      throw new ApiError(401, 'Authentication required', 'UNAUTHORIZED');
+    }
 
-      // Check if circuit files exist
-      if (!fs.existsSync(wasmPath) || !fs.existsSync(zkeyPath)) {
-        throw new ApiError(500, 'ZK circuit files not found', 'CIRCUIT_NOT_FOUND');
-      }
+    const job = await proofJobQueue.getJob(req.params.jobId, userId);
 
-      // Generate proof
-      logger.info('Generating ZK proof', { proofType, userId });
-      const { proof, publicSignals } = await snarkjs.groth16.fullProve(input, wasmPath, zkeyPath);
-
-      // Encrypt the proof data
-      const encryptionKey = generateEncryptionKey();
-      const proofData = {
-        proof,
-        publicSignals,
-        input,
-        proofType,
-        createdAt: new Date().toISOString(),
-        expiresAt: expiresAt.toISOString(),
-        userId
-      };
-
-      const encryptedData = encryptData(proofData, encryptionKey);
-
-      // Store encryption key securely
-      let encryptionKeyId = '';
-      if (secretManager) {
-        // Store key in GCP Secret Manager
-        const keyId = `proof-key-${uuidv4()}`;
-        const parent = `projects/${config.gcp.projectId}`;
-        
-        const [secret] = await secretManager.createSecret({
-          parent,
-          secretId: keyId,
-          secret: {
-            replication: {
-              automatic: {}
-            }
-          }
-        });
-        
-        await secretManager.addSecretVersion({
-          parent: secret.name,
-          payload: {
-            data: encryptionKey
-          }
-        });
-        
-        encryptionKeyId = keyId;
-      } else {
-        // Store locally (not recommended for production)
-        encryptionKeyId = `local-${uuidv4()}`;
-        // In a real implementation, this would be stored securely
-      }
+    res.status(200).json({
+      success: true,
+      job
+    });
+  } catch (error) {
+    next(error);
+  }
+};
 
-      // Create temporary wallet for proof submission
-      const tempWallet = await prisma.wallet.create({
-        data: {
-          id: uuidv4(),
-          userId,
-          address: `0x${uuidv4().replace(/-/g, '')}`,
-          chainId: 137, // Polygon
-          type: 'TEMPORARY',
-          createdAt: new Date(),
-          lastUsedAt: new Date()
-        }
-      });
-
-      // Store proof in database
-      const proofRecord = await prisma.proof.create({
-        data: {
-          id: uuidv4(),
-          userId,
-          referenceId,
-          createdAt: new Date(),
-          expiresAt,
-          proofType: proofType as any,
-          encryptedData,
-          encryptionKeyId,
-          tempWalletId: tempWallet.id,
-          warningFlags: [],
-          originalWallets: input.wallets || [],
-          status: 'PENDING'
-        }
-      });
-
-      // Log proof generation success
-      await auditLogService.log({
-        eventType: AuditEventType.PROOF_GENERATE,
-        actorType: ActorType.USER,
-        actorId: userId,
-        action: AuditAction.CREATE,
-        status: AuditStatus.SUCCESS,
-        resourceType: 'proof',
-        resourceId: proofRecord.id,
-        details: {
-          proofType,
-          referenceId,
-          tempWalletId: tempWallet.id
-        },
-        ipAddress: req.ip,
-        userAgent: req.headers['user-agent'],
-        severity: AuditSeverity.INFO
-      });
-
-      // Return success response
-      res.status(201).json({
-        success: true,
-        referenceId,
-        proofId: proofRecord.id,
-        expiresAt,
-        proofType,
-        decryptionKey: encryptionKey.toString('hex') // Only for demonstration, would be handled differently in production
-      });
-    } catch (error) {
-      logger.error('ZK proof generation error', { error, proofType, userId });
-      
-      // Log proof generation failure
-      await auditLogService.log({
-        eventType: AuditEventType.PROOF_GENERATE,
-        actorType: ActorType.USER,
-        actorId: userId,
-        action: AuditAction.CREATE,
-        status: AuditStatus.FAILURE,
-        resourceType: 'proof',
-        details: {
-          proofType,
-          error: error instanceof Error ? error.message : 'Unknown error'
-        },
-        ipAddress: req.ip,
-        userAgent: req.headers['user-agent'],
-        severity: AuditSeverity.ERROR
-      });
-      
-      if (error instanceof ApiError) {
-        throw error;
-      }
-      
-      throw new ApiError(500, 'Error generating ZK proof', 'PROOF_GENERATION_ERROR', {
-        message: error instanceof Error ? error.message : 'Unknown error'
-      });
+/**
+ * Cancel a queued or running proof generation job
+ */
+export const cancelProofJob = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const userId = req.user?.id;
+
+    if (!userId) {
+      throw new ApiError(401, 'Authentication required', 'UNAUTHORIZED');
+    }
+
+    const job = await proofJobQueue.cancelJob(req.params.jobId, userId);
+
+    res.status(200).json({
+      success: true,
+      job
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Stream the user's proof events as Server-Sent Events
+ *
+ * Sends job progress, relayed transaction confirmations and proof status
+ * changes as they happen. A comment line is sent on idle streams so proxies
+ * keep the connection open.
+ */
+export const streamProofEvents = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const userId = req.user?.id;
+
+    if (!userId) {
+      throw new ApiError(401, 'Authentication required', 'UNAUTHORIZED');
     }
+
+    const send = (event: ProofEvent) => {
+      res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    };
+    const unsubscribe = proofEventService.subscribe(userId, send, () => res.end());
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      // no-transform keeps the compression middleware from buffering events
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    // Tell the client how long to wait before reconnecting and whether
+    // events from other API instances reach this stream
+    res.write(`retry: ${config.proofEvents.reconnectMs}\n`);
+    res.write(`event: ready\ndata: ${JSON.stringify({ crossInstance: proofEventService.isListening })}\n\n`);
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), config.proofEvents.heartbeatMs);
+    heartbeat.unref();
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    });
   } catch (error) {
     next(error);
   }
@@ -251,7 +190,10 @@ export const getUserProofs = async (req: Request, res: Response, next: NextFunct
         revokedAt: true,
         warningFlags: true,
         originalWallets: true,
-        transactionHash: true
+        transactionHash: true,
+        _count: {
+          select: { verifications: true }
+        }
       },
       orderBy: { createdAt: 'desc' },
       skip: offset,
@@ -260,7 +202,10 @@ export const getUserProofs = async (req: Request, res: Response, next: NextFunct
 
     // Return proofs with pagination metadata
     res.status(200).json({
-      proofs,
+      proofs: proofs.map(({ _count, ...proof }) => ({
+        ...proof,
+        verificationCount: _count.verifications
+      })),
       pagination: {
         total: totalCount,
         page,
@@ -342,6 +287,17 @@ export const revokeProof = async (req: Request, res: Response, next: NextFunctio
       severity: AuditSeverity.INFO
     });
 
+    // Tell the organization behind the proof's template and the owner's open streams
+    await webhookService.emitProofEvent('proof.revoked', proofId, {
+      revokedAt: updatedProof.revokedAt
+    });
+    await proofEventService.publish(userId, 'proof.revoked', {
+      proofId,
+      referenceId: updatedProof.referenceId,
+      status: updatedProof.status,
+      revokedAt: updatedProof.revokedAt
+    });
+
     // Return success response
     res.status(200).json({
       success: true,
@@ -4,11 +4,18 @@
 import { createTestServer, authenticatedRequest, expectSuccess, expectError } from '../../../test/api-test-helpers';
 import { createUser, createWallet, createProof } from '@proof-of-funds/db/test/seed-test-data';
 import { MockZkProofService } from '../../../test/mock-services';
+import { expectMatchesSpec } from '../../../test/openapi-validator';
 import { v4 as uuidv4 } from 'uuid';
 
 // Mock ZK proof service
 jest.mock('../../services/zkProofService', () => {
   return {
+    zkProofService: {
+      prepareProof: jest.fn().mockReturnValue({
+        wasmPath: 'standardProof.wasm',
+        zkeyPath: 'standardProof.zkey'
+      })
+    },
     generateProof: jest.fn().mockImplementation((proofType, input) => {
       const mockService = new MockZkProofService();
       return mockService.generateProof(proofType, input);
@@ -50,7 +57,7 @@ describe('Proof API', () => {
   });
   
   describe('POST /api/v1/proofs', () => {
-    it('should generate a new proof', async () => {
+    it('should queue a new proof', async () => {
       const response = await authenticatedRequest(app, testUser)
         .post('/api/v1/proofs')
         .send({
@@ -63,9 +70,11 @@ describe('Proof API', () => {
           }
         });
       
-      expectSuccess(response, 201);
+      expectSuccess(response, 202);
+      expectMatchesSpec(response);
+      expect(response.body.jobId).toBeDefined();
+      expect(response.body.status).toBe('QUEUED');
       expect(response.body.referenceId).toBeDefined();
-      expect(response.body.proofId).toBeDefined();
       expect(response.body.expiresAt).toBeDefined();
       expect(response.body.proofType).toBe('STANDARD');
       expect(response.body.decryptionKey).toBeDefined();
@@ -117,12 +126,24 @@ describe('Proof API', () => {
         .get('/api/v1/proofs');
       
       expectSuccess(response, 200);
+      expectMatchesSpec(response);
       expect(response.body.proofs).toBeDefined();
       expect(response.body.proofs).toBeInstanceOf(Array);
       expect(response.body.pagination).toBeDefined();
       expect(response.body.pagination.page).toBeDefined();
     });
     
+    it('should include the verification count of each proof', async () => {
+      const response = await authenticatedRequest(app, testUser)
+        .get('/api/v1/proofs');
+      
+      expectSuccess(response, 200);
+      const proof = response.body.proofs.find((p: any) => p.id === testProof.id);
+      expect(proof).toBeDefined();
+      expect(typeof proof.verificationCount).toBe('number');
+      expect(proof._count).toBeUndefined();
+    });
+    
     it('should support pagination parameters', async () => {
       const response = await authenticatedRequest(app, testUser)
         .get('/api/v1/proofs?page=1&limit=5');
@@ -159,12 +180,80 @@ describe('Proof API', () => {
     });
   });
   
+  describe('/api/v1/proofs/jobs/:jobId', () => {
+    const queueProof = async () => {
+      const response = await authenticatedRequest(app, testUser)
+        .post('/api/v1/proofs')
+        .send({
+          proofType: 'STANDARD',
+          input: {
+            balance: "1000000000000000000",
+            threshold: "1000000000000000000",
+            userAddress: testUser.address
+          }
+        });
+      return response.body.jobId;
+    };
+    
+    it('should get the status of a queued job', async () => {
+      const jobId = await queueProof();
+      
+      const response = await authenticatedRequest(app, testUser)
+        .get(`/api/v1/proofs/jobs/${jobId}`);
+      
+      expectSuccess(response, 200);
+      expectMatchesSpec(response);
+      expect(response.body.job.id).toBe(jobId);
+      expect(response.body.job.status).toBe('QUEUED');
+      expect(response.body.job.stage).toBe('init');
+      expect(response.body.job.progress).toBe(0);
+      expect(response.body.job.proofId).toBeNull();
+      expect(response.body.job.input).toBeUndefined();
+      expect(response.body.job.encryptionKey).toBeUndefined();
+    });
+    
+    it('should cancel a queued job', async () => {
+      const jobId = await queueProof();
+      
+      const response = await authenticatedRequest(app, testUser)
+        .delete(`/api/v1/proofs/jobs/${jobId}`);
+      
+      expectSuccess(response, 200);
+      expectMatchesSpec(response);
+      expect(response.body.job.status).toBe('CANCELLED');
+      expect(response.body.job.completedAt).toBeDefined();
+    });
+    
+    it('should return 409 when the job has already finished', async () => {
+      const jobId = await queueProof();
+      
+      await authenticatedRequest(app, testUser)
+        .delete(`/api/v1/proofs/jobs/${jobId}`);
+      const response = await authenticatedRequest(app, testUser)
+        .delete(`/api/v1/proofs/jobs/${jobId}`);
+      
+      expectError(response, 409, 'JOB_ALREADY_FINISHED');
+      expectMatchesSpec(response);
+    });
+    
+    it('should return 404 when the job belongs to another user', async () => {
+      const jobId = await queueProof();
+      const anotherUser = await createUser();
+      
+      const response = await authenticatedRequest(app, anotherUser)
+        .get(`/api/v1/proofs/jobs/${jobId}`);
+      
+      expectError(response, 404, 'JOB_NOT_FOUND');
+    });
+  });
+  
   describe('GET /api/v1/proofs/:proofId', () => {
     it('should get proof details', async () => {
       const response = await authenticatedRequest(app, testUser)
         .get(`/api/v1/proofs/${testProof.id}`);
       
       expectSuccess(response, 200);
+      expectMatchesSpec(response);
       expect(response.body.id).toBe(testProof.id);
       expect(response.body.referenceId).toBe(testProof.referenceId);
       expect(response.body.proofType).toBe(testProof.proofType);
@@ -176,6 +265,7 @@ describe('Proof API', () => {
         .get(`/api/v1/proofs/${uuidv4()}`);
       
       expectError(response, 404, 'PROOF_NOT_FOUND');
+      expectMatchesSpec(response);
     });
     
     it('should return 403 when proof belongs to another user', async () => {
@@ -204,6 +294,7 @@ describe('Proof API', () => {
         });
       
       expectSuccess(response, 200);
+      expectMatchesSpec(response);
       expect(response.body.success).toBe(true);
       expect(response.body.proof.isRevoked).toBe(true);
       expect(response.body.proof.status).toBe('REVOKED');
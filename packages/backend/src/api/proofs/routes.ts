@@ -5,6 +5,7 @@ import { Router } from 'express';
 import { body, param, query } from 'express-validator';
 import { validate } from '../../middleware/validation';
 import { authenticate } from '../../middleware/auth';
+import { requireStepUp } from '../../middleware/twoFactorAuth';
 import { proofRateLimit } from '../../middleware/rateLimit';
 import { proofAuditMiddleware } from '../../middleware/auditMiddleware';
 import * as proofController from './controller';
@@ -16,7 +17,7 @@ router.use(authenticate);
 
 /**
  * POST /api/v1/proofs
- * @description Generate a new zero-knowledge proof
+ * @description Queue a new zero-knowledge proof for generation
  */
 router.post('/',
   proofRateLimit,
@@ -27,7 +28,11 @@ router.post('/',
       .withMessage('Valid proof type is required'),
     body('input')
       .isObject()
-      .withMessage('Valid input object is required')
+      .withMessage('Valid input object is required'),
+    body('templateId')
+      .optional()
+      .isUUID()
+      .withMessage('Valid template ID is required')
   ]),
   proofAuditMiddleware.create,
   proofController.generateProof
@@ -60,6 +65,40 @@ router.get('/',
   proofController.getUserProofs
 );
 
+/**
+ * GET /api/v1/proofs/events
+ * @description Stream job progress, transaction confirmations and proof status changes (Server-Sent Events)
+ */
+router.get('/events', proofController.streamProofEvents);
+
+/**
+ * GET /api/v1/proofs/jobs/:jobId
+ * @description Get the status and progress of a proof generation job
+ */
+router.get('/jobs/:jobId',
+  validate([
+    param('jobId')
+      .isUUID()
+      .withMessage('Valid job ID is required')
+  ]),
+  proofAuditMiddleware.read,
+  proofController.getProofJob
+);
+
+/**
+ * DELETE /api/v1/proofs/jobs/:jobId
+ * @description Cancel a queued or running proof generation job
+ */
+router.delete('/jobs/:jobId',
+  validate([
+    param('jobId')
+      .isUUID()
+      .withMessage('Valid job ID is required')
+  ]),
+  proofAuditMiddleware.update,
+  proofController.cancelProofJob
+);
+
 /**
  * GET /api/v1/proofs/:proofId
  * @description Get proof details
@@ -76,7 +115,7 @@ router.get('/:proofId',
 
 /**
  * POST /api/v1/proofs/:proofId/revoke
- * @description Revoke a proof
+ * @description Revoke a proof. Users with 2FA enabled must send a step-up token.
  */
 router.post('/:proofId/revoke',
   validate([
@@ -89,6 +128,7 @@ router.post('/:proofId/revoke',
       .isLength({ max: 255 })
       .withMessage('Reason must be a string with maximum 255 characters')
   ]),
+  requireStepUp,
   proofAuditMiddleware.update,
   proofController.revokeProof
 );
@@ -0,0 +1,75 @@
+/**
+ * Relay Controller
+ *
+ * Handles gas-sponsored proof submissions signed by temporary wallets
+ */
+import { Request, Response, NextFunction } from 'express';
+import { ApiError } from '../../middleware/errorHandler';
+import { relayerService } from '../../services/relayerService';
+
+/**
+ * Get the ID of the authenticated user
+ */
+const getUserId = (req: Request): string => {
+  if (!req.user?.id) {
+    throw new ApiError(401, 'Authentication required', 'UNAUTHORIZED');
+  }
+
+  return req.user.id;
+};
+
+/**
+ * Get the forwarder, EIP-712 domain and signer nonce for signing requests
+ */
+export const getForwarder = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    getUserId(req);
+    const forwarder = await relayerService.getForwarderInfo(req.query.from as string | undefined);
+
+    res.status(200).json(forwarder);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Relay a signed ForwardRequest
+ */
+export const relayTransaction = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const userId = getUserId(req);
+    const transaction = await relayerService.relay(userId, req.body.request, req.body.signature);
+
+    res.status(202).json({ transaction });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a relay transaction of the user
+ */
+export const getTransaction = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const userId = getUserId(req);
+    const transaction = await relayerService.getTransaction(req.params.transactionId, userId);
+
+    res.status(200).json({ transaction });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the user's remaining daily relay quota
+ */
+export const getQuota = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const userId = getUserId(req);
+    const quota = await relayerService.getQuota(userId);
+
+    res.status(200).json({ quota });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,78 @@
+/**
+ * Relay Routes
+ *
+ * Proof submissions signed by a temporary wallet are sent through the
+ * trusted forwarder by the platform relayer, which pays the gas.
+ */
+import { Router } from 'express';
+import { body, param, query } from 'express-validator';
+import { validate } from '../../middleware/validation';
+import { authenticate } from '../../middleware/auth';
+import { proofRateLimit } from '../../middleware/rateLimit';
+import * as relayController from './controller';
+
+const router = Router();
+
+// Relayed submissions count against the user's quota
+router.use(authenticate);
+
+/**
+ * GET /api/v1/relay/forwarder
+ * @description Get the forwarder and EIP-712 domain to sign requests for
+ */
+router.get('/forwarder',
+  validate([
+    query('from')
+      .optional()
+      .isEthereumAddress()
+      .withMessage('Valid signer address is required')
+  ]),
+  relayController.getForwarder
+);
+
+/**
+ * GET /api/v1/relay/quota
+ * @description Get the remaining daily relay quota
+ */
+router.get('/quota', relayController.getQuota);
+
+/**
+ * POST /api/v1/relay/transactions
+ * @description Relay a ForwardRequest signed by a temporary wallet
+ */
+router.post('/transactions',
+  proofRateLimit,
+  validate([
+    body('request')
+      .isObject()
+      .withMessage('Forward request is required'),
+    body(['request.from', 'request.to'])
+      .isEthereumAddress()
+      .withMessage('Valid addresses are required'),
+    body(['request.value', 'request.gas', 'request.nonce', 'request.deadline'])
+      .isInt({ min: 0 })
+      .withMessage('Value, gas, nonce and deadline must be non-negative integers'),
+    body('request.data')
+      .matches(/^0x([0-9a-fA-F]{2})+$/)
+      .withMessage('Call data must be a hex string'),
+    body('signature')
+      .matches(/^0x[0-9a-fA-F]{130}$/)
+      .withMessage('Valid 65-byte signature is required')
+  ]),
+  relayController.relayTransaction
+);
+
+/**
+ * GET /api/v1/relay/transactions/:transactionId
+ * @description Get the status of a relay transaction
+ */
+router.get('/transactions/:transactionId',
+  validate([
+    param('transactionId')
+      .isUUID()
+      .withMessage('Valid relay transaction ID is required')
+  ]),
+  relayController.getTransaction
+);
+
+export default router;
@@ -0,0 +1,156 @@
+/**
+ * Proof Template Controller
+ *
+ * Handles organization template management and the public template catalog
+ */
+import { Request, Response, NextFunction } from 'express';
+import { ApiError } from '../../middleware/errorHandler';
+import { proofTemplateService, ProofTemplateInput } from '../../services/proofTemplateService';
+
+const TEMPLATE_FIELDS: Array<keyof ProofTemplateInput> = [
+  'name',
+  'description',
+  'proofType',
+  'threshold',
+  'expiryPeriod',
+  'categoryTags',
+  'isPublic',
+  'minVerificationInterval',
+  'settings'
+];
+
+/**
+ * Pick the template fields present in the request body
+ */
+const getTemplateInput = (body: Record<string, any>): ProofTemplateInput => {
+  return Object.fromEntries(
+    TEMPLATE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+  );
+};
+
+/**
+ * Get the acting organization member attached by requireOrgRole
+ */
+const getActor = (req: Request) => {
+  if (!req.organizationMember) {
+    throw new ApiError(401, 'Authentication required', 'UNAUTHORIZED');
+  }
+
+  return req.organizationMember;
+};
+
+/**
+ * List the templates of an organization
+ */
+export const listOrganizationTemplates = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const actor = getActor(req);
+    const templates = await proofTemplateService.listOrganizationTemplates(
+      actor.organizationId,
+      req.query.includeInactive === 'true'
+    );
+
+    res.status(200).json({ templates });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a template of an organization
+ */
+export const getOrganizationTemplate = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const actor = getActor(req);
+    const template = await proofTemplateService.getOrganizationTemplate(actor.organizationId, req.params.templateId);
+
+    res.status(200).json(template);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Create a template
+ */
+export const createTemplate = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const actor = getActor(req);
+    const template = await proofTemplateService.createTemplate(
+      actor.organizationId,
+      getTemplateInput(req.body),
+      actor.userId
+    );
+
+    res.status(201).json(template);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a template
+ */
+export const updateTemplate = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const actor = getActor(req);
+    const template = await proofTemplateService.updateTemplate(
+      actor.organizationId,
+      req.params.templateId,
+      getTemplateInput(req.body),
+      actor.userId
+    );
+
+    res.status(200).json(template);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a template
+ */
+export const deleteTemplate = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const actor = getActor(req);
+    await proofTemplateService.deleteTemplate(actor.organizationId, req.params.templateId, actor.userId);
+
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List the public template catalog
+ */
+export const listPublicTemplates = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const { proofType, tag, search, page = '1', limit = '20' } = req.query;
+
+    const result = await proofTemplateService.listPublicTemplates({
+      proofType: proofType as string | undefined,
+      tag: tag as string | undefined,
+      search: search as string | undefined,
+      page: parseInt(page as string, 10),
+      limit: parseInt(limit as string, 10)
+    });
+
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get the template behind a proof request link
+ */
+export const getRequestTemplate = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const template = await proofTemplateService.getRequestTemplate(req.params.templateId);
+
+    res.status(200).json(template);
+  } catch (error) {
+    next(error);
+  }
+};
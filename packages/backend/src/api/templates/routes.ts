@@ -0,0 +1,176 @@
+/**
+ * Proof Template Routes
+ *
+ * The default router serves the public template catalog under /templates.
+ * organizationTemplateRoutes is mounted by the organization routes under
+ * /organizations/:organizationId/templates.
+ */
+import { Router } from 'express';
+import { body, param, query } from 'express-validator';
+import { validate } from '../../middleware/validation';
+import { requireOrgRole } from '../../middleware/organizationAuth';
+import * as templateController from './controller';
+
+const PROOF_TYPES = ['STANDARD', 'THRESHOLD', 'MAXIMUM', 'ZERO_KNOWLEDGE'];
+
+// Expiry periods between one hour and one year
+const MIN_EXPIRY_PERIOD = 60 * 60;
+const MAX_EXPIRY_PERIOD = 365 * 24 * 60 * 60;
+
+const templateIdParam = param('templateId')
+  .isUUID()
+  .withMessage('Valid template ID is required');
+
+const templateFields = (optional: boolean) => {
+  const field = (name: string) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('name')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 255 })
+      .withMessage('Name must be between 1 and 255 characters'),
+    field('proofType')
+      .isIn(PROOF_TYPES)
+      .withMessage('Valid proof type is required'),
+    field('threshold')
+      .isString()
+      .matches(/^\d+(\.\d+)?$/)
+      .withMessage('Threshold must be a non-negative decimal amount'),
+    field('expiryPeriod')
+      .isInt({ min: MIN_EXPIRY_PERIOD, max: MAX_EXPIRY_PERIOD })
+      .withMessage(`Expiry period must be between ${MIN_EXPIRY_PERIOD} and ${MAX_EXPIRY_PERIOD} seconds`)
+      .toInt(),
+    body('description')
+      .optional({ nullable: true })
+      .isString()
+      .isLength({ max: 1000 })
+      .withMessage('Description must be a string with maximum 1000 characters'),
+    body('categoryTags')
+      .optional()
+      .isArray({ max: 10 })
+      .withMessage('Category tags must be an array of at most 10 tags'),
+    body('categoryTags.*')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Each category tag must be between 1 and 50 characters'),
+    body('isPublic')
+      .optional()
+      .isBoolean()
+      .withMessage('isPublic must be a boolean')
+      .toBoolean(),
+    body('minVerificationInterval')
+      .optional({ nullable: true })
+      .isInt({ min: 0 })
+      .withMessage('Minimum verification interval must be a non-negative number of seconds')
+      .toInt(),
+    body('settings')
+      .optional()
+      .isObject()
+      .withMessage('Settings must be an object')
+  ];
+};
+
+const router = Router();
+
+/**
+ * GET /api/v1/templates
+ * @description List public templates
+ */
+router.get('/',
+  validate([
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+    query('proofType')
+      .optional()
+      .isIn(PROOF_TYPES)
+      .withMessage('Valid proof type is required'),
+    query('tag')
+      .optional()
+      .isString()
+      .isLength({ max: 50 }),
+    query('search')
+      .optional()
+      .isString()
+      .isLength({ max: 100 })
+  ]),
+  templateController.listPublicTemplates
+);
+
+/**
+ * GET /api/v1/templates/:templateId
+ * @description Get the template behind a proof request link
+ */
+router.get('/:templateId',
+  validate([templateIdParam]),
+  templateController.getRequestTemplate
+);
+
+/**
+ * Organization template routes, mounted below /organizations/:organizationId
+ */
+export const organizationTemplateRoutes = Router({ mergeParams: true });
+
+/**
+ * GET /api/v1/organizations/:organizationId/templates
+ * @description List the organization's templates
+ */
+organizationTemplateRoutes.get('/',
+  validate([
+    query('includeInactive')
+      .optional()
+      .isBoolean()
+      .withMessage('includeInactive must be a boolean')
+  ]),
+  requireOrgRole('MEMBER'),
+  templateController.listOrganizationTemplates
+);
+
+/**
+ * POST /api/v1/organizations/:organizationId/templates
+ * @description Create a template
+ */
+organizationTemplateRoutes.post('/',
+  validate(templateFields(false)),
+  requireOrgRole('ADMIN'),
+  templateController.createTemplate
+);
+
+/**
+ * GET /api/v1/organizations/:organizationId/templates/:templateId
+ * @description Get a template
+ */
+organizationTemplateRoutes.get('/:templateId',
+  validate([templateIdParam]),
+  requireOrgRole('MEMBER'),
+  templateController.getOrganizationTemplate
+);
+
+/**
+ * PATCH /api/v1/organizations/:organizationId/templates/:templateId
+ * @description Update a template
+ */
+organizationTemplateRoutes.patch('/:templateId',
+  validate([templateIdParam, ...templateFields(true)]),
+  requireOrgRole('ADMIN'),
+  templateController.updateTemplate
+);
+
+/**
+ * DELETE /api/v1/organizations/:organizationId/templates/:templateId
+ * @description Delete a template
+ */
+organizationTemplateRoutes.delete('/:templateId',
+  validate([templateIdParam]),
+  requireOrgRole('ADMIN'),
+  templateController.deleteTemplate
+);
+
+export default router;
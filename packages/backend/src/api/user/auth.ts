@@ -10,6 +10,7 @@ import { validate } from '../../middleware/validation';
 import { authRateLimit } from '../../middleware/rateLimit';
 import { authAuditMiddleware } from '../../middleware/auditMiddleware';
 import { authenticate } from '../../middleware/auth';
+import { requireStepUp } from '../../middleware/twoFactorAuth';
 import * as emailAuthService from '../../services/emailAuthService';
 import * as emailVerificationService from '../../services/emailVerificationService';
 import { ApiError } from '../../middleware/errorHandler';
@@ -166,10 +167,11 @@ router.post('/reset-password',
 
 /**
  * POST /api/user/auth/change-password
- * Change password for authenticated user
+ * Change password for authenticated user; users with 2FA enabled must step up first
  */
 router.post('/change-password',
   authenticate,
+  requireStepUp,
   validate([
     body('currentPassword')
       .isString()
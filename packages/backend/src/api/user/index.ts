@@ -7,15 +7,19 @@ import { Router } from 'express';
 import { authenticate } from '../../middleware/auth';
 import preferencesRoutes from './preferences';
 import emailAuthRoutes from './auth';
+import passkeyRoutes from './passkeys';
+import twoFactorRoutes from './twoFactor';
 
 // Create main router
 const router = Router();
 
-// Register authentication routes (no auth required)
+// Register authentication routes (no auth required); passkeys before the email routes they are nested under
+router.use('/auth/passkeys', passkeyRoutes);
 router.use('/auth', emailAuthRoutes);
 
 // Register authenticated routes
 router.use('/preferences', preferencesRoutes);
+router.use('/2fa', twoFactorRoutes);
 
 // Add user info route
 router.get('/me', authenticate, (req, res) => {
@@ -0,0 +1,148 @@
+/**
+ * Passkey API Tests
+ *
+ * Registering a passkey adds a factor that can log in and step up on its own,
+ * so it must not be possible with an access token alone.
+ */
+import { Request, Response } from 'express';
+import passkeyRoutes from './passkeys';
+import { passkeyService } from '../../services/passkeyService';
+import { isTwoFactorRequired, verifyStepUpToken } from '../../services/twoFactorService';
+
+jest.mock('../../middleware/auth', () => ({
+  authenticate: (req: any, _res: any, next: any) => {
+    req.user = { id: 'user-1' };
+    next();
+  }
+}));
+
+jest.mock('../../middleware/rateLimit', () => ({
+  authRateLimit: (_req: any, _res: any, next: any) => next(),
+  twoFactorRateLimit: (_req: any, _res: any, next: any) => next()
+}));
+
+jest.mock('../../services/passkeyService', () => ({
+  passkeyService: {
+    generateRegistrationOptions: jest.fn(),
+    verifyRegistration: jest.fn()
+  }
+}));
+
+jest.mock('../../services/twoFactorService', () => ({
+  isTwoFactorRequired: jest.fn(),
+  verifyStepUpToken: jest.fn(),
+  issueStepUpToken: jest.fn()
+}));
+
+jest.mock('../../services/auditLogService', () => ({
+  auditLogService: {
+    log: jest.fn().mockResolvedValue(undefined)
+  }
+}));
+
+jest.mock('../../utils/logger', () => ({
+  __esModule: true,
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+const mockIsTwoFactorRequired = isTwoFactorRequired as jest.Mock;
+const mockVerifyStepUpToken = verifyStepUpToken as jest.Mock;
+const mockGenerateRegistrationOptions = passkeyService.generateRegistrationOptions as jest.Mock;
+const mockVerifyRegistration = passkeyService.verifyRegistration as jest.Mock;
+
+/**
+ * Send a request through the passkey router and wait for the response
+ */
+const send = (path: string, headers: Record<string, string> = {}, body: Record<string, any> = {}) =>
+  new Promise<{ status: number; body: any }>((resolve, reject) => {
+    const req = {
+      method: 'POST',
+      url: path,
+      originalUrl: path,
+      path,
+      headers,
+      body,
+      ip: '127.0.0.1',
+      get: (name: string) => headers[name.toLowerCase()]
+    } as unknown as Request;
+
+    const res: any = {};
+    res.status = jest.fn((status: number) => {
+      res.statusCode = status;
+      return res;
+    });
+    res.json = jest.fn((data: any) => {
+      resolve({ status: res.statusCode, body: data });
+      return res;
+    });
+
+    (passkeyRoutes as any)(req, res as Response, (error?: any) => {
+      if (error) {
+        reject(error);
+      } else {
+        reject(new Error(`No route handled ${path}`));
+      }
+    });
+  });
+
+describe('Passkey API', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockGenerateRegistrationOptions.mockResolvedValue({ challenge: 'AAEC' });
+  });
+
+  describe('POST /register/options', () => {
+    it('should refuse registration without a step-up token when 2FA is enabled', async () => {
+      mockIsTwoFactorRequired.mockResolvedValue(true);
+
+      const response = await send('/register/options');
+
+      expect(response.status).toBe(403);
+      expect(response.body.requiresTwoFactor).toBe(true);
+      expect(mockGenerateRegistrationOptions).not.toHaveBeenCalled();
+    });
+
+    it('should allow registration with a valid step-up token', async () => {
+      mockIsTwoFactorRequired.mockResolvedValue(true);
+      mockVerifyStepUpToken.mockReturnValue(true);
+
+      const response = await send('/register/options', { 'x-step-up-token': 'step-up' });
+
+      expect(response.status).toBe(200);
+      expect(mockVerifyStepUpToken).toHaveBeenCalledWith('step-up', 'user-1');
+      expect(mockGenerateRegistrationOptions).toHaveBeenCalledWith('user-1');
+    });
+
+    it('should allow users without 2FA to register their first passkey', async () => {
+      mockIsTwoFactorRequired.mockResolvedValue(false);
+
+      const response = await send('/register/options');
+
+      expect(response.status).toBe(200);
+      expect(mockGenerateRegistrationOptions).toHaveBeenCalledWith('user-1');
+    });
+  });
+
+  describe('POST /register/verify', () => {
+    it('should refuse to store a passkey without a step-up token when 2FA is enabled', async () => {
+      mockIsTwoFactorRequired.mockResolvedValue(true);
+
+      const response = await send('/register/verify', {}, {
+        response: {
+          id: 'AQI',
+          rawId: 'AQI',
+          type: 'public-key',
+          response: { clientDataJSON: 'Aw', attestationObject: 'BA' }
+        }
+      });
+
+      expect(response.status).toBe(403);
+      expect(mockVerifyRegistration).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,272 @@
+/**
+ * Passkey API Endpoints
+ *
+ * WebAuthn registration and assertion endpoints for passkey login, step-up
+ * authentication and passkey management
+ */
+
+import { Router, Request, Response, NextFunction } from 'express';
+import { body, param } from 'express-validator';
+import { validate } from '../../middleware/validation';
+import { authRateLimit, twoFactorRateLimit } from '../../middleware/rateLimit';
+import { authenticate } from '../../middleware/auth';
+import { requireStepUp } from '../../middleware/twoFactorAuth';
+import { passkeyService } from '../../services/passkeyService';
+import { issueStepUpToken } from '../../services/twoFactorService';
+import { ApiError } from '../../middleware/errorHandler';
+
+const router = Router();
+
+const credentialValidation = [
+  body('response')
+    .isObject()
+    .withMessage('Passkey response is required'),
+  body('response.id')
+    .isString()
+    .withMessage('Passkey credential ID is required'),
+  body('response.rawId')
+    .isString()
+    .withMessage('Passkey raw credential ID is required'),
+  body('response.type')
+    .isIn(['public-key'])
+    .withMessage('Passkey credential type must be public-key'),
+  body('response.response.clientDataJSON')
+    .isString()
+    .withMessage('Client data is required')
+];
+
+const nameValidation = (required: boolean) => {
+  const chain = body('name');
+  return (required ? chain : chain.optional())
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 64 })
+    .withMessage('Name must be between 1 and 64 characters long');
+};
+
+const getUserId = (req: Request): string => {
+  if (!req.user || !req.user.id) {
+    throw new ApiError(401, 'User not authenticated', 'NOT_AUTHENTICATED');
+  }
+  return req.user.id;
+};
+
+/**
+ * POST /api/user/auth/passkeys/register/options
+ * Get the options to create a passkey for the authenticated user. A passkey
+ * can log in and step up on its own, so users with 2FA enabled or a passkey
+ * must step up first.
+ */
+router.post('/register/options',
+  authenticate,
+  requireStepUp,
+  async (req: Request, res: Response, next: NextFunction) => {
+    try {
+      const options = await passkeyService.generateRegistrationOptions(getUserId(req));
+
+      return res.status(200).json({ success: true, options });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/user/auth/passkeys/register/verify
+ * Verify the created passkey and store it; requires the same step-up as the options
+ */
+router.post('/register/verify',
+  authenticate,
+  requireStepUp,
+  validate([
+    ...credentialValidation,
+    body('response.response.attestationObject')
+      .isString()
+      .withMessage('Attestation object is required'),
+    nameValidation(false)
+  ]),
+  async (req: Request, res: Response, next: NextFunction) => {
+    try {
+      const passkey = await passkeyService.verifyRegistration(getUserId(req), req.body.response, req.body.name);
+
+      return res.status(201).json({
+        success: true,
+        message: 'Passkey registered',
+        passkey
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/user/auth/passkeys/login/options
+ * Get the options to log in with any passkey of this site
+ */
+router.post('/login/options',
+  authRateLimit,
+  async (req: Request, res: Response, next: NextFunction) => {
+    try {
+      const options = await passkeyService.generateAuthenticationOptions('login');
+
+      return res.status(200).json({ success: true, options });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/user/auth/passkeys/login/verify
+ * Log in with a passkey
+ */
+router.post('/login/verify',
+  authRateLimit,
+  validate([
+    ...credentialValidation,
+    body('response.response.authenticatorData')
+      .isString()
+      .withMessage('Authenticator data is required'),
+    body('response.response.signature')
+      .isString()
+      .withMessage('Signature is required')
+  ]),
+  async (req: Request, res: Response, next: NextFunction) => {
+    try {
+      const result = await passkeyService.login(req.body.response);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Login successful',
+        token: result.tokens.accessToken,
+        refreshToken: result.tokens.refreshToken,
+        user: result.user
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/user/auth/passkeys/step-up/options
+ * Get the options to step up with a passkey of the authenticated user
+ */
+router.post('/step-up/options',
+  twoFactorRateLimit,
+  authenticate,
+  async (req: Request, res: Response, next: NextFunction) => {
+    try {
+      const options = await passkeyService.generateAuthenticationOptions('step_up', getUserId(req));
+
+      return res.status(200).json({ success: true, options });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * POST /api/user/auth/passkeys/step-up/verify
+ * Verify a passkey of the authenticated user and return a short-lived step-up token,
+ * accepted by sensitive actions like a TOTP step-up token
+ */
+router.post('/step-up/verify',
+  twoFactorRateLimit,
+  authenticate,
+  validate([
+    ...credentialValidation,
+    body('response.response.authenticatorData')
+      .isString()
+      .withMessage('Authenticator data is required'),
+    body('response.response.signature')
+      .isString()
+      .withMessage('Signature is required')
+  ]),
+  async (req: Request, res: Response, next: NextFunction) => {
+    try {
+      const userId = getUserId(req);
+      await passkeyService.verifyAuthentication(req.body.response, 'step_up', userId);
+
+      const stepUp = issueStepUpToken(userId, 'passkey');
+
+      return res.status(200).json({
+        success: true,
+        message: 'Verification successful',
+        stepUpToken: stepUp.token,
+        expiresAt: stepUp.expiresAt
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/user/auth/passkeys
+ * List the passkeys of the authenticated user
+ */
+router.get('/',
+  authenticate,
+  async (req: Request, res: Response, next: NextFunction) => {
+    try {
+      const passkeys = await passkeyService.listCredentials(getUserId(req));
+
+      return res.status(200).json({ success: true, passkeys });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * PATCH /api/user/auth/passkeys/:passkeyId
+ * Rename a passkey
+ */
+router.patch('/:passkeyId',
+  authenticate,
+  validate([
+    param('passkeyId')
+      .isUUID()
+      .withMessage('Invalid passkey ID'),
+    nameValidation(true)
+  ]),
+  async (req: Request, res: Response, next: NextFunction) => {
+    try {
+      const passkey = await passkeyService.renameCredential(getUserId(req), req.params.passkeyId, req.body.name);
+
+      return res.status(200).json({ success: true, passkey });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * DELETE /api/user/auth/passkeys/:passkeyId
+ * Remove a passkey; users with 2FA enabled or a passkey must step up first
+ */
+router.delete('/:passkeyId',
+  authenticate,
+  requireStepUp,
+  validate([
+    param('passkeyId')
+      .isUUID()
+      .withMessage('Invalid passkey ID')
+  ]),
+  async (req: Request, res: Response, next: NextFunction) => {
+    try {
+      await passkeyService.deleteCredential(getUserId(req), req.params.passkeyId);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Passkey removed'
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+export default router;
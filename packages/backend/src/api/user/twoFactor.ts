@@ -18,7 +18,7 @@ const router = express.Router();
  * Initialize 2FA setup
  * POST /api/user/2fa/setup
  * 
- * Generates a new TOTP secret and QR code for the user
+ * Generates a new TOTP secret and the otpauth:// URI to show as a QR code
  */
 router.post('/setup', authenticate, validateCsrfToken, async (req, res) => {
   try {
@@ -47,7 +47,7 @@ router.post('/setup', authenticate, validateCsrfToken, async (req, res) => {
     return res.status(200).json({
       success: true,
       secret: result.secret,
-      qrCodeUrl: result.qrCodeUrl,
+      otpauthUrl: result.otpauthUrl,
       message: result.message
     });
   } catch (error) {
@@ -113,6 +113,13 @@ router.post(
       // If verification succeeded, confirm 2FA setup
       const confirmationResult = await twoFactorService.confirmTwoFactor(userId);
 
+      if (!confirmationResult.success) {
+        return res.status(400).json({
+          success: false,
+          message: confirmationResult.message
+        });
+      }
+
       return res.status(200).json({
         success: true,
         message: 'Two-factor authentication has been enabled',
@@ -133,17 +140,19 @@ router.post(
 );
 
 /**
- * Validate 2FA token during login
- * POST /api/user/2fa/validate
+ * Step up for a sensitive action
+ * POST /api/user/2fa/step-up
  * 
- * Validates a TOTP token during the login process
+ * Verifies a TOTP or backup code and returns a short-lived step-up token.
+ * Sensitive actions of users with 2FA enabled require it in the X-Step-Up-Token header.
  * Rate limited to 5 attempts per 30 minutes per IP address
  */
 router.post(
-  '/validate',
+  '/step-up',
   twoFactorRateLimit,
+  authenticate,
   validateCsrfToken,
-  [body('userId').isUUID(), body('token').isString().isLength({ min: 6, max: 10 })],
+  [body('token').isString().isLength({ min: 6, max: 11 })],
   async (req, res) => {
     try {
       // Validate request body
@@ -151,32 +160,57 @@ router.post(
       if (!errors.isEmpty()) {
         return res.status(400).json({
           success: false,
-          message: 'Invalid request parameters',
+          message: 'Invalid verification code format',
           errors: errors.array()
         });
       }
 
-      const { userId, token } = req.body;
+      // Ensure user is authenticated
+      if (!req.user || !req.user.id) {
+        return res.status(401).json({
+          success: false,
+          message: 'Authentication required'
+        });
+      }
+
+      const userId = req.user.id;
+
+      if (!(await twoFactorService.isTwoFactorRequired(userId))) {
+        return res.status(400).json({
+          success: false,
+          message: '2FA is not enabled for this account'
+        });
+      }
 
       // Verify the provided token
       const verificationResult = await twoFactorService.verifyTwoFactorToken(
         userId,
-        token
+        req.body.token
       );
 
+      if (!verificationResult.isValid) {
+        return res.status(401).json({
+          success: false,
+          message: verificationResult.message
+        });
+      }
+
+      const stepUp = twoFactorService.issueStepUpToken(userId, verificationResult.method || 'totp');
+
       return res.status(200).json({
-        success: verificationResult.isValid,
-        message: verificationResult.message
+        success: true,
+        stepUpToken: stepUp.token,
+        expiresAt: stepUp.expiresAt.toISOString()
       });
     } catch (error) {
-      logger.error('2FA validation endpoint error', {
+      logger.error('2FA step-up endpoint error', {
         error: error instanceof Error ? error.message : String(error),
-        userId: req.body.userId
+        userId: req.user?.id
       });
 
       return res.status(500).json({
         success: false,
-        message: 'Failed to validate 2FA token. Please try again later.'
+        message: 'Failed to verify 2FA token. Please try again later.'
       });
     }
   }
@@ -192,7 +226,7 @@ router.post(
   '/disable',
   authenticate,
   validateCsrfToken,
-  [body('token').isString().isLength({ min: 6, max: 10 })],
+  [body('token').isString().isLength({ min: 6, max: 11 })],
   async (req, res) => {
     try {
       // Validate request body
@@ -260,7 +294,7 @@ router.post(
   '/backup-codes',
   authenticate,
   validateCsrfToken,
-  [body('token').isString().isLength({ min: 6, max: 10 })],
+  [body('token').isString().isLength({ min: 6, max: 11 })],
   async (req, res) => {
     try {
       // Validate request body
@@ -343,7 +377,7 @@ router.get('/status', authenticate, async (req, res) => {
     return res.status(200).json({
       success: true,
       isEnabled: status.isEnabled,
-      isConfirmed: status.isConfirmed,
+      setupPending: status.setupPending,
       backupCodesCount: status.backupCodesCount
     });
   } catch (error) {
@@ -359,113 +393,4 @@ router.get('/status', authenticate, async (req, res) => {
   }
 });
 
-/**
- * Complete login with 2FA token
- * POST /api/user/2fa/complete-login
- * 
- * Completes the login process with a verified 2FA token
- * Rate limited to 5 attempts per 30 minutes per IP address
- */
-router.post(
-  '/complete-login',
-  twoFactorRateLimit,
-  validateCsrfToken,
-  [body('userId').isUUID(), body('token').isString().isLength({ min: 6, max: 10 })],
-  async (req, res) => {
-    try {
-      // Validate request body
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid request parameters',
-          errors: errors.array()
-        });
-      }
-
-      const { userId, token } = req.body;
-
-      // Verify the provided token
-      const verificationResult = await twoFactorService.verifyTwoFactorToken(
-        userId,
-        token
-      );
-
-      if (!verificationResult.isValid) {
-        return res.status(401).json({
-          success: false,
-          message: 'Invalid verification code'
-        });
-      }
-
-      // Get the user details
-      const user = await prisma.user.findUnique({
-        where: { id: userId },
-        select: {
-          id: true,
-          email: true,
-          walletAddress: true,
-          permissions: true,
-          twoFactorEnabled: true
-        }
-      });
-
-      if (!user) {
-        return res.status(404).json({
-          success: false,
-          message: 'User not found'
-        });
-      }
-
-      // Generate tokens for the authenticated user
-      const { generateAccessToken, generateRefreshToken } = await import('../../utils/auth');
-      const accessToken = generateAccessToken(user);
-      const refreshToken = generateRefreshToken(user);
-
-      // Log successful login with 2FA
-      logger.info('User completed login with 2FA', { userId });
-      
-      // Audit log entry
-      await auditLogService.log({
-        eventType: AuditEventType.TWO_FACTOR_VERIFICATION,
-        actorId: userId,
-        actorType: ActorType.USER,
-        action: AuditAction.LOGIN,
-        status: AuditStatus.SUCCESS,
-        details: {
-          tokenType: 'TOTP',
-          twoFactorUsed: true
-        },
-        severity: AuditSeverity.INFO
-      });
-
-      return res.status(200).json({
-        success: true,
-        message: 'Login successful',
-        tokens: {
-          accessToken,
-          refreshToken
-        },
-        user: {
-          id: user.id,
-          email: user.email,
-          walletAddress: user.walletAddress,
-          permissions: user.permissions,
-          twoFactorEnabled: user.twoFactorEnabled
-        }
-      });
-    } catch (error) {
-      logger.error('2FA complete login endpoint error', {
-        error: error instanceof Error ? error.message : String(error),
-        userId: req.body.userId
-      });
-
-      return res.status(500).json({
-        success: false,
-        message: 'Failed to complete login. Please try again later.'
-      });
-    }
-  }
-);
-
 export default router;
\ No newline at end of file
@@ -12,14 +12,15 @@ import { ApiError } from '../../middleware/errorHandler';
 import logger from '../../utils/logger';
 import { decryptData } from '../../utils/crypto';
 import config from '../../config';
-import { SecretManagerServiceClient } from '@google-cloud/secret-manager';
 import { auditLogService } from '../../services/auditLogService';
+import { batchAnchoringService } from '../../services/batchAnchoringService';
+import { proofTemplateService } from '../../services/proofTemplateService';
+import { webhookService } from '../../services/webhookService';
+import { proofEventService } from '../../services/proofEventService';
 import { AuditEventType, ActorType, AuditAction, AuditStatus, AuditSeverity } from '../../models/auditLog';
 
-// Initialize Secret Manager client if GCP integration is enabled
-const secretManager = config.gcp.secretManager.enabled
-  ? new SecretManagerServiceClient()
-  : null;
+// Number of recent verifications returned with a verification result
+const VERIFICATION_HISTORY_LIMIT = 20;
 
 /**
  * Verify a proof using its reference ID
@@ -49,6 +50,10 @@ export const verifyProof = async (req: Request, res: Response, next: NextFunctio
         isRevoked: true,
         expiresAt: true,
         status: true,
+        batchId: true,
+        templateId: true,
+        warningFlags: true,
+        balanceSnapshot: true,
         createdAt: true,
         user: {
           select: {
@@ -68,8 +73,18 @@ export const verifyProof = async (req: Request, res: Response, next: NextFunctio
       throw new ApiError(400, 'Proof has been revoked', 'PROOF_REVOKED');
     }
 
-    // Check if proof is expired
+    // Check if proof is expired, moving it to EXPIRED the first time
     if (proof.expiresAt < new Date()) {
+      const { count } = await prisma.proof.updateMany({
+        where: { id: proof.id, isRevoked: false, status: { notIn: ['EXPIRED', 'REVOKED'] } },
+        data: { status: 'EXPIRED' }
+      });
+
+      if (count > 0) {
+        await webhookService.emitProofEvent('proof.expired', proof.id);
+        await proofEventService.publishProofEvent('proof.expired', proof.id);
+      }
+
       throw new ApiError(400, 'Proof has expired', 'PROOF_EXPIRED');
     }
 
@@ -78,6 +93,9 @@ export const verifyProof = async (req: Request, res: Response, next: NextFunctio
       throw new ApiError(400, `Proof is in ${proof.status} state, not ready for verification`, 'PROOF_NOT_CONFIRMED');
     }
 
+    // Templates can limit how often their proofs are verified
+    const releaseVerification = await proofTemplateService.reserveVerification(proof.id, proof.templateId);
+
     try {
       // Convert decryption key from hex to buffer
       const keyBuffer = Buffer.from(decryptionKey, 'hex');
@@ -102,12 +120,23 @@ export const verifyProof = async (req: Request, res: Response, next: NextFunctio
       const vKey = JSON.parse(fs.readFileSync(vkeyPath, 'utf8'));
       
       // Verify the proof
-      const isValid = await snarkjs.groth16.verify(
+      const isProofValid = await snarkjs.groth16.verify(
         vKey,
         decryptedData.publicSignals,
         decryptedData.proof
       );
       
+      // Batched proofs must also be included in their anchored Merkle root
+      const batchInclusion = proof.batchId
+        ? await batchAnchoringService.verifyInclusion(proof.referenceId)
+        : null;
+      const isValid = isProofValid && (!batchInclusion || batchInclusion.included);
+      
+      // Only successful verifications count towards the template interval
+      if (!isValid) {
+        await releaseVerification();
+      }
+      
       // Record the verification attempt
       const verification = await prisma.verification.create({
         data: {
@@ -123,11 +152,33 @@ export const verifyProof = async (req: Request, res: Response, next: NextFunctio
             createdAt: proof.createdAt,
             expiresAt: proof.expiresAt,
             issuerAddress: proof.user.address,
+            batch: batchInclusion,
             ...decryptedData.input
           }
         }
       });
       
+      await webhookService.emitProofEvent('proof.verified', proof.id, {
+        verificationId: verification.id,
+        isValid,
+        verifierAddress: req.body.verifierAddress || null
+      });
+      await proofEventService.publishProofEvent('proof.verified', proof.id, {
+        verificationId: verification.id,
+        isValid
+      });
+      
+      // Recent verifications of this proof, including this one
+      const verificationHistory = await prisma.verification.findMany({
+        where: { proofId: proof.id },
+        orderBy: { verifiedAt: 'desc' },
+        take: VERIFICATION_HISTORY_LIMIT,
+        select: {
+          verifiedAt: true,
+          isSuccessful: true
+        }
+      });
+      
       // Log successful verification
       await auditLogService.log({
         eventType: AuditEventType.PROOF_VERIFY,
@@ -141,6 +192,8 @@ export const verifyProof = async (req: Request, res: Response, next: NextFunctio
           verificationId: verification.id,
           isValid,
           proofType: proof.proofType,
+          batchId: proof.batchId,
+          batchIncluded: batchInclusion ? batchInclusion.included : undefined,
           verifierAddress: req.body.verifierAddress || 'unknown'
         },
         ipAddress: req.ip,
@@ -157,11 +210,16 @@ export const verifyProof = async (req: Request, res: Response, next: NextFunctio
         expiresAt: proof.expiresAt,
         verificationId: verification.id,
         input: decryptedData.input,
+        batch: batchInclusion,
+        warningFlags: proof.warningFlags,
+        balanceSnapshot: proof.balanceSnapshot,
+        verificationHistory,
         // Only include the safe subset of data that should be viewable by verifier
         issuerAddress: proof.user.address
       });
     } catch (error) {
       logger.error('Proof verification error', { error, referenceId });
+      await releaseVerification();
       
       // Create a record of failed verification
       await prisma.verification.create({
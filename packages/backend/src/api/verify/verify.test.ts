@@ -4,6 +4,7 @@
 import { createTestServer, publicRequest, expectSuccess, expectError } from '../../../test/api-test-helpers';
 import { createUser, createWallet, createProof } from '@proof-of-funds/db/test/seed-test-data';
 import { MockZkProofService } from '../../../test/mock-services';
+import { expectMatchesSpec } from '../../../test/openapi-validator';
 import { v4 as uuidv4 } from 'uuid';
 
 // Mock ZK proof service
@@ -87,6 +88,7 @@ describe('Verification API', () => {
         .get(`/api/v1/verify/${testProof.referenceId}`);
       
       expectSuccess(response, 200);
+      expectMatchesSpec(response);
       expect(response.body.exists).toBe(true);
       expect(response.body.proofType).toBe('STANDARD');
       expect(response.body.status).toBe('CONFIRMED');
@@ -116,6 +118,7 @@ describe('Verification API', () => {
         .get(`/api/v1/verify/non-existent-reference-id`);
       
       expectError(response, 404, 'PROOF_NOT_FOUND');
+      expectMatchesSpec(response);
     });
   });
   
@@ -128,6 +131,7 @@ describe('Verification API', () => {
         });
       
       expectSuccess(response, 200);
+      expectMatchesSpec(response);
       expect(response.body.isValid).toBe(true);
       expect(response.body.proofType).toBe('STANDARD');
       expect(response.body.input).toBeDefined();
@@ -193,5 +197,23 @@ describe('Verification API', () => {
       expectSuccess(response, 200);
       expect(response.body.isValid).toBe(true);
     });
+    
+    it('should return warning flags and the verification history', async () => {
+      const response = await publicRequest(app)
+        .post(`/api/v1/verify/${testProof.referenceId}`)
+        .send({
+          decryptionKey: '0123456789abcdef0123456789abcdef0123456789abcdef0123456789abcdef'
+        });
+      
+      expectSuccess(response, 200);
+      expectMatchesSpec(response);
+      expect(response.body.warningFlags).toEqual(expect.any(Array));
+      expect(response.body.verificationHistory.length).toBeGreaterThan(1);
+      expect(response.body.verificationHistory[0]).toEqual({
+        verifiedAt: expect.any(String),
+        isSuccessful: true
+      });
+      expect(response.body.verificationHistory[0].verifierAddress).toBeUndefined();
+    });
   });
 });
\ No newline at end of file
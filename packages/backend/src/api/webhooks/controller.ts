@@ -0,0 +1,181 @@
+/**
+ * Webhook Controller
+ *
+ * Handles organization webhook endpoints and their delivery log
+ */
+import { Request, Response, NextFunction } from 'express';
+import { ApiError } from '../../middleware/errorHandler';
+import { webhookService, WebhookEndpointInput } from '../../services/webhookService';
+
+const ENDPOINT_FIELDS: Array<keyof WebhookEndpointInput> = ['url', 'description', 'events', 'isActive'];
+
+/**
+ * Pick the endpoint fields present in the request body
+ */
+const getEndpointInput = (body: Record<string, any>): WebhookEndpointInput => {
+  return Object.fromEntries(
+    ENDPOINT_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]])
+  );
+};
+
+/**
+ * Get the acting organization member attached by requireOrgRole
+ */
+const getActor = (req: Request) => {
+  if (!req.organizationMember) {
+    throw new ApiError(401, 'Authentication required', 'UNAUTHORIZED');
+  }
+
+  return req.organizationMember;
+};
+
+/**
+ * Read the page and limit query parameters
+ */
+const getPaging = (req: Request) => ({
+  page: req.query.page ? parseInt(req.query.page as string, 10) : undefined,
+  limit: req.query.limit ? parseInt(req.query.limit as string, 10) : undefined
+});
+
+/**
+ * List the webhook endpoints of an organization
+ */
+export const listEndpoints = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const actor = getActor(req);
+    const endpoints = await webhookService.listEndpoints(actor.organizationId);
+
+    res.status(200).json({ endpoints });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Get a webhook endpoint
+ */
+export const getEndpoint = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const actor = getActor(req);
+    const endpoint = await webhookService.getEndpoint(actor.organizationId, req.params.endpointId);
+
+    res.status(200).json(endpoint);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Register a webhook endpoint
+ */
+export const createEndpoint = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const actor = getActor(req);
+    const endpoint = await webhookService.createEndpoint(
+      actor.organizationId,
+      getEndpointInput(req.body),
+      actor.userId
+    );
+
+    res.status(201).json(endpoint);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Update a webhook endpoint
+ */
+export const updateEndpoint = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const actor = getActor(req);
+    const endpoint = await webhookService.updateEndpoint(
+      actor.organizationId,
+      req.params.endpointId,
+      getEndpointInput(req.body),
+      actor.userId
+    );
+
+    res.status(200).json(endpoint);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Delete a webhook endpoint
+ */
+export const deleteEndpoint = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const actor = getActor(req);
+    await webhookService.deleteEndpoint(actor.organizationId, req.params.endpointId, actor.userId);
+
+    res.status(204).send();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Replace the signing secret of a webhook endpoint
+ */
+export const rotateSecret = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const actor = getActor(req);
+    const endpoint = await webhookService.rotateSecret(actor.organizationId, req.params.endpointId, actor.userId);
+
+    res.status(200).json(endpoint);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List the webhook deliveries of an organization
+ */
+export const listDeliveries = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const actor = getActor(req);
+    const result = await webhookService.listDeliveries(actor.organizationId, {
+      ...getPaging(req),
+      endpointId: req.query.endpointId as string | undefined,
+      status: req.query.status as any,
+      eventType: req.query.eventType as string | undefined
+    });
+
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * List the dead-lettered deliveries of an organization
+ */
+export const listDeadLetters = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const actor = getActor(req);
+    const result = await webhookService.listDeadLetters(actor.organizationId, {
+      ...getPaging(req),
+      includeReplayed: req.query.includeReplayed === 'true'
+    });
+
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Send a delivery's event again
+ */
+export const replayDelivery = async (req: Request, res: Response, next: NextFunction) => {
+  try {
+    const actor = getActor(req);
+    const delivery = await webhookService.replayDelivery(actor.organizationId, req.params.deliveryId, actor.userId);
+
+    res.status(202).json(delivery);
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,178 @@
+/**
+ * Webhook Routes
+ *
+ * Mounted by the organization routes under
+ * /organizations/:organizationId/webhooks. Only organization admins can
+ * manage endpoints and read or replay deliveries.
+ */
+import { Router } from 'express';
+import { body, param, query } from 'express-validator';
+import { validate } from '../../middleware/validation';
+import { requireOrgRole } from '../../middleware/organizationAuth';
+import config from '../../config';
+import { WEBHOOK_EVENTS } from '../../services/webhookService';
+import * as webhookController from './controller';
+
+const DELIVERY_STATUSES = ['PENDING', 'DELIVERED', 'FAILED'];
+
+const endpointIdParam = param('endpointId')
+  .isUUID()
+  .withMessage('Valid webhook endpoint ID is required');
+
+const pagination = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+const endpointFields = (optional: boolean) => {
+  const field = (name: string) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('url')
+      .isURL({
+        protocols: config.isProduction ? ['https'] : ['http', 'https'],
+        require_protocol: true,
+        require_tld: config.isProduction
+      })
+      .withMessage(config.isProduction ? 'Valid HTTPS URL is required' : 'Valid URL is required'),
+    field('events')
+      .isArray({ min: 1 })
+      .withMessage('At least one event is required'),
+    body('events.*')
+      .isIn([...WEBHOOK_EVENTS])
+      .withMessage(`Events must be one of: ${WEBHOOK_EVENTS.join(', ')}`),
+    body('description')
+      .optional({ nullable: true })
+      .isString()
+      .isLength({ max: 255 })
+      .withMessage('Description must be a string with maximum 255 characters'),
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be a boolean')
+      .toBoolean()
+  ];
+};
+
+export const organizationWebhookRoutes = Router({ mergeParams: true });
+
+/**
+ * GET /api/v1/organizations/:organizationId/webhooks/deliveries
+ * @description List webhook deliveries, newest first
+ */
+organizationWebhookRoutes.get('/deliveries',
+  validate([
+    ...pagination,
+    query('endpointId')
+      .optional()
+      .isUUID()
+      .withMessage('Valid webhook endpoint ID is required'),
+    query('status')
+      .optional()
+      .isIn(DELIVERY_STATUSES)
+      .withMessage(`Status must be one of: ${DELIVERY_STATUSES.join(', ')}`),
+    query('eventType')
+      .optional()
+      .isIn([...WEBHOOK_EVENTS])
+      .withMessage(`Event type must be one of: ${WEBHOOK_EVENTS.join(', ')}`)
+  ]),
+  requireOrgRole('ADMIN'),
+  webhookController.listDeliveries
+);
+
+/**
+ * POST /api/v1/organizations/:organizationId/webhooks/deliveries/:deliveryId/replay
+ * @description Send a delivery's event again
+ */
+organizationWebhookRoutes.post('/deliveries/:deliveryId/replay',
+  validate([
+    param('deliveryId')
+      .isUUID()
+      .withMessage('Valid delivery ID is required')
+  ]),
+  requireOrgRole('ADMIN'),
+  webhookController.replayDelivery
+);
+
+/**
+ * GET /api/v1/organizations/:organizationId/webhooks/dead-letters
+ * @description List deliveries that ran out of attempts
+ */
+organizationWebhookRoutes.get('/dead-letters',
+  validate([
+    ...pagination,
+    query('includeReplayed')
+      .optional()
+      .isBoolean()
+      .withMessage('includeReplayed must be a boolean')
+  ]),
+  requireOrgRole('ADMIN'),
+  webhookController.listDeadLetters
+);
+
+/**
+ * GET /api/v1/organizations/:organizationId/webhooks
+ * @description List webhook endpoints
+ */
+organizationWebhookRoutes.get('/',
+  requireOrgRole('ADMIN'),
+  webhookController.listEndpoints
+);
+
+/**
+ * POST /api/v1/organizations/:organizationId/webhooks
+ * @description Register a webhook endpoint. The signing secret is shown once.
+ */
+organizationWebhookRoutes.post('/',
+  validate(endpointFields(false)),
+  requireOrgRole('ADMIN'),
+  webhookController.createEndpoint
+);
+
+/**
+ * GET /api/v1/organizations/:organizationId/webhooks/:endpointId
+ * @description Get a webhook endpoint
+ */
+organizationWebhookRoutes.get('/:endpointId',
+  validate([endpointIdParam]),
+  requireOrgRole('ADMIN'),
+  webhookController.getEndpoint
+);
+
+/**
+ * PATCH /api/v1/organizations/:organizationId/webhooks/:endpointId
+ * @description Update a webhook endpoint
+ */
+organizationWebhookRoutes.patch('/:endpointId',
+  validate([endpointIdParam, ...endpointFields(true)]),
+  requireOrgRole('ADMIN'),
+  webhookController.updateEndpoint
+);
+
+/**
+ * DELETE /api/v1/organizations/:organizationId/webhooks/:endpointId
+ * @description Delete a webhook endpoint and its delivery log
+ */
+organizationWebhookRoutes.delete('/:endpointId',
+  validate([endpointIdParam]),
+  requireOrgRole('ADMIN'),
+  webhookController.deleteEndpoint
+);
+
+/**
+ * POST /api/v1/organizations/:organizationId/webhooks/:endpointId/secret
+ * @description Replace the signing secret. The new secret is shown once.
+ */
+organizationWebhookRoutes.post('/:endpointId/secret',
+  validate([endpointIdParam]),
+  requireOrgRole('ADMIN'),
+  webhookController.rotateSecret
+);
+
+export default organizationWebhookRoutes;
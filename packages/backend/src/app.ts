@@ -6,6 +6,7 @@
 import express from 'express';
 import cookieParser from 'cookie-parser';
 import { json, urlencoded } from 'body-parser';
+import config from './config';
 
 // Import middleware
 import { errorHandler, notFoundHandler } from './middleware/errorHandler';
@@ -17,6 +18,7 @@ import { secureHeadersBundle } from './middleware/secureHeaders';
 
 // Import routes
 import apiRoutes from './api';
+import docsRoutes from './api/docs/routes';
 
 // Create Express app
 const app = express();
@@ -46,13 +48,10 @@ app.get('/health', (req, res) => {
   res.status(200).json({ status: 'ok' });
 });
 
-// Route for documentation
-app.get('/api/v1/docs', (req, res) => {
-  res.json({
-    message: 'API documentation coming soon',
-    version: '1.0.0'
-  });
-});
+// API documentation (OpenAPI document and Swagger UI)
+if (config.docs.enabled) {
+  app.use('/api/v1/docs', docsRoutes);
+}
 
 // Apply error handler
 app.use(errorHandler);
@@ -5,6 +5,7 @@
  */
 import dotenv from 'dotenv';
 import path from 'path';
+import os from 'os';
 
 // Load environment variables from .env file
 dotenv.config({ path: path.resolve(process.cwd(), '.env') });
@@ -39,7 +40,9 @@ const serverConfig = {
   apiPrefix: '/api/v1',
   corsOrigins: isProduction 
     ? ['https://app.proofoffunds.com', 'https://api.proofoffunds.com'] 
-    : ['http://localhost:3000', 'http://localhost:3001']
+    : ['http://localhost:3000', 'http://localhost:3001'],
+  // Frontend origin used in links sent to users, e.g. proof request links
+  frontendUrl: process.env.FRONTEND_URL || (isProduction ? 'https://app.proofoffunds.com' : 'http://localhost:3000')
 };
 
 // JWT Authentication configuration
@@ -94,6 +97,269 @@ const zkProofConfig = {
   maxProofSize: 1024 * 1024 * 5 // 5MB
 };
 
+// Proof job queue configuration (proof generation in worker threads)
+const proofJobsConfig = {
+  enabled: process.env.PROOF_JOBS_ENABLED !== 'false',
+  concurrency: parseInt(process.env.PROOF_JOB_CONCURRENCY || String(Math.max(1, os.cpus().length - 1)), 10),
+  pollIntervalMs: parseInt(process.env.PROOF_JOB_POLL_INTERVAL_MS || '2000', 10),
+  timeoutMs: parseInt(process.env.PROOF_JOB_TIMEOUT_MS || '600000', 10),
+  maxAttempts: parseInt(process.env.PROOF_JOB_MAX_ATTEMPTS || '3', 10)
+};
+
+// Batch anchoring configuration (Merkle roots submitted to ReferenceTokenRegistry)
+const batchAnchoringConfig = {
+  enabled: process.env.BATCH_ANCHORING_ENABLED === 'true',
+  registryAddress: process.env.REFERENCE_TOKEN_REGISTRY_ADDRESS || '',
+  rpcUrl: process.env.BATCH_ANCHORING_RPC_URL || process.env.POLYGON_RPC_URL || 'http://localhost:8545',
+  signerPrivateKey: process.env.BATCH_ANCHORING_PRIVATE_KEY || process.env.SERVICE_WALLET_PRIVATE_KEY || '',
+  maxBatchSize: parseInt(process.env.BATCH_ANCHORING_MAX_SIZE || '256', 10),
+  intervalMs: parseInt(process.env.BATCH_ANCHORING_INTERVAL_MS || '60000', 10),
+  confirmations: parseInt(process.env.BATCH_ANCHORING_CONFIRMATIONS || '1', 10),
+  // Batches a worker has been anchoring for longer than this are returned to the queue
+  processingTimeoutMs: parseInt(process.env.BATCH_ANCHORING_PROCESSING_TIMEOUT_MS || String(15 * 60 * 1000), 10)
+};
+
+// Outbound webhook configuration (proof lifecycle events sent to organizations)
+const webhooksConfig = {
+  enabled: process.env.WEBHOOKS_ENABLED !== 'false',
+  intervalMs: parseInt(process.env.WEBHOOK_INTERVAL_MS || '5000', 10),
+  timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000', 10),
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '8', 10),
+  backoffBaseMs: parseInt(process.env.WEBHOOK_BACKOFF_BASE_MS || '30000', 10),
+  backoffMaxMs: parseInt(process.env.WEBHOOK_BACKOFF_MAX_MS || String(6 * 60 * 60 * 1000), 10),
+  // Allow endpoints on loopback and private networks, for local development only
+  allowPrivateUrls: process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true' && !isProduction
+};
+
+// Proof payload encryption (per-proof data keys wrapped by a key provider)
+const encryptionConfig = {
+  // local, gcp-kms or gcp-secret-manager
+  keyProvider: process.env.PROOF_KEY_PROVIDER || 'local',
+  local: {
+    // Comma-separated version:key pairs, keys as 32-byte hex or base64
+    masterKeys: process.env.PROOF_MASTER_KEYS || '',
+    currentVersion: process.env.PROOF_MASTER_KEY_VERSION || '',
+    keyFile: process.env.PROOF_MASTER_KEY_FILE || ''
+  },
+  gcpKms: {
+    // projects/*/locations/*/keyRings/*/cryptoKeys/*
+    keyName: process.env.PROOF_KMS_KEY_NAME || ''
+  },
+  secretManager: {
+    // projects/*/secrets/*, each secret version holding a master key
+    secretName: process.env.PROOF_MASTER_KEY_SECRET
+      || (gcpConfig.projectId ? `projects/${gcpConfig.projectId}/secrets/proof-master-key` : '')
+  },
+  rotation: {
+    enabled: process.env.KEY_ROTATION_ENABLED === 'true',
+    intervalMs: parseInt(process.env.KEY_ROTATION_INTERVAL_MS || String(60 * 60 * 1000), 10),
+    batchSize: parseInt(process.env.KEY_ROTATION_BATCH_SIZE || '100', 10)
+  }
+};
+
+// Gas-sponsored proof submission through the ERC-2771 forwarder
+const relayerChainId = parseInt(process.env.RELAYER_CHAIN_ID || '80002', 10);
+const relayerConfig = {
+  enabled: process.env.RELAYER_ENABLED === 'true',
+  rpcUrl: process.env.RELAYER_RPC_URL || process.env.POLYGON_RPC_URL || 'http://localhost:8545',
+  chainId: relayerChainId,
+  privateKey: process.env.RELAYER_PRIVATE_KEY || '',
+  forwarderAddress: process.env.RELAYER_FORWARDER_ADDRESS || '',
+  // Contracts requests may be forwarded to
+  targets: {
+    zkVerifier: process.env.RELAYER_ZK_VERIFIER_ADDRESS || process.env.ZK_VERIFIER_ADDRESS || '',
+    proofOfFunds: process.env.RELAYER_PROOF_OF_FUNDS_ADDRESS || process.env.PROOF_CONTRACT_ADDRESS || ''
+  },
+  // Gas prices in gwei; Polygon mainnet is capped lower than the Amoy testnet
+  maxGasPriceGwei: parseInt(process.env.RELAYER_MAX_GAS_PRICE_GWEI || (relayerChainId === 137 ? '150' : '300'), 10),
+  minGasPriceGwei: parseInt(process.env.RELAYER_MIN_GAS_PRICE_GWEI || '30', 10),
+  maxGasLimit: parseInt(process.env.RELAYER_MAX_GAS_LIMIT || '1500000', 10),
+  // Relayed transactions per user per 24 hours
+  dailyQuota: parseInt(process.env.RELAYER_DAILY_QUOTA || '10', 10),
+  // Transactions not mined after this long are replaced with a higher gas price
+  stuckAfterMs: parseInt(process.env.RELAYER_STUCK_AFTER_MS || '180000', 10),
+  gasPriceBumpPercent: parseInt(process.env.RELAYER_GAS_PRICE_BUMP_PERCENT || '15', 10),
+  maxReplacements: parseInt(process.env.RELAYER_MAX_REPLACEMENTS || '5', 10),
+  intervalMs: parseInt(process.env.RELAYER_INTERVAL_MS || '15000', 10),
+  confirmations: parseInt(process.env.RELAYER_CONFIRMATIONS || '1', 10)
+};
+
+// Scheduled maintenance jobs, run by the instance holding the scheduler lease
+const schedulerConfig = {
+  enabled: process.env.SCHEDULER_ENABLED !== 'false',
+  tickMs: parseInt(process.env.SCHEDULER_TICK_MS || '15000', 10),
+  leaseMs: parseInt(process.env.SCHEDULER_LEASE_MS || '60000', 10),
+  // Chain proof transactions are reconciled against
+  rpcUrl: process.env.SCHEDULER_RPC_URL || batchAnchoringConfig.rpcUrl,
+  confirmations: parseInt(process.env.SCHEDULER_CONFIRMATIONS || String(batchAnchoringConfig.confirmations), 10),
+  // Confirmed proofs are re-checked for chain reorganisations for this long
+  reorgWindowMs: parseInt(process.env.SCHEDULER_REORG_WINDOW_MS || String(60 * 60 * 1000), 10),
+  // Transactions the node no longer knows about are failed after this long
+  droppedAfterMs: parseInt(process.env.SCHEDULER_DROPPED_AFTER_MS || String(60 * 60 * 1000), 10),
+  // Unused temporary wallets are archived after this long
+  tempWalletRetentionMs: parseInt(process.env.SCHEDULER_TEMP_WALLET_RETENTION_MS || String(7 * 24 * 60 * 60 * 1000), 10),
+  historyRetentionMs: parseInt(process.env.SCHEDULER_HISTORY_RETENTION_MS || String(30 * 24 * 60 * 60 * 1000), 10),
+  batchSize: parseInt(process.env.SCHEDULER_BATCH_SIZE || '500', 10),
+  // How often each job runs
+  intervals: {
+    expireProofs: parseInt(process.env.SCHEDULER_EXPIRE_PROOFS_INTERVAL_MS || '60000', 10),
+    reconcileTransactions: parseInt(process.env.SCHEDULER_RECONCILE_INTERVAL_MS || '60000', 10),
+    archiveTempWallets: parseInt(process.env.SCHEDULER_ARCHIVE_WALLETS_INTERVAL_MS || String(60 * 60 * 1000), 10),
+    cleanupExpiredTokens: parseInt(process.env.SCHEDULER_TOKEN_CLEANUP_INTERVAL_MS || String(60 * 60 * 1000), 10),
+    purgeUsedNonces: parseInt(process.env.SCHEDULER_NONCE_PURGE_INTERVAL_MS || String(60 * 60 * 1000), 10),
+    pruneJobHistory: parseInt(process.env.SCHEDULER_HISTORY_PRUNE_INTERVAL_MS || String(24 * 60 * 60 * 1000), 10),
+    refreshSanctionsLists: parseInt(process.env.SCHEDULER_SANCTIONS_REFRESH_INTERVAL_MS || String(6 * 60 * 60 * 1000), 10)
+  }
+};
+
+// Live proof events pushed to clients over Server-Sent Events
+const proofEventsConfig = {
+  // Share events between API instances with Postgres LISTEN/NOTIFY; needs a
+  // session-pooled or direct database connection
+  notify: process.env.PROOF_EVENTS_NOTIFY !== 'false',
+  channel: process.env.PROOF_EVENTS_CHANNEL || 'proof_events',
+  reconnectMs: parseInt(process.env.PROOF_EVENTS_RECONNECT_MS || '5000', 10),
+  // Comment lines sent on idle streams so proxies do not close them
+  heartbeatMs: parseInt(process.env.PROOF_EVENTS_HEARTBEAT_MS || '25000', 10),
+  maxStreamsPerUser: parseInt(process.env.PROOF_EVENTS_MAX_STREAMS_PER_USER || '5', 10)
+};
+
+// Sanctions screening of the wallets in a proof
+const sanctionsConfig = {
+  // Comma-separated provider names: sanctions-list, chainalysis, trm-labs, elliptic.
+  // Providers without an API key or active list are skipped.
+  providers: (process.env.SANCTIONS_PROVIDERS || 'sanctions-list,chainalysis,trm-labs,elliptic')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean),
+  ofac: {
+    // OFAC SDN list (XML), imported by the scheduler when it changes
+    url: process.env.SANCTIONS_OFAC_SDN_URL || 'https://www.treasury.gov/ofac/downloads/sdn.xml',
+    refreshEnabled: process.env.SANCTIONS_OFAC_REFRESH_ENABLED === 'true',
+    timeoutMs: parseInt(process.env.SANCTIONS_OFAC_TIMEOUT_MS || '60000', 10)
+  },
+  chainalysis: {
+    apiKey: process.env.CHAINALYSIS_API_KEY || '',
+    apiUrl: process.env.CHAINALYSIS_API_URL || 'https://public-api.chainalysis.com/api/v1/address'
+  },
+  trmLabs: {
+    apiKey: process.env.TRM_API_KEY || '',
+    apiUrl: process.env.TRM_API_URL || 'https://api.trmlabs.com/public/v1/screening/addresses'
+  },
+  elliptic: {
+    apiKey: process.env.ELLIPTIC_API_KEY || '',
+    apiUrl: process.env.ELLIPTIC_API_URL || 'https://api.elliptic.co/v2/screening/address'
+  }
+};
+
+// Source-of-funds analysis of the transaction history behind a proof
+const sourceOfFundsConfig = {
+  enabled: process.env.SOURCE_OF_FUNDS_ENABLED !== 'false',
+  // Only transactions from this far back are fetched
+  lookbackDays: parseInt(process.env.SOURCE_OF_FUNDS_LOOKBACK_DAYS || '90', 10),
+  // Chain of proof wallets given as bare addresses
+  defaultChainId: parseInt(process.env.SOURCE_OF_FUNDS_DEFAULT_CHAIN_ID || '1', 10),
+  largeInflowWindowDays: parseInt(process.env.SOURCE_OF_FUNDS_INFLOW_WINDOW_DAYS || '7', 10),
+  // Share of the balance received within the window that counts as a large inflow
+  largeInflowRatio: parseFloat(process.env.SOURCE_OF_FUNDS_INFLOW_RATIO || '0.5'),
+  roundTripWindowDays: parseInt(process.env.SOURCE_OF_FUNDS_ROUND_TRIP_WINDOW_DAYS || '7', 10),
+  roundTripTolerance: parseFloat(process.env.SOURCE_OF_FUNDS_ROUND_TRIP_TOLERANCE || '0.1'),
+  // Share of the balance that must have been held for minHoldingDays
+  minHoldingDays: parseInt(process.env.SOURCE_OF_FUNDS_MIN_HOLDING_DAYS || '30', 10),
+  minHoldingRatio: parseFloat(process.env.SOURCE_OF_FUNDS_MIN_HOLDING_RATIO || '0.9')
+};
+
+// Sign-In With Ethereum (EIP-4361) wallet login
+const parseChainUrls = (value: string | undefined): Record<number, string> =>
+  Object.fromEntries(
+    (value || '')
+      .split(',')
+      .map(entry => entry.trim().split('='))
+      .filter(([chainId, url]) => /^\d+$/.test(chainId || '') && url)
+      .map(([chainId, url]) => [Number(chainId), url])
+  );
+
+const siweConfig = {
+  // Domain and URI the signed message must name, i.e. the frontend asking users to sign
+  domain: process.env.SIWE_DOMAIN || new URL(serverConfig.frontendUrl).host,
+  uri: process.env.SIWE_URI || serverConfig.frontendUrl,
+  statement: process.env.SIWE_STATEMENT || 'Sign in to Proof of Funds',
+  nonceTtlMs: parseInt(process.env.SIWE_NONCE_TTL_MS || String(10 * 60 * 1000), 10),
+  // Tolerated difference between the client's and the server's clock
+  clockSkewMs: parseInt(process.env.SIWE_CLOCK_SKEW_MS || '60000', 10),
+  // Chains wallets may sign in on, with the RPC used to check smart-contract wallet
+  // signatures (EIP-1271/EIP-6492); extend with SIWE_RPC_URLS="8453=https://...,10=https://..."
+  rpcUrls: {
+    1: process.env.ETHEREUM_RPC_URL || 'https://cloudflare-eth.com',
+    137: process.env.POLYGON_MAINNET_RPC_URL || 'https://polygon-rpc.com',
+    80002: relayerConfig.rpcUrl,
+    ...parseChainUrls(process.env.SIWE_RPC_URLS)
+  } as Record<number, string>
+};
+
+// Two-factor authentication configuration
+const twoFactorConfig = {
+  // Issuer shown next to the account in authenticator apps
+  issuer: process.env.TWO_FACTOR_ISSUER || 'Proof of Funds',
+  // Time steps accepted either side of the current one, for clock drift
+  window: parseInt(process.env.TWO_FACTOR_WINDOW || '1', 10),
+  backupCodeCount: 10,
+  // Lifetime of the step-up token that unlocks sensitive actions after a 2FA check
+  stepUpTokenExpiry: process.env.TWO_FACTOR_STEP_UP_EXPIRY || '5m'
+};
+
+// WebAuthn (passkey) configuration
+const webauthnConfig = {
+  // Relying party ID passkeys are bound to: the frontend's host or a parent domain of it
+  rpId: process.env.WEBAUTHN_RP_ID || new URL(serverConfig.frontendUrl).hostname,
+  rpName: process.env.WEBAUTHN_RP_NAME || 'Proof of Funds',
+  // Origins the browser may report, comma-separated
+  origins: (process.env.WEBAUTHN_ORIGINS || serverConfig.frontendUrl)
+    .split(',')
+    .map(origin => origin.trim())
+    .filter(Boolean),
+  challengeTtlMs: parseInt(process.env.WEBAUTHN_CHALLENGE_TTL_MS || String(5 * 60 * 1000), 10),
+  maxCredentialsPerUser: 10
+};
+
+// Server-side portfolio scanning, e.g. to re-check balances at verification time
+const portfolioConfig = {
+  // Comma-separated provider names, tried in order for each chain: moralis, rpc, solana-rpc, fixture.
+  // Providers that are not configured or do not support a chain are skipped.
+  providers: (process.env.PORTFOLIO_PROVIDERS || 'moralis,rpc,solana-rpc')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean),
+  // Chains scanned when a scan names none; EVM addresses are scanned on EVM chains, Solana addresses on solana
+  chains: (process.env.PORTFOLIO_CHAINS || 'ethereum,polygon,bsc,arbitrum,avalanche,fantom,solana')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean),
+  // Wallets scanned at the same time on one chain; chains are scanned in parallel
+  concurrencyPerChain: parseInt(process.env.PORTFOLIO_CHAIN_CONCURRENCY || '3', 10),
+  providerTimeoutMs: parseInt(process.env.PORTFOLIO_PROVIDER_TIMEOUT_MS || '15000', 10),
+  cacheTtlMs: parseInt(process.env.PORTFOLIO_CACHE_TTL_MS || '60000', 10),
+  moralis: {
+    apiKey: process.env.MORALIS_API_KEY || '',
+    apiUrl: process.env.MORALIS_API_URL || 'https://deep-index.moralis.io/api/v2.2'
+  },
+  rpc: {
+    // Extend with PORTFOLIO_RPC_URLS="8453=https://...,10=https://..."
+    rpcUrls: {
+      1: process.env.ETHEREUM_RPC_URL || 'https://cloudflare-eth.com',
+      137: process.env.POLYGON_MAINNET_RPC_URL || 'https://polygon-rpc.com',
+      ...parseChainUrls(process.env.PORTFOLIO_RPC_URLS)
+    } as Record<number, string>,
+    // Multicall3 has the same address on nearly every EVM chain
+    multicallAddress: process.env.MULTICALL3_ADDRESS || '0xcA11bde05977b3631167028862bE2a173976CA11'
+  },
+  solana: {
+    rpcUrl: process.env.SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com'
+  },
+  // JSON file of balances for the fixture provider, for tests and local development
+  fixturePath: process.env.PORTFOLIO_FIXTURE_PATH || ''
+};
+
 // Email configuration
 const emailConfig = {
   host: process.env.EMAIL_HOST || 'smtp.ethereal.email',
@@ -107,6 +373,11 @@ const emailConfig = {
   testPassword: process.env.EMAIL_TEST_PASSWORD || ''
 };
 
+// API documentation configuration (OpenAPI spec and Swagger UI)
+const docsConfig = {
+  enabled: process.env.API_DOCS_ENABLED !== 'false'
+};
+
 // Export configuration
 export const config = {
   env: NODE_ENV,
@@ -120,8 +391,22 @@ export const config = {
   logging: loggingConfig,
   gcp: gcpConfig,
   zkProof: zkProofConfig,
+  proofJobs: proofJobsConfig,
   auditLog: auditLogConfig,
-  email: emailConfig
+  batchAnchoring: batchAnchoringConfig,
+  webhooks: webhooksConfig,
+  encryption: encryptionConfig,
+  relayer: relayerConfig,
+  scheduler: schedulerConfig,
+  proofEvents: proofEventsConfig,
+  sanctions: sanctionsConfig,
+  sourceOfFunds: sourceOfFundsConfig,
+  siwe: siweConfig,
+  twoFactor: twoFactorConfig,
+  webauthn: webauthnConfig,
+  portfolio: portfolioConfig,
+  email: emailConfig,
+  docs: docsConfig
 };
 
 export default config;
\ No newline at end of file
@@ -11,6 +11,13 @@ import { corsMiddleware, helmetMiddleware, requireHttps, requestMetrics } from '
 import { errorHandler, notFoundHandler } from './middleware/errorHandler';
 import { defaultRateLimit } from './middleware/enhancedRateLimit';
 import apiRoutes from './api';
+import { batchAnchoringService } from './services/batchAnchoringService';
+import { proofJobQueue } from './services/proofJobQueue';
+import { webhookService } from './services/webhookService';
+import { envelopeEncryptionService } from './services/envelopeEncryptionService';
+import { relayerService } from './services/relayerService';
+import { schedulerService } from './services/schedulerService';
+import { proofEventService } from './services/proofEventService';
 
 // Create Express application
 const app = express();
@@ -71,10 +78,61 @@ const server = app.listen(config.server.port, '0.0.0.0', () => {
   logger.info(`API available at ${config.server.apiPrefix}`);
 });
 
+// Retry queued proof batches in the background
+if (config.batchAnchoring.enabled) {
+  batchAnchoringService.start();
+  logger.info('Batch anchoring worker started');
+}
+
+// Run queued proof generation jobs in worker threads
+if (config.proofJobs.enabled) {
+  proofJobQueue.start();
+  logger.info('Proof job workers started', { concurrency: config.proofJobs.concurrency });
+}
+
+// Send proof lifecycle events to organization webhooks
+if (config.webhooks.enabled) {
+  webhookService.start();
+  logger.info('Webhook delivery worker started');
+}
+
+// Re-wrap proof data keys after the master key is rotated
+if (config.encryption.rotation.enabled) {
+  envelopeEncryptionService.start();
+  logger.info('Proof key rotation worker started', { keyProvider: config.encryption.keyProvider });
+}
+
+// Track relayed proof submissions and replace stuck transactions
+if (config.relayer.enabled) {
+  relayerService.start();
+  logger.info('Relay transaction monitor started', { chainId: config.relayer.chainId });
+}
+
+// Expire proofs, reconcile proof transactions and clean up, on the lease-holding instance
+if (config.scheduler.enabled) {
+  schedulerService.start();
+  logger.info('Scheduler started', { instanceId: schedulerService.instanceId });
+}
+
+// Share proof events with the other instances' event streams
+if (config.proofEvents.notify) {
+  proofEventService.start().then(() => {
+    logger.info('Proof event listener started', { listening: proofEventService.isListening });
+  });
+}
+
 // Handle graceful shutdown
 const shutdown = async () => {
   logger.info('Shutting down server...');
   
+  await batchAnchoringService.shutdown();
+  await proofJobQueue.shutdown();
+  await webhookService.shutdown();
+  await envelopeEncryptionService.shutdown();
+  await relayerService.shutdown();
+  await schedulerService.shutdown();
+  await proofEventService.shutdown();
+  
   server.close(() => {
     logger.info('Server closed');
     process.exit(0);
@@ -8,6 +8,7 @@ import jwt from 'jsonwebtoken';
 import { prisma } from '@proof-of-funds/db';
 import config from '../config';
 import logger from '../utils/logger';
+import { hashToken } from '../utils/passwordUtils';
 import { auditLogService } from '../services/auditLogService';
 import { AuditEventType, ActorType, AuditAction, AuditStatus, AuditSeverity } from '../models/auditLog';
 
@@ -333,9 +334,9 @@ export const authenticateApiKey = async (req: Request, res: Response, next: Next
       return res.status(401).json({ error: 'API key missing' });
     }
 
-    // Find organization with the API key
+    // Find organization with the API key (keys are stored hashed)
     const organization = await prisma.organization.findUnique({
-      where: { apiKey },
+      where: { apiKey: hashToken(apiKey) },
       select: { id: true }
     });
 
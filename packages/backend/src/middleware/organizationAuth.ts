@@ -0,0 +1,115 @@
+/**
+ * Organization authorization middleware
+ *
+ * Provides role-based access control for organization routes.
+ * Roles are ranked OWNER > ADMIN > MEMBER; a route requiring a role
+ * admits members holding that role or a higher one.
+ */
+import { Request, Response, NextFunction } from 'express';
+import { prisma } from '@proof-of-funds/db';
+import logger from '../utils/logger';
+import { auditLogService } from '../services/auditLogService';
+import { AuditEventType, ActorType, AuditAction, AuditStatus, AuditSeverity } from '../models/auditLog';
+
+export type OrgRole = 'OWNER' | 'ADMIN' | 'MEMBER';
+
+// Rank of each role, higher ranks include the rights of lower ones
+export const ORG_ROLE_RANK: Record<OrgRole, number> = {
+  MEMBER: 1,
+  ADMIN: 2,
+  OWNER: 3
+};
+
+// Extend Express Request type to include the caller's organization membership
+declare global {
+  namespace Express {
+    interface Request {
+      organizationMember?: {
+        organizationId: string;
+        userId: string;
+        role: OrgRole;
+      };
+    }
+  }
+}
+
+/**
+ * Check whether a role is at least as privileged as another
+ *
+ * @param role Role held by the member
+ * @param requiredRole Minimum role required
+ */
+export const hasOrgRole = (role: OrgRole, requiredRole: OrgRole): boolean => {
+  return ORG_ROLE_RANK[role] >= ORG_ROLE_RANK[requiredRole];
+};
+
+/**
+ * Middleware to require a minimum role in the organization named by the
+ * `organizationId` route parameter. Must run after `authenticate`.
+ *
+ * @param requiredRole Minimum organization role required
+ */
+export const requireOrgRole = (requiredRole: OrgRole) => {
+  return async (req: Request, res: Response, next: NextFunction) => {
+    const { organizationId } = req.params;
+
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    try {
+      const membership = await prisma.organizationUser.findUnique({
+        where: {
+          userId_organizationId: {
+            userId: req.user.id,
+            organizationId
+          }
+        },
+        select: { role: true }
+      });
+
+      if (!membership || !hasOrgRole(membership.role as OrgRole, requiredRole)) {
+        // Audit organization authorization failure
+        auditLogService.log({
+          eventType: AuditEventType.API_REQUEST,
+          actorId: req.user.id,
+          actorType: ActorType.USER,
+          action: AuditAction.EXECUTE,
+          status: AuditStatus.FAILURE,
+          resourceType: 'organization',
+          resourceId: organizationId,
+          details: {
+            reason: membership ? 'Insufficient organization role' : 'Not an organization member',
+            requiredRole,
+            role: membership?.role,
+            path: req.path,
+            method: req.method
+          },
+          ipAddress: req.ip,
+          userAgent: req.headers['user-agent'],
+          severity: AuditSeverity.WARNING
+        }).catch(err => {
+          logger.error('Failed to log organization authorization audit', { error: err });
+        });
+
+        // Non-members get a 404 so organization IDs cannot be probed
+        if (!membership) {
+          return res.status(404).json({ error: 'Organization not found' });
+        }
+
+        return res.status(403).json({ error: `Organization role ${requiredRole} or higher required` });
+      }
+
+      req.organizationMember = {
+        organizationId,
+        userId: req.user.id,
+        role: membership.role as OrgRole
+      };
+
+      next();
+    } catch (error) {
+      logger.error('Organization authorization error:', { error, organizationId });
+      return res.status(500).json({ error: 'Internal server error during authorization' });
+    }
+  };
+};
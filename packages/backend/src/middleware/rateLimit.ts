@@ -75,4 +75,27 @@ const proofRateLimit = rateLimit({
   }
 });
 
-export { defaultRateLimit, authRateLimit, proofRateLimit };
\ No newline at end of file
+// Two-factor code rate limit, against guessing codes
+const twoFactorRateLimit = rateLimit({
+  windowMs: 30 * 60 * 1000, // 30 minutes
+  max: 5, // 5 attempts per 30 minutes
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    error: {
+      code: 'TWO_FACTOR_RATE_LIMIT_EXCEEDED',
+      message: 'Too many verification attempts, please try again later'
+    }
+  },
+  handler: (req: Request, res: Response, next: NextFunction, options: any) => {
+    logger.warn('Two-factor rate limit exceeded', {
+      ip: req.ip,
+      path: req.path,
+      method: req.method,
+      user: req.user?.id
+    });
+    res.status(429).json(options.message);
+  }
+});
+
+export { defaultRateLimit, authRateLimit, proofRateLimit, twoFactorRateLimit };
\ No newline at end of file
@@ -5,11 +5,14 @@
  */
 
 import { Request, Response, NextFunction } from 'express';
-import { isTwoFactorRequired } from '../services/twoFactorService';
+import { isTwoFactorRequired, verifyStepUpToken } from '../services/twoFactorService';
 import logger from '../utils/logger';
 import { auditLogService } from '../services/auditLogService';
 import { AuditEventType, ActorType, AuditAction, AuditStatus, AuditSeverity } from '../models/auditLog';
 
+// Header carrying the step-up token from POST /api/user/2fa/step-up or /api/user/auth/passkeys/step-up/verify
+export const STEP_UP_TOKEN_HEADER = 'x-step-up-token';
+
 /**
  * Extend Express Request type to include 2FA information
  */
@@ -71,6 +74,41 @@ export const checkTwoFactorRequired = async (req: Request, res: Response, next:
   }
 };
 
+/**
+ * Middleware to check if 2FA is required before a sensitive action
+ * Unlike checkTwoFactorRequired it fails closed: if the requirement cannot be
+ * looked up, the request is refused rather than let through without step-up
+ */
+export const checkStepUpRequired = async (req: Request, res: Response, next: NextFunction) => {
+  req.twoFactorAuth = {
+    required: false,
+    verified: false
+  };
+
+  if (!req.user || !req.user.id) {
+    return next();
+  }
+
+  let required: boolean;
+  try {
+    required = await isTwoFactorRequired(req.user.id);
+  } catch (error) {
+    logger.error('Failed to check 2FA requirement for step-up', {
+      userId: req.user.id,
+      path: req.path,
+      error: error instanceof Error ? error.message : String(error)
+    });
+
+    return res.status(503).json({
+      success: false,
+      message: 'Two-factor authentication status is unavailable, please try again'
+    });
+  }
+
+  req.twoFactorAuth.required = required;
+  next();
+};
+
 /**
  * Middleware to verify 2FA for protected routes
  * This middleware should be used after the authentication and checkTwoFactorRequired middleware
@@ -164,4 +202,24 @@ export const markTwoFactorVerified = (req: Request, res: Response, next: NextFun
   req.twoFactorAuth.verified = true;
   
   next();
-};
\ No newline at end of file
+};
+
+/**
+ * Middleware to mark 2FA as verified when the request carries a valid step-up token
+ * The token must have been issued to the authenticated user
+ */
+export const verifyStepUp = (req: Request, res: Response, next: NextFunction) => {
+  const token = req.headers[STEP_UP_TOKEN_HEADER];
+
+  if (typeof token === 'string' && req.user?.id && verifyStepUpToken(token, req.user.id)) {
+    return markTwoFactorVerified(req, res, next);
+  }
+
+  next();
+};
+
+/**
+ * Step-up 2FA for sensitive actions
+ * Users with 2FA enabled or a passkey must send a step-up token; use after the authentication middleware
+ */
+export const requireStepUp = [checkStepUpRequired, verifyStepUp, requireTwoFactor];
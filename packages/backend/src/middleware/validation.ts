@@ -10,10 +10,13 @@ import { ApiError } from './errorHandler';
 /**
  * Validates request against provided validation chains
  * 
+ * The chains stay available on the returned middleware as `validations`,
+ * which the OpenAPI generator reads to document the request.
+ * 
  * @param validations Array of express-validator validation chains
  */
 export const validate = (validations: ValidationChain[]) => {
-  return async (req: Request, res: Response, next: NextFunction) => {
+  const middleware = async (req: Request, res: Response, next: NextFunction) => {
     // Execute all validations
     await Promise.all(validations.map(validation => validation.run(req)));
     
@@ -39,6 +42,8 @@ export const validate = (validations: ValidationChain[]) => {
       { errors: formattedErrors }
     ));
   };
+
+  return Object.assign(middleware, { validations });
 };
 
 /**
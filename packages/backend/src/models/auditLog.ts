@@ -14,6 +14,13 @@ export enum AuditEventType {
   // Password management events
   PASSWORD_RESET = 'password.reset',
   PASSWORD_CHANGE = 'password.change',
+
+  // Two-factor authentication events
+  TWO_FACTOR_SETUP = 'twoFactor.setup',
+  TWO_FACTOR_VERIFICATION = 'twoFactor.verification',
+  PASSKEY_REGISTER = 'passkey.register',
+  PASSKEY_UPDATE = 'passkey.update',
+  PASSKEY_REMOVE = 'passkey.remove',
   
   // User profile events
   USER_UPDATE = 'user.update',
@@ -29,6 +36,7 @@ export enum AuditEventType {
   
   // Proof events
   PROOF_CREATE = 'proof.create',
+  PROOF_GENERATE = 'proof.generate',
   PROOF_VERIFY = 'proof.verify',
   PROOF_REVOKE = 'proof.revoke',
   
@@ -36,7 +44,20 @@ export enum AuditEventType {
   TEMPLATE_CREATE = 'template.create',
   TEMPLATE_UPDATE = 'template.update',
   TEMPLATE_DELETE = 'template.delete',
-  
+
+  // Webhook events
+  WEBHOOK_CREATE = 'webhook.create',
+  WEBHOOK_UPDATE = 'webhook.update',
+  WEBHOOK_DELETE = 'webhook.delete',
+  WEBHOOK_REPLAY = 'webhook.replay',
+
+  // Sanctions screening events
+  SANCTIONS_MATCH = 'sanctions.match',
+  SANCTIONS_LIST_IMPORT = 'sanctions.list.import',
+  SANCTIONS_LIST_ACTIVATE = 'sanctions.list.activate',
+  SANCTIONS_ALLOWLIST_ADD = 'sanctions.allowlist.add',
+  SANCTIONS_ALLOWLIST_REMOVE = 'sanctions.allowlist.remove',
+
   // Admin events
   ADMIN_ACTION = 'admin.action',
   SYSTEM_EVENT = 'system.event',
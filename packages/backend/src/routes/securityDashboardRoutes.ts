@@ -11,6 +11,16 @@ import securityDashboardController from '../controllers/securityDashboardControl
 import { authenticateJWT, isAdmin } from '../middleware/auth';
 import { apiRateLimit } from '../middleware/enhancedRateLimit';
 import { getWalletAuthStats, getWalletAuthHistory, getAuthSuccessRate } from '../api/dashboard/walletAuthStats';
+import { getSchedulerStatus, getSchedulerRuns } from '../api/dashboard/schedulerJobs';
+import {
+  getSanctionsLists,
+  importSanctionsList,
+  refreshOfacList,
+  activateSanctionsList,
+  getSanctionsAllowlist,
+  addSanctionsAllowlistEntry,
+  removeSanctionsAllowlistEntry
+} from '../api/dashboard/sanctions';
 
 const router = Router();
 
@@ -37,4 +47,17 @@ router.get('/wallet-auth/stats', getWalletAuthStats);
 router.get('/wallet-auth/history/:address', getWalletAuthHistory);
 router.get('/wallet-auth/success-rate', getAuthSuccessRate);
 
+// Scheduled job routes
+router.get('/scheduler', getSchedulerStatus);
+router.get('/scheduler/runs', getSchedulerRuns);
+
+// Sanctions screening routes
+router.get('/sanctions/lists', getSanctionsLists);
+router.post('/sanctions/lists', importSanctionsList);
+router.post('/sanctions/lists/ofac/refresh', refreshOfacList);
+router.post('/sanctions/lists/:listId/activate', activateSanctionsList);
+router.get('/sanctions/allowlist', getSanctionsAllowlist);
+router.post('/sanctions/allowlist', addSanctionsAllowlistEntry);
+router.delete('/sanctions/allowlist/:entryId', removeSanctionsAllowlistEntry);
+
 export default router;
\ No newline at end of file
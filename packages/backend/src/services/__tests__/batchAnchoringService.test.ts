@@ -0,0 +1,430 @@
+/**
+ * Batch Anchoring Service Tests
+ *
+ * Tests queuing proofs into Merkle batches, anchoring the root through
+ * the registry contract, claiming batches so only one worker anchors them,
+ * and the retry behaviour on failures.
+ */
+
+import { ethers } from 'ethers';
+import { BatchAnchoringService } from '../batchAnchoringService';
+import { buildMerkleTree, getMerkleProof, toBatchId, toTokenId } from '../../utils/merkleTree';
+import * as auditLogger from '@proof-of-funds/common/logging/auditLogger';
+import { webhookService } from '../webhookService';
+import { proofEventService } from '../proofEventService';
+
+jest.mock('../../config', () => ({
+  __esModule: true,
+  default: {
+    batchAnchoring: {
+      registryAddress: '0x1234567890123456789012345678901234567890',
+      rpcUrl: 'http://localhost:8545',
+      signerPrivateKey: '',
+      maxBatchSize: 3,
+      intervalMs: 60000,
+      confirmations: 1,
+      processingTimeoutMs: 900000
+    }
+  }
+}));
+
+jest.mock('@proof-of-funds/common/logging/auditLogger', () => ({
+  info: jest.fn().mockResolvedValue(true),
+  error: jest.fn().mockResolvedValue(true),
+  warning: jest.fn().mockResolvedValue(true)
+}));
+
+jest.mock('../webhookService', () => ({
+  webhookService: {
+    emitProofEvent: jest.fn().mockResolvedValue(0)
+  }
+}));
+
+jest.mock('../proofEventService', () => ({
+  proofEventService: {
+    publish: jest.fn().mockResolvedValue(undefined),
+    publishProofEvent: jest.fn().mockResolvedValue(undefined)
+  }
+}));
+
+jest.mock('@proof-of-funds/db', () => {
+  const mockPrismaClient = {
+    proof: {
+      findMany: jest.fn(),
+      findUnique: jest.fn(),
+      update: jest.fn().mockResolvedValue({}),
+      updateMany: jest.fn().mockResolvedValue({ count: 0 })
+    },
+    batch: {
+      create: jest.fn(),
+      findUnique: jest.fn(),
+      findMany: jest.fn(),
+      update: jest.fn().mockResolvedValue({}),
+      updateMany: jest.fn().mockResolvedValue({ count: 1 })
+    },
+    $transaction: jest.fn()
+  };
+
+  // Support both the interactive and the batched transaction forms
+  mockPrismaClient.$transaction.mockImplementation(async (arg: any) =>
+    typeof arg === 'function' ? arg(mockPrismaClient) : Promise.all(arg)
+  );
+
+  return { prisma: mockPrismaClient };
+});
+
+const TX_HASH = '0x' + 'cd'.repeat(32);
+
+const pendingProof = (referenceId: string, overrides: Record<string, any> = {}) => ({
+  id: `id-${referenceId}`,
+  userId: 'user-123',
+  referenceId,
+  status: 'PENDING',
+  batchId: null,
+  tempWalletId: 'wallet-123',
+  ...overrides
+});
+
+const createRegistry = () => ({
+  getBatchDetails: jest.fn().mockResolvedValue({
+    merkleRoot: ethers.constants.HashZero,
+    timestamp: ethers.BigNumber.from(0)
+  }),
+  anchorBatch: jest.fn().mockResolvedValue({
+    hash: TX_HASH,
+    wait: jest.fn().mockResolvedValue({
+      blockNumber: 1234,
+      gasUsed: ethers.BigNumber.from(50000),
+      effectiveGasPrice: ethers.BigNumber.from(30000000000)
+    })
+  }),
+  verifyToken: jest.fn().mockResolvedValue(true)
+});
+
+describe('BatchAnchoringService', () => {
+  let service: BatchAnchoringService;
+  let registry: ReturnType<typeof createRegistry>;
+  let mockPrisma: any;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    registry = createRegistry();
+    service = new BatchAnchoringService({ registry: registry as unknown as ethers.Contract });
+    mockPrisma = jest.requireMock('@proof-of-funds/db').prisma;
+    mockPrisma.batch.updateMany.mockResolvedValue({ count: 1 });
+  });
+
+  describe('createBatch', () => {
+    it('should store the Merkle root on the batch and each proof path', async () => {
+      mockPrisma.proof.findMany.mockResolvedValue([pendingProof('pof-b'), pendingProof('pof-a')]);
+      mockPrisma.batch.create.mockImplementation(async ({ data }: any) => ({
+        id: 'batch-123',
+        retryCount: 0,
+        ...data
+      }));
+
+      const result = await service.createBatch(['pof-b', 'pof-a']);
+
+      const tree = buildMerkleTree([toTokenId('pof-a'), toTokenId('pof-b')]);
+      expect(result).toEqual({
+        batchId: 'batch-123',
+        status: 'PENDING',
+        merkleRoot: tree.root,
+        proofCount: 2,
+        retryCount: 0
+      });
+      expect(mockPrisma.batch.create).toHaveBeenCalledWith({
+        data: { merkleRoot: tree.root, status: 'PENDING', tempWalletId: 'wallet-123' }
+      });
+      expect(mockPrisma.proof.update).toHaveBeenCalledWith({
+        where: { id: 'id-pof-a' },
+        data: { batchId: 'batch-123', merkleRoot: tree.root, merklePath: getMerkleProof(tree, 0) }
+      });
+      expect(mockPrisma.proof.update).toHaveBeenCalledWith({
+        where: { id: 'id-pof-b' },
+        data: { batchId: 'batch-123', merkleRoot: tree.root, merklePath: getMerkleProof(tree, 1) }
+      });
+    });
+
+    it('should reject proofs that are already batched', async () => {
+      mockPrisma.proof.findMany.mockResolvedValue([pendingProof('pof-a', { batchId: 'batch-1' })]);
+
+      await expect(service.createBatch(['pof-a'])).rejects.toThrow('not pending or already batched');
+      expect(mockPrisma.batch.create).not.toHaveBeenCalled();
+    });
+
+    it('should reject unknown reference IDs', async () => {
+      mockPrisma.proof.findMany.mockResolvedValue([pendingProof('pof-a')]);
+
+      await expect(service.createBatch(['pof-a', 'pof-missing'])).rejects.toThrow('Proofs not found: pof-missing');
+    });
+
+    it('should reject proofs from different users', async () => {
+      mockPrisma.proof.findMany.mockResolvedValue([
+        pendingProof('pof-a'),
+        pendingProof('pof-b', { userId: 'user-456' })
+      ]);
+
+      await expect(service.createBatch(['pof-a', 'pof-b'])).rejects.toThrow('same user');
+    });
+
+    it('should enforce the maximum batch size', async () => {
+      await expect(service.createBatch(['a', 'b', 'c', 'd'])).rejects.toThrow('exceeds maximum of 3');
+    });
+  });
+
+  describe('anchorBatch', () => {
+    const merkleRoot = '0x' + 'ab'.repeat(32);
+
+    beforeEach(() => {
+      mockPrisma.batch.findUnique.mockResolvedValue({
+        id: 'batch-123',
+        status: 'PENDING',
+        merkleRoot,
+        transactionHash: null,
+        retryCount: 0,
+        maxRetries: 3,
+        proofs: [{ id: 'proof-1' }, { id: 'proof-2' }]
+      });
+    });
+
+    it('should anchor the root and confirm the batch and its proofs', async () => {
+      const result = await service.anchorBatch('batch-123');
+
+      expect(mockPrisma.batch.updateMany).toHaveBeenCalledWith({
+        where: { id: 'batch-123', status: 'PENDING' },
+        data: { status: 'PROCESSING', processingStartedAt: expect.any(Date) }
+      });
+      expect(registry.anchorBatch).toHaveBeenCalledWith(toBatchId('batch-123'), merkleRoot, 2);
+      expect(result).toEqual({
+        batchId: 'batch-123',
+        status: 'CONFIRMED',
+        merkleRoot,
+        proofCount: 2,
+        transactionHash: TX_HASH,
+        retryCount: 0
+      });
+      expect(mockPrisma.batch.update).toHaveBeenCalledWith({
+        where: { id: 'batch-123' },
+        data: expect.objectContaining({
+          status: 'CONFIRMED',
+          transactionHash: TX_HASH,
+          gasUsed: '50000',
+          gasPrice: '30000000000',
+          totalCost: '1500000000000000'
+        })
+      });
+      expect(mockPrisma.proof.updateMany).toHaveBeenCalledWith({
+        where: { id: { in: ['proof-1', 'proof-2'] } },
+        data: { status: 'CONFIRMED', transactionHash: TX_HASH, confirmedAt: expect.any(Date), blockNumber: 1234 }
+      });
+      expect(webhookService.emitProofEvent).toHaveBeenCalledWith('proof.confirmed', ['proof-1', 'proof-2'], {
+        batchId: 'batch-123',
+        merkleRoot,
+        transactionHash: TX_HASH
+      });
+      expect(proofEventService.publishProofEvent).toHaveBeenCalledWith('proof.confirmed', ['proof-1', 'proof-2'], {
+        batchId: 'batch-123',
+        transactionHash: TX_HASH
+      });
+    });
+
+    it('should return the batch to the queue while retries remain', async () => {
+      registry.anchorBatch.mockRejectedValueOnce(new Error('nonce too low'));
+
+      const result = await service.anchorBatch('batch-123');
+
+      expect(result.status).toBe('PENDING');
+      expect(result.retryCount).toBe(1);
+      expect(result.error).toBe('nonce too low');
+      expect(mockPrisma.batch.update).toHaveBeenLastCalledWith({
+        where: { id: 'batch-123' },
+        data: { status: 'PENDING', retryCount: 1 }
+      });
+      expect(auditLogger.error).toHaveBeenCalledWith('proof.batch.retry', expect.any(Object), {});
+      expect(webhookService.emitProofEvent).not.toHaveBeenCalled();
+    });
+
+    it('should fail the batch and its proofs once retries are exhausted', async () => {
+      mockPrisma.batch.findUnique.mockResolvedValueOnce({
+        id: 'batch-123',
+        status: 'PENDING',
+        merkleRoot,
+        transactionHash: null,
+        retryCount: 2,
+        maxRetries: 3,
+        proofs: [{ id: 'proof-1' }]
+      });
+      registry.anchorBatch.mockRejectedValueOnce(new Error('execution reverted'));
+
+      const result = await service.anchorBatch('batch-123');
+
+      expect(result.status).toBe('FAILED');
+      expect(mockPrisma.proof.updateMany).toHaveBeenCalledWith({
+        where: { id: { in: ['proof-1'] } },
+        data: { status: 'FAILED' }
+      });
+      expect(auditLogger.error).toHaveBeenCalledWith('proof.batch.failed', expect.any(Object), {});
+    });
+
+    it('should not re-submit a batch that was already anchored', async () => {
+      registry.getBatchDetails.mockResolvedValueOnce({
+        merkleRoot,
+        timestamp: ethers.BigNumber.from(1700000000)
+      });
+
+      const result = await service.anchorBatch('batch-123');
+
+      expect(registry.anchorBatch).not.toHaveBeenCalled();
+      expect(result.status).toBe('CONFIRMED');
+    });
+
+    it('should refuse batches that are not queued', async () => {
+      mockPrisma.batch.updateMany.mockResolvedValueOnce({ count: 0 });
+      mockPrisma.batch.findUnique.mockResolvedValueOnce({
+        id: 'batch-123',
+        status: 'CONFIRMED',
+        proofs: []
+      });
+
+      await expect(service.anchorBatch('batch-123')).rejects.toThrow('not ready for anchoring');
+    });
+
+    it('should not anchor a batch another worker claimed first', async () => {
+      mockPrisma.batch.updateMany
+        .mockResolvedValueOnce({ count: 1 })
+        .mockResolvedValueOnce({ count: 0 });
+      mockPrisma.batch.findUnique
+        .mockResolvedValueOnce({
+          id: 'batch-123', status: 'PROCESSING', merkleRoot, transactionHash: null, retryCount: 0, maxRetries: 3, proofs: [{ id: 'proof-1' }]
+        })
+        .mockResolvedValueOnce({ id: 'batch-123', status: 'PROCESSING', proofs: [{ id: 'proof-1' }] });
+
+      const results = await Promise.allSettled([service.anchorBatch('batch-123'), service.anchorBatch('batch-123')]);
+
+      expect(results.map(result => result.status)).toEqual(['fulfilled', 'rejected']);
+      expect((results[1] as PromiseRejectedResult).reason.message).toContain('PROCESSING state');
+      expect(registry.anchorBatch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should report unknown batches', async () => {
+      mockPrisma.batch.updateMany.mockResolvedValueOnce({ count: 0 });
+      mockPrisma.batch.findUnique.mockResolvedValueOnce(null);
+
+      await expect(service.anchorBatch('batch-missing')).rejects.toThrow('Batch not found: batch-missing');
+    });
+  });
+
+  describe('processPendingBatches', () => {
+    it('should anchor queued batches oldest first', async () => {
+      mockPrisma.batch.findMany.mockResolvedValue([{ id: 'batch-1' }, { id: 'batch-2' }]);
+      const anchorSpy = jest.spyOn(service, 'anchorBatch').mockResolvedValue({} as any);
+
+      await service.processPendingBatches();
+
+      expect(mockPrisma.batch.findMany).toHaveBeenCalledWith(expect.objectContaining({
+        where: { status: 'PENDING' },
+        orderBy: { createdAt: 'asc' }
+      }));
+      expect(anchorSpy.mock.calls).toEqual([['batch-1'], ['batch-2']]);
+    });
+
+    it('should return batches stuck in processing to the queue first', async () => {
+      mockPrisma.batch.updateMany.mockResolvedValueOnce({ count: 2 });
+      mockPrisma.batch.findMany.mockResolvedValue([]);
+      const before = Date.now();
+
+      await service.processPendingBatches();
+
+      const { where, data } = mockPrisma.batch.updateMany.mock.calls[0][0];
+      expect(where.status).toBe('PROCESSING');
+      expect(where.OR[0].processingStartedAt.lt.getTime()).toBeLessThanOrEqual(before);
+      expect(where.OR[1]).toEqual({ processingStartedAt: null });
+      expect(data).toEqual({ status: 'PENDING', processingStartedAt: null });
+      expect(auditLogger.warning).toHaveBeenCalledWith('proof.batch.reclaimed', expect.objectContaining({ count: 2 }), {});
+    });
+  });
+
+  describe('verifyInclusion', () => {
+    const tokenIds = ['pof-a', 'pof-b', 'pof-c'].map(toTokenId);
+    const tree = buildMerkleTree(tokenIds);
+
+    it('should check the stored path against the registry', async () => {
+      mockPrisma.proof.findUnique.mockResolvedValue({
+        batchId: 'batch-123',
+        merkleRoot: tree.root,
+        merklePath: getMerkleProof(tree, 1),
+        batch: { status: 'CONFIRMED', transactionHash: TX_HASH }
+      });
+
+      const result = await service.verifyInclusion('pof-b');
+
+      expect(result).toEqual({
+        batchId: 'batch-123',
+        merkleRoot: tree.root,
+        transactionHash: TX_HASH,
+        included: true
+      });
+      expect(registry.verifyToken).toHaveBeenCalledWith(
+        toBatchId('batch-123'),
+        toTokenId('pof-b'),
+        getMerkleProof(tree, 1)
+      );
+    });
+
+    it('should reject a path that does not lead to the stored root', async () => {
+      mockPrisma.proof.findUnique.mockResolvedValue({
+        batchId: 'batch-123',
+        merkleRoot: tree.root,
+        merklePath: getMerkleProof(tree, 0),
+        batch: { status: 'CONFIRMED', transactionHash: TX_HASH }
+      });
+
+      const result = await service.verifyInclusion('pof-b');
+
+      expect(result?.included).toBe(false);
+      expect(registry.verifyToken).not.toHaveBeenCalled();
+    });
+
+    it('should report revoked tokens as not included', async () => {
+      mockPrisma.proof.findUnique.mockResolvedValue({
+        batchId: 'batch-123',
+        merkleRoot: tree.root,
+        merklePath: getMerkleProof(tree, 2),
+        batch: { status: 'CONFIRMED', transactionHash: TX_HASH }
+      });
+      registry.verifyToken.mockResolvedValueOnce(false);
+
+      const result = await service.verifyInclusion('pof-c');
+
+      expect(result?.included).toBe(false);
+    });
+
+    it('should read inclusion from the registry without a signer key', async () => {
+      mockPrisma.proof.findUnique.mockResolvedValue({
+        batchId: 'batch-123',
+        merkleRoot: tree.root,
+        merklePath: getMerkleProof(tree, 1),
+        batch: { status: 'CONFIRMED', transactionHash: TX_HASH }
+      });
+      const call = jest.spyOn(ethers.providers.JsonRpcProvider.prototype, 'call')
+        .mockResolvedValue(ethers.utils.defaultAbiCoder.encode(['bool'], [true]));
+      jest.spyOn(ethers.providers.JsonRpcProvider.prototype, 'getNetwork')
+        .mockResolvedValue({ chainId: 31337, name: 'unknown' });
+
+      const readOnly = new BatchAnchoringService();
+      const result = await readOnly.verifyInclusion('pof-b');
+
+      expect(result?.included).toBe(true);
+      expect(call).toHaveBeenCalledTimes(1);
+      expect(call.mock.calls[0][0]).toEqual(expect.objectContaining({ to: '0x1234567890123456789012345678901234567890' }));
+      call.mockRestore();
+    });
+
+    it('should return null for proofs outside a batch', async () => {
+      mockPrisma.proof.findUnique.mockResolvedValue({ batchId: null, merkleRoot: null, merklePath: null });
+
+      expect(await service.verifyInclusion('pof-x')).toBeNull();
+    });
+  });
+});
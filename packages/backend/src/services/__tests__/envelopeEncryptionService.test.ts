@@ -0,0 +1,199 @@
+/**
+ * Envelope Encryption Service Tests
+ *
+ * Tests encrypting payloads with wrapped data keys, unwrapping keys with the
+ * provider and key version named by the encryption key ID, and re-wrapping
+ * data keys after a master key rotation.
+ */
+
+import { prisma } from '@proof-of-funds/db';
+import {
+  EnvelopeEncryptionService,
+  formatEncryptionKeyId,
+  parseEncryptionKeyId
+} from '../envelopeEncryptionService';
+import { LocalKeyProvider, KeyProvider } from '../keyProviders';
+
+jest.mock('@proof-of-funds/db', () => {
+  const proofs: any[] = [];
+
+  const matches = (proof: any, where: any = {}) => Object.entries(where).every(([key, condition]: [string, any]) => {
+    if (condition && typeof condition === 'object') {
+      if ('gt' in condition) {return proof[key] > condition.gt;}
+      if ('notIn' in condition) {return !condition.notIn.includes(proof[key]);}
+      if ('not' in condition) {return proof[key] !== condition.not;}
+    }
+    return proof[key] === condition;
+  });
+
+  return {
+    prisma: {
+      proofs,
+      proof: {
+        findMany: jest.fn(async ({ where, take }: any) => proofs
+          .filter(proof => matches(proof, where))
+          .sort((a, b) => a.id.localeCompare(b.id))
+          .slice(0, take)),
+        updateMany: jest.fn(async ({ where, data }: any) => {
+          const matched = proofs.filter(proof => matches(proof, where));
+          matched.forEach(proof => Object.assign(proof, data));
+          return { count: matched.length };
+        })
+      }
+    }
+  };
+});
+
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../config', () => ({
+  __esModule: true,
+  default: {
+    isProduction: false,
+    encryption: {
+      keyProvider: 'local',
+      local: { masterKeys: '', currentVersion: '', keyFile: '' },
+      gcpKms: { keyName: '' },
+      secretManager: { secretName: '' },
+      rotation: { enabled: false, intervalMs: 60000, batchSize: 100 }
+    }
+  }
+}));
+
+const V1 = '11'.repeat(32);
+const V2 = '22'.repeat(32);
+const PAYLOAD = { proof: { pi_a: ['1'] }, publicSignals: ['1'], proofType: 'STANDARD' };
+
+const db = prisma as any;
+
+const createService = (currentVersion: string, options: { rotationBatchSize?: number } = {}) => new EnvelopeEncryptionService({
+  provider: 'local',
+  providers: [new LocalKeyProvider({ masterKeys: { v1: V1, v2: V2 }, currentVersion })],
+  ...options
+});
+
+describe('EnvelopeEncryptionService', () => {
+  beforeEach(() => {
+    db.proofs.length = 0;
+  });
+
+  describe('encryption key IDs', () => {
+    it('names the provider and the master key version', () => {
+      expect(formatEncryptionKeyId('gcp-kms', 'projects/p/cryptoKeyVersions/3')).toBe('gcp-kms:projects/p/cryptoKeyVersions/3');
+      expect(parseEncryptionKeyId('gcp-kms:projects/p/cryptoKeyVersions/3')).toEqual({
+        provider: 'gcp-kms',
+        keyVersion: 'projects/p/cryptoKeyVersions/3'
+      });
+    });
+
+    it('rejects IDs created before envelope encryption', () => {
+      expect(() => parseEncryptionKeyId('local-0b5e3c4a')).toThrow('Invalid encryption key ID');
+    });
+  });
+
+  describe('encrypt and decrypt', () => {
+    it('encrypts each payload with its own wrapped data key', async () => {
+      const service = createService('v1');
+
+      const first = await service.encrypt(PAYLOAD);
+      const second = await service.encrypt(PAYLOAD);
+
+      expect(first.encryptionKeyId).toBe('local:v1');
+      expect(first.dataKey).toHaveLength(32);
+      expect(first.dataKey.equals(second.dataKey)).toBe(false);
+      expect(first.encryptedData).not.toContain('pi_a');
+      expect(first.wrappedDataKey).not.toBe(first.dataKey.toString('base64'));
+
+      await expect(service.decrypt(first)).resolves.toEqual(PAYLOAD);
+    });
+
+    it('decrypts payloads whose data key was wrapped by an older master key', async () => {
+      const encrypted = await createService('v1').encrypt(PAYLOAD);
+
+      await expect(createService('v2').decrypt(encrypted)).resolves.toEqual(PAYLOAD);
+    });
+
+    it('refuses payloads without a wrapped data key', async () => {
+      await expect(createService('v1').decrypt({
+        encryptedData: JSON.stringify(PAYLOAD),
+        wrappedDataKey: null,
+        encryptionKeyId: 'local-0b5e3c4a'
+      })).rejects.toThrow('no wrapped data key');
+    });
+
+    it('unwraps keys with the provider named by the key ID', async () => {
+      const other: KeyProvider = {
+        name: 'hsm',
+        getCurrentKeyVersion: jest.fn().mockResolvedValue('slot-1'),
+        wrapKey: jest.fn(),
+        unwrapKey: jest.fn().mockResolvedValue(Buffer.alloc(32, 9))
+      };
+      const service = new EnvelopeEncryptionService({
+        provider: 'local',
+        providers: [new LocalKeyProvider({ masterKeys: { v1: V1 } }), other]
+      });
+
+      await expect(service.unwrapDataKey('wrapped', 'hsm:slot-1')).resolves.toEqual(Buffer.alloc(32, 9));
+      expect(other.unwrapKey).toHaveBeenCalledWith('wrapped', 'slot-1');
+      await expect(service.unwrapDataKey('wrapped', 'vault:1')).rejects.toThrow('Unknown key provider: vault');
+    });
+  });
+
+  describe('rewrapDataKeys', () => {
+    it('re-wraps data keys with the current master key without re-encrypting payloads', async () => {
+      const old = createService('v1');
+      for (const id of ['proof-1', 'proof-2', 'proof-3']) {
+        db.proofs.push({ id, ...(await old.encrypt({ ...PAYLOAD, id })) });
+      }
+      db.proofs.push({ id: 'legacy', encryptedData: JSON.stringify(PAYLOAD), wrappedDataKey: null, encryptionKeyId: 'local-legacy' });
+      const encryptedData = db.proofs.map((proof: any) => proof.encryptedData);
+
+      const service = createService('v2', { rotationBatchSize: 2 });
+      const result = await service.rewrapDataKeys();
+
+      expect(result).toEqual({ rewrapped: 3, failed: 0 });
+      expect(db.proofs.map((proof: any) => proof.encryptionKeyId)).toEqual(['local:v2', 'local:v2', 'local:v2', 'local-legacy']);
+      expect(db.proofs.map((proof: any) => proof.encryptedData)).toEqual(encryptedData);
+      await expect(service.decrypt(db.proofs[2])).resolves.toEqual({ ...PAYLOAD, id: 'proof-3' });
+
+      // Nothing is left to rotate, so the old master key can be retired
+      const retired = new EnvelopeEncryptionService({
+        provider: 'local',
+        providers: [new LocalKeyProvider({ masterKeys: { v2: V2 } })]
+      });
+      await expect(retired.decrypt(db.proofs[0])).resolves.toEqual({ ...PAYLOAD, id: 'proof-1' });
+      await expect(retired.rewrapDataKeys()).resolves.toEqual({ rewrapped: 0, failed: 0 });
+    });
+
+    it('skips data keys that cannot be unwrapped', async () => {
+      db.proofs.push({ id: 'proof-1', ...(await createService('v1').encrypt(PAYLOAD)) });
+      db.proofs.push({ id: 'proof-2', ...(await createService('v1').encrypt(PAYLOAD)), encryptionKeyId: 'local:v0' });
+
+      const result = await createService('v2', { rotationBatchSize: 1 }).rewrapDataKeys();
+
+      expect(result).toEqual({ rewrapped: 1, failed: 1 });
+      expect(db.proofs[1].encryptionKeyId).toBe('local:v0');
+    });
+
+    it('visits each proof once when re-wrapped proofs still match', async () => {
+      for (const id of ['proof-1', 'proof-2', 'proof-3']) {
+        db.proofs.push({ id, ...(await createService('v1').encrypt(PAYLOAD)) });
+        // Another instance keeps changing the keys, so no update applies
+        db.proof.updateMany.mockResolvedValueOnce({ count: 0 });
+      }
+
+      const result = await createService('v2', { rotationBatchSize: 2 }).rewrapDataKeys();
+
+      expect(result).toEqual({ rewrapped: 0, failed: 0 });
+      expect(db.proof.findMany).toHaveBeenCalledTimes(2);
+      expect(db.proof.findMany).toHaveBeenLastCalledWith(expect.objectContaining({
+        where: expect.objectContaining({ id: { gt: 'proof-2' } })
+      }));
+    });
+  });
+});
@@ -5,18 +5,33 @@
  * they work together correctly.
  */
 
+import { BigNumber } from 'ethers';
 import { IntegrationService, ProofGenerationParams } from '../integrationService';
 import { PrismaClient, ProofType, ProofStatus } from '@proof-of-funds/db';
 import { ChainAdapterRegistry, ChainType } from '@proof-of-funds/frontend/utils/chains';
+import { ZKProofService } from '../zkProofService';
+import { TransactionHistoryProcessor } from '@proof-of-funds/frontend/services/TransactionHistoryProcessor';
 import * as auditLogger from '@proof-of-funds/common/logging/auditLogger';
+import { webhookService } from '../webhookService';
+import { proofEventService } from '../proofEventService';
+import { envelopeEncryptionService } from '../envelopeEncryptionService';
+import { sanctionsScreeningService } from '../sanctionsScreeningService';
+import { proofTemplateService } from '../proofTemplateService';
+import { portfolioScannerService } from '../portfolioScannerService';
+import { ApiError } from '../../middleware/errorHandler';
 
 // Mock dependencies
 jest.mock('@proof-of-funds/frontend/utils/chains', () => ({
   ChainAdapterRegistry: jest.fn().mockImplementation(() => ({
     getAdapter: jest.fn().mockReturnValue({
       getBalance: jest.fn().mockResolvedValue('1000000000000000000'), // 1 ETH
+      getBalanceAt: jest.fn().mockResolvedValue({ balance: '1000000000000000000', blockNumber: 100, timestamp: 1000 }),
       validateAddress: jest.fn().mockReturnValue(true)
-    })
+    }),
+    getSupportedNetworks: jest.fn().mockReturnValue([
+      { chainId: 1, nativeCurrency: { name: 'ETH', symbol: 'ETH', decimals: 18 }, type: 'evm' },
+      { chainId: 999, nativeCurrency: { name: 'SOL', symbol: 'SOL', decimals: 9 }, type: 'solana' }
+    ])
   })),
   ChainType: {
     EVM: 'evm',
@@ -27,14 +42,21 @@ jest.mock('@proof-of-funds/frontend/utils/chains', () => ({
 
 jest.mock('@proof-of-funds/frontend/services/TransactionHistoryProcessor', () => ({
   TransactionHistoryProcessor: jest.fn().mockImplementation(() => ({
-    getTransactionHistory: jest.fn().mockResolvedValue([])
+    getTransactionHistory: jest.fn().mockResolvedValue([]),
+    getChainTransactions: jest.fn().mockResolvedValue([])
   }))
 }));
 
-jest.mock('@proof-of-funds/frontend/services/BlacklistChecker', () => ({
-  BlacklistChecker: jest.fn().mockImplementation(() => ({
-    checkAddress: jest.fn().mockResolvedValue(false)
-  }))
+jest.mock('../sanctionsScreeningService', () => ({
+  sanctionsScreeningService: {
+    screenWallets: jest.fn().mockResolvedValue({
+      warningFlags: [],
+      matches: [],
+      allowlisted: [],
+      screenedBy: ['sanctions-list'],
+      unavailable: []
+    })
+  }
 }));
 
 jest.mock('@proof-of-funds/frontend/services/VerificationResultFormatter', () => ({
@@ -117,9 +139,11 @@ jest.mock('@proof-of-funds/db', () => {
           zkProofData: { proof: 'mock-proof', publicSignals: ['1'] }
         }),
         warningFlags: []
-      })
+      }),
+      updateMany: jest.fn().mockResolvedValue({ count: 1 })
     },
     verification: {
+      findFirst: jest.fn().mockResolvedValue(null),
       create: jest.fn().mockResolvedValue({
         id: 'verification-123',
         proofId: 'proof-123',
@@ -163,6 +187,53 @@ jest.mock('@proof-of-funds/db', () => {
   };
 });
 
+const mockReleaseVerification = jest.fn().mockResolvedValue(undefined);
+
+jest.mock('../proofTemplateService', () => ({
+  proofTemplateService: {
+    applyTemplate: jest.fn(),
+    reserveVerification: jest.fn(() => Promise.resolve(mockReleaseVerification))
+  }
+}));
+
+jest.mock('../portfolioScannerService', () => ({
+  portfolioScannerService: {
+    getNativeBalances: jest.fn().mockResolvedValue([
+      { address: '0x1234567890123456789012345678901234567890', chainId: 1, balance: '2000000000000000000' }
+    ])
+  }
+}));
+
+jest.mock('../webhookService', () => ({
+  webhookService: {
+    emitProofEvent: jest.fn().mockResolvedValue(0)
+  }
+}));
+
+jest.mock('../proofEventService', () => ({
+  proofEventService: {
+    publish: jest.fn().mockResolvedValue(undefined),
+    publishProofEvent: jest.fn().mockResolvedValue(undefined)
+  }
+}));
+
+jest.mock('../envelopeEncryptionService', () => ({
+  envelopeEncryptionService: {
+    encrypt: jest.fn().mockResolvedValue({
+      encryptedData: 'encrypted-proof',
+      wrappedDataKey: 'wrapped-data-key',
+      encryptionKeyId: 'local:v1',
+      dataKey: Buffer.alloc(32, 7)
+    }),
+    decrypt: jest.fn().mockResolvedValue({
+      wallets: [{ address: '0x1234567890123456789012345678901234567890', chainId: 1, balance: '1000000000000000000' }],
+      totalBalance: '1000000000000000000',
+      threshold: '500000000000000000',
+      zkProofData: { proof: 'mock-proof', publicSignals: ['1'] }
+    })
+  }
+}));
+
 // Mock ZKProofService
 jest.mock('../zkProofService', () => ({
   ZKProofService: jest.fn().mockImplementation(() => ({
@@ -208,7 +279,17 @@ describe('IntegrationService', () => {
       
       // Verify database interactions
       expect(prisma.wallet.create).toHaveBeenCalled();
-      expect(prisma.proof.create).toHaveBeenCalled();
+      expect(prisma.proof.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          encryptedData: 'encrypted-proof',
+          wrappedDataKey: 'wrapped-data-key',
+          encryptionKeyId: 'local:v1'
+        })
+      });
+      expect(envelopeEncryptionService.encrypt).toHaveBeenCalledWith(expect.objectContaining({
+        proofType: ProofType.THRESHOLD,
+        threshold: '500000000000000000'
+      }));
       
       // Verify audit logging
       expect(auditLogger.info).toHaveBeenCalledWith(
@@ -223,6 +304,127 @@ describe('IntegrationService', () => {
       );
     });
     
+    it('should prove the template threshold when the request leaves it out', async () => {
+      const expiresAt = new Date(Date.now() + 3600 * 1000);
+      (proofTemplateService.applyTemplate as jest.Mock).mockResolvedValueOnce({
+        template: { id: 'template-123', name: 'Test Template' },
+        threshold: '2000000000000000000',
+        expiresAt
+      });
+      
+      await integrationService.generateProof({
+        userId: 'user-123',
+        wallets: [{ address: '0x1234567890123456789012345678901234567890', chainId: 1 }],
+        proofType: ProofType.THRESHOLD,
+        expiryPeriod: 86400,
+        templateId: 'template-123'
+      });
+      
+      expect(proofTemplateService.applyTemplate).toHaveBeenCalledWith('template-123', ProofType.THRESHOLD, undefined);
+      const zkProofService = (ZKProofService as jest.Mock).mock.results[0].value;
+      expect(zkProofService.generateThresholdProof).toHaveBeenCalledWith(
+        expect.objectContaining({ threshold: '2000000000000000000' })
+      );
+      expect(prisma.proof.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ templateId: 'template-123', expiresAt })
+      });
+    });
+    
+    it('should store the sanctions screening flags on the proof', async () => {
+      (sanctionsScreeningService.screenWallets as jest.Mock).mockResolvedValueOnce({
+        warningFlags: ['WALLET_BLACKLISTED:0x1234567890123456789012345678901234567890'],
+        matches: [],
+        allowlisted: [],
+        screenedBy: ['sanctions-list'],
+        unavailable: []
+      });
+      const wallets = [{ address: '0x1234567890123456789012345678901234567890', chainId: 1 }];
+
+      await integrationService.generateProof({
+        userId: 'user-123',
+        wallets,
+        proofType: ProofType.THRESHOLD,
+        threshold: '500000000000000000',
+        expiryPeriod: 86400
+      });
+
+      expect(sanctionsScreeningService.screenWallets).toHaveBeenCalledWith(wallets, { userId: 'user-123' });
+      expect(prisma.proof.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          warningFlags: ['WALLET_BLACKLISTED:0x1234567890123456789012345678901234567890']
+        })
+      });
+    });
+    
+    it('should flag balances that were moved in shortly before the proof', async () => {
+      const wallet = '0x1234567890123456789012345678901234567890';
+      const sender = '0x8589427373d6d84e98730d7795d8f6f8731fda16';
+      const processor = (TransactionHistoryProcessor as jest.Mock).mock.results[0].value;
+      processor.getChainTransactions.mockResolvedValueOnce([{
+        id: '1-0xinflow',
+        hash: '0xinflow',
+        from: sender,
+        to: wallet,
+        value: BigNumber.from('1000000000000000000'),
+        timestamp: Math.floor(Date.now() / 1000) - 2 * 24 * 60 * 60,
+        blockNumber: 100,
+        confirmations: 10,
+        status: 'success',
+        chainId: 1,
+        chainType: 'evm'
+      }]);
+      (sanctionsScreeningService.screenWallets as jest.Mock)
+        .mockResolvedValueOnce({ warningFlags: [], matches: [], allowlisted: [], screenedBy: ['sanctions-list'], unavailable: [] })
+        .mockResolvedValueOnce({
+          warningFlags: [`WALLET_BLACKLISTED:${sender}`],
+          matches: [{ address: sender, provider: 'sanctions-list', riskScore: 100 }],
+          allowlisted: [],
+          screenedBy: ['sanctions-list'],
+          unavailable: []
+        });
+
+      await integrationService.generateProof({
+        userId: 'user-123',
+        wallets: [{ address: wallet, chainId: 1 }],
+        proofType: ProofType.THRESHOLD,
+        threshold: '500000000000000000',
+        expiryPeriod: 86400
+      });
+
+      expect(sanctionsScreeningService.screenWallets).toHaveBeenLastCalledWith([sender], { userId: 'user-123' });
+      const { warningFlags } = (prisma.proof.create as jest.Mock).mock.calls[0][0].data;
+      expect(warningFlags.map((flag: string) => flag.split(':')[0])).toEqual([
+        'RECENT_LARGE_INFLOW',
+        'FLAGGED_COUNTERPARTY',
+        'SHORT_HOLDING_PERIOD'
+      ]);
+      expect(warningFlags[1]).toContain(sender);
+      expect(envelopeEncryptionService.encrypt).toHaveBeenCalledWith(expect.objectContaining({
+        sourceOfFunds: expect.arrayContaining([
+          expect.objectContaining({ code: 'FLAGGED_COUNTERPARTY', transactions: ['0xinflow'] })
+        ])
+      }));
+    });
+    
+    it('should flag wallets whose history could not be analyzed', async () => {
+      const processor = (TransactionHistoryProcessor as jest.Mock).mock.results[0].value;
+      processor.getChainTransactions.mockRejectedValueOnce(new Error('Chain adapter not found for chain ID: 1'));
+
+      await integrationService.generateProof({
+        userId: 'user-123',
+        wallets: [{ address: '0x1234567890123456789012345678901234567890', chainId: 1 }],
+        proofType: ProofType.THRESHOLD,
+        threshold: '500000000000000000',
+        expiryPeriod: 86400
+      });
+
+      expect(prisma.proof.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          warningFlags: ['SOURCE_OF_FUNDS_UNAVAILABLE:0x1234567890123456789012345678901234567890']
+        })
+      });
+    });
+    
     it('should handle errors during proof generation', async () => {
       // Mock proof creation to throw an error
       (prisma.proof.create as jest.Mock).mockRejectedValueOnce(new Error('Database error'));
@@ -321,6 +523,73 @@ describe('IntegrationService', () => {
       const zkResult = await integrationService.generateProof(zkParams);
       expect(zkResult.type).toBe(ProofType.ZERO_KNOWLEDGE);
     });
+    
+    it('should total Solana and EVM balances in the same units', async () => {
+      const registry = (ChainAdapterRegistry as jest.Mock).mock.results[0].value;
+      const zkProofService = (ZKProofService as jest.Mock).mock.results[0].value;
+      registry.getAdapter().getBalance
+        .mockResolvedValueOnce('1000000000000000000') // 1 ETH in wei
+        .mockResolvedValueOnce('2000000000'); // 2 SOL in lamports
+      
+      await integrationService.generateProof({
+        userId: 'user-123',
+        wallets: [
+          { address: '0x1234567890123456789012345678901234567890', chainId: 1 },
+          { address: '7EcDhSYGxXyscszYEp35KHN8vvw3svAuLKTzXwCFLtV', chainId: 999 }
+        ],
+        proofType: ProofType.THRESHOLD,
+        threshold: '500000000000000000',
+        expiryPeriod: 86400
+      });
+      
+      expect(zkProofService.generateThresholdProof).toHaveBeenCalledWith(
+        expect.objectContaining({ totalBalance: '3000000000000000000' })
+      );
+    });
+    
+    it('should prove balances as of a past date and record the blocks read', async () => {
+      const registry = (ChainAdapterRegistry as jest.Mock).mock.results[0].value;
+      const zkProofService = (ZKProofService as jest.Mock).mock.results[0].value;
+      const processor = (TransactionHistoryProcessor as jest.Mock).mock.results[0].value;
+      const asOf = 1759276799; // 2025-09-30T23:59:59Z
+      registry.getAdapter().getBalanceAt
+        .mockResolvedValueOnce({ balance: '1000000000000000000', blockNumber: 23470000, timestamp: asOf - 11 })
+        .mockResolvedValueOnce({ balance: '2000000000000000000', blockNumber: 23470002, timestamp: asOf - 1 });
+      
+      await integrationService.generateProof({
+        userId: 'user-123',
+        wallets: [
+          { address: '0x1234567890123456789012345678901234567890', chainId: 1 },
+          { address: '0x8589427373d6d84e98730d7795d8f6f8731fda16', chainId: 1 }
+        ],
+        proofType: ProofType.THRESHOLD,
+        threshold: '500000000000000000',
+        expiryPeriod: 86400,
+        asOf
+      });
+      
+      expect(registry.getAdapter().getBalanceAt).toHaveBeenCalledWith(
+        '0x1234567890123456789012345678901234567890',
+        { timestamp: asOf }
+      );
+      expect(registry.getAdapter().getBalance).not.toHaveBeenCalled();
+      expect(zkProofService.generateThresholdProof).toHaveBeenCalledWith(
+        expect.objectContaining({ totalBalance: '3000000000000000000' })
+      );
+      expect(processor.getChainTransactions).toHaveBeenCalledWith(
+        '0x1234567890123456789012345678901234567890',
+        1,
+        expect.objectContaining({ endDate: asOf })
+      );
+      expect(prisma.proof.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          balanceSnapshot: {
+            timestamp: asOf,
+            blocks: [{ chainId: 1, blockNumber: 23470002, timestamp: asOf - 1 }]
+          }
+        })
+      });
+    });
   });
   
   describe('verifyProof', () => {
@@ -343,7 +612,19 @@ describe('IntegrationService', () => {
       expect(prisma.proof.findUnique).toHaveBeenCalledWith({
         where: { referenceId: 'ref-123' }
       });
-      expect(prisma.verification.create).toHaveBeenCalled();
+      expect(portfolioScannerService.getNativeBalances).toHaveBeenCalledWith([
+        { address: '0x1234567890123456789012345678901234567890', chainId: 1 }
+      ]);
+      expect(prisma.verification.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          verificationResult: expect.objectContaining({ currentBalance: '2000000000000000000' })
+        })
+      });
+      expect(webhookService.emitProofEvent).toHaveBeenCalledWith('proof.verified', 'proof-123', {
+        verificationId: 'verification-123',
+        isValid: true,
+        verifierAddress: '0x9876543210987654321098765432109876543210'
+      });
       
       // Verify audit logging
       expect(auditLogger.info).toHaveBeenCalledWith(
@@ -358,6 +639,22 @@ describe('IntegrationService', () => {
       );
     });
     
+    it('should decrypt proofs stored with a wrapped data key', async () => {
+      const proof = await prisma.proof.findUnique({ where: { referenceId: 'ref-123' } });
+      const encrypted = {
+        ...proof,
+        encryptedData: 'encrypted-proof',
+        wrappedDataKey: 'wrapped-data-key',
+        encryptionKeyId: 'local:v1'
+      };
+      (prisma.proof.findUnique as jest.Mock).mockResolvedValueOnce(encrypted);
+      
+      const result = await integrationService.verifyProof({ referenceId: 'ref-123' });
+      
+      expect(result.isValid).toBe(true);
+      expect(envelopeEncryptionService.decrypt).toHaveBeenCalledWith(encrypted);
+    });
+    
     it('should handle non-existent proofs', async () => {
       // Mock proof lookup to return null
       (prisma.proof.findUnique as jest.Mock).mockResolvedValueOnce(null);
@@ -404,6 +701,13 @@ describe('IntegrationService', () => {
       expect(result.isValid).toBe(false);
       expect(result.warningFlags).toContain('PROOF_EXPIRED');
       
+      // The proof moves to EXPIRED and organizations are told once
+      expect(prisma.proof.updateMany).toHaveBeenCalledWith({
+        where: { id: 'proof-123', isRevoked: false, status: { notIn: ['EXPIRED', 'REVOKED'] } },
+        data: { status: 'EXPIRED' }
+      });
+      expect(webhookService.emitProofEvent).toHaveBeenCalledWith('proof.expired', 'proof-123');
+      
       // Verify logging
       expect(auditLogger.info).toHaveBeenCalledWith(
         'proof.verification.expired',
@@ -412,6 +716,21 @@ describe('IntegrationService', () => {
       );
     });
     
+    it('should announce an expiry only once', async () => {
+      const proof = await prisma.proof.findUnique({ where: { referenceId: 'ref-123' } });
+      (prisma.proof.findUnique as jest.Mock).mockResolvedValueOnce({
+        ...proof,
+        status: 'EXPIRED',
+        expiresAt: new Date(Date.now() - 86400000)
+      });
+      (prisma.proof.updateMany as jest.Mock).mockResolvedValueOnce({ count: 0 });
+      
+      const result = await integrationService.verifyProof({ referenceId: 'ref-123' });
+      
+      expect(result.warningFlags).toContain('PROOF_EXPIRED');
+      expect(webhookService.emitProofEvent).not.toHaveBeenCalled();
+    });
+    
     it('should handle revoked proofs', async () => {
       // Mock proof to be revoked
       (prisma.proof.findUnique as jest.Mock).mockResolvedValueOnce({
@@ -449,6 +768,34 @@ describe('IntegrationService', () => {
         expect.any(Object)
       );
     });
+    
+    it('should enforce the template minimum verification interval', async () => {
+      const proof = await prisma.proof.findUnique({ where: { referenceId: 'ref-123' } });
+      (prisma.proof.findUnique as jest.Mock).mockResolvedValueOnce({ ...proof, templateId: 'template-123' });
+      (proofTemplateService.reserveVerification as jest.Mock).mockRejectedValueOnce(
+        new ApiError(429, 'This proof can only be verified every 3600 seconds', 'VERIFICATION_TOO_FREQUENT', { retryAfter: 3540 })
+      );
+      
+      const result = await integrationService.verifyProof({ referenceId: 'ref-123' });
+      
+      expect(proofTemplateService.reserveVerification).toHaveBeenCalledWith('proof-123', 'template-123');
+      expect(result.isValid).toBe(false);
+      expect(result.warningFlags).toContain('VERIFICATION_TOO_FREQUENT');
+      expect(prisma.verification.create).not.toHaveBeenCalled();
+    });
+    
+    it('should release the template interval when the proof does not verify', async () => {
+      const proof = await prisma.proof.findUnique({ where: { referenceId: 'ref-123' } });
+      (prisma.proof.findUnique as jest.Mock).mockResolvedValueOnce({ ...proof, templateId: 'template-123' });
+      (integrationService as any).zkProofService.verifyThresholdProof.mockResolvedValueOnce(false);
+      
+      await integrationService.verifyProof({ referenceId: 'ref-123' });
+      
+      expect(prisma.verification.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ isSuccessful: false })
+      });
+      expect(mockReleaseVerification).toHaveBeenCalled();
+    });
   });
   
   describe('getTransactionHistory', () => {
@@ -0,0 +1,194 @@
+/**
+ * Key Provider Tests
+ *
+ * Tests wrapping data keys with versioned local master keys, Cloud KMS and
+ * Secret Manager secret versions, using fake GCP clients.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import config from '../../config';
+import {
+  LocalKeyProvider,
+  GcpKmsKeyProvider,
+  SecretManagerKeyProvider,
+  createKeyProvider,
+  registerKeyProviderFactory
+} from '../keyProviders';
+
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../config', () => ({
+  __esModule: true,
+  default: {
+    isProduction: false,
+    encryption: {
+      keyProvider: 'local',
+      local: { masterKeys: '', currentVersion: '', keyFile: '' },
+      gcpKms: { keyName: 'projects/p/locations/global/keyRings/proofs/cryptoKeys/payloads' },
+      secretManager: { secretName: 'projects/p/secrets/proof-master-key' },
+      rotation: { enabled: false, intervalMs: 60000, batchSize: 100 }
+    }
+  }
+}));
+
+const DATA_KEY = Buffer.alloc(32, 5);
+const V1 = '11'.repeat(32);
+const V2 = Buffer.alloc(32, 0x22).toString('base64');
+const KEY_NAME = 'projects/p/locations/global/keyRings/proofs/cryptoKeys/payloads';
+const SECRET_NAME = 'projects/p/secrets/proof-master-key';
+
+const mutableConfig = config as any;
+
+describe('key providers', () => {
+  afterEach(() => {
+    mutableConfig.isProduction = false;
+    mutableConfig.encryption.local = { masterKeys: '', currentVersion: '', keyFile: '' };
+  });
+
+  describe('LocalKeyProvider', () => {
+    it('wraps with the current version and unwraps with older versions', async () => {
+      const v1 = new LocalKeyProvider({ masterKeys: { v1: V1 } });
+      const both = new LocalKeyProvider({ masterKeys: { v1: V1, v2: V2 } });
+
+      const wrapped = await v1.wrapKey(DATA_KEY);
+      expect(wrapped.keyVersion).toBe('v1');
+
+      await expect(both.getCurrentKeyVersion()).resolves.toBe('v2');
+      expect((await both.wrapKey(DATA_KEY)).keyVersion).toBe('v2');
+      await expect(both.unwrapKey(wrapped.wrappedKey, 'v1')).resolves.toEqual(DATA_KEY);
+    });
+
+    it('rejects wrapped keys relabelled with another version', async () => {
+      const provider = new LocalKeyProvider({ masterKeys: { v1: V1, v2: V1 } });
+      const { wrappedKey } = await provider.wrapKey(DATA_KEY);
+
+      await expect(provider.unwrapKey(wrappedKey, 'v1')).rejects.toThrow();
+      await expect(provider.unwrapKey(wrappedKey, 'v3')).rejects.toThrow('Master key version v3 is not configured');
+    });
+
+    it('reads keys from the environment and key files', async () => {
+      mutableConfig.encryption.local.masterKeys = `v1:${V1},v2:${V2}`;
+      mutableConfig.encryption.local.currentVersion = 'v1';
+      await expect(new LocalKeyProvider().getCurrentKeyVersion()).resolves.toBe('v1');
+
+      const keyFile = path.join(os.tmpdir(), `proof-master-keys-${process.pid}.json`);
+      fs.writeFileSync(keyFile, JSON.stringify({ currentVersion: '2025-10', keys: { '2025-10': V2 } }));
+      try {
+        const provider = new LocalKeyProvider({ keyFile, currentVersion: '' });
+        const wrapped = await provider.wrapKey(DATA_KEY);
+
+        expect(wrapped.keyVersion).toBe('2025-10');
+        await expect(provider.unwrapKey(wrapped.wrappedKey, '2025-10')).resolves.toEqual(DATA_KEY);
+      } finally {
+        fs.unlinkSync(keyFile);
+      }
+    });
+
+    it('rejects master keys that are not 32 bytes', async () => {
+      await expect(new LocalKeyProvider({ masterKeys: { v1: 'abcd' } }).wrapKey(DATA_KEY))
+        .rejects.toThrow('Master key must be 32 bytes');
+    });
+
+    it('only falls back to the development key outside production', async () => {
+      await expect(new LocalKeyProvider().getCurrentKeyVersion()).resolves.toBe('dev');
+
+      mutableConfig.isProduction = true;
+      await expect(new LocalKeyProvider().wrapKey(DATA_KEY)).rejects.toThrow('No local master keys are configured');
+    });
+  });
+
+  describe('GcpKmsKeyProvider', () => {
+    const createClient = () => ({
+      encrypt: jest.fn(async ({ plaintext }: any) => [{
+        name: `${KEY_NAME}/cryptoKeyVersions/2`,
+        ciphertext: Buffer.concat([Buffer.from('kms:'), plaintext])
+      }]),
+      decrypt: jest.fn(async ({ ciphertext }: any) => [{ plaintext: ciphertext.subarray(4) }]),
+      getCryptoKey: jest.fn(async () => [{ primary: { name: `${KEY_NAME}/cryptoKeyVersions/2` } }])
+    });
+
+    it('records the crypto key version KMS wrapped the key with', async () => {
+      const client = createClient();
+      const provider = new GcpKmsKeyProvider({ client });
+
+      const wrapped = await provider.wrapKey(DATA_KEY);
+
+      expect(client.encrypt).toHaveBeenCalledWith({ name: KEY_NAME, plaintext: DATA_KEY });
+      expect(wrapped.keyVersion).toBe(`${KEY_NAME}/cryptoKeyVersions/2`);
+      await expect(provider.getCurrentKeyVersion()).resolves.toBe(`${KEY_NAME}/cryptoKeyVersions/2`);
+    });
+
+    it('decrypts with the crypto key that owns the version', async () => {
+      const client = createClient();
+      const provider = new GcpKmsKeyProvider({ client });
+      const wrapped = await provider.wrapKey(DATA_KEY);
+
+      await expect(provider.unwrapKey(wrapped.wrappedKey, `${KEY_NAME}/cryptoKeyVersions/1`)).resolves.toEqual(DATA_KEY);
+      expect(client.decrypt).toHaveBeenCalledWith({ name: KEY_NAME, ciphertext: expect.any(Buffer) });
+    });
+
+    it('requires a key name', async () => {
+      await expect(new GcpKmsKeyProvider({ keyName: '', client: createClient() }).wrapKey(DATA_KEY))
+        .rejects.toThrow('KMS key name is not configured');
+    });
+  });
+
+  describe('SecretManagerKeyProvider', () => {
+    const createClient = (versions: Record<string, string | Buffer>) => {
+      const latest = () => Object.keys(versions).map(Number).sort((a, b) => a - b).pop();
+
+      return {
+        accessSecretVersion: jest.fn(async ({ name }: any) => {
+          const version = name.endsWith('/latest') ? latest() : Number(name.split('/').pop());
+          return [{
+            name: `${SECRET_NAME}/versions/${version}`,
+            payload: { data: Buffer.isBuffer(versions[version!]) ? versions[version!] : Buffer.from(versions[version!] as string) }
+          }];
+        })
+      };
+    };
+
+    it('wraps with the latest secret version', async () => {
+      const client = createClient({ 1: V1, 2: Buffer.alloc(32, 0x22) });
+      const provider = new SecretManagerKeyProvider({ client });
+
+      const wrapped = await provider.wrapKey(DATA_KEY);
+
+      expect(wrapped.keyVersion).toBe(`${SECRET_NAME}/versions/2`);
+      await expect(provider.unwrapKey(wrapped.wrappedKey, wrapped.keyVersion)).resolves.toEqual(DATA_KEY);
+    });
+
+    it('unwraps with older secret versions and caches them', async () => {
+      const client = createClient({ 1: V1 });
+      const wrapped = await new SecretManagerKeyProvider({ client }).wrapKey(DATA_KEY);
+
+      const rotated = createClient({ 1: V1, 2: V2 });
+      const provider = new SecretManagerKeyProvider({ client: rotated });
+
+      await expect(provider.getCurrentKeyVersion()).resolves.toBe(`${SECRET_NAME}/versions/2`);
+      await expect(provider.unwrapKey(wrapped.wrappedKey, wrapped.keyVersion)).resolves.toEqual(DATA_KEY);
+      await expect(provider.unwrapKey(wrapped.wrappedKey, wrapped.keyVersion)).resolves.toEqual(DATA_KEY);
+      expect(rotated.accessSecretVersion).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('registry', () => {
+    it('creates configured and registered providers by name', () => {
+      expect(createKeyProvider('local')).toBeInstanceOf(LocalKeyProvider);
+      expect(createKeyProvider('gcp-kms')).toBeInstanceOf(GcpKmsKeyProvider);
+      expect(createKeyProvider('gcp-secret-manager')).toBeInstanceOf(SecretManagerKeyProvider);
+      expect(() => createKeyProvider('vault')).toThrow('Unknown key provider: vault');
+
+      const vault = { name: 'vault' } as any;
+      registerKeyProviderFactory('vault', () => vault);
+      expect(createKeyProvider('vault')).toBe(vault);
+    });
+  });
+});
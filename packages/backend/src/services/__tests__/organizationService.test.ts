@@ -0,0 +1,297 @@
+/**
+ * Organization Service Tests
+ *
+ * Tests organization membership rules, invitations, API key rotation
+ * and the organization role middleware.
+ */
+
+import crypto from 'crypto';
+import { prisma } from '@proof-of-funds/db';
+import { organizationService } from '../organizationService';
+import { requireOrgRole } from '../../middleware/organizationAuth';
+import { sendEmail } from '../../utils/emailSender';
+
+jest.mock('@proof-of-funds/db', () => {
+  const mockPrisma: any = {
+    organization: {
+      create: jest.fn(),
+      update: jest.fn(),
+      delete: jest.fn()
+    },
+    organizationUser: {
+      findUnique: jest.fn(),
+      findFirst: jest.fn(),
+      findMany: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn(),
+      delete: jest.fn(),
+      deleteMany: jest.fn(),
+      count: jest.fn()
+    },
+    organizationInvitation: {
+      findUnique: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn(),
+      updateMany: jest.fn(),
+      deleteMany: jest.fn()
+    },
+    proofTemplate: {
+      deleteMany: jest.fn()
+    },
+    user: {
+      findUnique: jest.fn()
+    },
+    $transaction: jest.fn((operations: Promise<any>[]) => Promise.all(operations))
+  };
+
+  return { prisma: mockPrisma };
+});
+
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../config', () => ({
+  __esModule: true,
+  default: { isProduction: false }
+}));
+
+jest.mock('../../utils/emailSender', () => ({
+  sendEmail: jest.fn().mockResolvedValue(true)
+}));
+
+jest.mock('../auditLogService', () => ({
+  auditLogService: {
+    log: jest.fn().mockResolvedValue(undefined)
+  }
+}));
+
+const ORG_ID = '11111111-1111-1111-1111-111111111111';
+const OWNER = { userId: 'owner-id', role: 'OWNER' as const };
+const ADMIN = { userId: 'admin-id', role: 'ADMIN' as const };
+const MEMBER = { userId: 'member-id', role: 'MEMBER' as const };
+
+const sha256 = (value: string) => crypto.createHash('sha256').update(value).digest('hex');
+
+describe('OrganizationService', () => {
+  const db = prisma as any;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('createOrganization', () => {
+    it('should make the creator the owner', async () => {
+      db.organization.create.mockResolvedValue({ id: ORG_ID, name: 'Acme' });
+
+      const organization = await organizationService.createOrganization(OWNER.userId, { name: 'Acme' });
+
+      expect(db.organization.create).toHaveBeenCalledWith(expect.objectContaining({
+        data: expect.objectContaining({
+          name: 'Acme',
+          members: { create: { userId: OWNER.userId, role: 'OWNER' } }
+        })
+      }));
+      expect(organization.role).toBe('OWNER');
+    });
+  });
+
+  describe('updateMemberRole', () => {
+    it('should let owners promote members to admin', async () => {
+      db.organizationUser.findUnique.mockResolvedValue({ userId: MEMBER.userId, role: 'MEMBER' });
+      db.organizationUser.update.mockResolvedValue({ userId: MEMBER.userId, role: 'ADMIN' });
+
+      await organizationService.updateMemberRole(ORG_ID, MEMBER.userId, 'ADMIN', OWNER);
+
+      expect(db.organizationUser.update).toHaveBeenCalledWith(expect.objectContaining({
+        data: { role: 'ADMIN' }
+      }));
+    });
+
+    it('should not let admins grant ownership', async () => {
+      db.organizationUser.findUnique.mockResolvedValue({ userId: MEMBER.userId, role: 'MEMBER' });
+
+      await expect(organizationService.updateMemberRole(ORG_ID, MEMBER.userId, 'OWNER', ADMIN))
+        .rejects.toMatchObject({ statusCode: 403, code: 'INSUFFICIENT_ORG_ROLE' });
+      expect(db.organizationUser.update).not.toHaveBeenCalled();
+    });
+
+    it('should not let admins manage other admins', async () => {
+      db.organizationUser.findUnique.mockResolvedValue({ userId: 'other-admin', role: 'ADMIN' });
+
+      await expect(organizationService.updateMemberRole(ORG_ID, 'other-admin', 'MEMBER', ADMIN))
+        .rejects.toMatchObject({ statusCode: 403 });
+    });
+
+    it('should not demote the last owner', async () => {
+      db.organizationUser.findUnique.mockResolvedValue({ userId: OWNER.userId, role: 'OWNER' });
+      db.organizationUser.count.mockResolvedValue(1);
+
+      await expect(organizationService.updateMemberRole(ORG_ID, OWNER.userId, 'ADMIN', OWNER))
+        .rejects.toMatchObject({ statusCode: 409, code: 'LAST_OWNER' });
+    });
+  });
+
+  describe('removeMember', () => {
+    it('should let members leave on their own', async () => {
+      db.organizationUser.findUnique.mockResolvedValue({ userId: MEMBER.userId, role: 'MEMBER' });
+
+      await organizationService.removeMember(ORG_ID, MEMBER.userId, MEMBER);
+
+      expect(db.organizationUser.delete).toHaveBeenCalledWith({
+        where: { userId_organizationId: { userId: MEMBER.userId, organizationId: ORG_ID } }
+      });
+    });
+
+    it('should not let members remove others', async () => {
+      db.organizationUser.findUnique.mockResolvedValue({ userId: 'other-member', role: 'MEMBER' });
+
+      await expect(organizationService.removeMember(ORG_ID, 'other-member', MEMBER))
+        .rejects.toMatchObject({ statusCode: 403 });
+      expect(db.organizationUser.delete).not.toHaveBeenCalled();
+    });
+
+    it('should not remove the last owner', async () => {
+      db.organizationUser.findUnique.mockResolvedValue({ userId: OWNER.userId, role: 'OWNER' });
+      db.organizationUser.count.mockResolvedValue(1);
+
+      await expect(organizationService.removeMember(ORG_ID, OWNER.userId, OWNER))
+        .rejects.toMatchObject({ code: 'LAST_OWNER' });
+    });
+  });
+
+  describe('invitations', () => {
+    it('should store only the hash of the emailed invitation token', async () => {
+      db.organizationUser.findFirst.mockResolvedValue(null);
+      db.organizationInvitation.updateMany.mockResolvedValue({ count: 0 });
+      db.organizationInvitation.create.mockImplementation(async ({ data }: any) => ({
+        id: 'invitation-id',
+        email: data.email,
+        role: data.role,
+        organization: { name: 'Acme' }
+      }));
+
+      const invitation = await organizationService.inviteMember(ORG_ID, 'Auditor@Example.com', 'MEMBER', ADMIN, 'https://app.test');
+
+      const { data } = db.organizationInvitation.create.mock.calls[0][0];
+      const emailText = (sendEmail as jest.Mock).mock.calls[0][0].text;
+      const token = emailText.match(/token=([0-9a-f]+)/)[1];
+
+      expect(data.email).toBe('auditor@example.com');
+      expect(data.tokenHash).toBe(sha256(token));
+      expect(JSON.stringify(invitation)).not.toContain(token);
+    });
+
+    it('should not invite existing members', async () => {
+      db.organizationUser.findFirst.mockResolvedValue({ userId: MEMBER.userId });
+
+      await expect(organizationService.inviteMember(ORG_ID, 'member@example.com', 'MEMBER', ADMIN, 'https://app.test'))
+        .rejects.toMatchObject({ statusCode: 409, code: 'ALREADY_MEMBER' });
+    });
+
+    it('should not let admins invite owners', async () => {
+      await expect(organizationService.inviteMember(ORG_ID, 'new@example.com', 'OWNER', ADMIN, 'https://app.test'))
+        .rejects.toMatchObject({ statusCode: 403 });
+    });
+
+    it('should add the invited user with the invited role', async () => {
+      db.organizationInvitation.findUnique.mockResolvedValue({
+        id: 'invitation-id',
+        organizationId: ORG_ID,
+        email: 'auditor@example.com',
+        role: 'ADMIN',
+        expiresAt: new Date(Date.now() + 60000),
+        acceptedAt: null,
+        revokedAt: null
+      });
+      db.user.findUnique.mockResolvedValue({ email: 'Auditor@example.com' });
+      db.organizationUser.findUnique.mockResolvedValue(null);
+      db.organizationUser.create.mockResolvedValue({ organizationId: ORG_ID, userId: 'auditor-id', role: 'ADMIN' });
+
+      const membership = await organizationService.acceptInvitation('invite-token', 'auditor-id');
+
+      expect(db.organizationInvitation.findUnique).toHaveBeenCalledWith(expect.objectContaining({
+        where: { tokenHash: sha256('invite-token') }
+      }));
+      expect(membership.role).toBe('ADMIN');
+      expect(db.organizationInvitation.update).toHaveBeenCalledWith(expect.objectContaining({
+        data: { acceptedAt: expect.any(Date) }
+      }));
+    });
+
+    it('should reject expired invitations and other recipients', async () => {
+      const invitation = {
+        id: 'invitation-id',
+        organizationId: ORG_ID,
+        email: 'auditor@example.com',
+        role: 'MEMBER',
+        acceptedAt: null,
+        revokedAt: null
+      };
+
+      db.organizationInvitation.findUnique.mockResolvedValueOnce({ ...invitation, expiresAt: new Date(Date.now() - 1) });
+      await expect(organizationService.acceptInvitation('invite-token', 'auditor-id'))
+        .rejects.toMatchObject({ code: 'INVALID_INVITATION' });
+
+      db.organizationInvitation.findUnique.mockResolvedValueOnce({ ...invitation, expiresAt: new Date(Date.now() + 60000) });
+      db.user.findUnique.mockResolvedValue({ email: 'someone-else@example.com' });
+      await expect(organizationService.acceptInvitation('invite-token', 'other-id'))
+        .rejects.toMatchObject({ statusCode: 403, code: 'INVITATION_EMAIL_MISMATCH' });
+
+      expect(db.organizationUser.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('rotateApiKey', () => {
+    it('should return the key once and store only its hash', async () => {
+      db.organization.update.mockResolvedValue({ apiKeyCreatedAt: new Date() });
+
+      const { apiKey, apiKeyPrefix } = await organizationService.rotateApiKey(ORG_ID, ADMIN.userId);
+
+      const { data } = db.organization.update.mock.calls[0][0];
+      expect(apiKey).toMatch(/^pof_[0-9a-f]{48}$/);
+      expect(apiKeyPrefix).toBe(apiKey.slice(0, 12));
+      expect(data.apiKey).toBe(sha256(apiKey));
+      expect(JSON.stringify(data)).not.toContain(apiKey);
+    });
+  });
+});
+
+describe('requireOrgRole', () => {
+  const db = prisma as any;
+
+  const run = async (role: string | null, requiredRole: 'OWNER' | 'ADMIN' | 'MEMBER') => {
+    db.organizationUser.findUnique.mockResolvedValue(role ? { role } : null);
+
+    const req: any = { user: { id: 'user-id' }, params: { organizationId: ORG_ID }, headers: {} };
+    const res: any = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    const next = jest.fn();
+
+    await requireOrgRole(requiredRole)(req, res, next);
+    return { req, res, next };
+  };
+
+  it('should admit members with the required role or higher', async () => {
+    const { req, next } = await run('OWNER', 'ADMIN');
+
+    expect(next).toHaveBeenCalled();
+    expect(req.organizationMember).toEqual({ organizationId: ORG_ID, userId: 'user-id', role: 'OWNER' });
+  });
+
+  it('should reject members with a lower role', async () => {
+    const { res, next } = await run('MEMBER', 'ADMIN');
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+
+  it('should hide organizations from non-members', async () => {
+    const { res, next } = await run(null, 'MEMBER');
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+});
@@ -0,0 +1,319 @@
+/**
+ * Passkey Service Tests
+ *
+ * Tests registering passkeys, logging in and stepping up with them, and
+ * managing them, using a software authenticator against in-memory tables.
+ */
+
+import { prisma } from '@proof-of-funds/db';
+import { PasskeyService } from '../passkeyService';
+import { generateTokenPair } from '../jwtService';
+import { auditLogService } from '../auditLogService';
+import { SoftwareAuthenticator } from '../../../test/software-authenticator';
+
+jest.mock('@proof-of-funds/db', () => {
+  const tables: Record<string, any[]> = { user: [], passkeyCredential: [], webAuthnChallenge: [] };
+
+  // Minimal matcher for the where clauses the service uses
+  const matches = (row: any, where: any = {}): boolean => Object.entries(where).every(([key, condition]: [string, any]) => {
+    if (condition && typeof condition === 'object' && 'gt' in condition) {
+      return row[key] > condition.gt;
+    }
+    return (row[key] ?? null) === (condition ?? null);
+  });
+
+  const project = (row: any, select?: Record<string, boolean>) => {
+    if (!row) {
+      return null;
+    }
+    if (!select) {
+      return { ...row };
+    }
+    return Object.fromEntries(Object.keys(select).map(key => [key, row[key]]));
+  };
+
+  const table = (name: string, defaults: () => Record<string, any> = () => ({})) => ({
+    findUnique: jest.fn(async ({ where, select }: any) => project(tables[name].find(row => matches(row, where)), select)),
+    findMany: jest.fn(async ({ where, select }: any) =>
+      tables[name].filter(row => matches(row, where)).map(row => project(row, select))),
+    count: jest.fn(async ({ where }: any) => tables[name].filter(row => matches(row, where)).length),
+    create: jest.fn(async ({ data, select }: any) => {
+      const row = { ...defaults(), ...data };
+      tables[name].push(row);
+      return project(row, select);
+    }),
+    update: jest.fn(async ({ where, data }: any) => {
+      const row = tables[name].find(item => matches(item, where));
+      Object.assign(row, data);
+      return { ...row };
+    }),
+    updateMany: jest.fn(async ({ where, data }: any) => {
+      const rows = tables[name].filter(row => matches(row, where));
+      rows.forEach(row => Object.assign(row, data));
+      return { count: rows.length };
+    }),
+    deleteMany: jest.fn(async ({ where }: any) => {
+      const before = tables[name].length;
+      tables[name] = tables[name].filter(row => !matches(row, where));
+      return { count: before - tables[name].length };
+    })
+  });
+
+  let nextId = 0;
+
+  return {
+    prisma: {
+      tables,
+      user: table('user'),
+      passkeyCredential: table('passkeyCredential', () => ({
+        id: `00000000-0000-4000-8000-${String(++nextId).padStart(12, '0')}`,
+        createdAt: new Date(),
+        lastUsedAt: null
+      })),
+      webAuthnChallenge: table('webAuthnChallenge', () => ({ createdAt: new Date(), usedAt: null }))
+    }
+  };
+});
+
+jest.mock('../jwtService', () => ({
+  generateTokenPair: jest.fn(async () => ({ accessToken: 'access-token', refreshToken: 'refresh-token' }))
+}));
+
+jest.mock('../auditLogService', () => ({
+  auditLogService: {
+    log: jest.fn().mockResolvedValue(undefined)
+  }
+}));
+
+jest.mock('../../utils/logger', () => ({
+  __esModule: true,
+  default: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+jest.mock('../../config', () => ({
+  __esModule: true,
+  default: {
+    webauthn: {
+      rpId: 'localhost',
+      rpName: 'Proof of Funds',
+      origins: ['http://localhost:3000'],
+      challengeTtlMs: 300000,
+      maxCredentialsPerUser: 2
+    }
+  }
+}));
+
+const tables = (prisma as any).tables as Record<string, any[]>;
+
+describe('PasskeyService', () => {
+  const userId = 'user-1';
+  let service: PasskeyService;
+  let authenticator: SoftwareAuthenticator;
+
+  const register = async (name?: string) => {
+    const options = await service.generateRegistrationOptions(userId);
+    const { response } = authenticator.createCredential(options);
+    return service.verifyRegistration(userId, response, name);
+  };
+
+  beforeEach(() => {
+    tables.user = [{
+      id: userId,
+      email: 'user@example.com',
+      address: null,
+      permissions: ['user'],
+      isActive: true
+    }];
+    tables.passkeyCredential = [];
+    tables.webAuthnChallenge = [];
+    service = new PasskeyService();
+    authenticator = new SoftwareAuthenticator();
+  });
+
+  describe('registration', () => {
+    it('should register a passkey', async () => {
+      const options = await service.generateRegistrationOptions(userId);
+
+      expect(options).toMatchObject({
+        rp: { id: 'localhost', name: 'Proof of Funds' },
+        user: { id: Buffer.from(userId).toString('base64url'), name: 'user@example.com' },
+        authenticatorSelection: { residentKey: 'required', userVerification: 'required' },
+        excludeCredentials: []
+      });
+
+      const { response } = authenticator.createCredential(options);
+      const passkey = await service.verifyRegistration(userId, response, ' Laptop ');
+
+      expect(passkey).toMatchObject({ name: 'Laptop', transports: ['internal', 'hybrid'], backedUp: false });
+      expect(passkey).not.toHaveProperty('publicKey');
+      expect(tables.passkeyCredential[0]).toMatchObject({ userId, credentialId: response.rawId, signCount: 1 });
+      expect(auditLogService.log).toHaveBeenCalledWith(expect.objectContaining({
+        eventType: 'passkey.register',
+        actorId: userId,
+        status: 'success'
+      }));
+    });
+
+    it('should exclude registered passkeys and enforce the limit', async () => {
+      await register();
+
+      const options = await service.generateRegistrationOptions(userId);
+      expect(options.excludeCredentials).toEqual([
+        expect.objectContaining({ id: tables.passkeyCredential[0].credentialId })
+      ]);
+
+      await service.verifyRegistration(userId, authenticator.createCredential(options).response);
+
+      await expect(service.generateRegistrationOptions(userId))
+        .rejects.toMatchObject({ statusCode: 400, code: 'PASSKEY_LIMIT_REACHED' });
+    });
+
+    it('should not accept a registration response twice', async () => {
+      const options = await service.generateRegistrationOptions(userId);
+      const { response } = authenticator.createCredential(options);
+      await service.verifyRegistration(userId, response);
+
+      await expect(service.verifyRegistration(userId, response))
+        .rejects.toMatchObject({ statusCode: 400, code: 'INVALID_PASSKEY_RESPONSE' });
+      expect(tables.passkeyCredential).toHaveLength(1);
+    });
+
+    it('should not accept a challenge issued to another user', async () => {
+      tables.user.push({ id: 'user-2', email: 'other@example.com', permissions: [], isActive: true });
+      const options = await service.generateRegistrationOptions('user-2');
+      const { response } = authenticator.createCredential(options);
+
+      await expect(service.verifyRegistration(userId, response))
+        .rejects.toMatchObject({ statusCode: 400, code: 'INVALID_PASSKEY_RESPONSE' });
+    });
+
+    it('should reject an unknown user', async () => {
+      await expect(service.generateRegistrationOptions('missing'))
+        .rejects.toMatchObject({ statusCode: 404, code: 'USER_NOT_FOUND' });
+    });
+  });
+
+  describe('login', () => {
+    it('should log in with a discoverable passkey', async () => {
+      await register('Laptop');
+
+      const options = await service.generateAuthenticationOptions('login');
+      expect(options).toMatchObject({ rpId: 'localhost', userVerification: 'required', allowCredentials: [] });
+
+      const result = await service.login(authenticator.getAssertion(options));
+
+      expect(result).toEqual({
+        tokens: { accessToken: 'access-token', refreshToken: 'refresh-token' },
+        user: { id: userId, email: 'user@example.com', address: null, permissions: ['user'] }
+      });
+      expect(generateTokenPair).toHaveBeenCalledWith(expect.objectContaining({ userId, email: 'user@example.com' }));
+      expect(tables.passkeyCredential[0].signCount).toBe(2);
+      expect(tables.passkeyCredential[0].lastUsedAt).toBeInstanceOf(Date);
+      expect(tables.user[0].lastLoginAt).toBeInstanceOf(Date);
+    });
+
+    it('should not accept an assertion twice', async () => {
+      await register();
+      const assertion = authenticator.getAssertion(await service.generateAuthenticationOptions('login'));
+      await service.login(assertion);
+
+      await expect(service.login(assertion))
+        .rejects.toMatchObject({ statusCode: 400, code: 'INVALID_PASSKEY_RESPONSE' });
+    });
+
+    it('should reject an unknown passkey', async () => {
+      const options = await service.generateAuthenticationOptions('login');
+      authenticator.createCredential({ challenge: 'unused', user: { id: 'dXNlci0x' } });
+
+      await expect(service.login(authenticator.getAssertion(options)))
+        .rejects.toMatchObject({ statusCode: 401, code: 'UNKNOWN_PASSKEY' });
+    });
+
+    it('should reject a cloned authenticator whose counter went backwards', async () => {
+      await register();
+      tables.passkeyCredential[0].signCount = 10;
+
+      const options = await service.generateAuthenticationOptions('login');
+
+      await expect(service.login(authenticator.getAssertion(options)))
+        .rejects.toMatchObject({ statusCode: 401, code: 'PASSKEY_VERIFICATION_FAILED' });
+      expect(auditLogService.log).toHaveBeenCalledWith(expect.objectContaining({
+        eventType: 'auth.login',
+        status: 'failure'
+      }));
+    });
+
+    it('should reject an inactive account', async () => {
+      await register();
+      tables.user[0].isActive = false;
+
+      const options = await service.generateAuthenticationOptions('login');
+
+      await expect(service.login(authenticator.getAssertion(options)))
+        .rejects.toMatchObject({ statusCode: 401, code: 'ACCOUNT_INACTIVE' });
+      expect(generateTokenPair).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('step-up', () => {
+    it('should verify a passkey of the signed-in user', async () => {
+      const passkey = await register();
+
+      const options = await service.generateAuthenticationOptions('step_up', userId);
+      expect(options.allowCredentials).toEqual([
+        expect.objectContaining({ id: tables.passkeyCredential[0].credentialId })
+      ]);
+
+      const result = await service.verifyAuthentication(authenticator.getAssertion(options), 'step_up', userId);
+
+      expect(result).toEqual({ userId, passkey: expect.objectContaining({ id: passkey.id }) });
+      expect(auditLogService.log).toHaveBeenCalledWith(expect.objectContaining({
+        eventType: 'twoFactor.verification',
+        details: expect.objectContaining({ method: 'passkey' })
+      }));
+    });
+
+    it('should require a registered passkey', async () => {
+      await expect(service.generateAuthenticationOptions('step_up', userId))
+        .rejects.toMatchObject({ statusCode: 400, code: 'NO_PASSKEYS' });
+    });
+
+    it('should not accept a login challenge or another user\'s passkey', async () => {
+      await register();
+
+      const loginOptions = await service.generateAuthenticationOptions('login');
+      await expect(service.verifyAuthentication(authenticator.getAssertion(loginOptions), 'step_up', userId))
+        .rejects.toMatchObject({ statusCode: 400, code: 'INVALID_PASSKEY_RESPONSE' });
+
+      tables.user.push({ id: 'user-2', email: 'other@example.com', permissions: [], isActive: true });
+      tables.passkeyCredential.push({ id: 'other', userId: 'user-2', credentialId: 'x' });
+      const options = await service.generateAuthenticationOptions('step_up', 'user-2');
+
+      await expect(service.verifyAuthentication(
+        authenticator.getAssertion(options, authenticator.credentials[0]),
+        'step_up',
+        'user-2'
+      )).rejects.toMatchObject({ statusCode: 401, code: 'UNKNOWN_PASSKEY' });
+    });
+  });
+
+  describe('management', () => {
+    it('should list, rename and remove passkeys of their owner only', async () => {
+      const passkey = await register('Laptop');
+
+      expect(await service.listCredentials(userId)).toEqual([expect.objectContaining({ id: passkey.id, name: 'Laptop' })]);
+      expect(await service.listCredentials('user-2')).toEqual([]);
+
+      expect(await service.renameCredential(userId, passkey.id, 'Phone')).toMatchObject({ name: 'Phone' });
+      await expect(service.renameCredential('user-2', passkey.id, 'Mine'))
+        .rejects.toMatchObject({ statusCode: 404, code: 'PASSKEY_NOT_FOUND' });
+
+      await expect(service.deleteCredential('user-2', passkey.id))
+        .rejects.toMatchObject({ statusCode: 404, code: 'PASSKEY_NOT_FOUND' });
+      await service.deleteCredential(userId, passkey.id);
+
+      expect(tables.passkeyCredential).toHaveLength(0);
+      expect(auditLogService.log).toHaveBeenCalledWith(expect.objectContaining({ eventType: 'passkey.remove' }));
+    });
+  });
+});
@@ -0,0 +1,296 @@
+/**
+ * Portfolio Provider Tests
+ *
+ * Tests reading balances with the Moralis and Solana RPC providers against a
+ * mocked fetch, the RPC provider against a fake node answering Multicall3
+ * calls, the fixture provider, and selecting providers by name.
+ */
+
+import { ethers } from 'ethers';
+import {
+  FixtureProvider,
+  MoralisProvider,
+  PortfolioProvider,
+  RpcProvider,
+  SolanaRpcProvider,
+  createPortfolioProvider,
+  getPortfolioChain,
+  registerPortfolioProviderFactory
+} from '../portfolioProviders';
+
+jest.mock('../../config', () => ({
+  __esModule: true,
+  default: {
+    portfolio: {
+      providers: ['fixture'],
+      moralis: { apiKey: '', apiUrl: 'https://moralis.example/api' },
+      rpc: { rpcUrls: {}, multicallAddress: '0xcA11bde05977b3631167028862bE2a173976CA11' },
+      solana: { rpcUrl: 'https://solana.example' },
+      fixturePath: ''
+    }
+  }
+}));
+
+const EVM = '0x8589427373D6D84E98730D7795D8f6f8731FDA16';
+const SOLANA = '7EcDhSYGxXyscszYEp35KHN8vvw3svAuLKTzXwCFLtV';
+const USDC = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+const DAI = '0x6B175474E89094C44Da98b954EedeAC495271d0F';
+const MULTICALL = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+const ethereum = getPortfolioChain('ethereum')!;
+const solana = getPortfolioChain('solana')!;
+const queryOptions = { includeZeroBalances: true, includePotentialSpam: true };
+
+const jsonResponse = (data: any, status = 200) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  statusText: status === 200 ? 'OK' : 'Error',
+  json: async () => data
+});
+
+/**
+ * Fake node answering Multicall3 aggregate3 calls from balances by target
+ */
+const createFakeNode = (nativeBalance: string, tokenBalances: Record<string, string | null>) => {
+  const multicall = new ethers.utils.Interface([
+    'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)',
+    'function getEthBalance(address addr) view returns (uint256 balance)'
+  ]);
+  const coder = ethers.utils.defaultAbiCoder;
+
+  return {
+    call: jest.fn(async (tx: { to: string; data: string }) => {
+      const [calls] = multicall.decodeFunctionData('aggregate3', tx.data);
+      const returnData = calls.map((call: any) => {
+        if (call.target === MULTICALL) {
+          return [true, coder.encode(['uint256'], [nativeBalance])];
+        }
+        const balance = tokenBalances[call.target.toLowerCase()];
+        return balance === null || balance === undefined
+          ? [false, '0x']
+          : [true, coder.encode(['uint256'], [balance])];
+      });
+      return multicall.encodeFunctionResult('aggregate3', [returnData]);
+    })
+  };
+};
+
+describe('portfolio providers', () => {
+  const originalFetch = global.fetch;
+  let fetchMock: jest.Mock;
+
+  beforeEach(() => {
+    fetchMock = jest.fn();
+    global.fetch = fetchMock as any;
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  describe('MoralisProvider', () => {
+    it('is unavailable without an API key', async () => {
+      const provider = new MoralisProvider();
+
+      expect(await provider.isAvailable()).toBe(false);
+      expect(provider.supportsChain(ethereum)).toBe(true);
+      expect(provider.supportsChain(solana)).toBe(false);
+    });
+
+    it('reads balances across pages', async () => {
+      fetchMock
+        .mockResolvedValueOnce(jsonResponse({
+          cursor: 'page-2',
+          result: [{
+            token_address: '0xeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeee',
+            symbol: 'ETH',
+            name: 'Ether',
+            decimals: 18,
+            balance: '1500000000000000000',
+            usd_price: 2000,
+            usd_value: 3000,
+            native_token: true
+          }]
+        }))
+        .mockResolvedValueOnce(jsonResponse({
+          cursor: null,
+          result: [
+            { token_address: USDC, symbol: 'USDC', name: 'USD Coin', decimals: '6', balance: '2500000', usd_price: '1', usd_value: '2.5' },
+            { token_address: DAI, symbol: 'DAI', name: 'Dai', decimals: 18, balance: '0', possible_spam: false }
+          ]
+        }));
+
+      const provider = new MoralisProvider({ apiKey: 'key' });
+      const balances = await provider.getBalances(EVM, ethereum, { includeZeroBalances: false, includePotentialSpam: false });
+
+      expect(balances).toEqual([
+        expect.objectContaining({ chain: 'ethereum', type: 'native', address: null, symbol: 'ETH', balance: 1.5, usdValue: 3000 }),
+        expect.objectContaining({ type: 'token', address: USDC.toLowerCase(), symbol: 'USDC', decimals: 6, rawBalance: '2500000', balance: 2.5, usdPrice: 1 })
+      ]);
+
+      const [firstUrl, init] = fetchMock.mock.calls[0];
+      expect(firstUrl).toBe(`https://moralis.example/api/wallets/${EVM}/tokens?chain=eth&exclude_spam=true`);
+      expect(init.headers['X-API-Key']).toBe('key');
+      expect(fetchMock.mock.calls[1][0]).toContain('cursor=page-2');
+    });
+
+    it('reports API errors', async () => {
+      fetchMock.mockResolvedValue(jsonResponse({}, 429));
+
+      const provider = new MoralisProvider({ apiKey: 'key' });
+
+      await expect(provider.getBalances(EVM, ethereum, queryOptions)).rejects.toThrow('Moralis API error: 429');
+    });
+  });
+
+  describe('RpcProvider', () => {
+    it('reads native and ERC-20 balances in one Multicall3 call', async () => {
+      const node = createFakeNode('2000000000000000000', {
+        [USDC.toLowerCase()]: '1000000',
+        [DAI.toLowerCase()]: null
+      });
+      const provider = new RpcProvider({
+        providers: { 1: node as any },
+        tokens: { 1: [{ address: USDC, symbol: 'USDC', name: 'USD Coin', decimals: 6 }] }
+      });
+
+      const balances = await provider.getBalances(EVM, ethereum, {
+        ...queryOptions,
+        tokens: [{ address: DAI, symbol: 'DAI', name: 'Dai Stablecoin', decimals: 18 }]
+      });
+
+      expect(node.call).toHaveBeenCalledTimes(1);
+      expect(node.call.mock.calls[0][0].to).toBe(MULTICALL);
+      expect(balances).toEqual([
+        expect.objectContaining({ type: 'native', symbol: 'ETH', rawBalance: '2000000000000000000', balance: 2 }),
+        expect.objectContaining({ type: 'token', address: USDC.toLowerCase(), symbol: 'USDC', rawBalance: '1000000', balance: 1 })
+      ]);
+    });
+
+    it('leaves out zero balances on request', async () => {
+      const node = createFakeNode('0', { [USDC.toLowerCase()]: '5000000' });
+      const provider = new RpcProvider({
+        providers: { 1: node as any },
+        tokens: { 1: [{ address: USDC, symbol: 'USDC', name: 'USD Coin', decimals: 6 }] }
+      });
+
+      const balances = await provider.getBalances(EVM, ethereum, { includeZeroBalances: false, includePotentialSpam: true });
+
+      expect(balances.map(balance => balance.symbol)).toEqual(['USDC']);
+    });
+
+    it('supports only chains with an RPC URL or provider', () => {
+      const provider = new RpcProvider({ rpcUrls: { 137: 'https://polygon.example' } });
+
+      expect(provider.supportsChain(getPortfolioChain('polygon')!)).toBe(true);
+      expect(provider.supportsChain(ethereum)).toBe(false);
+      expect(provider.supportsChain(solana)).toBe(false);
+    });
+  });
+
+  describe('SolanaRpcProvider', () => {
+    it('reads SOL and SPL token balances', async () => {
+      const tokenAccount = (mint: string, amount: string, decimals: number) => ({
+        account: { data: { parsed: { info: { mint, tokenAmount: { amount, decimals } } } } }
+      });
+      fetchMock.mockImplementation(async (_url: string, init: any) => {
+        const { method } = JSON.parse(init.body);
+        if (method === 'getBalance') {
+          return jsonResponse({ jsonrpc: '2.0', id: 1, result: { value: 2500000000 } });
+        }
+        return jsonResponse({
+          jsonrpc: '2.0',
+          id: 1,
+          result: {
+            value: [
+              tokenAccount('EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', '1000000', 6),
+              tokenAccount('EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', '500000', 6),
+              tokenAccount('So11111111111111111111111111111111111111112', '0', 9)
+            ]
+          }
+        });
+      });
+
+      const provider = new SolanaRpcProvider();
+      const balances = await provider.getBalances(SOLANA, solana, { includeZeroBalances: false, includePotentialSpam: true });
+
+      expect(balances).toEqual([
+        expect.objectContaining({ chain: 'solana', type: 'native', symbol: 'SOL', balance: 2.5 }),
+        expect.objectContaining({ type: 'token', address: 'EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v', symbol: 'USDC', balance: 1.5 })
+      ]);
+      expect(fetchMock.mock.calls[0][0]).toBe('https://solana.example');
+    });
+
+    it('reports RPC errors', async () => {
+      fetchMock.mockResolvedValue(jsonResponse({ jsonrpc: '2.0', id: 1, error: { code: -32602, message: 'Invalid param' } }));
+
+      const provider = new SolanaRpcProvider();
+
+      await expect(provider.getBalances(SOLANA, solana, queryOptions)).rejects.toThrow('Solana RPC error: Invalid param');
+    });
+  });
+
+  describe('FixtureProvider', () => {
+    const provider = new FixtureProvider({
+      fixtures: {
+        ethereum: {
+          [EVM.toLowerCase()]: [
+            { type: 'native', address: null, symbol: 'ETH', name: 'Ether', decimals: 18, rawBalance: '1000000000000000000', usdValue: 2000 },
+            { type: 'token', address: DAI.toLowerCase(), symbol: 'DAI', name: 'Dai', decimals: 18, rawBalance: '0' },
+            { type: 'token', address: '0x1111111111111111111111111111111111111111', symbol: 'FREE', name: 'Airdrop', decimals: 0, rawBalance: '1000', possibleSpam: true }
+          ]
+        },
+        polygon: {
+          [EVM.toLowerCase()]: { error: 'RPC unavailable' }
+        }
+      }
+    });
+
+    it('returns fixture balances for any address casing', async () => {
+      const balances = await provider.getBalances(EVM, ethereum, queryOptions);
+
+      expect(balances).toHaveLength(3);
+      expect(balances[0]).toEqual(expect.objectContaining({ chain: 'ethereum', symbol: 'ETH', balance: 1, usdValue: 2000 }));
+    });
+
+    it('filters zero and spam balances', async () => {
+      const balances = await provider.getBalances(EVM, ethereum, { includeZeroBalances: false, includePotentialSpam: false });
+
+      expect(balances.map(balance => balance.symbol)).toEqual(['ETH']);
+    });
+
+    it('fails for wallets with an error fixture', async () => {
+      await expect(provider.getBalances(EVM, getPortfolioChain('polygon')!, queryOptions)).rejects.toThrow('RPC unavailable');
+    });
+
+    it('supports only chains with fixtures', () => {
+      expect(provider.supportsChain(ethereum)).toBe(true);
+      expect(provider.supportsChain(solana)).toBe(false);
+    });
+  });
+
+  describe('createPortfolioProvider', () => {
+    it('creates built-in providers by name', () => {
+      expect(createPortfolioProvider('moralis')).toBeInstanceOf(MoralisProvider);
+      expect(createPortfolioProvider('rpc')).toBeInstanceOf(RpcProvider);
+      expect(createPortfolioProvider('solana-rpc')).toBeInstanceOf(SolanaRpcProvider);
+      expect(createPortfolioProvider('fixture')).toBeInstanceOf(FixtureProvider);
+    });
+
+    it('creates registered providers', () => {
+      const custom: PortfolioProvider = {
+        name: 'custom',
+        supportsChain: () => true,
+        isAvailable: async () => true,
+        getBalances: async () => []
+      };
+      registerPortfolioProviderFactory('custom', () => custom);
+
+      expect(createPortfolioProvider('custom')).toBe(custom);
+    });
+
+    it('rejects unknown providers', () => {
+      expect(() => createPortfolioProvider('missing')).toThrow('Unknown portfolio provider: missing');
+    });
+  });
+});
@@ -0,0 +1,270 @@
+/**
+ * Portfolio Scanner Service Tests
+ *
+ * Tests scanning wallets across chains with fixture-backed providers:
+ * provider failover and timeouts, caching, the per-chain concurrency limit,
+ * matching wallets to chains, the summary and failed scans.
+ */
+
+import { PortfolioScannerService } from '../portfolioScannerService';
+import { FixtureProvider, PortfolioFixtures, PortfolioProvider } from '../portfolioProviders';
+
+const mockBalanceCache = new Map<string, any>();
+
+jest.mock('@proof-of-funds/common/utils/apiHelpers', () => ({
+  cache: {
+    getBalances: jest.fn((key: string) => mockBalanceCache.get(key) ?? null),
+    setBalances: jest.fn((key: string, balances: any) => {
+      mockBalanceCache.set(key, balances);
+    })
+  },
+  optimizeChainOrder: jest.fn((chains: string[]) => chains),
+  organizeAssetsByCrossChain: jest.fn((assets: any[]) => ({
+    crossChainSummary: [...new Set(assets.map(asset => asset.symbol))].map(symbol => ({ symbol }))
+  }))
+}));
+
+jest.mock('../../utils/logger', () => ({
+  __esModule: true,
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+jest.mock('../../config', () => ({
+  __esModule: true,
+  default: {
+    portfolio: {
+      providers: ['fixture'],
+      chains: ['ethereum', 'polygon', 'solana'],
+      concurrencyPerChain: 2,
+      providerTimeoutMs: 1000,
+      cacheTtlMs: 60000,
+      moralis: { apiKey: '', apiUrl: '' },
+      rpc: { rpcUrls: {}, multicallAddress: '' },
+      solana: { rpcUrl: '' },
+      fixturePath: ''
+    }
+  }
+}));
+
+const WALLET_A = '0x8589427373D6D84E98730D7795D8f6f8731FDA16';
+const WALLET_B = '0x1111111111111111111111111111111111111111';
+const SOLANA = '7EcDhSYGxXyscszYEp35KHN8vvw3svAuLKTzXwCFLtV';
+
+const native = (symbol: string, rawBalance: string, usdValue: number, decimals = 18) => ({
+  type: 'native' as const, address: null, symbol, name: symbol, decimals, rawBalance, usdValue
+});
+
+const usdc = (rawBalance: string) => ({
+  type: 'token' as const,
+  address: '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48',
+  symbol: 'USDC',
+  name: 'USD Coin',
+  decimals: 6,
+  rawBalance,
+  usdValue: Number(rawBalance) / 1e6
+});
+
+const fixtures: PortfolioFixtures = {
+  ethereum: {
+    [WALLET_A.toLowerCase()]: [native('ETH', '1000000000000000000', 2000), usdc('500000000')],
+    [WALLET_B]: [native('ETH', '500000000000000000', 1000), usdc('250000000')]
+  },
+  polygon: {
+    [WALLET_A.toLowerCase()]: [native('POL', '10000000000000000000', 5), usdc('100000000')],
+    [WALLET_B]: [native('POL', '0', 0)]
+  },
+  solana: {
+    [SOLANA]: [native('SOL', '2000000000', 300, 9)]
+  }
+};
+
+/**
+ * Provider that fails, or never answers, on every call
+ */
+const createBrokenProvider = (name: string, behaviour: 'fail' | 'hang' | 'unavailable' = 'fail'): PortfolioProvider & { getBalances: jest.Mock } => ({
+  name,
+  supportsChain: () => true,
+  isAvailable: async () => behaviour !== 'unavailable',
+  getBalances: jest.fn(() => (behaviour === 'hang'
+    ? new Promise<never>(() => undefined)
+    : Promise.reject(new Error(`${name} is down`))))
+});
+
+describe('PortfolioScannerService', () => {
+  beforeEach(() => {
+    mockBalanceCache.clear();
+  });
+
+  it('adds up balances across wallets and chains', async () => {
+    const service = new PortfolioScannerService({ providers: [new FixtureProvider({ fixtures })] });
+
+    const summary = await service.scanWallets([WALLET_A, { address: WALLET_B }]);
+
+    expect(summary.totalValue).toBeCloseTo(3855);
+    expect(summary.totalUSDValue).toBe(summary.totalValue);
+    expect(summary.chains.ethereum).toEqual({
+      nativeBalance: 1.5,
+      tokens: { USDC: 750 },
+      nativeUSDValue: 3000,
+      tokensUSDValue: { USDC: 750 }
+    });
+    expect(summary.chains.polygon.nativeBalance).toBe(10);
+    expect(summary.walletAddresses).toEqual([WALLET_A, WALLET_B]);
+    expect(summary.totalAssets).toHaveLength(7);
+    expect(summary.totalAssets[0]).toEqual(expect.objectContaining({ walletAddress: WALLET_A, chain: 'ethereum' }));
+    expect(summary.crossChain.crossChainSummary.map((item: any) => item.symbol)).toEqual(['ETH', 'USDC', 'POL']);
+    expect(summary.meta.chainsScanAttempted).toEqual(['ethereum', 'polygon']);
+    expect(summary.meta.hasErrors).toBe(false);
+    expect(summary.meta.results.every(result => result.provider === 'fixture')).toBe(true);
+  });
+
+  it('scans Solana wallets on Solana only', async () => {
+    const service = new PortfolioScannerService({ providers: [new FixtureProvider({ fixtures })] });
+
+    const summary = await service.scanWallets([SOLANA, WALLET_A], { chains: ['solana', 'ethereum'] });
+
+    expect(summary.meta.results.map(result => `${result.chain}:${result.address}`)).toEqual([
+      `solana:${SOLANA}`,
+      `ethereum:${WALLET_A}`
+    ]);
+    expect(summary.chains.solana).toEqual(expect.objectContaining({ nativeBalance: 2, nativeUSDValue: 300 }));
+  });
+
+  it('fails over to the next provider', async () => {
+    const unavailable = createBrokenProvider('unconfigured', 'unavailable');
+    const broken = createBrokenProvider('broken');
+    const service = new PortfolioScannerService({
+      providers: [unavailable, broken, new FixtureProvider({ fixtures })]
+    });
+
+    const summary = await service.scanWallets([WALLET_A], { chains: ['ethereum'] });
+
+    expect(unavailable.getBalances).not.toHaveBeenCalled();
+    expect(broken.getBalances).toHaveBeenCalledTimes(1);
+    expect(summary.meta.results[0]).toEqual(expect.objectContaining({ success: true, provider: 'fixture' }));
+    expect(summary.chains.ethereum.nativeBalance).toBe(1);
+  });
+
+  it('fails over when a provider times out', async () => {
+    const slow = createBrokenProvider('slow', 'hang');
+    const service = new PortfolioScannerService({
+      providers: [slow, new FixtureProvider({ fixtures })],
+      providerTimeoutMs: 20
+    });
+
+    const summary = await service.scanWallets([WALLET_A], { chains: ['ethereum'] });
+
+    expect(summary.meta.results[0].provider).toBe('fixture');
+  });
+
+  it('reports chains that could not be read', async () => {
+    const service = new PortfolioScannerService({
+      providers: [new FixtureProvider({ fixtures: { ...fixtures, polygon: { [WALLET_A.toLowerCase()]: { error: 'RPC unavailable' } } } })]
+    });
+
+    const summary = await service.scanWallets([WALLET_A], { chains: ['ethereum', 'polygon'] });
+
+    expect(summary.meta.chainsScanned).toEqual(['ethereum']);
+    expect(summary.meta.chainsWithErrors).toEqual(['polygon']);
+    expect(summary.meta.hasErrors).toBe(true);
+    expect(summary.meta.errors).toEqual([`polygon scan error for ${WALLET_A}: fixture: RPC unavailable`]);
+  });
+
+  it('throws when no chain could be read', async () => {
+    const service = new PortfolioScannerService({ providers: [createBrokenProvider('broken')] });
+
+    await expect(service.scanWallets([WALLET_A], { chains: ['ethereum'] })).rejects.toMatchObject({
+      statusCode: 502,
+      code: 'PORTFOLIO_SCAN_FAILED',
+      details: { errors: [`ethereum scan error for ${WALLET_A}: broken: broken is down`] }
+    });
+  });
+
+  it('reuses cached balances', async () => {
+    const provider = new FixtureProvider({ fixtures });
+    const getBalances = jest.spyOn(provider, 'getBalances');
+    const service = new PortfolioScannerService({ providers: [provider] });
+
+    await service.scanWallets([WALLET_A], { chains: ['ethereum'] });
+    const summary = await service.scanWallets([WALLET_A.toLowerCase()], { chains: ['ethereum'] });
+
+    expect(getBalances).toHaveBeenCalledTimes(1);
+    expect(summary.meta.results[0]).toEqual(expect.objectContaining({ cached: true, provider: 'fixture' }));
+
+    await service.scanWallets([WALLET_A], { chains: ['ethereum'], useCache: false });
+    await service.scanWallets([WALLET_A], { chains: ['ethereum'], includeZeroBalances: false });
+
+    expect(getBalances).toHaveBeenCalledTimes(3);
+  });
+
+  it('limits the wallets scanned at once on a chain', async () => {
+    const wallets = Array.from({ length: 5 }, (_, index) => `0x${String(index + 1).repeat(40)}`);
+    let running = 0;
+    let maxRunning = 0;
+    const provider: PortfolioProvider = {
+      name: 'counting',
+      supportsChain: () => true,
+      isAvailable: async () => true,
+      getBalances: async () => {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        running--;
+        return [];
+      }
+    };
+    const service = new PortfolioScannerService({ providers: [provider], concurrencyPerChain: 2 });
+
+    const summary = await service.scanWallets(wallets, { chains: ['ethereum'] });
+
+    expect(maxRunning).toBe(2);
+    expect(summary.meta.results).toHaveLength(5);
+  });
+
+  it('reads the current native balance of each wallet on its own chain', async () => {
+    const service = new PortfolioScannerService({ providers: [new FixtureProvider({ fixtures })] });
+
+    const balances = await service.getNativeBalances([
+      { address: WALLET_A, chainId: 137 },
+      { address: WALLET_B, chainId: 1 },
+      { address: SOLANA, chainId: 999 }
+    ]);
+
+    expect(balances).toEqual([
+      { address: WALLET_A, chainId: 137, balance: '10000000000000000000' },
+      { address: WALLET_B, chainId: 1, balance: '500000000000000000' },
+      { address: SOLANA, chainId: 999, balance: '2000000000' }
+    ]);
+  });
+
+  it('throws when a wallet balance for verification could not be read', async () => {
+    const service = new PortfolioScannerService({ providers: [createBrokenProvider('broken')] });
+
+    await expect(service.getNativeBalances([{ address: WALLET_A, chainId: 1 }])).rejects.toMatchObject({
+      statusCode: 502,
+      code: 'PORTFOLIO_SCAN_FAILED'
+    });
+    await expect(service.getNativeBalances([{ address: WALLET_A, chainId: 12345 }])).rejects.toMatchObject({
+      code: 'UNSUPPORTED_CHAIN'
+    });
+  });
+
+  it('rejects unsupported chains and addresses', async () => {
+    const service = new PortfolioScannerService({ providers: [new FixtureProvider({ fixtures })] });
+
+    await expect(service.scanWallets([WALLET_A], { chains: ['dogechain'] })).rejects.toMatchObject({
+      statusCode: 400,
+      code: 'UNSUPPORTED_CHAIN'
+    });
+    await expect(service.scanWallets(['bc1qsxdvkyk0jg9ld5y8e6nqxl3qzc3ajvnl2zzqgx'])).rejects.toMatchObject({
+      statusCode: 400,
+      code: 'UNSUPPORTED_WALLET_ADDRESS'
+    });
+    await expect(service.scanWallets([])).rejects.toMatchObject({ code: 'INVALID_WALLETS' });
+  });
+});
@@ -0,0 +1,266 @@
+/**
+ * Proof Event Service Tests
+ *
+ * Tests delivering events to the streams of the user they belong to, the
+ * per-user stream limit, fan-out through a fake NOTIFY channel with
+ * fallback to local delivery, and looking up the owners of proofs.
+ */
+
+import { prisma } from '@proof-of-funds/db';
+import { ProofEventService, ProofEventChannel, ProofEvent } from '../proofEventService';
+
+jest.mock('@proof-of-funds/db', () => ({
+  prisma: {
+    proof: {
+      findMany: jest.fn(async ({ where }: any) => [
+        { id: 'proof-1', userId: 'user-1', referenceId: 'ref-1', status: 'CONFIRMED' },
+        { id: 'proof-2', userId: 'user-2', referenceId: 'ref-2', status: 'CONFIRMED' }
+      ].filter(proof => where.id.in.includes(proof.id)))
+    }
+  },
+  pool: {}
+}));
+
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../config', () => ({
+  __esModule: true,
+  default: {
+    proofEvents: {
+      notify: true,
+      channel: 'proof_events',
+      reconnectMs: 5000,
+      heartbeatMs: 25000,
+      maxStreamsPerUser: 5
+    }
+  }
+}));
+
+/**
+ * In-memory channel that echoes notifications to its listener, like Postgres does
+ */
+class FakeChannel implements ProofEventChannel {
+  onMessage: ((payload: string) => void) | null = null;
+  onError: ((error: Error) => void) | null = null;
+  notified: string[] = [];
+  failListen = false;
+  failNotify = false;
+  closed = 0;
+
+  async listen(onMessage: (payload: string) => void, onError: (error: Error) => void) {
+    if (this.failListen) {
+      throw new Error('connection refused');
+    }
+    this.onMessage = onMessage;
+    this.onError = onError;
+  }
+
+  async notify(payload: string) {
+    if (this.failNotify) {
+      throw new Error('connection lost');
+    }
+    this.notified.push(payload);
+    this.onMessage?.(payload);
+  }
+
+  async close() {
+    this.onMessage = null;
+    this.closed++;
+  }
+}
+
+describe('ProofEventService', () => {
+  let channel: FakeChannel;
+  let service: ProofEventService;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    channel = new FakeChannel();
+    service = new ProofEventService({ channel, maxStreamsPerUser: 2, reconnectMs: 10 });
+  });
+
+  afterEach(async () => {
+    await service.shutdown();
+  });
+
+  describe('subscribe', () => {
+    it('should deliver events only to the streams of their user', async () => {
+      const received: ProofEvent[] = [];
+      const other: ProofEvent[] = [];
+      service.subscribe('user-1', event => received.push(event));
+      service.subscribe('user-2', event => other.push(event));
+
+      await service.publish('user-1', 'job.progress', { job: { id: 'job-1', progress: 40 } });
+
+      expect(received).toHaveLength(1);
+      expect(received[0]).toMatchObject({
+        type: 'job.progress',
+        userId: 'user-1',
+        data: { job: { id: 'job-1', progress: 40 } }
+      });
+      expect(received[0].id).toMatch(/^evt_/);
+      expect(other).toHaveLength(0);
+    });
+
+    it('should stop delivering once unsubscribed', async () => {
+      const listener = jest.fn();
+      const unsubscribe = service.subscribe('user-1', listener);
+
+      unsubscribe();
+      unsubscribe();
+      await service.publish('user-1', 'job.completed');
+
+      expect(listener).not.toHaveBeenCalled();
+    });
+
+    it('should limit the streams a user can open', () => {
+      service.subscribe('user-1', jest.fn());
+      const unsubscribe = service.subscribe('user-1', jest.fn());
+
+      expect(() => service.subscribe('user-1', jest.fn())).toThrow(
+        expect.objectContaining({ statusCode: 429, code: 'TOO_MANY_STREAMS' })
+      );
+      expect(() => service.subscribe('user-2', jest.fn())).not.toThrow();
+
+      unsubscribe();
+      expect(() => service.subscribe('user-1', jest.fn())).not.toThrow();
+    });
+
+    it('should keep delivering to other streams when a listener throws', async () => {
+      const listener = jest.fn();
+      service.subscribe('user-1', () => {
+        throw new Error('stream closed');
+      });
+      service.subscribe('user-1', listener);
+
+      await service.publish('user-1', 'proof.confirmed');
+
+      expect(listener).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('publish', () => {
+    it('should deliver locally while not listening', async () => {
+      const listener = jest.fn();
+      service.subscribe('user-1', listener);
+
+      await service.publish('user-1', 'transaction.confirmed', { transaction: { id: 'relay-1' } });
+
+      expect(channel.notified).toHaveLength(0);
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({ type: 'transaction.confirmed' }));
+    });
+
+    it('should send events through the channel once listening', async () => {
+      const listener = jest.fn();
+      service.subscribe('user-1', listener);
+
+      await service.start();
+      await service.publish('user-1', 'job.failed');
+
+      expect(service.isListening).toBe(true);
+      expect(channel.notified).toHaveLength(1);
+      expect(JSON.parse(channel.notified[0])).toMatchObject({ type: 'job.failed', userId: 'user-1' });
+      expect(listener).toHaveBeenCalledTimes(1);
+    });
+
+    it('should deliver events published by other instances', async () => {
+      const listener = jest.fn();
+      service.subscribe('user-1', listener);
+      await service.start();
+
+      channel.onMessage!(JSON.stringify({ id: 'evt_1', type: 'proof.verified', userId: 'user-1', data: {} }));
+      channel.onMessage!('not json');
+
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({ id: 'evt_1', type: 'proof.verified' }));
+    });
+
+    it('should fall back to local delivery when the channel fails', async () => {
+      const listener = jest.fn();
+      service.subscribe('user-1', listener);
+      await service.start();
+      channel.failNotify = true;
+
+      await service.publish('user-1', 'job.progress');
+
+      expect(listener).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('publishProofEvent', () => {
+    it('should send the event to the owner of each proof', async () => {
+      const first = jest.fn();
+      const second = jest.fn();
+      service.subscribe('user-1', first);
+      service.subscribe('user-2', second);
+
+      await service.publishProofEvent('proof.confirmed', ['proof-1', 'proof-2'], { transactionHash: '0xabc' });
+
+      expect(first).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'proof.confirmed',
+        data: { proofId: 'proof-1', referenceId: 'ref-1', status: 'CONFIRMED', transactionHash: '0xabc' }
+      }));
+      expect(second).toHaveBeenCalledWith(expect.objectContaining({
+        data: expect.objectContaining({ proofId: 'proof-2' })
+      }));
+    });
+
+    it('should not throw when the proofs cannot be read', async () => {
+      (prisma.proof.findMany as jest.Mock).mockRejectedValueOnce(new Error('connection lost'));
+
+      await expect(service.publishProofEvent('proof.expired', 'proof-1')).resolves.toBeUndefined();
+    });
+  });
+
+  describe('start and shutdown', () => {
+    it('should not listen when cross-instance events are disabled', async () => {
+      const local = new ProofEventService({ channel, notify: false });
+
+      await local.start();
+
+      expect(local.isListening).toBe(false);
+      expect(channel.onMessage).toBeNull();
+    });
+
+    it('should retry when the listener cannot connect', async () => {
+      channel.failListen = true;
+      await service.start();
+      expect(service.isListening).toBe(false);
+
+      channel.failListen = false;
+      await new Promise(resolve => setTimeout(resolve, 30));
+
+      expect(service.isListening).toBe(true);
+    });
+
+    it('should reconnect after the listening connection is lost', async () => {
+      await service.start();
+
+      channel.onError!(new Error('terminating connection'));
+      expect(service.isListening).toBe(false);
+      expect(channel.closed).toBe(1);
+
+      await new Promise(resolve => setTimeout(resolve, 30));
+      expect(service.isListening).toBe(true);
+    });
+
+    it('should close open streams on shutdown', async () => {
+      const onClose = jest.fn();
+      const listener = jest.fn();
+      service.subscribe('user-1', listener, onClose);
+      await service.start();
+
+      await service.shutdown();
+      await service.publish('user-1', 'job.progress');
+
+      expect(onClose).toHaveBeenCalledTimes(1);
+      expect(listener).not.toHaveBeenCalled();
+      expect(service.isListening).toBe(false);
+    });
+  });
+});
@@ -6,6 +6,7 @@
 
 import { ProofFlowService, ProofCreationParams } from '../proofFlowService';
 import { IntegrationService } from '../integrationService';
+import { BatchAnchoringService } from '../batchAnchoringService';
 import { ProofType, ProofStatus } from '@proof-of-funds/db';
 import * as auditLogger from '@proof-of-funds/common/logging/auditLogger';
 import * as performanceBenchmarkModule from '../../utils/performanceBenchmark';
@@ -37,6 +38,27 @@ jest.mock('../integrationService', () => ({
   }))
 }));
 
+jest.mock('../batchAnchoringService', () => ({
+  BatchAnchoringService: jest.fn().mockImplementation(() => ({
+    createBatch: jest.fn().mockResolvedValue({
+      batchId: 'batch-123',
+      status: 'PENDING',
+      merkleRoot: '0x' + 'ab'.repeat(32),
+      proofCount: 2,
+      retryCount: 0
+    }),
+    anchorBatch: jest.fn().mockResolvedValue({
+      batchId: 'batch-123',
+      status: 'PENDING',
+      merkleRoot: '0x' + 'ab'.repeat(32),
+      proofCount: 2,
+      retryCount: 1,
+      error: 'network error'
+    }),
+    shutdown: jest.fn().mockResolvedValue(undefined)
+  }))
+}));
+
 jest.mock('@proof-of-funds/common/logging/auditLogger', () => ({
   info: jest.fn().mockResolvedValue(true),
   error: jest.fn().mockResolvedValue(true),
@@ -100,11 +122,13 @@ jest.mock('@proof-of-funds/db', () => ({
 describe('ProofFlowService', () => {
   let proofFlowService: ProofFlowService;
   let mockIntegrationService: any;
+  let mockBatchAnchoringService: any;
   
   beforeEach(() => {
     jest.clearAllMocks();
     proofFlowService = new ProofFlowService();
     mockIntegrationService = (IntegrationService as jest.Mock).mock.results[0].value;
+    mockBatchAnchoringService = (BatchAnchoringService as jest.Mock).mock.results[0].value;
   });
   
   describe('createProof', () => {
@@ -364,6 +388,70 @@ describe('ProofFlowService', () => {
       );
     });
     
+    it('should queue the proofs into one batch and anchor its Merkle root', async () => {
+      mockBatchAnchoringService.anchorBatch.mockResolvedValueOnce({
+        batchId: 'batch-123',
+        status: 'CONFIRMED',
+        merkleRoot: '0x' + 'ab'.repeat(32),
+        proofCount: 2,
+        transactionHash: '0x' + 'cd'.repeat(32),
+        retryCount: 0
+      });
+      
+      const batchResult = await proofFlowService.createBatchedProofs(
+        'user-123',
+        [
+          {
+            walletAddresses: ['0x1234567890123456789012345678901234567890'],
+            chainIds: [1],
+            proofType: ProofType.THRESHOLD,
+            amount: '500000000000000000'
+          },
+          {
+            walletAddresses: ['0x2345678901234567890123456789012345678901'],
+            chainIds: [137],
+            proofType: ProofType.THRESHOLD,
+            amount: '500000000000000000'
+          }
+        ]
+      );
+      
+      expect(mockBatchAnchoringService.createBatch).toHaveBeenCalledWith(['ref-123', 'ref-123']);
+      expect(mockBatchAnchoringService.anchorBatch).toHaveBeenCalledWith('batch-123');
+      expect(batchResult).toEqual({
+        referenceIds: ['ref-123', 'ref-123'],
+        batchId: 'batch-123',
+        status: ProofStatus.CONFIRMED,
+        merkleRoot: '0x' + 'ab'.repeat(32),
+        transactionHash: '0x' + 'cd'.repeat(32)
+      });
+    });
+    
+    it('should report failed proofs once batch retries are exhausted', async () => {
+      mockBatchAnchoringService.anchorBatch.mockResolvedValueOnce({
+        batchId: 'batch-123',
+        status: 'FAILED',
+        merkleRoot: '0x' + 'ab'.repeat(32),
+        proofCount: 1,
+        retryCount: 3,
+        error: 'execution reverted'
+      });
+      
+      const batchResult = await proofFlowService.createBatchedProofs(
+        'user-123',
+        [
+          {
+            walletAddresses: ['0x1234567890123456789012345678901234567890'],
+            chainIds: [1],
+            proofType: ProofType.THRESHOLD,
+            amount: '500000000000000000'
+          }
+        ]
+      );
+      
+      expect(batchResult.status).toBe(ProofStatus.FAILED);
+    });
+    
     it('should handle errors during batch creation', async () => {
       // Mock generateProof to throw an error on the second call
       mockIntegrationService.generateProof
@@ -399,6 +487,9 @@ describe('ProofFlowService', () => {
         ]
       )).rejects.toThrow('Batch processing failed');
       
+      // Nothing is queued when proof generation fails
+      expect(mockBatchAnchoringService.createBatch).not.toHaveBeenCalled();
+      
       // Verify error logging
       expect(auditLogger.error).toHaveBeenCalledWith(
         'proof.batch.error',
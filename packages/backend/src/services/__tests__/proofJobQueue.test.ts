@@ -0,0 +1,537 @@
+/**
+ * Proof Job Queue Tests
+ *
+ * Tests queueing proof generation jobs, claiming them with a concurrency
+ * limit, persisting progress and results, cancellation, timeouts and the
+ * recovery of jobs left behind by a stopped instance.
+ */
+
+import { prisma } from '@proof-of-funds/db';
+import { ProofJobQueue, ProofExecution, ProofRunner } from '../proofJobQueue';
+import { zkProofService } from '../zkProofService';
+import { auditLogService } from '../auditLogService';
+import { envelopeEncryptionService } from '../envelopeEncryptionService';
+import { proofEventService } from '../proofEventService';
+import { encryptData } from '../../utils/crypto';
+import { sanctionsScreeningService } from '../sanctionsScreeningService';
+import { sourceOfFundsService } from '../sourceOfFundsService';
+import { proofTemplateService } from '../proofTemplateService';
+
+jest.mock('@proof-of-funds/db', () => {
+  let nextId = 1;
+  const jobs: any[] = [];
+
+  const matches = (job: any, where: any = {}) => Object.entries(where).every(([key, condition]: [string, any]) => {
+    if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+      if ('in' in condition) {return condition.in.includes(job[key]);}
+      if ('lt' in condition) {return job[key] < condition.lt;}
+      if ('gte' in condition) {return job[key] >= condition.gte;}
+    }
+    return job[key] === condition;
+  });
+
+  const apply = (job: any, data: any) => {
+    Object.entries(data).forEach(([key, value]: [string, any]) => {
+      job[key] = value && typeof value === 'object' && 'increment' in value ? job[key] + value.increment : value;
+    });
+    job.updatedAt = new Date();
+  };
+
+  const mockPrisma: any = {
+    jobs,
+    reset: () => {
+      jobs.length = 0;
+      nextId = 1;
+    },
+    proofJob: {
+      create: jest.fn(async ({ data }: any) => {
+        const job = {
+          id: `job-${nextId++}`,
+          status: 'QUEUED',
+          stage: 'init',
+          progress: 0,
+          proofId: null,
+          error: null,
+          attempts: 0,
+          workerId: null,
+          createdAt: new Date(Date.now() + nextId),
+          startedAt: null,
+          completedAt: null,
+          updatedAt: new Date(),
+          ...data
+        };
+        jobs.push(job);
+        return { ...job };
+      }),
+      findFirst: jest.fn(async ({ where }: any) => {
+        const found = jobs
+          .filter(job => matches(job, where))
+          .sort((a, b) => a.createdAt - b.createdAt)[0];
+        return found ? { ...found } : null;
+      }),
+      findUnique: jest.fn(async ({ where }: any) => {
+        const found = jobs.find(job => job.id === where.id);
+        return found ? { ...found } : null;
+      }),
+      updateMany: jest.fn(async ({ where, data }: any) => {
+        const matched = jobs.filter(job => matches(job, where));
+        matched.forEach(job => apply(job, data));
+        return { count: matched.length };
+      })
+    },
+    wallet: {
+      create: jest.fn(async ({ data }: any) => data)
+    },
+    proof: {
+      create: jest.fn(async ({ data }: any) => data)
+    },
+    $transaction: jest.fn(async (fn: any) => fn(mockPrisma))
+  };
+
+  return { prisma: mockPrisma };
+});
+
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../config', () => ({
+  __esModule: true,
+  default: {
+    gcp: { secretManager: { enabled: false } },
+    proofJobs: {
+      enabled: true,
+      concurrency: 1,
+      pollIntervalMs: 1000,
+      timeoutMs: 60000,
+      maxAttempts: 2
+    }
+  }
+}));
+
+jest.mock('../../utils/crypto', () => ({
+  encryptData: jest.fn(() => 'encrypted-proof')
+}));
+
+jest.mock('../envelopeEncryptionService', () => ({
+  envelopeEncryptionService: {
+    generateDataKey: jest.fn(async () => ({
+      dataKey: Buffer.alloc(32, 7),
+      wrappedDataKey: 'wrapped-data-key',
+      encryptionKeyId: 'local:v1'
+    })),
+    unwrapDataKey: jest.fn(async () => Buffer.alloc(32, 7))
+  }
+}));
+
+jest.mock('../zkProofService', () => ({
+  zkProofService: {
+    prepareProof: jest.fn(() => ({ wasmPath: 'standardProof.wasm', zkeyPath: 'standardProof.zkey' }))
+  }
+}));
+
+jest.mock('../proofTemplateService', () => ({
+  proofTemplateService: {
+    applyTemplate: jest.fn()
+  }
+}));
+
+jest.mock('../auditLogService', () => ({
+  auditLogService: {
+    log: jest.fn().mockResolvedValue(undefined)
+  }
+}));
+
+jest.mock('../proofEventService', () => ({
+  proofEventService: {
+    publish: jest.fn().mockResolvedValue(undefined),
+    publishProofEvent: jest.fn().mockResolvedValue(undefined)
+  }
+}));
+
+jest.mock('../sanctionsScreeningService', () => ({
+  sanctionsScreeningService: {
+    screenWallets: jest.fn().mockResolvedValue({
+      warningFlags: ['SANCTIONS_SCREENING_UNAVAILABLE'],
+      matches: [],
+      allowlisted: [],
+      screenedBy: [],
+      unavailable: ['sanctions-list']
+    })
+  }
+}));
+
+jest.mock('../sourceOfFundsService', () => ({
+  sourceOfFundsService: {
+    analyzeWallets: jest.fn().mockResolvedValue({ findings: [], warningFlags: [] })
+  }
+}));
+
+const USER_ID = 'user-123';
+const INPUT = {
+  balance: '1000000000000000000',
+  threshold: '1000000000000000000',
+  userAddress: '0x1234567890123456789012345678901234567890',
+  wallets: ['0x1234567890123456789012345678901234567890']
+};
+const RESULT = { proof: { pi_a: ['1'] }, publicSignals: ['1'] };
+
+/**
+ * Runner whose executions are settled by the test
+ */
+const createControlledRunner = () => {
+  const executions: Array<ProofExecution & {
+    onProgress: (stage: any, progress: number) => void;
+    resolve: (value: any) => void;
+    reject: (error: Error) => void;
+    cancelled: boolean;
+  }> = [];
+
+  const runner: ProofRunner = jest.fn((task, onProgress) => {
+    let resolve: any;
+    let reject: any;
+    const promise = new Promise<any>((res, rej) => {
+      resolve = res;
+      reject = rej;
+    });
+    const execution = {
+      promise,
+      onProgress,
+      resolve,
+      reject,
+      cancelled: false,
+      cancel: jest.fn(() => {
+        execution.cancelled = true;
+        reject(new Error('Proof job was cancelled'));
+      })
+    };
+    executions.push(execution);
+    return execution;
+  });
+
+  return { runner, executions };
+};
+
+// Let queued promise callbacks run
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('ProofJobQueue', () => {
+  const db = prisma as any;
+  let queue: ProofJobQueue;
+  let controlled: ReturnType<typeof createControlledRunner>;
+
+  beforeEach(() => {
+    db.reset();
+    controlled = createControlledRunner();
+    queue = new ProofJobQueue({ concurrency: 1, timeoutMs: 60000, runner: controlled.runner });
+  });
+
+  afterEach(async () => {
+    await queue.shutdown();
+  });
+
+  describe('enqueue', () => {
+    it('stores the wrapped data key and returns the key that will decrypt the proof', async () => {
+      const { job, decryptionKey } = await queue.enqueue(USER_ID, { proofType: 'STANDARD', input: INPUT });
+
+      expect(job.status).toBe('QUEUED');
+      expect(job.referenceId).toMatch(/^ref-/);
+      expect(decryptionKey).toBe('07'.repeat(32));
+      expect((job as any).input).toBeUndefined();
+      expect((job as any).wrappedDataKey).toBeUndefined();
+
+      expect(db.jobs[0].input).toBe(JSON.stringify(INPUT));
+      expect(db.jobs[0].wrappedDataKey).toBe('wrapped-data-key');
+      expect(db.jobs[0].encryptionKeyId).toBe('local:v1');
+      expect(JSON.stringify(db.jobs[0])).not.toContain(decryptionKey);
+    });
+
+    it('rejects invalid input before queueing', async () => {
+      (zkProofService.prepareProof as jest.Mock).mockImplementationOnce(() => {
+        throw Object.assign(new Error('Balance is required for standard proof'), { code: 'MISSING_BALANCE' });
+      });
+
+      await expect(queue.enqueue(USER_ID, { proofType: 'STANDARD', input: {} })).rejects.toThrow('Balance is required');
+      expect(db.jobs).toHaveLength(0);
+    });
+
+    it('proves the template threshold when the request leaves it out', async () => {
+      const expiresAt = new Date(Date.now() + 3600 * 1000);
+      (proofTemplateService.applyTemplate as jest.Mock).mockResolvedValueOnce({ threshold: '5000', expiresAt });
+
+      await queue.enqueue(USER_ID, { proofType: 'STANDARD', input: { ...INPUT, threshold: undefined }, templateId: 'template-1' });
+
+      expect(proofTemplateService.applyTemplate).toHaveBeenCalledWith('template-1', 'STANDARD', undefined);
+      expect(zkProofService.prepareProof).toHaveBeenCalledWith('STANDARD', { ...INPUT, threshold: '5000' });
+      expect(JSON.parse(db.jobs[0].input).threshold).toBe('5000');
+      expect(db.jobs[0].expiresAt).toEqual(expiresAt);
+    });
+
+    it('rejects balance snapshots in the future', async () => {
+      const timestamp = Math.floor(Date.now() / 1000) + 3600;
+
+      await expect(queue.enqueue(USER_ID, { proofType: 'STANDARD', input: INPUT, balanceSnapshot: { timestamp, blocks: [] } }))
+        .rejects.toThrow('Snapshot timestamp cannot be in the future');
+      expect(db.jobs).toHaveLength(0);
+    });
+  });
+
+  describe('processing', () => {
+    it('runs a job, persists its progress and stores the proof', async () => {
+      const { job } = await queue.enqueue(USER_ID, { proofType: 'STANDARD', input: INPUT });
+
+      await queue.drain();
+      expect(controlled.runner).toHaveBeenCalledWith(
+        { input: INPUT, wasmPath: 'standardProof.wasm', zkeyPath: 'standardProof.zkey' },
+        expect.any(Function)
+      );
+
+      const execution = controlled.executions[0];
+      execution.onProgress('proof', 60);
+      await flush();
+
+      let status = await queue.getJob(job.id, USER_ID);
+      expect(status.status).toBe('RUNNING');
+      expect(status.stage).toBe('proof');
+      expect(status.progress).toBe(60);
+      expect(proofEventService.publish).toHaveBeenLastCalledWith(USER_ID, 'job.progress', {
+        job: expect.objectContaining({ id: job.id, status: 'RUNNING', stage: 'proof', progress: 60 })
+      });
+
+      execution.resolve(RESULT);
+      await flush();
+      await flush();
+
+      status = await queue.getJob(job.id, USER_ID);
+      expect(status.status).toBe('COMPLETED');
+      expect(status.stage).toBe('complete');
+      expect(status.progress).toBe(100);
+      expect(status.proofId).toEqual(expect.any(String));
+
+      expect(db.proof.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          referenceId: job.referenceId,
+          encryptedData: 'encrypted-proof',
+          encryptionKeyId: 'local:v1',
+          wrappedDataKey: 'wrapped-data-key',
+          originalWallets: INPUT.wallets,
+          warningFlags: ['SANCTIONS_SCREENING_UNAVAILABLE'],
+          status: 'PENDING'
+        })
+      });
+      expect(sanctionsScreeningService.screenWallets).toHaveBeenCalledWith(INPUT.wallets, {
+        userId: USER_ID,
+        referenceId: job.referenceId
+      });
+      expect(envelopeEncryptionService.unwrapDataKey).toHaveBeenCalledWith('wrapped-data-key', 'local:v1');
+      expect(db.jobs[0].input).toBeNull();
+      expect(db.jobs[0].wrappedDataKey).toBeNull();
+      expect(auditLogService.log).toHaveBeenCalledWith(expect.objectContaining({
+        resourceId: status.proofId,
+        status: 'success'
+      }));
+      expect(proofEventService.publish).toHaveBeenLastCalledWith(USER_ID, 'job.completed', {
+        job: expect.objectContaining({ id: job.id, status: 'COMPLETED', progress: 100, proofId: status.proofId })
+      });
+    });
+
+    it('stores the balance snapshot of a historical proof with the proof', async () => {
+      const balanceSnapshot = { timestamp: 1759276799, blocks: [{ chainId: 1, blockNumber: 23470002, timestamp: 1759276798 }] };
+      await queue.enqueue(USER_ID, { proofType: 'STANDARD', input: INPUT, balanceSnapshot });
+
+      await queue.drain();
+      controlled.executions[0].resolve(RESULT);
+      await flush();
+      await flush();
+
+      expect(controlled.runner).toHaveBeenCalledWith(expect.objectContaining({ input: INPUT }), expect.any(Function));
+      expect(db.proof.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ balanceSnapshot })
+      });
+    });
+
+    it('stores the source-of-funds flags with the proof', async () => {
+      const finding = {
+        code: 'RECENT_LARGE_INFLOW',
+        severity: 'high',
+        address: INPUT.wallets[0],
+        chainId: 1,
+        message: `${INPUT.wallets[0]} received 100% of its balance in the last 7 days`,
+        transactions: ['0xinflow']
+      };
+      (sourceOfFundsService.analyzeWallets as jest.Mock).mockResolvedValueOnce({
+        findings: [finding],
+        warningFlags: [`RECENT_LARGE_INFLOW:${finding.message}`]
+      });
+      const balanceSnapshot = { timestamp: 1759276799, blocks: [{ chainId: 1, blockNumber: 23470002, timestamp: 1759276798 }] };
+      const { job } = await queue.enqueue(USER_ID, { proofType: 'STANDARD', input: INPUT, balanceSnapshot });
+
+      await queue.drain();
+      controlled.executions[0].resolve(RESULT);
+      await flush();
+      await flush();
+
+      expect(sourceOfFundsService.analyzeWallets).toHaveBeenCalledWith(INPUT.wallets, {
+        userId: USER_ID,
+        referenceId: job.referenceId
+      }, balanceSnapshot.timestamp);
+      expect(db.proof.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({
+          warningFlags: ['SANCTIONS_SCREENING_UNAVAILABLE', `RECENT_LARGE_INFLOW:${finding.message}`]
+        })
+      });
+      expect(encryptData).toHaveBeenCalledWith(expect.objectContaining({ sourceOfFunds: [finding] }), expect.any(Buffer));
+    });
+
+    it('runs no more jobs at once than the concurrency limit', async () => {
+      const first = await queue.enqueue(USER_ID, { proofType: 'STANDARD', input: INPUT });
+      const second = await queue.enqueue(USER_ID, { proofType: 'STANDARD', input: INPUT });
+
+      await queue.drain();
+      await queue.drain();
+
+      expect(controlled.runner).toHaveBeenCalledTimes(1);
+      expect((await queue.getJob(second.job.id, USER_ID)).status).toBe('QUEUED');
+
+      controlled.executions[0].resolve(RESULT);
+      await flush();
+      await flush();
+      await flush();
+
+      expect((await queue.getJob(first.job.id, USER_ID)).status).toBe('COMPLETED');
+      expect(controlled.runner).toHaveBeenCalledTimes(2);
+      expect((await queue.getJob(second.job.id, USER_ID)).status).toBe('RUNNING');
+    });
+
+    it('marks the job as failed when proving fails', async () => {
+      const { job } = await queue.enqueue(USER_ID, { proofType: 'STANDARD', input: INPUT });
+      await queue.drain();
+
+      controlled.executions[0].reject(new Error('Error: Assert Failed'));
+      await flush();
+      await flush();
+
+      const status = await queue.getJob(job.id, USER_ID);
+      expect(status.status).toBe('FAILED');
+      expect(status.error).toEqual({ code: 'PROOF_GENERATION_ERROR', message: 'Error: Assert Failed' });
+      expect(db.jobs[0].input).toBeNull();
+      expect(proofEventService.publish).toHaveBeenLastCalledWith(USER_ID, 'job.failed', {
+        job: expect.objectContaining({ id: job.id, status: 'FAILED', error: status.error })
+      });
+    });
+
+    it('stops jobs that exceed the timeout', async () => {
+      jest.useFakeTimers();
+      try {
+        queue = new ProofJobQueue({ concurrency: 1, timeoutMs: 1000, runner: controlled.runner });
+        const { job } = await queue.enqueue(USER_ID, { proofType: 'STANDARD', input: INPUT });
+        await queue.drain();
+
+        jest.advanceTimersByTime(1000);
+        expect(controlled.executions[0].cancelled).toBe(true);
+        jest.useRealTimers();
+        await flush();
+        await flush();
+
+        const status = await queue.getJob(job.id, USER_ID);
+        expect(status.status).toBe('FAILED');
+        expect(status.error?.code).toBe('JOB_TIMEOUT');
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+  });
+
+  describe('cancelJob', () => {
+    it('cancels a queued job', async () => {
+      const { job } = await queue.enqueue(USER_ID, { proofType: 'STANDARD', input: INPUT });
+
+      const cancelled = await queue.cancelJob(job.id, USER_ID);
+
+      expect(cancelled.status).toBe('CANCELLED');
+      expect(db.jobs[0].wrappedDataKey).toBeNull();
+      expect(proofEventService.publish).toHaveBeenCalledWith(USER_ID, 'job.cancelled', { job: cancelled });
+
+      await queue.drain();
+      expect(controlled.runner).not.toHaveBeenCalled();
+    });
+
+    it('stops the worker of a running job', async () => {
+      const { job } = await queue.enqueue(USER_ID, { proofType: 'STANDARD', input: INPUT });
+      await queue.drain();
+
+      const cancelled = await queue.cancelJob(job.id, USER_ID);
+      await flush();
+      await flush();
+
+      expect(controlled.executions[0].cancel).toHaveBeenCalled();
+      expect(cancelled.status).toBe('CANCELLED');
+      expect((await queue.getJob(job.id, USER_ID)).status).toBe('CANCELLED');
+      expect(db.proof.create).not.toHaveBeenCalled();
+    });
+
+    it('stops the worker when another instance cancelled the job', async () => {
+      await queue.enqueue(USER_ID, { proofType: 'STANDARD', input: INPUT });
+      await queue.drain();
+
+      db.jobs[0].status = 'CANCELLED';
+      controlled.executions[0].onProgress('witness', 10);
+      await flush();
+
+      expect(controlled.executions[0].cancel).toHaveBeenCalled();
+    });
+
+    it('rejects jobs that have already finished', async () => {
+      const { job } = await queue.enqueue(USER_ID, { proofType: 'STANDARD', input: INPUT });
+      await queue.cancelJob(job.id, USER_ID);
+
+      await expect(queue.cancelJob(job.id, USER_ID)).rejects.toMatchObject({
+        statusCode: 409,
+        code: 'JOB_ALREADY_FINISHED'
+      });
+    });
+
+    it('hides jobs of other users', async () => {
+      const { job } = await queue.enqueue(USER_ID, { proofType: 'STANDARD', input: INPUT });
+
+      await expect(queue.cancelJob(job.id, 'user-456')).rejects.toMatchObject({
+        statusCode: 404,
+        code: 'JOB_NOT_FOUND'
+      });
+    });
+  });
+
+  describe('recovery', () => {
+    it('requeues running jobs when the instance shuts down', async () => {
+      const { job } = await queue.enqueue(USER_ID, { proofType: 'STANDARD', input: INPUT });
+      await queue.drain();
+
+      await queue.shutdown();
+      await flush();
+
+      const status = await queue.getJob(job.id, USER_ID);
+      expect(status.status).toBe('QUEUED');
+      expect(status.progress).toBe(0);
+      expect(db.jobs[0].input).toBe(JSON.stringify(INPUT));
+    });
+
+    it('requeues stale jobs and fails those out of attempts', async () => {
+      const first = await queue.enqueue(USER_ID, { proofType: 'STANDARD', input: INPUT });
+      const second = await queue.enqueue(USER_ID, { proofType: 'STANDARD', input: INPUT });
+      const staleSince = new Date(Date.now() - 120000);
+      Object.assign(db.jobs[0], { status: 'RUNNING', attempts: 1, updatedAt: staleSince });
+      Object.assign(db.jobs[1], { status: 'RUNNING', attempts: 3, updatedAt: staleSince });
+
+      const requeued = await queue.recoverStaleJobs();
+
+      expect(requeued).toBe(1);
+      expect((await queue.getJob(first.job.id, USER_ID)).status).toBe('QUEUED');
+      const failed = await queue.getJob(second.job.id, USER_ID);
+      expect(failed.status).toBe('FAILED');
+      expect(failed.error?.code).toBe('JOB_ABANDONED');
+    });
+  });
+});
@@ -0,0 +1,238 @@
+/**
+ * Proof Template Service Tests
+ *
+ * Tests template management, the public catalog, request links and the
+ * template rules applied when proofs are created and verified.
+ */
+
+import { prisma } from '@proof-of-funds/db';
+import { proofTemplateService } from '../proofTemplateService';
+import { getVerificationRetryAfter } from '../../utils/verificationInterval';
+
+jest.mock('@proof-of-funds/db', () => ({
+  prisma: {
+    proofTemplate: {
+      findFirst: jest.fn(),
+      findUnique: jest.fn(),
+      findMany: jest.fn(),
+      count: jest.fn(),
+      create: jest.fn(),
+      update: jest.fn(),
+      updateMany: jest.fn()
+    },
+    proof: {
+      findUnique: jest.fn(),
+      updateMany: jest.fn()
+    }
+  }
+}));
+
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../config', () => ({
+  __esModule: true,
+  default: {
+    isProduction: false,
+    server: { frontendUrl: 'https://app.test' }
+  }
+}));
+
+jest.mock('../auditLogService', () => ({
+  auditLogService: {
+    log: jest.fn().mockResolvedValue(undefined)
+  }
+}));
+
+const ORG_ID = '11111111-1111-1111-1111-111111111111';
+const TEMPLATE_ID = '22222222-2222-2222-2222-222222222222';
+
+const template = {
+  id: TEMPLATE_ID,
+  organizationId: ORG_ID,
+  name: 'Tenant screening',
+  proofType: 'THRESHOLD',
+  threshold: '5000',
+  expiryPeriod: 7 * 24 * 60 * 60,
+  categoryTags: ['rental'],
+  isPublic: false,
+  isActive: true,
+  minVerificationInterval: 3600,
+  organization: { name: 'Acme Lettings' }
+};
+
+describe('ProofTemplateService', () => {
+  const db = prisma as any;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should return templates with their request link', async () => {
+    db.proofTemplate.create.mockResolvedValue(template);
+
+    const created = await proofTemplateService.createTemplate(ORG_ID, {
+      name: 'Tenant screening',
+      proofType: 'THRESHOLD',
+      threshold: '5000',
+      expiryPeriod: 604800
+    }, 'admin-id');
+
+    expect(created.requestUrl).toBe(`https://app.test/create?template=${TEMPLATE_ID}`);
+    expect(created.organizationName).toBe('Acme Lettings');
+    expect(created).not.toHaveProperty('organization');
+  });
+
+  it('should deactivate deleted templates instead of removing them', async () => {
+    db.proofTemplate.updateMany.mockResolvedValueOnce({ count: 1 });
+
+    await proofTemplateService.deleteTemplate(ORG_ID, TEMPLATE_ID, 'admin-id');
+
+    expect(db.proofTemplate.updateMany).toHaveBeenCalledWith({
+      where: { id: TEMPLATE_ID, organizationId: ORG_ID, isActive: true },
+      data: { isActive: false }
+    });
+
+    db.proofTemplate.updateMany.mockResolvedValueOnce({ count: 0 });
+    await expect(proofTemplateService.deleteTemplate(ORG_ID, TEMPLATE_ID, 'admin-id'))
+      .rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  it('should not update templates of other organizations', async () => {
+    db.proofTemplate.findFirst.mockResolvedValue(null);
+
+    await expect(proofTemplateService.updateTemplate('other-org', TEMPLATE_ID, { name: 'x' }, 'admin-id'))
+      .rejects.toMatchObject({ code: 'TEMPLATE_NOT_FOUND' });
+    expect(db.proofTemplate.update).not.toHaveBeenCalled();
+  });
+
+  it('should only list active public templates in the catalog', async () => {
+    db.proofTemplate.count.mockResolvedValue(1);
+    db.proofTemplate.findMany.mockResolvedValue([{ ...template, isPublic: true }]);
+
+    const result = await proofTemplateService.listPublicTemplates({ tag: 'rental', page: 2, limit: 10 });
+
+    expect(db.proofTemplate.findMany).toHaveBeenCalledWith(expect.objectContaining({
+      where: { isPublic: true, isActive: true, categoryTags: { has: 'rental' } },
+      skip: 10,
+      take: 10
+    }));
+    expect(result.pagination).toEqual({ total: 1, page: 2, limit: 10, pages: 1 });
+  });
+
+  describe('applyTemplate', () => {
+    it('should use the template expiry period', async () => {
+      db.proofTemplate.findFirst.mockResolvedValue(template);
+      const before = Date.now();
+
+      const { expiresAt } = await proofTemplateService.applyTemplate(TEMPLATE_ID, 'THRESHOLD', '5000');
+
+      expect(expiresAt.getTime()).toBeGreaterThanOrEqual(before + template.expiryPeriod * 1000);
+    });
+
+    it('should prove the template threshold when the request leaves it out', async () => {
+      db.proofTemplate.findFirst.mockResolvedValue(template);
+
+      const { threshold } = await proofTemplateService.applyTemplate(TEMPLATE_ID, 'THRESHOLD');
+
+      expect(threshold).toBe('5000');
+    });
+
+    it('should reject requests that differ from the template', async () => {
+      db.proofTemplate.findFirst.mockResolvedValue(template);
+
+      await expect(proofTemplateService.applyTemplate(TEMPLATE_ID, 'MAXIMUM', '5000'))
+        .rejects.toMatchObject({ statusCode: 400, code: 'TEMPLATE_MISMATCH' });
+      await expect(proofTemplateService.applyTemplate(TEMPLATE_ID, 'THRESHOLD', '100'))
+        .rejects.toMatchObject({ statusCode: 400, code: 'TEMPLATE_MISMATCH' });
+    });
+
+    it('should reject deleted templates', async () => {
+      db.proofTemplate.findFirst.mockResolvedValue(null);
+
+      await expect(proofTemplateService.applyTemplate(TEMPLATE_ID, 'THRESHOLD'))
+        .rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('reserveVerification', () => {
+    const lastVerifiedAt = (secondsAgo: number) => new Date(Date.now() - secondsAgo * 1000);
+
+    beforeEach(() => {
+      db.proofTemplate.findUnique.mockResolvedValue({ minVerificationInterval: 3600 });
+      db.proof.updateMany.mockResolvedValue({ count: 1 });
+    });
+
+    it('should reject verifications within the minimum interval', async () => {
+      db.proof.findUnique.mockResolvedValue({ lastVerifiedAt: lastVerifiedAt(600) });
+
+      await expect(proofTemplateService.reserveVerification('proof-id', TEMPLATE_ID))
+        .rejects.toMatchObject({
+          statusCode: 429,
+          code: 'VERIFICATION_TOO_FREQUENT',
+          details: { retryAfter: expect.any(Number) }
+        });
+      expect(db.proof.updateMany).not.toHaveBeenCalled();
+    });
+
+    it('should claim the verification with a conditional update once the interval has passed', async () => {
+      const previous = lastVerifiedAt(7200);
+      db.proof.findUnique.mockResolvedValue({ lastVerifiedAt: previous });
+
+      await proofTemplateService.reserveVerification('proof-id', TEMPLATE_ID);
+
+      expect(db.proof.updateMany).toHaveBeenCalledWith({
+        where: { id: 'proof-id', lastVerifiedAt: previous },
+        data: { lastVerifiedAt: expect.any(Date) }
+      });
+    });
+
+    it('should reject the verification that loses a concurrent claim', async () => {
+      db.proof.findUnique.mockResolvedValue({ lastVerifiedAt: null });
+      db.proof.updateMany.mockResolvedValue({ count: 0 });
+
+      await expect(proofTemplateService.reserveVerification('proof-id', TEMPLATE_ID))
+        .rejects.toMatchObject({ statusCode: 429, details: { retryAfter: 3600 } });
+    });
+
+    it('should restore the previous verification time on release', async () => {
+      const previous = lastVerifiedAt(7200);
+      db.proof.findUnique.mockResolvedValue({ lastVerifiedAt: previous });
+
+      const release = await proofTemplateService.reserveVerification('proof-id', TEMPLATE_ID);
+      const claimedAt = db.proof.updateMany.mock.calls[0][0].data.lastVerifiedAt;
+      await release();
+
+      expect(db.proof.updateMany).toHaveBeenLastCalledWith({
+        where: { id: 'proof-id', lastVerifiedAt: claimedAt },
+        data: { lastVerifiedAt: previous }
+      });
+    });
+
+    it('should not restrict proofs without a template', async () => {
+      const release = await proofTemplateService.reserveVerification('proof-id', null);
+      await release();
+
+      expect(db.proofTemplate.findUnique).not.toHaveBeenCalled();
+      expect(db.proof.updateMany).not.toHaveBeenCalled();
+    });
+  });
+});
+
+describe('getVerificationRetryAfter', () => {
+  const now = new Date('2025-01-01T12:00:00Z');
+
+  it('should return the whole seconds left in the interval', () => {
+    expect(getVerificationRetryAfter(new Date('2025-01-01T11:59:00.500Z'), 120, now)).toBe(61);
+  });
+
+  it('should return 0 without a previous verification or interval', () => {
+    expect(getVerificationRetryAfter(null, 120, now)).toBe(0);
+    expect(getVerificationRetryAfter(new Date('2025-01-01T11:59:00Z'), null, now)).toBe(0);
+    expect(getVerificationRetryAfter(new Date('2025-01-01T11:00:00Z'), 120, now)).toBe(0);
+  });
+});
@@ -0,0 +1,525 @@
+/**
+ * Relayer Service Tests
+ *
+ * Tests relaying requests signed by temporary wallets through the forwarder,
+ * gas-price caps, per-user quotas, relayer nonce allocation and replacement
+ * of stuck transactions, using a fake forwarder and chain.
+ */
+
+import { ethers } from 'ethers';
+import { prisma } from '@proof-of-funds/db';
+import {
+  RelayerService,
+  ForwardRequest,
+  PROOF_FORWARDER_ABI,
+  FORWARDER_DOMAIN,
+  FORWARD_REQUEST_TYPES
+} from '../relayerService';
+import { proofEventService } from '../proofEventService';
+
+jest.mock('@proof-of-funds/db', () => {
+  let nextId = 1;
+  const transactions: any[] = [];
+
+  const matchesCondition = (value: any, condition: any): boolean => {
+    if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+      if ('in' in condition) {return condition.in.includes(value);}
+      if ('gte' in condition) {return value >= condition.gte;}
+      if ('lt' in condition) {return value < condition.lt;}
+      if ('not' in condition) {return value !== condition.not;}
+    }
+    return value === condition;
+  };
+
+  const matches = (row: any, where: any = {}): boolean => Object.entries(where).every(([key, condition]: [string, any]) => {
+    if (key === 'NOT') {return !matches(row, condition);}
+    return matchesCondition(row[key], condition);
+  });
+
+  const pick = (row: any, select?: Record<string, boolean>) => {
+    if (!select) {return { ...row };}
+    return Object.fromEntries(Object.keys(select).map(key => [key, row[key]]));
+  };
+
+  const sort = (rows: any[], orderBy: any) => {
+    if (!orderBy) {return rows;}
+    const [[key, direction]] = Object.entries(orderBy) as [[string, string]];
+    return [...rows].sort((a, b) => (a[key] < b[key] ? -1 : a[key] > b[key] ? 1 : 0) * (direction === 'desc' ? -1 : 1));
+  };
+
+  return {
+    prisma: {
+      transactions,
+      relayTransaction: {
+        create: jest.fn(async ({ data }: any) => {
+          const taken = transactions.some(row => row.nonce !== null && row.nonce === data.nonce
+            && row.relayerAddress === data.relayerAddress && row.chainId === data.chainId);
+          if (taken) {
+            throw Object.assign(new Error('Unique constraint failed'), { code: 'P2002' });
+          }
+
+          const row = {
+            id: `relay-${nextId++}`,
+            status: 'PENDING',
+            txHash: null,
+            previousHashes: [],
+            replacements: 0,
+            error: null,
+            blockNumber: null,
+            gasUsed: null,
+            submittedAt: null,
+            confirmedAt: null,
+            createdAt: new Date(),
+            ...data
+          };
+          transactions.push(row);
+          return { ...row };
+        }),
+        findMany: jest.fn(async ({ where, orderBy, take, select }: any) =>
+          sort(transactions.filter(row => matches(row, where)), orderBy).slice(0, take).map(row => pick(row, select))),
+        findFirst: jest.fn(async ({ where, orderBy, select }: any) => {
+          const found = sort(transactions.filter(row => matches(row, where)), orderBy)[0];
+          return found ? pick(found, select) : null;
+        }),
+        update: jest.fn(async ({ where, data, select }: any) => {
+          const row = transactions.find(item => item.id === where.id);
+          Object.assign(row, data);
+          return pick(row, select);
+        }),
+        updateMany: jest.fn(async ({ where, data }: any) => {
+          const matched = transactions.filter(row => matches(row, where));
+          matched.forEach(row => Object.assign(row, data));
+          return { count: matched.length };
+        })
+      }
+    }
+  };
+});
+
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../proofEventService', () => ({
+  proofEventService: {
+    publish: jest.fn().mockResolvedValue(undefined),
+    publishProofEvent: jest.fn().mockResolvedValue(undefined)
+  }
+}));
+
+jest.mock('../../config', () => ({
+  __esModule: true,
+  default: {
+    relayer: {
+      enabled: false,
+      rpcUrl: 'http://localhost:8545',
+      chainId: 80002,
+      privateKey: '',
+      forwarderAddress: '',
+      targets: { zkVerifier: '', proofOfFunds: '' },
+      maxGasPriceGwei: 300,
+      minGasPriceGwei: 30,
+      maxGasLimit: 1500000,
+      dailyQuota: 10,
+      stuckAfterMs: 180000,
+      gasPriceBumpPercent: 15,
+      maxReplacements: 5,
+      intervalMs: 15000,
+      confirmations: 1
+    }
+  }
+}));
+
+const CHAIN_ID = 137;
+const FORWARDER = '0x' + '1f'.repeat(20);
+const RELAYER = ethers.utils.getAddress('0x' + 'ee'.repeat(20));
+const ZK_VERIFIER = ethers.utils.getAddress('0x' + 'a1'.repeat(20));
+const PROOF_OF_FUNDS = ethers.utils.getAddress('0x' + 'b2'.repeat(20));
+
+const gwei = (value: number) => ethers.utils.parseUnits(String(value), 'gwei');
+
+const zkVerifier = new ethers.utils.Interface([
+  'function submitZKProof(bytes _proof, bytes _publicSignals, uint256 _expiryTime, uint8 _proofType, string _signatureMessage, bytes _signature)',
+  'function revokeZKProof(string _reason)'
+]);
+const forwarderInterface = new ethers.utils.Interface(PROOF_FORWARDER_ABI);
+
+const SUBMIT_DATA = zkVerifier.encodeFunctionData('submitZKProof', [
+  ethers.utils.defaultAbiCoder.encode(['uint256[]'], [[1, 2, 3, 4, 5, 6, 7, 8]]),
+  ethers.utils.defaultAbiCoder.encode(['uint256[]'], [[1]]),
+  86400,
+  1,
+  'I own these funds',
+  '0x1234'
+]);
+
+const db = prisma as any;
+
+/**
+ * Fake chain behind the forwarder: relayer nonces, gas price, receipts and forwarder nonces
+ */
+const createChain = () => {
+  const chain = {
+    gasPrice: gwei(50),
+    pendingNonce: 0,
+    minedNonce: 0,
+    receipts: new Map<string, any>(),
+    forwarderNonces: new Map<string, number>(),
+    failSend: false,
+    sent: [] as any[]
+  };
+
+  const signer = {
+    provider: { getTransactionReceipt: jest.fn(async (hash: string) => chain.receipts.get(hash) || null) },
+    getAddress: jest.fn(async () => RELAYER),
+    getGasPrice: jest.fn(async () => chain.gasPrice),
+    getTransactionCount: jest.fn(async (tag: string) => (tag === 'pending' ? chain.pendingNonce : chain.minedNonce)),
+    sendTransaction: jest.fn(async (tx: any) => {
+      if (chain.failSend) {
+        throw new Error('insufficient funds for gas');
+      }
+      chain.sent.push(tx);
+      chain.pendingNonce = Math.max(chain.pendingNonce, tx.nonce + 1);
+      return { hash: `0x${String(chain.sent.length).padStart(64, '0')}` };
+    })
+  };
+
+  const forwarder = {
+    address: FORWARDER,
+    signer,
+    interface: forwarderInterface,
+    getNonce: jest.fn(async (from: string) => ethers.BigNumber.from(chain.forwarderNonces.get(from) ?? 0)),
+    verify: jest.fn(async (request: ForwardRequest, signature: string) => {
+      const signer = ethers.utils.verifyTypedData(
+        { ...FORWARDER_DOMAIN, chainId: CHAIN_ID, verifyingContract: FORWARDER },
+        FORWARD_REQUEST_TYPES,
+        request,
+        signature
+      );
+      return signer === request.from && Number(request.nonce) === (chain.forwarderNonces.get(request.from) ?? 0);
+    }),
+    estimateGas: { execute: jest.fn(async () => ethers.BigNumber.from(200000)) }
+  };
+
+  return { chain, forwarder };
+};
+
+const createService = (forwarder: any, options: Record<string, any> = {}) => new RelayerService({
+  chainId: CHAIN_ID,
+  forwarder,
+  targets: { zkVerifier: ZK_VERIFIER, proofOfFunds: PROOF_OF_FUNDS },
+  maxGasPriceGwei: 150,
+  minGasPriceGwei: 30,
+  ...options
+});
+
+/**
+ * Build and sign a request the way the browser does with the temporary wallet
+ */
+const signRequest = async (wallet: ethers.Wallet, overrides: Partial<ForwardRequest> = {}) => {
+  const request: ForwardRequest = {
+    from: wallet.address,
+    to: ZK_VERIFIER,
+    value: '0',
+    gas: '1000000',
+    nonce: '0',
+    deadline: String(Math.floor(Date.now() / 1000) + 3600),
+    data: SUBMIT_DATA,
+    ...overrides
+  };
+  const signature = await wallet._signTypedData(
+    { ...FORWARDER_DOMAIN, chainId: CHAIN_ID, verifyingContract: FORWARDER },
+    FORWARD_REQUEST_TYPES,
+    request
+  );
+
+  return { request, signature };
+};
+
+const wallet = (seed: number) => new ethers.Wallet(ethers.utils.hexZeroPad(ethers.utils.hexlify(seed), 32));
+
+describe('RelayerService', () => {
+  beforeEach(() => {
+    db.transactions.length = 0;
+  });
+
+  describe('relay', () => {
+    it('sends the signed request through the forwarder at the network gas price', async () => {
+      const { chain, forwarder } = createChain();
+      const service = createService(forwarder);
+      const tempWallet = wallet(1);
+      const { request, signature } = await signRequest(tempWallet);
+
+      const transaction = await service.relay('user-1', request, signature);
+
+      expect(transaction).toMatchObject({
+        status: 'SUBMITTED',
+        chainId: CHAIN_ID,
+        target: ZK_VERIFIER,
+        signer: tempWallet.address,
+        requestNonce: 0,
+        gasPrice: gwei(50).toString()
+      });
+      expect(transaction.txHash).toMatch(/^0x/);
+      expect(transaction).not.toHaveProperty('data');
+
+      const [sent] = chain.sent;
+      expect(sent).toMatchObject({ to: FORWARDER, nonce: 0, gasPrice: gwei(50) });
+      expect(sent.gasLimit.toString()).toBe('240000');
+
+      const call = forwarderInterface.decodeFunctionData('execute', sent.data);
+      expect(call.req.from).toBe(tempWallet.address);
+      expect(call.req.data).toBe(SUBMIT_DATA);
+      expect(call.signature).toBe(signature);
+    });
+
+    it('keeps the gas price between the floor and the cap', async () => {
+      const { chain, forwarder } = createChain();
+      const service = createService(forwarder);
+
+      chain.gasPrice = gwei(900);
+      const high = await signRequest(wallet(1));
+      await expect(service.relay('user-1', high.request, high.signature))
+        .resolves.toMatchObject({ gasPrice: gwei(150).toString() });
+
+      chain.gasPrice = gwei(2);
+      const low = await signRequest(wallet(2));
+      await expect(service.relay('user-1', low.request, low.signature))
+        .resolves.toMatchObject({ gasPrice: gwei(30).toString() });
+    });
+
+    it('only relays calls that submit or revoke proofs on the proof contracts', async () => {
+      const { chain, forwarder } = createChain();
+      const service = createService(forwarder);
+      const tempWallet = wallet(1);
+
+      const otherContract = await signRequest(tempWallet, { to: '0x' + 'cc'.repeat(20) });
+      await expect(service.relay('user-1', otherContract.request, otherContract.signature))
+        .rejects.toMatchObject({ statusCode: 400, code: 'RELAY_TARGET_NOT_ALLOWED' });
+
+      const ownerCall = new ethers.utils.Interface(['function transferOwnership(address newOwner)'])
+        .encodeFunctionData('transferOwnership', [tempWallet.address]);
+      const otherFunction = await signRequest(tempWallet, { to: PROOF_OF_FUNDS, data: ownerCall });
+      await expect(service.relay('user-1', otherFunction.request, otherFunction.signature))
+        .rejects.toMatchObject({ statusCode: 400, code: 'RELAY_FUNCTION_NOT_ALLOWED' });
+
+      const withValue = await signRequest(tempWallet, { value: '1' });
+      await expect(service.relay('user-1', withValue.request, withValue.signature))
+        .rejects.toMatchObject({ code: 'INVALID_RELAY_REQUEST' });
+
+      const expiring = await signRequest(tempWallet, { deadline: String(Math.floor(Date.now() / 1000) + 30) });
+      await expect(service.relay('user-1', expiring.request, expiring.signature))
+        .rejects.toMatchObject({ code: 'RELAY_REQUEST_EXPIRED' });
+
+      expect(chain.sent).toHaveLength(0);
+    });
+
+    it('rejects requests not signed by their sender', async () => {
+      const { chain, forwarder } = createChain();
+      const service = createService(forwarder);
+      const { request, signature } = await signRequest(wallet(2), { from: wallet(1).address });
+
+      await expect(service.relay('user-1', request, signature))
+        .rejects.toMatchObject({ statusCode: 400, code: 'INVALID_SIGNATURE' });
+      expect(chain.sent).toHaveLength(0);
+      expect(db.transactions).toHaveLength(0);
+    });
+
+    it('does not pay for calls that would revert', async () => {
+      const { chain, forwarder } = createChain();
+      forwarder.estimateGas.execute.mockRejectedValueOnce(new Error('execution reverted: ZKVerifier: invalid proof'));
+      const service = createService(forwarder);
+      const { request, signature } = await signRequest(wallet(1));
+
+      await expect(service.relay('user-1', request, signature))
+        .rejects.toMatchObject({ statusCode: 400, code: 'RELAY_CALL_REVERTED' });
+      expect(chain.sent).toHaveLength(0);
+    });
+
+    it('refuses a second request from a wallet while the first is being relayed', async () => {
+      const { forwarder } = createChain();
+      const service = createService(forwarder);
+      const first = await signRequest(wallet(1));
+      const relayed = await service.relay('user-1', first.request, first.signature);
+
+      await expect(service.relay('user-1', first.request, first.signature))
+        .rejects.toMatchObject({ statusCode: 409, code: 'RELAY_REQUEST_PENDING', details: { transactionId: relayed.id } });
+    });
+
+    it('enforces the daily quota per user', async () => {
+      const { forwarder } = createChain();
+      const service = createService(forwarder, { dailyQuota: 2 });
+
+      for (const seed of [1, 2]) {
+        const { request, signature } = await signRequest(wallet(seed));
+        await service.relay('user-1', request, signature);
+      }
+
+      const third = await signRequest(wallet(3));
+      await expect(service.relay('user-1', third.request, third.signature))
+        .rejects.toMatchObject({ statusCode: 429, code: 'RELAY_QUOTA_EXCEEDED' });
+      await expect(service.relay('user-2', third.request, third.signature)).resolves.toBeDefined();
+
+      const quota = await service.getQuota('user-1');
+      expect(quota).toMatchObject({ limit: 2, used: 2, remaining: 0 });
+      expect(quota.resetsAt!.getTime()).toBeGreaterThan(Date.now() + 23 * 60 * 60 * 1000);
+    });
+
+    it('allocates relayer nonces in order and releases them when a send fails', async () => {
+      const { chain, forwarder } = createChain();
+      chain.pendingNonce = 7;
+      const service = createService(forwarder);
+
+      // Concurrent requests are sent one at a time with consecutive nonces
+      const requests = await Promise.all([1, 2].map(seed => signRequest(wallet(seed))));
+      await Promise.all(requests.map(({ request, signature }) => service.relay('user-1', request, signature)));
+      expect(chain.sent.map(tx => tx.nonce)).toEqual([7, 8]);
+
+      chain.failSend = true;
+      const failing = await signRequest(wallet(3));
+      await expect(service.relay('user-1', failing.request, failing.signature))
+        .rejects.toMatchObject({ statusCode: 502, code: 'RELAY_SEND_FAILED' });
+      expect(db.transactions[2]).toMatchObject({ status: 'FAILED', nonce: null, error: 'insufficient funds for gas' });
+
+      chain.failSend = false;
+      const next = await signRequest(wallet(4));
+      await service.relay('user-1', next.request, next.signature);
+      expect(chain.sent.map(tx => tx.nonce)).toEqual([7, 8, 9]);
+
+      // Failed sends do not use up the quota
+      await expect(service.getQuota('user-1')).resolves.toMatchObject({ used: 3 });
+    });
+
+    it('reports that the relayer is unavailable when it is not configured', async () => {
+      const service = new RelayerService({ forwarderAddress: '', privateKey: '' });
+      const { request, signature } = await signRequest(wallet(1));
+
+      await expect(service.getForwarderInfo()).rejects.toMatchObject({ statusCode: 503, code: 'RELAYER_UNAVAILABLE' });
+      await expect(service.relay('user-1', request, signature)).rejects.toMatchObject({ statusCode: 503 });
+    });
+  });
+
+  describe('getForwarderInfo', () => {
+    it('returns the EIP-712 domain and the signer nonce', async () => {
+      const { chain, forwarder } = createChain();
+      chain.forwarderNonces.set(wallet(1).address, 3);
+
+      const info = await createService(forwarder).getForwarderInfo(wallet(1).address);
+
+      expect(info).toMatchObject({
+        chainId: CHAIN_ID,
+        forwarder: FORWARDER,
+        domain: { name: 'ProofForwarder', version: '1', chainId: CHAIN_ID, verifyingContract: FORWARDER },
+        targets: { zkVerifier: ZK_VERIFIER, proofOfFunds: PROOF_OF_FUNDS },
+        nonce: '3'
+      });
+    });
+  });
+
+  describe('getTransaction', () => {
+    it('only returns transactions of the user', async () => {
+      const { forwarder } = createChain();
+      const service = createService(forwarder);
+      const { request, signature } = await signRequest(wallet(1));
+      const relayed = await service.relay('user-1', request, signature);
+
+      await expect(service.getTransaction(relayed.id, 'user-1')).resolves.toMatchObject({ id: relayed.id });
+      await expect(service.getTransaction(relayed.id, 'user-2'))
+        .rejects.toMatchObject({ statusCode: 404, code: 'RELAY_TRANSACTION_NOT_FOUND' });
+    });
+  });
+
+  describe('monitorTransactions', () => {
+    const relayOne = async (service: RelayerService, seed = 1) => {
+      const { request, signature } = await signRequest(wallet(seed));
+      return service.relay('user-1', request, signature);
+    };
+
+    const receipt = (hash: string, status = 1) => ({
+      transactionHash: hash,
+      status,
+      blockNumber: 123,
+      gasUsed: ethers.BigNumber.from(210000),
+      confirmations: 1
+    });
+
+    it('records mined and reverted transactions', async () => {
+      const { chain, forwarder } = createChain();
+      const service = createService(forwarder);
+      const mined = await relayOne(service, 1);
+      const reverted = await relayOne(service, 2);
+      chain.receipts.set(mined.txHash!, receipt(mined.txHash!));
+      chain.receipts.set(reverted.txHash!, receipt(reverted.txHash!, 0));
+      chain.minedNonce = 2;
+
+      await expect(service.monitorTransactions()).resolves.toEqual({ confirmed: 1, failed: 1, replaced: 0 });
+
+      expect(db.transactions[0]).toMatchObject({ status: 'CONFIRMED', blockNumber: 123, gasUsed: '210000' });
+      expect(db.transactions[1]).toMatchObject({ status: 'FAILED', error: 'Transaction reverted' });
+      expect(proofEventService.publish).toHaveBeenCalledWith('user-1', 'transaction.confirmed', {
+        transaction: expect.objectContaining({ id: mined.id, status: 'CONFIRMED', blockNumber: 123 })
+      });
+      expect(proofEventService.publish).toHaveBeenCalledWith('user-1', 'transaction.failed', {
+        transaction: expect.objectContaining({ id: reverted.id, status: 'FAILED', error: 'Transaction reverted' })
+      });
+    });
+
+    it('waits for the configured confirmations', async () => {
+      const { chain, forwarder } = createChain();
+      const service = createService(forwarder, { confirmations: 3 });
+      const relayed = await relayOne(service);
+      chain.receipts.set(relayed.txHash!, receipt(relayed.txHash!));
+
+      await expect(service.monitorTransactions()).resolves.toEqual({ confirmed: 0, failed: 0, replaced: 0 });
+      expect(db.transactions[0].status).toBe('SUBMITTED');
+    });
+
+    it('replaces stuck transactions with the same nonce and a higher gas price', async () => {
+      const { chain, forwarder } = createChain();
+      const service = createService(forwarder);
+      const relayed = await relayOne(service);
+      db.transactions[0].submittedAt = new Date(Date.now() - 10 * 60 * 1000);
+
+      await expect(service.monitorTransactions()).resolves.toEqual({ confirmed: 0, failed: 0, replaced: 1 });
+
+      const replacement = chain.sent[1];
+      expect(replacement).toMatchObject({ to: FORWARDER, nonce: chain.sent[0].nonce, data: chain.sent[0].data });
+      expect(replacement.gasPrice.toString()).toBe(gwei(57.5).toString());
+      expect(db.transactions[0]).toMatchObject({
+        replacements: 1,
+        previousHashes: [relayed.txHash],
+        gasPrice: gwei(57.5).toString()
+      });
+
+      // The original transaction got mined after all
+      chain.receipts.set(relayed.txHash!, receipt(relayed.txHash!));
+      chain.minedNonce = 1;
+      await service.monitorTransactions();
+      expect(db.transactions[0]).toMatchObject({ status: 'CONFIRMED', txHash: relayed.txHash });
+    });
+
+    it('does not replace transactions beyond the gas price cap', async () => {
+      const { chain, forwarder } = createChain();
+      chain.gasPrice = gwei(900);
+      const service = createService(forwarder);
+      await relayOne(service);
+      db.transactions[0].submittedAt = new Date(Date.now() - 10 * 60 * 1000);
+
+      await expect(service.monitorTransactions()).resolves.toEqual({ confirmed: 0, failed: 0, replaced: 0 });
+      expect(chain.sent).toHaveLength(1);
+    });
+
+    it('fails transactions whose nonce was used without them being mined', async () => {
+      const { chain, forwarder } = createChain();
+      const service = createService(forwarder);
+      await relayOne(service);
+      chain.minedNonce = 1;
+
+      await expect(service.monitorTransactions()).resolves.toEqual({ confirmed: 0, failed: 1, replaced: 0 });
+      expect(db.transactions[0]).toMatchObject({ status: 'FAILED', error: 'Relayer nonce was used by another transaction' });
+    });
+  });
+});
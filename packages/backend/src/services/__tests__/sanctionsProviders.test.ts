@@ -0,0 +1,208 @@
+/**
+ * Sanctions Provider Tests
+ *
+ * Tests reading OFAC SDN, CSV and JSON sanctions lists, address handling,
+ * the screening API providers against a mocked fetch, and selecting
+ * providers by name.
+ */
+
+import {
+  ChainalysisProvider,
+  TrmLabsProvider,
+  EllipticProvider,
+  SanctionsProvider,
+  createSanctionsProvider,
+  registerSanctionsProviderFactory,
+  parseSanctionsList,
+  normalizeAddress,
+  detectChain
+} from '../sanctionsProviders';
+
+jest.mock('@proof-of-funds/db', () => ({
+  prisma: {}
+}));
+
+jest.mock('../../config', () => ({
+  __esModule: true,
+  default: {
+    sanctions: {
+      providers: ['sanctions-list'],
+      ofac: { url: '', refreshEnabled: false, timeoutMs: 1000 },
+      chainalysis: { apiKey: '', apiUrl: 'https://chainalysis.example/address' },
+      trmLabs: { apiKey: '', apiUrl: 'https://trm.example/screening' },
+      elliptic: { apiKey: '', apiUrl: 'https://elliptic.example/screening' }
+    }
+  }
+}));
+
+const EVM = '0x8589427373D6D84E98730D7795D8f6f8731FDA16';
+const BITCOIN = 'bc1qsxdvkyk0jg9ld5y8e6nqxl3qzc3ajvnl2zzqgx';
+const SOLANA = '7EcDhSYGxXyscszYEp35KHN8vvw3svAuLKTzXwCFLtV';
+
+const jsonResponse = (data: any, status = 200) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  statusText: status === 200 ? 'OK' : 'Error',
+  json: async () => data
+});
+
+describe('sanctions providers', () => {
+  const originalFetch = global.fetch;
+  let fetchMock: jest.Mock;
+
+  beforeEach(() => {
+    fetchMock = jest.fn();
+    global.fetch = fetchMock as any;
+  });
+
+  afterEach(() => {
+    global.fetch = originalFetch;
+  });
+
+  describe('parseSanctionsList', () => {
+    it('reads the digital currency addresses of the OFAC SDN list', () => {
+      const xml = `<sdnList>
+        <sdnEntry>
+          <uid>100</uid><firstName>Jane</firstName><lastName>DOE &amp; CO</lastName>
+          <idList>
+            <id><idType>Passport</idType><idNumber>X123</idNumber></id>
+            <id><idType>Digital Currency Address - ETH</idType><idNumber>${EVM}</idNumber></id>
+            <id><idType>Digital Currency Address - XBT</idType><idNumber>${BITCOIN.toUpperCase()}</idNumber></id>
+          </idList>
+        </sdnEntry>
+        <sdnEntry><uid>101</uid><lastName>NO ADDRESSES</lastName></sdnEntry>
+      </sdnList>`;
+
+      expect(parseSanctionsList('OFAC_SDN_XML', xml)).toEqual([
+        { address: EVM.toLowerCase(), currency: 'ETH', entityName: 'Jane DOE & CO', entityId: '100' },
+        { address: BITCOIN, currency: 'XBT', entityName: 'Jane DOE & CO', entityId: '100' }
+      ]);
+    });
+
+    it('reads CSV lists with quoted fields and removes duplicates', () => {
+      const csv = [
+        'Name,Address,Chain',
+        `"Lazarus, Group",${EVM},ETH`,
+        `"Lazarus, Group",${EVM.toLowerCase()},ETH`,
+        `Other,${SOLANA},SOL`,
+        ''
+      ].join('\r\n');
+
+      expect(parseSanctionsList('CSV', csv)).toEqual([
+        { address: EVM.toLowerCase(), currency: 'ETH', entityName: 'Lazarus, Group', entityId: undefined },
+        { address: SOLANA, currency: 'SOL', entityName: 'Other', entityId: undefined }
+      ]);
+    });
+
+    it('reads JSON lists of strings or objects', () => {
+      expect(parseSanctionsList('JSON', JSON.stringify([EVM]))).toEqual([{ address: EVM.toLowerCase() }]);
+      expect(parseSanctionsList('JSON', JSON.stringify({
+        addresses: [{ address: SOLANA, chain: 'SOL', name: 'Drainer' }]
+      }))).toEqual([{ address: SOLANA, currency: 'SOL', entityName: 'Drainer', entityId: undefined }]);
+    });
+
+    it('rejects documents that are not lists', () => {
+      expect(() => parseSanctionsList('CSV', 'name\nfoo')).toThrow('CSV list must have an address column');
+      expect(() => parseSanctionsList('JSON', '{"foo":1}')).toThrow('JSON list must be an array');
+    });
+  });
+
+  describe('addresses', () => {
+    it('lower-cases only case-insensitive addresses', () => {
+      expect(normalizeAddress(` ${EVM} `)).toBe(EVM.toLowerCase());
+      expect(normalizeAddress(BITCOIN.toUpperCase())).toBe(BITCOIN);
+      expect(normalizeAddress(SOLANA)).toBe(SOLANA);
+    });
+
+    it('detects the chain of an address', () => {
+      expect(detectChain(EVM)).toBe('evm');
+      expect(detectChain(BITCOIN)).toBe('bitcoin');
+      expect(detectChain(SOLANA)).toBe('solana');
+      expect(detectChain('not-an-address')).toBeNull();
+    });
+  });
+
+  describe('ChainalysisProvider', () => {
+    it('is unavailable without an API key', async () => {
+      expect(await new ChainalysisProvider().isAvailable()).toBe(false);
+    });
+
+    it('reports addresses with a risk rating', async () => {
+      const provider = new ChainalysisProvider({ apiKey: 'key' });
+      fetchMock
+        .mockResolvedValueOnce(jsonResponse({ risk: 'Severe', category: 'sanctions' }))
+        .mockResolvedValueOnce(jsonResponse({ risk: 'none' }));
+
+      const matches = await provider.screen([{ address: EVM }, { address: BITCOIN }]);
+
+      expect(matches).toEqual([
+        expect.objectContaining({ address: EVM, provider: 'chainalysis', category: 'sanctions', riskScore: 100 })
+      ]);
+      expect(fetchMock).toHaveBeenCalledWith(
+        `https://chainalysis.example/address/${EVM}?assetType=ETH`,
+        expect.objectContaining({ headers: expect.objectContaining({ Token: 'key' }) })
+      );
+      expect(fetchMock.mock.calls[1][0]).toContain('assetType=BTC');
+    });
+
+    it('throws when the API fails', async () => {
+      fetchMock.mockResolvedValueOnce(jsonResponse({}, 500));
+
+      await expect(new ChainalysisProvider({ apiKey: 'key' }).screen([{ address: EVM }]))
+        .rejects.toThrow('Chainalysis API error: 500');
+    });
+  });
+
+  describe('TrmLabsProvider', () => {
+    it('screens a batch in one request and reports high-risk addresses', async () => {
+      const provider = new TrmLabsProvider({ apiKey: 'key' });
+      fetchMock.mockResolvedValueOnce(jsonResponse({
+        addresses: [
+          { address: EVM, riskScore: 95, highRiskCategory: 'Sanctions' },
+          { address: SOLANA, riskScore: 10 }
+        ]
+      }));
+
+      const matches = await provider.screen([{ address: EVM }, { address: SOLANA }, { address: 'unknown' }]);
+
+      expect(matches).toEqual([
+        expect.objectContaining({ address: EVM, provider: 'trm-labs', category: 'Sanctions', riskScore: 95 })
+      ]);
+      expect(JSON.parse(fetchMock.mock.calls[0][1].body)).toEqual({
+        addresses: [{ address: EVM, chain: 'ethereum' }, { address: SOLANA, chain: 'solana' }]
+      });
+    });
+  });
+
+  describe('EllipticProvider', () => {
+    it('skips chains Elliptic does not screen', async () => {
+      const provider = new EllipticProvider({ apiKey: 'key' });
+      fetchMock.mockResolvedValueOnce(jsonResponse({ riskScore: 80, categories: [{ name: 'Darknet' }] }));
+
+      const matches = await provider.screen([{ address: EVM }, { address: SOLANA }]);
+
+      expect(fetchMock).toHaveBeenCalledTimes(1);
+      expect(fetchMock).toHaveBeenCalledWith(`https://elliptic.example/screening/eth/${EVM}`, expect.any(Object));
+      expect(matches).toEqual([expect.objectContaining({ address: EVM, category: 'Darknet', riskScore: 80 })]);
+    });
+  });
+
+  describe('createSanctionsProvider', () => {
+    it('creates providers by name', () => {
+      expect(createSanctionsProvider('sanctions-list').name).toBe('sanctions-list');
+      expect(createSanctionsProvider('trm-labs')).toBeInstanceOf(TrmLabsProvider);
+      expect(() => createSanctionsProvider('acme')).toThrow('Unknown sanctions provider: acme');
+    });
+
+    it('creates registered providers', () => {
+      const custom: SanctionsProvider = {
+        name: 'acme',
+        isAvailable: async () => true,
+        screen: async () => []
+      };
+      registerSanctionsProviderFactory('acme', () => custom);
+
+      expect(createSanctionsProvider('acme')).toBe(custom);
+    });
+  });
+});
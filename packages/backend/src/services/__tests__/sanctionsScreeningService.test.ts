@@ -0,0 +1,369 @@
+/**
+ * Sanctions Screening Service Tests
+ *
+ * Tests screening wallets against imported sanctions lists and other
+ * providers, flagging screening that could not run, allow-list overrides,
+ * versioned list imports with rollback, and the audit trail they leave.
+ */
+
+import { SanctionsScreeningService } from '../sanctionsScreeningService';
+import { SanctionsListProvider, SanctionsProvider } from '../sanctionsProviders';
+import { auditLogService } from '../auditLogService';
+
+jest.mock('@proof-of-funds/db', () => {
+  let nextId = 1;
+  const tables: Record<string, any[]> = { lists: [], addresses: [], allowlist: [] };
+
+  const byId = (name: string, id: string) => tables[name].find(row => row.id === id);
+
+  const prisma: any = {
+    tables,
+    sanctionsList: {
+      count: jest.fn(async ({ where }: any) => tables.lists.filter(list => list.isActive === where.isActive).length),
+      create: jest.fn(async ({ data }: any) => {
+        const row = { id: `list-${nextId++}`, isActive: false, activatedAt: null, createdAt: new Date(), ...data };
+        tables.lists.push(row);
+        return { ...row };
+      }),
+      findFirst: jest.fn(async ({ where }: any) => {
+        const found = tables.lists
+          .filter(list => list.name === where.name && (where.isActive === undefined || list.isActive === where.isActive))
+          .sort((a, b) => b.version - a.version)[0];
+        return found ? { ...found } : null;
+      }),
+      findUnique: jest.fn(async ({ where }: any) => {
+        const found = byId('lists', where.id);
+        return found ? { ...found } : null;
+      }),
+      findMany: jest.fn(async ({ where }: any) => tables.lists
+        .filter(list => !where.name || list.name === where.name)
+        .map(list => ({ ...list }))),
+      update: jest.fn(async ({ where, data }: any) => {
+        const row = byId('lists', where.id);
+        Object.assign(row, data);
+        return { ...row };
+      }),
+      updateMany: jest.fn(async ({ where, data }: any) => {
+        const matched = tables.lists.filter(list => list.name === where.name && list.isActive === where.isActive);
+        matched.forEach(list => Object.assign(list, data));
+        return { count: matched.length };
+      })
+    },
+    sanctionedAddress: {
+      createMany: jest.fn(async ({ data }: any) => {
+        data.forEach((item: any) => tables.addresses.push({ id: `address-${nextId++}`, ...item }));
+        return { count: data.length };
+      }),
+      findMany: jest.fn(async ({ where }: any) => tables.addresses
+        .filter(entry => where.address.in.includes(entry.address) && byId('lists', entry.listId).isActive)
+        .map(entry => ({ ...entry, list: byId('lists', entry.listId) })))
+    },
+    sanctionsAllowlistEntry: {
+      create: jest.fn(async ({ data }: any) => {
+        const row = { id: `allow-${nextId++}`, createdAt: new Date(), expiresAt: null, revokedAt: null, ...data };
+        tables.allowlist.push(row);
+        return { ...row };
+      }),
+      findUnique: jest.fn(async ({ where }: any) => {
+        const found = byId('allowlist', where.id);
+        return found ? { ...found } : null;
+      }),
+      findMany: jest.fn(async ({ where }: any) => tables.allowlist
+        .filter(entry => (!where.address?.in || where.address.in.includes(entry.address))
+          && (where.revokedAt !== null || entry.revokedAt === null)
+          && (!where.OR || !entry.expiresAt || entry.expiresAt > new Date()))
+        .map(entry => ({ ...entry }))),
+      update: jest.fn(async ({ where, data }: any) => {
+        const row = byId('allowlist', where.id);
+        Object.assign(row, data);
+        return { ...row };
+      })
+    }
+  };
+  prisma.$transaction = jest.fn(async (fn: any) => fn(prisma));
+
+  return { prisma };
+});
+
+jest.mock('../auditLogService', () => ({
+  auditLogService: {
+    log: jest.fn().mockResolvedValue(undefined)
+  }
+}));
+
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../config', () => ({
+  __esModule: true,
+  default: {
+    sanctions: {
+      providers: ['sanctions-list'],
+      ofac: { url: 'https://ofac.example/sdn.xml', refreshEnabled: false, timeoutMs: 1000 },
+      chainalysis: { apiKey: '', apiUrl: '' },
+      trmLabs: { apiKey: '', apiUrl: '' },
+      elliptic: { apiKey: '', apiUrl: '' }
+    }
+  }
+}));
+
+const { prisma } = jest.requireMock('@proof-of-funds/db');
+const tables = prisma.tables;
+
+const SANCTIONED = '0x8589427373D6D84E98730D7795D8f6f8731FDA16';
+const CLEAN = '0x1234567890123456789012345678901234567890';
+const CSV_LIST = `address,currency,name\n${SANCTIONED},ETH,Tornado Cash\n`;
+
+const OFAC_XML = `<?xml version="1.0" standalone="yes"?>
+<sdnList xmlns="http://tempuri.org/sdnList.xsd">
+  <sdnEntry>
+    <uid>36748</uid>
+    <lastName>GARANTEX EUROPE OU</lastName>
+    <sdnType>Entity</sdnType>
+    <idList>
+      <id><uid>1</uid><idType>Registration Number</idType><idNumber>14533127</idNumber></id>
+      <id><uid>2</uid><idType>Digital Currency Address - ETH</idType><idNumber>${SANCTIONED}</idNumber></id>
+    </idList>
+  </sdnEntry>
+</sdnList>`;
+
+/**
+ * Provider with a fixed result
+ */
+const fakeProvider = (name: string, result: { available?: boolean; matches?: string[]; error?: Error }): SanctionsProvider => ({
+  name,
+  isAvailable: jest.fn(async () => result.available ?? true),
+  screen: jest.fn(async () => {
+    if (result.error) {
+      throw result.error;
+    }
+    return (result.matches || []).map(address => ({ address, provider: name }));
+  })
+});
+
+describe('SanctionsScreeningService', () => {
+  let service: SanctionsScreeningService;
+
+  beforeEach(() => {
+    tables.lists.length = 0;
+    tables.addresses.length = 0;
+    tables.allowlist.length = 0;
+    service = new SanctionsScreeningService({ providers: [new SanctionsListProvider()] });
+  });
+
+  describe('screenWallets', () => {
+    it('should flag wallets on an active list', async () => {
+      await service.importList({ name: 'internal', format: 'CSV', content: CSV_LIST }, 'admin-1');
+
+      const result = await service.screenWallets(
+        [{ address: SANCTIONED, chainId: 1 }, { address: CLEAN, chainId: 1 }],
+        { userId: 'user-1', referenceId: 'pof-1' }
+      );
+
+      expect(result.warningFlags).toEqual([`WALLET_BLACKLISTED:${SANCTIONED}`]);
+      expect(result.screenedBy).toEqual(['sanctions-list']);
+      expect(result.matches[0]).toMatchObject({ listName: 'internal', listVersion: 1, entityName: 'Tornado Cash' });
+      expect(auditLogService.log).toHaveBeenCalledWith(expect.objectContaining({
+        eventType: 'sanctions.match',
+        actorId: 'user-1',
+        resourceId: SANCTIONED,
+        severity: 'warning',
+        details: expect.objectContaining({ referenceId: 'pof-1', lists: ['internal@1'], allowlisted: false })
+      }));
+    });
+
+    it('should accept wallets given as addresses', async () => {
+      await service.importList({ name: 'internal', format: 'CSV', content: CSV_LIST });
+
+      const result = await service.screenWallets([SANCTIONED.toLowerCase()]);
+
+      expect(result.warningFlags).toEqual([`WALLET_BLACKLISTED:${SANCTIONED.toLowerCase()}`]);
+    });
+
+    it('should flag screening as unavailable when no provider can screen', async () => {
+      const result = await service.screenWallets([{ address: SANCTIONED, chainId: 1 }]);
+
+      expect(result.warningFlags).toEqual(['SANCTIONS_SCREENING_UNAVAILABLE']);
+      expect(result.unavailable).toEqual(['sanctions-list']);
+    });
+
+    it('should carry on with other providers when one fails', async () => {
+      const failing = fakeProvider('chainalysis', { error: new Error('503 Service Unavailable') });
+      const unconfigured = fakeProvider('elliptic', { available: false });
+      const working = fakeProvider('trm-labs', { matches: [SANCTIONED.toLowerCase()] });
+      const multi = new SanctionsScreeningService({ providers: [failing, unconfigured, working] });
+
+      const result = await multi.screenWallets([{ address: SANCTIONED, chainId: 1 }]);
+
+      expect(result.screenedBy).toEqual(['trm-labs']);
+      expect(result.unavailable).toEqual(['chainalysis', 'elliptic']);
+      expect(result.warningFlags).toEqual([`WALLET_BLACKLISTED:${SANCTIONED}`]);
+      expect(unconfigured.screen).not.toHaveBeenCalled();
+    });
+
+    it('should not flag allow-listed addresses but still record the match', async () => {
+      await service.importList({ name: 'internal', format: 'CSV', content: CSV_LIST });
+      await service.addAllowlistEntry({ address: SANCTIONED, reason: 'Address reassigned, confirmed with OFAC' }, 'admin-1');
+
+      const result = await service.screenWallets([{ address: SANCTIONED, chainId: 1 }]);
+
+      expect(result.warningFlags).toEqual([]);
+      expect(result.allowlisted).toEqual([SANCTIONED]);
+      expect(auditLogService.log).toHaveBeenCalledWith(expect.objectContaining({
+        eventType: 'sanctions.match',
+        severity: 'info',
+        details: expect.objectContaining({ allowlisted: true })
+      }));
+    });
+
+    it('should ignore revoked and expired allow-list entries', async () => {
+      await service.importList({ name: 'internal', format: 'CSV', content: CSV_LIST });
+      const entry = await service.addAllowlistEntry({ address: SANCTIONED, reason: 'Cleared' }, 'admin-1');
+      await service.removeAllowlistEntry(entry.id, 'admin-2', 'Clearance withdrawn');
+      tables.allowlist.push({
+        id: 'allow-expired',
+        address: SANCTIONED.toLowerCase(),
+        reason: 'Temporary',
+        expiresAt: new Date(Date.now() - 1000),
+        revokedAt: null
+      });
+
+      const result = await service.screenWallets([{ address: SANCTIONED, chainId: 1 }]);
+
+      expect(result.warningFlags).toEqual([`WALLET_BLACKLISTED:${SANCTIONED}`]);
+    });
+  });
+
+  describe('importList', () => {
+    it('should store each import as a new active version', async () => {
+      const first = await service.importList({ name: 'ofac-sdn', format: 'OFAC_SDN_XML', content: OFAC_XML }, 'admin-1');
+      const second = await service.importList({
+        name: 'ofac-sdn',
+        format: 'OFAC_SDN_XML',
+        content: OFAC_XML.replace(SANCTIONED, CLEAN)
+      }, 'admin-1');
+
+      expect(first.list).toMatchObject({ version: 1, entryCount: 1 });
+      expect(second.list).toMatchObject({ version: 2, isActive: true });
+      expect(tables.lists.find((list: any) => list.version === 1).isActive).toBe(false);
+      expect(tables.addresses.map((entry: any) => entry.address)).toEqual([
+        SANCTIONED.toLowerCase(),
+        CLEAN.toLowerCase()
+      ]);
+      expect(auditLogService.log).toHaveBeenCalledWith(expect.objectContaining({
+        eventType: 'sanctions.list.import',
+        actorId: 'admin-1',
+        details: expect.objectContaining({ name: 'ofac-sdn', version: 2, entryCount: 1 })
+      }));
+
+      // The address of the first version is no longer screened
+      const result = await service.screenWallets([{ address: SANCTIONED, chainId: 1 }]);
+      expect(result.warningFlags).toEqual([]);
+    });
+
+    it('should not import a document identical to the latest version', async () => {
+      await service.importList({ name: 'internal', format: 'CSV', content: CSV_LIST });
+
+      const again = await service.importList({ name: 'internal', format: 'CSV', content: CSV_LIST });
+
+      expect(again).toMatchObject({ unchanged: true, list: { version: 1 } });
+      expect(tables.lists).toHaveLength(1);
+    });
+
+    it('should keep an inactive version when asked not to activate it', async () => {
+      await service.importList({ name: 'internal', format: 'CSV', content: CSV_LIST, activate: false });
+
+      expect(tables.lists[0].isActive).toBe(false);
+      expect((await service.screenWallets([SANCTIONED])).warningFlags).toEqual(['SANCTIONS_SCREENING_UNAVAILABLE']);
+    });
+
+    it('should reject lists that cannot be imported', async () => {
+      await expect(service.importList({ name: 'internal', format: 'CSV', content: 'name\nTornado Cash\n' }))
+        .rejects.toMatchObject({ statusCode: 400, code: 'INVALID_LIST' });
+      await expect(service.importList({ name: 'internal', format: 'JSON', content: '[]' }))
+        .rejects.toMatchObject({ statusCode: 400, code: 'EMPTY_LIST' });
+      await expect(service.importList({ name: 'internal', format: 'YAML' as any, content: CSV_LIST }))
+        .rejects.toMatchObject({ code: 'INVALID_LIST_FORMAT' });
+      await expect(service.importList({ name: 'Internal List', format: 'CSV', content: CSV_LIST }))
+        .rejects.toMatchObject({ code: 'INVALID_LIST_NAME' });
+    });
+  });
+
+  describe('activateList', () => {
+    it('should roll back to an earlier version', async () => {
+      const first = await service.importList({ name: 'internal', format: 'CSV', content: CSV_LIST });
+      await service.importList({ name: 'internal', format: 'JSON', content: JSON.stringify([CLEAN]) });
+
+      const list = await service.activateList(first.list.id, 'admin-1');
+
+      expect(list).toMatchObject({ version: 1, isActive: true });
+      expect(tables.lists.filter((entry: any) => entry.isActive)).toHaveLength(1);
+      expect((await service.screenWallets([SANCTIONED])).warningFlags).toEqual([`WALLET_BLACKLISTED:${SANCTIONED}`]);
+      expect(auditLogService.log).toHaveBeenCalledWith(expect.objectContaining({
+        eventType: 'sanctions.list.activate',
+        details: { name: 'internal', version: 1, previousVersion: 2 }
+      }));
+    });
+
+    it('should reject unknown versions', async () => {
+      await expect(service.activateList('missing', 'admin-1')).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('refreshOfacList', () => {
+    const originalFetch = global.fetch;
+
+    afterEach(() => {
+      global.fetch = originalFetch;
+    });
+
+    it('should import the OFAC list only when it has changed', async () => {
+      global.fetch = jest.fn().mockResolvedValue({ ok: true, text: async () => OFAC_XML }) as any;
+
+      expect(await service.refreshOfacList()).toEqual({ imported: 1, entries: 1 });
+      expect(await service.refreshOfacList()).toEqual({ imported: 0, entries: 1 });
+      expect(global.fetch).toHaveBeenCalledWith('https://ofac.example/sdn.xml', expect.any(Object));
+      expect(tables.lists[0]).toMatchObject({ name: 'ofac-sdn', importedBy: 'system', source: 'https://ofac.example/sdn.xml' });
+    });
+
+    it('should fail when the list cannot be downloaded', async () => {
+      global.fetch = jest.fn().mockResolvedValue({ ok: false, status: 503, statusText: 'Service Unavailable' }) as any;
+
+      await expect(service.refreshOfacList()).rejects.toThrow('Failed to download OFAC SDN list: 503');
+    });
+  });
+
+  describe('allow-list', () => {
+    it('should require a reason', async () => {
+      await expect(service.addAllowlistEntry({ address: SANCTIONED, reason: ' ' }, 'admin-1'))
+        .rejects.toMatchObject({ code: 'REASON_REQUIRED' });
+    });
+
+    it('should keep revoked entries for the audit trail', async () => {
+      const entry = await service.addAllowlistEntry({ address: SANCTIONED, reason: 'Cleared' }, 'admin-1');
+
+      const revoked = await service.removeAllowlistEntry(entry.id, 'admin-2', 'Clearance withdrawn');
+
+      expect(revoked).toMatchObject({ revokedBy: 'admin-2', revokeReason: 'Clearance withdrawn' });
+      expect(await service.getAllowlist()).toEqual([]);
+      expect(await service.getAllowlist({ includeRevoked: true })).toHaveLength(1);
+      expect(auditLogService.log).toHaveBeenCalledWith(expect.objectContaining({
+        eventType: 'sanctions.allowlist.add',
+        actorId: 'admin-1',
+        resourceId: entry.id,
+        details: expect.objectContaining({ address: SANCTIONED.toLowerCase(), reason: 'Cleared' })
+      }));
+      expect(auditLogService.log).toHaveBeenCalledWith(expect.objectContaining({
+        eventType: 'sanctions.allowlist.remove',
+        actorId: 'admin-2',
+        details: { address: SANCTIONED.toLowerCase(), reason: 'Clearance withdrawn' }
+      }));
+
+      await expect(service.removeAllowlistEntry(entry.id, 'admin-2')).rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+});
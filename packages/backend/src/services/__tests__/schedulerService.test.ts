@@ -0,0 +1,502 @@
+/**
+ * Scheduler Service Tests
+ *
+ * Tests leader election through the scheduler lease, job history, proof
+ * expiry, reconciliation of proof transactions with a fake chain, and the
+ * cleanup jobs.
+ */
+
+import { prisma } from '@proof-of-funds/db';
+import { SchedulerService } from '../schedulerService';
+import { webhookService } from '../webhookService';
+import { proofEventService } from '../proofEventService';
+import { cleanupExpiredTokens } from '../tokenStorageService';
+import { sanctionsScreeningService } from '../sanctionsScreeningService';
+import config from '../../config';
+
+jest.mock('@proof-of-funds/db', () => {
+  let nextId = 1;
+  const tables: Record<string, any[]> = { leases: [], runs: [], proofs: [], users: [] };
+
+  const matchesCondition = (value: any, condition: any): boolean => {
+    if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+      if ('in' in condition) {return condition.in.includes(value);}
+      if ('notIn' in condition) {return !condition.notIn.includes(value);}
+      if ('lt' in condition) {return value < condition.lt;}
+      if ('lte' in condition) {return value <= condition.lte;}
+      if ('gte' in condition) {return value >= condition.gte;}
+      if ('not' in condition) {return value !== condition.not;}
+    }
+    return value === condition;
+  };
+
+  const matches = (row: any, where: any = {}): boolean => Object.entries(where).every(([key, condition]: [string, any]) => {
+    if (key === 'OR') {return condition.some((option: any) => matches(row, option));}
+    return matchesCondition(row[key], condition);
+  });
+
+  const compare = (a: any, b: any, order: any): number => {
+    const [[key, option]] = Object.entries(order) as [[string, any]];
+    const { sort: direction, nulls } = typeof option === 'string' ? { sort: option, nulls: undefined } : option;
+    const aNull = a[key] === null || a[key] === undefined;
+    const bNull = b[key] === null || b[key] === undefined;
+    if (aNull || bNull) {
+      const first = nulls === 'first' ? -1 : 1;
+      return aNull ? (bNull ? 0 : first) : -first;
+    }
+    return (a[key] < b[key] ? -1 : a[key] > b[key] ? 1 : 0) * (direction === 'desc' ? -1 : 1);
+  };
+
+  const sort = (rows: any[], orderBy: any) => {
+    if (!orderBy) {return rows;}
+    const orders = Array.isArray(orderBy) ? orderBy : [orderBy];
+    return [...rows].sort((a, b) => orders.reduce((result, order) => result || compare(a, b, order), 0));
+  };
+
+  const table = (name: string, defaults: () => Record<string, any> = () => ({}), key = 'id') => ({
+    create: jest.fn(async ({ data }: any) => {
+      if (data[key] !== undefined && tables[name].some(row => row[key] === data[key])) {
+        throw Object.assign(new Error('Unique constraint failed'), { code: 'P2002' });
+      }
+      const row = { [key]: `${name}-${nextId++}`, ...defaults(), ...data };
+      tables[name].push(row);
+      return { ...row };
+    }),
+    findUnique: jest.fn(async ({ where }: any) => {
+      const found = tables[name].find(row => matches(row, where));
+      return found ? { ...found } : null;
+    }),
+    findFirst: jest.fn(async ({ where, orderBy }: any) => {
+      const found = sort(tables[name].filter(row => matches(row, where)), orderBy)[0];
+      return found ? { ...found } : null;
+    }),
+    findMany: jest.fn(async ({ where, orderBy, take, cursor, skip }: any = {}) => {
+      let rows = sort(tables[name].filter(row => matches(row, where)), orderBy);
+      if (cursor) {rows = rows.slice(rows.findIndex(row => row.id === cursor.id));}
+      return rows.slice(skip || 0).slice(0, take).map(row => ({ ...row }));
+    }),
+    update: jest.fn(async ({ where, data }: any) => {
+      const row = tables[name].find(item => item.id === where.id);
+      Object.assign(row, data);
+      return { ...row };
+    }),
+    updateMany: jest.fn(async ({ where, data }: any) => {
+      const matched = tables[name].filter(row => matches(row, where));
+      matched.forEach(row => Object.assign(row, data));
+      return { count: matched.length };
+    }),
+    deleteMany: jest.fn(async ({ where }: any) => {
+      const removed = tables[name].filter(row => matches(row, where));
+      tables[name] = tables[name].filter(row => !removed.includes(row));
+      return { count: removed.length };
+    })
+  });
+
+  return {
+    prisma: {
+      tables,
+      schedulerLease: table('leases', () => ({}), 'name'),
+      scheduledJobRun: table('runs', () => ({ status: 'RUNNING', startedAt: new Date() })),
+      proof: table('proofs'),
+      user: table('users'),
+      wallet: { updateMany: jest.fn().mockResolvedValue({ count: 2 }) },
+      usedNonce: { deleteMany: jest.fn().mockResolvedValue({ count: 4 }) },
+      authNonce: { deleteMany: jest.fn().mockResolvedValue({ count: 2 }) },
+      webAuthnChallenge: { deleteMany: jest.fn().mockResolvedValue({ count: 3 }) }
+    }
+  };
+});
+
+jest.mock('../webhookService', () => ({
+  webhookService: { emitProofEvent: jest.fn().mockResolvedValue(1) }
+}));
+
+jest.mock('../proofEventService', () => ({
+  proofEventService: {
+    publish: jest.fn().mockResolvedValue(undefined),
+    publishProofEvent: jest.fn().mockResolvedValue(undefined)
+  }
+}));
+
+jest.mock('../tokenStorageService', () => ({
+  cleanupExpiredTokens: jest.fn()
+}));
+
+jest.mock('../sanctionsScreeningService', () => ({
+  sanctionsScreeningService: {
+    refreshOfacList: jest.fn().mockResolvedValue({ imported: 1, entries: 120 })
+  }
+}));
+
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../config', () => ({
+  __esModule: true,
+  default: {
+    scheduler: {
+      enabled: false,
+      tickMs: 15000,
+      leaseMs: 60000,
+      rpcUrl: 'http://localhost:8545',
+      confirmations: 1,
+      reorgWindowMs: 3600000,
+      droppedAfterMs: 3600000,
+      tempWalletRetentionMs: 604800000,
+      historyRetentionMs: 2592000000,
+      batchSize: 500,
+      intervals: {
+        expireProofs: 60000,
+        reconcileTransactions: 60000,
+        archiveTempWallets: 3600000,
+        cleanupExpiredTokens: 3600000,
+        purgeUsedNonces: 3600000,
+        pruneJobHistory: 86400000,
+        refreshSanctionsLists: 21600000
+      }
+    },
+    sanctions: {
+      ofac: { refreshEnabled: false }
+    }
+  }
+}));
+
+const tables = (prisma as any).tables;
+const HOUR = 60 * 60 * 1000;
+const TX_A = '0x' + 'aa'.repeat(32);
+const TX_B = '0x' + 'bb'.repeat(32);
+
+const hoursAgo = (hours: number) => new Date(Date.now() - hours * HOUR);
+
+const addProof = (overrides: Record<string, any>) => {
+  const proof = {
+    id: `proof-${tables.proofs.length + 1}`,
+    status: 'CONFIRMED',
+    isRevoked: false,
+    expiresAt: new Date(Date.now() + 24 * HOUR),
+    transactionHash: null,
+    confirmedAt: null,
+    blockNumber: null,
+    createdAt: hoursAgo(1),
+    ...overrides
+  };
+  tables.proofs.push(proof);
+  return proof;
+};
+
+const createChain = (blockNumber = 100) => ({
+  blockNumber,
+  receipts: new Map<string, any>(),
+  transactions: new Map<string, any>(),
+  getBlockNumber: jest.fn(async function (this: any) { return this.blockNumber; }),
+  getTransactionReceipt: jest.fn(async function (this: any, hash: string) { return this.receipts.get(hash) || null; }),
+  getTransaction: jest.fn(async function (this: any, hash: string) { return this.transactions.get(hash) || null; })
+});
+
+describe('SchedulerService', () => {
+  let chain: ReturnType<typeof createChain>;
+  let scheduler: SchedulerService;
+
+  beforeEach(() => {
+    Object.keys(tables).forEach(name => { tables[name].length = 0; });
+    chain = createChain();
+    scheduler = new SchedulerService({ instanceId: 'instance-a', provider: chain as any });
+  });
+
+  describe('leader election', () => {
+    it('should let only one instance hold the lease', async () => {
+      const other = new SchedulerService({ instanceId: 'instance-b', provider: chain as any });
+
+      expect(await scheduler.acquireLeadership()).toBe(true);
+      expect(await other.acquireLeadership()).toBe(false);
+      expect(await scheduler.acquireLeadership()).toBe(true);
+      expect(tables.leases).toHaveLength(1);
+    });
+
+    it('should hand the lease over once it expires', async () => {
+      const other = new SchedulerService({ instanceId: 'instance-b', provider: chain as any });
+      await scheduler.acquireLeadership();
+
+      tables.leases[0].expiresAt = new Date(Date.now() - 1000);
+
+      expect(await other.acquireLeadership()).toBe(true);
+      expect(tables.leases[0].holderId).toBe('instance-b');
+      expect(await scheduler.acquireLeadership()).toBe(false);
+    });
+
+    it('should release the lease on shutdown', async () => {
+      const other = new SchedulerService({ instanceId: 'instance-b', provider: chain as any });
+      await scheduler.acquireLeadership();
+
+      await scheduler.shutdown();
+
+      expect(await other.acquireLeadership()).toBe(true);
+    });
+
+    it('should not run jobs on instances that do not lead', async () => {
+      const other = new SchedulerService({ instanceId: 'instance-b', provider: chain as any });
+      await other.acquireLeadership();
+
+      expect(await scheduler.tick()).toEqual([]);
+      expect(tables.runs).toHaveLength(0);
+    });
+  });
+
+  describe('tick', () => {
+    it('should run due jobs and record their runs', async () => {
+      (cleanupExpiredTokens as jest.Mock).mockResolvedValue(0);
+      addProof({ id: 'expired-1', expiresAt: hoursAgo(1) });
+
+      const ran = await scheduler.tick();
+
+      expect(ran).toEqual([
+        'expireProofs',
+        'reconcileTransactions',
+        'archiveTempWallets',
+        'cleanupExpiredTokens',
+        'purgeUsedNonces',
+        'pruneJobHistory',
+        'refreshSanctionsLists'
+      ]);
+      expect(tables.runs).toHaveLength(7);
+      expect(tables.runs[0]).toMatchObject({
+        job: 'expireProofs',
+        instanceId: 'instance-a',
+        status: 'SUCCEEDED',
+        result: { expired: 1 }
+      });
+      expect(tables.runs[0].durationMs).toBeGreaterThanOrEqual(0);
+    });
+
+    it('should skip jobs that ran within their interval', async () => {
+      (cleanupExpiredTokens as jest.Mock).mockResolvedValue(0);
+      await scheduler.tick();
+
+      tables.runs.find((run: any) => run.job === 'expireProofs').startedAt = new Date(Date.now() - 61000);
+
+      expect(await scheduler.tick()).toEqual(['expireProofs']);
+    });
+
+    it('should record failed runs and carry on with other jobs', async () => {
+      (cleanupExpiredTokens as jest.Mock).mockResolvedValue(0);
+      chain.getBlockNumber.mockRejectedValueOnce(new Error('RPC unavailable'));
+
+      const ran = await scheduler.tick();
+
+      expect(ran).toHaveLength(7);
+      expect(tables.runs.find((run: any) => run.job === 'reconcileTransactions')).toMatchObject({
+        status: 'FAILED',
+        error: 'RPC unavailable'
+      });
+    });
+  });
+
+  describe('expireProofs', () => {
+    it('should expire proofs past their expiry and announce them once', async () => {
+      addProof({ id: 'expired-1', expiresAt: hoursAgo(2) });
+      addProof({ id: 'expired-2', status: 'PENDING', expiresAt: hoursAgo(1) });
+      addProof({ id: 'already', status: 'EXPIRED', expiresAt: hoursAgo(1) });
+      addProof({ id: 'revoked', status: 'REVOKED', isRevoked: true, expiresAt: hoursAgo(1) });
+      addProof({ id: 'valid' });
+
+      const result = await scheduler.expireProofs();
+
+      expect(result).toEqual({ expired: 2 });
+      expect(tables.proofs.map((proof: any) => proof.status)).toEqual(['EXPIRED', 'EXPIRED', 'EXPIRED', 'REVOKED', 'CONFIRMED']);
+      expect(webhookService.emitProofEvent).toHaveBeenCalledWith('proof.expired', ['expired-1', 'expired-2']);
+      expect(proofEventService.publishProofEvent).toHaveBeenCalledWith('proof.expired', ['expired-1', 'expired-2']);
+    });
+
+    it('should not announce anything when no proof expired', async () => {
+      addProof({ id: 'valid' });
+
+      expect(await scheduler.expireProofs()).toEqual({ expired: 0 });
+      expect(webhookService.emitProofEvent).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('reconcileTransactions', () => {
+    it('should confirm proofs once their transaction has enough confirmations', async () => {
+      scheduler = new SchedulerService({ instanceId: 'instance-a', provider: chain as any, confirmations: 3 });
+      addProof({ id: 'batched-1', status: 'SUBMITTED', transactionHash: TX_A });
+      addProof({ id: 'batched-2', status: 'SUBMITTED', transactionHash: TX_A });
+      chain.receipts.set(TX_A, { status: 1, blockNumber: 99 });
+
+      expect(await scheduler.reconcileTransactions()).toEqual({ confirmed: 0, failed: 0, reorged: 0 });
+
+      chain.blockNumber = 101;
+      const result = await scheduler.reconcileTransactions();
+
+      expect(result).toEqual({ confirmed: 2, failed: 0, reorged: 0 });
+      expect(tables.proofs[0]).toMatchObject({ status: 'CONFIRMED', blockNumber: 99 });
+      expect(tables.proofs[0].confirmedAt).toBeInstanceOf(Date);
+      expect(webhookService.emitProofEvent).toHaveBeenCalledWith('proof.confirmed', ['batched-1', 'batched-2'], {
+        transactionHash: TX_A,
+        blockNumber: 99
+      });
+    });
+
+    it('should fail proofs whose transaction reverted', async () => {
+      addProof({ id: 'reverted', status: 'SUBMITTED', transactionHash: TX_A });
+      chain.receipts.set(TX_A, { status: 0, blockNumber: 90 });
+
+      expect(await scheduler.reconcileTransactions()).toEqual({ confirmed: 0, failed: 1, reorged: 0 });
+      expect(tables.proofs[0].status).toBe('FAILED');
+      expect(webhookService.emitProofEvent).not.toHaveBeenCalled();
+      expect(proofEventService.publishProofEvent).toHaveBeenCalledWith('proof.failed', ['reverted'], {
+        transactionHash: TX_A,
+        reason: 'reverted'
+      });
+    });
+
+    it('should fail proofs whose transaction was dropped', async () => {
+      addProof({ id: 'dropped', status: 'SUBMITTED', transactionHash: TX_A, createdAt: hoursAgo(2) });
+      addProof({ id: 'in-mempool', status: 'SUBMITTED', transactionHash: TX_B, createdAt: hoursAgo(2) });
+      addProof({ id: 'recent', status: 'PENDING', transactionHash: '0x' + 'cc'.repeat(32), createdAt: new Date() });
+      chain.transactions.set(TX_B, { hash: TX_B });
+
+      const result = await scheduler.reconcileTransactions();
+
+      expect(result).toEqual({ confirmed: 0, failed: 1, reorged: 0 });
+      expect(tables.proofs.map((proof: any) => proof.status)).toEqual(['FAILED', 'SUBMITTED', 'PENDING']);
+    });
+
+    it('should return proofs to SUBMITTED when a reorganisation removed their transaction', async () => {
+      addProof({ id: 'reorged', transactionHash: TX_A, confirmedAt: hoursAgo(0.5), blockNumber: 95 });
+      addProof({ id: 'old', transactionHash: TX_B, confirmedAt: hoursAgo(2), blockNumber: 50 });
+
+      const result = await scheduler.reconcileTransactions();
+
+      expect(result).toEqual({ confirmed: 0, failed: 0, reorged: 1 });
+      expect(tables.proofs[0]).toMatchObject({ status: 'SUBMITTED', confirmedAt: null, blockNumber: null });
+      expect(tables.proofs[1].status).toBe('CONFIRMED');
+      expect(chain.getTransactionReceipt).not.toHaveBeenCalledWith(TX_B);
+      expect(proofEventService.publishProofEvent).toHaveBeenCalledWith('proof.submitted', ['reorged'], {
+        transactionHash: TX_A,
+        reorged: true
+      });
+    });
+
+    it('should check the least recently checked proofs first', async () => {
+      scheduler = new SchedulerService({ instanceId: 'instance-a', provider: chain as any, batchSize: 1 });
+      addProof({ id: 'stuck', status: 'SUBMITTED', transactionHash: TX_A, createdAt: hoursAgo(0.5) });
+      addProof({ id: 'newer', status: 'SUBMITTED', transactionHash: TX_B, createdAt: hoursAgo(0.25) });
+      chain.receipts.set(TX_B, { status: 1, blockNumber: 99 });
+
+      expect(await scheduler.reconcileTransactions()).toEqual({ confirmed: 0, failed: 0, reorged: 0 });
+      expect(tables.proofs[0].lastCheckedAt).toBeInstanceOf(Date);
+
+      expect(await scheduler.reconcileTransactions()).toEqual({ confirmed: 1, failed: 0, reorged: 0 });
+      expect(tables.proofs.map((proof: any) => proof.status)).toEqual(['SUBMITTED', 'CONFIRMED']);
+    });
+
+    it('should follow a confirmed transaction mined again in another block', async () => {
+      addProof({ id: 'moved', transactionHash: TX_A, confirmedAt: hoursAgo(0.5), blockNumber: 95 });
+      chain.receipts.set(TX_A, { status: 1, blockNumber: 96 });
+
+      expect(await scheduler.reconcileTransactions()).toEqual({ confirmed: 0, failed: 0, reorged: 0 });
+      expect(tables.proofs[0]).toMatchObject({ status: 'CONFIRMED', blockNumber: 96 });
+    });
+  });
+
+  describe('cleanup jobs', () => {
+    it('should archive unused temporary wallets without active proofs or batches', async () => {
+      expect(await scheduler.archiveTempWallets()).toEqual({ archived: 2 });
+
+      const { where, data } = (prisma.wallet.updateMany as jest.Mock).mock.calls[0][0];
+      expect(data).toEqual({ isArchived: true });
+      expect(where).toMatchObject({
+        type: 'TEMPORARY',
+        isArchived: false,
+        proofs: { none: { status: { in: ['PENDING', 'SUBMITTED', 'CONFIRMED'] } } },
+        batches: { none: { status: { in: ['PENDING', 'PROCESSING'] } } }
+      });
+      expect(Date.now() - where.lastUsedAt.lt.getTime()).toBeGreaterThanOrEqual(604800000);
+    });
+
+    it('should clean up expired tokens of every user, a page at a time', async () => {
+      scheduler = new SchedulerService({ instanceId: 'instance-a', provider: chain as any, batchSize: 2 });
+      tables.users.push({ id: 'user-1' }, { id: 'user-2' }, { id: 'user-3' });
+      (cleanupExpiredTokens as jest.Mock).mockResolvedValueOnce(2).mockResolvedValueOnce(0).mockResolvedValueOnce(1);
+
+      expect(await scheduler.cleanupExpiredTokens()).toEqual({ users: 3, removed: 3 });
+      expect((cleanupExpiredTokens as jest.Mock).mock.calls.map(([userId]) => userId)).toEqual(['user-1', 'user-2', 'user-3']);
+    });
+
+    it('should renew the lease between pages of a long job', async () => {
+      scheduler = new SchedulerService({ instanceId: 'instance-a', provider: chain as any, batchSize: 1, leaseMs: 0 });
+      tables.users.push({ id: 'user-1' }, { id: 'user-2' }, { id: 'user-3' });
+      (cleanupExpiredTokens as jest.Mock).mockResolvedValue(0);
+      await scheduler.acquireLeadership();
+      (prisma.schedulerLease.updateMany as jest.Mock).mockClear();
+
+      await scheduler.cleanupExpiredTokens();
+
+      expect(prisma.schedulerLease.updateMany).toHaveBeenCalledTimes(3);
+    });
+
+    it('should stop a job once another instance took the lease over', async () => {
+      scheduler = new SchedulerService({ instanceId: 'instance-a', provider: chain as any, batchSize: 1, leaseMs: 0 });
+      tables.users.push({ id: 'user-1' }, { id: 'user-2' });
+      (cleanupExpiredTokens as jest.Mock).mockResolvedValue(0);
+      await scheduler.acquireLeadership();
+      tables.leases[0].holderId = 'instance-b';
+      tables.leases[0].expiresAt = new Date(Date.now() + HOUR);
+
+      await expect(scheduler.cleanupExpiredTokens()).rejects.toThrow('Scheduler lease was lost while the job ran');
+      expect(cleanupExpiredTokens).toHaveBeenCalledTimes(1);
+    });
+
+    it('should purge expired nonces', async () => {
+      expect(await scheduler.purgeUsedNonces()).toEqual({ removed: 4, authNonces: 2, webAuthnChallenges: 3 });
+      expect((prisma.usedNonce.deleteMany as jest.Mock).mock.calls[0][0].where.expiresAt.lte).toBeInstanceOf(Date);
+      expect((prisma.authNonce.deleteMany as jest.Mock).mock.calls[0][0].where.expiresAt.lte).toBeInstanceOf(Date);
+      expect((prisma.webAuthnChallenge.deleteMany as jest.Mock).mock.calls[0][0].where.expiresAt.lte).toBeInstanceOf(Date);
+    });
+
+    it('should prune job runs older than the retention', async () => {
+      tables.runs.push(
+        { id: 'old', job: 'expireProofs', startedAt: new Date(Date.now() - 31 * 24 * HOUR) },
+        { id: 'recent', job: 'expireProofs', startedAt: hoursAgo(1) }
+      );
+
+      expect(await scheduler.pruneJobHistory()).toEqual({ removed: 1 });
+      expect(tables.runs.map((run: any) => run.id)).toEqual(['recent']);
+    });
+  });
+
+  describe('refreshSanctionsLists', () => {
+    afterEach(() => {
+      config.sanctions.ofac.refreshEnabled = false;
+    });
+
+    it('should not download the OFAC list unless refreshing is enabled', async () => {
+      expect(await scheduler.refreshSanctionsLists()).toEqual({ skipped: 1 });
+      expect(sanctionsScreeningService.refreshOfacList).not.toHaveBeenCalled();
+    });
+
+    it('should import the OFAC list when enabled', async () => {
+      config.sanctions.ofac.refreshEnabled = true;
+
+      expect(await scheduler.refreshSanctionsLists()).toEqual({ imported: 1, entries: 120 });
+    });
+  });
+
+  describe('getStatus', () => {
+    it('should report the leader and when each job runs next', async () => {
+      (cleanupExpiredTokens as jest.Mock).mockResolvedValue(0);
+      await scheduler.tick();
+
+      const status = await scheduler.getStatus();
+
+      expect(status.leader).toMatchObject({ holderId: 'instance-a' });
+      const expireProofs = status.jobs.find(job => job.name === 'expireProofs')!;
+      expect(expireProofs.lastRun).toMatchObject({ status: 'SUCCEEDED' });
+      expect(expireProofs.nextRunAt!.getTime()).toBe(expireProofs.lastRun!.startedAt.getTime() + 60000);
+    });
+  });
+});
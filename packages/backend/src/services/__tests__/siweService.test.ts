@@ -0,0 +1,235 @@
+/**
+ * SIWE Service Tests
+ *
+ * Tests issuing Sign-In With Ethereum messages, checking their domain, chain,
+ * validity window and single-use nonce, and verifying signatures of EOAs,
+ * deployed ERC-1271 wallets and counterfactual EIP-6492 wallets.
+ */
+
+import { ethers } from 'ethers';
+import { prisma } from '@proof-of-funds/db';
+import { SiweService } from '../siweService';
+import { AuthFailureReason } from '../walletAuthLogService';
+import { formatSiweMessage, parseSiweMessage } from '../../utils/siwe';
+import { ERC6492_DETECTION_SUFFIX, VALIDATE_SIG_OFFCHAIN_BYTECODE } from '../../utils/signatureValidation';
+
+jest.mock('@proof-of-funds/db', () => {
+  const nonces = new Map<string, any>();
+
+  return {
+    prisma: {
+      nonces,
+      authNonce: {
+        create: jest.fn(async ({ data }: any) => {
+          const row = { usedAt: null, ...data };
+          nonces.set(data.nonce, row);
+          return { ...row };
+        }),
+        findUnique: jest.fn(async ({ where }: any) => {
+          const row = nonces.get(where.nonce);
+          return row ? { ...row } : null;
+        }),
+        updateMany: jest.fn(async ({ where, data }: any) => {
+          const row = nonces.get(where.nonce);
+          if (!row || row.usedAt !== where.usedAt) {
+            return { count: 0 };
+          }
+          Object.assign(row, data);
+          return { count: 1 };
+        })
+      }
+    }
+  };
+});
+
+jest.mock('../../utils/logger', () => ({
+  __esModule: true,
+  default: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+jest.mock('../../config', () => ({
+  __esModule: true,
+  default: {
+    siwe: {
+      domain: 'app.proofoffunds.com',
+      uri: 'https://app.proofoffunds.com',
+      statement: 'Sign in to Proof of Funds',
+      nonceTtlMs: 600000,
+      clockSkewMs: 60000,
+      rpcUrls: { 1: 'http://localhost:8545', 137: 'http://localhost:8546' }
+    }
+  }
+}));
+
+const nonces = (prisma as any).nonces as Map<string, any>;
+const MAGIC_VALUE = '0x1626ba7e' + '00'.repeat(28);
+
+describe('SiweService', () => {
+  let owner: ethers.Wallet;
+  let chain: { getCode: jest.Mock; call: jest.Mock };
+  let service: SiweService;
+
+  beforeEach(() => {
+    nonces.clear();
+    owner = ethers.Wallet.createRandom();
+    chain = {
+      getCode: jest.fn().mockResolvedValue('0x'),
+      call: jest.fn()
+    };
+    service = new SiweService({ providers: { 1: chain as any } });
+  });
+
+  // Issue a message for `address` and return it with the signature of `signer`
+  const signIn = async (address: string, signer: ethers.Wallet = owner, chainId = 1) => {
+    const { message } = await service.createChallenge(address, chainId);
+    return { message, signature: await signer.signMessage(message) };
+  };
+
+  describe('createChallenge', () => {
+    it('should issue a message with a stored nonce for the wallet', async () => {
+      const challenge = await service.createChallenge(owner.address.toLowerCase(), 137, ['https://app.proofoffunds.com/proofs']);
+
+      expect(parseSiweMessage(challenge.message)).toEqual({
+        domain: 'app.proofoffunds.com',
+        address: owner.address,
+        statement: 'Sign in to Proof of Funds',
+        uri: 'https://app.proofoffunds.com',
+        version: '1',
+        chainId: 137,
+        nonce: challenge.nonce,
+        issuedAt: challenge.issuedAt,
+        expirationTime: challenge.expirationTime,
+        resources: ['https://app.proofoffunds.com/proofs']
+      });
+      expect(Date.parse(challenge.expirationTime) - Date.parse(challenge.issuedAt)).toBe(600000);
+      expect(nonces.get(challenge.nonce)).toMatchObject({ walletAddress: owner.address, chainId: 137, usedAt: null });
+    });
+
+    it('should reject unsupported chains and invalid addresses', async () => {
+      await expect(service.createChallenge(owner.address, 56)).rejects.toThrow('Chain 56 is not supported for sign-in');
+      await expect(service.createChallenge('0x1234', 1)).rejects.toThrow('Valid Ethereum address is required');
+    });
+  });
+
+  describe('verifyLogin', () => {
+    it('should accept a message signed by the wallet once', async () => {
+      const { message, signature } = await signIn(owner.address);
+
+      const result = await service.verifyLogin(message, signature);
+
+      expect(result).toMatchObject({ success: true, method: 'eoa', fields: { address: owner.address, chainId: 1 } });
+      expect(chain.getCode).not.toHaveBeenCalled();
+
+      const replay = await service.verifyLogin(message, signature);
+      expect(replay).toMatchObject({ success: false, reason: AuthFailureReason.INVALID_NONCE });
+    });
+
+    it('should reject signatures of another wallet without using up the nonce', async () => {
+      const { message } = await service.createChallenge(owner.address, 1);
+      const other = ethers.Wallet.createRandom();
+
+      const result = await service.verifyLogin(message, await other.signMessage(message));
+
+      expect(result).toMatchObject({ success: false, reason: AuthFailureReason.INVALID_SIGNATURE });
+      expect(!result.success && result.error.statusCode).toBe(401);
+      expect((await service.verifyLogin(message, await owner.signMessage(message))).success).toBe(true);
+    });
+
+    it('should reject messages for another site or chain', async () => {
+      const { message } = await service.createChallenge(owner.address, 1);
+      const fields = parseSiweMessage(message);
+
+      const phishing = formatSiweMessage({ ...fields, domain: 'app.proofoffunds.co' });
+      expect(await service.verifyLogin(phishing, await owner.signMessage(phishing)))
+        .toMatchObject({ success: false, reason: AuthFailureReason.DOMAIN_MISMATCH });
+
+      const otherUri = formatSiweMessage({ ...fields, uri: 'https://evil.example/login' });
+      expect(await service.verifyLogin(otherUri, await owner.signMessage(otherUri)))
+        .toMatchObject({ success: false, reason: AuthFailureReason.DOMAIN_MISMATCH });
+
+      const otherChain = formatSiweMessage({ ...fields, chainId: 137 });
+      expect(await service.verifyLogin(otherChain, await owner.signMessage(otherChain)))
+        .toMatchObject({ success: false, reason: AuthFailureReason.INVALID_NONCE });
+    });
+
+    it('should reject expired messages and nonces', async () => {
+      const { message, signature } = await signIn(owner.address);
+      const later = new Date(Date.now() + 600001);
+
+      expect(await service.verifyLogin(message, signature, later))
+        .toMatchObject({ success: false, reason: AuthFailureReason.EXPIRED_MESSAGE });
+
+      const fields = parseSiweMessage(message);
+      const noExpiry = formatSiweMessage({ ...fields, expirationTime: undefined });
+      expect(await service.verifyLogin(noExpiry, await owner.signMessage(noExpiry), later))
+        .toMatchObject({ success: false, reason: AuthFailureReason.EXPIRED_NONCE });
+    });
+
+    it('should reject messages issued in the future and malformed messages', async () => {
+      const { message } = await service.createChallenge(owner.address, 1);
+      const fields = parseSiweMessage(message);
+      const future = formatSiweMessage({ ...fields, issuedAt: new Date(Date.now() + 120000).toISOString() });
+
+      expect(await service.verifyLogin(future, await owner.signMessage(future)))
+        .toMatchObject({ success: false, reason: AuthFailureReason.INVALID_MESSAGE });
+      expect(await service.verifyLogin('Sign this message to authenticate: pof-1', '0x'))
+        .toMatchObject({ success: false, fields: null, reason: AuthFailureReason.INVALID_MESSAGE });
+    });
+
+    it('should verify deployed smart-contract wallets with ERC-1271', async () => {
+      const safe = '0x' + '5a'.repeat(20);
+      chain.getCode.mockResolvedValue('0x6080');
+      chain.call.mockResolvedValue(MAGIC_VALUE);
+      const { message, signature } = await signIn(safe);
+
+      const result = await service.verifyLogin(message, signature);
+
+      expect(result).toMatchObject({ success: true, method: 'eip1271' });
+      const [{ to, data }] = chain.call.mock.calls[0];
+      expect(to).toBe(ethers.utils.getAddress(safe));
+      expect(data.startsWith('0x1626ba7e')).toBe(true);
+    });
+
+    it('should reject signatures a smart-contract wallet does not accept', async () => {
+      const safe = '0x' + '5a'.repeat(20);
+      chain.getCode.mockResolvedValue('0x6080');
+      chain.call.mockRejectedValue(Object.assign(new Error('execution reverted'), { code: ethers.errors.CALL_EXCEPTION }));
+      const { message, signature } = await signIn(safe);
+
+      expect(await service.verifyLogin(message, signature))
+        .toMatchObject({ success: false, reason: AuthFailureReason.INVALID_SIGNATURE });
+    });
+
+    it('should verify counterfactual wallets with EIP-6492', async () => {
+      const wallet = '0x' + '6b'.repeat(20);
+      chain.call.mockResolvedValue('0x01');
+      const { message } = await service.createChallenge(wallet, 1);
+      const signature = ethers.utils.hexConcat([
+        ethers.utils.defaultAbiCoder.encode(
+          ['address', 'bytes', 'bytes'],
+          ['0x' + '7c'.repeat(20), '0x1234', await owner.signMessage(message)]
+        ),
+        ERC6492_DETECTION_SUFFIX
+      ]);
+
+      const result = await service.verifyLogin(message, signature);
+
+      expect(result).toMatchObject({ success: true, method: 'eip6492' });
+      const [{ to, data }] = chain.call.mock.calls[0];
+      expect(to).toBeUndefined();
+      expect(data.startsWith(VALIDATE_SIG_OFFCHAIN_BYTECODE)).toBe(true);
+    });
+
+    it('should report a node failure without using up the nonce', async () => {
+      const safe = '0x' + '5a'.repeat(20);
+      chain.getCode.mockRejectedValue(new Error('connection refused'));
+      const { message, signature } = await signIn(safe);
+
+      const result = await service.verifyLogin(message, signature);
+
+      expect(result).toMatchObject({ success: false, reason: AuthFailureReason.SYSTEM_ERROR });
+      expect(!result.success && result.error.statusCode).toBe(503);
+      expect(nonces.get(parseSiweMessage(message).nonce).usedAt).toBeNull();
+    });
+  });
+});
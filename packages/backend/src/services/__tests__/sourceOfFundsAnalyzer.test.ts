@@ -0,0 +1,229 @@
+/**
+ * Source of Funds Analyzer Tests
+ */
+import { BigNumber } from 'ethers';
+import SourceOfFundsAnalyzer, { AnalyzedTransaction } from '../sourceOfFundsAnalyzer';
+
+const DAY = 24 * 60 * 60;
+const NOW = 1700000000;
+const ETH = BigNumber.from('1000000000000000000');
+
+const WALLET = '0x1234567890123456789012345678901234567890';
+const EXCHANGE = '0xaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaaa';
+const FRIEND = '0xbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbbb';
+const MIXER = '0xCcCCccccCCCCcCCCCCCcCcCccCcCCCcCcccccccC';
+
+// Build a successful transaction on chain 1
+const tx = (
+  hash: string,
+  from: string,
+  to: string,
+  value: BigNumber,
+  daysAgo: number,
+  overrides: Partial<AnalyzedTransaction> = {}
+): AnalyzedTransaction => ({
+  id: `1-${hash}`,
+  hash,
+  from,
+  to,
+  value,
+  timestamp: NOW - daysAgo * DAY,
+  status: 'success',
+  chainId: 1,
+  ...overrides
+});
+
+describe('SourceOfFundsAnalyzer', () => {
+  let analyzer: SourceOfFundsAnalyzer;
+
+  beforeEach(() => {
+    analyzer = new SourceOfFundsAnalyzer();
+  });
+
+  it('reports nothing for a balance held for a long time', () => {
+    const findings = analyzer.analyze(
+      [{ address: WALLET, chainId: 1, balance: ETH.mul(10) }],
+      [tx('old', EXCHANGE, WALLET, ETH.mul(10), 200)],
+      {},
+      { asOf: NOW }
+    );
+
+    expect(findings).toEqual([]);
+  });
+
+  it('reports large inflows shortly before the proof', () => {
+    const findings = analyzer.analyze(
+      [{ address: WALLET, chainId: 1, balance: ETH.mul(10) }],
+      [
+        tx('old', EXCHANGE, WALLET, ETH.mul(4), 200),
+        tx('recent', EXCHANGE, WALLET, ETH.mul(6), 2)
+      ],
+      {},
+      { asOf: NOW, minHoldingDays: 1 }
+    );
+
+    expect(findings).toEqual([{
+      code: 'RECENT_LARGE_INFLOW',
+      severity: 'medium',
+      address: WALLET,
+      chainId: 1,
+      message: `${WALLET} (chain 1) received 60% of its balance in the 7 days before the proof`,
+      transactions: ['recent'],
+      amount: ETH.mul(6).toString()
+    }]);
+  });
+
+  it('reports funds that were sent out and returned', () => {
+    const findings = analyzer.analyze(
+      [{ address: WALLET, chainId: 1, balance: ETH.mul(10) }],
+      [
+        tx('old', EXCHANGE, WALLET, ETH.mul(10), 200),
+        tx('out', WALLET, FRIEND, ETH.mul(3), 60),
+        tx('back', FRIEND, WALLET, ETH.mul(3).sub(ETH.div(10)), 58),
+        tx('unrelated', WALLET, EXCHANGE, ETH, 50)
+      ],
+      {},
+      { asOf: NOW }
+    );
+
+    expect(findings).toEqual([expect.objectContaining({
+      code: 'ROUND_TRIP',
+      severity: 'medium',
+      counterparty: FRIEND,
+      transactions: ['out', 'back'],
+      amount: ETH.mul(3).toString()
+    })]);
+  });
+
+  it('does not pair transfers far apart or of different amounts', () => {
+    const findings = analyzer.analyze(
+      [{ address: WALLET, chainId: 1, balance: ETH.mul(10) }],
+      [
+        tx('old', EXCHANGE, WALLET, ETH.mul(20), 200),
+        tx('out', WALLET, FRIEND, ETH.mul(3), 120),
+        tx('late', FRIEND, WALLET, ETH.mul(3), 100),
+        tx('small', FRIEND, WALLET, ETH, 119)
+      ],
+      {},
+      { asOf: NOW }
+    );
+
+    expect(findings.filter(finding => finding.code === 'ROUND_TRIP')).toEqual([]);
+  });
+
+  it('reports transactions with blacklisted counterparties', () => {
+    const findings = analyzer.analyze(
+      [{ address: WALLET, chainId: 1, balance: ETH.mul(10) }],
+      [
+        tx('old', EXCHANGE, WALLET, ETH.mul(10), 200),
+        tx('dirty', MIXER, WALLET, ETH.div(100), 150)
+      ],
+      {
+        [MIXER.toLowerCase()]: { address: MIXER, isBlacklisted: true, highestRiskScore: 100 },
+        [EXCHANGE]: { address: EXCHANGE, isBlacklisted: false }
+      },
+      { asOf: NOW }
+    );
+
+    expect(findings).toEqual([expect.objectContaining({
+      code: 'FLAGGED_COUNTERPARTY',
+      severity: 'high',
+      counterparty: MIXER,
+      transactions: ['dirty'],
+      message: `${WALLET} (chain 1) transacted with blacklisted address ${MIXER}`
+    })]);
+  });
+
+  it('reports balances not held for the minimum holding period', () => {
+    const findings = analyzer.analyze(
+      [{ address: WALLET, chainId: 1, balance: ETH.mul(10) }],
+      [
+        tx('old', EXCHANGE, WALLET, ETH.mul(5), 200),
+        tx('spent', WALLET, EXCHANGE, ETH.mul(4), 20),
+        tx('topup', FRIEND, WALLET, ETH.mul(9), 10)
+      ],
+      {},
+      { asOf: NOW }
+    );
+
+    expect(findings).toEqual([expect.objectContaining({
+      code: 'SHORT_HOLDING_PERIOD',
+      severity: 'medium',
+      message: `${WALLET} (chain 1) held only 10% of its balance for the last 30 days`,
+      transactions: ['topup'],
+      amount: ETH.mul(9).toString()
+    })]);
+  });
+
+  it('ignores failed transactions, other chains and transactions after the proof', () => {
+    const findings = analyzer.analyze(
+      [{ address: WALLET, chainId: 1, balance: ETH.mul(10) }],
+      [
+        tx('old', EXCHANGE, WALLET, ETH.mul(10), 200),
+        tx('failed', FRIEND, WALLET, ETH.mul(10), 1, { status: 'failed' }),
+        tx('polygon', FRIEND, WALLET, ETH.mul(10), 1, { chainId: 137 }),
+        tx('later', FRIEND, WALLET, ETH.mul(10), -1)
+      ],
+      {},
+      { asOf: NOW }
+    );
+
+    expect(findings).toEqual([]);
+  });
+
+  it('lists the most severe findings first', () => {
+    const findings = analyzer.analyze(
+      [{ address: WALLET, chainId: 1, balance: ETH }],
+      [tx('fresh', EXCHANGE, WALLET, ETH, 1)],
+      {},
+      { asOf: NOW }
+    );
+
+    expect(findings.map(finding => [finding.code, finding.severity])).toEqual([
+      ['RECENT_LARGE_INFLOW', 'high'],
+      ['SHORT_HOLDING_PERIOD', 'high']
+    ]);
+  });
+
+  it('uses the thresholds it was created with', () => {
+    const lenient = new SourceOfFundsAnalyzer({ largeInflowRatio: 0.8, minHoldingDays: 1 });
+
+    const findings = lenient.analyze(
+      [{ address: WALLET, chainId: 1, balance: ETH.mul(10) }],
+      [
+        tx('old', EXCHANGE, WALLET, ETH.mul(4), 200),
+        tx('recent', EXCHANGE, WALLET, ETH.mul(6), 2)
+      ],
+      {},
+      { asOf: NOW }
+    );
+
+    expect(findings).toEqual([]);
+  });
+
+  it('lists the counterparties of the wallets', () => {
+    const transactions = [
+      tx('a', EXCHANGE, WALLET, ETH, 10),
+      tx('b', WALLET, EXCHANGE.toUpperCase().replace('0X', '0x'), ETH, 5),
+      tx('c', WALLET, MIXER, ETH, 3),
+      tx('d', FRIEND, MIXER, ETH, 3)
+    ];
+
+    expect(analyzer.getCounterparties([{ address: WALLET, chainId: 1 }], transactions))
+      .toEqual([EXCHANGE.toUpperCase().replace('0X', '0x'), MIXER]);
+  });
+
+  it('converts findings to warning flags', () => {
+    const findings = analyzer.analyze(
+      [{ address: WALLET, chainId: 1, balance: ETH }],
+      [tx('fresh', EXCHANGE, WALLET, ETH, 1)],
+      {},
+      { asOf: NOW }
+    );
+
+    expect(analyzer.toWarningFlags(findings)).toEqual([
+      `RECENT_LARGE_INFLOW:${WALLET} (chain 1) received 100% of its balance in the 7 days before the proof`,
+      `SHORT_HOLDING_PERIOD:${WALLET} (chain 1) held only 0% of its balance for the last 30 days`
+    ]);
+  });
+});
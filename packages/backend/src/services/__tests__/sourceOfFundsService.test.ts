@@ -0,0 +1,120 @@
+/**
+ * Source of Funds Service Tests
+ *
+ * Tests reading the balances and histories of proof wallets, screening their
+ * counterparties and flagging wallets that could not be analyzed.
+ */
+
+import { BigNumber } from 'ethers';
+import { SourceOfFundsService } from '../sourceOfFundsService';
+import { sanctionsScreeningService } from '../sanctionsScreeningService';
+
+jest.mock('@proof-of-funds/frontend/utils/chains', () => ({
+  ChainAdapterRegistry: jest.fn()
+}));
+
+jest.mock('@proof-of-funds/frontend/services/TransactionHistoryProcessor', () => ({
+  TransactionHistoryProcessor: jest.fn()
+}));
+
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../../config', () => ({
+  __esModule: true,
+  default: {
+    sourceOfFunds: {
+      enabled: true,
+      lookbackDays: 90,
+      defaultChainId: 1,
+      largeInflowWindowDays: 7,
+      largeInflowRatio: 0.5,
+      roundTripWindowDays: 7,
+      roundTripTolerance: 0.1,
+      minHoldingDays: 30,
+      minHoldingRatio: 0.9
+    }
+  }
+}));
+
+jest.mock('../sanctionsScreeningService', () => ({
+  sanctionsScreeningService: {
+    screenWallets: jest.fn()
+  }
+}));
+
+const WALLET = '0x1234567890123456789012345678901234567890';
+const SENDER = '0x8589427373d6d84e98730d7795d8f6f8731fda16';
+const AS_OF = 1759276799;
+
+describe('SourceOfFundsService', () => {
+  let adapter: { getBalance: jest.Mock; getBalanceAt: jest.Mock };
+  let processor: { getChainTransactions: jest.Mock };
+  let service: SourceOfFundsService;
+
+  beforeEach(() => {
+    adapter = {
+      getBalance: jest.fn().mockResolvedValue('1000000000000000000'),
+      getBalanceAt: jest.fn().mockResolvedValue({ balance: '1000000000000000000', blockNumber: 100, timestamp: AS_OF })
+    };
+    processor = {
+      getChainTransactions: jest.fn().mockResolvedValue([{
+        id: '1-0xinflow',
+        hash: '0xinflow',
+        from: SENDER,
+        to: WALLET,
+        value: BigNumber.from('1000000000000000000'),
+        timestamp: AS_OF - 2 * 24 * 60 * 60,
+        status: 'success',
+        chainId: 1
+      }])
+    };
+    service = new SourceOfFundsService({
+      chainRegistry: { getAdapter: jest.fn().mockReturnValue(adapter) } as any,
+      transactionProcessor: processor as any
+    });
+    (sanctionsScreeningService.screenWallets as jest.Mock).mockResolvedValue({
+      warningFlags: [],
+      matches: [],
+      allowlisted: [],
+      screenedBy: ['sanctions-list'],
+      unavailable: []
+    });
+  });
+
+  it('reads the balance of wallets given as bare addresses on the default chain', async () => {
+    const result = await service.analyzeWallets([WALLET], { userId: 'user-123', referenceId: 'ref-1' }, AS_OF);
+
+    expect(adapter.getBalanceAt).toHaveBeenCalledWith(WALLET, { timestamp: AS_OF });
+    expect(processor.getChainTransactions).toHaveBeenCalledWith(WALLET, 1, {
+      startDate: AS_OF - 90 * 24 * 60 * 60,
+      endDate: AS_OF
+    });
+    expect(sanctionsScreeningService.screenWallets).toHaveBeenCalledWith([SENDER], { userId: 'user-123', referenceId: 'ref-1' });
+    expect(result.warningFlags.map(flag => flag.split(':')[0])).toEqual([
+      'RECENT_LARGE_INFLOW',
+      'SHORT_HOLDING_PERIOD'
+    ]);
+    expect(result.findings[0]).toEqual(expect.objectContaining({ code: 'RECENT_LARGE_INFLOW', transactions: ['0xinflow'] }));
+  });
+
+  it('uses balances given by the caller', async () => {
+    await service.analyzeWallets([{ address: WALLET, chainId: 1, balance: '1000000000000000000' }]);
+
+    expect(adapter.getBalance).not.toHaveBeenCalled();
+    expect(adapter.getBalanceAt).not.toHaveBeenCalled();
+  });
+
+  it('flags wallets whose balance could not be read', async () => {
+    adapter.getBalance.mockRejectedValueOnce(new Error('RPC unavailable'));
+
+    const result = await service.analyzeWallets([WALLET]);
+
+    expect(processor.getChainTransactions).not.toHaveBeenCalled();
+    expect(result).toEqual({ findings: [], warningFlags: [`SOURCE_OF_FUNDS_UNAVAILABLE:${WALLET}`] });
+  });
+});
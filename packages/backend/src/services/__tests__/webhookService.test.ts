@@ -0,0 +1,461 @@
+/**
+ * Webhook Service Tests
+ *
+ * Tests endpoint registration, queueing proof events for the organizations
+ * behind the proofs' templates, signed delivery, retries with backoff,
+ * dead-lettering, replay and refusing endpoints outside the public internet.
+ */
+
+import { prisma } from '@proof-of-funds/db';
+import { WebhookService, WebhookTransport } from '../webhookService';
+import { auditLogService } from '../auditLogService';
+import { verifyWebhookPayload } from '../../utils/webhookSignature';
+
+jest.mock('@proof-of-funds/db', () => {
+  let nextId = 1;
+  const tables: Record<string, any[]> = { endpoints: [], deliveries: [], deadLetters: [], proofs: [] };
+
+  const matches = (row: any, where: any = {}) => Object.entries(where).every(([key, condition]: [string, any]) => {
+    if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+      if ('in' in condition) {return condition.in.includes(row[key]);}
+      if ('lte' in condition) {return row[key] <= condition.lte;}
+      if ('has' in condition) {return row[key].includes(condition.has);}
+      if ('not' in condition) {return row[key] !== condition.not;}
+    }
+    return row[key] === condition;
+  });
+
+  const apply = (row: any, data: any) => {
+    Object.entries(data).forEach(([key, value]: [string, any]) => {
+      row[key] = value && typeof value === 'object' && 'increment' in value ? row[key] + value.increment : value;
+    });
+    row.updatedAt = new Date();
+  };
+
+  const table = (name: string, defaults: () => Record<string, any> = () => ({})) => ({
+    create: jest.fn(async ({ data }: any) => {
+      const row = { id: `${name}-${nextId++}`, createdAt: new Date(), updatedAt: new Date(), ...defaults(), ...data };
+      tables[name].push(row);
+      return { ...row };
+    }),
+    createMany: jest.fn(async ({ data }: any) => {
+      data.forEach((item: any) => tables[name].push({
+        id: `${name}-${nextId++}`,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+        ...defaults(),
+        ...item
+      }));
+      return { count: data.length };
+    }),
+    findMany: jest.fn(async ({ where }: any = {}) => tables[name].filter(row => matches(row, where)).map(row => ({ ...row }))),
+    findFirst: jest.fn(async ({ where }: any) => {
+      const found = tables[name].find(row => matches(row, where));
+      return found ? { ...found } : null;
+    }),
+    count: jest.fn(async ({ where }: any) => tables[name].filter(row => matches(row, where)).length),
+    update: jest.fn(async ({ where, data }: any) => {
+      const row = tables[name].find(item => item.id === where.id);
+      apply(row, data);
+      return { ...row };
+    }),
+    updateMany: jest.fn(async ({ where, data }: any) => {
+      const matched = tables[name].filter(row => matches(row, where));
+      matched.forEach(row => apply(row, data));
+      return { count: matched.length };
+    }),
+    deleteMany: jest.fn(async ({ where }: any) => {
+      const remaining = tables[name].filter(row => !matches(row, where));
+      const count = tables[name].length - remaining.length;
+      tables[name].splice(0, tables[name].length, ...remaining);
+      return { count };
+    })
+  });
+
+  const deliveries = table('deliveries', () => ({
+    status: 'PENDING',
+    attempts: 0,
+    nextAttemptAt: new Date(),
+    responseStatus: null,
+    lastError: null,
+    replayOfId: null,
+    deliveredAt: null
+  }));
+
+  // Deliveries are read together with their endpoint
+  deliveries.findUnique = jest.fn(async ({ where }: any) => {
+    const found = tables.deliveries.find(row => row.id === where.id);
+    return found ? { ...found, endpoint: tables.endpoints.find(endpoint => endpoint.id === found.endpointId) } : null;
+  }) as any;
+
+  const mockPrisma: any = {
+    tables,
+    reset: () => {
+      Object.values(tables).forEach(rows => rows.splice(0));
+      nextId = 1;
+    },
+    proof: { findMany: jest.fn(async ({ where }: any) => tables.proofs.filter(row => matches(row, where))) },
+    webhookEndpoint: table('endpoints'),
+    webhookDelivery: deliveries,
+    webhookDeadLetter: table('deadLetters', () => ({ replayedAt: null })),
+    $transaction: jest.fn(async (operations: Promise<any>[]) => Promise.all(operations))
+  };
+
+  return { prisma: mockPrisma };
+});
+
+jest.mock('../../config', () => ({
+  __esModule: true,
+  default: {
+    webhooks: {
+      intervalMs: 5000,
+      timeoutMs: 1000,
+      maxAttempts: 3,
+      backoffBaseMs: 30000,
+      backoffMaxMs: 3600000,
+      allowPrivateUrls: false
+    }
+  }
+}));
+
+jest.mock('../../utils/logger', () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}));
+
+jest.mock('../auditLogService', () => ({
+  auditLogService: {
+    log: jest.fn().mockResolvedValue(undefined)
+  }
+}));
+
+const ORG_ID = '11111111-1111-1111-1111-111111111111';
+const OTHER_ORG_ID = '22222222-2222-2222-2222-222222222222';
+const ADMIN_ID = 'admin-1';
+
+const proof = (id: string, organizationId: string | null) => ({
+  id,
+  referenceId: `ref-${id}`,
+  proofType: 'THRESHOLD',
+  status: 'CONFIRMED',
+  expiresAt: new Date('2030-01-01T00:00:00Z'),
+  templateId: organizationId ? `template-${organizationId}` : null,
+  template: organizationId ? { id: `template-${organizationId}`, organizationId } : null
+});
+
+describe('WebhookService', () => {
+  const db = prisma as any;
+  let transport: jest.MockedFunction<WebhookTransport>;
+  let resolveHost: jest.Mock;
+  let service: WebhookService;
+
+  /**
+   * Make every queued delivery due now
+   */
+  const makeDue = () => db.tables.deliveries.forEach((delivery: any) => {
+    delivery.nextAttemptAt = new Date(Date.now() - 1);
+  });
+
+  const register = (events = ['proof.verified', 'proof.revoked'], organizationId = ORG_ID) =>
+    service.createEndpoint(organizationId, { url: 'https://lender.example/hooks', events: events as any }, ADMIN_ID);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.reset();
+    transport = jest.fn().mockResolvedValue({ ok: true, status: 200 });
+    resolveHost = jest.fn().mockResolvedValue(['93.184.216.34']);
+    service = new WebhookService({ transport, resolveHost });
+  });
+
+  describe('endpoints', () => {
+    it('should return the signing secret only when the endpoint is created', async () => {
+      const created = await register();
+
+      expect(created.secret).toMatch(/^whsec_[0-9a-f]{48}$/);
+      expect(created.secretPrefix).toBe(created.secret.slice(0, 12));
+      expect(db.webhookEndpoint.create).toHaveBeenCalledWith(expect.objectContaining({
+        select: expect.not.objectContaining({ secret: true })
+      }));
+      expect(auditLogService.log).toHaveBeenCalledWith(expect.objectContaining({
+        eventType: 'webhook.create',
+        actorId: ADMIN_ID,
+        resourceId: created.id
+      }));
+    });
+
+    it('should not expose the endpoints of other organizations', async () => {
+      const created = await register();
+
+      await expect(service.getEndpoint(OTHER_ORG_ID, created.id)).rejects.toMatchObject({
+        statusCode: 404,
+        code: 'WEBHOOK_NOT_FOUND'
+      });
+      await expect(service.deleteEndpoint(OTHER_ORG_ID, created.id, ADMIN_ID)).rejects.toMatchObject({ statusCode: 404 });
+    });
+
+    it('should refuse endpoints that resolve to private or metadata addresses', async () => {
+      resolveHost.mockResolvedValueOnce(['93.184.216.34', '169.254.169.254']);
+
+      await expect(register()).rejects.toMatchObject({ statusCode: 400, code: 'URL_NOT_ALLOWED' });
+      expect(resolveHost).toHaveBeenCalledWith('lender.example');
+
+      for (const url of ['http://127.0.0.1:8080/hooks', 'http://10.0.0.5/hooks', 'http://[::1]/hooks', 'http://[::ffff:192.168.1.1]/hooks']) {
+        await expect(service.createEndpoint(ORG_ID, { url, events: ['proof.verified'] }, ADMIN_ID))
+          .rejects.toMatchObject({ code: 'URL_NOT_ALLOWED' });
+      }
+
+      const created = await register();
+      resolveHost.mockResolvedValueOnce(['fd00:ec2::254']);
+      await expect(service.updateEndpoint(ORG_ID, created.id, { url: 'https://internal.lender.example/hooks' }, ADMIN_ID))
+        .rejects.toMatchObject({ code: 'URL_NOT_ALLOWED' });
+      expect(db.tables.endpoints).toHaveLength(1);
+      expect(db.tables.endpoints[0].url).toBe('https://lender.example/hooks');
+    });
+
+    it('should sign later deliveries with a rotated secret', async () => {
+      const created = await register();
+      const rotated = await service.rotateSecret(ORG_ID, created.id, ADMIN_ID);
+      db.tables.proofs.push(proof('proof-1', ORG_ID));
+
+      await service.emitProofEvent('proof.verified', 'proof-1');
+      await service.processDueDeliveries();
+
+      const body = JSON.parse(transport.mock.calls[0][1].body);
+      expect(rotated.secret).not.toBe(created.secret);
+      expect(verifyWebhookPayload(body, rotated.secret).valid).toBe(true);
+      expect(verifyWebhookPayload(body, created.secret).valid).toBe(false);
+    });
+  });
+
+  describe('emitProofEvent', () => {
+    it('should queue a delivery for each subscribed endpoint of the proof organization', async () => {
+      await register(['proof.verified']);
+      await register(['proof.revoked']);
+      await register(['proof.verified'], OTHER_ORG_ID);
+      db.tables.proofs.push(proof('proof-1', ORG_ID), proof('proof-2', null));
+
+      const queued = await service.emitProofEvent('proof.verified', ['proof-1', 'proof-2'], { isValid: true });
+
+      expect(queued).toBe(1);
+      const [delivery] = db.tables.deliveries;
+      expect(delivery).toMatchObject({ organizationId: ORG_ID, eventType: 'proof.verified', status: 'PENDING' });
+      expect(JSON.parse(delivery.payload)).toEqual({
+        id: delivery.eventId,
+        type: 'proof.verified',
+        createdAt: expect.any(String),
+        organizationId: ORG_ID,
+        data: {
+          proofId: 'proof-1',
+          referenceId: 'ref-proof-1',
+          proofType: 'THRESHOLD',
+          status: 'CONFIRMED',
+          templateId: `template-${ORG_ID}`,
+          expiresAt: '2030-01-01T00:00:00.000Z',
+          isValid: true
+        }
+      });
+    });
+
+    it('should skip paused endpoints', async () => {
+      const created = await register();
+      await service.updateEndpoint(ORG_ID, created.id, { isActive: false }, ADMIN_ID);
+      db.tables.proofs.push(proof('proof-1', ORG_ID));
+
+      expect(await service.emitProofEvent('proof.revoked', 'proof-1')).toBe(0);
+    });
+
+    it('should not throw when the event cannot be queued', async () => {
+      db.proof.findMany.mockRejectedValueOnce(new Error('connection lost'));
+
+      await expect(service.emitProofEvent('proof.revoked', 'proof-1')).resolves.toBe(0);
+    });
+  });
+
+  describe('processDueDeliveries', () => {
+    beforeEach(() => {
+      db.tables.proofs.push(proof('proof-1', ORG_ID));
+    });
+
+    it('should send signed events and record the delivery', async () => {
+      const { secret } = await register();
+      await service.emitProofEvent('proof.revoked', 'proof-1');
+
+      expect(await service.processDueDeliveries()).toBe(1);
+
+      const [url, init] = transport.mock.calls[0];
+      const body = JSON.parse(init.body);
+      const [delivery] = db.tables.deliveries;
+
+      expect(url).toBe('https://lender.example/hooks');
+      expect(init.headers).toEqual(expect.objectContaining({
+        'Content-Type': 'application/json',
+        'X-Webhook-Id': delivery.eventId,
+        'X-Webhook-Event': 'proof.revoked',
+        'X-Webhook-Delivery': delivery.id,
+        'X-Webhook-Signature': body._security.signature
+      }));
+      expect(body.data.referenceId).toBe('ref-proof-1');
+      expect(verifyWebhookPayload(body, secret)).toEqual({ valid: true });
+      expect(delivery).toMatchObject({ status: 'DELIVERED', attempts: 1, responseStatus: 200 });
+      expect(delivery.deliveredAt).toBeInstanceOf(Date);
+    });
+
+    it('should retry failed deliveries with exponential backoff', async () => {
+      await register();
+      await service.emitProofEvent('proof.revoked', 'proof-1');
+      transport.mockResolvedValue({ ok: false, status: 503 });
+
+      const start = Date.now();
+      await service.processDueDeliveries();
+
+      const [delivery] = db.tables.deliveries;
+      expect(delivery).toMatchObject({
+        status: 'PENDING',
+        attempts: 1,
+        responseStatus: 503,
+        lastError: 'Endpoint responded with HTTP 503'
+      });
+      expect(delivery.nextAttemptAt.getTime()).toBeGreaterThanOrEqual(start + 30000);
+
+      // Not due yet
+      expect(await service.processDueDeliveries()).toBe(0);
+
+      makeDue();
+      await service.processDueDeliveries();
+      expect(delivery.attempts).toBe(2);
+      expect(delivery.nextAttemptAt.getTime()).toBeGreaterThanOrEqual(start + 60000);
+    });
+
+    it('should dead-letter a delivery once its attempts run out', async () => {
+      await register();
+      await service.emitProofEvent('proof.revoked', 'proof-1');
+      transport.mockRejectedValue(new Error('connect ECONNREFUSED'));
+
+      for (let attempt = 0; attempt < 3; attempt++) {
+        makeDue();
+        await service.processDueDeliveries();
+      }
+
+      const [delivery] = db.tables.deliveries;
+      expect(delivery).toMatchObject({ status: 'FAILED', attempts: 3, lastError: 'connect ECONNREFUSED' });
+      expect(db.tables.deadLetters).toEqual([expect.objectContaining({
+        deliveryId: delivery.id,
+        organizationId: ORG_ID,
+        eventType: 'proof.revoked',
+        attempts: 3,
+        lastError: 'connect ECONNREFUSED'
+      })]);
+
+      makeDue();
+      expect(await service.processDueDeliveries()).toBe(0);
+    });
+
+    it('should not send to an endpoint that now resolves to a private address', async () => {
+      await register();
+      await service.emitProofEvent('proof.revoked', 'proof-1');
+      resolveHost.mockResolvedValueOnce(['10.0.0.5']);
+
+      await service.processDueDeliveries();
+
+      expect(transport).not.toHaveBeenCalled();
+      expect(db.tables.deliveries[0]).toMatchObject({
+        status: 'PENDING',
+        lastError: 'Host lender.example does not resolve to a public address'
+      });
+    });
+
+    it('should not follow redirects', async () => {
+      await register();
+      await service.emitProofEvent('proof.revoked', 'proof-1');
+      transport.mockResolvedValue({ ok: false, status: 302 });
+
+      await service.processDueDeliveries();
+
+      expect(transport.mock.calls[0][1].redirect).toBe('manual');
+      expect(db.tables.deliveries[0]).toMatchObject({
+        status: 'PENDING',
+        responseStatus: 302,
+        lastError: 'Endpoint redirected with HTTP 302; redirects are not followed'
+      });
+    });
+
+    it('should give up on endpoints that do not answer in time', async () => {
+      await register();
+      await service.emitProofEvent('proof.revoked', 'proof-1');
+      transport.mockImplementation((url, init) => new Promise((resolve, reject) => {
+        init.signal.addEventListener('abort', () => reject(new Error('aborted')));
+      }));
+
+      await service.processDueDeliveries();
+
+      expect(db.tables.deliveries[0].lastError).toBe('No response within 1000 ms');
+    });
+
+    it('should cap the retry delay', () => {
+      expect(service.getRetryDelay(1)).toBe(30000);
+      expect(service.getRetryDelay(3)).toBe(120000);
+      expect(service.getRetryDelay(20)).toBe(3600000);
+    });
+  });
+
+  describe('replayDelivery', () => {
+    beforeEach(async () => {
+      db.tables.proofs.push(proof('proof-1', ORG_ID));
+      await register();
+      await service.emitProofEvent('proof.revoked', 'proof-1');
+      transport.mockResolvedValue({ ok: false, status: 500 });
+
+      for (let attempt = 0; attempt < 3; attempt++) {
+        makeDue();
+        await service.processDueDeliveries();
+      }
+    });
+
+    it('should send the same event again as a new delivery', async () => {
+      const [original] = db.tables.deliveries;
+      transport.mockResolvedValue({ ok: true, status: 204 });
+
+      const replay = await service.replayDelivery(ORG_ID, original.id, ADMIN_ID);
+
+      expect(replay).toMatchObject({
+        eventId: original.eventId,
+        status: 'PENDING',
+        attempts: 0,
+        replayOfId: original.id,
+        event: JSON.parse(original.payload)
+      });
+      expect(db.tables.deadLetters[0].replayedAt).toBeInstanceOf(Date);
+      expect(auditLogService.log).toHaveBeenCalledWith(expect.objectContaining({
+        eventType: 'webhook.replay',
+        details: expect.objectContaining({ deliveryId: original.id, replayId: replay.id })
+      }));
+
+      await service.processDueDeliveries();
+
+      expect(db.tables.deliveries.find((delivery: any) => delivery.id === replay.id).status).toBe('DELIVERED');
+      expect(transport.mock.calls.at(-1)![1].headers['X-Webhook-Id']).toBe(original.eventId);
+    });
+
+    it('should only replay deliveries of the organization', async () => {
+      const [original] = db.tables.deliveries;
+
+      await expect(service.replayDelivery(OTHER_ORG_ID, original.id, ADMIN_ID)).rejects.toMatchObject({
+        statusCode: 404,
+        code: 'DELIVERY_NOT_FOUND'
+      });
+    });
+
+    it('should list dead letters until they are replayed', async () => {
+      const [original] = db.tables.deliveries;
+
+      expect((await service.listDeadLetters(ORG_ID)).pagination.total).toBe(1);
+
+      await service.replayDelivery(ORG_ID, original.id, ADMIN_ID);
+
+      expect((await service.listDeadLetters(ORG_ID)).pagination.total).toBe(0);
+      expect((await service.listDeadLetters(ORG_ID, { includeReplayed: true })).pagination.total).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,495 @@
+/**
+ * Batch Anchoring Service
+ *
+ * Groups pending proofs into batches, builds a Merkle tree over their
+ * reference-token IDs and anchors the root in the ReferenceTokenRegistry
+ * contract, so a single transaction commits to many proofs.
+ *
+ * A worker claims a batch by moving it from PENDING to PROCESSING in one
+ * conditional update, so concurrent workers never anchor the same batch.
+ * Batches left in PROCESSING by a worker that crashed are returned to the
+ * queue after the processing timeout.
+ */
+
+import { prisma } from '@proof-of-funds/db';
+import auditLogger from '@proof-of-funds/common/logging/auditLogger';
+import { ethers } from 'ethers';
+import config from '../config';
+import { webhookService } from './webhookService';
+import { proofEventService } from './proofEventService';
+import {
+  buildMerkleTree,
+  getMerkleProof,
+  verifyMerkleProof,
+  toBatchId,
+  toTokenId
+} from '../utils/merkleTree';
+
+// ReferenceTokenRegistry functions used for anchoring
+export const REFERENCE_TOKEN_REGISTRY_ABI = [
+  'function anchorBatch(bytes32 batchId, bytes32 merkleRoot, uint256 proofCount)',
+  'function verifyToken(bytes32 batchId, bytes32 tokenId, bytes32[] merkleProof) view returns (bool)',
+  'function getBatchDetails(bytes32 batchId) view returns (bytes32 merkleRoot, uint256 timestamp, uint256 proofCount, address submitter, bool isRevoked)'
+];
+
+export type BatchStatus = 'PENDING' | 'PROCESSING' | 'CONFIRMED' | 'FAILED';
+
+// Interface for batch anchoring options
+export interface BatchAnchoringOptions {
+  registryAddress?: string;
+  rpcUrl?: string;
+  signerPrivateKey?: string;
+  maxBatchSize?: number;
+  confirmations?: number;
+  processingTimeoutMs?: number;
+  registry?: ethers.Contract;
+}
+
+// Interface for the outcome of an anchoring attempt
+export interface BatchAnchoringResult {
+  batchId: string;
+  status: BatchStatus;
+  merkleRoot: string;
+  proofCount: number;
+  transactionHash?: string;
+  retryCount: number;
+  error?: string;
+}
+
+// Interface for proof inclusion checks
+export interface BatchInclusionResult {
+  batchId: string;
+  merkleRoot: string;
+  transactionHash?: string;
+  included: boolean;
+}
+
+/**
+ * Batch Anchoring Service class
+ */
+export class BatchAnchoringService {
+  private options: Required<Omit<BatchAnchoringOptions, 'registry'>>;
+  private registry: ethers.Contract | null;
+  private readRegistry: ethers.Contract | null;
+  private provider: ethers.providers.Provider | null = null;
+  private timer: NodeJS.Timeout | null = null;
+  private processing = false;
+
+  constructor(options: BatchAnchoringOptions = {}) {
+    this.options = {
+      registryAddress: options.registryAddress ?? config.batchAnchoring.registryAddress,
+      rpcUrl: options.rpcUrl ?? config.batchAnchoring.rpcUrl,
+      signerPrivateKey: options.signerPrivateKey ?? config.batchAnchoring.signerPrivateKey,
+      maxBatchSize: options.maxBatchSize ?? config.batchAnchoring.maxBatchSize,
+      confirmations: options.confirmations ?? config.batchAnchoring.confirmations,
+      processingTimeoutMs: options.processingTimeoutMs ?? config.batchAnchoring.processingTimeoutMs
+    };
+    this.registry = options.registry || null;
+    this.readRegistry = options.registry || null;
+  }
+
+  /**
+   * Get the provider of the anchoring chain
+   */
+  private getProvider(): ethers.providers.Provider {
+    if (!this.provider) {
+      this.provider = new ethers.providers.JsonRpcProvider(this.options.rpcUrl);
+    }
+    return this.provider;
+  }
+
+  /**
+   * Get the registry contract, connected to the anchoring signer
+   */
+  private getRegistry(): ethers.Contract {
+    if (this.registry) {
+      return this.registry;
+    }
+
+    if (!this.options.registryAddress) {
+      throw new Error('Reference token registry address is not configured');
+    }
+
+    if (!this.options.signerPrivateKey) {
+      throw new Error('Batch anchoring signer key is not configured');
+    }
+
+    const signer = new ethers.Wallet(this.options.signerPrivateKey, this.getProvider());
+
+    this.registry = new ethers.Contract(this.options.registryAddress, REFERENCE_TOKEN_REGISTRY_ABI, signer);
+    return this.registry;
+  }
+
+  /**
+   * Get the registry contract for read-only calls, which need no signer
+   */
+  private getReadRegistry(): ethers.Contract {
+    if (this.readRegistry) {
+      return this.readRegistry;
+    }
+
+    if (!this.options.registryAddress) {
+      throw new Error('Reference token registry address is not configured');
+    }
+
+    this.readRegistry = new ethers.Contract(this.options.registryAddress, REFERENCE_TOKEN_REGISTRY_ABI, this.getProvider());
+    return this.readRegistry;
+  }
+
+  /**
+   * Queue pending proofs into a new batch
+   *
+   * Builds the Merkle tree immediately and stores the root on the batch and
+   * each proof's path, so inclusion can be proven as soon as the root is anchored.
+   */
+  async createBatch(referenceIds: string[]): Promise<BatchAnchoringResult> {
+    if (referenceIds.length === 0) {
+      throw new Error('Cannot create an empty batch');
+    }
+
+    if (referenceIds.length > this.options.maxBatchSize) {
+      throw new Error(`Batch size ${referenceIds.length} exceeds maximum of ${this.options.maxBatchSize}`);
+    }
+
+    const proofs = await prisma.proof.findMany({
+      where: { referenceId: { in: referenceIds } },
+      select: { id: true, userId: true, referenceId: true, status: true, batchId: true, tempWalletId: true }
+    });
+
+    if (proofs.length !== new Set(referenceIds).size) {
+      const found = new Set(proofs.map(proof => proof.referenceId));
+      const missing = referenceIds.filter(referenceId => !found.has(referenceId));
+      throw new Error(`Proofs not found: ${missing.join(', ')}`);
+    }
+
+    const ineligible = proofs.filter(proof => proof.status !== 'PENDING' || proof.batchId);
+    if (ineligible.length > 0) {
+      throw new Error(`Proofs are not pending or already batched: ${ineligible.map(p => p.referenceId).join(', ')}`);
+    }
+
+    if (new Set(proofs.map(proof => proof.userId)).size > 1) {
+      throw new Error('All proofs in a batch must belong to the same user');
+    }
+
+    // Keep leaf order stable so paths can be recomputed from the stored proofs
+    const ordered = [...proofs].sort((a, b) => a.referenceId.localeCompare(b.referenceId));
+    const tree = buildMerkleTree(ordered.map(proof => toTokenId(proof.referenceId)));
+
+    const batch = await prisma.$transaction(async (tx) => {
+      const created = await tx.batch.create({
+        data: {
+          merkleRoot: tree.root,
+          status: 'PENDING',
+          tempWalletId: ordered[0].tempWalletId
+        }
+      });
+
+      await Promise.all(ordered.map((proof, index) =>
+        tx.proof.update({
+          where: { id: proof.id },
+          data: {
+            batchId: created.id,
+            merkleRoot: tree.root,
+            merklePath: getMerkleProof(tree, index)
+          }
+        })
+      ));
+
+      return created;
+    });
+
+    await auditLogger.info(
+      'proof.batch.queued',
+      { batchId: batch.id, merkleRoot: tree.root, proofCount: ordered.length },
+      { userId: ordered[0].userId }
+    );
+
+    return {
+      batchId: batch.id,
+      status: batch.status,
+      merkleRoot: tree.root,
+      proofCount: ordered.length,
+      retryCount: batch.retryCount
+    };
+  }
+
+  /**
+   * Anchor a queued batch's Merkle root on-chain
+   *
+   * The batch is claimed before anything is sent, so only one worker
+   * anchors it. A failed attempt returns the batch to the queue until
+   * Batch.maxRetries is reached, after which the batch and its proofs are
+   * marked as failed.
+   */
+  async anchorBatch(batchId: string): Promise<BatchAnchoringResult> {
+    const { count } = await prisma.batch.updateMany({
+      where: { id: batchId, status: 'PENDING' },
+      data: { status: 'PROCESSING', processingStartedAt: new Date() }
+    });
+
+    const batch = await prisma.batch.findUnique({
+      where: { id: batchId },
+      include: { proofs: { select: { id: true } } }
+    });
+
+    if (!batch) {
+      throw new Error(`Batch not found: ${batchId}`);
+    }
+
+    if (count !== 1) {
+      throw new Error(`Batch ${batchId} is in ${batch.status} state, not ready for anchoring`);
+    }
+
+    const proofIds = batch.proofs.map(proof => proof.id);
+    const onChainBatchId = toBatchId(batch.id);
+
+    try {
+      const registry = this.getRegistry();
+
+      // A previous attempt may have been mined after we gave up waiting for it
+      const existing = await registry.getBatchDetails(onChainBatchId);
+      let transactionHash = batch.transactionHash || undefined;
+      let receipt: ethers.providers.TransactionReceipt | null = null;
+
+      if (existing.timestamp.isZero()) {
+        const tx = await registry.anchorBatch(onChainBatchId, batch.merkleRoot, proofIds.length);
+        transactionHash = tx.hash;
+
+        await prisma.$transaction([
+          prisma.batch.update({
+            where: { id: batch.id },
+            data: { transactionHash }
+          }),
+          prisma.proof.updateMany({
+            where: { id: { in: proofIds } },
+            data: { status: 'SUBMITTED', transactionHash }
+          })
+        ]);
+
+        receipt = await tx.wait(this.options.confirmations);
+      } else if (existing.merkleRoot.toLowerCase() !== batch.merkleRoot.toLowerCase()) {
+        throw new Error(`Batch ${batch.id} is already anchored with a different Merkle root`);
+      }
+
+      const gasUsed = receipt ? receipt.gasUsed : null;
+      const gasPrice = receipt ? receipt.effectiveGasPrice : null;
+
+      await prisma.$transaction([
+        prisma.batch.update({
+          where: { id: batch.id },
+          data: {
+            status: 'CONFIRMED',
+            transactionHash,
+            gasUsed: gasUsed ? gasUsed.toString() : undefined,
+            gasPrice: gasPrice ? gasPrice.toString() : undefined,
+            totalCost: gasUsed && gasPrice ? gasUsed.mul(gasPrice).toString() : undefined,
+            processedAt: new Date()
+          }
+        }),
+        prisma.proof.updateMany({
+          where: { id: { in: proofIds } },
+          data: {
+            status: 'CONFIRMED',
+            transactionHash,
+            confirmedAt: new Date(),
+            blockNumber: receipt ? receipt.blockNumber : undefined
+          }
+        })
+      ]);
+
+      await auditLogger.info(
+        'proof.batch.anchored',
+        { batchId: batch.id, merkleRoot: batch.merkleRoot, proofCount: proofIds.length, transactionHash },
+        {}
+      );
+
+      await webhookService.emitProofEvent('proof.confirmed', proofIds, {
+        batchId: batch.id,
+        merkleRoot: batch.merkleRoot,
+        transactionHash
+      });
+      await proofEventService.publishProofEvent('proof.confirmed', proofIds, {
+        batchId: batch.id,
+        transactionHash
+      });
+
+      return {
+        batchId: batch.id,
+        status: 'CONFIRMED',
+        merkleRoot: batch.merkleRoot,
+        proofCount: proofIds.length,
+        transactionHash,
+        retryCount: batch.retryCount
+      };
+
+    } catch (error) {
+      const message = error instanceof Error ? error.message : String(error);
+      const retryCount = batch.retryCount + 1;
+      const exhausted = retryCount >= batch.maxRetries;
+      const status = exhausted ? 'FAILED' : 'PENDING';
+
+      await prisma.batch.update({
+        where: { id: batch.id },
+        data: { status, retryCount }
+      });
+
+      if (exhausted) {
+        await prisma.proof.updateMany({
+          where: { id: { in: proofIds } },
+          data: { status: 'FAILED' }
+        });
+      }
+
+      await auditLogger.error(
+        exhausted ? 'proof.batch.failed' : 'proof.batch.retry',
+        { batchId: batch.id, error: message, retryCount, maxRetries: batch.maxRetries },
+        {}
+      );
+
+      return {
+        batchId: batch.id,
+        status,
+        merkleRoot: batch.merkleRoot,
+        proofCount: proofIds.length,
+        transactionHash: batch.transactionHash || undefined,
+        retryCount,
+        error: message
+      };
+    }
+  }
+
+  /**
+   * Return batches left in PROCESSING by a worker that stopped to the queue
+   *
+   * The processing timeout must be longer than waiting for an anchoring
+   * transaction; a reclaimed batch whose transaction was mined after all is
+   * confirmed from the chain rather than sent again.
+   */
+  async reclaimStuckBatches(): Promise<number> {
+    const cutoff = new Date(Date.now() - this.options.processingTimeoutMs);
+
+    const { count } = await prisma.batch.updateMany({
+      where: {
+        status: 'PROCESSING',
+        OR: [
+          { processingStartedAt: { lt: cutoff } },
+          { processingStartedAt: null }
+        ]
+      },
+      data: { status: 'PENDING', processingStartedAt: null }
+    });
+
+    if (count > 0) {
+      await auditLogger.warning('proof.batch.reclaimed', { count, processingTimeoutMs: this.options.processingTimeoutMs }, {});
+    }
+
+    return count;
+  }
+
+  /**
+   * Anchor every batch still waiting in the queue, oldest first
+   */
+  async processPendingBatches(): Promise<BatchAnchoringResult[]> {
+    if (this.processing) {
+      return [];
+    }
+
+    this.processing = true;
+
+    try {
+      await this.reclaimStuckBatches();
+
+      const batches = await prisma.batch.findMany({
+        where: { status: 'PENDING' },
+        orderBy: { createdAt: 'asc' },
+        select: { id: true }
+      });
+
+      const results: BatchAnchoringResult[] = [];
+      for (const batch of batches) {
+        results.push(await this.anchorBatch(batch.id));
+      }
+
+      return results;
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Check that a proof is included in its anchored batch
+   *
+   * Returns null for proofs that were not issued as part of a batch.
+   */
+  async verifyInclusion(referenceId: string): Promise<BatchInclusionResult | null> {
+    const proof = await prisma.proof.findUnique({
+      where: { referenceId },
+      select: {
+        batchId: true,
+        merkleRoot: true,
+        merklePath: true,
+        batch: { select: { status: true, transactionHash: true } }
+      }
+    });
+
+    if (!proof || !proof.batchId || !proof.merkleRoot) {
+      return null;
+    }
+
+    const tokenId = toTokenId(referenceId);
+    const merklePath = (proof.merklePath as string[] | null) || [];
+
+    const result: BatchInclusionResult = {
+      batchId: proof.batchId,
+      merkleRoot: proof.merkleRoot,
+      transactionHash: proof.batch?.transactionHash || undefined,
+      included: false
+    };
+
+    // Reject tampered records before asking the chain
+    if (!verifyMerkleProof(tokenId, merklePath, proof.merkleRoot)) {
+      return result;
+    }
+
+    if (proof.batch?.status !== 'CONFIRMED') {
+      return result;
+    }
+
+    result.included = await this.getReadRegistry().verifyToken(toBatchId(proof.batchId), tokenId, merklePath);
+    return result;
+  }
+
+  /**
+   * Periodically retry queued batches
+   */
+  start(intervalMs: number = config.batchAnchoring.intervalMs): void {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => {
+      this.processPendingBatches().catch(error => {
+        auditLogger.error(
+          'proof.batch.worker.error',
+          { error: error instanceof Error ? error.message : String(error) },
+          {}
+        );
+      });
+    }, intervalMs);
+
+    // Do not keep the process alive just for the anchoring loop
+    this.timer.unref();
+  }
+
+  /**
+   * Stop the periodic worker and release resources
+   */
+  async shutdown(): Promise<void> {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+export const batchAnchoringService = new BatchAnchoringService();
@@ -0,0 +1,283 @@
+/**
+ * Envelope Encryption Service
+ *
+ * Every proof payload is encrypted with its own AES-256-GCM data key. The
+ * data key is stored next to the payload, wrapped by a key provider's master
+ * key, and the proof's encryptionKeyId names the provider and master key
+ * version that wrapped it, e.g. "local:v2" or
+ * "gcp-kms:projects/.../cryptoKeyVersions/3".
+ *
+ * Rotating a master key only re-wraps the data keys; payloads are never
+ * re-encrypted. New data keys are wrapped with the configured provider, and
+ * keys wrapped by any other registered provider can still be unwrapped, so
+ * switching providers works the same way as rotating a key.
+ */
+import { prisma } from '@proof-of-funds/db';
+import config from '../config';
+import logger from '../utils/logger';
+import { encryptData, decryptData, generateEncryptionKey } from '../utils/crypto';
+import { KeyProvider, createKeyProvider } from './keyProviders';
+
+/**
+ * A data key and its wrapped form
+ */
+export interface DataKey {
+  dataKey: Buffer;
+  wrappedDataKey: string;
+  encryptionKeyId: string;
+}
+
+/**
+ * A payload encrypted with a wrapped data key
+ */
+export interface EncryptedPayload {
+  encryptedData: string;
+  wrappedDataKey: string;
+  encryptionKeyId: string;
+}
+
+export interface EnvelopeEncryptionOptions {
+  provider?: string;
+  providers?: KeyProvider[];
+  rotationIntervalMs?: number;
+  rotationBatchSize?: number;
+}
+
+/**
+ * Build an encryption key ID from a provider name and key version
+ */
+export const formatEncryptionKeyId = (providerName: string, keyVersion: string): string => {
+  return `${providerName}:${keyVersion}`;
+};
+
+/**
+ * Split an encryption key ID into provider name and key version
+ *
+ * @throws Error if the ID was not created by envelope encryption
+ */
+export const parseEncryptionKeyId = (encryptionKeyId: string): { provider: string; keyVersion: string } => {
+  const separator = encryptionKeyId.indexOf(':');
+
+  if (separator <= 0 || separator === encryptionKeyId.length - 1) {
+    throw new Error(`Invalid encryption key ID: ${encryptionKeyId}`);
+  }
+
+  return {
+    provider: encryptionKeyId.slice(0, separator),
+    keyVersion: encryptionKeyId.slice(separator + 1)
+  };
+};
+
+/**
+ * Service for encrypting proof payloads with wrapped data keys
+ */
+export class EnvelopeEncryptionService {
+  private options: Required<Omit<EnvelopeEncryptionOptions, 'providers'>>;
+  private providers = new Map<string, KeyProvider>();
+  private timer: NodeJS.Timeout | null = null;
+  private rotating = false;
+
+  constructor(options: EnvelopeEncryptionOptions = {}) {
+    this.options = {
+      provider: options.provider ?? config.encryption.keyProvider,
+      rotationIntervalMs: options.rotationIntervalMs ?? config.encryption.rotation.intervalMs,
+      rotationBatchSize: options.rotationBatchSize ?? config.encryption.rotation.batchSize
+    };
+
+    (options.providers || []).forEach(provider => this.providers.set(provider.name, provider));
+  }
+
+  /**
+   * Get a key provider by name, creating configured providers on first use
+   */
+  private getProvider(name: string): KeyProvider {
+    let provider = this.providers.get(name);
+
+    if (!provider) {
+      provider = createKeyProvider(name);
+      this.providers.set(name, provider);
+    }
+
+    return provider;
+  }
+
+  /**
+   * Get the ID of the master key version new data keys are wrapped with
+   */
+  async getCurrentKeyId(): Promise<string> {
+    const provider = this.getProvider(this.options.provider);
+
+    return formatEncryptionKeyId(provider.name, await provider.getCurrentKeyVersion());
+  }
+
+  /**
+   * Generate a data key and wrap it with the current master key
+   */
+  async generateDataKey(): Promise<DataKey> {
+    const dataKey = generateEncryptionKey();
+
+    return { dataKey, ...(await this.wrapDataKey(dataKey)) };
+  }
+
+  /**
+   * Wrap a data key with the current master key
+   */
+  async wrapDataKey(dataKey: Buffer): Promise<Omit<DataKey, 'dataKey'>> {
+    const provider = this.getProvider(this.options.provider);
+    const { keyVersion, wrappedKey } = await provider.wrapKey(dataKey);
+
+    return {
+      wrappedDataKey: wrappedKey,
+      encryptionKeyId: formatEncryptionKeyId(provider.name, keyVersion)
+    };
+  }
+
+  /**
+   * Unwrap a data key with the master key version named by its key ID
+   *
+   * @throws Error if the provider or key version is unknown or the key was altered
+   */
+  async unwrapDataKey(wrappedDataKey: string, encryptionKeyId: string): Promise<Buffer> {
+    const { provider, keyVersion } = parseEncryptionKeyId(encryptionKeyId);
+
+    return this.getProvider(provider).unwrapKey(wrappedDataKey, keyVersion);
+  }
+
+  /**
+   * Encrypt a payload with a new data key
+   *
+   * @returns The encrypted payload, its wrapped data key and the plain data key
+   */
+  async encrypt(data: any): Promise<EncryptedPayload & { dataKey: Buffer }> {
+    const { dataKey, wrappedDataKey, encryptionKeyId } = await this.generateDataKey();
+
+    return {
+      encryptedData: encryptData(data, dataKey),
+      wrappedDataKey,
+      encryptionKeyId,
+      dataKey
+    };
+  }
+
+  /**
+   * Decrypt a payload encrypted with a wrapped data key
+   *
+   * @throws Error if the payload has no wrapped data key or cannot be decrypted
+   */
+  async decrypt(payload: { encryptedData: string; wrappedDataKey: string | null; encryptionKeyId: string }): Promise<any> {
+    if (!payload.wrappedDataKey) {
+      throw new Error('Payload has no wrapped data key');
+    }
+
+    const dataKey = await this.unwrapDataKey(payload.wrappedDataKey, payload.encryptionKeyId);
+
+    return decryptData(payload.encryptedData, dataKey);
+  }
+
+  /**
+   * Re-wrap the data keys of proofs not wrapped by the current master key
+   *
+   * Proofs are processed in batches ordered by ID, each batch starting after
+   * the last ID of the one before, so every proof is visited at most once per
+   * run. A proof whose key changed in the meantime is left alone, and proofs
+   * that fail are skipped and picked up again by the next run.
+   *
+   * @returns Number of data keys re-wrapped and number that failed
+   */
+  async rewrapDataKeys(batchSize: number = this.options.rotationBatchSize): Promise<{ rewrapped: number; failed: number }> {
+    const currentKeyId = await this.getCurrentKeyId();
+    let cursor: string | null = null;
+    let rewrapped = 0;
+    let failed = 0;
+
+    for (;;) {
+      const proofs = await prisma.proof.findMany({
+        where: {
+          wrappedDataKey: { not: null },
+          encryptionKeyId: { not: currentKeyId },
+          ...(cursor ? { id: { gt: cursor } } : {})
+        },
+        select: { id: true, wrappedDataKey: true, encryptionKeyId: true },
+        orderBy: { id: 'asc' },
+        take: batchSize
+      });
+
+      for (const proof of proofs) {
+        try {
+          const dataKey = await this.unwrapDataKey(proof.wrappedDataKey!, proof.encryptionKeyId);
+          const wrapped = await this.wrapDataKey(dataKey);
+
+          const { count } = await prisma.proof.updateMany({
+            where: { id: proof.id, encryptionKeyId: proof.encryptionKeyId },
+            data: wrapped
+          });
+
+          rewrapped += count;
+        } catch (error) {
+          failed++;
+          logger.error('Failed to re-wrap proof data key', {
+            proofId: proof.id,
+            encryptionKeyId: proof.encryptionKeyId,
+            error: error instanceof Error ? error.message : 'Unknown error'
+          });
+        }
+      }
+
+      if (proofs.length < batchSize) {
+        break;
+      }
+      cursor = proofs[proofs.length - 1].id;
+    }
+
+    if (rewrapped + failed > 0) {
+      logger.info('Re-wrapped proof data keys', { currentKeyId, rewrapped, failed });
+    }
+
+    return { rewrapped, failed };
+  }
+
+  /**
+   * Periodically re-wrap data keys with the current master key
+   */
+  start(intervalMs: number = this.options.rotationIntervalMs): void {
+    if (this.timer) {
+      return;
+    }
+
+    const rotate = () => {
+      if (this.rotating) {
+        return;
+      }
+      this.rotating = true;
+
+      this.rewrapDataKeys()
+        .catch(error => logger.error('Failed to rotate proof data keys', {
+          error: error instanceof Error ? error.message : 'Unknown error'
+        }))
+        .finally(() => {
+          this.rotating = false;
+        });
+    };
+
+    this.timer = setInterval(rotate, intervalMs);
+
+    // Do not keep the process alive just for key rotation
+    this.timer.unref();
+
+    rotate();
+  }
+
+  /**
+   * Stop the key rotation loop
+   */
+  async shutdown(): Promise<void> {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+// Export singleton instance
+export const envelopeEncryptionService = new EnvelopeEncryptionService();
+export default envelopeEncryptionService;
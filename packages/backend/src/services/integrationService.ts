@@ -12,12 +12,20 @@
 import { ChainAdapterRegistry, ChainType } from '@proof-of-funds/frontend/utils/chains';
 import { ZKProofService } from './zkProofService';
 import { TransactionHistoryProcessor } from '@proof-of-funds/frontend/services/TransactionHistoryProcessor';
-import { BlacklistChecker } from '@proof-of-funds/frontend/services/BlacklistChecker';
 import { VerificationResultFormatter } from '@proof-of-funds/frontend/services/VerificationResultFormatter';
 import auditLogger, { LogCategory, LogSeverity } from '@proof-of-funds/common/logging/auditLogger';
 import { PrismaClient, ProofType, ProofStatus, WalletType } from '@proof-of-funds/db';
 import { ethers } from 'ethers';
 import { randomBytes } from 'crypto';
+import { BalanceSnapshotRecord, SnapshotBlock } from '../utils/balanceSnapshot';
+import { webhookService } from './webhookService';
+import { proofEventService } from './proofEventService';
+import { envelopeEncryptionService } from './envelopeEncryptionService';
+import { sanctionsScreeningService } from './sanctionsScreeningService';
+import { SourceOfFundsService } from './sourceOfFundsService';
+import { proofTemplateService } from './proofTemplateService';
+import { portfolioScannerService } from './portfolioScannerService';
+import { ApiError } from '../middleware/errorHandler';
 
 // Interface for proof generation parameters
 export interface ProofGenerationParams {
@@ -30,6 +38,7 @@ export interface ProofGenerationParams {
   expiryPeriod: number; // in seconds
   templateId?: string;
   message?: string;
+  asOf?: number; // Unix time in seconds to prove balances as of, current balances if unset
 }
 
 // Interface for proof verification parameters
@@ -62,6 +71,7 @@ export interface VerificationResult {
   exactAmount?: string;
   message?: string;
   warningFlags: string[];
+  balanceSnapshot?: BalanceSnapshotRecord | null;
 }
 
 /**
@@ -71,7 +81,7 @@ export class IntegrationService {
   private chainRegistry: ChainAdapterRegistry;
   private zkProofService: ZKProofService;
   private transactionProcessor: TransactionHistoryProcessor;
-  private blacklistChecker: BlacklistChecker;
+  private sourceOfFundsService: SourceOfFundsService;
   private resultFormatter: VerificationResultFormatter;
   private prisma: PrismaClient;
   
@@ -79,7 +89,10 @@ export class IntegrationService {
     this.chainRegistry = new ChainAdapterRegistry();
     this.zkProofService = new ZKProofService();
     this.transactionProcessor = new TransactionHistoryProcessor();
-    this.blacklistChecker = new BlacklistChecker();
+    this.sourceOfFundsService = new SourceOfFundsService({
+      chainRegistry: this.chainRegistry,
+      transactionProcessor: this.transactionProcessor
+    });
     this.resultFormatter = new VerificationResultFormatter();
     this.prisma = new PrismaClient();
   }
@@ -119,32 +132,10 @@ export class IntegrationService {
   }
   
   /**
-   * Check if wallets are on blacklists
-   */
-  private async checkBlacklists(wallets: Array<{ address: string, chainId: number }>): Promise<string[]> {
-    const warnings: string[] = [];
-    
-    for (const wallet of wallets) {
-      const isBlacklisted = await this.blacklistChecker.checkAddress(wallet.address, wallet.chainId);
-      if (isBlacklisted) {
-        warnings.push(`WALLET_BLACKLISTED:${wallet.address}`);
-        
-        await auditLogger.warning(
-          'blacklist.match', 
-          { address: wallet.address, chainId: wallet.chainId }, 
-          {}
-        );
-      }
-    }
-    
-    return warnings;
-  }
-  
-  /**
-   * Get wallet balances across chains
+   * Get wallet balances across chains, as of a past time if one is given
    */
-  private async getWalletBalances(wallets: Array<{ address: string, chainId: number }>): Promise<
-    Array<{ address: string, chainId: number, balance: string }>
+  private async getWalletBalances(wallets: Array<{ address: string, chainId: number }>, asOf?: number): Promise<
+    Array<{ address: string, chainId: number, balance: string, blockNumber?: number, timestamp?: number }>
   > {
     const results = await Promise.all(
       wallets.map(async wallet => {
@@ -154,6 +145,17 @@ export class IntegrationService {
             throw new Error(`Unsupported chain ID: ${wallet.chainId}`);
           }
           
+          if (asOf !== undefined) {
+            const { balance, blockNumber, timestamp } = await adapter.getBalanceAt(wallet.address, { timestamp: asOf });
+            return {
+              address: wallet.address,
+              chainId: wallet.chainId,
+              balance: balance.toString(),
+              blockNumber,
+              timestamp
+            };
+          }
+          
           const balance = await adapter.getBalance(wallet.address);
           return {
             address: wallet.address,
@@ -175,7 +177,43 @@ export class IntegrationService {
   }
   
   /**
-   * Calculate total balance across wallets
+   * Record the blocks historical balances were read at, the latest per chain
+   */
+  private getBalanceSnapshot(
+    walletBalances: Array<{ chainId: number, blockNumber?: number, timestamp?: number }>,
+    asOf: number
+  ): BalanceSnapshotRecord {
+    const blocks = new Map<number, SnapshotBlock>();
+    
+    for (const wallet of walletBalances) {
+      if (wallet.blockNumber === undefined || wallet.timestamp === undefined) {
+        continue;
+      }
+      
+      const current = blocks.get(wallet.chainId);
+      if (!current || wallet.blockNumber > current.blockNumber) {
+        blocks.set(wallet.chainId, {
+          chainId: wallet.chainId,
+          blockNumber: wallet.blockNumber,
+          timestamp: wallet.timestamp
+        });
+      }
+    }
+    
+    return { timestamp: asOf, blocks: [...blocks.values()] };
+  }
+  
+  /**
+   * Get the native currency decimals of a chain (lamports and satoshis are
+   * not wei, so balances must be scaled before they can be added up)
+   */
+  private getNativeDecimals(chainId: number): number {
+    const network = this.chainRegistry.getSupportedNetworks().find(n => n.chainId === chainId);
+    return network ? network.nativeCurrency.decimals : 18;
+  }
+  
+  /**
+   * Calculate total balance across wallets, in 18 decimal units
    */
   private calculateTotalBalance(
     walletBalances: Array<{ address: string, chainId: number, balance: string }>
@@ -184,7 +222,9 @@ export class IntegrationService {
     
     for (const wallet of walletBalances) {
       try {
-        totalBalance = totalBalance.add(ethers.BigNumber.from(wallet.balance));
+        const decimals = this.getNativeDecimals(wallet.chainId);
+        const scale = ethers.BigNumber.from(10).pow(Math.max(18 - decimals, 0));
+        totalBalance = totalBalance.add(ethers.BigNumber.from(wallet.balance).mul(scale));
       } catch (error) {
         console.error(`Failed to add balance for ${wallet.address}:`, error);
       }
@@ -207,35 +247,44 @@ export class IntegrationService {
         context
       );
       
-      // Check if wallets are on any blacklists
-      const warningFlags = await this.checkBlacklists(params.wallets);
+      // Proofs made from a template use its proof type, threshold and expiry period
+      let template = null;
+      let expiresAt = new Date(Date.now() + params.expiryPeriod * 1000);
+      if (params.templateId) {
+        const applied = await proofTemplateService.applyTemplate(
+          params.templateId,
+          params.proofType,
+          params.threshold ?? params.maxAmount ?? params.exactAmount
+        );
+        const amountField = params.proofType === ProofType.MAXIMUM
+          ? 'maxAmount'
+          : params.proofType === ProofType.STANDARD ? 'exactAmount' : 'threshold';
+        
+        params = { ...params, [amountField]: applied.threshold };
+        template = applied.template;
+        expiresAt = applied.expiresAt;
+      }
+      
+      // Screen wallets against sanctions lists
+      const screening = await sanctionsScreeningService.screenWallets(params.wallets, context);
       
       // Get balances for all wallets
-      const walletBalances = await this.getWalletBalances(params.wallets);
+      const walletBalances = await this.getWalletBalances(params.wallets, params.asOf);
       const totalBalance = this.calculateTotalBalance(walletBalances);
+      const balanceSnapshot = params.asOf !== undefined
+        ? this.getBalanceSnapshot(walletBalances, params.asOf)
+        : null;
+      
+      // Check where the balance came from
+      const sourceOfFunds = await this.sourceOfFundsService.analyzeWallets(walletBalances, context, params.asOf);
+      const warningFlags = [...screening.warningFlags, ...sourceOfFunds.warningFlags];
       
       // Create a temporary wallet for proof submission
       const tempWalletId = await this.generateTemporaryWallet(params.userId);
       
-      // Get proof template if provided
-      let template = null;
-      if (params.templateId) {
-        template = await this.prisma.proofTemplate.findUnique({
-          where: { id: params.templateId }
-        });
-        
-        if (!template) {
-          throw new Error(`Template not found: ${params.templateId}`);
-        }
-      }
-      
       // Generate reference ID
       const referenceId = this.generateReferenceId();
       
-      // Calculate expiry date
-      const expiryPeriod = template?.expiryPeriod || params.expiryPeriod;
-      const expiresAt = new Date(Date.now() + expiryPeriod * 1000);
-      
       // Generate ZK proof based on proof type
       let zkProofData;
       switch (params.proofType) {
@@ -278,11 +327,8 @@ export class IntegrationService {
           throw new Error(`Unsupported proof type: ${params.proofType}`);
       }
       
-      // Generate encryption key for proof data
-      const encryptionKeyId = randomBytes(16).toString('hex');
-      
-      // Create proof metadata
-      const metadataJson = JSON.stringify({
+      // Encrypt proof metadata with its own data key
+      const { encryptedData, wrappedDataKey, encryptionKeyId } = await envelopeEncryptionService.encrypt({
         wallets: walletBalances,
         totalBalance,
         message: params.message,
@@ -292,6 +338,7 @@ export class IntegrationService {
         maxAmount: params.maxAmount,
         exactAmount: params.exactAmount,
         zkProofData,
+        sourceOfFunds: sourceOfFunds.findings,
         timestamp: new Date().toISOString()
       });
       
@@ -302,11 +349,14 @@ export class IntegrationService {
           referenceId,
           proofType: params.proofType,
           expiresAt,
-          encryptedData: metadataJson, // This should be encrypted in production
+          encryptedData,
           encryptionKeyId,
+          wrappedDataKey,
           tempWalletId,
           originalWallets: params.wallets.map(w => w.address),
           warningFlags,
+          balanceSnapshot: balanceSnapshot ?? undefined,
+          templateId: template?.id,
           status: ProofStatus.PENDING
         }
       });
@@ -394,6 +444,8 @@ export class IntegrationService {
           context
         );
         
+        await this.markExpired(proof.id);
+        
         return {
           isValid: false,
           proofType: proof.proofType,
@@ -423,30 +475,67 @@ export class IntegrationService {
         };
       }
       
-      // Parse encrypted data
-      const proofData = JSON.parse(proof.encryptedData);
+      // Check the template's minimum interval between verifications
+      let releaseVerification: () => Promise<void>;
+      try {
+        releaseVerification = await proofTemplateService.reserveVerification(proof.id, proof.templateId);
+      } catch (error) {
+        if (!(error instanceof ApiError) || error.code !== 'VERIFICATION_TOO_FREQUENT') {
+          throw error;
+        }
+        
+        await auditLogger.info(
+          'proof.verification.too_frequent', 
+          { 
+            referenceId: params.referenceId,
+            retryAfter: error.details?.retryAfter
+          }, 
+          context
+        );
+        
+        return {
+          isValid: false,
+          proofType: proof.proofType,
+          createdAt: proof.createdAt,
+          expiresAt: proof.expiresAt,
+          warningFlags: ['VERIFICATION_TOO_FREQUENT']
+        };
+      }
       
-      // Verify ZK proof
+      let proofData;
       let isValid = false;
-      switch (proof.proofType) {
-        case ProofType.STANDARD:
-          isValid = await this.zkProofService.verifyStandardProof(proofData.zkProofData);
-          break;
+      try {
+        // Decrypt proof data; proofs stored before envelope encryption hold plain JSON
+        proofData = proof.wrappedDataKey
+          ? await envelopeEncryptionService.decrypt(proof)
+          : JSON.parse(proof.encryptedData);
+        
+        // Verify ZK proof
+        switch (proof.proofType) {
+          case ProofType.STANDARD:
+            isValid = await this.zkProofService.verifyStandardProof(proofData.zkProofData);
+            break;
           
-        case ProofType.THRESHOLD:
-          isValid = await this.zkProofService.verifyThresholdProof(proofData.zkProofData);
-          break;
+          case ProofType.THRESHOLD:
+            isValid = await this.zkProofService.verifyThresholdProof(proofData.zkProofData);
+            break;
           
-        case ProofType.MAXIMUM:
-          isValid = await this.zkProofService.verifyMaximumProof(proofData.zkProofData);
-          break;
+          case ProofType.MAXIMUM:
+            isValid = await this.zkProofService.verifyMaximumProof(proofData.zkProofData);
+            break;
           
-        case ProofType.ZERO_KNOWLEDGE:
-          isValid = await this.zkProofService.verifyZeroKnowledgeProof(proofData.zkProofData);
-          break;
+          case ProofType.ZERO_KNOWLEDGE:
+            isValid = await this.zkProofService.verifyZeroKnowledgeProof(proofData.zkProofData);
+            break;
           
-        default:
-          throw new Error(`Unsupported proof type: ${proof.proofType}`);
+          default:
+            throw new Error(`Unsupported proof type: ${proof.proofType}`);
+        }
+      } finally {
+        // Only successful verifications count towards the template interval
+        if (!isValid) {
+          await releaseVerification();
+        }
       }
       
       // Get current balances if proof is valid
@@ -455,7 +544,7 @@ export class IntegrationService {
         // For standard and zero-knowledge proofs, we don't check current balances
         if (proof.proofType === ProofType.THRESHOLD || proof.proofType === ProofType.MAXIMUM) {
           try {
-            const walletBalances = await this.getWalletBalances(
+            const walletBalances = await portfolioScannerService.getNativeBalances(
               proof.originalWallets.map((address, index) => ({
                 address,
                 chainId: proofData.wallets[index]?.chainId || 1 // Default to Ethereum if chain ID not found
@@ -487,7 +576,8 @@ export class IntegrationService {
             maxAmount: proofData.maxAmount,
             exactAmount: proofData.exactAmount,
             message: proofData.message,
-            warningFlags: proof.warningFlags
+            warningFlags: proof.warningFlags,
+            balanceSnapshot: proof.balanceSnapshot
           }
         }
       });
@@ -503,6 +593,16 @@ export class IntegrationService {
         context
       );
       
+      await webhookService.emitProofEvent('proof.verified', proof.id, {
+        verificationId: verification.id,
+        isValid,
+        verifierAddress: params.verifierAddress || null
+      });
+      await proofEventService.publishProofEvent('proof.verified', proof.id, {
+        verificationId: verification.id,
+        isValid
+      });
+      
       return verification.verificationResult as VerificationResult;
       
     } catch (error) {
@@ -520,6 +620,25 @@ export class IntegrationService {
     }
   }
   
+  /**
+   * Move an expired proof to EXPIRED, announcing it the first time
+   */
+  private async markExpired(proofId: string): Promise<void> {
+    const { count } = await this.prisma.proof.updateMany({
+      where: {
+        id: proofId,
+        isRevoked: false,
+        status: { notIn: [ProofStatus.EXPIRED, ProofStatus.REVOKED] }
+      },
+      data: { status: ProofStatus.EXPIRED }
+    });
+    
+    if (count > 0) {
+      await webhookService.emitProofEvent('proof.expired', proofId);
+      await proofEventService.publishProofEvent('proof.expired', proofId);
+    }
+  }
+  
   /**
    * Get transaction history for a wallet
    */
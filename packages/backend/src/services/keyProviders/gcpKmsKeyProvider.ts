@@ -0,0 +1,99 @@
+/**
+ * GCP KMS Key Provider
+ *
+ * Wraps data keys with a Cloud KMS symmetric key, so the master key never
+ * leaves KMS. Key versions are the full cryptoKeyVersion resource names that
+ * KMS reports for each encryption; rotating the key in KMS makes a new
+ * primary version current, and older versions keep decrypting until they are
+ * disabled.
+ */
+import config from '../../config';
+import { KeyProvider, WrappedKey } from './types';
+
+export const GCP_KMS_KEY_PROVIDER = 'gcp-kms';
+
+/**
+ * The parts of the Cloud KMS client used by the provider
+ */
+export interface KmsClient {
+  encrypt(request: { name: string; plaintext: Buffer }): Promise<any[]>;
+  decrypt(request: { name: string; ciphertext: Buffer }): Promise<any[]>;
+  getCryptoKey(request: { name: string }): Promise<any[]>;
+}
+
+export interface GcpKmsKeyProviderOptions {
+  keyName?: string;
+  client?: KmsClient;
+}
+
+/**
+ * Key provider backed by Cloud KMS
+ */
+export class GcpKmsKeyProvider implements KeyProvider {
+  readonly name = GCP_KMS_KEY_PROVIDER;
+  private keyName: string;
+  private client: KmsClient | null;
+
+  constructor(options: GcpKmsKeyProviderOptions = {}) {
+    this.keyName = options.keyName ?? config.encryption.gcpKms.keyName;
+    this.client = options.client || null;
+  }
+
+  /**
+   * Get the KMS client, created on first use
+   */
+  private async getClient(): Promise<KmsClient> {
+    if (!this.keyName) {
+      throw new Error('KMS key name is not configured');
+    }
+
+    if (!this.client) {
+      const { KeyManagementServiceClient } = await import('@google-cloud/kms');
+      this.client = new KeyManagementServiceClient() as unknown as KmsClient;
+    }
+
+    return this.client;
+  }
+
+  async getCurrentKeyVersion(): Promise<string> {
+    const client = await this.getClient();
+    const [cryptoKey] = await client.getCryptoKey({ name: this.keyName });
+
+    if (!cryptoKey?.primary?.name) {
+      throw new Error(`KMS key ${this.keyName} has no primary version`);
+    }
+
+    return cryptoKey.primary.name;
+  }
+
+  async wrapKey(dataKey: Buffer): Promise<WrappedKey> {
+    const client = await this.getClient();
+    const [response] = await client.encrypt({ name: this.keyName, plaintext: dataKey });
+
+    if (!response?.name || !response.ciphertext) {
+      throw new Error('KMS did not return a wrapped key');
+    }
+
+    return {
+      keyVersion: response.name,
+      wrappedKey: Buffer.from(response.ciphertext).toString('base64')
+    };
+  }
+
+  async unwrapKey(wrappedKey: string, keyVersion: string): Promise<Buffer> {
+    const client = await this.getClient();
+
+    // KMS decrypts with the crypto key; the version is recorded in the ciphertext
+    const [cryptoKeyName] = keyVersion.split('/cryptoKeyVersions/');
+    const [response] = await client.decrypt({
+      name: cryptoKeyName,
+      ciphertext: Buffer.from(wrappedKey, 'base64')
+    });
+
+    if (!response?.plaintext) {
+      throw new Error('KMS did not return the data key');
+    }
+
+    return Buffer.from(response.plaintext);
+  }
+}
@@ -0,0 +1,43 @@
+/**
+ * Key Providers
+ *
+ * Providers are created by name from the encryption configuration. Other
+ * providers can be added with registerKeyProviderFactory.
+ */
+import { KeyProvider } from './types';
+import { LocalKeyProvider, LOCAL_KEY_PROVIDER } from './localKeyProvider';
+import { GcpKmsKeyProvider, GCP_KMS_KEY_PROVIDER } from './gcpKmsKeyProvider';
+import { SecretManagerKeyProvider, SECRET_MANAGER_KEY_PROVIDER } from './secretManagerKeyProvider';
+
+export * from './types';
+export { LocalKeyProvider, LOCAL_KEY_PROVIDER } from './localKeyProvider';
+export { GcpKmsKeyProvider, GCP_KMS_KEY_PROVIDER } from './gcpKmsKeyProvider';
+export { SecretManagerKeyProvider, SECRET_MANAGER_KEY_PROVIDER } from './secretManagerKeyProvider';
+
+const factories = new Map<string, () => KeyProvider>([
+  [LOCAL_KEY_PROVIDER, () => new LocalKeyProvider()],
+  [GCP_KMS_KEY_PROVIDER, () => new GcpKmsKeyProvider()],
+  [SECRET_MANAGER_KEY_PROVIDER, () => new SecretManagerKeyProvider()]
+]);
+
+/**
+ * Register a key provider that can then be selected by name
+ */
+export const registerKeyProviderFactory = (name: string, factory: () => KeyProvider): void => {
+  factories.set(name, factory);
+};
+
+/**
+ * Create a key provider by name
+ *
+ * @throws Error if no provider is registered under the name
+ */
+export const createKeyProvider = (name: string): KeyProvider => {
+  const factory = factories.get(name);
+
+  if (!factory) {
+    throw new Error(`Unknown key provider: ${name}`);
+  }
+
+  return factory();
+};
@@ -0,0 +1,142 @@
+/**
+ * Local Key Provider
+ *
+ * Wraps data keys with master keys read from the environment or a JSON key
+ * file, for development and self-hosted deployments. Keys are versioned so a
+ * new master key can be added and made current while older versions still
+ * unwrap existing data keys:
+ *
+ *   PROOF_MASTER_KEYS=v1:<hex or base64>,v2:<hex or base64>
+ *   PROOF_MASTER_KEY_VERSION=v2
+ *
+ * or a key file of the form { "currentVersion": "v2", "keys": { "v1": "...", "v2": "..." } }.
+ * Without a current version the last listed key is used.
+ */
+import fs from 'fs';
+import crypto from 'crypto';
+import config from '../../config';
+import logger from '../../utils/logger';
+import { KeyProvider, WrappedKey } from './types';
+import { parseMasterKey, wrapWithMasterKey, unwrapWithMasterKey } from './masterKey';
+
+export const LOCAL_KEY_PROVIDER = 'local';
+
+// Master key used outside production when none is configured
+const DEVELOPMENT_KEY_VERSION = 'dev';
+const DEVELOPMENT_KEY_SEED = 'proof-of-funds-development-master-key';
+
+export interface LocalKeyProviderOptions {
+  masterKeys?: Record<string, string | Buffer>;
+  currentVersion?: string;
+  keyFile?: string;
+}
+
+/**
+ * Parse comma-separated version:key pairs
+ */
+const parseKeyList = (value: string): Record<string, string> => {
+  return Object.fromEntries(
+    value
+      .split(',')
+      .map(entry => entry.trim())
+      .filter(Boolean)
+      .map(entry => {
+        const separator = entry.indexOf(':');
+        if (separator <= 0) {
+          throw new Error('PROOF_MASTER_KEYS entries must be version:key pairs');
+        }
+        return [entry.slice(0, separator), entry.slice(separator + 1)];
+      })
+  );
+};
+
+/**
+ * Key provider backed by locally configured master keys
+ */
+export class LocalKeyProvider implements KeyProvider {
+  readonly name = LOCAL_KEY_PROVIDER;
+  private options: LocalKeyProviderOptions;
+  private keys: Map<string, Buffer> | null = null;
+  private currentVersion = '';
+
+  constructor(options: LocalKeyProviderOptions = {}) {
+    this.options = options;
+  }
+
+  /**
+   * Load the master keys on first use
+   *
+   * @throws Error if the keys are invalid, or missing in production
+   */
+  private load(): Map<string, Buffer> {
+    if (this.keys) {
+      return this.keys;
+    }
+
+    const local = config.encryption.local;
+    let rawKeys: Record<string, string | Buffer> = {};
+    let currentVersion = this.options.currentVersion ?? local.currentVersion;
+
+    const keyFile = this.options.keyFile ?? local.keyFile;
+
+    if (this.options.masterKeys) {
+      rawKeys = this.options.masterKeys;
+    } else if (keyFile) {
+      const file = JSON.parse(fs.readFileSync(keyFile, 'utf8'));
+      rawKeys = file.keys || {};
+      currentVersion = currentVersion || file.currentVersion;
+    } else if (local.masterKeys) {
+      rawKeys = parseKeyList(local.masterKeys);
+    }
+
+    const keys = new Map<string, Buffer>(
+      Object.entries(rawKeys).map(([version, key]) => [version, parseMasterKey(key)])
+    );
+
+    if (keys.size === 0) {
+      if (config.isProduction) {
+        throw new Error('No local master keys are configured');
+      }
+
+      logger.warn('No master keys configured, using the development master key');
+      keys.set(
+        DEVELOPMENT_KEY_VERSION,
+        crypto.createHash('sha256').update(DEVELOPMENT_KEY_SEED).digest()
+      );
+    }
+
+    this.currentVersion = currentVersion || Array.from(keys.keys()).pop()!;
+
+    if (!keys.has(this.currentVersion)) {
+      throw new Error(`Current master key version ${this.currentVersion} is not configured`);
+    }
+
+    this.keys = keys;
+    return keys;
+  }
+
+  async getCurrentKeyVersion(): Promise<string> {
+    this.load();
+    return this.currentVersion;
+  }
+
+  async wrapKey(dataKey: Buffer): Promise<WrappedKey> {
+    const keys = this.load();
+    const keyVersion = this.currentVersion;
+
+    return {
+      keyVersion,
+      wrappedKey: wrapWithMasterKey(dataKey, keys.get(keyVersion)!, keyVersion)
+    };
+  }
+
+  async unwrapKey(wrappedKey: string, keyVersion: string): Promise<Buffer> {
+    const masterKey = this.load().get(keyVersion);
+
+    if (!masterKey) {
+      throw new Error(`Master key version ${keyVersion} is not configured`);
+    }
+
+    return unwrapWithMasterKey(wrappedKey, masterKey, keyVersion);
+  }
+}
@@ -0,0 +1,69 @@
+/**
+ * Master Key Helpers
+ *
+ * AES-256-GCM key wrapping for providers that hold the master key material
+ * themselves. The key version is authenticated with the wrapped key, so a
+ * wrapped key cannot be relabelled with another version.
+ */
+import crypto from 'crypto';
+
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const MASTER_KEY_LENGTH = 32;
+
+/**
+ * Parse a 32-byte master key given as hex or base64
+ *
+ * @throws Error if the key is not 32 bytes long
+ */
+export const parseMasterKey = (value: string | Buffer | Uint8Array): Buffer => {
+  let key: Buffer;
+
+  if (typeof value !== 'string') {
+    key = Buffer.from(value);
+  } else if (/^[0-9a-fA-F]{64}$/.test(value.trim())) {
+    key = Buffer.from(value.trim(), 'hex');
+  } else {
+    key = Buffer.from(value.trim(), 'base64');
+  }
+
+  if (key.length !== MASTER_KEY_LENGTH) {
+    throw new Error(`Master key must be ${MASTER_KEY_LENGTH} bytes`);
+  }
+
+  return key;
+};
+
+/**
+ * Wrap a data key with a master key
+ *
+ * @returns Base64 of IV, auth tag and encrypted data key
+ */
+export const wrapWithMasterKey = (dataKey: Buffer, masterKey: Buffer, keyVersion: string): string => {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv('aes-256-gcm', masterKey, iv);
+  cipher.setAAD(Buffer.from(keyVersion, 'utf8'));
+
+  const encrypted = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+
+  return Buffer.concat([iv, cipher.getAuthTag(), encrypted]).toString('base64');
+};
+
+/**
+ * Unwrap a data key wrapped by wrapWithMasterKey
+ *
+ * @throws Error if the wrapped key was altered or wrapped by another key
+ */
+export const unwrapWithMasterKey = (wrappedKey: string, masterKey: Buffer, keyVersion: string): Buffer => {
+  const data = Buffer.from(wrappedKey, 'base64');
+
+  if (data.length <= IV_LENGTH + TAG_LENGTH) {
+    throw new Error('Wrapped key is malformed');
+  }
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', masterKey, data.subarray(0, IV_LENGTH));
+  decipher.setAAD(Buffer.from(keyVersion, 'utf8'));
+  decipher.setAuthTag(data.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+
+  return Buffer.concat([decipher.update(data.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+};
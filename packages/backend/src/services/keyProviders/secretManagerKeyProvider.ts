@@ -0,0 +1,111 @@
+/**
+ * GCP Secret Manager Key Provider
+ *
+ * Keeps master keys as versions of a Secret Manager secret and wraps data
+ * keys with them locally. Adding a secret version rotates the master key: the
+ * latest version becomes current, and older versions keep unwrapping existing
+ * data keys until they are destroyed. Key versions are the full secret
+ * version resource names.
+ */
+import { SecretManagerServiceClient } from '@google-cloud/secret-manager';
+import config from '../../config';
+import { KeyProvider, WrappedKey } from './types';
+import { parseMasterKey, wrapWithMasterKey, unwrapWithMasterKey } from './masterKey';
+
+export const SECRET_MANAGER_KEY_PROVIDER = 'gcp-secret-manager';
+
+// How long the latest secret version is trusted before it is looked up again
+const CURRENT_VERSION_TTL_MS = 5 * 60 * 1000;
+
+/**
+ * The parts of the Secret Manager client used by the provider
+ */
+export interface SecretVersionClient {
+  accessSecretVersion(request: { name: string }): Promise<any[]>;
+}
+
+export interface SecretManagerKeyProviderOptions {
+  secretName?: string;
+  client?: SecretVersionClient;
+}
+
+/**
+ * Key provider backed by Secret Manager secret versions
+ */
+export class SecretManagerKeyProvider implements KeyProvider {
+  readonly name = SECRET_MANAGER_KEY_PROVIDER;
+  private secretName: string;
+  private client: SecretVersionClient | null;
+  private keys = new Map<string, Buffer>();
+  private current: { version: string; loadedAt: number } | null = null;
+
+  constructor(options: SecretManagerKeyProviderOptions = {}) {
+    this.secretName = options.secretName ?? config.encryption.secretManager.secretName;
+    this.client = options.client || null;
+  }
+
+  /**
+   * Read a master key version, caching it by its resolved name
+   */
+  private async accessVersion(versionName: string): Promise<{ version: string; key: Buffer }> {
+    const cached = this.keys.get(versionName);
+    if (cached) {
+      return { version: versionName, key: cached };
+    }
+
+    if (!this.secretName) {
+      throw new Error('Master key secret is not configured');
+    }
+
+    if (!this.client) {
+      this.client = new SecretManagerServiceClient();
+    }
+
+    const [response] = await this.client.accessSecretVersion({ name: versionName });
+
+    if (!response?.name || !response.payload?.data) {
+      throw new Error(`Master key secret version ${versionName} is empty`);
+    }
+
+    // Versions hold the raw key or its hex or base64 encoding
+    const payload = Buffer.from(response.payload.data);
+    const key = parseMasterKey(payload.length === 32 ? payload : payload.toString('utf8'));
+
+    this.keys.set(response.name, key);
+
+    return { version: response.name, key };
+  }
+
+  /**
+   * Get the latest master key version
+   */
+  private async getCurrent(): Promise<{ version: string; key: Buffer }> {
+    if (this.current && Date.now() - this.current.loadedAt < CURRENT_VERSION_TTL_MS) {
+      return { version: this.current.version, key: this.keys.get(this.current.version)! };
+    }
+
+    const latest = await this.accessVersion(`${this.secretName}/versions/latest`);
+    this.current = { version: latest.version, loadedAt: Date.now() };
+
+    return latest;
+  }
+
+  async getCurrentKeyVersion(): Promise<string> {
+    return (await this.getCurrent()).version;
+  }
+
+  async wrapKey(dataKey: Buffer): Promise<WrappedKey> {
+    const { version, key } = await this.getCurrent();
+
+    return {
+      keyVersion: version,
+      wrappedKey: wrapWithMasterKey(dataKey, key, version)
+    };
+  }
+
+  async unwrapKey(wrappedKey: string, keyVersion: string): Promise<Buffer> {
+    const { key } = await this.accessVersion(keyVersion);
+
+    return unwrapWithMasterKey(wrappedKey, key, keyVersion);
+  }
+}
@@ -0,0 +1,41 @@
+/**
+ * Key Provider Types
+ *
+ * A key provider wraps and unwraps the per-proof data keys with a master key
+ * it controls. Providers are addressed by name, and every wrapped key records
+ * the version of the master key that wrapped it so it can still be unwrapped
+ * after the master key is rotated.
+ */
+
+/**
+ * A data key wrapped by a master key version
+ */
+export interface WrappedKey {
+  keyVersion: string;
+  wrappedKey: string;
+}
+
+/**
+ * Source of master keys used to wrap data keys
+ */
+export interface KeyProvider {
+  /** Name stored as the prefix of every encryption key ID */
+  readonly name: string;
+
+  /**
+   * Get the master key version new data keys are wrapped with
+   */
+  getCurrentKeyVersion(): Promise<string>;
+
+  /**
+   * Wrap a data key with the current master key version
+   */
+  wrapKey(dataKey: Buffer): Promise<WrappedKey>;
+
+  /**
+   * Unwrap a data key with the master key version that wrapped it
+   *
+   * @throws Error if the key version is unknown or the wrapped key was altered
+   */
+  unwrapKey(wrappedKey: string, keyVersion: string): Promise<Buffer>;
+}
@@ -0,0 +1,574 @@
+/**
+ * Organization Service
+ *
+ * Manages organizations, their members and roles, invitations and API keys.
+ * Invitation tokens and API keys are stored as SHA-256 hashes; the plain
+ * values are only returned once, when they are created.
+ */
+import { prisma } from '@proof-of-funds/db';
+import { ApiError } from '../middleware/errorHandler';
+import { OrgRole, ORG_ROLE_RANK, hasOrgRole } from '../middleware/organizationAuth';
+import { generateSecureToken, hashToken } from '../utils/passwordUtils';
+import { sendEmail } from '../utils/emailSender';
+import logger from '../utils/logger';
+import { auditLogService } from './auditLogService';
+import { AuditEventType, ActorType, AuditAction, AuditStatus, AuditSeverity } from '../models/auditLog';
+
+// Invitations expire after 7 days
+const INVITATION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// API keys look like pof_<48 hex chars>; the prefix is kept for display
+const API_KEY_PREFIX = 'pof_';
+const API_KEY_DISPLAY_LENGTH = 12;
+
+/**
+ * Organization fields that can be set on create and update
+ */
+export interface OrganizationInput {
+  name?: string;
+  email?: string | null;
+  contactPhone?: string | null;
+  description?: string | null;
+  settings?: Record<string, any>;
+}
+
+/**
+ * Acting member, as attached to the request by requireOrgRole
+ */
+export interface OrganizationActor {
+  userId: string;
+  role: OrgRole;
+}
+
+// Fields returned for organizations; the API key hash is never exposed
+const organizationSelect = {
+  id: true,
+  name: true,
+  email: true,
+  contactPhone: true,
+  description: true,
+  settings: true,
+  createdAt: true,
+  updatedAt: true,
+  apiKeyPrefix: true,
+  apiKeyCreatedAt: true
+};
+
+const memberSelect = {
+  userId: true,
+  role: true,
+  joinedAt: true,
+  user: {
+    select: { email: true, address: true }
+  }
+};
+
+const invitationSelect = {
+  id: true,
+  email: true,
+  role: true,
+  invitedById: true,
+  createdAt: true,
+  expiresAt: true
+};
+
+/**
+ * Service for organizations and their members
+ */
+class OrganizationService {
+  /**
+   * Create an organization owned by the given user
+   *
+   * @param userId Creating user, who becomes the first OWNER
+   * @param data Organization fields
+   * @returns Created organization
+   */
+  async createOrganization(userId: string, data: OrganizationInput) {
+    const organization = await prisma.organization.create({
+      data: {
+        name: data.name!,
+        email: data.email,
+        contactPhone: data.contactPhone,
+        description: data.description,
+        settings: data.settings || {},
+        members: {
+          create: { userId, role: 'OWNER' }
+        }
+      },
+      select: organizationSelect
+    });
+
+    await this.audit(AuditEventType.ORG_CREATE, AuditAction.CREATE, userId, organization.id, {
+      name: organization.name
+    });
+
+    return { ...organization, role: 'OWNER' as OrgRole };
+  }
+
+  /**
+   * List the organizations a user belongs to, with the user's role in each
+   *
+   * @param userId User ID
+   */
+  async listUserOrganizations(userId: string) {
+    const memberships = await prisma.organizationUser.findMany({
+      where: { userId },
+      select: {
+        role: true,
+        organization: { select: organizationSelect }
+      },
+      orderBy: { joinedAt: 'asc' }
+    });
+
+    return memberships.map(({ role, organization }) => ({ ...organization, role }));
+  }
+
+  /**
+   * Get an organization with its member count
+   *
+   * @param organizationId Organization ID
+   * @throws ApiError 404 if the organization does not exist
+   */
+  async getOrganization(organizationId: string) {
+    const organization = await prisma.organization.findUnique({
+      where: { id: organizationId },
+      select: {
+        ...organizationSelect,
+        _count: { select: { members: true } }
+      }
+    });
+
+    if (!organization) {
+      throw new ApiError(404, 'Organization not found', 'ORGANIZATION_NOT_FOUND');
+    }
+
+    const { _count, ...rest } = organization;
+    return { ...rest, memberCount: _count.members };
+  }
+
+  /**
+   * Update organization details
+   *
+   * @param organizationId Organization ID
+   * @param data Fields to update
+   * @param actorId Acting user ID
+   */
+  async updateOrganization(organizationId: string, data: OrganizationInput, actorId: string) {
+    const organization = await prisma.organization.update({
+      where: { id: organizationId },
+      data: {
+        name: data.name,
+        email: data.email,
+        contactPhone: data.contactPhone,
+        description: data.description,
+        settings: data.settings
+      },
+      select: organizationSelect
+    });
+
+    await this.audit(AuditEventType.ORG_UPDATE, AuditAction.UPDATE, actorId, organizationId, {
+      fields: Object.keys(data)
+    });
+
+    return organization;
+  }
+
+  /**
+   * Delete an organization with its members, invitations and templates
+   *
+   * @param organizationId Organization ID
+   * @param actorId Acting user ID
+   */
+  async deleteOrganization(organizationId: string, actorId: string): Promise<void> {
+    await prisma.$transaction([
+      prisma.organizationInvitation.deleteMany({ where: { organizationId } }),
+      prisma.proofTemplate.deleteMany({ where: { organizationId } }),
+      prisma.organizationUser.deleteMany({ where: { organizationId } }),
+      prisma.organization.delete({ where: { id: organizationId } })
+    ]);
+
+    await this.audit(AuditEventType.ORG_DELETE, AuditAction.DELETE, actorId, organizationId, {}, AuditSeverity.WARNING);
+  }
+
+  /**
+   * List the members of an organization
+   *
+   * @param organizationId Organization ID
+   */
+  async listMembers(organizationId: string) {
+    const members = await prisma.organizationUser.findMany({
+      where: { organizationId },
+      select: memberSelect,
+      orderBy: { joinedAt: 'asc' }
+    });
+
+    return members.map(({ user, ...member }) => ({ ...member, email: user.email, address: user.address }));
+  }
+
+  /**
+   * Change the role of a member
+   *
+   * @param organizationId Organization ID
+   * @param userId Member whose role changes
+   * @param role New role
+   * @param actor Acting member
+   * @throws ApiError if the actor may not manage the member or grant the role,
+   *   or if the change would leave the organization without an owner
+   */
+  async updateMemberRole(organizationId: string, userId: string, role: OrgRole, actor: OrganizationActor) {
+    const member = await this.getMember(organizationId, userId);
+
+    this.assertCanManage(actor, member.role as OrgRole, role);
+
+    if (member.role === 'OWNER' && role !== 'OWNER') {
+      await this.assertAnotherOwner(organizationId);
+    }
+
+    const updated = await prisma.organizationUser.update({
+      where: { userId_organizationId: { userId, organizationId } },
+      data: { role },
+      select: { userId: true, role: true, joinedAt: true }
+    });
+
+    await this.audit(AuditEventType.ORG_MEMBER_UPDATE, AuditAction.UPDATE, actor.userId, organizationId, {
+      memberId: userId,
+      previousRole: member.role,
+      role
+    });
+
+    return updated;
+  }
+
+  /**
+   * Remove a member from an organization. Members may always remove
+   * themselves, except for the last owner.
+   *
+   * @param organizationId Organization ID
+   * @param userId Member to remove
+   * @param actor Acting member
+   */
+  async removeMember(organizationId: string, userId: string, actor: OrganizationActor): Promise<void> {
+    const member = await this.getMember(organizationId, userId);
+
+    if (userId !== actor.userId) {
+      this.assertCanManage(actor, member.role as OrgRole);
+    }
+
+    if (member.role === 'OWNER') {
+      await this.assertAnotherOwner(organizationId);
+    }
+
+    await prisma.organizationUser.delete({
+      where: { userId_organizationId: { userId, organizationId } }
+    });
+
+    await this.audit(AuditEventType.ORG_MEMBER_REMOVE, AuditAction.DELETE, actor.userId, organizationId, {
+      memberId: userId,
+      role: member.role,
+      selfRemoval: userId === actor.userId
+    });
+  }
+
+  /**
+   * Invite someone to join an organization by email. A pending invitation
+   * for the same email is replaced.
+   *
+   * @param organizationId Organization ID
+   * @param email Invitee email address
+   * @param role Role granted on acceptance
+   * @param actor Acting member
+   * @param baseUrl Base URL for the invitation link
+   * @returns The invitation, without its token
+   */
+  async inviteMember(organizationId: string, email: string, role: OrgRole, actor: OrganizationActor, baseUrl: string) {
+    this.assertCanGrant(actor, role);
+
+    const normalizedEmail = email.trim().toLowerCase();
+
+    const existingMember = await prisma.organizationUser.findFirst({
+      where: { organizationId, user: { email: normalizedEmail } },
+      select: { userId: true }
+    });
+
+    if (existingMember) {
+      throw new ApiError(409, 'User is already a member of this organization', 'ALREADY_MEMBER');
+    }
+
+    const token = generateSecureToken();
+    const now = new Date();
+
+    const [, invitation] = await prisma.$transaction([
+      prisma.organizationInvitation.updateMany({
+        where: { organizationId, email: normalizedEmail, acceptedAt: null, revokedAt: null },
+        data: { revokedAt: now }
+      }),
+      prisma.organizationInvitation.create({
+        data: {
+          organizationId,
+          email: normalizedEmail,
+          role,
+          tokenHash: hashToken(token),
+          invitedById: actor.userId,
+          expiresAt: new Date(now.getTime() + INVITATION_TTL_MS)
+        },
+        select: {
+          ...invitationSelect,
+          organization: { select: { name: true } }
+        }
+      })
+    ]);
+
+    const { organization, ...result } = invitation;
+    const inviteUrl = `${baseUrl}/organizations/join?token=${token}`;
+
+    const emailSent = await sendEmail({
+      to: normalizedEmail,
+      subject: `You have been invited to join ${organization.name}`,
+      text: `You have been invited to join ${organization.name} on Proof of Funds as ${role}. Accept the invitation here: ${inviteUrl}`,
+      html: `
+        <h1>Organization Invitation</h1>
+        <p>You have been invited to join <strong>${organization.name}</strong> on Proof of Funds as ${role}.</p>
+        <a href="${inviteUrl}" style="display: inline-block; background-color: #4CAF50; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Accept Invitation</a>
+        <p>Or copy and paste this link into your browser:</p>
+        <p>${inviteUrl}</p>
+        <p>This invitation will expire in 7 days.</p>
+      `
+    });
+
+    if (!emailSent) {
+      logger.warn('Failed to send organization invitation email', { organizationId, invitationId: result.id });
+    }
+
+    await this.audit(AuditEventType.ORG_MEMBER_ADD, AuditAction.CREATE, actor.userId, organizationId, {
+      invitationId: result.id,
+      email: normalizedEmail,
+      role,
+      emailSent
+    });
+
+    return { ...result, emailSent };
+  }
+
+  /**
+   * List pending invitations of an organization
+   *
+   * @param organizationId Organization ID
+   */
+  async listInvitations(organizationId: string) {
+    return prisma.organizationInvitation.findMany({
+      where: {
+        organizationId,
+        acceptedAt: null,
+        revokedAt: null,
+        expiresAt: { gt: new Date() }
+      },
+      select: invitationSelect,
+      orderBy: { createdAt: 'desc' }
+    });
+  }
+
+  /**
+   * Revoke a pending invitation
+   *
+   * @param organizationId Organization ID
+   * @param invitationId Invitation ID
+   * @param actorId Acting user ID
+   */
+  async revokeInvitation(organizationId: string, invitationId: string, actorId: string): Promise<void> {
+    const { count } = await prisma.organizationInvitation.updateMany({
+      where: { id: invitationId, organizationId, acceptedAt: null, revokedAt: null },
+      data: { revokedAt: new Date() }
+    });
+
+    if (count === 0) {
+      throw new ApiError(404, 'Invitation not found', 'INVITATION_NOT_FOUND');
+    }
+
+    await this.audit(AuditEventType.ORG_MEMBER_UPDATE, AuditAction.REVOKE, actorId, organizationId, {
+      invitationId
+    });
+  }
+
+  /**
+   * Accept an invitation on behalf of the authenticated user. The user's
+   * email must match the invited email.
+   *
+   * @param token Invitation token from the invitation link
+   * @param userId Accepting user ID
+   * @returns The new membership
+   */
+  async acceptInvitation(token: string, userId: string) {
+    const invitation = await prisma.organizationInvitation.findUnique({
+      where: { tokenHash: hashToken(token) },
+      select: { id: true, organizationId: true, email: true, role: true, expiresAt: true, acceptedAt: true, revokedAt: true }
+    });
+
+    if (!invitation || invitation.acceptedAt || invitation.revokedAt || invitation.expiresAt <= new Date()) {
+      throw new ApiError(400, 'Invitation is invalid or has expired', 'INVALID_INVITATION');
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { email: true }
+    });
+
+    if (!user?.email || user.email.toLowerCase() !== invitation.email) {
+      throw new ApiError(403, 'This invitation was sent to a different email address', 'INVITATION_EMAIL_MISMATCH');
+    }
+
+    const existing = await prisma.organizationUser.findUnique({
+      where: { userId_organizationId: { userId, organizationId: invitation.organizationId } },
+      select: { userId: true }
+    });
+
+    if (existing) {
+      throw new ApiError(409, 'User is already a member of this organization', 'ALREADY_MEMBER');
+    }
+
+    const [membership] = await prisma.$transaction([
+      prisma.organizationUser.create({
+        data: { userId, organizationId: invitation.organizationId, role: invitation.role },
+        select: { organizationId: true, userId: true, role: true, joinedAt: true }
+      }),
+      prisma.organizationInvitation.update({
+        where: { id: invitation.id },
+        data: { acceptedAt: new Date() }
+      })
+    ]);
+
+    await this.audit(AuditEventType.ORG_MEMBER_ADD, AuditAction.UPDATE, userId, invitation.organizationId, {
+      invitationId: invitation.id,
+      role: invitation.role
+    });
+
+    return membership;
+  }
+
+  /**
+   * Generate a new API key for an organization, replacing any existing key.
+   * Only the hash is stored, so the returned key cannot be retrieved again.
+   *
+   * @param organizationId Organization ID
+   * @param actorId Acting user ID
+   * @returns The new API key with its display prefix
+   */
+  async rotateApiKey(organizationId: string, actorId: string) {
+    const apiKey = `${API_KEY_PREFIX}${generateSecureToken(24)}`;
+    const apiKeyPrefix = apiKey.slice(0, API_KEY_DISPLAY_LENGTH);
+
+    const organization = await prisma.organization.update({
+      where: { id: organizationId },
+      data: {
+        apiKey: hashToken(apiKey),
+        apiKeyPrefix,
+        apiKeyCreatedAt: new Date()
+      },
+      select: { apiKeyCreatedAt: true }
+    });
+
+    await this.audit(AuditEventType.API_KEY_CREATE, AuditAction.CREATE, actorId, organizationId, {
+      apiKeyPrefix
+    }, AuditSeverity.WARNING);
+
+    return { apiKey, apiKeyPrefix, createdAt: organization.apiKeyCreatedAt };
+  }
+
+  /**
+   * Revoke the API key of an organization
+   *
+   * @param organizationId Organization ID
+   * @param actorId Acting user ID
+   */
+  async revokeApiKey(organizationId: string, actorId: string): Promise<void> {
+    await prisma.organization.update({
+      where: { id: organizationId },
+      data: { apiKey: null, apiKeyPrefix: null, apiKeyCreatedAt: null }
+    });
+
+    await this.audit(AuditEventType.API_KEY_REVOKE, AuditAction.REVOKE, actorId, organizationId, {}, AuditSeverity.WARNING);
+  }
+
+  /**
+   * Get a member or throw 404
+   */
+  private async getMember(organizationId: string, userId: string) {
+    const member = await prisma.organizationUser.findUnique({
+      where: { userId_organizationId: { userId, organizationId } },
+      select: { userId: true, role: true }
+    });
+
+    if (!member) {
+      throw new ApiError(404, 'Member not found', 'MEMBER_NOT_FOUND');
+    }
+
+    return member;
+  }
+
+  /**
+   * Members can only grant roles up to their own
+   */
+  private assertCanGrant(actor: OrganizationActor, role: OrgRole): void {
+    if (!hasOrgRole(actor.role, role)) {
+      throw new ApiError(403, `Only members with role ${role} or higher can grant it`, 'INSUFFICIENT_ORG_ROLE');
+    }
+  }
+
+  /**
+   * Admins manage members ranked below them; owners manage everyone
+   */
+  private assertCanManage(actor: OrganizationActor, targetRole: OrgRole, newRole?: OrgRole): void {
+    const outranksTarget = actor.role === 'OWNER' || ORG_ROLE_RANK[actor.role] > ORG_ROLE_RANK[targetRole];
+
+    if (!outranksTarget) {
+      throw new ApiError(403, `Members with role ${actor.role} cannot manage members with role ${targetRole}`, 'INSUFFICIENT_ORG_ROLE');
+    }
+
+    if (newRole) {
+      this.assertCanGrant(actor, newRole);
+    }
+  }
+
+  /**
+   * An organization must always keep at least one owner
+   */
+  private async assertAnotherOwner(organizationId: string): Promise<void> {
+    const owners = await prisma.organizationUser.count({
+      where: { organizationId, role: 'OWNER' }
+    });
+
+    if (owners <= 1) {
+      throw new ApiError(409, 'An organization must have at least one owner', 'LAST_OWNER');
+    }
+  }
+
+  /**
+   * Record an organization event in the audit log
+   */
+  private async audit(
+    eventType: AuditEventType,
+    action: AuditAction,
+    actorId: string,
+    organizationId: string,
+    details: Record<string, any>,
+    severity: AuditSeverity = AuditSeverity.INFO
+  ): Promise<void> {
+    await auditLogService.log({
+      eventType,
+      actorId,
+      actorType: ActorType.USER,
+      action,
+      resourceType: 'organization',
+      resourceId: organizationId,
+      status: AuditStatus.SUCCESS,
+      details,
+      severity
+    }).catch(err => {
+      logger.error('Failed to log organization audit', { error: err, organizationId });
+    });
+  }
+}
+
+// Export singleton instance
+export const organizationService = new OrganizationService();
+
+export default organizationService;
@@ -0,0 +1,499 @@
+/**
+ * Passkey Service
+ *
+ * WebAuthn passkeys for login and step-up authentication. Passkeys are
+ * registered by a signed-in user, are discoverable so login needs no
+ * username, and always require user verification (PIN or biometrics), which
+ * makes a passkey check count as a second factor alongside TOTP.
+ *
+ * Challenges are stored in the webauthn_challenges table and used up by the
+ * first response that names them, so a response cannot be replayed.
+ */
+import { prisma } from '@proof-of-funds/db';
+import config from '../config';
+import logger from '../utils/logger';
+import { ApiError } from '../middleware/errorHandler';
+import {
+  AuthenticationResponseJSON,
+  RegistrationResponseJSON,
+  SUPPORTED_ALGORITHMS,
+  WebAuthnError,
+  fromBase64Url,
+  generateChallenge,
+  getResponseChallenge,
+  toBase64Url,
+  verifyAuthenticationResponse,
+  verifyRegistrationResponse
+} from '../utils/webauthn';
+import { generateTokenPair } from './jwtService';
+import { auditLogService } from './auditLogService';
+import { AuditEventType, ActorType, AuditAction, AuditStatus, AuditSeverity } from '../models/auditLog';
+
+export type PasskeyChallengePurpose = 'registration' | 'login' | 'step_up';
+
+// Interface for passkey service options
+export interface PasskeyOptions {
+  rpId?: string;
+  rpName?: string;
+  origins?: string[];
+  challengeTtlMs?: number;
+  maxCredentialsPerUser?: number;
+}
+
+// Passkey as shown to its owner
+export interface PasskeySummary {
+  id: string;
+  name: string;
+  transports: string[];
+  aaguid: string | null;
+  backupEligible: boolean;
+  backedUp: boolean;
+  createdAt: Date;
+  lastUsedAt: Date | null;
+}
+
+const SUMMARY_SELECT = {
+  id: true,
+  name: true,
+  transports: true,
+  aaguid: true,
+  backupEligible: true,
+  backedUp: true,
+  createdAt: true,
+  lastUsedAt: true
+};
+
+const invalidResponse = (error: unknown): ApiError => {
+  if (error instanceof WebAuthnError) {
+    return new ApiError(400, `Invalid passkey response: ${error.message}`, 'INVALID_PASSKEY_RESPONSE');
+  }
+  return error as ApiError;
+};
+
+/**
+ * Passkey Service class
+ */
+export class PasskeyService {
+  private options: Required<PasskeyOptions>;
+
+  constructor(options: PasskeyOptions = {}) {
+    this.options = {
+      rpId: options.rpId ?? config.webauthn.rpId,
+      rpName: options.rpName ?? config.webauthn.rpName,
+      origins: options.origins ?? config.webauthn.origins,
+      challengeTtlMs: options.challengeTtlMs ?? config.webauthn.challengeTtlMs,
+      maxCredentialsPerUser: options.maxCredentialsPerUser ?? config.webauthn.maxCredentialsPerUser
+    };
+  }
+
+  /**
+   * Get the options for navigator.credentials.create to register a passkey
+   *
+   * @param userId User registering the passkey
+   * @throws ApiError 404 if the user does not exist, 400 if they have the maximum number of passkeys
+   */
+  async generateRegistrationOptions(userId: string): Promise<Record<string, any>> {
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, email: true, address: true }
+    });
+    if (!user) {
+      throw new ApiError(404, 'User not found', 'USER_NOT_FOUND');
+    }
+
+    const existing = await prisma.passkeyCredential.findMany({
+      where: { userId },
+      select: { credentialId: true, transports: true }
+    });
+    if (existing.length >= this.options.maxCredentialsPerUser) {
+      throw new ApiError(400, `At most ${this.options.maxCredentialsPerUser} passkeys can be registered`, 'PASSKEY_LIMIT_REACHED');
+    }
+
+    const accountName = user.email || user.address || user.id;
+
+    return {
+      challenge: await this.createChallenge('registration', userId),
+      rp: { id: this.options.rpId, name: this.options.rpName },
+      user: { id: toBase64Url(Buffer.from(user.id)), name: accountName, displayName: accountName },
+      pubKeyCredParams: SUPPORTED_ALGORITHMS.map(alg => ({ type: 'public-key', alg })),
+      timeout: this.options.challengeTtlMs,
+      attestation: 'none',
+      authenticatorSelection: {
+        residentKey: 'required',
+        requireResidentKey: true,
+        userVerification: 'required'
+      },
+      // Keep authenticators from registering a second passkey for the same account
+      excludeCredentials: existing.map(credential => ({
+        type: 'public-key',
+        id: credential.credentialId,
+        transports: credential.transports
+      }))
+    };
+  }
+
+  /**
+   * Verify a registration response and store the passkey
+   *
+   * @param userId User registering the passkey
+   * @param response Response of navigator.credentials.create
+   * @param name Name the user gave the passkey
+   * @throws ApiError 400 for an invalid response, 409 if the passkey is already registered
+   */
+  async verifyRegistration(
+    userId: string,
+    response: RegistrationResponseJSON,
+    name?: string
+  ): Promise<PasskeySummary> {
+    let verified;
+    try {
+      const challenge = await this.consumeChallenge(response?.response?.clientDataJSON, 'registration', userId);
+      verified = verifyRegistrationResponse(response, this.expected(challenge));
+    } catch (error) {
+      throw invalidResponse(error);
+    }
+
+    const duplicate = await prisma.passkeyCredential.findUnique({
+      where: { credentialId: verified.credentialId },
+      select: { id: true }
+    });
+    if (duplicate) {
+      throw new ApiError(409, 'This passkey is already registered', 'PASSKEY_ALREADY_REGISTERED');
+    }
+
+    const passkey = await prisma.passkeyCredential.create({
+      data: {
+        userId,
+        credentialId: verified.credentialId,
+        publicKey: verified.publicKey,
+        signCount: verified.signCount,
+        transports: verified.transports,
+        aaguid: verified.aaguid,
+        name: name?.trim() || 'Passkey',
+        backupEligible: verified.backupEligible,
+        backedUp: verified.backedUp
+      },
+      select: SUMMARY_SELECT
+    });
+
+    await this.audit(AuditEventType.PASSKEY_REGISTER, userId, AuditAction.CREATE, AuditStatus.SUCCESS, {
+      passkeyId: passkey.id,
+      aaguid: verified.aaguid,
+      algorithm: verified.algorithm
+    });
+
+    logger.info('Passkey registered', { userId, passkeyId: passkey.id });
+
+    return passkey;
+  }
+
+  /**
+   * Get the options for navigator.credentials.get
+   *
+   * Login options allow any discoverable passkey of this site; step-up
+   * options list the passkeys of the signed-in user.
+   *
+   * @param purpose login or step_up
+   * @param userId Signed-in user, for step-up
+   * @throws ApiError 400 if the user has no passkeys to step up with
+   */
+  async generateAuthenticationOptions(
+    purpose: 'login' | 'step_up',
+    userId?: string
+  ): Promise<Record<string, any>> {
+    let allowCredentials: Array<Record<string, any>> = [];
+
+    if (purpose === 'step_up') {
+      const credentials = await prisma.passkeyCredential.findMany({
+        where: { userId },
+        select: { credentialId: true, transports: true }
+      });
+      if (credentials.length === 0) {
+        throw new ApiError(400, 'No passkeys are registered for this account', 'NO_PASSKEYS');
+      }
+      allowCredentials = credentials.map(credential => ({
+        type: 'public-key',
+        id: credential.credentialId,
+        transports: credential.transports
+      }));
+    }
+
+    return {
+      challenge: await this.createChallenge(purpose, userId),
+      rpId: this.options.rpId,
+      timeout: this.options.challengeTtlMs,
+      userVerification: 'required',
+      allowCredentials
+    };
+  }
+
+  /**
+   * Verify an authentication response and update the passkey's counter
+   *
+   * @param response Response of navigator.credentials.get
+   * @param purpose login or step_up
+   * @param userId Signed-in user the passkey must belong to, for step-up
+   * @returns The user the passkey belongs to and the passkey
+   * @throws ApiError 400 for an invalid response, 401 for an unknown passkey or failed check
+   */
+  async verifyAuthentication(
+    response: AuthenticationResponseJSON,
+    purpose: 'login' | 'step_up',
+    userId?: string
+  ): Promise<{ userId: string; passkey: PasskeySummary }> {
+    let challenge: string;
+    try {
+      challenge = await this.consumeChallenge(response?.response?.clientDataJSON, purpose, userId);
+    } catch (error) {
+      throw invalidResponse(error);
+    }
+
+    const credential = typeof response.rawId === 'string'
+      ? await prisma.passkeyCredential.findUnique({ where: { credentialId: response.rawId } })
+      : null;
+
+    if (!credential || (userId && credential.userId !== userId)) {
+      await this.audit(this.eventFor(purpose), userId ?? null, this.actionFor(purpose), AuditStatus.FAILURE, {
+        method: 'passkey',
+        reason: 'Unknown passkey'
+      });
+      throw new ApiError(401, 'Passkey is not registered', 'UNKNOWN_PASSKEY');
+    }
+
+    // The user handle, when sent, names the account the passkey was created for
+    const userHandle = response.response.userHandle;
+    if (userHandle && fromBase64Url(userHandle).toString('utf8') !== credential.userId) {
+      throw new ApiError(401, 'Passkey belongs to another account', 'UNKNOWN_PASSKEY');
+    }
+
+    let result;
+    try {
+      result = verifyAuthenticationResponse(response, this.expected(challenge), credential);
+    } catch (error) {
+      await this.audit(this.eventFor(purpose), credential.userId, this.actionFor(purpose), AuditStatus.FAILURE, {
+        method: 'passkey',
+        passkeyId: credential.id,
+        reason: error instanceof Error ? error.message : String(error)
+      });
+      throw error instanceof WebAuthnError
+        ? new ApiError(401, `Passkey check failed: ${error.message}`, 'PASSKEY_VERIFICATION_FAILED')
+        : error;
+    }
+
+    // Only one of concurrent uses of the same counter value succeeds
+    const { count } = await prisma.passkeyCredential.updateMany({
+      where: { id: credential.id, signCount: credential.signCount },
+      data: { signCount: result.signCount, backedUp: result.backedUp, lastUsedAt: new Date() }
+    });
+    if (count === 0) {
+      throw new ApiError(401, 'Passkey check failed: the passkey was used concurrently', 'PASSKEY_VERIFICATION_FAILED');
+    }
+
+    const passkey = await prisma.passkeyCredential.findUnique({
+      where: { id: credential.id },
+      select: SUMMARY_SELECT
+    });
+
+    if (purpose === 'step_up') {
+      await this.audit(AuditEventType.TWO_FACTOR_VERIFICATION, credential.userId, AuditAction.VERIFY, AuditStatus.SUCCESS, {
+        method: 'passkey',
+        passkeyId: credential.id
+      });
+    }
+
+    return { userId: credential.userId, passkey: passkey as PasskeySummary };
+  }
+
+  /**
+   * Log in with a passkey
+   *
+   * @param response Response of navigator.credentials.get for login options
+   * @returns Access and refresh tokens and the user
+   * @throws ApiError 401 if the passkey check fails or the account is inactive
+   */
+  async login(response: AuthenticationResponseJSON): Promise<{
+    tokens: { accessToken: string; refreshToken: string };
+    user: { id: string; email: string | null; address: string | null; permissions: string[] };
+  }> {
+    const { userId, passkey } = await this.verifyAuthentication(response, 'login');
+
+    const user = await prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, email: true, address: true, permissions: true, isActive: true }
+    });
+
+    if (!user || !user.isActive) {
+      await this.audit(AuditEventType.AUTH_LOGIN, userId, AuditAction.LOGIN, AuditStatus.FAILURE, {
+        reason: 'Account inactive',
+        loginType: 'passkey'
+      });
+      throw new ApiError(401, 'Account is inactive. Please contact support.', 'ACCOUNT_INACTIVE');
+    }
+
+    const tokens = await generateTokenPair({
+      userId: user.id,
+      email: user.email || undefined,
+      walletAddress: user.address || undefined,
+      permissions: user.permissions
+    });
+
+    await prisma.user.update({
+      where: { id: user.id },
+      data: { lastLoginAt: new Date() }
+    });
+
+    await this.audit(AuditEventType.AUTH_LOGIN, user.id, AuditAction.LOGIN, AuditStatus.SUCCESS, {
+      loginType: 'passkey',
+      passkeyId: passkey.id
+    });
+
+    return {
+      tokens: { accessToken: tokens.accessToken, refreshToken: tokens.refreshToken },
+      user: { id: user.id, email: user.email, address: user.address, permissions: user.permissions }
+    };
+  }
+
+  /**
+   * List the passkeys of a user
+   */
+  async listCredentials(userId: string): Promise<PasskeySummary[]> {
+    return prisma.passkeyCredential.findMany({
+      where: { userId },
+      select: SUMMARY_SELECT,
+      orderBy: { createdAt: 'asc' }
+    });
+  }
+
+  /**
+   * Rename a passkey
+   *
+   * @throws ApiError 404 if the user has no such passkey
+   */
+  async renameCredential(userId: string, passkeyId: string, name: string): Promise<PasskeySummary> {
+    const { count } = await prisma.passkeyCredential.updateMany({
+      where: { id: passkeyId, userId },
+      data: { name: name.trim() }
+    });
+    if (count === 0) {
+      throw new ApiError(404, 'Passkey not found', 'PASSKEY_NOT_FOUND');
+    }
+
+    await this.audit(AuditEventType.PASSKEY_UPDATE, userId, AuditAction.UPDATE, AuditStatus.SUCCESS, { passkeyId });
+
+    return prisma.passkeyCredential.findUnique({
+      where: { id: passkeyId },
+      select: SUMMARY_SELECT
+    }) as Promise<PasskeySummary>;
+  }
+
+  /**
+   * Remove a passkey
+   *
+   * @throws ApiError 404 if the user has no such passkey
+   */
+  async deleteCredential(userId: string, passkeyId: string): Promise<void> {
+    const { count } = await prisma.passkeyCredential.deleteMany({
+      where: { id: passkeyId, userId }
+    });
+    if (count === 0) {
+      throw new ApiError(404, 'Passkey not found', 'PASSKEY_NOT_FOUND');
+    }
+
+    await this.audit(AuditEventType.PASSKEY_REMOVE, userId, AuditAction.DELETE, AuditStatus.SUCCESS, { passkeyId });
+
+    logger.info('Passkey removed', { userId, passkeyId });
+  }
+
+  private expected(challenge: string) {
+    return {
+      challenge,
+      origins: this.options.origins,
+      rpId: this.options.rpId,
+      requireUserVerification: true
+    };
+  }
+
+  private async createChallenge(purpose: PasskeyChallengePurpose, userId?: string): Promise<string> {
+    const challenge = generateChallenge();
+
+    await prisma.webAuthnChallenge.create({
+      data: {
+        challenge,
+        purpose,
+        userId: userId ?? null,
+        expiresAt: new Date(Date.now() + this.options.challengeTtlMs)
+      }
+    });
+
+    return challenge;
+  }
+
+  /**
+   * Use up the challenge a response was made for
+   *
+   * @throws WebAuthnError if the challenge is unknown, used, expired or for another purpose or user
+   */
+  private async consumeChallenge(
+    clientDataJSON: string | undefined,
+    purpose: PasskeyChallengePurpose,
+    userId?: string
+  ): Promise<string> {
+    const challenge = getResponseChallenge(clientDataJSON as string);
+    const now = new Date();
+
+    const { count } = await prisma.webAuthnChallenge.updateMany({
+      where: {
+        challenge,
+        purpose,
+        userId: userId ?? null,
+        usedAt: null,
+        expiresAt: { gt: now }
+      },
+      data: { usedAt: now }
+    });
+
+    if (count === 0) {
+      throw new WebAuthnError('Unknown, used or expired challenge');
+    }
+
+    return challenge;
+  }
+
+  private eventFor(purpose: 'login' | 'step_up'): AuditEventType {
+    return purpose === 'login' ? AuditEventType.AUTH_LOGIN : AuditEventType.TWO_FACTOR_VERIFICATION;
+  }
+
+  private actionFor(purpose: 'login' | 'step_up'): AuditAction {
+    return purpose === 'login' ? AuditAction.LOGIN : AuditAction.VERIFY;
+  }
+
+  private async audit(
+    eventType: AuditEventType,
+    userId: string | null,
+    action: AuditAction,
+    status: AuditStatus,
+    details: Record<string, any>
+  ): Promise<void> {
+    try {
+      await auditLogService.log({
+        eventType,
+        actorId: userId ?? undefined,
+        actorType: userId ? ActorType.USER : ActorType.ANONYMOUS,
+        action,
+        status,
+        details,
+        severity: status === AuditStatus.SUCCESS ? AuditSeverity.INFO : AuditSeverity.WARNING
+      });
+    } catch (error) {
+      logger.error('Failed to log passkey audit event', {
+        userId,
+        error: error instanceof Error ? error.message : String(error)
+      });
+    }
+  }
+}
+
+// Create a singleton instance
+export const passkeyService = new PasskeyService();
+
+export default passkeyService;
@@ -0,0 +1,110 @@
+/**
+ * Chains and tokens shared by portfolio providers
+ */
+import { ethers } from 'ethers';
+import { PortfolioChain, TokenBalance, TokenDefinition } from './types';
+
+export const PORTFOLIO_CHAINS: Record<string, PortfolioChain> = {
+  ethereum: { name: 'ethereum', family: 'evm', chainId: 1, moralisChain: 'eth', nativeSymbol: 'ETH', nativeName: 'Ether', nativeDecimals: 18 },
+  polygon: { name: 'polygon', family: 'evm', chainId: 137, moralisChain: 'polygon', nativeSymbol: 'POL', nativeName: 'Polygon', nativeDecimals: 18 },
+  bsc: { name: 'bsc', family: 'evm', chainId: 56, moralisChain: 'bsc', nativeSymbol: 'BNB', nativeName: 'BNB', nativeDecimals: 18 },
+  arbitrum: { name: 'arbitrum', family: 'evm', chainId: 42161, moralisChain: 'arbitrum', nativeSymbol: 'ETH', nativeName: 'Ether', nativeDecimals: 18 },
+  optimism: { name: 'optimism', family: 'evm', chainId: 10, moralisChain: 'optimism', nativeSymbol: 'ETH', nativeName: 'Ether', nativeDecimals: 18 },
+  avalanche: { name: 'avalanche', family: 'evm', chainId: 43114, moralisChain: 'avalanche', nativeSymbol: 'AVAX', nativeName: 'Avalanche', nativeDecimals: 18 },
+  fantom: { name: 'fantom', family: 'evm', chainId: 250, moralisChain: 'fantom', nativeSymbol: 'FTM', nativeName: 'Fantom', nativeDecimals: 18 },
+  base: { name: 'base', family: 'evm', chainId: 8453, moralisChain: 'base', nativeSymbol: 'ETH', nativeName: 'Ether', nativeDecimals: 18 },
+  solana: { name: 'solana', family: 'solana', nativeSymbol: 'SOL', nativeName: 'Solana', nativeDecimals: 9 }
+};
+
+// Widely held ERC-20 tokens read by the RPC provider, which cannot discover tokens by itself
+export const DEFAULT_EVM_TOKENS: Record<number, TokenDefinition[]> = {
+  1: [
+    { address: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48', symbol: 'USDC', name: 'USD Coin', decimals: 6 },
+    { address: '0xdAC17F958D2ee523a2206206994597C13D831ec7', symbol: 'USDT', name: 'Tether USD', decimals: 6 },
+    { address: '0x6B175474E89094C44Da98b954EedeAC495271d0F', symbol: 'DAI', name: 'Dai Stablecoin', decimals: 18 },
+    { address: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2', symbol: 'WETH', name: 'Wrapped Ether', decimals: 18 },
+    { address: '0x2260FAC5E5542a773Aa44fBCfeDf7C193bc2C599', symbol: 'WBTC', name: 'Wrapped BTC', decimals: 8 }
+  ],
+  137: [
+    { address: '0x3c499c542cEF5E3811e1192ce70d8cC03d5c3359', symbol: 'USDC', name: 'USD Coin', decimals: 6 },
+    { address: '0x2791Bca1f2de4661ED88A30C99A7a9449Aa84174', symbol: 'USDC.e', name: 'Bridged USD Coin', decimals: 6 },
+    { address: '0xc2132D05D31c914a87C6611C10748AEb04B58e8F', symbol: 'USDT', name: 'Tether USD', decimals: 6 },
+    { address: '0x8f3Cf7ad23Cd3CaDbD9735AFf958023239c6A063', symbol: 'DAI', name: 'Dai Stablecoin', decimals: 18 },
+    { address: '0x7ceB23fD6bC0adD59E62ac25578270cFf1b9f619', symbol: 'WETH', name: 'Wrapped Ether', decimals: 18 },
+    { address: '0x1BFD67037B42Cf73acF2047067bd4F2C47D9BfD6', symbol: 'WBTC', name: 'Wrapped BTC', decimals: 8 }
+  ],
+  56: [
+    { address: '0x8AC76a51cc950d9822D68b83fE1Ad97B32Cd580d', symbol: 'USDC', name: 'USD Coin', decimals: 18 },
+    { address: '0x55d398326f99059fF775485246999027B3197955', symbol: 'USDT', name: 'Tether USD', decimals: 18 },
+    { address: '0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c', symbol: 'WBNB', name: 'Wrapped BNB', decimals: 18 }
+  ],
+  42161: [
+    { address: '0xaf88d065e77c8cC2239327C5EDb3A432268e5831', symbol: 'USDC', name: 'USD Coin', decimals: 6 },
+    { address: '0xFd086bC7CD5C481DCC9C85ebE478A1C0b69FCbb9', symbol: 'USDT', name: 'Tether USD', decimals: 6 },
+    { address: '0x82aF49447D8a07e3bd95BD0d56f35241523fBab1', symbol: 'WETH', name: 'Wrapped Ether', decimals: 18 }
+  ],
+  10: [
+    { address: '0x0b2C639c533813f4Aa9D7837CAf62653d097Ff85', symbol: 'USDC', name: 'USD Coin', decimals: 6 },
+    { address: '0x4200000000000000000000000000000000000006', symbol: 'WETH', name: 'Wrapped Ether', decimals: 18 }
+  ],
+  43114: [
+    { address: '0xB97EF9Ef8734C71904D8002F8b6Bc66Dd9c48a6E', symbol: 'USDC', name: 'USD Coin', decimals: 6 },
+    { address: '0x9702230A8Ea53601f5cD2dc00fDBc13d4dF4A8c7', symbol: 'USDT', name: 'Tether USD', decimals: 6 },
+    { address: '0xB31f66AA3C1e785363F0875A1B74E27b85FD66c7', symbol: 'WAVAX', name: 'Wrapped AVAX', decimals: 18 }
+  ],
+  250: [
+    { address: '0x21be370D5312f44cB42ce377BC9b8a0cEF1A4C83', symbol: 'WFTM', name: 'Wrapped Fantom', decimals: 18 }
+  ],
+  8453: [
+    { address: '0x833589fCD6eDb6E08f4c7C32D4f71b54bdA02913', symbol: 'USDC', name: 'USD Coin', decimals: 6 },
+    { address: '0x4200000000000000000000000000000000000006', symbol: 'WETH', name: 'Wrapped Ether', decimals: 18 }
+  ]
+};
+
+// Symbols of well-known SPL token mints; other mints are reported by address
+export const KNOWN_SPL_TOKENS: Record<string, { symbol: string; name: string }> = {
+  EPjFWdd5AufqSSqeM2qN1xzybapC8G4wEGGkZwyTDt1v: { symbol: 'USDC', name: 'USD Coin' },
+  Es9vMFrzaCERmJfrF4H2FYD4KCoNkY11McCe8BenwNYB: { symbol: 'USDT', name: 'Tether USD' }
+};
+
+/**
+ * Get a chain by name
+ *
+ * @returns The chain, or null if it is not supported
+ */
+export const getPortfolioChain = (name: string): PortfolioChain | null => {
+  return PORTFOLIO_CHAINS[name.trim().toLowerCase()] || null;
+};
+
+/**
+ * Get an EVM chain by chain ID
+ *
+ * @returns The chain, or null if it is not supported
+ */
+export const getPortfolioChainById = (chainId: number): PortfolioChain | null => {
+  return Object.values(PORTFOLIO_CHAINS).find(chain => chain.chainId === chainId) || null;
+};
+
+/**
+ * Create a balance from an integer amount in the smallest unit
+ */
+export const createBalance = (
+  chain: PortfolioChain,
+  asset: Omit<TokenBalance, 'chain' | 'balance'>
+): TokenBalance => ({
+  chain: chain.name,
+  ...asset,
+  balance: parseFloat(ethers.utils.formatUnits(asset.rawBalance, asset.decimals))
+});
+
+/**
+ * Create a balance of a chain's native asset
+ */
+export const createNativeBalance = (chain: PortfolioChain, rawBalance: string): TokenBalance => createBalance(chain, {
+  type: 'native',
+  address: null,
+  symbol: chain.nativeSymbol,
+  name: chain.nativeName,
+  decimals: chain.nativeDecimals,
+  rawBalance
+});
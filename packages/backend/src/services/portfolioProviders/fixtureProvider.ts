@@ -0,0 +1,74 @@
+/**
+ * Fixture Provider
+ *
+ * Returns balances from fixtures instead of a chain, for tests and local
+ * development. Fixtures map chain names to wallet addresses to balances,
+ * or to { error } to make the provider fail for a wallet:
+ *
+ *   { "ethereum": { "0xabc...": [{ "symbol": "ETH", "rawBalance": "1000000000000000000", ... }] } }
+ *
+ * Fixtures are passed in or read from the JSON file at PORTFOLIO_FIXTURE_PATH.
+ */
+import fs from 'fs';
+import config from '../../config';
+import { BalanceQueryOptions, PortfolioChain, PortfolioProvider, TokenBalance } from './types';
+import { createBalance } from './chains';
+
+export const FIXTURE_PROVIDER = 'fixture';
+
+export type FixtureBalance = Omit<TokenBalance, 'chain' | 'balance'>;
+
+export type PortfolioFixtures = Record<string, Record<string, FixtureBalance[] | { error: string }>>;
+
+export interface FixtureProviderOptions {
+  fixtures?: PortfolioFixtures;
+  fixturePath?: string;
+}
+
+/**
+ * Provider backed by fixtures
+ */
+export class FixtureProvider implements PortfolioProvider {
+  readonly name = FIXTURE_PROVIDER;
+  private fixtures: PortfolioFixtures | null;
+  private fixturePath: string;
+
+  constructor(options: FixtureProviderOptions = {}) {
+    this.fixtures = options.fixtures ?? null;
+    this.fixturePath = options.fixturePath ?? config.portfolio.fixturePath;
+  }
+
+  supportsChain(chain: PortfolioChain): boolean {
+    return Boolean(this.getFixtures()[chain.name]);
+  }
+
+  async isAvailable(): Promise<boolean> {
+    return Boolean(this.fixtures || this.fixturePath);
+  }
+
+  async getBalances(address: string, chain: PortfolioChain, options: BalanceQueryOptions): Promise<TokenBalance[]> {
+    const wallets = this.getFixtures()[chain.name] || {};
+    const fixture = wallets[address] ?? wallets[address.toLowerCase()] ?? [];
+
+    if (!Array.isArray(fixture)) {
+      throw new Error(fixture.error);
+    }
+
+    return fixture
+      .map(asset => createBalance(chain, asset))
+      .filter(balance => options.includeZeroBalances || balance.balance > 0)
+      .filter(balance => options.includePotentialSpam || !balance.possibleSpam);
+  }
+
+  /**
+   * Get the fixtures, reading the fixture file the first time
+   */
+  private getFixtures(): PortfolioFixtures {
+    if (!this.fixtures) {
+      this.fixtures = this.fixturePath
+        ? JSON.parse(fs.readFileSync(this.fixturePath, 'utf8')) as PortfolioFixtures
+        : {};
+    }
+    return this.fixtures;
+  }
+}
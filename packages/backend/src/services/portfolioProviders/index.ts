@@ -0,0 +1,48 @@
+/**
+ * Portfolio Providers
+ *
+ * Providers are created by name from the portfolio configuration. Other
+ * providers can be added with registerPortfolioProviderFactory.
+ */
+import { PortfolioProvider } from './types';
+import { MoralisProvider, MORALIS_PROVIDER } from './moralisProvider';
+import { RpcProvider, RPC_PROVIDER } from './rpcProvider';
+import { SolanaRpcProvider, SOLANA_RPC_PROVIDER } from './solanaRpcProvider';
+import { FixtureProvider, FIXTURE_PROVIDER } from './fixtureProvider';
+
+export * from './types';
+export * from './chains';
+export { MoralisProvider, MORALIS_PROVIDER } from './moralisProvider';
+export { RpcProvider, RPC_PROVIDER } from './rpcProvider';
+export { SolanaRpcProvider, SOLANA_RPC_PROVIDER } from './solanaRpcProvider';
+export { FixtureProvider, FIXTURE_PROVIDER } from './fixtureProvider';
+export type { FixtureBalance, PortfolioFixtures } from './fixtureProvider';
+
+const factories = new Map<string, () => PortfolioProvider>([
+  [MORALIS_PROVIDER, () => new MoralisProvider()],
+  [RPC_PROVIDER, () => new RpcProvider()],
+  [SOLANA_RPC_PROVIDER, () => new SolanaRpcProvider()],
+  [FIXTURE_PROVIDER, () => new FixtureProvider()]
+]);
+
+/**
+ * Register a portfolio provider that can then be selected by name
+ */
+export const registerPortfolioProviderFactory = (name: string, factory: () => PortfolioProvider): void => {
+  factories.set(name, factory);
+};
+
+/**
+ * Create a portfolio provider by name
+ *
+ * @throws Error if no provider is registered under the name
+ */
+export const createPortfolioProvider = (name: string): PortfolioProvider => {
+  const factory = factories.get(name);
+
+  if (!factory) {
+    throw new Error(`Unknown portfolio provider: ${name}`);
+  }
+
+  return factory();
+};
@@ -0,0 +1,102 @@
+/**
+ * Moralis Provider
+ *
+ * Reads native and token balances of EVM wallets, with USD prices, from the
+ * Moralis wallet tokens API.
+ */
+import { ethers } from 'ethers';
+import config from '../../config';
+import { BalanceQueryOptions, PortfolioChain, PortfolioProvider, TokenBalance } from './types';
+import { createBalance } from './chains';
+
+export const MORALIS_PROVIDER = 'moralis';
+
+// Pages read per wallet; wallets holding more tokens are cut off rather than scanned forever
+const MAX_PAGES = 10;
+
+export interface MoralisProviderOptions {
+  apiKey?: string;
+  apiUrl?: string;
+}
+
+const toNumber = (value: unknown): number | undefined => {
+  const number = typeof value === 'number' ? value : parseFloat(String(value));
+  return Number.isFinite(number) ? number : undefined;
+};
+
+/**
+ * Provider backed by the Moralis API
+ */
+export class MoralisProvider implements PortfolioProvider {
+  readonly name = MORALIS_PROVIDER;
+  private apiKey: string;
+  private apiUrl: string;
+
+  constructor(options: MoralisProviderOptions = {}) {
+    this.apiKey = options.apiKey ?? config.portfolio.moralis.apiKey;
+    this.apiUrl = options.apiUrl ?? config.portfolio.moralis.apiUrl;
+  }
+
+  supportsChain(chain: PortfolioChain): boolean {
+    return chain.family === 'evm' && Boolean(chain.moralisChain);
+  }
+
+  async isAvailable(): Promise<boolean> {
+    return Boolean(this.apiKey);
+  }
+
+  async getBalances(address: string, chain: PortfolioChain, options: BalanceQueryOptions): Promise<TokenBalance[]> {
+    const balances: TokenBalance[] = [];
+    let cursor: string | null = null;
+
+    for (let page = 0; page < MAX_PAGES; page++) {
+      const params = new URLSearchParams({
+        chain: chain.moralisChain as string,
+        exclude_spam: String(!options.includePotentialSpam)
+      });
+      if (cursor) {
+        params.set('cursor', cursor);
+      }
+
+      const response = await fetch(`${this.apiUrl}/wallets/${address}/tokens?${params}`, {
+        method: 'GET',
+        headers: {
+          'Accept': 'application/json',
+          'X-API-Key': this.apiKey
+        }
+      });
+
+      if (!response.ok) {
+        throw new Error(`Moralis API error: ${response.status} ${response.statusText}`);
+      }
+
+      const data: any = await response.json();
+
+      for (const token of data.result || []) {
+        const rawBalance = String(token.balance ?? '0');
+        if (!options.includeZeroBalances && ethers.BigNumber.from(rawBalance).isZero()) {
+          continue;
+        }
+
+        balances.push(createBalance(chain, {
+          type: token.native_token ? 'native' : 'token',
+          address: token.native_token ? null : String(token.token_address).toLowerCase(),
+          symbol: token.symbol || (token.native_token ? chain.nativeSymbol : 'UNKNOWN'),
+          name: token.name || token.symbol || 'Unknown token',
+          decimals: Number(token.decimals ?? chain.nativeDecimals),
+          rawBalance,
+          usdPrice: toNumber(token.usd_price),
+          usdValue: toNumber(token.usd_value),
+          possibleSpam: Boolean(token.possible_spam)
+        }));
+      }
+
+      cursor = data.cursor || null;
+      if (!cursor) {
+        break;
+      }
+    }
+
+    return balances;
+  }
+}
@@ -0,0 +1,139 @@
+/**
+ * RPC Provider
+ *
+ * Reads balances of EVM wallets directly from chain RPC nodes. The native
+ * balance and ERC-20 balanceOf for each listed token are read in one
+ * Multicall3 aggregate3 call, so a wallet costs one RPC request per chain.
+ * Tokens are not discovered: only the default tokens of the chain and the
+ * tokens passed with a scan are read, and no USD prices are returned.
+ */
+import { ethers } from 'ethers';
+import config from '../../config';
+import { BalanceQueryOptions, PortfolioChain, PortfolioProvider, TokenBalance, TokenDefinition } from './types';
+import { DEFAULT_EVM_TOKENS, createBalance, createNativeBalance } from './chains';
+
+export const RPC_PROVIDER = 'rpc';
+
+const MULTICALL3_ABI = [
+  'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)',
+  'function getEthBalance(address addr) view returns (uint256 balance)'
+];
+const ERC20_ABI = ['function balanceOf(address owner) view returns (uint256)'];
+
+const multicallInterface = new ethers.utils.Interface(MULTICALL3_ABI);
+const erc20Interface = new ethers.utils.Interface(ERC20_ABI);
+
+export interface RpcProviderOptions {
+  rpcUrls?: Record<number, string>;
+  multicallAddress?: string;
+  // Providers by chain ID, used instead of connecting to rpcUrls
+  providers?: Record<number, ethers.providers.Provider>;
+  // Tokens by chain ID, replacing the default token lists
+  tokens?: Record<number, TokenDefinition[]>;
+}
+
+/**
+ * Provider backed by chain RPC nodes and Multicall3
+ */
+export class RpcProvider implements PortfolioProvider {
+  readonly name = RPC_PROVIDER;
+  private rpcUrls: Record<number, string>;
+  private multicallAddress: string;
+  private tokens: Record<number, TokenDefinition[]>;
+  private providers: Map<number, ethers.providers.Provider>;
+
+  constructor(options: RpcProviderOptions = {}) {
+    this.rpcUrls = options.rpcUrls ?? config.portfolio.rpc.rpcUrls;
+    this.multicallAddress = options.multicallAddress ?? config.portfolio.rpc.multicallAddress;
+    this.tokens = options.tokens ?? DEFAULT_EVM_TOKENS;
+    this.providers = new Map(
+      Object.entries(options.providers || {}).map(([chainId, provider]) => [Number(chainId), provider])
+    );
+  }
+
+  supportsChain(chain: PortfolioChain): boolean {
+    return chain.family === 'evm'
+      && chain.chainId !== undefined
+      && (this.providers.has(chain.chainId) || Boolean(this.rpcUrls[chain.chainId]));
+  }
+
+  async isAvailable(): Promise<boolean> {
+    return true;
+  }
+
+  async getBalances(address: string, chain: PortfolioChain, options: BalanceQueryOptions): Promise<TokenBalance[]> {
+    const chainId = chain.chainId as number;
+    const tokens = this.getTokens(chainId, options.tokens);
+
+    // The native balance must be read; a token without a standard balanceOf is skipped
+    const calls = [
+      {
+        target: this.multicallAddress,
+        allowFailure: false,
+        callData: multicallInterface.encodeFunctionData('getEthBalance', [address])
+      },
+      ...tokens.map(token => ({
+        target: token.address,
+        allowFailure: true,
+        callData: erc20Interface.encodeFunctionData('balanceOf', [address])
+      }))
+    ];
+
+    const result = await this.getProvider(chainId).call({
+      to: this.multicallAddress,
+      data: multicallInterface.encodeFunctionData('aggregate3', [calls])
+    });
+    const [returnData] = multicallInterface.decodeFunctionResult('aggregate3', result);
+
+    const balances: TokenBalance[] = [
+      createNativeBalance(chain, multicallInterface.decodeFunctionResult('getEthBalance', returnData[0].returnData)[0].toString())
+    ];
+
+    tokens.forEach((token, index) => {
+      const call = returnData[index + 1];
+      if (!call.success || ethers.utils.hexDataLength(call.returnData) !== 32) {
+        return;
+      }
+
+      balances.push(createBalance(chain, {
+        type: 'token',
+        address: token.address.toLowerCase(),
+        symbol: token.symbol,
+        name: token.name,
+        decimals: token.decimals,
+        rawBalance: ethers.BigNumber.from(call.returnData).toString()
+      }));
+    });
+
+    return options.includeZeroBalances
+      ? balances
+      : balances.filter(balance => !ethers.BigNumber.from(balance.rawBalance).isZero());
+  }
+
+  /**
+   * Get the tokens to read on a chain, without duplicates
+   */
+  private getTokens(chainId: number, extra: TokenDefinition[] = []): TokenDefinition[] {
+    const tokens = new Map<string, TokenDefinition>();
+
+    for (const token of [...(this.tokens[chainId] || []), ...extra]) {
+      if (ethers.utils.isAddress(token.address)) {
+        tokens.set(token.address.toLowerCase(), token);
+      }
+    }
+
+    return [...tokens.values()];
+  }
+
+  /**
+   * Get the provider for a chain
+   */
+  private getProvider(chainId: number): ethers.providers.Provider {
+    let provider = this.providers.get(chainId);
+    if (!provider) {
+      provider = new ethers.providers.StaticJsonRpcProvider(this.rpcUrls[chainId], chainId);
+      this.providers.set(chainId, provider);
+    }
+    return provider;
+  }
+}
@@ -0,0 +1,107 @@
+/**
+ * Solana RPC Provider
+ *
+ * Reads the SOL balance and SPL token balances of Solana wallets from a
+ * Solana JSON-RPC node. Balances of several token accounts for the same
+ * mint are added up.
+ */
+import { ethers } from 'ethers';
+import config from '../../config';
+import { BalanceQueryOptions, PortfolioChain, PortfolioProvider, TokenBalance } from './types';
+import { KNOWN_SPL_TOKENS, createBalance, createNativeBalance } from './chains';
+
+export const SOLANA_RPC_PROVIDER = 'solana-rpc';
+
+const SPL_TOKEN_PROGRAM = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
+
+export interface SolanaRpcProviderOptions {
+  rpcUrl?: string;
+}
+
+/**
+ * Provider backed by a Solana RPC node
+ */
+export class SolanaRpcProvider implements PortfolioProvider {
+  readonly name = SOLANA_RPC_PROVIDER;
+  private rpcUrl: string;
+
+  constructor(options: SolanaRpcProviderOptions = {}) {
+    this.rpcUrl = options.rpcUrl ?? config.portfolio.solana.rpcUrl;
+  }
+
+  supportsChain(chain: PortfolioChain): boolean {
+    return chain.family === 'solana';
+  }
+
+  async isAvailable(): Promise<boolean> {
+    return Boolean(this.rpcUrl);
+  }
+
+  async getBalances(address: string, chain: PortfolioChain, options: BalanceQueryOptions): Promise<TokenBalance[]> {
+    const [lamports, tokenAccounts] = await Promise.all([
+      this.rpc('getBalance', [address, { commitment: 'confirmed' }]),
+      this.rpc('getParsedTokenAccountsByOwner', [
+        address,
+        { programId: SPL_TOKEN_PROGRAM },
+        { encoding: 'jsonParsed', commitment: 'confirmed' }
+      ])
+    ]);
+
+    const mints = new Map<string, { amount: ethers.BigNumber; decimals: number }>();
+
+    for (const account of tokenAccounts?.value || []) {
+      const info = account?.account?.data?.parsed?.info;
+      if (!info?.mint || !info.tokenAmount) {
+        continue;
+      }
+
+      const current = mints.get(info.mint);
+      mints.set(info.mint, {
+        amount: (current?.amount || ethers.BigNumber.from(0)).add(info.tokenAmount.amount),
+        decimals: Number(info.tokenAmount.decimals)
+      });
+    }
+
+    const balances: TokenBalance[] = [createNativeBalance(chain, String(lamports?.value ?? 0))];
+
+    for (const [mint, { amount, decimals }] of mints) {
+      const known = KNOWN_SPL_TOKENS[mint];
+      balances.push(createBalance(chain, {
+        type: 'token',
+        address: mint,
+        symbol: known?.symbol || mint.slice(0, 6),
+        name: known?.name || 'Unknown SPL token',
+        decimals,
+        rawBalance: amount.toString()
+      }));
+    }
+
+    return options.includeZeroBalances
+      ? balances
+      : balances.filter(balance => !ethers.BigNumber.from(balance.rawBalance).isZero());
+  }
+
+  /**
+   * Call a Solana JSON-RPC method
+   *
+   * @throws Error if the request fails or the node returns an error
+   */
+  private async rpc(method: string, params: any[]): Promise<any> {
+    const response = await fetch(this.rpcUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Solana RPC error: ${response.status} ${response.statusText}`);
+    }
+
+    const data: any = await response.json();
+    if (data.error) {
+      throw new Error(`Solana RPC error: ${data.error.message || data.error.code}`);
+    }
+
+    return data.result;
+  }
+}
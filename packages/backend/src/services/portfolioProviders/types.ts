@@ -0,0 +1,85 @@
+/**
+ * Portfolio Provider Types
+ *
+ * A portfolio provider reads the native and token balances of a wallet on
+ * one chain: from an indexing API, directly from chain RPC nodes, or from
+ * fixtures. Providers are addressed by name and tried in order, so a chain
+ * can fall back to another provider when one fails.
+ */
+
+export type ChainFamily = 'evm' | 'solana';
+
+/**
+ * Chain a portfolio can be scanned on
+ */
+export interface PortfolioChain {
+  name: string;
+  family: ChainFamily;
+  chainId?: number;            // EVM chains only
+  moralisChain?: string;       // Chain parameter of the Moralis API
+  nativeSymbol: string;
+  nativeName: string;
+  nativeDecimals: number;
+}
+
+/**
+ * Token read by the RPC providers
+ */
+export interface TokenDefinition {
+  address: string;
+  symbol: string;
+  name: string;
+  decimals: number;
+}
+
+/**
+ * Balance of one asset held by a wallet
+ */
+export interface TokenBalance {
+  chain: string;
+  type: 'native' | 'token';
+  address: string | null;      // Token contract or mint; null for the native asset
+  symbol: string;
+  name: string;
+  decimals: number;
+  rawBalance: string;          // Integer amount in the smallest unit
+  balance: number;             // rawBalance divided by 10^decimals
+  usdPrice?: number;
+  usdValue?: number;
+  possibleSpam?: boolean;
+}
+
+/**
+ * Options for reading balances
+ */
+export interface BalanceQueryOptions {
+  includeZeroBalances: boolean;
+  includePotentialSpam: boolean;
+  // Tokens to read on top of the provider's defaults, for providers that read token lists
+  tokens?: TokenDefinition[];
+}
+
+/**
+ * Source wallet balances are read from
+ */
+export interface PortfolioProvider {
+  /** Name the provider is selected by in the portfolio configuration */
+  readonly name: string;
+
+  /**
+   * Whether the provider can read balances on a chain
+   */
+  supportsChain(chain: PortfolioChain): boolean;
+
+  /**
+   * Whether the provider can be used, e.g. has an API key
+   */
+  isAvailable(): Promise<boolean>;
+
+  /**
+   * Read the balances of a wallet on a chain
+   *
+   * @throws Error if the source could not be queried
+   */
+  getBalances(address: string, chain: PortfolioChain, options: BalanceQueryOptions): Promise<TokenBalance[]>;
+}
@@ -0,0 +1,423 @@
+/**
+ * Portfolio Scanner Service
+ *
+ * Reads the balances of wallets across chains on the server, so balances
+ * can be checked again when a proof is verified without a browser wallet.
+ *
+ * Each chain is scanned with the configured portfolio providers in order: a
+ * provider that does not support the chain, is not configured, fails or
+ * times out is skipped for the next one. Chains are scanned in parallel and
+ * a limited number of wallets at a time on each chain. Balances are cached
+ * per wallet and chain in the shared apiHelpers cache.
+ *
+ * The summary has the shape of walletHelpers.scanMultiChainAssets in the
+ * browser, plus the provider used for each wallet and chain. Proof
+ * verification reads the current native balances of a proof's wallets with
+ * getNativeBalances.
+ */
+import { cache, optimizeChainOrder, organizeAssetsByCrossChain } from '@proof-of-funds/common/utils/apiHelpers';
+import { ApiError } from '../middleware/errorHandler';
+import config from '../config';
+import logger from '../utils/logger';
+import { detectChain } from './sanctionsProviders/address';
+import {
+  PortfolioChain,
+  PortfolioProvider,
+  TokenBalance,
+  TokenDefinition,
+  createPortfolioProvider,
+  getPortfolioChain,
+  getPortfolioChainById
+} from './portfolioProviders';
+
+// Interface for portfolio scanner options
+export interface PortfolioScannerOptions {
+  providers?: PortfolioProvider[];
+  chains?: string[];
+  concurrencyPerChain?: number;
+  providerTimeoutMs?: number;
+  cacheTtlMs?: number;
+}
+
+// Interface for the options of a scan
+export interface ScanOptions {
+  // Chains to scan; defaults to the configured chains
+  chains?: string[];
+  includeZeroBalances?: boolean;
+  includePotentialSpam?: boolean;
+  // Read balances from the cache when they are fresh enough
+  useCache?: boolean;
+  // Extra tokens to read by chain name, for providers that read token lists
+  tokens?: Record<string, TokenDefinition[]>;
+}
+
+// Interface for the balances of one wallet on one chain
+export interface WalletScanResult {
+  address: string;
+  chain: string;
+  success: boolean;
+  provider?: string;
+  cached?: boolean;
+  balances: TokenBalance[];
+  error?: string;
+}
+
+// Interface for the balances of one chain
+export interface ChainSummary {
+  nativeBalance: number;
+  tokens: Record<string, number>;
+  nativeUSDValue: number;
+  tokensUSDValue: Record<string, number>;
+}
+
+// Interface for the result of scanning wallets
+export interface PortfolioSummary {
+  totalAssets: Array<TokenBalance & { walletAddress: string }>;
+  totalValue: number;
+  totalUSDValue: number;
+  chains: Record<string, ChainSummary>;
+  walletAddresses: string[];
+  crossChain?: any;
+  meta: {
+    scanStartTime: number;
+    scanEndTime: number;
+    scanDuration: number;
+    walletCount: number;
+    includeZeroBalances: boolean;
+    includePotentialSpam: boolean;
+    chainsScanAttempted: string[];
+    chainsScanned: string[];
+    chainsWithErrors: string[];
+    totalTokenCount: number;
+    hasErrors: boolean;
+    errors?: string[];
+    hasAtLeastOneSuccessfulScan: boolean;
+    results: WalletScanResult[];
+  };
+}
+
+/**
+ * Run a task for each item, with at most `limit` tasks running at a time
+ */
+const mapWithConcurrency = async <T, R>(
+  items: T[],
+  limit: number,
+  task: (item: T) => Promise<R>
+): Promise<R[]> => {
+  const results: R[] = new Array(items.length);
+  let next = 0;
+
+  const worker = async (): Promise<void> => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await task(items[index]);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(Math.max(1, limit), items.length) }, worker));
+  return results;
+};
+
+/**
+ * Portfolio Scanner Service class
+ */
+export class PortfolioScannerService {
+  private providers: PortfolioProvider[] | null;
+  private options: Required<Omit<PortfolioScannerOptions, 'providers'>>;
+
+  constructor(options: PortfolioScannerOptions = {}) {
+    this.providers = options.providers || null;
+    this.options = {
+      chains: options.chains ?? config.portfolio.chains,
+      concurrencyPerChain: options.concurrencyPerChain ?? config.portfolio.concurrencyPerChain,
+      providerTimeoutMs: options.providerTimeoutMs ?? config.portfolio.providerTimeoutMs,
+      cacheTtlMs: options.cacheTtlMs ?? config.portfolio.cacheTtlMs
+    };
+  }
+
+  /**
+   * Get the providers named in the portfolio configuration
+   */
+  private getProviders(): PortfolioProvider[] {
+    if (!this.providers) {
+      this.providers = config.portfolio.providers.map(name => createPortfolioProvider(name));
+    }
+    return this.providers;
+  }
+
+  /**
+   * Scan the balances of wallets across chains
+   *
+   * EVM addresses are scanned on EVM chains and Solana addresses on Solana.
+   * Chains or wallets that could not be read are reported in the summary
+   * meta; the scan only fails if nothing could be read.
+   *
+   * @param wallets - Wallets to scan, as addresses or { address }
+   * @param options - Scan options
+   * @returns Summary of the balances
+   * @throws ApiError if an address or chain is not supported, or no chain could be read
+   */
+  async scanWallets(
+    wallets: Array<{ address: string } | string>,
+    options: ScanOptions = {}
+  ): Promise<PortfolioSummary> {
+    const {
+      includeZeroBalances = true,
+      includePotentialSpam = true,
+      useCache = true
+    } = options;
+    const scanStartTime = Date.now();
+
+    const addresses = [...new Set(wallets
+      .map(wallet => (typeof wallet === 'string' ? wallet : wallet?.address))
+      .filter((address): address is string => typeof address === 'string' && Boolean(address.trim()))
+      .map(address => address.trim()))];
+
+    if (addresses.length === 0) {
+      throw new ApiError(400, 'At least one wallet address is required', 'INVALID_WALLETS');
+    }
+
+    const unsupportedAddresses = addresses.filter(address => {
+      const family = detectChain(address);
+      return family !== 'evm' && family !== 'solana';
+    });
+    if (unsupportedAddresses.length > 0) {
+      throw new ApiError(400, 'Unsupported wallet address', 'UNSUPPORTED_WALLET_ADDRESS', { addresses: unsupportedAddresses });
+    }
+
+    const chainNames = options.chains && options.chains.length > 0 ? options.chains : this.options.chains;
+    const unsupportedChains = chainNames.filter(name => !getPortfolioChain(name));
+    if (unsupportedChains.length > 0) {
+      throw new ApiError(400, 'Unsupported chain', 'UNSUPPORTED_CHAIN', { chains: unsupportedChains });
+    }
+
+    // Only chains with wallets of their family are scanned
+    const chains = optimizeChainOrder([...new Set(chainNames.map(name => (getPortfolioChain(name) as PortfolioChain).name))])
+      .map((name: string) => getPortfolioChain(name) as PortfolioChain)
+      .filter((chain: PortfolioChain) => addresses.some(address => detectChain(address) === chain.family));
+
+    const chainResults = await Promise.all(chains.map((chain: PortfolioChain) => mapWithConcurrency(
+      addresses.filter(address => detectChain(address) === chain.family),
+      this.options.concurrencyPerChain,
+      address => this.scanWallet(address, chain, {
+        includeZeroBalances,
+        includePotentialSpam,
+        useCache,
+        tokens: options.tokens?.[chain.name]
+      })
+    )));
+    const results = chainResults.flat();
+
+    const summary = this.summarize(results, addresses);
+    const errors = results
+      .filter(result => !result.success)
+      .map(result => `${result.chain} scan error for ${result.address}: ${result.error}`);
+    const hasAtLeastOneSuccessfulScan = results.some(result => result.success);
+
+    if (!hasAtLeastOneSuccessfulScan) {
+      logger.warn('Portfolio scan failed on every chain', { addresses, errors });
+      throw new ApiError(502, 'Failed to get asset data from any chain', 'PORTFOLIO_SCAN_FAILED', { errors });
+    }
+
+    const scanEndTime = Date.now();
+
+    return {
+      ...summary,
+      meta: {
+        scanStartTime,
+        scanEndTime,
+        scanDuration: scanEndTime - scanStartTime,
+        walletCount: addresses.length,
+        includeZeroBalances,
+        includePotentialSpam,
+        chainsScanAttempted: chains.map((chain: PortfolioChain) => chain.name),
+        chainsScanned: [...new Set(results.filter(result => result.success).map(result => result.chain))],
+        chainsWithErrors: [...new Set(results.filter(result => !result.success).map(result => result.chain))],
+        totalTokenCount: summary.totalAssets.length,
+        hasErrors: errors.length > 0,
+        errors: errors.length > 0 ? errors : undefined,
+        hasAtLeastOneSuccessfulScan,
+        results
+      }
+    };
+  }
+
+  /**
+   * Read the current native balance of each wallet on its own chain
+   *
+   * Solana wallets are read on Solana whatever their chain ID. Balances are
+   * read from the providers, not the cache, as they are used to re-check a
+   * proof when it is verified.
+   *
+   * @param wallets - Wallets with the chain each one was proven on
+   * @returns Native balance of each wallet, in the smallest unit of its chain
+   * @throws ApiError if a chain is not supported or a balance could not be read
+   */
+  async getNativeBalances(
+    wallets: Array<{ address: string; chainId: number }>
+  ): Promise<Array<{ address: string; chainId: number; balance: string }>> {
+    const targets = wallets.map(wallet => {
+      const chain = detectChain(wallet.address) === 'solana'
+        ? getPortfolioChain('solana')
+        : getPortfolioChainById(wallet.chainId);
+
+      if (!chain) {
+        throw new ApiError(400, 'Unsupported chain', 'UNSUPPORTED_CHAIN', { chainId: wallet.chainId });
+      }
+
+      return { ...wallet, chain };
+    });
+
+    const results = await mapWithConcurrency(targets, this.options.concurrencyPerChain, target => this.scanWallet(
+      target.address,
+      target.chain,
+      { includeZeroBalances: true, includePotentialSpam: true, useCache: false }
+    ));
+
+    const failed = results.filter(result => !result.success);
+    if (failed.length > 0) {
+      throw new ApiError(502, 'Failed to read wallet balances', 'PORTFOLIO_SCAN_FAILED', {
+        errors: failed.map(result => `${result.chain} scan error for ${result.address}: ${result.error}`)
+      });
+    }
+
+    return targets.map((target, index) => ({
+      address: target.address,
+      chainId: target.chainId,
+      balance: results[index].balances.find(balance => balance.type === 'native')?.rawBalance ?? '0'
+    }));
+  }
+
+  /**
+   * Read the balances of one wallet on one chain, from the cache or the first provider that succeeds
+   */
+  private async scanWallet(
+    address: string,
+    chain: PortfolioChain,
+    options: { includeZeroBalances: boolean; includePotentialSpam: boolean; useCache: boolean; tokens?: TokenDefinition[] }
+  ): Promise<WalletScanResult> {
+    const cacheKey = [
+      'portfolio',
+      chain.name,
+      chain.family === 'evm' ? address.toLowerCase() : address,
+      options.includeZeroBalances ? 'zero' : 'nonzero',
+      options.includePotentialSpam ? 'spam' : 'nospam',
+      (options.tokens || []).map(token => token.address.toLowerCase()).sort().join(',')
+    ].join(':');
+
+    if (options.useCache) {
+      const cached = cache.getBalances(cacheKey);
+      if (cached) {
+        return { address, chain: chain.name, success: true, provider: cached.provider, cached: true, balances: cached.balances };
+      }
+    }
+
+    const failures: string[] = [];
+
+    for (const provider of this.getProviders()) {
+      if (!provider.supportsChain(chain)) {
+        continue;
+      }
+
+      try {
+        if (!(await provider.isAvailable())) {
+          continue;
+        }
+
+        const balances = await this.withTimeout(
+          provider.getBalances(address, chain, {
+            includeZeroBalances: options.includeZeroBalances,
+            includePotentialSpam: options.includePotentialSpam,
+            tokens: options.tokens
+          }),
+          `${provider.name} timed out after ${this.options.providerTimeoutMs}ms`
+        );
+
+        cache.setBalances(cacheKey, { provider: provider.name, balances }, this.options.cacheTtlMs);
+
+        return { address, chain: chain.name, success: true, provider: provider.name, cached: false, balances };
+      } catch (error) {
+        const message = error instanceof Error ? error.message : String(error);
+        failures.push(`${provider.name}: ${message}`);
+        logger.warn('Portfolio provider failed', { provider: provider.name, chain: chain.name, address, error: message });
+      }
+    }
+
+    return {
+      address,
+      chain: chain.name,
+      success: false,
+      balances: [],
+      error: failures.length > 0 ? failures.join('; ') : 'No portfolio provider available for this chain'
+    };
+  }
+
+  /**
+   * Reject if a provider call takes longer than the provider timeout
+   */
+  private async withTimeout<T>(promise: Promise<T>, message: string): Promise<T> {
+    let timer: NodeJS.Timeout | undefined;
+
+    try {
+      return await Promise.race([
+        promise,
+        new Promise<never>((_, reject) => {
+          timer = setTimeout(() => reject(new Error(message)), this.options.providerTimeoutMs);
+        })
+      ]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Add up the balances of scan results by chain and asset
+   */
+  private summarize(
+    results: WalletScanResult[],
+    walletAddresses: string[]
+  ): Omit<PortfolioSummary, 'meta'> {
+    const summary: Omit<PortfolioSummary, 'meta'> = {
+      totalAssets: [],
+      totalValue: 0,
+      totalUSDValue: 0,
+      chains: {},
+      walletAddresses
+    };
+
+    for (const result of results.filter(item => item.success)) {
+      const chain = summary.chains[result.chain] || (summary.chains[result.chain] = {
+        nativeBalance: 0,
+        tokens: {},
+        nativeUSDValue: 0,
+        tokensUSDValue: {}
+      });
+
+      for (const balance of result.balances) {
+        summary.totalAssets.push({ ...balance, walletAddress: result.address });
+        summary.totalValue += balance.usdValue || 0;
+
+        if (balance.type === 'native') {
+          chain.nativeBalance += balance.balance;
+          chain.nativeUSDValue += balance.usdValue || 0;
+        } else {
+          chain.tokens[balance.symbol] = (chain.tokens[balance.symbol] || 0) + balance.balance;
+          chain.tokensUSDValue[balance.symbol] = (chain.tokensUSDValue[balance.symbol] || 0) + (balance.usdValue || 0);
+        }
+      }
+    }
+
+    summary.totalUSDValue = summary.totalValue;
+
+    if (summary.totalAssets.length > 0) {
+      summary.crossChain = organizeAssetsByCrossChain(summary.totalAssets);
+    }
+
+    return summary;
+  }
+}
+
+// Export singleton instance
+export const portfolioScannerService = new PortfolioScannerService();
+
+export default portfolioScannerService;
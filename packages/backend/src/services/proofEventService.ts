@@ -0,0 +1,348 @@
+/**
+ * Proof Event Service
+ *
+ * Pushes proof job progress, relayed transaction confirmations and proof
+ * lifecycle changes to the event streams their owner has open, so the
+ * frontend learns about them without polling.
+ *
+ * Jobs and transactions are processed by whichever API instance claims
+ * them, which is often not the instance holding the user's stream, so
+ * events are sent through a Postgres NOTIFY channel that every instance
+ * listens on. While the listener is not connected, events only reach
+ * streams on the instance that published them and clients fall back to
+ * polling for the rest.
+ */
+import { EventEmitter } from 'events';
+import { v4 as uuidv4 } from 'uuid';
+import { prisma, pool, PoolClient } from '@proof-of-funds/db';
+import { ApiError } from '../middleware/errorHandler';
+import config from '../config';
+import logger from '../utils/logger';
+
+export const PROOF_EVENTS = [
+  'job.progress',
+  'job.completed',
+  'job.failed',
+  'job.cancelled',
+  'transaction.confirmed',
+  'transaction.failed',
+  'proof.submitted',
+  'proof.confirmed',
+  'proof.failed',
+  'proof.verified',
+  'proof.revoked',
+  'proof.expired'
+] as const;
+export type ProofEventType = typeof PROOF_EVENTS[number];
+
+/**
+ * Event as sent to a user's streams
+ */
+export interface ProofEvent {
+  id: string;
+  type: ProofEventType;
+  userId: string;
+  createdAt: string;
+  data: Record<string, any>;
+}
+
+export type ProofEventListener = (event: ProofEvent) => void;
+
+/**
+ * Carries events between API instances
+ */
+export interface ProofEventChannel {
+  listen(onMessage: (payload: string) => void, onError: (error: Error) => void): Promise<void>;
+  notify(payload: string): Promise<void>;
+  close(): Promise<void>;
+}
+
+export interface ProofEventServiceOptions {
+  notify?: boolean;
+  reconnectMs?: number;
+  maxStreamsPerUser?: number;
+  channel?: ProofEventChannel;
+}
+
+// LISTEN takes an identifier, which cannot be a query parameter
+const CHANNEL_NAME_PATTERN = /^[a-z_][a-z0-9_]*$/;
+
+/**
+ * Channel over Postgres LISTEN/NOTIFY, listening on a dedicated pool connection
+ */
+export const createPostgresChannel = (name: string): ProofEventChannel => {
+  if (!CHANNEL_NAME_PATTERN.test(name)) {
+    throw new Error(`Invalid proof event channel name: ${name}`);
+  }
+
+  let client: PoolClient | null = null;
+
+  return {
+    async listen(onMessage, onError) {
+      client = await pool.connect();
+      client.on('notification', message => {
+        if (message.channel === name && message.payload) {
+          onMessage(message.payload);
+        }
+      });
+      client.on('error', onError);
+      await client.query(`LISTEN ${name}`);
+    },
+
+    async notify(payload) {
+      await pool.query('SELECT pg_notify($1, $2)', [name, payload]);
+    },
+
+    async close() {
+      if (client) {
+        // Destroy rather than return a listening connection to the pool
+        client.release(true);
+        client = null;
+      }
+    }
+  };
+};
+
+/**
+ * Service for publishing proof events and subscribing to a user's events
+ */
+export class ProofEventService {
+  private options: Required<ProofEventServiceOptions>;
+  private emitter = new EventEmitter();
+  private streams = new Map<string, Set<() => void>>();
+  private listening = false;
+  private stopping = false;
+  private reconnectTimer: NodeJS.Timeout | null = null;
+
+  constructor(options: ProofEventServiceOptions = {}) {
+    this.options = {
+      notify: options.notify ?? config.proofEvents.notify,
+      reconnectMs: options.reconnectMs ?? config.proofEvents.reconnectMs,
+      maxStreamsPerUser: options.maxStreamsPerUser ?? config.proofEvents.maxStreamsPerUser,
+      channel: options.channel ?? createPostgresChannel(config.proofEvents.channel)
+    };
+
+    // Every open stream adds a listener
+    this.emitter.setMaxListeners(0);
+  }
+
+  /**
+   * Whether events from other instances reach this one
+   */
+  get isListening(): boolean {
+    return this.listening;
+  }
+
+  /**
+   * Receive a user's events
+   *
+   * @param userId User whose events are wanted
+   * @param listener Called with each event
+   * @param onClose Called if the service shuts down while subscribed
+   * @returns Function that ends the subscription
+   * @throws ApiError 429 if the user already has the maximum number of streams open
+   */
+  subscribe(userId: string, listener: ProofEventListener, onClose?: () => void): () => void {
+    const closers = this.streams.get(userId) || new Set<() => void>();
+
+    if (closers.size >= this.options.maxStreamsPerUser) {
+      throw new ApiError(429, 'Too many open event streams', 'TOO_MANY_STREAMS');
+    }
+
+    const close = onClose || (() => undefined);
+    const handler = (event: ProofEvent) => {
+      try {
+        listener(event);
+      } catch (error) {
+        logger.warn('Proof event listener failed', {
+          userId,
+          type: event.type,
+          error: error instanceof Error ? error.message : 'Unknown error'
+        });
+      }
+    };
+
+    closers.add(close);
+    this.streams.set(userId, closers);
+    this.emitter.on(this.eventName(userId), handler);
+
+    let subscribed = true;
+    return () => {
+      if (!subscribed) {
+        return;
+      }
+      subscribed = false;
+
+      this.emitter.off(this.eventName(userId), handler);
+      closers.delete(close);
+      if (closers.size === 0) {
+        this.streams.delete(userId);
+      }
+    };
+  }
+
+  /**
+   * Send an event to a user's streams on every instance
+   *
+   * Never throws; an event that cannot be sent to other instances is still
+   * delivered to streams on this one.
+   */
+  async publish(userId: string, type: ProofEventType, data: Record<string, any> = {}): Promise<void> {
+    const event: ProofEvent = {
+      id: `evt_${uuidv4()}`,
+      type,
+      userId,
+      createdAt: new Date().toISOString(),
+      data
+    };
+
+    // The notification comes back to this instance too
+    if (this.listening) {
+      try {
+        await this.options.channel.notify(JSON.stringify(event));
+        return;
+      } catch (error) {
+        logger.warn('Failed to send proof event to other instances', {
+          type,
+          error: error instanceof Error ? error.message : 'Unknown error'
+        });
+      }
+    }
+
+    this.deliver(event);
+  }
+
+  /**
+   * Send a proof lifecycle event to the owners of the proofs
+   *
+   * @param type Event type
+   * @param proofIds Proofs the event applies to
+   * @param data Extra event data, such as the transaction hash
+   */
+  async publishProofEvent(type: ProofEventType, proofIds: string | string[], data: Record<string, any> = {}): Promise<void> {
+    const ids = Array.isArray(proofIds) ? proofIds : [proofIds];
+
+    try {
+      const proofs = await prisma.proof.findMany({
+        where: { id: { in: ids } },
+        select: { id: true, userId: true, referenceId: true, status: true }
+      });
+
+      await Promise.all(proofs.map(proof => this.publish(proof.userId, type, {
+        proofId: proof.id,
+        referenceId: proof.referenceId,
+        status: proof.status,
+        ...data
+      })));
+    } catch (error) {
+      logger.warn('Failed to publish proof event', {
+        type,
+        proofIds: ids,
+        error: error instanceof Error ? error.message : 'Unknown error'
+      });
+    }
+  }
+
+  /**
+   * Start listening for events published by other instances
+   */
+  async start(): Promise<void> {
+    if (!this.options.notify || this.listening) {
+      return;
+    }
+    this.stopping = false;
+
+    try {
+      await this.options.channel.listen(
+        payload => this.receive(payload),
+        error => this.handleListenerError(error)
+      );
+      this.listening = true;
+    } catch (error) {
+      logger.warn('Proof event listener unavailable; events only reach streams on this instance', {
+        error: error instanceof Error ? error.message : 'Unknown error'
+      });
+      await this.options.channel.close().catch(() => undefined);
+      this.scheduleReconnect();
+    }
+  }
+
+  /**
+   * Stop listening and close every open stream
+   */
+  async shutdown(): Promise<void> {
+    this.stopping = true;
+
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+
+    if (this.listening) {
+      this.listening = false;
+      await this.options.channel.close();
+    }
+
+    const closers = [...this.streams.values()].flatMap(set => [...set]);
+    this.streams.clear();
+    this.emitter.removeAllListeners();
+    closers.forEach(close => close());
+  }
+
+  /**
+   * Deliver an event received from the channel
+   */
+  private receive(payload: string): void {
+    try {
+      this.deliver(JSON.parse(payload));
+    } catch (error) {
+      logger.warn('Ignoring malformed proof event', {
+        error: error instanceof Error ? error.message : 'Unknown error'
+      });
+    }
+  }
+
+  /**
+   * Deliver an event to this instance's streams
+   */
+  private deliver(event: ProofEvent): void {
+    this.emitter.emit(this.eventName(event.userId), event);
+  }
+
+  /**
+   * Reconnect after the listening connection is lost
+   */
+  private handleListenerError(error: Error): void {
+    logger.warn('Proof event listener disconnected', { error: error.message });
+
+    this.listening = false;
+    this.options.channel.close().catch(() => undefined);
+    this.scheduleReconnect();
+  }
+
+  private scheduleReconnect(): void {
+    if (this.stopping || this.reconnectTimer) {
+      return;
+    }
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.start();
+    }, this.options.reconnectMs);
+
+    // Do not keep the process alive just to reconnect
+    this.reconnectTimer.unref();
+  }
+
+  /**
+   * Emitter event for a user; prefixed so no user ID collides with 'error'
+   */
+  private eventName(userId: string): string {
+    return `user:${userId}`;
+  }
+}
+
+// Create singleton instance
+export const proofEventService = new ProofEventService();
+
+export default proofEventService;
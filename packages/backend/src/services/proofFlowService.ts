@@ -6,6 +6,7 @@
  */
 
 import { IntegrationService, ProofGenerationParams, ProofVerificationParams } from './integrationService';
+import { BatchAnchoringService, BatchStatus } from './batchAnchoringService';
 import { ProofType, ProofStatus } from '@proof-of-funds/db';
 import auditLogger from '@proof-of-funds/common/logging/auditLogger';
 import performanceBenchmark from '../utils/performanceBenchmark';
@@ -28,6 +29,7 @@ export interface BatchedProofResult {
   referenceIds: string[];
   batchId: string;
   status: ProofStatus;
+  merkleRoot: string;
   transactionHash?: string;
 }
 
@@ -37,9 +39,11 @@ export interface BatchedProofResult {
  */
 export class ProofFlowService {
   private integrationService: IntegrationService;
+  private batchAnchoringService: BatchAnchoringService;
   
   constructor() {
     this.integrationService = new IntegrationService();
+    this.batchAnchoringService = new BatchAnchoringService();
   }
   
   /**
@@ -211,17 +215,18 @@ export class ProofFlowService {
         )
       );
       
-      // In a real implementation, we would:
-      // 1. Submit all proofs to a batch processing queue
-      // 2. Create a Merkle tree from all proofs
-      // 3. Submit the Merkle root to the blockchain
-      // 4. Update all proofs with the batch ID and Merkle path
+      // Queue the proofs into a batch and commit to them with a single Merkle root
+      const batch = await this.batchAnchoringService.createBatch(proofResults);
+      
+      // Anchor right away; a failed attempt stays queued for the background worker
+      const anchoring = await this.batchAnchoringService.anchorBatch(batch.batchId);
       
-      // For now, we just return the reference IDs
       const batchResult: BatchedProofResult = {
         referenceIds: proofResults,
-        batchId: `batch-${Date.now()}`,
-        status: ProofStatus.PENDING
+        batchId: anchoring.batchId,
+        status: this.toProofStatus(anchoring.status),
+        merkleRoot: anchoring.merkleRoot,
+        transactionHash: anchoring.transactionHash
       };
       
       // Log result
@@ -230,7 +235,9 @@ export class ProofFlowService {
         { 
           batchId: batchResult.batchId,
           referenceIds: batchResult.referenceIds,
-          status: batchResult.status
+          status: batchResult.status,
+          merkleRoot: batchResult.merkleRoot,
+          transactionHash: batchResult.transactionHash
         }, 
         context
       );
@@ -252,6 +259,20 @@ export class ProofFlowService {
     }
   }
   
+  /**
+   * Map a batch status onto the status its proofs carry
+   */
+  private toProofStatus(status: BatchStatus): ProofStatus {
+    switch (status) {
+      case 'CONFIRMED':
+        return ProofStatus.CONFIRMED;
+      case 'FAILED':
+        return ProofStatus.FAILED;
+      default:
+        return ProofStatus.PENDING;
+    }
+  }
+  
   /**
    * Get the performance metrics for proof operations
    */
@@ -264,5 +285,6 @@ export class ProofFlowService {
    */
   async shutdown(): Promise<void> {
     await this.integrationService.shutdown();
+    await this.batchAnchoringService.shutdown();
   }
 }
\ No newline at end of file
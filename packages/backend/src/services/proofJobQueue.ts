@@ -0,0 +1,676 @@
+/**
+ * Proof Job Queue
+ *
+ * Runs proof generation outside the HTTP request. Jobs are stored in the
+ * proof_jobs table and claimed by whichever API instance has a free worker,
+ * which calculates the witness and proof in a worker thread and persists
+ * progress as it goes. A job can be cancelled while it is queued or running.
+ *
+ * The witness input and the proof's wrapped data key are kept on the job
+ * only until it finishes; the plain data key is returned to the client when
+ * the job is enqueued, as the proof API did before, and is never stored.
+ */
+import os from 'os';
+import fs from 'fs';
+import path from 'path';
+import { Worker } from 'worker_threads';
+import { v4 as uuidv4 } from 'uuid';
+import { prisma } from '@proof-of-funds/db';
+import { ApiError } from '../middleware/errorHandler';
+import config from '../config';
+import logger from '../utils/logger';
+import { encryptData } from '../utils/crypto';
+import { parseBalanceSnapshot, BalanceSnapshotRecord } from '../utils/balanceSnapshot';
+import { zkProofService } from './zkProofService';
+import { proofTemplateService } from './proofTemplateService';
+import { envelopeEncryptionService } from './envelopeEncryptionService';
+import { auditLogService } from './auditLogService';
+import { proofEventService } from './proofEventService';
+import { sanctionsScreeningService } from './sanctionsScreeningService';
+import { sourceOfFundsService } from './sourceOfFundsService';
+import { AuditEventType, ActorType, AuditAction, AuditStatus, AuditSeverity } from '../models/auditLog';
+import type { ProofWorkerTask, ProofWorkerMessage } from '../workers/proofWorker';
+
+export type ProofJobStatus = 'QUEUED' | 'RUNNING' | 'COMPLETED' | 'FAILED' | 'CANCELLED';
+export type ProofJobStage = 'init' | 'witness' | 'proof' | 'complete';
+
+/**
+ * Proof generation request
+ */
+export interface ProofJobRequest {
+  proofType: 'STANDARD' | 'THRESHOLD' | 'MAXIMUM' | 'ZERO_KNOWLEDGE';
+  input: Record<string, any>;
+  templateId?: string;
+  balanceSnapshot?: BalanceSnapshotRecord | null;
+}
+
+/**
+ * Job as returned by the API
+ */
+export interface ProofJobView {
+  id: string;
+  status: ProofJobStatus;
+  stage: ProofJobStage;
+  progress: number;
+  proofType: string;
+  referenceId: string;
+  proofId: string | null;
+  expiresAt: Date;
+  error: { code: string; message: string } | null;
+  createdAt: Date;
+  startedAt: Date | null;
+  completedAt: Date | null;
+}
+
+/**
+ * A proving task running outside the event loop
+ */
+export interface ProofExecution {
+  promise: Promise<{ proof: any; publicSignals: any }>;
+  cancel: () => void;
+}
+
+/**
+ * Runs a proving task and reports its progress
+ */
+export type ProofRunner = (
+  task: ProofWorkerTask,
+  onProgress: (stage: ProofJobStage, progress: number) => void
+) => ProofExecution;
+
+export interface ProofJobQueueOptions {
+  concurrency?: number;
+  pollIntervalMs?: number;
+  timeoutMs?: number;
+  maxAttempts?: number;
+  runner?: ProofRunner;
+}
+
+// Job states that can no longer change
+const FINISHED_STATUSES: ProofJobStatus[] = ['COMPLETED', 'FAILED', 'CANCELLED'];
+
+// Worker script next to the compiled service; ts-node is used when running from source
+const WORKER_EXTENSION = path.extname(__filename);
+const WORKER_SCRIPT = path.join(__dirname, '..', 'workers', `proofWorker${WORKER_EXTENSION}`);
+
+const jobSelect = {
+  id: true,
+  status: true,
+  stage: true,
+  progress: true,
+  proofType: true,
+  referenceId: true,
+  proofId: true,
+  expiresAt: true,
+  error: true,
+  createdAt: true,
+  startedAt: true,
+  completedAt: true
+};
+
+/**
+ * Run a proving task in a worker thread
+ */
+export const runInWorkerThread: ProofRunner = (task, onProgress) => {
+  const worker = new Worker(WORKER_SCRIPT, {
+    workerData: task,
+    execArgv: WORKER_EXTENSION === '.ts' ? ['--require', 'ts-node/register'] : undefined
+  });
+  let cancelled = false;
+  let settled = false;
+
+  const promise = new Promise<{ proof: any; publicSignals: any }>((resolve, reject) => {
+    const settle = (callback: () => void) => {
+      if (!settled) {
+        settled = true;
+        callback();
+        // snarkjs keeps its own threads alive after proving
+        worker.terminate();
+      }
+    };
+
+    worker.on('message', (message: ProofWorkerMessage) => {
+      if (message.type === 'progress') {
+        onProgress(message.stage, message.progress);
+      } else if (message.type === 'result') {
+        settle(() => resolve({ proof: message.proof, publicSignals: message.publicSignals }));
+      } else if (message.type === 'error') {
+        settle(() => reject(new Error(message.message)));
+      }
+    });
+
+    worker.on('error', error => settle(() => reject(error)));
+
+    worker.on('exit', code => {
+      settle(() => reject(new Error(cancelled ? 'Proof job was cancelled' : `Proof worker exited with code ${code}`)));
+    });
+  });
+
+  return {
+    promise,
+    cancel: () => {
+      cancelled = true;
+      worker.terminate();
+    }
+  };
+};
+
+/**
+ * Service for queueing and running proof generation jobs
+ */
+export class ProofJobQueue {
+  private options: Required<ProofJobQueueOptions>;
+  private running = new Map<string, ProofExecution>();
+  private timer: NodeJS.Timeout | null = null;
+  private draining = false;
+  private stopping = false;
+  private readonly workerId = `${os.hostname()}:${process.pid}`;
+
+  constructor(options: ProofJobQueueOptions = {}) {
+    this.options = {
+      concurrency: options.concurrency ?? config.proofJobs.concurrency,
+      pollIntervalMs: options.pollIntervalMs ?? config.proofJobs.pollIntervalMs,
+      timeoutMs: options.timeoutMs ?? config.proofJobs.timeoutMs,
+      maxAttempts: options.maxAttempts ?? config.proofJobs.maxAttempts,
+      runner: options.runner ?? runInWorkerThread
+    };
+  }
+
+  /**
+   * Queue a proof for generation
+   *
+   * @param userId User requesting the proof
+   * @param request Proof type, input, optional template and the balance snapshot of a historical proof
+   * @returns The queued job and the hex key that will decrypt the proof
+   * @throws ApiError if the proof type, input, template or snapshot is invalid
+   */
+  async enqueue(userId: string, request: ProofJobRequest): Promise<{ job: ProofJobView; decryptionKey: string }> {
+    const { proofType, templateId } = request;
+    let { input } = request;
+
+    // Set expiration date (default 30 days, or the template's expiry period)
+    let expiresAt = new Date();
+    expiresAt.setDate(expiresAt.getDate() + 30);
+
+    // Proofs requested through a template must match its type and prove its threshold
+    if (templateId) {
+      const applied = await proofTemplateService.applyTemplate(templateId, proofType, input.threshold);
+      input = { ...input, threshold: applied.threshold };
+      expiresAt = applied.expiresAt;
+    }
+
+    // Reject invalid input now rather than in the worker
+    zkProofService.prepareProof(proofType, input);
+    const balanceSnapshot = parseBalanceSnapshot(request.balanceSnapshot);
+
+    const { dataKey, wrappedDataKey, encryptionKeyId } = await envelopeEncryptionService.generateDataKey();
+
+    const job = await prisma.proofJob.create({
+      data: {
+        userId,
+        proofType,
+        templateId: templateId || null,
+        referenceId: `ref-${uuidv4()}`,
+        expiresAt,
+        input: JSON.stringify(input),
+        balanceSnapshot: balanceSnapshot ?? undefined,
+        wrappedDataKey,
+        encryptionKeyId
+      },
+      select: jobSelect
+    });
+
+    logger.info('Proof job queued', { jobId: job.id, proofType, userId });
+
+    if (this.timer) {
+      this.drain();
+    }
+
+    return { job: this.toView(job), decryptionKey: dataKey.toString('hex') };
+  }
+
+  /**
+   * Get a job owned by a user
+   *
+   * @throws ApiError 404 if the job does not exist or belongs to another user
+   */
+  async getJob(jobId: string, userId: string): Promise<ProofJobView> {
+    const job = await prisma.proofJob.findFirst({
+      where: { id: jobId, userId },
+      select: jobSelect
+    });
+
+    if (!job) {
+      throw new ApiError(404, 'Proof job not found', 'JOB_NOT_FOUND');
+    }
+
+    return this.toView(job);
+  }
+
+  /**
+   * Cancel a queued or running job owned by a user
+   *
+   * @throws ApiError 404 if the job does not exist, 409 if it has already finished
+   */
+  async cancelJob(jobId: string, userId: string): Promise<ProofJobView> {
+    const job = await this.getJob(jobId, userId);
+
+    const { count } = await prisma.proofJob.updateMany({
+      where: { id: jobId, status: { in: ['QUEUED', 'RUNNING'] } },
+      data: {
+        status: 'CANCELLED',
+        input: null,
+        wrappedDataKey: null,
+        completedAt: new Date()
+      }
+    });
+
+    if (count === 0) {
+      throw new ApiError(409, `Proof job is already ${job.status.toLowerCase()}`, 'JOB_ALREADY_FINISHED');
+    }
+
+    // Stop the worker if this instance runs the job; other instances notice on their next progress update
+    this.running.get(jobId)?.cancel();
+
+    logger.info('Proof job cancelled', { jobId, userId });
+
+    const cancelled = await this.getJob(jobId, userId);
+    await proofEventService.publish(userId, 'job.cancelled', this.toEventData(cancelled));
+
+    return cancelled;
+  }
+
+  /**
+   * Claim queued jobs until all workers are busy
+   */
+  async drain(): Promise<void> {
+    if (this.draining || this.stopping) {
+      return;
+    }
+    this.draining = true;
+
+    try {
+      while (this.running.size < this.options.concurrency && !this.stopping) {
+        const next = await prisma.proofJob.findFirst({
+          where: { status: 'QUEUED' },
+          orderBy: { createdAt: 'asc' },
+          select: { id: true }
+        });
+
+        if (!next) {
+          break;
+        }
+
+        // Another instance may claim the same job; only one update succeeds
+        const { count } = await prisma.proofJob.updateMany({
+          where: { id: next.id, status: 'QUEUED' },
+          data: {
+            status: 'RUNNING',
+            stage: 'init',
+            progress: 0,
+            workerId: this.workerId,
+            startedAt: new Date(),
+            attempts: { increment: 1 }
+          }
+        });
+
+        if (count === 1) {
+          const job = await prisma.proofJob.findUnique({ where: { id: next.id } });
+          if (job) {
+            this.runJob(job);
+            await proofEventService.publish(job.userId, 'job.progress', this.toEventData(job));
+          }
+        }
+      }
+    } catch (error) {
+      logger.error('Failed to claim proof jobs', {
+        error: error instanceof Error ? error.message : 'Unknown error'
+      });
+    } finally {
+      this.draining = false;
+    }
+  }
+
+  /**
+   * Run a claimed job in a worker
+   */
+  private runJob(job: any): void {
+    let execution: ProofExecution;
+    let timedOut = false;
+
+    try {
+      const input = JSON.parse(job.input);
+      const { wasmPath, zkeyPath } = zkProofService.prepareProof(job.proofType, input);
+      execution = this.options.runner(
+        { input, wasmPath, zkeyPath },
+        (stage, progress) => this.reportProgress(job, stage, progress)
+      );
+    } catch (error) {
+      this.failJob(job, error).finally(() => this.drain());
+      return;
+    }
+
+    this.running.set(job.id, execution);
+
+    const timeout = setTimeout(() => {
+      timedOut = true;
+      execution.cancel();
+    }, this.options.timeoutMs);
+
+    execution.promise
+      .then(({ proof, publicSignals }) => this.completeJob(job, proof, publicSignals))
+      .catch(error => this.failJob(job, timedOut
+        ? new ApiError(504, 'Proof generation timed out', 'JOB_TIMEOUT')
+        : error))
+      .finally(() => {
+        clearTimeout(timeout);
+        this.running.delete(job.id);
+        this.drain();
+      });
+  }
+
+  /**
+   * Persist job progress, stopping the worker if the job was cancelled
+   */
+  private async reportProgress(job: any, stage: ProofJobStage, progress: number): Promise<void> {
+    try {
+      const { count } = await prisma.proofJob.updateMany({
+        where: { id: job.id, status: 'RUNNING' },
+        data: { stage, progress }
+      });
+
+      if (count === 0) {
+        this.running.get(job.id)?.cancel();
+        return;
+      }
+
+      await proofEventService.publish(job.userId, 'job.progress', this.toEventData({ ...job, stage, progress }));
+    } catch (error) {
+      logger.warn('Failed to persist proof job progress', {
+        jobId: job.id,
+        error: error instanceof Error ? error.message : 'Unknown error'
+      });
+    }
+  }
+
+  /**
+   * Encrypt and store a generated proof and finish its job
+   */
+  private async completeJob(job: any, proof: any, publicSignals: any): Promise<void> {
+    const dataKey = await envelopeEncryptionService.unwrapDataKey(job.wrappedDataKey, job.encryptionKeyId);
+    const input = JSON.parse(job.input);
+    const wallets = Array.isArray(input.wallets) ? input.wallets : [];
+    const context = { userId: job.userId, referenceId: job.referenceId };
+
+    const screening = await sanctionsScreeningService.screenWallets(wallets, context);
+
+    // Check where the balance came from, as of the snapshot date for historical proofs
+    const sourceOfFunds = await sourceOfFundsService.analyzeWallets(wallets, context, job.balanceSnapshot?.timestamp);
+
+    const encryptedData = encryptData({
+      proof,
+      publicSignals,
+      input,
+      proofType: job.proofType,
+      sourceOfFunds: sourceOfFunds.findings,
+      createdAt: new Date().toISOString(),
+      expiresAt: job.expiresAt.toISOString(),
+      userId: job.userId
+    }, dataKey);
+
+    const proofRecord = await prisma.$transaction(async (tx: any) => {
+      // Create temporary wallet for proof submission
+      const tempWallet = await tx.wallet.create({
+        data: {
+          id: uuidv4(),
+          userId: job.userId,
+          address: `0x${uuidv4().replace(/-/g, '')}`,
+          chainId: 137, // Polygon
+          type: 'TEMPORARY',
+          createdAt: new Date(),
+          lastUsedAt: new Date()
+        }
+      });
+
+      const created = await tx.proof.create({
+        data: {
+          id: uuidv4(),
+          userId: job.userId,
+          referenceId: job.referenceId,
+          createdAt: new Date(),
+          expiresAt: job.expiresAt,
+          proofType: job.proofType,
+          encryptedData,
+          encryptionKeyId: job.encryptionKeyId,
+          wrappedDataKey: job.wrappedDataKey,
+          tempWalletId: tempWallet.id,
+          warningFlags: [...screening.warningFlags, ...sourceOfFunds.warningFlags],
+          originalWallets: input.wallets || [],
+          balanceSnapshot: job.balanceSnapshot ?? undefined,
+          templateId: job.templateId,
+          status: 'PENDING'
+        }
+      });
+
+      // Roll back if the job was cancelled while proving
+      const { count } = await tx.proofJob.updateMany({
+        where: { id: job.id, status: 'RUNNING' },
+        data: {
+          status: 'COMPLETED',
+          stage: 'complete',
+          progress: 100,
+          proofId: created.id,
+          input: null,
+          wrappedDataKey: null,
+          completedAt: new Date()
+        }
+      });
+
+      if (count === 0) {
+        throw new ApiError(409, 'Proof job was cancelled', 'JOB_CANCELLED');
+      }
+
+      return created;
+    });
+
+    logger.info('Proof job completed', { jobId: job.id, proofId: proofRecord.id });
+
+    await proofEventService.publish(job.userId, 'job.completed', this.toEventData({
+      ...job,
+      status: 'COMPLETED',
+      stage: 'complete',
+      progress: 100,
+      proofId: proofRecord.id,
+      completedAt: new Date()
+    }));
+
+    await auditLogService.log({
+      eventType: AuditEventType.PROOF_GENERATE,
+      actorType: ActorType.USER,
+      actorId: job.userId,
+      action: AuditAction.CREATE,
+      status: AuditStatus.SUCCESS,
+      resourceType: 'proof',
+      resourceId: proofRecord.id,
+      details: {
+        jobId: job.id,
+        proofType: job.proofType,
+        referenceId: job.referenceId,
+        templateId: job.templateId
+      },
+      severity: AuditSeverity.INFO
+    });
+  }
+
+  /**
+   * Mark a running job as failed
+   */
+  private async failJob(job: any, error: unknown): Promise<void> {
+    // Jobs interrupted by a shutdown are requeued instead
+    if (this.stopping) {
+      return;
+    }
+
+    const code = error instanceof ApiError ? error.code : 'PROOF_GENERATION_ERROR';
+    const message = error instanceof Error ? error.message : 'Unknown error';
+
+    try {
+      const { count } = await prisma.proofJob.updateMany({
+        where: { id: job.id, status: 'RUNNING' },
+        data: {
+          status: 'FAILED',
+          error: { code, message },
+          input: null,
+          wrappedDataKey: null,
+          completedAt: new Date()
+        }
+      });
+
+      // Cancelled jobs are not failures
+      if (count === 0) {
+        return;
+      }
+
+      logger.error('Proof job failed', { jobId: job.id, code, error: message });
+
+      await proofEventService.publish(job.userId, 'job.failed', this.toEventData({
+        ...job,
+        status: 'FAILED',
+        error: { code, message },
+        completedAt: new Date()
+      }));
+
+      await auditLogService.log({
+        eventType: AuditEventType.PROOF_GENERATE,
+        actorType: ActorType.USER,
+        actorId: job.userId,
+        action: AuditAction.CREATE,
+        status: AuditStatus.FAILURE,
+        resourceType: 'proof',
+        details: {
+          jobId: job.id,
+          proofType: job.proofType,
+          error: message
+        },
+        severity: AuditSeverity.ERROR
+      });
+    } catch (updateError) {
+      logger.error('Failed to record proof job failure', {
+        jobId: job.id,
+        error: updateError instanceof Error ? updateError.message : 'Unknown error'
+      });
+    }
+  }
+
+  /**
+   * Requeue jobs left running by a stopped instance
+   *
+   * Jobs that have not reported progress within the job timeout are put back
+   * in the queue, or failed once they have used all their attempts.
+   */
+  async recoverStaleJobs(): Promise<number> {
+    const staleBefore = new Date(Date.now() - this.options.timeoutMs);
+    const stale = { status: 'RUNNING' as const, updatedAt: { lt: staleBefore } };
+
+    const { count: failed } = await prisma.proofJob.updateMany({
+      where: { ...stale, attempts: { gte: this.options.maxAttempts } },
+      data: {
+        status: 'FAILED',
+        error: { code: 'JOB_ABANDONED', message: 'Proof generation did not finish' },
+        input: null,
+        wrappedDataKey: null,
+        completedAt: new Date()
+      }
+    });
+
+    const { count: requeued } = await prisma.proofJob.updateMany({
+      where: stale,
+      data: { status: 'QUEUED', stage: 'init', progress: 0, workerId: null }
+    });
+
+    if (failed + requeued > 0) {
+      logger.warn('Recovered stale proof jobs', { failed, requeued });
+    }
+
+    return requeued;
+  }
+
+  /**
+   * Periodically claim queued jobs
+   */
+  start(intervalMs: number = this.options.pollIntervalMs): void {
+    if (this.timer) {
+      return;
+    }
+
+    if (!fs.existsSync(WORKER_SCRIPT) && this.options.runner === runInWorkerThread) {
+      logger.error('Proof worker script not found', { path: WORKER_SCRIPT });
+    }
+
+    this.timer = setInterval(() => {
+      this.recoverStaleJobs()
+        .catch(error => logger.error('Failed to recover proof jobs', {
+          error: error instanceof Error ? error.message : 'Unknown error'
+        }))
+        .then(() => this.drain());
+    }, intervalMs);
+
+    // Do not keep the process alive just for the polling loop
+    this.timer.unref();
+
+    this.drain();
+  }
+
+  /**
+   * Stop claiming jobs and hand running jobs back to the queue
+   */
+  async shutdown(): Promise<void> {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    this.stopping = true;
+    const jobIds = Array.from(this.running.keys());
+
+    if (jobIds.length > 0) {
+      await prisma.proofJob.updateMany({
+        where: { id: { in: jobIds }, status: 'RUNNING' },
+        data: { status: 'QUEUED', stage: 'init', progress: 0, workerId: null }
+      });
+    }
+
+    this.running.forEach(execution => execution.cancel());
+    this.running.clear();
+  }
+
+  /**
+   * Event data for a job, so clients can replace their copy of it
+   */
+  private toEventData(job: any): { job: ProofJobView } {
+    return { job: this.toView(job) };
+  }
+
+  /**
+   * Convert a job record to its API representation
+   */
+  private toView(job: any): ProofJobView {
+    return {
+      id: job.id,
+      status: job.status,
+      stage: job.stage,
+      progress: job.progress,
+      proofType: job.proofType,
+      referenceId: job.referenceId,
+      proofId: job.proofId,
+      expiresAt: job.expiresAt,
+      error: FINISHED_STATUSES.includes(job.status) ? job.error ?? null : null,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      completedAt: job.completedAt
+    };
+  }
+}
+
+// Export singleton instance
+export const proofJobQueue = new ProofJobQueue();
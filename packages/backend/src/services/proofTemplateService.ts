@@ -0,0 +1,399 @@
+/**
+ * Proof Template Service
+ *
+ * Manages organization proof templates, the public template catalog and the
+ * template rules applied when proofs are created and verified. A template
+ * fixes the proof type, threshold and expiry period of the proofs made from
+ * it; its request link opens the create page with those values locked.
+ */
+import { prisma } from '@proof-of-funds/db';
+import { ApiError } from '../middleware/errorHandler';
+import config from '../config';
+import logger from '../utils/logger';
+import { getVerificationRetryAfter } from '../utils/verificationInterval';
+import { auditLogService } from './auditLogService';
+import { AuditEventType, ActorType, AuditAction, AuditStatus, AuditSeverity } from '../models/auditLog';
+
+/**
+ * Template fields that can be set on create and update
+ */
+export interface ProofTemplateInput {
+  name?: string;
+  description?: string | null;
+  proofType?: 'STANDARD' | 'THRESHOLD' | 'MAXIMUM' | 'ZERO_KNOWLEDGE';
+  threshold?: string;
+  expiryPeriod?: number;
+  categoryTags?: string[];
+  isPublic?: boolean;
+  minVerificationInterval?: number | null;
+  settings?: Record<string, any>;
+}
+
+/**
+ * Filters for the public template catalog
+ */
+export interface TemplateCatalogFilters {
+  proofType?: string;
+  tag?: string;
+  search?: string;
+  page?: number;
+  limit?: number;
+}
+
+const templateSelect = {
+  id: true,
+  organizationId: true,
+  name: true,
+  description: true,
+  proofType: true,
+  threshold: true,
+  expiryPeriod: true,
+  categoryTags: true,
+  isPublic: true,
+  minVerificationInterval: true,
+  settings: true,
+  isActive: true,
+  createdAt: true,
+  updatedAt: true,
+  organization: {
+    select: { name: true }
+  }
+};
+
+/**
+ * Service for proof templates
+ */
+class ProofTemplateService {
+  /**
+   * Build the link that opens the create page with a template's settings locked
+   *
+   * @param templateId Template ID
+   */
+  getRequestUrl(templateId: string): string {
+    return `${config.server.frontendUrl}/create?template=${encodeURIComponent(templateId)}`;
+  }
+
+  /**
+   * List the templates of an organization
+   *
+   * @param organizationId Organization ID
+   * @param includeInactive Whether to include deleted templates
+   */
+  async listOrganizationTemplates(organizationId: string, includeInactive = false) {
+    const templates = await prisma.proofTemplate.findMany({
+      where: {
+        organizationId,
+        ...(includeInactive ? {} : { isActive: true })
+      },
+      select: templateSelect,
+      orderBy: { createdAt: 'desc' }
+    });
+
+    return templates.map(template => this.toResponse(template));
+  }
+
+  /**
+   * Get a template of an organization
+   *
+   * @param organizationId Organization ID
+   * @param templateId Template ID
+   * @throws ApiError 404 if the template does not belong to the organization
+   */
+  async getOrganizationTemplate(organizationId: string, templateId: string) {
+    const template = await prisma.proofTemplate.findFirst({
+      where: { id: templateId, organizationId },
+      select: templateSelect
+    });
+
+    if (!template) {
+      throw new ApiError(404, 'Template not found', 'TEMPLATE_NOT_FOUND');
+    }
+
+    return this.toResponse(template);
+  }
+
+  /**
+   * Create a template for an organization
+   *
+   * @param organizationId Organization ID
+   * @param data Template fields
+   * @param actorId Acting user ID
+   */
+  async createTemplate(organizationId: string, data: ProofTemplateInput, actorId: string) {
+    const template = await prisma.proofTemplate.create({
+      data: {
+        organizationId,
+        name: data.name!,
+        description: data.description,
+        proofType: data.proofType!,
+        threshold: data.threshold!,
+        expiryPeriod: data.expiryPeriod!,
+        categoryTags: data.categoryTags || [],
+        isPublic: data.isPublic || false,
+        minVerificationInterval: data.minVerificationInterval,
+        settings: data.settings || {}
+      },
+      select: templateSelect
+    });
+
+    await this.audit(AuditEventType.TEMPLATE_CREATE, AuditAction.CREATE, actorId, template.id, {
+      organizationId,
+      proofType: template.proofType,
+      isPublic: template.isPublic
+    });
+
+    return this.toResponse(template);
+  }
+
+  /**
+   * Update a template. Proofs already created from it keep their settings.
+   *
+   * @param organizationId Organization ID
+   * @param templateId Template ID
+   * @param data Fields to update
+   * @param actorId Acting user ID
+   */
+  async updateTemplate(organizationId: string, templateId: string, data: ProofTemplateInput, actorId: string) {
+    await this.getOrganizationTemplate(organizationId, templateId);
+
+    const template = await prisma.proofTemplate.update({
+      where: { id: templateId },
+      data,
+      select: templateSelect
+    });
+
+    await this.audit(AuditEventType.TEMPLATE_UPDATE, AuditAction.UPDATE, actorId, templateId, {
+      organizationId,
+      fields: Object.keys(data)
+    });
+
+    return this.toResponse(template);
+  }
+
+  /**
+   * Delete a template. Templates are deactivated rather than removed so
+   * proofs created from them keep their verification rules.
+   *
+   * @param organizationId Organization ID
+   * @param templateId Template ID
+   * @param actorId Acting user ID
+   */
+  async deleteTemplate(organizationId: string, templateId: string, actorId: string): Promise<void> {
+    const { count } = await prisma.proofTemplate.updateMany({
+      where: { id: templateId, organizationId, isActive: true },
+      data: { isActive: false }
+    });
+
+    if (count === 0) {
+      throw new ApiError(404, 'Template not found', 'TEMPLATE_NOT_FOUND');
+    }
+
+    await this.audit(AuditEventType.TEMPLATE_DELETE, AuditAction.DELETE, actorId, templateId, { organizationId });
+  }
+
+  /**
+   * List active public templates
+   *
+   * @param filters Catalog filters and paging
+   */
+  async listPublicTemplates(filters: TemplateCatalogFilters = {}) {
+    const page = filters.page || 1;
+    const limit = filters.limit || 20;
+
+    const where: any = { isPublic: true, isActive: true };
+
+    if (filters.proofType) {
+      where.proofType = filters.proofType;
+    }
+
+    if (filters.tag) {
+      where.categoryTags = { has: filters.tag };
+    }
+
+    if (filters.search) {
+      where.OR = [
+        { name: { contains: filters.search, mode: 'insensitive' } },
+        { description: { contains: filters.search, mode: 'insensitive' } }
+      ];
+    }
+
+    const [total, templates] = await Promise.all([
+      prisma.proofTemplate.count({ where }),
+      prisma.proofTemplate.findMany({
+        where,
+        select: templateSelect,
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit
+      })
+    ]);
+
+    return {
+      templates: templates.map(template => this.toResponse(template)),
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Get an active template by ID, for proof request links. Knowing the ID
+   * is enough to read a private template, since the ID is the link.
+   *
+   * @param templateId Template ID
+   * @throws ApiError 404 if the template does not exist or was deleted
+   */
+  async getRequestTemplate(templateId: string) {
+    const template = await prisma.proofTemplate.findFirst({
+      where: { id: templateId, isActive: true },
+      select: templateSelect
+    });
+
+    if (!template) {
+      throw new ApiError(404, 'Template not found', 'TEMPLATE_NOT_FOUND');
+    }
+
+    return this.toResponse(template);
+  }
+
+  /**
+   * Check a proof request against its template. The proof type and threshold
+   * must match the template, and the template decides the threshold that is
+   * proven and the expiry.
+   *
+   * @param templateId Template ID
+   * @param proofType Requested proof type
+   * @param threshold Requested threshold, if any
+   * @returns The template, the threshold to prove and the expiry date of the proof
+   * @throws ApiError 400 if the request does not match the template
+   */
+  async applyTemplate(templateId: string, proofType: string, threshold?: string) {
+    const template = await this.getRequestTemplate(templateId);
+
+    if (template.proofType !== proofType) {
+      throw new ApiError(400, `Template requires a ${template.proofType} proof`, 'TEMPLATE_MISMATCH');
+    }
+
+    if (threshold !== undefined && threshold !== null && String(threshold) !== template.threshold) {
+      throw new ApiError(400, `Template requires a threshold of ${template.threshold}`, 'TEMPLATE_MISMATCH');
+    }
+
+    return {
+      template,
+      threshold: template.threshold,
+      expiresAt: new Date(Date.now() + template.expiryPeriod * 1000)
+    };
+  }
+
+  /**
+   * Reserve a verification of a proof made from a template, enforcing the
+   * template's minimum interval between successful verifications.
+   *
+   * The proof's lastVerifiedAt is moved forward with a conditional update on
+   * the value that was checked, so of two concurrent verifications only one
+   * gets through. Call the returned release function if the verification does
+   * not succeed, to give the slot back.
+   *
+   * @param proofId Proof ID
+   * @param templateId Template the proof was made from, if any
+   * @returns Function that releases the reservation
+   * @throws ApiError 429 if the proof was verified too recently
+   */
+  async reserveVerification(proofId: string, templateId?: string | null): Promise<() => Promise<void>> {
+    const release = async () => {};
+
+    if (!templateId) {
+      return release;
+    }
+
+    const template = await prisma.proofTemplate.findUnique({
+      where: { id: templateId },
+      select: { minVerificationInterval: true }
+    });
+
+    if (!template?.minVerificationInterval) {
+      return release;
+    }
+
+    const interval = template.minVerificationInterval;
+    const tooFrequent = (retryAfter: number) => new ApiError(
+      429,
+      `This proof can only be verified every ${interval} seconds`,
+      'VERIFICATION_TOO_FREQUENT',
+      { retryAfter }
+    );
+
+    const proof = await prisma.proof.findUnique({
+      where: { id: proofId },
+      select: { lastVerifiedAt: true }
+    });
+    const previous = proof?.lastVerifiedAt ?? null;
+    const verifiedAt = new Date();
+
+    const retryAfter = getVerificationRetryAfter(previous, interval, verifiedAt);
+    if (retryAfter > 0) {
+      throw tooFrequent(retryAfter);
+    }
+
+    // Only one verification can move lastVerifiedAt on from the value checked
+    const { count } = await prisma.proof.updateMany({
+      where: { id: proofId, lastVerifiedAt: previous },
+      data: { lastVerifiedAt: verifiedAt }
+    });
+
+    if (count === 0) {
+      throw tooFrequent(interval);
+    }
+
+    return async () => {
+      await prisma.proof.updateMany({
+        where: { id: proofId, lastVerifiedAt: verifiedAt },
+        data: { lastVerifiedAt: previous }
+      });
+    };
+  }
+
+  /**
+   * Shape a template for API responses
+   */
+  private toResponse({ organization, ...template }: any) {
+    return {
+      ...template,
+      organizationName: organization?.name,
+      requestUrl: this.getRequestUrl(template.id)
+    };
+  }
+
+  /**
+   * Record a template event in the audit log
+   */
+  private async audit(
+    eventType: AuditEventType,
+    action: AuditAction,
+    actorId: string,
+    templateId: string,
+    details: Record<string, any>
+  ): Promise<void> {
+    await auditLogService.log({
+      eventType,
+      actorId,
+      actorType: ActorType.USER,
+      action,
+      resourceType: 'template',
+      resourceId: templateId,
+      status: AuditStatus.SUCCESS,
+      details,
+      severity: AuditSeverity.INFO
+    }).catch(err => {
+      logger.error('Failed to log template audit', { error: err, templateId });
+    });
+  }
+}
+
+// Export singleton instance
+export const proofTemplateService = new ProofTemplateService();
+
+export default proofTemplateService;
@@ -0,0 +1,665 @@
+/**
+ * Relayer Service
+ *
+ * Submits proofs on behalf of users so their temporary wallets never need
+ * gas or have their keys leave the browser. The user signs an EIP-712
+ * ForwardRequest with the temporary wallet and the relayer sends it to the
+ * ProofForwarder contract, which calls ZKVerifier or ProofOfFunds with the
+ * signer as the sender (ERC-2771).
+ *
+ * The relayer account's nonces are allocated from the relay_transactions
+ * table, gas prices are kept between the configured floor and cap, and each
+ * user can relay a limited number of requests per day. Transactions that are
+ * not mined in time are replaced with the same nonce and a higher gas price.
+ */
+import { ethers } from 'ethers';
+import { prisma } from '@proof-of-funds/db';
+import { ApiError } from '../middleware/errorHandler';
+import config from '../config';
+import logger from '../utils/logger';
+import { proofEventService } from './proofEventService';
+
+export type RelayTransactionStatus = 'PENDING' | 'SUBMITTED' | 'CONFIRMED' | 'FAILED';
+
+// Matches ProofForwarder.ForwardRequest
+const FORWARD_REQUEST = 'tuple(address from, address to, uint256 value, uint256 gas, uint256 nonce, uint256 deadline, bytes data)';
+
+export const PROOF_FORWARDER_ABI = [
+  'function getNonce(address from) view returns (uint256)',
+  `function verify(${FORWARD_REQUEST} req, bytes signature) view returns (bool)`,
+  `function execute(${FORWARD_REQUEST} req, bytes signature) payable returns (bytes)`
+];
+
+// EIP-712 domain name, version and type the forwarder verifies requests against
+export const FORWARDER_DOMAIN = { name: 'ProofForwarder', version: '1' };
+export const FORWARD_REQUEST_TYPES = {
+  ForwardRequest: [
+    { name: 'from', type: 'address' },
+    { name: 'to', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'gas', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' },
+    { name: 'data', type: 'bytes' }
+  ]
+};
+
+// Functions each target contract may be called with through the relayer
+const RELAYABLE_FUNCTIONS = {
+  zkVerifier: new ethers.utils.Interface([
+    'function submitZKProof(bytes _proof, bytes _publicSignals, uint256 _expiryTime, uint8 _proofType, string _signatureMessage, bytes _signature)',
+    'function revokeZKProof(string _reason)',
+    'function addZKSignatureMessage(string _message, bytes _signature)'
+  ]),
+  proofOfFunds: new ethers.utils.Interface([
+    'function submitProof(uint8 _proofType, bytes32 _proofHash, uint256 _expiryTime, uint256 _thresholdAmount, string _signatureMessage, bytes _signature)',
+    'function revokeProof(string _reason)'
+  ])
+};
+
+export type RelayTarget = keyof typeof RELAYABLE_FUNCTIONS;
+
+// Requests must leave the relayer this long to get mined before their deadline
+const MIN_DEADLINE_MS = 2 * 60 * 1000;
+
+// Extra gas on top of the estimate for the relayer transaction
+const GAS_LIMIT_BUFFER_PERCENT = 20;
+
+// Transactions checked per run of the monitor
+const MONITOR_BATCH_SIZE = 100;
+
+// Attempts to claim a relayer nonce another instance took first
+const MAX_NONCE_ATTEMPTS = 3;
+
+// Stored error messages are cut to this length
+const MAX_ERROR_LENGTH = 500;
+
+const QUOTA_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * ForwardRequest as signed by the temporary wallet; numbers may be decimal strings
+ */
+export interface ForwardRequest {
+  from: string;
+  to: string;
+  value: string | number;
+  gas: string | number;
+  nonce: string | number;
+  deadline: string | number;
+  data: string;
+}
+
+export interface RelayerServiceOptions {
+  rpcUrl?: string;
+  chainId?: number;
+  privateKey?: string;
+  forwarderAddress?: string;
+  targets?: Partial<Record<RelayTarget, string>>;
+  maxGasPriceGwei?: number;
+  minGasPriceGwei?: number;
+  maxGasLimit?: number;
+  dailyQuota?: number;
+  stuckAfterMs?: number;
+  gasPriceBumpPercent?: number;
+  maxReplacements?: number;
+  intervalMs?: number;
+  confirmations?: number;
+  forwarder?: ethers.Contract;
+}
+
+/**
+ * Outcome of a monitor run
+ */
+export interface RelayMonitorResult {
+  confirmed: number;
+  failed: number;
+  replaced: number;
+}
+
+// Fields returned for relay transactions
+const transactionSelect = {
+  id: true,
+  status: true,
+  chainId: true,
+  target: true,
+  signer: true,
+  requestNonce: true,
+  txHash: true,
+  replacements: true,
+  gasPrice: true,
+  blockNumber: true,
+  gasUsed: true,
+  error: true,
+  createdAt: true,
+  submittedAt: true,
+  confirmedAt: true
+};
+
+const truncateError = (error: unknown): string => {
+  const message = error instanceof Error ? error.message : String(error);
+  return message.slice(0, MAX_ERROR_LENGTH);
+};
+
+/**
+ * Service for relaying signed proof submissions through the trusted forwarder
+ */
+export class RelayerService {
+  private options: Required<Omit<RelayerServiceOptions, 'forwarder' | 'targets'>> & { targets: Partial<Record<RelayTarget, string>> };
+  private forwarder: ethers.Contract | null;
+  private sendQueue: Promise<unknown> = Promise.resolve();
+  private timer: NodeJS.Timeout | null = null;
+  private monitoring = false;
+
+  constructor(options: RelayerServiceOptions = {}) {
+    this.options = {
+      rpcUrl: options.rpcUrl ?? config.relayer.rpcUrl,
+      chainId: options.chainId ?? config.relayer.chainId,
+      privateKey: options.privateKey ?? config.relayer.privateKey,
+      forwarderAddress: options.forwarderAddress ?? config.relayer.forwarderAddress,
+      targets: options.targets ?? config.relayer.targets,
+      maxGasPriceGwei: options.maxGasPriceGwei ?? config.relayer.maxGasPriceGwei,
+      minGasPriceGwei: options.minGasPriceGwei ?? config.relayer.minGasPriceGwei,
+      maxGasLimit: options.maxGasLimit ?? config.relayer.maxGasLimit,
+      dailyQuota: options.dailyQuota ?? config.relayer.dailyQuota,
+      stuckAfterMs: options.stuckAfterMs ?? config.relayer.stuckAfterMs,
+      gasPriceBumpPercent: options.gasPriceBumpPercent ?? config.relayer.gasPriceBumpPercent,
+      maxReplacements: options.maxReplacements ?? config.relayer.maxReplacements,
+      intervalMs: options.intervalMs ?? config.relayer.intervalMs,
+      confirmations: options.confirmations ?? config.relayer.confirmations
+    };
+    this.forwarder = options.forwarder || null;
+  }
+
+  /**
+   * Get the forwarder contract, connected to the relayer account
+   *
+   * @throws ApiError if the relayer is not configured
+   */
+  private getForwarder(): ethers.Contract {
+    if (this.forwarder) {
+      return this.forwarder;
+    }
+
+    if (!this.options.forwarderAddress || !this.options.privateKey) {
+      throw new ApiError(503, 'Gas-sponsored submission is not available', 'RELAYER_UNAVAILABLE');
+    }
+
+    const provider = new ethers.providers.JsonRpcProvider(this.options.rpcUrl, this.options.chainId);
+    const signer = new ethers.Wallet(this.options.privateKey, provider);
+
+    this.forwarder = new ethers.Contract(this.options.forwarderAddress, PROOF_FORWARDER_ABI, signer);
+    return this.forwarder;
+  }
+
+  private getSigner(): ethers.Signer {
+    return this.getForwarder().signer;
+  }
+
+  /**
+   * Find which relayable contract an address belongs to
+   */
+  private getTarget(address: string): RelayTarget | null {
+    const entry = Object.entries(this.options.targets)
+      .find(([, targetAddress]) => targetAddress && targetAddress.toLowerCase() === address.toLowerCase());
+
+    return entry ? entry[0] as RelayTarget : null;
+  }
+
+  /**
+   * Get the relayer's gas price, within the configured floor and cap
+   */
+  private async getGasPrice(): Promise<ethers.BigNumber> {
+    const networkPrice = await this.getSigner().getGasPrice();
+    const minPrice = ethers.utils.parseUnits(String(this.options.minGasPriceGwei), 'gwei');
+    const maxPrice = this.getMaxGasPrice();
+
+    if (networkPrice.gt(maxPrice)) {
+      logger.warn('Relayer gas price capped', {
+        networkGwei: ethers.utils.formatUnits(networkPrice, 'gwei'),
+        maxGwei: this.options.maxGasPriceGwei
+      });
+      return maxPrice;
+    }
+
+    return networkPrice.lt(minPrice) ? minPrice : networkPrice;
+  }
+
+  private getMaxGasPrice(): ethers.BigNumber {
+    return ethers.utils.parseUnits(String(this.options.maxGasPriceGwei), 'gwei');
+  }
+
+  /**
+   * Check that a request calls an allowed function and can still be mined
+   *
+   * @throws ApiError if the request cannot be relayed
+   */
+  private validateRequest(request: ForwardRequest): RelayTarget {
+    const target = this.getTarget(request.to);
+    if (!target) {
+      throw new ApiError(400, 'Requests can only be relayed to the proof contracts', 'RELAY_TARGET_NOT_ALLOWED');
+    }
+
+    try {
+      RELAYABLE_FUNCTIONS[target].parseTransaction({ data: request.data });
+    } catch {
+      throw new ApiError(400, 'Requests can only submit or revoke proofs', 'RELAY_FUNCTION_NOT_ALLOWED');
+    }
+
+    if (!ethers.BigNumber.from(request.value).isZero()) {
+      throw new ApiError(400, 'Relayed requests cannot transfer value', 'INVALID_RELAY_REQUEST');
+    }
+
+    if (ethers.BigNumber.from(request.gas).gt(this.options.maxGasLimit)) {
+      throw new ApiError(400, `Request gas exceeds the limit of ${this.options.maxGasLimit}`, 'INVALID_RELAY_REQUEST');
+    }
+
+    if (ethers.BigNumber.from(request.deadline).mul(1000).lt(Date.now() + MIN_DEADLINE_MS)) {
+      throw new ApiError(400, 'Request deadline is too close or has passed', 'RELAY_REQUEST_EXPIRED');
+    }
+
+    return target;
+  }
+
+  /**
+   * Get what a client needs to sign a ForwardRequest
+   *
+   * @param from - Temporary wallet that will sign, to look up its forwarder nonce
+   */
+  async getForwarderInfo(from?: string) {
+    const forwarder = this.getForwarder();
+
+    return {
+      chainId: this.options.chainId,
+      forwarder: forwarder.address,
+      domain: { ...FORWARDER_DOMAIN, chainId: this.options.chainId, verifyingContract: forwarder.address },
+      types: FORWARD_REQUEST_TYPES,
+      targets: this.options.targets,
+      maxGas: this.options.maxGasLimit,
+      nonce: from ? (await forwarder.getNonce(from)).toString() : undefined
+    };
+  }
+
+  /**
+   * Get how many requests a user can still relay in the current 24 hours
+   */
+  async getQuota(userId: string) {
+    const since = new Date(Date.now() - QUOTA_WINDOW_MS);
+
+    // Sends that never reached the network do not count
+    const relayed = await prisma.relayTransaction.findMany({
+      where: { userId, createdAt: { gte: since }, NOT: { status: 'FAILED', txHash: null } },
+      select: { createdAt: true },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    return {
+      limit: this.options.dailyQuota,
+      used: relayed.length,
+      remaining: Math.max(0, this.options.dailyQuota - relayed.length),
+      resetsAt: relayed.length > 0 ? new Date(relayed[0].createdAt.getTime() + QUOTA_WINDOW_MS) : null
+    };
+  }
+
+  /**
+   * Relay a signed ForwardRequest
+   *
+   * The request is checked against the forwarder and simulated before it is
+   * sent, so the relayer only pays for calls that succeed at the time of
+   * sending. Sends are serialized so relayer nonces are allocated in order.
+   *
+   * @throws ApiError if the request is invalid, the quota is used up or the send fails
+   */
+  async relay(userId: string, request: ForwardRequest, signature: string) {
+    const forwarder = this.getForwarder();
+    const target = this.validateRequest(request);
+
+    const valid = await forwarder.verify(request, signature);
+    if (!valid) {
+      throw new ApiError(400, 'Signature does not match the request or the nonce was already used', 'INVALID_SIGNATURE');
+    }
+
+    let gasEstimate: ethers.BigNumber;
+    try {
+      gasEstimate = await forwarder.estimateGas.execute(request, signature);
+    } catch (error) {
+      throw new ApiError(400, 'Request would revert on-chain', 'RELAY_CALL_REVERTED', { reason: truncateError(error) });
+    }
+
+    const gasLimit = gasEstimate.mul(100 + GAS_LIMIT_BUFFER_PERCENT).div(100);
+    const data = forwarder.interface.encodeFunctionData('execute', [request, signature]);
+
+    return this.serialize(async () => {
+      const quota = await this.getQuota(userId);
+      if (quota.remaining === 0) {
+        throw new ApiError(429, 'Daily relay quota exceeded', 'RELAY_QUOTA_EXCEEDED', quota);
+      }
+
+      const pending = await prisma.relayTransaction.findFirst({
+        where: {
+          forwarder: forwarder.address,
+          signer: ethers.utils.getAddress(request.from),
+          status: { in: ['PENDING', 'SUBMITTED'] }
+        },
+        select: { id: true }
+      });
+      if (pending) {
+        throw new ApiError(409, 'A request from this wallet is still being relayed', 'RELAY_REQUEST_PENDING', {
+          transactionId: pending.id
+        });
+      }
+
+      const gasPrice = await this.getGasPrice();
+      const transaction = await this.createWithNonce({
+        userId,
+        chainId: this.options.chainId,
+        forwarder: forwarder.address,
+        target: ethers.utils.getAddress(request.to),
+        signer: ethers.utils.getAddress(request.from),
+        requestNonce: ethers.BigNumber.from(request.nonce).toNumber(),
+        deadline: new Date(ethers.BigNumber.from(request.deadline).toNumber() * 1000),
+        data,
+        gasLimit: gasLimit.toString(),
+        gasPrice: gasPrice.toString()
+      });
+
+      try {
+        const tx = await this.getSigner().sendTransaction({
+          to: forwarder.address,
+          data,
+          nonce: transaction.nonce!,
+          gasLimit,
+          gasPrice
+        });
+
+        logger.info('Relayed proof request', {
+          transactionId: transaction.id,
+          target,
+          txHash: tx.hash,
+          nonce: transaction.nonce
+        });
+
+        return prisma.relayTransaction.update({
+          where: { id: transaction.id },
+          data: { status: 'SUBMITTED', txHash: tx.hash, submittedAt: new Date() },
+          select: transactionSelect
+        });
+      } catch (error) {
+        // Release the nonce so the next request can use it
+        await prisma.relayTransaction.update({
+          where: { id: transaction.id },
+          data: { status: 'FAILED', nonce: null, error: truncateError(error) }
+        });
+
+        logger.error('Failed to send relay transaction', { transactionId: transaction.id, error: truncateError(error) });
+        throw new ApiError(502, 'Failed to send the relay transaction', 'RELAY_SEND_FAILED');
+      }
+    });
+  }
+
+  /**
+   * Get a relay transaction of a user
+   *
+   * @throws ApiError if the transaction does not exist or belongs to another user
+   */
+  async getTransaction(id: string, userId: string) {
+    const transaction = await prisma.relayTransaction.findFirst({
+      where: { id, userId },
+      select: transactionSelect
+    });
+
+    if (!transaction) {
+      throw new ApiError(404, 'Relay transaction not found', 'RELAY_TRANSACTION_NOT_FOUND');
+    }
+
+    return transaction;
+  }
+
+  /**
+   * Run sends one at a time
+   */
+  private serialize<T>(task: () => Promise<T>): Promise<T> {
+    const run = this.sendQueue.then(task);
+    this.sendQueue = run.catch(() => undefined);
+    return run;
+  }
+
+  /**
+   * Store a transaction with the next free relayer nonce
+   *
+   * The next nonce is past both the account's pending transactions and the
+   * nonces already handed out. The unique index on the nonce stops two
+   * instances from claiming the same one.
+   */
+  private async createWithNonce(data: Record<string, any>) {
+    const signer = this.getSigner();
+    const relayerAddress = await signer.getAddress();
+
+    for (let attempt = 1; ; attempt++) {
+      const [pendingCount, last] = await Promise.all([
+        signer.getTransactionCount('pending'),
+        prisma.relayTransaction.findFirst({
+          where: { relayerAddress, chainId: this.options.chainId, nonce: { not: null } },
+          orderBy: { nonce: 'desc' },
+          select: { nonce: true }
+        })
+      ]);
+      const nonce = Math.max(pendingCount, (last?.nonce ?? -1) + 1);
+
+      try {
+        return await prisma.relayTransaction.create({
+          data: { ...data, relayerAddress, nonce } as any
+        });
+      } catch (error: any) {
+        if (error?.code !== 'P2002' || attempt >= MAX_NONCE_ATTEMPTS) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  /**
+   * Find the receipt of any transaction sent for a relay transaction
+   */
+  private async findReceipt(hashes: string[]): Promise<ethers.providers.TransactionReceipt | null> {
+    const provider = this.getSigner().provider!;
+
+    for (const hash of hashes) {
+      const receipt = await provider.getTransactionReceipt(hash);
+      if (receipt) {
+        return receipt;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Resend a stuck transaction with the same nonce and a higher gas price
+   *
+   * @returns Whether a replacement was sent
+   */
+  private async replaceTransaction(transaction: any): Promise<boolean> {
+    const previousPrice = ethers.BigNumber.from(transaction.gasPrice);
+    const bumped = previousPrice.mul(100 + this.options.gasPriceBumpPercent).div(100);
+    const networkPrice = await this.getGasPrice();
+    const maxPrice = this.getMaxGasPrice();
+
+    let gasPrice = bumped.gt(networkPrice) ? bumped : networkPrice;
+    if (gasPrice.gt(maxPrice)) {
+      gasPrice = maxPrice;
+    }
+
+    if (gasPrice.lte(previousPrice)) {
+      logger.warn('Stuck relay transaction is already at the gas price cap', {
+        transactionId: transaction.id,
+        txHash: transaction.txHash
+      });
+      return false;
+    }
+
+    const tx = await this.getSigner().sendTransaction({
+      to: transaction.forwarder,
+      data: transaction.data,
+      nonce: transaction.nonce,
+      gasLimit: ethers.BigNumber.from(transaction.gasLimit),
+      gasPrice
+    });
+
+    await prisma.relayTransaction.update({
+      where: { id: transaction.id },
+      data: {
+        txHash: tx.hash,
+        previousHashes: [...transaction.previousHashes, transaction.txHash],
+        gasPrice: gasPrice.toString(),
+        replacements: transaction.replacements + 1,
+        submittedAt: new Date()
+      }
+    });
+
+    logger.info('Replaced stuck relay transaction', {
+      transactionId: transaction.id,
+      previousHash: transaction.txHash,
+      txHash: tx.hash,
+      gasPriceGwei: ethers.utils.formatUnits(gasPrice, 'gwei')
+    });
+
+    return true;
+  }
+
+  /**
+   * Record mined relay transactions and replace stuck ones
+   *
+   * A transaction is confirmed or failed by the receipt of whichever of its
+   * sends was mined. If the relayer nonce was used up by none of them, the
+   * request was dropped and is marked as failed.
+   */
+  async monitorTransactions(): Promise<RelayMonitorResult> {
+    const result: RelayMonitorResult = { confirmed: 0, failed: 0, replaced: 0 };
+    const signer = this.getSigner();
+    const relayerAddress = await signer.getAddress();
+
+    // Rows whose send never started, e.g. because the process stopped
+    const abandoned = await prisma.relayTransaction.updateMany({
+      where: {
+        relayerAddress,
+        chainId: this.options.chainId,
+        status: 'PENDING',
+        createdAt: { lt: new Date(Date.now() - this.options.stuckAfterMs) }
+      },
+      data: { status: 'FAILED', nonce: null, error: 'Relayer stopped before the transaction was sent' }
+    });
+    result.failed += abandoned.count;
+
+    const transactions = await prisma.relayTransaction.findMany({
+      where: { relayerAddress, chainId: this.options.chainId, status: 'SUBMITTED' },
+      orderBy: { nonce: 'asc' },
+      take: MONITOR_BATCH_SIZE
+    });
+
+    if (transactions.length === 0) {
+      return result;
+    }
+
+    const minedNonce = await signer.getTransactionCount('latest');
+
+    for (const transaction of transactions) {
+      try {
+        const receipt = await this.findReceipt([transaction.txHash!, ...transaction.previousHashes]);
+
+        if (receipt) {
+          if (receipt.confirmations < this.options.confirmations) {
+            continue;
+          }
+
+          const succeeded = receipt.status === 1;
+          const updated = await prisma.relayTransaction.update({
+            where: { id: transaction.id },
+            data: {
+              status: succeeded ? 'CONFIRMED' : 'FAILED',
+              txHash: receipt.transactionHash,
+              blockNumber: receipt.blockNumber,
+              gasUsed: receipt.gasUsed.toString(),
+              confirmedAt: new Date(),
+              error: succeeded ? null : 'Transaction reverted'
+            },
+            select: transactionSelect
+          });
+
+          result[succeeded ? 'confirmed' : 'failed']++;
+          await proofEventService.publish(transaction.userId, succeeded ? 'transaction.confirmed' : 'transaction.failed', {
+            transaction: updated
+          });
+          continue;
+        }
+
+        if (transaction.nonce! < minedNonce) {
+          const updated = await prisma.relayTransaction.update({
+            where: { id: transaction.id },
+            data: { status: 'FAILED', error: 'Relayer nonce was used by another transaction' },
+            select: transactionSelect
+          });
+          result.failed++;
+          await proofEventService.publish(transaction.userId, 'transaction.failed', { transaction: updated });
+          continue;
+        }
+
+        const stuck = Date.now() - transaction.submittedAt!.getTime() > this.options.stuckAfterMs;
+        if (stuck && transaction.replacements < this.options.maxReplacements && await this.replaceTransaction(transaction)) {
+          result.replaced++;
+        }
+      } catch (error) {
+        logger.error('Failed to check relay transaction', {
+          transactionId: transaction.id,
+          error: truncateError(error)
+        });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Periodically check relay transactions
+   */
+  start(intervalMs: number = this.options.intervalMs): void {
+    if (this.timer) {
+      return;
+    }
+
+    const monitor = () => {
+      if (this.monitoring) {
+        return;
+      }
+      this.monitoring = true;
+
+      this.monitorTransactions()
+        .catch(error => logger.error('Failed to monitor relay transactions', { error: truncateError(error) }))
+        .finally(() => {
+          this.monitoring = false;
+        });
+    };
+
+    this.timer = setInterval(monitor, intervalMs);
+
+    // Do not keep the process alive just for monitoring
+    this.timer.unref();
+
+    monitor();
+  }
+
+  /**
+   * Stop the monitor and wait for queued sends to finish
+   */
+  async shutdown(): Promise<void> {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    await this.sendQueue;
+  }
+}
+
+// Export singleton instance
+export const relayerService = new RelayerService();
+export default relayerService;
@@ -0,0 +1,43 @@
+/**
+ * Address helpers shared by sanctions providers
+ */
+import { ScreeningChain } from './types';
+
+const EVM_ADDRESS = /^0x[0-9a-fA-F]{40}$/;
+const BITCOIN_ADDRESS = /^(bc1[02-9ac-hj-np-z]{11,71}|[13][1-9A-HJ-NP-Za-km-z]{25,34})$/i;
+const SOLANA_ADDRESS = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+
+/**
+ * Normalize an address for comparison. Hex and bech32 addresses are
+ * case-insensitive and lower-cased; base58 addresses are case-sensitive.
+ */
+export const normalizeAddress = (address: string): string => {
+  const trimmed = address.trim();
+
+  if (EVM_ADDRESS.test(trimmed) || /^bc1/i.test(trimmed)) {
+    return trimmed.toLowerCase();
+  }
+
+  return trimmed;
+};
+
+/**
+ * Work out the chain an address belongs to from its format
+ *
+ * @returns The chain, or null if the format is not recognised
+ */
+export const detectChain = (address: string): ScreeningChain | null => {
+  const trimmed = address.trim();
+
+  if (EVM_ADDRESS.test(trimmed)) {
+    return 'evm';
+  }
+  if (BITCOIN_ADDRESS.test(trimmed)) {
+    return 'bitcoin';
+  }
+  if (SOLANA_ADDRESS.test(trimmed)) {
+    return 'solana';
+  }
+
+  return null;
+};
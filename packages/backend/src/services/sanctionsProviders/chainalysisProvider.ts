@@ -0,0 +1,87 @@
+/**
+ * Chainalysis Provider
+ *
+ * Screens addresses with the Chainalysis address screening API. Addresses
+ * with any risk rating other than none are reported.
+ */
+import config from '../../config';
+import { SanctionsMatch, SanctionsProvider, ScreeningChain, ScreeningTarget } from './types';
+import { detectChain } from './address';
+
+export const CHAINALYSIS_PROVIDER = 'chainalysis';
+
+const ASSET_TYPES: Record<ScreeningChain, string> = {
+  evm: 'ETH',
+  bitcoin: 'BTC',
+  solana: 'SOL'
+};
+
+// Risk ratings as scores, for comparison with other providers
+const RISK_SCORES: Record<string, number> = {
+  severe: 100,
+  high: 90,
+  medium: 65,
+  low: 30
+};
+
+export interface ChainalysisProviderOptions {
+  apiKey?: string;
+  apiUrl?: string;
+}
+
+/**
+ * Provider backed by the Chainalysis API
+ */
+export class ChainalysisProvider implements SanctionsProvider {
+  readonly name = CHAINALYSIS_PROVIDER;
+  private apiKey: string;
+  private apiUrl: string;
+
+  constructor(options: ChainalysisProviderOptions = {}) {
+    this.apiKey = options.apiKey ?? config.sanctions.chainalysis.apiKey;
+    this.apiUrl = options.apiUrl ?? config.sanctions.chainalysis.apiUrl;
+  }
+
+  async isAvailable(): Promise<boolean> {
+    return Boolean(this.apiKey);
+  }
+
+  async screen(targets: ScreeningTarget[]): Promise<SanctionsMatch[]> {
+    const results = await Promise.all(targets.map(target => this.screenAddress(target.address)));
+    return results.filter((match): match is SanctionsMatch => match !== null);
+  }
+
+  private async screenAddress(address: string): Promise<SanctionsMatch | null> {
+    const chain = detectChain(address);
+    if (!chain) {
+      return null;
+    }
+
+    const response = await fetch(`${this.apiUrl}/${address}?assetType=${ASSET_TYPES[chain]}`, {
+      method: 'GET',
+      headers: {
+        'Accept': 'application/json',
+        'Token': this.apiKey
+      }
+    });
+
+    if (!response.ok) {
+      throw new Error(`Chainalysis API error: ${response.status} ${response.statusText}`);
+    }
+
+    const data: any = await response.json();
+    const risk = String(data.risk || 'none').toLowerCase();
+
+    if (risk === 'none') {
+      return null;
+    }
+
+    return {
+      address,
+      provider: this.name,
+      category: data.category || undefined,
+      riskScore: RISK_SCORES[risk] ?? 0,
+      details: data
+    };
+  }
+}
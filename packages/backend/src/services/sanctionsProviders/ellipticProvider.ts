@@ -0,0 +1,80 @@
+/**
+ * Elliptic Provider
+ *
+ * Screens addresses with the Elliptic screening API. Addresses scoring above
+ * the risk threshold are reported. Elliptic does not screen Solana addresses.
+ */
+import config from '../../config';
+import { SanctionsMatch, SanctionsProvider, ScreeningChain, ScreeningTarget } from './types';
+import { detectChain } from './address';
+
+export const ELLIPTIC_PROVIDER = 'elliptic';
+
+const ASSET_TYPES: Partial<Record<ScreeningChain, string>> = {
+  evm: 'eth',
+  bitcoin: 'btc'
+};
+
+const RISK_THRESHOLD = 75;
+
+export interface EllipticProviderOptions {
+  apiKey?: string;
+  apiUrl?: string;
+}
+
+/**
+ * Provider backed by the Elliptic API
+ */
+export class EllipticProvider implements SanctionsProvider {
+  readonly name = ELLIPTIC_PROVIDER;
+  private apiKey: string;
+  private apiUrl: string;
+
+  constructor(options: EllipticProviderOptions = {}) {
+    this.apiKey = options.apiKey ?? config.sanctions.elliptic.apiKey;
+    this.apiUrl = options.apiUrl ?? config.sanctions.elliptic.apiUrl;
+  }
+
+  async isAvailable(): Promise<boolean> {
+    return Boolean(this.apiKey);
+  }
+
+  async screen(targets: ScreeningTarget[]): Promise<SanctionsMatch[]> {
+    const results = await Promise.all(targets.map(target => this.screenAddress(target.address)));
+    return results.filter((match): match is SanctionsMatch => match !== null);
+  }
+
+  private async screenAddress(address: string): Promise<SanctionsMatch | null> {
+    const chain = detectChain(address);
+    const assetType = chain ? ASSET_TYPES[chain] : undefined;
+    if (!assetType) {
+      return null;
+    }
+
+    const response = await fetch(`${this.apiUrl}/${assetType}/${address}`, {
+      method: 'GET',
+      headers: {
+        'Accept': 'application/json',
+        'x-api-key': this.apiKey
+      }
+    });
+
+    if (!response.ok) {
+      throw new Error(`Elliptic API error: ${response.status} ${response.statusText}`);
+    }
+
+    const data: any = await response.json();
+
+    if ((data.riskScore || 0) <= RISK_THRESHOLD) {
+      return null;
+    }
+
+    return {
+      address,
+      provider: this.name,
+      category: data.categories?.[0]?.name || undefined,
+      riskScore: data.riskScore,
+      details: data
+    };
+  }
+}
@@ -0,0 +1,48 @@
+/**
+ * Sanctions Providers
+ *
+ * Providers are created by name from the sanctions configuration. Other
+ * providers can be added with registerSanctionsProviderFactory.
+ */
+import { SanctionsProvider } from './types';
+import { SanctionsListProvider, SANCTIONS_LIST_PROVIDER } from './sanctionsListProvider';
+import { ChainalysisProvider, CHAINALYSIS_PROVIDER } from './chainalysisProvider';
+import { TrmLabsProvider, TRM_LABS_PROVIDER } from './trmLabsProvider';
+import { EllipticProvider, ELLIPTIC_PROVIDER } from './ellipticProvider';
+
+export * from './types';
+export { normalizeAddress, detectChain } from './address';
+export * from './listParsers';
+export { SanctionsListProvider, SANCTIONS_LIST_PROVIDER } from './sanctionsListProvider';
+export { ChainalysisProvider, CHAINALYSIS_PROVIDER } from './chainalysisProvider';
+export { TrmLabsProvider, TRM_LABS_PROVIDER } from './trmLabsProvider';
+export { EllipticProvider, ELLIPTIC_PROVIDER } from './ellipticProvider';
+
+const factories = new Map<string, () => SanctionsProvider>([
+  [SANCTIONS_LIST_PROVIDER, () => new SanctionsListProvider()],
+  [CHAINALYSIS_PROVIDER, () => new ChainalysisProvider()],
+  [TRM_LABS_PROVIDER, () => new TrmLabsProvider()],
+  [ELLIPTIC_PROVIDER, () => new EllipticProvider()]
+]);
+
+/**
+ * Register a sanctions provider that can then be selected by name
+ */
+export const registerSanctionsProviderFactory = (name: string, factory: () => SanctionsProvider): void => {
+  factories.set(name, factory);
+};
+
+/**
+ * Create a sanctions provider by name
+ *
+ * @throws Error if no provider is registered under the name
+ */
+export const createSanctionsProvider = (name: string): SanctionsProvider => {
+  const factory = factories.get(name);
+
+  if (!factory) {
+    throw new Error(`Unknown sanctions provider: ${name}`);
+  }
+
+  return factory();
+};
@@ -0,0 +1,221 @@
+/**
+ * Sanctions List Parsers
+ *
+ * Read the addresses of a sanctions list document for import:
+ *
+ * - OFAC_SDN_XML: the OFAC SDN list (sdn.xml); the IDs of type
+ *   "Digital Currency Address - <currency>" of each entry are imported.
+ * - CSV: a header row naming an address column, and optionally currency,
+ *   name and id columns.
+ * - JSON: an array, or an object with an addresses array, of address
+ *   strings or { address, currency, entityName, entityId } objects.
+ */
+import { normalizeAddress } from './address';
+
+export type SanctionsListFormat = 'OFAC_SDN_XML' | 'CSV' | 'JSON';
+
+export const SANCTIONS_LIST_FORMATS: SanctionsListFormat[] = ['OFAC_SDN_XML', 'CSV', 'JSON'];
+
+/**
+ * Address read from a sanctions list
+ */
+export interface SanctionsListEntry {
+  address: string;
+  currency?: string;
+  entityName?: string;
+  entityId?: string;
+}
+
+const DIGITAL_CURRENCY_ID = 'Digital Currency Address - ';
+
+const XML_ENTITIES: Record<string, string> = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: '\''
+};
+
+/**
+ * Text of the first element with the given tag, unescaped
+ */
+const readTag = (xml: string, tag: string): string | undefined => {
+  const match = xml.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`));
+
+  if (!match) {
+    return undefined;
+  }
+
+  return match[1]
+    .replace(/&(amp|lt|gt|quot|apos);/g, (_, entity) => XML_ENTITIES[entity])
+    .trim();
+};
+
+/**
+ * Read the digital currency addresses of the OFAC SDN list
+ */
+export const parseOfacSdnXml = (content: string): SanctionsListEntry[] => {
+  const entries: SanctionsListEntry[] = [];
+  // Strip the default namespace prefix some exports use
+  const xml = content.replace(/<(\/?)[a-zA-Z0-9]+:/g, '<$1');
+
+  for (const [sdnEntry] of xml.matchAll(/<sdnEntry>[\s\S]*?<\/sdnEntry>/g)) {
+    const ids = [...sdnEntry.matchAll(/<id>[\s\S]*?<\/id>/g)]
+      .map(([id]) => ({ type: readTag(id, 'idType') || '', number: readTag(id, 'idNumber') || '' }))
+      .filter(id => id.type.startsWith(DIGITAL_CURRENCY_ID) && id.number);
+
+    if (ids.length === 0) {
+      continue;
+    }
+
+    const entityName = [readTag(sdnEntry, 'firstName'), readTag(sdnEntry, 'lastName')]
+      .filter(Boolean)
+      .join(' ');
+
+    for (const id of ids) {
+      entries.push({
+        address: id.number,
+        currency: id.type.slice(DIGITAL_CURRENCY_ID.length).trim(),
+        entityName: entityName || undefined,
+        entityId: readTag(sdnEntry, 'uid')
+      });
+    }
+  }
+
+  return entries;
+};
+
+/**
+ * Split CSV text into rows of fields, honouring quoted fields
+ */
+const parseCsvRows = (content: string): string[][] => {
+  const rows: string[][] = [];
+  let row: string[] = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim()));
+};
+
+/**
+ * Read a CSV list with a header row
+ *
+ * @throws Error if there is no address column
+ */
+export const parseCsvList = (content: string): SanctionsListEntry[] => {
+  const [header = [], ...rows] = parseCsvRows(content.replace(/^\uFEFF/, ''));
+  const columns = header.map(name => name.trim().toLowerCase());
+  const column = (...names: string[]) => columns.findIndex(name => names.includes(name));
+
+  const address = column('address', 'wallet', 'wallet_address');
+  const currency = column('currency', 'chain', 'asset');
+  const entityName = column('name', 'entity', 'entity_name');
+  const entityId = column('id', 'entity_id', 'reference');
+
+  if (address === -1) {
+    throw new Error('CSV list must have an address column');
+  }
+
+  const value = (fields: string[], index: number) => (index === -1 ? undefined : fields[index]?.trim() || undefined);
+
+  return rows.map(fields => ({
+    address: fields[address]?.trim() || '',
+    currency: value(fields, currency),
+    entityName: value(fields, entityName),
+    entityId: value(fields, entityId)
+  }));
+};
+
+/**
+ * Read a JSON list
+ *
+ * @throws Error if the document is not a list of addresses
+ */
+export const parseJsonList = (content: string): SanctionsListEntry[] => {
+  const data = JSON.parse(content);
+  const items = Array.isArray(data) ? data : data?.addresses;
+
+  if (!Array.isArray(items)) {
+    throw new Error('JSON list must be an array or have an addresses array');
+  }
+
+  return items.map((item: any) => (typeof item === 'string'
+    ? { address: item }
+    : {
+      address: String(item?.address || ''),
+      currency: item?.currency || item?.chain || undefined,
+      entityName: item?.entityName || item?.name || undefined,
+      entityId: item?.entityId || item?.id || undefined
+    }));
+};
+
+/**
+ * Read the addresses of a list document, normalized and without duplicates
+ *
+ * @throws Error if the document cannot be read in the given format
+ */
+export const parseSanctionsList = (format: SanctionsListFormat, content: string): SanctionsListEntry[] => {
+  let entries: SanctionsListEntry[];
+
+  switch (format) {
+    case 'OFAC_SDN_XML':
+      entries = parseOfacSdnXml(content);
+      break;
+    case 'CSV':
+      entries = parseCsvList(content);
+      break;
+    case 'JSON':
+      entries = parseJsonList(content);
+      break;
+    default:
+      throw new Error(`Unsupported sanctions list format: ${format}`);
+  }
+
+  const seen = new Set<string>();
+
+  return entries
+    .map(entry => ({ ...entry, address: normalizeAddress(entry.address) }))
+    .filter(entry => {
+      const key = `${entry.address}:${entry.currency || ''}`;
+      if (!entry.address || seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+};
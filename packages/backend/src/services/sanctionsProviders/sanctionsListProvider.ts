@@ -0,0 +1,59 @@
+/**
+ * Sanctions List Provider
+ *
+ * Screens addresses offline against the active version of each sanctions
+ * list imported into the database, such as the digital currency addresses of
+ * the OFAC SDN list or custom CSV and JSON lists.
+ */
+import { prisma } from '@proof-of-funds/db';
+import { SanctionsMatch, SanctionsProvider, ScreeningTarget } from './types';
+import { normalizeAddress } from './address';
+
+export const SANCTIONS_LIST_PROVIDER = 'sanctions-list';
+
+/**
+ * Provider backed by the imported sanctions lists
+ */
+export class SanctionsListProvider implements SanctionsProvider {
+  readonly name = SANCTIONS_LIST_PROVIDER;
+
+  /**
+   * Available once a list has been imported and activated
+   */
+  async isAvailable(): Promise<boolean> {
+    const count = await prisma.sanctionsList.count({ where: { isActive: true } });
+    return count > 0;
+  }
+
+  async screen(targets: ScreeningTarget[]): Promise<SanctionsMatch[]> {
+    const addresses = [...new Set(targets.map(target => normalizeAddress(target.address)))];
+
+    if (addresses.length === 0) {
+      return [];
+    }
+
+    const entries = await prisma.sanctionedAddress.findMany({
+      where: {
+        address: { in: addresses },
+        list: { isActive: true }
+      },
+      select: {
+        address: true,
+        currency: true,
+        entityName: true,
+        entityId: true,
+        list: { select: { name: true, version: true } }
+      }
+    });
+
+    return entries.map((entry: any) => ({
+      address: entry.address,
+      provider: this.name,
+      category: 'sanctions',
+      listName: entry.list.name,
+      listVersion: entry.list.version,
+      entityName: entry.entityName || undefined,
+      details: { currency: entry.currency, entityId: entry.entityId }
+    }));
+  }
+}
@@ -0,0 +1,83 @@
+/**
+ * TRM Labs Provider
+ *
+ * Screens addresses with the TRM Labs screening API, in one request per
+ * batch. Addresses scoring above the risk threshold are reported.
+ */
+import config from '../../config';
+import { SanctionsMatch, SanctionsProvider, ScreeningChain, ScreeningTarget } from './types';
+import { detectChain } from './address';
+
+export const TRM_LABS_PROVIDER = 'trm-labs';
+
+const CHAIN_NAMES: Record<ScreeningChain, string> = {
+  evm: 'ethereum',
+  bitcoin: 'bitcoin',
+  solana: 'solana'
+};
+
+const RISK_THRESHOLD = 70;
+
+export interface TrmLabsProviderOptions {
+  apiKey?: string;
+  apiUrl?: string;
+}
+
+/**
+ * Provider backed by the TRM Labs API
+ */
+export class TrmLabsProvider implements SanctionsProvider {
+  readonly name = TRM_LABS_PROVIDER;
+  private apiKey: string;
+  private apiUrl: string;
+
+  constructor(options: TrmLabsProviderOptions = {}) {
+    this.apiKey = options.apiKey ?? config.sanctions.trmLabs.apiKey;
+    this.apiUrl = options.apiUrl ?? config.sanctions.trmLabs.apiUrl;
+  }
+
+  async isAvailable(): Promise<boolean> {
+    return Boolean(this.apiKey);
+  }
+
+  async screen(targets: ScreeningTarget[]): Promise<SanctionsMatch[]> {
+    const addresses = targets
+      .map(target => ({ address: target.address, chain: detectChain(target.address) }))
+      .filter((entry): entry is { address: string; chain: ScreeningChain } => entry.chain !== null)
+      .map(entry => ({ address: entry.address, chain: CHAIN_NAMES[entry.chain] }));
+
+    if (addresses.length === 0) {
+      return [];
+    }
+
+    const response = await fetch(this.apiUrl, {
+      method: 'POST',
+      headers: {
+        'Accept': 'application/json',
+        'Content-Type': 'application/json',
+        'Authorization': `Basic ${this.apiKey}`
+      },
+      body: JSON.stringify({ addresses })
+    });
+
+    if (!response.ok) {
+      throw new Error(`TRM Labs API error: ${response.status} ${response.statusText}`);
+    }
+
+    const data: any = await response.json();
+
+    if (!Array.isArray(data.addresses)) {
+      throw new Error('Invalid response from TRM Labs API');
+    }
+
+    return data.addresses
+      .filter((result: any) => (result.riskScore || 0) > RISK_THRESHOLD)
+      .map((result: any) => ({
+        address: result.address,
+        provider: this.name,
+        category: result.highRiskCategory || undefined,
+        riskScore: result.riskScore,
+        details: result
+      }));
+  }
+}
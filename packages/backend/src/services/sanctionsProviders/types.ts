@@ -0,0 +1,52 @@
+/**
+ * Sanctions Provider Types
+ *
+ * A sanctions provider screens wallet addresses against a sanctions or risk
+ * source: a list imported into the database, or a screening API. Providers
+ * are addressed by name and report only the addresses they matched.
+ */
+
+export type ScreeningChain = 'evm' | 'bitcoin' | 'solana';
+
+/**
+ * Address to screen
+ */
+export interface ScreeningTarget {
+  address: string;
+  chainId?: number;
+}
+
+/**
+ * Address found on a provider's source
+ */
+export interface SanctionsMatch {
+  address: string;
+  provider: string;
+  category?: string;
+  riskScore?: number;          // 0-100, for providers that score addresses
+  listName?: string;           // Lists imported into the database
+  listVersion?: number;
+  entityName?: string;
+  details?: Record<string, any>;
+}
+
+/**
+ * Source addresses are screened against
+ */
+export interface SanctionsProvider {
+  /** Name the provider is selected by in the sanctions configuration */
+  readonly name: string;
+
+  /**
+   * Whether the provider can screen, e.g. has an API key or an active list
+   */
+  isAvailable(): Promise<boolean>;
+
+  /**
+   * Screen addresses
+   *
+   * @returns Matches for the addresses found on the provider's source
+   * @throws Error if the source could not be queried
+   */
+  screen(targets: ScreeningTarget[]): Promise<SanctionsMatch[]>;
+}
@@ -0,0 +1,505 @@
+/**
+ * Sanctions Screening Service
+ *
+ * Screens the wallets of a proof with the configured sanctions providers and
+ * turns the result into proof warning flags:
+ *
+ * - WALLET_BLACKLISTED:<address> for each wallet a provider matched
+ * - SANCTIONS_SCREENING_UNAVAILABLE when no provider could screen
+ *
+ * Also imports sanctions lists into the database for the offline
+ * sanctions-list provider. Each import of a list is stored as a new version
+ * and activated, so a bad import can be rolled back by activating an earlier
+ * version. Matches can be overridden by allow-list entries; adding and
+ * removing entries, imports and overridden matches are audit logged.
+ */
+import crypto from 'crypto';
+import { prisma } from '@proof-of-funds/db';
+import { ApiError } from '../middleware/errorHandler';
+import config from '../config';
+import logger from '../utils/logger';
+import { auditLogService } from './auditLogService';
+import { AuditEventType, ActorType, AuditAction, AuditStatus, AuditSeverity } from '../models/auditLog';
+import {
+  SanctionsProvider,
+  SanctionsMatch,
+  ScreeningTarget,
+  SanctionsListFormat,
+  SANCTIONS_LIST_FORMATS,
+  createSanctionsProvider,
+  normalizeAddress,
+  parseSanctionsList
+} from './sanctionsProviders';
+
+export const WALLET_BLACKLISTED = 'WALLET_BLACKLISTED';
+export const SANCTIONS_SCREENING_UNAVAILABLE = 'SANCTIONS_SCREENING_UNAVAILABLE';
+
+// Name of the OFAC SDN list imported by the scheduler
+export const OFAC_SDN_LIST = 'ofac-sdn';
+
+// Sanctioned addresses are inserted in chunks of this size
+const INSERT_CHUNK_SIZE = 1000;
+
+// Interface for sanctions screening options
+export interface SanctionsScreeningOptions {
+  providers?: SanctionsProvider[];
+  ofacUrl?: string;
+  ofacTimeoutMs?: number;
+}
+
+// Interface for the result of screening wallets
+export interface ScreeningResult {
+  warningFlags: string[];
+  matches: SanctionsMatch[];
+  // Matched addresses cleared by an allow-list entry
+  allowlisted: string[];
+  // Providers that screened the wallets, and those that could not
+  screenedBy: string[];
+  unavailable: string[];
+}
+
+// Interface for importing a sanctions list
+export interface ImportListParams {
+  name: string;
+  format: SanctionsListFormat;
+  content: string;
+  source?: string;
+  activate?: boolean;
+}
+
+// Interface for adding an allow-list entry
+export interface AllowlistEntryParams {
+  address: string;
+  reason: string;
+  expiresAt?: Date;
+}
+
+const LIST_NAME = /^[a-z0-9][a-z0-9._-]{0,63}$/;
+
+const listSelect = {
+  id: true,
+  name: true,
+  version: true,
+  format: true,
+  source: true,
+  checksum: true,
+  entryCount: true,
+  isActive: true,
+  importedBy: true,
+  createdAt: true,
+  activatedAt: true
+};
+
+/**
+ * Sanctions Screening Service class
+ */
+export class SanctionsScreeningService {
+  private providers: SanctionsProvider[] | null;
+  private options: Required<Omit<SanctionsScreeningOptions, 'providers'>>;
+
+  constructor(options: SanctionsScreeningOptions = {}) {
+    this.providers = options.providers || null;
+    this.options = {
+      ofacUrl: options.ofacUrl ?? config.sanctions.ofac.url,
+      ofacTimeoutMs: options.ofacTimeoutMs ?? config.sanctions.ofac.timeoutMs
+    };
+  }
+
+  /**
+   * Get the providers named in the sanctions configuration
+   */
+  private getProviders(): SanctionsProvider[] {
+    if (!this.providers) {
+      this.providers = config.sanctions.providers.map(name => createSanctionsProvider(name));
+    }
+    return this.providers;
+  }
+
+  /**
+   * Screen wallets with every available provider
+   *
+   * Providers that are not configured or fail are skipped; if none could
+   * screen the wallets the result is flagged as unavailable rather than clean.
+   *
+   * @param wallets - Wallets to screen, as addresses or { address, chainId }
+   * @param context - Proof and user the wallets are screened for, for the audit log
+   */
+  async screenWallets(
+    wallets: Array<ScreeningTarget | string>,
+    context: { userId?: string; referenceId?: string } = {}
+  ): Promise<ScreeningResult> {
+    const targets = wallets
+      .map((wallet): ScreeningTarget => (typeof wallet === 'string' ? { address: wallet } : wallet))
+      .filter(wallet => typeof wallet?.address === 'string' && wallet.address.trim());
+    const matches: SanctionsMatch[] = [];
+    const screenedBy: string[] = [];
+    const unavailable: string[] = [];
+
+    for (const provider of this.getProviders()) {
+      try {
+        if (!(await provider.isAvailable())) {
+          unavailable.push(provider.name);
+          continue;
+        }
+
+        matches.push(...(await provider.screen(targets)));
+        screenedBy.push(provider.name);
+      } catch (error) {
+        unavailable.push(provider.name);
+        logger.warn('Sanctions provider failed', {
+          provider: provider.name,
+          error: error instanceof Error ? error.message : String(error)
+        });
+      }
+    }
+
+    const warningFlags: string[] = [];
+
+    if (targets.length > 0 && screenedBy.length === 0) {
+      logger.warn('No sanctions provider could screen wallets', { unavailable, ...context });
+      warningFlags.push(SANCTIONS_SCREENING_UNAVAILABLE);
+    }
+
+    // Report matches under the address as given for the proof
+    const byAddress = new Map<string, SanctionsMatch[]>();
+    for (const match of matches) {
+      const key = normalizeAddress(match.address);
+      byAddress.set(key, [...(byAddress.get(key) || []), match]);
+    }
+
+    const allowed = await this.getAllowedAddresses([...byAddress.keys()]);
+    const allowlisted: string[] = [];
+
+    for (const wallet of targets) {
+      const key = normalizeAddress(wallet.address);
+      const walletMatches = byAddress.get(key);
+
+      if (!walletMatches) {
+        continue;
+      }
+      byAddress.delete(key);
+
+      const overridden = allowed.has(key);
+      if (overridden) {
+        allowlisted.push(wallet.address);
+      } else {
+        warningFlags.push(`${WALLET_BLACKLISTED}:${wallet.address}`);
+      }
+
+      await this.audit(AuditEventType.SANCTIONS_MATCH, AuditAction.VERIFY, context.userId || 'system', 'wallet', wallet.address, {
+        chainId: wallet.chainId,
+        referenceId: context.referenceId,
+        providers: walletMatches.map(match => match.provider),
+        lists: walletMatches
+          .filter(match => match.listName)
+          .map(match => `${match.listName}@${match.listVersion}`),
+        allowlisted: overridden
+      }, overridden ? AuditSeverity.INFO : AuditSeverity.WARNING, context.userId ? ActorType.USER : ActorType.SYSTEM);
+    }
+
+    return { warningFlags, matches, allowlisted, screenedBy, unavailable };
+  }
+
+  /**
+   * Addresses with an allow-list entry that has not been revoked or expired
+   */
+  private async getAllowedAddresses(addresses: string[]): Promise<Set<string>> {
+    if (addresses.length === 0) {
+      return new Set();
+    }
+
+    const entries = await prisma.sanctionsAllowlistEntry.findMany({
+      where: {
+        address: { in: addresses },
+        revokedAt: null,
+        OR: [{ expiresAt: null }, { expiresAt: { gt: new Date() } }]
+      },
+      select: { address: true }
+    });
+
+    return new Set(entries.map((entry: { address: string }) => entry.address));
+  }
+
+  /**
+   * Import a sanctions list as its next version
+   *
+   * A document identical to the latest version is not imported again.
+   *
+   * @param params - List name, format and document
+   * @param actorId - User importing the list, or system
+   * @returns The list version, and whether it was already imported
+   * @throws ApiError if the document cannot be read or has no addresses
+   */
+  async importList(params: ImportListParams, actorId: string = 'system') {
+    if (!LIST_NAME.test(params.name)) {
+      throw new ApiError(400, 'List name must be lower-case letters, digits, dots, dashes or underscores', 'INVALID_LIST_NAME');
+    }
+
+    if (!SANCTIONS_LIST_FORMATS.includes(params.format)) {
+      throw new ApiError(400, `Format must be one of ${SANCTIONS_LIST_FORMATS.join(', ')}`, 'INVALID_LIST_FORMAT');
+    }
+
+    let entries;
+    try {
+      entries = parseSanctionsList(params.format, params.content);
+    } catch (error) {
+      throw new ApiError(400, `Could not read list: ${error instanceof Error ? error.message : String(error)}`, 'INVALID_LIST');
+    }
+
+    if (entries.length === 0) {
+      throw new ApiError(400, 'List contains no addresses', 'EMPTY_LIST');
+    }
+
+    const checksum = crypto.createHash('sha256').update(params.content).digest('hex');
+    const latest = await prisma.sanctionsList.findFirst({
+      where: { name: params.name },
+      orderBy: { version: 'desc' },
+      select: listSelect
+    });
+
+    if (latest && latest.checksum === checksum) {
+      return { list: latest, unchanged: true };
+    }
+
+    const activate = params.activate !== false;
+    const list = await prisma.$transaction(async (tx: any) => {
+      const created = await tx.sanctionsList.create({
+        data: {
+          name: params.name,
+          version: (latest?.version || 0) + 1,
+          format: params.format,
+          source: params.source,
+          checksum,
+          entryCount: entries.length,
+          importedBy: actorId
+        },
+        select: listSelect
+      });
+
+      for (let i = 0; i < entries.length; i += INSERT_CHUNK_SIZE) {
+        await tx.sanctionedAddress.createMany({
+          data: entries.slice(i, i + INSERT_CHUNK_SIZE).map(entry => ({ ...entry, listId: created.id }))
+        });
+      }
+
+      if (!activate) {
+        return created;
+      }
+
+      await tx.sanctionsList.updateMany({
+        where: { name: params.name, isActive: true },
+        data: { isActive: false }
+      });
+
+      return tx.sanctionsList.update({
+        where: { id: created.id },
+        data: { isActive: true, activatedAt: new Date() },
+        select: listSelect
+      });
+    });
+
+    logger.info('Sanctions list imported', {
+      name: list.name,
+      version: list.version,
+      entries: list.entryCount,
+      active: list.isActive
+    });
+
+    await this.audit(AuditEventType.SANCTIONS_LIST_IMPORT, AuditAction.CREATE, actorId, 'sanctions_list', list.id, {
+      name: list.name,
+      version: list.version,
+      format: list.format,
+      source: list.source,
+      entryCount: list.entryCount,
+      checksum,
+      activated: list.isActive
+    });
+
+    return { list, unchanged: false };
+  }
+
+  /**
+   * Make a list version the active version of its list, e.g. to roll back
+   *
+   * @throws ApiError if the version does not exist
+   */
+  async activateList(listId: string, actorId: string) {
+    const target = await prisma.sanctionsList.findUnique({ where: { id: listId }, select: listSelect });
+
+    if (!target) {
+      throw new ApiError(404, 'Sanctions list not found', 'LIST_NOT_FOUND');
+    }
+
+    const previous = await prisma.sanctionsList.findFirst({
+      where: { name: target.name, isActive: true },
+      select: { id: true, version: true }
+    });
+
+    const list = await prisma.$transaction(async (tx: any) => {
+      await tx.sanctionsList.updateMany({
+        where: { name: target.name, isActive: true },
+        data: { isActive: false }
+      });
+
+      return tx.sanctionsList.update({
+        where: { id: listId },
+        data: { isActive: true, activatedAt: new Date() },
+        select: listSelect
+      });
+    });
+
+    await this.audit(AuditEventType.SANCTIONS_LIST_ACTIVATE, AuditAction.UPDATE, actorId, 'sanctions_list', listId, {
+      name: list.name,
+      version: list.version,
+      previousVersion: previous?.version ?? null
+    });
+
+    return list;
+  }
+
+  /**
+   * Get the versions of the imported lists, newest first
+   */
+  async getLists(name?: string) {
+    return prisma.sanctionsList.findMany({
+      where: name ? { name } : {},
+      orderBy: [{ name: 'asc' }, { version: 'desc' }],
+      select: listSelect
+    });
+  }
+
+  /**
+   * Download the OFAC SDN list and import it if it has changed
+   */
+  async refreshOfacList(): Promise<{ imported: number; entries: number }> {
+    const response = await fetch(this.options.ofacUrl, {
+      signal: AbortSignal.timeout(this.options.ofacTimeoutMs)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Failed to download OFAC SDN list: ${response.status} ${response.statusText}`);
+    }
+
+    const { list, unchanged } = await this.importList({
+      name: OFAC_SDN_LIST,
+      format: 'OFAC_SDN_XML',
+      content: await response.text(),
+      source: this.options.ofacUrl
+    });
+
+    return { imported: unchanged ? 0 : 1, entries: list.entryCount };
+  }
+
+  /**
+   * Clear an address despite sanctions matches
+   *
+   * @throws ApiError if no reason is given
+   */
+  async addAllowlistEntry(params: AllowlistEntryParams, actorId: string) {
+    const reason = params.reason?.trim();
+
+    if (!params.address?.trim()) {
+      throw new ApiError(400, 'Address is required', 'INVALID_ADDRESS');
+    }
+
+    if (!reason) {
+      throw new ApiError(400, 'A reason is required to allow-list an address', 'REASON_REQUIRED');
+    }
+
+    if (params.expiresAt && params.expiresAt.getTime() <= Date.now()) {
+      throw new ApiError(400, 'Expiry must be in the future', 'INVALID_EXPIRY');
+    }
+
+    const entry = await prisma.sanctionsAllowlistEntry.create({
+      data: {
+        address: normalizeAddress(params.address),
+        reason,
+        createdBy: actorId,
+        expiresAt: params.expiresAt
+      }
+    });
+
+    await this.audit(AuditEventType.SANCTIONS_ALLOWLIST_ADD, AuditAction.CREATE, actorId, 'sanctions_allowlist', entry.id, {
+      address: entry.address,
+      reason,
+      expiresAt: entry.expiresAt
+    }, AuditSeverity.WARNING);
+
+    return entry;
+  }
+
+  /**
+   * Revoke an allow-list entry; the entry is kept for the audit trail
+   *
+   * @throws ApiError if the entry does not exist or is already revoked
+   */
+  async removeAllowlistEntry(entryId: string, actorId: string, reason?: string) {
+    const entry = await prisma.sanctionsAllowlistEntry.findUnique({ where: { id: entryId } });
+
+    if (!entry) {
+      throw new ApiError(404, 'Allow-list entry not found', 'ALLOWLIST_ENTRY_NOT_FOUND');
+    }
+
+    if (entry.revokedAt) {
+      throw new ApiError(409, 'Allow-list entry is already revoked', 'ALLOWLIST_ENTRY_REVOKED');
+    }
+
+    const revoked = await prisma.sanctionsAllowlistEntry.update({
+      where: { id: entryId },
+      data: { revokedAt: new Date(), revokedBy: actorId, revokeReason: reason }
+    });
+
+    await this.audit(AuditEventType.SANCTIONS_ALLOWLIST_REMOVE, AuditAction.REVOKE, actorId, 'sanctions_allowlist', entryId, {
+      address: entry.address,
+      reason
+    });
+
+    return revoked;
+  }
+
+  /**
+   * Get allow-list entries, newest first
+   */
+  async getAllowlist(options: { address?: string; includeRevoked?: boolean } = {}) {
+    return prisma.sanctionsAllowlistEntry.findMany({
+      where: {
+        ...(options.address ? { address: normalizeAddress(options.address) } : {}),
+        ...(options.includeRevoked ? {} : { revokedAt: null })
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+  }
+
+  /**
+   * Record a sanctions event in the audit log
+   */
+  private async audit(
+    eventType: AuditEventType,
+    action: AuditAction,
+    actorId: string,
+    resourceType: string,
+    resourceId: string,
+    details: Record<string, any>,
+    severity: AuditSeverity = AuditSeverity.INFO,
+    actorType: ActorType = actorId === 'system' ? ActorType.SYSTEM : ActorType.ADMIN
+  ): Promise<void> {
+    await auditLogService.log({
+      eventType,
+      actorId,
+      actorType,
+      action,
+      resourceType,
+      resourceId,
+      status: AuditStatus.SUCCESS,
+      details,
+      severity
+    }).catch(err => {
+      logger.error('Failed to log sanctions audit', { error: err, resourceId });
+    });
+  }
+}
+
+// Export singleton instance
+export const sanctionsScreeningService = new SanctionsScreeningService();
+
+export default sanctionsScreeningService;
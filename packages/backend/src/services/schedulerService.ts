@@ -0,0 +1,655 @@
+/**
+ * Scheduler Service
+ *
+ * Runs periodic maintenance jobs: expiring proofs, reconciling proof
+ * transactions with the chain, archiving temporary wallets, cleaning up
+ * expired tokens and nonces, and refreshing the OFAC sanctions list.
+ *
+ * Every instance runs the scheduler loop, but only the instance holding the
+ * scheduler lease runs jobs. The leader renews the lease on each tick and
+ * between the batches of long jobs; if it stops, another instance takes over
+ * once the lease has expired. Each job
+ * run is recorded in scheduled_job_runs, which also tells a new leader when
+ * each job last ran.
+ */
+import os from 'os';
+import crypto from 'crypto';
+import { ethers } from 'ethers';
+import { prisma } from '@proof-of-funds/db';
+import config from '../config';
+import logger from '../utils/logger';
+import { webhookService } from './webhookService';
+import { proofEventService } from './proofEventService';
+import { cleanupExpiredTokens } from './tokenStorageService';
+import { sanctionsScreeningService } from './sanctionsScreeningService';
+
+const LEASE_NAME = 'scheduler';
+
+type ProofStatus = 'PENDING' | 'SUBMITTED' | 'CONFIRMED' | 'FAILED' | 'EXPIRED' | 'REVOKED';
+
+// Statuses of proofs whose transaction has not been confirmed yet
+const UNCONFIRMED_STATUSES: ProofStatus[] = ['PENDING', 'SUBMITTED'];
+
+// Statuses a proof keeps once it has expired or been revoked
+const FINAL_STATUSES: ProofStatus[] = ['EXPIRED', 'REVOKED'];
+
+export type ScheduledJobName =
+  | 'expireProofs'
+  | 'reconcileTransactions'
+  | 'archiveTempWallets'
+  | 'cleanupExpiredTokens'
+  | 'purgeUsedNonces'
+  | 'pruneJobHistory'
+  | 'refreshSanctionsLists';
+
+export type ScheduledJobRunStatus = 'RUNNING' | 'SUCCEEDED' | 'FAILED';
+
+// Counts reported by a job run, stored as the run's result
+export type ScheduledJobResult = Record<string, number>;
+
+// Interface for scheduler options
+export interface SchedulerOptions {
+  instanceId?: string;
+  tickMs?: number;
+  leaseMs?: number;
+  rpcUrl?: string;
+  confirmations?: number;
+  reorgWindowMs?: number;
+  droppedAfterMs?: number;
+  tempWalletRetentionMs?: number;
+  historyRetentionMs?: number;
+  batchSize?: number;
+  intervals?: Partial<Record<ScheduledJobName, number>>;
+  provider?: ethers.providers.Provider;
+}
+
+// Interface for a job as shown in the admin dashboard
+export interface ScheduledJobStatus {
+  name: ScheduledJobName;
+  intervalMs: number;
+  lastRun: Record<string, any> | null;
+  nextRunAt: Date | null;
+}
+
+const toErrorMessage = (error: unknown): string =>
+  (error instanceof Error ? error.message : String(error)).slice(0, 500);
+
+/**
+ * Scheduler Service class
+ */
+export class SchedulerService {
+  readonly instanceId: string;
+  private options: Required<Omit<SchedulerOptions, 'instanceId' | 'provider' | 'intervals'>>;
+  private intervals: Record<ScheduledJobName, number>;
+  private provider: ethers.providers.Provider | null;
+  private jobs: Record<ScheduledJobName, () => Promise<ScheduledJobResult>>;
+  private timer: NodeJS.Timeout | null = null;
+  private ticking = false;
+  private leader = false;
+  private leaseRenewedAt = 0;
+
+  constructor(options: SchedulerOptions = {}) {
+    this.instanceId = options.instanceId
+      ?? `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+    this.options = {
+      tickMs: options.tickMs ?? config.scheduler.tickMs,
+      leaseMs: options.leaseMs ?? config.scheduler.leaseMs,
+      rpcUrl: options.rpcUrl ?? config.scheduler.rpcUrl,
+      confirmations: options.confirmations ?? config.scheduler.confirmations,
+      reorgWindowMs: options.reorgWindowMs ?? config.scheduler.reorgWindowMs,
+      droppedAfterMs: options.droppedAfterMs ?? config.scheduler.droppedAfterMs,
+      tempWalletRetentionMs: options.tempWalletRetentionMs ?? config.scheduler.tempWalletRetentionMs,
+      historyRetentionMs: options.historyRetentionMs ?? config.scheduler.historyRetentionMs,
+      batchSize: options.batchSize ?? config.scheduler.batchSize
+    };
+    this.intervals = { ...config.scheduler.intervals, ...options.intervals };
+    this.provider = options.provider || null;
+    this.jobs = {
+      expireProofs: () => this.expireProofs(),
+      reconcileTransactions: () => this.reconcileTransactions(),
+      archiveTempWallets: () => this.archiveTempWallets(),
+      cleanupExpiredTokens: () => this.cleanupExpiredTokens(),
+      purgeUsedNonces: () => this.purgeUsedNonces(),
+      pruneJobHistory: () => this.pruneJobHistory(),
+      refreshSanctionsLists: () => this.refreshSanctionsLists()
+    };
+  }
+
+  /**
+   * Get the provider proof transactions are checked against
+   */
+  private getProvider(): ethers.providers.Provider {
+    if (!this.provider) {
+      this.provider = new ethers.providers.JsonRpcProvider(this.options.rpcUrl);
+    }
+    return this.provider;
+  }
+
+  /**
+   * Take or renew the scheduler lease
+   *
+   * @returns Whether this instance holds the lease
+   */
+  async acquireLeadership(): Promise<boolean> {
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + this.options.leaseMs);
+
+    const { count } = await prisma.schedulerLease.updateMany({
+      where: {
+        name: LEASE_NAME,
+        OR: [{ holderId: this.instanceId }, { expiresAt: { lt: now } }]
+      },
+      data: { holderId: this.instanceId, expiresAt }
+    });
+
+    let leader = count > 0;
+
+    if (!leader) {
+      try {
+        await prisma.schedulerLease.create({
+          data: { name: LEASE_NAME, holderId: this.instanceId, expiresAt }
+        });
+        leader = true;
+      } catch (error: any) {
+        // Another instance holds the lease
+        if (error?.code !== 'P2002') {
+          throw error;
+        }
+      }
+    }
+
+    if (leader) {
+      this.leaseRenewedAt = now.getTime();
+    }
+
+    if (leader !== this.leader) {
+      logger.info(leader ? 'Scheduler leadership acquired' : 'Scheduler leadership lost', {
+        instanceId: this.instanceId
+      });
+    }
+
+    this.leader = leader;
+    return leader;
+  }
+
+  /**
+   * Renew the lease between the batches of a job once a third of it has
+   * passed, so a long job does not outlive the lease
+   *
+   * @throws Error if another instance took the lease over
+   */
+  private async renewLeadership(): Promise<void> {
+    if (!this.leader || Date.now() - this.leaseRenewedAt < this.options.leaseMs / 3) {
+      return;
+    }
+
+    if (!await this.acquireLeadership()) {
+      throw new Error('Scheduler lease was lost while the job ran');
+    }
+  }
+
+  /**
+   * Give up the lease so another instance can take over immediately
+   */
+  async releaseLeadership(): Promise<void> {
+    await prisma.schedulerLease.updateMany({
+      where: { name: LEASE_NAME, holderId: this.instanceId },
+      data: { expiresAt: new Date(0) }
+    });
+    this.leader = false;
+  }
+
+  /**
+   * Run the jobs that are due, if this instance leads
+   *
+   * @returns Names of the jobs that ran
+   */
+  async tick(): Promise<ScheduledJobName[]> {
+    if (this.ticking) {
+      return [];
+    }
+
+    this.ticking = true;
+
+    try {
+      if (!await this.acquireLeadership()) {
+        return [];
+      }
+
+      const ran: ScheduledJobName[] = [];
+      for (const name of Object.keys(this.jobs) as ScheduledJobName[]) {
+        const lastRun = await this.getLastRun(name);
+        if (lastRun && lastRun.startedAt.getTime() + this.intervals[name] > Date.now()) {
+          continue;
+        }
+
+        // Stop if another instance took over while earlier jobs ran
+        if (!await this.acquireLeadership()) {
+          break;
+        }
+
+        await this.runJob(name);
+        ran.push(name);
+      }
+
+      return ran;
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  /**
+   * Run a job now and record the run
+   */
+  async runJob(name: ScheduledJobName): Promise<Record<string, any>> {
+    const startedAt = new Date();
+    const run = await prisma.scheduledJobRun.create({
+      data: { job: name, instanceId: this.instanceId, startedAt }
+    });
+
+    try {
+      const result = await this.jobs[name]();
+      const finishedAt = new Date();
+
+      if (Object.values(result).some(count => count > 0)) {
+        logger.info('Scheduled job finished', { job: name, ...result });
+      }
+
+      return prisma.scheduledJobRun.update({
+        where: { id: run.id },
+        data: {
+          status: 'SUCCEEDED',
+          result,
+          finishedAt,
+          durationMs: finishedAt.getTime() - startedAt.getTime()
+        }
+      });
+    } catch (error) {
+      const finishedAt = new Date();
+      logger.error('Scheduled job failed', { job: name, error: toErrorMessage(error) });
+
+      return prisma.scheduledJobRun.update({
+        where: { id: run.id },
+        data: {
+          status: 'FAILED',
+          error: toErrorMessage(error),
+          finishedAt,
+          durationMs: finishedAt.getTime() - startedAt.getTime()
+        }
+      });
+    }
+  }
+
+  /**
+   * Get the latest run of a job
+   */
+  private async getLastRun(name: ScheduledJobName) {
+    return prisma.scheduledJobRun.findFirst({
+      where: { job: name },
+      orderBy: { startedAt: 'desc' }
+    });
+  }
+
+  /**
+   * Move proofs past their expiry to EXPIRED and announce them
+   */
+  async expireProofs(): Promise<ScheduledJobResult> {
+    const now = new Date();
+    const candidates = await prisma.proof.findMany({
+      where: { expiresAt: { lt: now }, isRevoked: false, status: { notIn: FINAL_STATUSES } },
+      select: { id: true },
+      orderBy: { expiresAt: 'asc' },
+      take: this.options.batchSize
+    });
+
+    // Verification may expire a proof at the same time; only announce the ones moved here
+    const expired: string[] = [];
+    for (const { id } of candidates) {
+      const { count } = await prisma.proof.updateMany({
+        where: { id, isRevoked: false, status: { notIn: FINAL_STATUSES } },
+        data: { status: 'EXPIRED' }
+      });
+
+      if (count > 0) {
+        expired.push(id);
+      }
+    }
+
+    if (expired.length > 0) {
+      await webhookService.emitProofEvent('proof.expired', expired);
+      await proofEventService.publishProofEvent('proof.expired', expired);
+    }
+
+    return { expired: expired.length };
+  }
+
+  /**
+   * Reconcile proof statuses with their transactions' receipts
+   *
+   * Unconfirmed proofs are confirmed or failed once their transaction is mined
+   * with enough confirmations, and failed when the node has forgotten a
+   * transaction that was sent long ago. They are checked least recently
+   * checked first, so proofs that stay unconfirmed do not hold back newer ones. Recently confirmed proofs are checked
+   * again and returned to SUBMITTED if a reorganisation removed their
+   * transaction.
+   */
+  async reconcileTransactions(): Promise<ScheduledJobResult> {
+    const result = { confirmed: 0, failed: 0, reorged: 0 };
+    const provider = this.getProvider();
+    const blockNumber = await provider.getBlockNumber();
+
+    const unconfirmed = await prisma.proof.findMany({
+      where: { status: { in: UNCONFIRMED_STATUSES }, transactionHash: { not: null } },
+      select: { id: true, transactionHash: true, createdAt: true },
+      orderBy: [{ lastCheckedAt: { sort: 'asc', nulls: 'first' } }, { createdAt: 'asc' }],
+      take: this.options.batchSize
+    });
+
+    // Move this batch to the back of the queue for the next run
+    if (unconfirmed.length > 0) {
+      await prisma.proof.updateMany({
+        where: { id: { in: unconfirmed.map(proof => proof.id) } },
+        data: { lastCheckedAt: new Date() }
+      });
+    }
+
+    // Batched proofs share a transaction
+    for (const [transactionHash, proofs] of this.groupByTransaction(unconfirmed)) {
+      await this.renewLeadership();
+      const receipt = await provider.getTransactionReceipt(transactionHash);
+
+      if (!receipt) {
+        const sentBefore = Math.min(...proofs.map(proof => proof.createdAt.getTime()));
+        if (sentBefore + this.options.droppedAfterMs < Date.now() && !await provider.getTransaction(transactionHash)) {
+          result.failed += await this.failProofs(transactionHash, proofs, 'dropped');
+        }
+        continue;
+      }
+
+      if (blockNumber - receipt.blockNumber + 1 < this.options.confirmations) {
+        continue;
+      }
+
+      if (receipt.status === 0) {
+        result.failed += await this.failProofs(transactionHash, proofs, 'reverted');
+        continue;
+      }
+
+      const ids = proofs.map(proof => proof.id);
+      const { count } = await prisma.proof.updateMany({
+        where: { id: { in: ids }, status: { in: UNCONFIRMED_STATUSES } },
+        data: { status: 'CONFIRMED', confirmedAt: new Date(), blockNumber: receipt.blockNumber }
+      });
+
+      if (count > 0) {
+        result.confirmed += count;
+        await webhookService.emitProofEvent('proof.confirmed', ids, {
+          transactionHash,
+          blockNumber: receipt.blockNumber
+        });
+        await proofEventService.publishProofEvent('proof.confirmed', ids, {
+          transactionHash,
+          blockNumber: receipt.blockNumber
+        });
+      }
+    }
+
+    const recentlyConfirmed = await prisma.proof.findMany({
+      where: {
+        status: 'CONFIRMED',
+        transactionHash: { not: null },
+        confirmedAt: { gte: new Date(Date.now() - this.options.reorgWindowMs) }
+      },
+      select: { id: true, transactionHash: true, createdAt: true },
+      take: this.options.batchSize
+    });
+
+    for (const [transactionHash, proofs] of this.groupByTransaction(recentlyConfirmed)) {
+      await this.renewLeadership();
+      const receipt = await provider.getTransactionReceipt(transactionHash);
+
+      if (receipt && receipt.status !== 0) {
+        // Re-mined in another block
+        await prisma.proof.updateMany({
+          where: { transactionHash, status: 'CONFIRMED', blockNumber: { not: receipt.blockNumber } },
+          data: { blockNumber: receipt.blockNumber }
+        });
+        continue;
+      }
+
+      const ids = proofs.map(proof => proof.id);
+      const { count } = await prisma.proof.updateMany({
+        where: { id: { in: ids }, status: 'CONFIRMED' },
+        data: receipt
+          ? { status: 'FAILED', confirmedAt: null }
+          : { status: 'SUBMITTED', confirmedAt: null, blockNumber: null }
+      });
+
+      if (count > 0) {
+        result.reorged += count;
+        logger.warn('Confirmed proof transaction removed by a chain reorganisation', {
+          transactionHash,
+          proofCount: count,
+          reverted: Boolean(receipt)
+        });
+        await proofEventService.publishProofEvent(receipt ? 'proof.failed' : 'proof.submitted', ids, {
+          transactionHash,
+          reorged: true
+        });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Fail the unconfirmed proofs of a transaction
+   */
+  private async failProofs(transactionHash: string, proofs: { id: string }[], reason: 'dropped' | 'reverted'): Promise<number> {
+    const { count } = await prisma.proof.updateMany({
+      where: { transactionHash, status: { in: UNCONFIRMED_STATUSES } },
+      data: { status: 'FAILED' }
+    });
+
+    if (count > 0) {
+      logger.warn('Proof transaction failed', { transactionHash, reason, proofCount: count });
+      await proofEventService.publishProofEvent('proof.failed', proofs.map(proof => proof.id), {
+        transactionHash,
+        reason
+      });
+    }
+
+    return count;
+  }
+
+  /**
+   * Group proofs by their transaction hash
+   */
+  private groupByTransaction<T extends { transactionHash: string | null }>(proofs: T[]): Map<string, T[]> {
+    const groups = new Map<string, T[]>();
+    for (const proof of proofs) {
+      const group = groups.get(proof.transactionHash!) || [];
+      group.push(proof);
+      groups.set(proof.transactionHash!, group);
+    }
+    return groups;
+  }
+
+  /**
+   * Archive temporary wallets that are no longer needed
+   *
+   * A wallet is kept while any of its proofs may still be confirmed or
+   * verified, or while one of its batches is being anchored.
+   */
+  async archiveTempWallets(): Promise<ScheduledJobResult> {
+    const { count } = await prisma.wallet.updateMany({
+      where: {
+        type: 'TEMPORARY',
+        isArchived: false,
+        lastUsedAt: { lt: new Date(Date.now() - this.options.tempWalletRetentionMs) },
+        proofs: { none: { status: { in: [...UNCONFIRMED_STATUSES, 'CONFIRMED'] } } },
+        batches: { none: { status: { in: ['PENDING', 'PROCESSING'] } } }
+      },
+      data: { isArchived: true }
+    });
+
+    return { archived: count };
+  }
+
+  /**
+   * Remove expired tokens from each user's token store
+   */
+  async cleanupExpiredTokens(): Promise<ScheduledJobResult> {
+    let removed = 0;
+    let users = 0;
+    let cursor: string | undefined;
+
+    for (;;) {
+      const page = await prisma.user.findMany({
+        select: { id: true },
+        orderBy: { id: 'asc' },
+        take: this.options.batchSize,
+        ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {})
+      });
+
+      for (const user of page) {
+        removed += await cleanupExpiredTokens(user.id);
+      }
+
+      users += page.length;
+      if (page.length < this.options.batchSize) {
+        break;
+      }
+      cursor = page[page.length - 1].id;
+      await this.renewLeadership();
+    }
+
+    return { users, removed };
+  }
+
+  /**
+   * Remove replay-protection nonces, login nonces and passkey challenges that have expired
+   */
+  async purgeUsedNonces(): Promise<ScheduledJobResult> {
+    const now = new Date();
+    const { count } = await prisma.usedNonce.deleteMany({
+      where: { expiresAt: { lte: now } }
+    });
+    const { count: authNonces } = await prisma.authNonce.deleteMany({
+      where: { expiresAt: { lte: now } }
+    });
+    const { count: webAuthnChallenges } = await prisma.webAuthnChallenge.deleteMany({
+      where: { expiresAt: { lte: now } }
+    });
+
+    return { removed: count, authNonces, webAuthnChallenges };
+  }
+
+  /**
+   * Remove job runs older than the history retention
+   */
+  async pruneJobHistory(): Promise<ScheduledJobResult> {
+    const { count } = await prisma.scheduledJobRun.deleteMany({
+      where: { startedAt: { lt: new Date(Date.now() - this.options.historyRetentionMs) } }
+    });
+
+    return { removed: count };
+  }
+
+  /**
+   * Import the OFAC SDN list if it has changed since the last import
+   */
+  async refreshSanctionsLists(): Promise<ScheduledJobResult> {
+    if (!config.sanctions.ofac.refreshEnabled) {
+      return { skipped: 1 };
+    }
+
+    return sanctionsScreeningService.refreshOfacList();
+  }
+
+  /**
+   * Get the lease holder and the state of each job
+   */
+  async getStatus(): Promise<{ leader: { holderId: string; expiresAt: Date } | null; jobs: ScheduledJobStatus[] }> {
+    const lease = await prisma.schedulerLease.findUnique({ where: { name: LEASE_NAME } });
+
+    const jobs: ScheduledJobStatus[] = [];
+    for (const name of Object.keys(this.jobs) as ScheduledJobName[]) {
+      const lastRun = await this.getLastRun(name);
+      jobs.push({
+        name,
+        intervalMs: this.intervals[name],
+        lastRun,
+        nextRunAt: lastRun ? new Date(lastRun.startedAt.getTime() + this.intervals[name]) : null
+      });
+    }
+
+    return {
+      leader: lease && lease.expiresAt > new Date()
+        ? { holderId: lease.holderId, expiresAt: lease.expiresAt }
+        : null,
+      jobs
+    };
+  }
+
+  /**
+   * Get recent job runs, newest first
+   */
+  async getRuns(options: { job?: ScheduledJobName; status?: ScheduledJobRunStatus; limit?: number } = {}) {
+    return prisma.scheduledJobRun.findMany({
+      where: {
+        ...(options.job ? { job: options.job } : {}),
+        ...(options.status ? { status: options.status } : {})
+      },
+      orderBy: { startedAt: 'desc' },
+      take: Math.min(options.limit ?? 50, 200)
+    });
+  }
+
+  /**
+   * Check whether a job name is known
+   */
+  isJob(name: string): name is ScheduledJobName {
+    return Object.prototype.hasOwnProperty.call(this.jobs, name);
+  }
+
+  /**
+   * Periodically run due jobs while this instance leads
+   */
+  start(intervalMs: number = this.options.tickMs): void {
+    if (this.timer) {
+      return;
+    }
+
+    const tick = () => {
+      this.tick().catch(error => logger.error('Scheduler tick failed', { error: toErrorMessage(error) }));
+    };
+
+    this.timer = setInterval(tick, intervalMs);
+
+    // Do not keep the process alive just for the scheduler loop
+    this.timer.unref();
+
+    tick();
+  }
+
+  /**
+   * Stop the scheduler and hand the lease to another instance
+   */
+  async shutdown(): Promise<void> {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    if (this.leader) {
+      await this.releaseLeadership().catch(error => logger.error('Failed to release scheduler lease', {
+        error: toErrorMessage(error)
+      }));
+    }
+  }
+}
+
+// Export singleton instance
+export const schedulerService = new SchedulerService();
+export default schedulerService;
@@ -0,0 +1,233 @@
+/**
+ * Sign-In With Ethereum Service
+ *
+ * Wallet login with EIP-4361 messages. The service issues nonces bound to a
+ * wallet and chain, keeps them in the auth_nonces table so every API instance
+ * sees them, and verifies signed messages: the domain, URI, chain and validity
+ * window must match, the nonce must be unused and the signature must be valid
+ * for an EOA, a deployed ERC-1271 wallet or a counterfactual EIP-6492 wallet.
+ */
+import { ethers } from 'ethers';
+import { prisma } from '@proof-of-funds/db';
+import config from '../config';
+import logger from '../utils/logger';
+import { ApiError } from '../middleware/errorHandler';
+import { SiweMessageFields, formatSiweMessage, generateSiweNonce, parseSiweMessage } from '../utils/siwe';
+import { SignatureMethod, verifyMessageSignature } from '../utils/signatureValidation';
+import { AuthFailureReason } from './walletAuthLogService';
+
+// Interface for SIWE service options
+export interface SiweOptions {
+  domain?: string;
+  uri?: string;
+  statement?: string;
+  nonceTtlMs?: number;
+  clockSkewMs?: number;
+  rpcUrls?: Record<number, string>;
+  providers?: Record<number, ethers.providers.Provider>;
+}
+
+// Sign-in message issued to a wallet
+export interface SiweChallenge {
+  nonce: string;
+  message: string;
+  issuedAt: string;
+  expirationTime: string;
+}
+
+// Result of verifying a signed sign-in message
+export type SiweVerification =
+  | { success: true; fields: SiweMessageFields; method: SignatureMethod }
+  | { success: false; fields: SiweMessageFields | null; reason: AuthFailureReason; error: ApiError };
+
+const failure = (
+  fields: SiweMessageFields | null,
+  reason: AuthFailureReason,
+  message: string,
+  code: string,
+  statusCode = 401
+): SiweVerification => ({
+  success: false,
+  fields,
+  reason,
+  error: new ApiError(statusCode, message, code)
+});
+
+/**
+ * SIWE Service class
+ */
+export class SiweService {
+  private options: Required<Omit<SiweOptions, 'providers'>>;
+  private providers: Map<number, ethers.providers.Provider>;
+
+  constructor(options: SiweOptions = {}) {
+    this.options = {
+      domain: options.domain ?? config.siwe.domain,
+      uri: options.uri ?? config.siwe.uri,
+      statement: options.statement ?? config.siwe.statement,
+      nonceTtlMs: options.nonceTtlMs ?? config.siwe.nonceTtlMs,
+      clockSkewMs: options.clockSkewMs ?? config.siwe.clockSkewMs,
+      rpcUrls: options.rpcUrls ?? config.siwe.rpcUrls
+    };
+    this.providers = new Map(
+      Object.entries(options.providers || {}).map(([chainId, provider]) => [Number(chainId), provider])
+    );
+  }
+
+  /**
+   * Chains wallets can sign in on
+   */
+  getSupportedChainIds(): number[] {
+    return Object.keys(this.options.rpcUrls).map(Number);
+  }
+
+  /**
+   * Issue a sign-in message for a wallet
+   *
+   * @param address Wallet that will sign in
+   * @param chainId Chain the wallet signs in on
+   * @param resources Optional resources the login grants access to
+   * @returns The nonce and the message for the wallet to sign
+   * @throws ApiError 400 for an invalid address or unsupported chain
+   */
+  async createChallenge(address: string, chainId: number, resources: string[] = []): Promise<SiweChallenge> {
+    if (!ethers.utils.isAddress(address)) {
+      throw new ApiError(400, 'Valid Ethereum address is required', 'INVALID_ADDRESS');
+    }
+    if (!this.isSupportedChain(chainId)) {
+      throw new ApiError(400, `Chain ${chainId} is not supported for sign-in`, 'UNSUPPORTED_CHAIN');
+    }
+
+    const walletAddress = ethers.utils.getAddress(address);
+    const nonce = generateSiweNonce();
+    const issuedAt = new Date();
+    const expiresAt = new Date(issuedAt.getTime() + this.options.nonceTtlMs);
+
+    await prisma.authNonce.create({
+      data: { nonce, walletAddress, chainId, issuedAt, expiresAt }
+    });
+
+    const fields: SiweMessageFields = {
+      domain: this.options.domain,
+      address: walletAddress,
+      statement: this.options.statement,
+      uri: this.options.uri,
+      version: '1',
+      chainId,
+      nonce,
+      issuedAt: issuedAt.toISOString(),
+      expirationTime: expiresAt.toISOString(),
+      resources
+    };
+
+    return {
+      nonce,
+      message: formatSiweMessage(fields),
+      issuedAt: fields.issuedAt,
+      expirationTime: fields.expirationTime as string
+    };
+  }
+
+  /**
+   * Verify a signed sign-in message and use up its nonce
+   *
+   * @param message Message text signed by the wallet
+   * @param signature Signature of the message
+   * @param now Current time
+   * @returns The verified message fields, or why the login is rejected
+   */
+  async verifyLogin(message: string, signature: string, now: Date = new Date()): Promise<SiweVerification> {
+    let fields: SiweMessageFields;
+    try {
+      fields = parseSiweMessage(message);
+    } catch (error) {
+      return {
+        success: false,
+        fields: null,
+        reason: AuthFailureReason.INVALID_MESSAGE,
+        error: error as ApiError
+      };
+    }
+
+    if (fields.domain !== this.options.domain || !this.isExpectedUri(fields.uri)) {
+      return failure(fields, AuthFailureReason.DOMAIN_MISMATCH, 'Sign-in message is for another site', 'DOMAIN_MISMATCH');
+    }
+    if (!this.isSupportedChain(fields.chainId)) {
+      return failure(fields, AuthFailureReason.UNSUPPORTED_CHAIN, `Chain ${fields.chainId} is not supported for sign-in`, 'UNSUPPORTED_CHAIN');
+    }
+
+    const time = now.getTime();
+    const skew = this.options.clockSkewMs;
+    if (fields.expirationTime && Date.parse(fields.expirationTime) <= time) {
+      return failure(fields, AuthFailureReason.EXPIRED_MESSAGE, 'Sign-in message has expired', 'EXPIRED_MESSAGE');
+    }
+    if (Date.parse(fields.issuedAt) > time + skew || (fields.notBefore && Date.parse(fields.notBefore) > time + skew)) {
+      return failure(fields, AuthFailureReason.INVALID_MESSAGE, 'Sign-in message is not valid yet', 'MESSAGE_NOT_YET_VALID');
+    }
+
+    const record = await prisma.authNonce.findUnique({ where: { nonce: fields.nonce } });
+    if (!record || record.usedAt || record.walletAddress !== fields.address || record.chainId !== fields.chainId) {
+      return failure(fields, AuthFailureReason.INVALID_NONCE, 'Invalid or already used nonce', 'INVALID_NONCE');
+    }
+    if (record.expiresAt.getTime() <= time) {
+      return failure(fields, AuthFailureReason.EXPIRED_NONCE, 'Nonce has expired', 'EXPIRED_NONCE');
+    }
+
+    let method: SignatureMethod | null;
+    try {
+      method = await verifyMessageSignature(fields.address, message, signature, this.getProvider(fields.chainId));
+    } catch (error) {
+      logger.error('Failed to check wallet signature', {
+        address: fields.address,
+        chainId: fields.chainId,
+        error: error instanceof Error ? error.message : String(error)
+      });
+      return failure(fields, AuthFailureReason.SYSTEM_ERROR, 'Could not verify the wallet signature', 'SIGNATURE_CHECK_FAILED', 503);
+    }
+
+    if (!method) {
+      return failure(fields, AuthFailureReason.INVALID_SIGNATURE, 'Invalid signature', 'INVALID_SIGNATURE');
+    }
+
+    // Use up the nonce; of concurrent logins with the same message only one succeeds
+    const { count } = await prisma.authNonce.updateMany({
+      where: { nonce: fields.nonce, usedAt: null },
+      data: { usedAt: now }
+    });
+    if (count === 0) {
+      return failure(fields, AuthFailureReason.INVALID_NONCE, 'Invalid or already used nonce', 'INVALID_NONCE');
+    }
+
+    return { success: true, fields, method };
+  }
+
+  private isSupportedChain(chainId: number): boolean {
+    return Number.isInteger(chainId) && Boolean(this.options.rpcUrls[chainId]);
+  }
+
+  // The URI must be on the configured origin
+  private isExpectedUri(uri: string): boolean {
+    try {
+      return new URL(uri).origin === new URL(this.options.uri).origin;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Get the provider smart-contract wallet signatures are checked against
+   */
+  private getProvider(chainId: number): ethers.providers.Provider {
+    let provider = this.providers.get(chainId);
+    if (!provider) {
+      provider = new ethers.providers.StaticJsonRpcProvider(this.options.rpcUrls[chainId], chainId);
+      this.providers.set(chainId, provider);
+    }
+    return provider;
+  }
+}
+
+// Create a singleton instance
+export const siweService = new SiweService();
+
+export default siweService;
@@ -0,0 +1,399 @@
+/**
+ * Source of Funds Analyzer Service
+ *
+ * This service looks at the normalized transaction history of the wallets in
+ * a proof to tell whether the proven balance was genuinely held or just moved
+ * in to pass the check. It reports recent large inflows, round-tripping,
+ * exposure to blacklisted counterparties and short holding periods as
+ * structured risk findings that can be attached to a proof as warning flags.
+ */
+
+import { BigNumber, BigNumberish } from 'ethers';
+
+const SECONDS_PER_DAY = 24 * 60 * 60;
+
+// Ratios are compared in basis points so balances stay in BigNumber
+const BASIS_POINTS = 10000;
+
+/**
+ * Kinds of source-of-funds risk
+ */
+export type RiskFindingCode =
+  | 'RECENT_LARGE_INFLOW'
+  | 'ROUND_TRIP'
+  | 'FLAGGED_COUNTERPARTY'
+  | 'SHORT_HOLDING_PERIOD';
+
+/**
+ * How much weight a verifier should give a finding
+ */
+export type RiskSeverity = 'low' | 'medium' | 'high';
+
+/**
+ * A single source-of-funds risk found for a wallet
+ */
+export interface RiskFinding {
+  code: RiskFindingCode;
+  severity: RiskSeverity;
+  address: string;              // Wallet the finding is about
+  chainId: number;              // Chain the wallet was analyzed on
+  message: string;              // Human-readable summary
+  transactions: string[];       // Hashes of the transactions behind the finding
+  amount?: string;              // Amount involved, in the chain's smallest unit
+  counterparty?: string;        // Counterparty involved, if any
+}
+
+/**
+ * Screening result for a counterparty
+ */
+export interface CounterpartyScreening {
+  address: string;
+  isBlacklisted: boolean;
+  highestRiskScore?: number;    // Highest risk score reported by the screening providers
+}
+
+/**
+ * Transaction fields the analysis reads; normalized transactions from the
+ * transaction history processor have them all
+ */
+export interface AnalyzedTransaction {
+  id: string;                   // Unique identifier (chain + tx hash)
+  hash: string;
+  from: string;
+  to: string;
+  value: BigNumber;             // In the chain's smallest unit
+  timestamp: number;            // Unix timestamp
+  status: 'success' | 'failed' | 'pending';
+  chainId: number;
+}
+
+/**
+ * Balance of a wallet at proof creation
+ */
+export interface WalletBalance {
+  address: string;
+  chainId: number;
+  balance: BigNumberish;        // In the chain's smallest unit
+}
+
+/**
+ * Thresholds used by the analysis
+ */
+export interface SourceOfFundsOptions {
+  asOf?: number;                // Unix timestamp of proof creation (default: now)
+  largeInflowWindowDays?: number; // How far back an inflow counts as recent
+  largeInflowRatio?: number;    // Share of the balance that makes recent inflows large
+  roundTripWindowDays?: number; // Longest time between leaving and returning funds
+  roundTripTolerance?: number;  // Largest relative difference between the two amounts
+  minHoldingDays?: number;      // How long the balance should have been held
+  minHoldingRatio?: number;     // Share of the balance that must have been held that long
+}
+
+const DEFAULT_OPTIONS: Required<Omit<SourceOfFundsOptions, 'asOf'>> = {
+  largeInflowWindowDays: 7,
+  largeInflowRatio: 0.5,
+  roundTripWindowDays: 7,
+  roundTripTolerance: 0.1,
+  minHoldingDays: 30,
+  minHoldingRatio: 0.9
+};
+
+/**
+ * Source of Funds Analyzer Service
+ */
+export class SourceOfFundsAnalyzer {
+  private options: Required<Omit<SourceOfFundsOptions, 'asOf'>>;
+
+  /**
+   * Initialize with thresholds, falling back to the defaults
+   */
+  constructor(options: Omit<SourceOfFundsOptions, 'asOf'> = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+  }
+
+  /**
+   * Analyze the history of the wallets in a proof
+   *
+   * @param wallets Wallets with their balance at proof creation
+   * @param transactions Normalized transactions of the wallets
+   * @param screenings Counterparty screening results keyed by lower-cased address
+   * @param options Thresholds overriding those given to the constructor
+   * @returns Risk findings, most severe first
+   */
+  analyze(
+    wallets: WalletBalance[],
+    transactions: AnalyzedTransaction[],
+    screenings: Record<string, CounterpartyScreening> = {},
+    options: SourceOfFundsOptions = {}
+  ): RiskFinding[] {
+    const settings = { ...this.options, ...options };
+    const asOf = options.asOf ?? Math.floor(Date.now() / 1000);
+    const findings: RiskFinding[] = [];
+
+    for (const wallet of wallets) {
+      const history = this.getWalletHistory(wallet, transactions, asOf);
+      const balance = BigNumber.from(wallet.balance);
+
+      findings.push(
+        ...this.findRecentLargeInflows(wallet, history, balance, asOf, settings),
+        ...this.findRoundTrips(wallet, history, settings),
+        ...this.findFlaggedCounterparties(wallet, history, screenings),
+        ...this.findShortHoldingPeriod(wallet, history, balance, asOf, settings)
+      );
+    }
+
+    const rank: Record<RiskSeverity, number> = { high: 0, medium: 1, low: 2 };
+    return findings.sort((a, b) => rank[a.severity] - rank[b.severity]);
+  }
+
+  /**
+   * Get the counterparties the wallets have transacted with, e.g. to screen
+   * them before calling analyze
+   *
+   * @param wallets Wallets in the proof
+   * @param transactions Normalized transactions of the wallets
+   * @returns Unique counterparty addresses
+   */
+  getCounterparties(
+    wallets: Array<{ address: string; chainId: number }>,
+    transactions: AnalyzedTransaction[]
+  ): string[] {
+    const counterparties = new Map<string, string>();
+
+    for (const wallet of wallets) {
+      for (const tx of this.getWalletHistory(wallet, transactions, Number.MAX_SAFE_INTEGER)) {
+        const counterparty = this.getCounterparty(wallet, tx);
+        counterparties.set(counterparty.toLowerCase(), counterparty);
+      }
+    }
+
+    return [...counterparties.values()];
+  }
+
+  /**
+   * Convert findings to proof warning flags of the form `CODE:message`
+   *
+   * @param findings Risk findings
+   * @returns Warning flags
+   */
+  toWarningFlags(findings: RiskFinding[]): string[] {
+    return findings.map(finding => `${finding.code}:${finding.message}`);
+  }
+
+  /**
+   * Successful transactions of a wallet on its chain up to the proof, oldest first
+   */
+  private getWalletHistory(
+    wallet: { address: string; chainId: number },
+    transactions: AnalyzedTransaction[],
+    asOf: number
+  ): AnalyzedTransaction[] {
+    const address = wallet.address.toLowerCase();
+
+    return transactions
+      .filter(tx =>
+        tx.chainId === wallet.chainId &&
+        tx.status === 'success' &&
+        tx.timestamp <= asOf &&
+        (tx.from.toLowerCase() === address || tx.to.toLowerCase() === address) &&
+        tx.from.toLowerCase() !== tx.to.toLowerCase()
+      )
+      .sort((a, b) => a.timestamp - b.timestamp);
+  }
+
+  /**
+   * Incoming transactions that make up a large share of the balance shortly
+   * before the proof
+   */
+  private findRecentLargeInflows(
+    wallet: WalletBalance,
+    history: AnalyzedTransaction[],
+    balance: BigNumber,
+    asOf: number,
+    settings: Required<Omit<SourceOfFundsOptions, 'asOf'>>
+  ): RiskFinding[] {
+    if (balance.isZero()) {
+      return [];
+    }
+
+    const since = asOf - settings.largeInflowWindowDays * SECONDS_PER_DAY;
+    const inflows = history.filter(tx => tx.timestamp >= since && this.isIncoming(wallet, tx));
+    const total = inflows.reduce((sum, tx) => sum.add(tx.value), BigNumber.from(0));
+
+    if (total.isZero() || this.ratioBelow(total, balance, settings.largeInflowRatio)) {
+      return [];
+    }
+
+    const share = Math.min(total.mul(100).div(balance).toNumber(), 100);
+
+    return [{
+      code: 'RECENT_LARGE_INFLOW',
+      severity: total.gte(balance) ? 'high' : 'medium',
+      address: wallet.address,
+      chainId: wallet.chainId,
+      message: `${this.describe(wallet)} received ${share}% of its balance in the ${settings.largeInflowWindowDays} days before the proof`,
+      transactions: inflows.map(tx => tx.hash),
+      amount: total.toString()
+    }];
+  }
+
+  /**
+   * Funds sent to a counterparty that came back in a similar amount soon
+   * after, or the other way round
+   */
+  private findRoundTrips(
+    wallet: WalletBalance,
+    history: AnalyzedTransaction[],
+    settings: Required<Omit<SourceOfFundsOptions, 'asOf'>>
+  ): RiskFinding[] {
+    const window = settings.roundTripWindowDays * SECONDS_PER_DAY;
+    const used = new Set<string>();
+    const byCounterparty = new Map<string, { counterparty: string; hashes: string[]; amount: BigNumber }>();
+
+    for (const first of history) {
+      if (used.has(first.id) || first.value.isZero()) {
+        continue;
+      }
+
+      const counterparty = this.getCounterparty(wallet, first);
+      const returning = history.find(tx =>
+        !used.has(tx.id) &&
+        tx.id !== first.id &&
+        tx.timestamp >= first.timestamp &&
+        tx.timestamp - first.timestamp <= window &&
+        this.isIncoming(wallet, tx) !== this.isIncoming(wallet, first) &&
+        this.getCounterparty(wallet, tx).toLowerCase() === counterparty.toLowerCase() &&
+        this.isSimilarAmount(first.value, tx.value, settings.roundTripTolerance)
+      );
+
+      if (!returning) {
+        continue;
+      }
+
+      used.add(first.id);
+      used.add(returning.id);
+
+      const key = counterparty.toLowerCase();
+      const entry = byCounterparty.get(key) || { counterparty, hashes: [], amount: BigNumber.from(0) };
+      entry.hashes.push(first.hash, returning.hash);
+      entry.amount = entry.amount.add(first.value);
+      byCounterparty.set(key, entry);
+    }
+
+    return [...byCounterparty.values()].map(({ counterparty, hashes, amount }) => ({
+      code: 'ROUND_TRIP',
+      severity: 'medium',
+      address: wallet.address,
+      chainId: wallet.chainId,
+      message: `${this.describe(wallet)} moved funds to and back from ${counterparty} within ${settings.roundTripWindowDays} days`,
+      transactions: hashes,
+      amount: amount.toString(),
+      counterparty
+    }));
+  }
+
+  /**
+   * Transactions with counterparties found on a blacklist
+   */
+  private findFlaggedCounterparties(
+    wallet: WalletBalance,
+    history: AnalyzedTransaction[],
+    screenings: Record<string, CounterpartyScreening>
+  ): RiskFinding[] {
+    const byCounterparty = new Map<string, { counterparty: string; hashes: string[]; amount: BigNumber }>();
+
+    for (const tx of history) {
+      const counterparty = this.getCounterparty(wallet, tx);
+      const key = counterparty.toLowerCase();
+
+      if (!screenings[key]?.isBlacklisted) {
+        continue;
+      }
+
+      const entry = byCounterparty.get(key) || { counterparty, hashes: [], amount: BigNumber.from(0) };
+      entry.hashes.push(tx.hash);
+      entry.amount = entry.amount.add(tx.value);
+      byCounterparty.set(key, entry);
+    }
+
+    return [...byCounterparty.values()].map(({ counterparty, hashes, amount }) => ({
+      code: 'FLAGGED_COUNTERPARTY',
+      severity: 'high',
+      address: wallet.address,
+      chainId: wallet.chainId,
+      message: `${this.describe(wallet)} transacted with blacklisted address ${counterparty}`,
+      transactions: hashes,
+      amount: amount.toString(),
+      counterparty
+    }));
+  }
+
+  /**
+   * Balance that has not been held for the minimum holding period. The
+   * balance is rolled back through the period; its lowest point is the
+   * amount held throughout.
+   */
+  private findShortHoldingPeriod(
+    wallet: WalletBalance,
+    history: AnalyzedTransaction[],
+    balance: BigNumber,
+    asOf: number,
+    settings: Required<Omit<SourceOfFundsOptions, 'asOf'>>
+  ): RiskFinding[] {
+    if (balance.isZero()) {
+      return [];
+    }
+
+    const since = asOf - settings.minHoldingDays * SECONDS_PER_DAY;
+    const period = history.filter(tx => tx.timestamp > since);
+    let running = balance;
+    let held = balance;
+
+    for (const tx of [...period].reverse()) {
+      running = this.isIncoming(wallet, tx) ? running.sub(tx.value) : running.add(tx.value);
+      if (running.lt(held)) {
+        held = running.isNegative() ? BigNumber.from(0) : running;
+      }
+    }
+
+    if (!this.ratioBelow(held, balance, settings.minHoldingRatio)) {
+      return [];
+    }
+
+    const heldShare = held.mul(100).div(balance).toNumber();
+
+    return [{
+      code: 'SHORT_HOLDING_PERIOD',
+      severity: held.isZero() ? 'high' : 'medium',
+      address: wallet.address,
+      chainId: wallet.chainId,
+      message: `${this.describe(wallet)} held only ${heldShare}% of its balance for the last ${settings.minHoldingDays} days`,
+      transactions: period.filter(tx => this.isIncoming(wallet, tx)).map(tx => tx.hash),
+      amount: balance.sub(held).toString()
+    }];
+  }
+
+  private isIncoming(wallet: { address: string }, tx: AnalyzedTransaction): boolean {
+    return tx.to.toLowerCase() === wallet.address.toLowerCase();
+  }
+
+  private getCounterparty(wallet: { address: string }, tx: AnalyzedTransaction): string {
+    return this.isIncoming(wallet, tx) ? tx.from : tx.to;
+  }
+
+  private ratioBelow(amount: BigNumber, total: BigNumber, ratio: number): boolean {
+    return amount.mul(BASIS_POINTS).lt(total.mul(Math.round(ratio * BASIS_POINTS)));
+  }
+
+  private isSimilarAmount(a: BigNumber, b: BigNumber, tolerance: number): boolean {
+    const larger = a.gt(b) ? a : b;
+    const difference = a.gt(b) ? a.sub(b) : b.sub(a);
+    return difference.mul(BASIS_POINTS).lte(larger.mul(Math.round(tolerance * BASIS_POINTS)));
+  }
+
+  private describe(wallet: { address: string; chainId: number }): string {
+    return `${wallet.address} (chain ${wallet.chainId})`;
+  }
+}
+
+export default SourceOfFundsAnalyzer;
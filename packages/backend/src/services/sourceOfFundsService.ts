@@ -0,0 +1,178 @@
+/**
+ * Source of Funds Service
+ *
+ * Runs the source-of-funds analysis for the wallets of a proof: it fetches
+ * their recent transaction history, screens the counterparties with the same
+ * sanctions providers as the wallets and turns the analyzer's findings into
+ * proof warning flags. Wallets whose balance or history cannot be read are
+ * flagged as SOURCE_OF_FUNDS_UNAVAILABLE:<address> rather than passed as clean.
+ */
+import { ChainAdapterRegistry } from '@proof-of-funds/frontend/utils/chains';
+import { TransactionHistoryProcessor } from '@proof-of-funds/frontend/services/TransactionHistoryProcessor';
+import config from '../config';
+import logger from '../utils/logger';
+import { sanctionsScreeningService } from './sanctionsScreeningService';
+import { SourceOfFundsAnalyzer, CounterpartyScreening, RiskFinding, WalletBalance } from './sourceOfFundsAnalyzer';
+
+export const SOURCE_OF_FUNDS_UNAVAILABLE = 'SOURCE_OF_FUNDS_UNAVAILABLE';
+
+const SECONDS_PER_DAY = 24 * 60 * 60;
+
+// Interface for source of funds service options
+export interface SourceOfFundsServiceOptions {
+  chainRegistry?: ChainAdapterRegistry;
+  transactionProcessor?: TransactionHistoryProcessor;
+  analyzer?: SourceOfFundsAnalyzer;
+}
+
+// Wallet to analyze; the balance is read from the chain when not given
+export interface SourceOfFundsWallet {
+  address: string;
+  chainId?: number;
+  balance?: WalletBalance['balance'];
+}
+
+// Interface for the result of a source of funds analysis
+export interface SourceOfFundsResult {
+  findings: RiskFinding[];
+  warningFlags: string[];
+}
+
+/**
+ * Source of Funds Service class
+ */
+export class SourceOfFundsService {
+  private chainRegistry: ChainAdapterRegistry | null;
+  private transactionProcessor: TransactionHistoryProcessor | null;
+  private analyzer: SourceOfFundsAnalyzer;
+
+  constructor(options: SourceOfFundsServiceOptions = {}) {
+    this.chainRegistry = options.chainRegistry || null;
+    this.transactionProcessor = options.transactionProcessor || null;
+    this.analyzer = options.analyzer || new SourceOfFundsAnalyzer();
+  }
+
+  /**
+   * Get the chain adapters balances are read with
+   */
+  private getChainRegistry(): ChainAdapterRegistry {
+    if (!this.chainRegistry) {
+      this.chainRegistry = new ChainAdapterRegistry();
+    }
+    return this.chainRegistry;
+  }
+
+  /**
+   * Get the processor transaction histories are read with
+   */
+  private getTransactionProcessor(): TransactionHistoryProcessor {
+    if (!this.transactionProcessor) {
+      this.transactionProcessor = new TransactionHistoryProcessor();
+    }
+    return this.transactionProcessor;
+  }
+
+  /**
+   * Read the balance of a wallet as of the analysis date, or now
+   */
+  private async getBalance(address: string, chainId: number, asOf?: number): Promise<string> {
+    const adapter = this.getChainRegistry().getAdapter(chainId);
+    if (!adapter) {
+      throw new Error(`Unsupported chain ID: ${chainId}`);
+    }
+
+    if (asOf !== undefined) {
+      const { balance } = await adapter.getBalanceAt(address, { timestamp: asOf });
+      return balance.toString();
+    }
+
+    return (await adapter.getBalance(address)).toString();
+  }
+
+  /**
+   * Analyze the transaction history of the wallets of a proof for signs that
+   * the balance was moved in to pass the check
+   *
+   * @param wallets - Wallets of the proof, as addresses or with chain and balance
+   * @param context - Proof and user the wallets are analyzed for, for the screening audit log
+   * @param asOf - Unix time in seconds the balances are proven as of, now if unset
+   * @returns Risk findings and the warning flags to store with the proof
+   */
+  async analyzeWallets(
+    wallets: Array<SourceOfFundsWallet | string>,
+    context: { userId?: string; referenceId?: string } = {},
+    asOf?: number
+  ): Promise<SourceOfFundsResult> {
+    const { enabled, lookbackDays, defaultChainId, ...thresholds } = config.sourceOfFunds;
+    if (!enabled) {
+      return { findings: [], warningFlags: [] };
+    }
+
+    const endDate = asOf ?? Math.floor(Date.now() / 1000);
+    const targets = wallets
+      .map(wallet => (typeof wallet === 'string' ? { address: wallet } : wallet))
+      .filter(wallet => typeof wallet?.address === 'string' && wallet.address.trim())
+      .map(wallet => ({ ...wallet, chainId: wallet.chainId ?? defaultChainId }));
+
+    const unavailable: string[] = [];
+    const analyzed: WalletBalance[] = [];
+
+    const histories = await Promise.all(
+      targets.map(async wallet => {
+        try {
+          const balance = wallet.balance ?? await this.getBalance(wallet.address, wallet.chainId, asOf);
+          const history = await this.getTransactionProcessor().getChainTransactions(wallet.address, wallet.chainId, {
+            startDate: endDate - lookbackDays * SECONDS_PER_DAY,
+            endDate
+          });
+          analyzed.push({ address: wallet.address, chainId: wallet.chainId, balance });
+          return history;
+        } catch (error) {
+          logger.warn('Source of funds analysis unavailable for wallet', {
+            address: wallet.address,
+            chainId: wallet.chainId,
+            error: error instanceof Error ? error.message : 'Unknown error'
+          });
+          unavailable.push(`${SOURCE_OF_FUNDS_UNAVAILABLE}:${wallet.address}`);
+          return [];
+        }
+      })
+    );
+    const transactions = histories.flat();
+
+    const screenings: Record<string, CounterpartyScreening> = {};
+    const counterparties = this.analyzer.getCounterparties(analyzed, transactions);
+
+    if (counterparties.length > 0) {
+      const { matches, allowlisted } = await sanctionsScreeningService.screenWallets(counterparties, context);
+      const cleared = new Set(allowlisted.map(address => address.toLowerCase()));
+
+      for (const match of matches) {
+        const key = match.address.toLowerCase();
+        if (cleared.has(key)) {
+          continue;
+        }
+
+        const riskScores = [screenings[key]?.highestRiskScore, match.riskScore]
+          .filter((score): score is number => score !== undefined);
+        screenings[key] = {
+          address: match.address,
+          isBlacklisted: true,
+          highestRiskScore: riskScores.length > 0 ? Math.max(...riskScores) : undefined
+        };
+      }
+    }
+
+    const findings = this.analyzer.analyze(analyzed, transactions, screenings, { ...thresholds, asOf: endDate });
+
+    return {
+      findings,
+      warningFlags: [...unavailable, ...this.analyzer.toWarningFlags(findings)]
+    };
+  }
+}
+
+// Export singleton instance
+export const sourceOfFundsService = new SourceOfFundsService();
+
+export default sourceOfFundsService;
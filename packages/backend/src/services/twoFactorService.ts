@@ -0,0 +1,399 @@
+/**
+ * Two-Factor Authentication Service
+ *
+ * TOTP-based two-factor authentication. The TOTP secret is envelope-encrypted
+ * before it is stored, backup codes are stored as SHA-256 hashes and can be
+ * used once, and every accepted code moves the user's last used time step
+ * forward so the same code cannot be replayed within its validity window.
+ *
+ * A successful check, or a passkey check (passkeyService), can be exchanged
+ * for a short-lived step-up token, which sensitive actions require from users
+ * who have a second factor.
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { prisma } from '@proof-of-funds/db';
+import config from '../config';
+import logger from '../utils/logger';
+import { hashToken } from '../utils/passwordUtils';
+import { buildOtpauthUrl, findTotpStep, generateTotpSecret } from '../utils/totp';
+import { envelopeEncryptionService } from './envelopeEncryptionService';
+import { auditLogService } from './auditLogService';
+import { AuditEventType, ActorType, AuditAction, AuditStatus, AuditSeverity } from '../models/auditLog';
+
+// How a user proved their second factor
+export type TwoFactorMethod = 'totp' | 'backup_code' | 'passkey';
+
+const BACKUP_CODE_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+const BACKUP_CODE_PATTERN = /^[A-Z0-9]{5}-[A-Z0-9]{5}$/;
+const STEP_UP_TOKEN_TYPE = 'step_up';
+
+/**
+ * Generate a backup code in the form XXXXX-XXXXX
+ */
+function generateBackupCode(): string {
+  let code = '';
+  for (let i = 0; i < 10; i++) {
+    code += BACKUP_CODE_ALPHABET[crypto.randomInt(BACKUP_CODE_ALPHABET.length)];
+  }
+  return `${code.slice(0, 5)}-${code.slice(5)}`;
+}
+
+/**
+ * Normalize a backup code as typed by the user: any case, with or without the dash
+ */
+function normalizeBackupCode(code: string): string {
+  const cleaned = code.toUpperCase().replace(/[\s-]/g, '');
+  return cleaned.length === 10 ? `${cleaned.slice(0, 5)}-${cleaned.slice(5)}` : cleaned;
+}
+
+/**
+ * Generate a set of backup codes
+ *
+ * @returns The codes to show the user once and the hashes to store
+ */
+function createBackupCodes(): { codes: string[]; hashes: string[] } {
+  const codes = Array.from({ length: config.twoFactor.backupCodeCount }, generateBackupCode);
+  return { codes, hashes: codes.map(code => hashToken(code)) };
+}
+
+/**
+ * Write a two-factor audit log entry, without failing the caller
+ */
+async function logTwoFactorEvent(
+  eventType: AuditEventType,
+  userId: string,
+  action: AuditAction,
+  status: AuditStatus,
+  details: Record<string, any>
+): Promise<void> {
+  try {
+    await auditLogService.log({
+      eventType,
+      actorId: userId,
+      actorType: ActorType.USER,
+      action,
+      status,
+      details,
+      severity: status === AuditStatus.SUCCESS ? AuditSeverity.INFO : AuditSeverity.WARNING
+    });
+  } catch (error) {
+    logger.error('Failed to log 2FA audit event', {
+      userId,
+      error: error instanceof Error ? error.message : String(error)
+    });
+  }
+}
+
+/**
+ * Start setting up 2FA for a user
+ *
+ * Creates a new secret, replacing one from an unfinished setup. 2FA is only
+ * enabled once the user proves their authenticator works (confirmTwoFactor).
+ *
+ * @param userId - User ID
+ * @param accountName - Account name shown in the authenticator app
+ * @returns The secret and the otpauth:// URI to show as a QR code
+ */
+export async function initializeTwoFactor(
+  userId: string,
+  accountName: string
+): Promise<{ success: boolean; secret: string; otpauthUrl: string; message: string }> {
+  const existing = await prisma.twoFactorAuth.findUnique({ where: { userId } });
+  if (existing?.enabled) {
+    return {
+      success: false,
+      secret: '',
+      otpauthUrl: '',
+      message: '2FA is already enabled for this account'
+    };
+  }
+
+  const secret = generateTotpSecret();
+  const { encryptedData, wrappedDataKey, encryptionKeyId } = await envelopeEncryptionService.encrypt(secret);
+  const data = {
+    encryptedSecret: encryptedData,
+    wrappedDataKey,
+    encryptionKeyId,
+    enabled: false,
+    lastUsedStep: null,
+    backupCodes: [],
+    confirmedAt: null
+  };
+
+  await prisma.twoFactorAuth.upsert({
+    where: { userId },
+    create: { userId, ...data },
+    update: data
+  });
+
+  await logTwoFactorEvent(AuditEventType.TWO_FACTOR_SETUP, userId, AuditAction.CREATE, AuditStatus.SUCCESS, {
+    stage: 'initialized'
+  });
+
+  return {
+    success: true,
+    secret,
+    otpauthUrl: buildOtpauthUrl(secret, accountName || userId, config.twoFactor.issuer),
+    message: '2FA initialization successful. Scan the QR code with your authenticator app and enter a code to confirm.'
+  };
+}
+
+/**
+ * Verify a TOTP code, or a backup code once 2FA is enabled
+ *
+ * A TOTP code is accepted at most once: its time step must be later than
+ * the last one accepted for the user.
+ *
+ * @param userId - User ID
+ * @param token - Code entered by the user
+ * @returns Whether the code is valid and which kind of code it was
+ */
+export async function verifyTwoFactorToken(
+  userId: string,
+  token: string
+): Promise<{ isValid: boolean; message: string; method?: TwoFactorMethod }> {
+  const record = await prisma.twoFactorAuth.findUnique({ where: { userId } });
+  if (!record) {
+    return { isValid: false, message: '2FA has not been set up for this account' };
+  }
+
+  if (!/^\d+$/.test(token)) {
+    if (!record.enabled) {
+      return { isValid: false, message: 'Invalid verification code' };
+    }
+    const result = await verifyBackupCode(userId, token);
+    return { ...result, method: result.isValid ? 'backup_code' : undefined };
+  }
+
+  const secret: string = await envelopeEncryptionService.decrypt({
+    encryptedData: record.encryptedSecret,
+    wrappedDataKey: record.wrappedDataKey,
+    encryptionKeyId: record.encryptionKeyId
+  });
+  const step = findTotpStep(secret, token, config.twoFactor.window);
+
+  if (step === null) {
+    await logTwoFactorEvent(AuditEventType.TWO_FACTOR_VERIFICATION, userId, AuditAction.VERIFY, AuditStatus.FAILURE, {
+      method: 'totp',
+      reason: 'Invalid code'
+    });
+    return { isValid: false, message: 'Invalid verification code' };
+  }
+
+  // Accept the step only if it is later than the last used one; of concurrent requests only one wins
+  const { count } = await prisma.twoFactorAuth.updateMany({
+    where: {
+      userId,
+      OR: [{ lastUsedStep: null }, { lastUsedStep: { lt: step } }]
+    },
+    data: { lastUsedStep: step }
+  });
+
+  if (count === 0) {
+    await logTwoFactorEvent(AuditEventType.TWO_FACTOR_VERIFICATION, userId, AuditAction.VERIFY, AuditStatus.FAILURE, {
+      method: 'totp',
+      reason: 'Code already used'
+    });
+    return { isValid: false, message: 'This verification code has already been used. Wait for the next code.' };
+  }
+
+  await logTwoFactorEvent(AuditEventType.TWO_FACTOR_VERIFICATION, userId, AuditAction.VERIFY, AuditStatus.SUCCESS, {
+    method: 'totp'
+  });
+
+  return { isValid: true, message: 'Verification successful', method: 'totp' };
+}
+
+/**
+ * Enable 2FA after the user verified a code of the new secret
+ *
+ * @param userId - User ID
+ * @returns The backup codes, shown to the user once
+ */
+export async function confirmTwoFactor(
+  userId: string
+): Promise<{ success: boolean; message: string; backupCodes?: string[] }> {
+  const { codes, hashes } = createBackupCodes();
+
+  const { count } = await prisma.twoFactorAuth.updateMany({
+    where: { userId, enabled: false },
+    data: { enabled: true, confirmedAt: new Date(), backupCodes: hashes }
+  });
+
+  if (count === 0) {
+    return { success: false, message: 'No pending 2FA setup to confirm' };
+  }
+
+  await logTwoFactorEvent(AuditEventType.TWO_FACTOR_SETUP, userId, AuditAction.UPDATE, AuditStatus.SUCCESS, {
+    stage: 'enabled'
+  });
+
+  logger.info('2FA enabled', { userId });
+
+  return {
+    success: true,
+    message: '2FA has been enabled. Store the backup codes in a safe place.',
+    backupCodes: codes
+  };
+}
+
+/**
+ * Disable 2FA and delete the secret and backup codes
+ *
+ * @param userId - User ID
+ */
+export async function disableTwoFactor(userId: string): Promise<{ success: boolean; message: string }> {
+  await prisma.twoFactorAuth.deleteMany({ where: { userId } });
+
+  await logTwoFactorEvent(AuditEventType.TWO_FACTOR_SETUP, userId, AuditAction.DELETE, AuditStatus.SUCCESS, {
+    stage: 'disabled'
+  });
+
+  logger.info('2FA disabled', { userId });
+
+  return { success: true, message: '2FA has been disabled' };
+}
+
+/**
+ * Replace the backup codes of a user
+ *
+ * @param userId - User ID
+ * @returns The new codes, shown to the user once
+ */
+export async function generateBackupCodes(
+  userId: string
+): Promise<{ success: boolean; message: string; codes: string[] }> {
+  const { codes, hashes } = createBackupCodes();
+
+  const { count } = await prisma.twoFactorAuth.updateMany({
+    where: { userId, enabled: true },
+    data: { backupCodes: hashes }
+  });
+
+  if (count === 0) {
+    return { success: false, message: '2FA is not enabled for this account', codes: [] };
+  }
+
+  await logTwoFactorEvent(AuditEventType.TWO_FACTOR_SETUP, userId, AuditAction.CREATE, AuditStatus.SUCCESS, {
+    stage: 'backup_codes_generated'
+  });
+
+  return { success: true, message: 'Backup codes generated successfully', codes };
+}
+
+/**
+ * Verify a backup code and use it up
+ *
+ * @param userId - User ID
+ * @param code - Backup code entered by the user
+ */
+export async function verifyBackupCode(
+  userId: string,
+  code: string
+): Promise<{ isValid: boolean; message: string }> {
+  const normalized = normalizeBackupCode(code);
+  const record = await prisma.twoFactorAuth.findUnique({
+    where: { userId },
+    select: { enabled: true, backupCodes: true }
+  });
+
+  const hash = hashToken(normalized);
+  const isKnown = Boolean(record?.enabled) && BACKUP_CODE_PATTERN.test(normalized) && record!.backupCodes.includes(hash);
+
+  // Remove the code, unless the codes changed since they were read
+  const consumed = isKnown && (await prisma.twoFactorAuth.updateMany({
+    where: { userId, backupCodes: { equals: record!.backupCodes } },
+    data: { backupCodes: record!.backupCodes.filter(stored => stored !== hash) }
+  })).count === 1;
+
+  if (!consumed) {
+    await logTwoFactorEvent(AuditEventType.TWO_FACTOR_VERIFICATION, userId, AuditAction.VERIFY, AuditStatus.FAILURE, {
+      method: 'backup_code',
+      reason: isKnown ? 'Concurrent use' : 'Invalid code'
+    });
+    return { isValid: false, message: 'Invalid backup code' };
+  }
+
+  await logTwoFactorEvent(AuditEventType.TWO_FACTOR_VERIFICATION, userId, AuditAction.VERIFY, AuditStatus.SUCCESS, {
+    method: 'backup_code',
+    remainingBackupCodes: record!.backupCodes.length - 1
+  });
+
+  return { isValid: true, message: 'Backup code verified successfully' };
+}
+
+/**
+ * Check whether a user has to pass 2FA
+ *
+ * Users with TOTP enabled or a registered passkey have a second factor.
+ *
+ * @param userId - User ID
+ */
+export async function isTwoFactorRequired(userId: string): Promise<boolean> {
+  const record = await prisma.twoFactorAuth.findUnique({
+    where: { userId },
+    select: { enabled: true }
+  });
+
+  if (record?.enabled) {
+    return true;
+  }
+
+  return (await prisma.passkeyCredential.count({ where: { userId } })) > 0;
+}
+
+/**
+ * Get the 2FA status of a user
+ *
+ * @param userId - User ID
+ */
+export async function getTwoFactorStatus(
+  userId: string
+): Promise<{ isEnabled: boolean; setupPending: boolean; backupCodesCount: number }> {
+  const record = await prisma.twoFactorAuth.findUnique({
+    where: { userId },
+    select: { enabled: true, backupCodes: true }
+  });
+
+  return {
+    isEnabled: Boolean(record?.enabled),
+    setupPending: Boolean(record && !record.enabled),
+    backupCodesCount: record?.enabled ? record.backupCodes.length : 0
+  };
+}
+
+/**
+ * Issue a step-up token after a successful second-factor check
+ *
+ * @param userId - User ID
+ * @param method - How the user proved their second factor
+ * @returns The token and its expiry
+ */
+export function issueStepUpToken(userId: string, method: string): { token: string; expiresAt: Date } {
+  const token = jwt.sign(
+    { type: STEP_UP_TOKEN_TYPE, method },
+    config.jwt.secret,
+    { subject: userId, expiresIn: config.twoFactor.stepUpTokenExpiry }
+  );
+  const { exp } = jwt.decode(token) as { exp: number };
+
+  return { token, expiresAt: new Date(exp * 1000) };
+}
+
+/**
+ * Check a step-up token
+ *
+ * @param token - Step-up token
+ * @param userId - User the token must have been issued to
+ * @returns Whether the token is valid for the user
+ */
+export function verifyStepUpToken(token: string, userId: string): boolean {
+  try {
+    const decoded = jwt.verify(token, config.jwt.secret) as jwt.JwtPayload;
+    return decoded.type === STEP_UP_TOKEN_TYPE && decoded.sub === userId;
+  } catch {
+    return false;
+  }
+}
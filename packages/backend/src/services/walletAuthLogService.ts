@@ -22,6 +22,10 @@ export enum AuthFailureReason {
   EXPIRED_NONCE = 'expired_nonce',
   INVALID_NONCE = 'invalid_nonce',
   INACTIVE_USER = 'inactive_user',
+  INVALID_MESSAGE = 'invalid_message',
+  DOMAIN_MISMATCH = 'domain_mismatch',
+  UNSUPPORTED_CHAIN = 'unsupported_chain',
+  EXPIRED_MESSAGE = 'expired_message',
   RATE_LIMITED = 'rate_limited',
   SYSTEM_ERROR = 'system_error',
 }
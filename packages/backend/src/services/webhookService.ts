@@ -0,0 +1,757 @@
+/**
+ * Webhook Service
+ *
+ * Sends proof lifecycle events to the webhook endpoints organizations
+ * register, so verifiers are told when a proof made from one of their
+ * templates is confirmed, verified, revoked or expires instead of polling
+ * the verify API. Proofs that were not made from a template belong to no
+ * organization and produce no events.
+ *
+ * Every event is stored as one delivery per subscribed endpoint and sent by
+ * a background loop. Payloads are signed with the endpoint secret in the
+ * same way ResponseSigner signs API responses. Failed deliveries are retried
+ * with exponential backoff; once the attempts run out the delivery is moved
+ * to the dead-letter table, from where it can be replayed.
+ */
+import { v4 as uuidv4 } from 'uuid';
+import { prisma } from '@proof-of-funds/db';
+import { ApiError } from '../middleware/errorHandler';
+import config from '../config';
+import logger from '../utils/logger';
+import { generateSecureToken } from '../utils/passwordUtils';
+import { signWebhookPayload } from '../utils/webhookSignature';
+import { assertPublicUrl, resolveHost, HostResolver } from '../utils/publicUrl';
+import { auditLogService } from './auditLogService';
+import { AuditEventType, ActorType, AuditAction, AuditStatus, AuditSeverity } from '../models/auditLog';
+
+export const WEBHOOK_EVENTS = ['proof.confirmed', 'proof.verified', 'proof.revoked', 'proof.expired'] as const;
+export type WebhookEventType = typeof WEBHOOK_EVENTS[number];
+
+export type WebhookDeliveryStatus = 'PENDING' | 'DELIVERED' | 'FAILED';
+
+// Secrets look like whsec_<48 hex chars>; the prefix is kept for display
+const SECRET_PREFIX = 'whsec_';
+const SECRET_DISPLAY_LENGTH = 12;
+
+// Deliveries claimed per run of the background loop
+const DELIVERY_BATCH_SIZE = 50;
+
+// Stored error messages are cut to this length
+const MAX_ERROR_LENGTH = 500;
+
+/**
+ * Endpoint fields that can be set on create and update
+ */
+export interface WebhookEndpointInput {
+  url?: string;
+  description?: string | null;
+  events?: WebhookEventType[];
+  isActive?: boolean;
+}
+
+/**
+ * Event as sent to endpoints, before signing
+ */
+export interface WebhookEvent {
+  id: string;
+  type: WebhookEventType;
+  createdAt: string;
+  organizationId: string;
+  data: Record<string, any>;
+}
+
+/**
+ * Filters for the delivery log
+ */
+export interface WebhookDeliveryFilters {
+  endpointId?: string;
+  status?: WebhookDeliveryStatus;
+  eventType?: string;
+  page?: number;
+  limit?: number;
+}
+
+/**
+ * Sends a signed delivery; compatible with the global fetch
+ */
+export type WebhookTransport = (
+  url: string,
+  init: { method: string; headers: Record<string, string>; body: string; redirect: 'manual'; signal: AbortSignal }
+) => Promise<{ ok: boolean; status: number }>;
+
+export interface WebhookServiceOptions {
+  intervalMs?: number;
+  timeoutMs?: number;
+  maxAttempts?: number;
+  backoffBaseMs?: number;
+  backoffMaxMs?: number;
+  allowPrivateUrls?: boolean;
+  transport?: WebhookTransport;
+  resolveHost?: HostResolver;
+}
+
+// Fields returned for endpoints; the secret is only returned when it is created
+const endpointSelect = {
+  id: true,
+  organizationId: true,
+  url: true,
+  description: true,
+  events: true,
+  secretPrefix: true,
+  isActive: true,
+  createdAt: true,
+  updatedAt: true
+};
+
+const deliverySelect = {
+  id: true,
+  endpointId: true,
+  eventId: true,
+  eventType: true,
+  payload: true,
+  status: true,
+  attempts: true,
+  nextAttemptAt: true,
+  responseStatus: true,
+  lastError: true,
+  replayOfId: true,
+  createdAt: true,
+  deliveredAt: true
+};
+
+/**
+ * Service for webhook endpoints and event deliveries
+ */
+export class WebhookService {
+  private options: Required<WebhookServiceOptions>;
+  private timer: NodeJS.Timeout | null = null;
+  private processing = false;
+
+  constructor(options: WebhookServiceOptions = {}) {
+    this.options = {
+      intervalMs: options.intervalMs ?? config.webhooks.intervalMs,
+      timeoutMs: options.timeoutMs ?? config.webhooks.timeoutMs,
+      maxAttempts: options.maxAttempts ?? config.webhooks.maxAttempts,
+      backoffBaseMs: options.backoffBaseMs ?? config.webhooks.backoffBaseMs,
+      backoffMaxMs: options.backoffMaxMs ?? config.webhooks.backoffMaxMs,
+      allowPrivateUrls: options.allowPrivateUrls ?? config.webhooks.allowPrivateUrls,
+      transport: options.transport ?? ((url, init) => fetch(url, init)),
+      resolveHost: options.resolveHost ?? resolveHost
+    };
+  }
+
+  /**
+   * List the webhook endpoints of an organization
+   *
+   * @param organizationId Organization ID
+   */
+  async listEndpoints(organizationId: string) {
+    return prisma.webhookEndpoint.findMany({
+      where: { organizationId },
+      select: endpointSelect,
+      orderBy: { createdAt: 'desc' }
+    });
+  }
+
+  /**
+   * Get a webhook endpoint of an organization
+   *
+   * @param organizationId Organization ID
+   * @param endpointId Endpoint ID
+   * @throws ApiError 404 if the endpoint does not belong to the organization
+   */
+  async getEndpoint(organizationId: string, endpointId: string) {
+    const endpoint = await prisma.webhookEndpoint.findFirst({
+      where: { id: endpointId, organizationId },
+      select: endpointSelect
+    });
+
+    if (!endpoint) {
+      throw new ApiError(404, 'Webhook endpoint not found', 'WEBHOOK_NOT_FOUND');
+    }
+
+    return endpoint;
+  }
+
+  /**
+   * Register a webhook endpoint. The signing secret is only returned here
+   * and when it is rotated.
+   *
+   * @param organizationId Organization ID
+   * @param data Endpoint fields
+   * @param actorId Acting user ID
+   */
+  async createEndpoint(organizationId: string, data: WebhookEndpointInput, actorId: string) {
+    await this.checkUrl(data.url!);
+    const secret = this.generateSecret();
+
+    const endpoint = await prisma.webhookEndpoint.create({
+      data: {
+        organizationId,
+        url: data.url!,
+        description: data.description,
+        events: data.events!,
+        isActive: data.isActive ?? true,
+        secret,
+        secretPrefix: secret.slice(0, SECRET_DISPLAY_LENGTH)
+      },
+      select: endpointSelect
+    });
+
+    await this.audit(AuditEventType.WEBHOOK_CREATE, AuditAction.CREATE, actorId, endpoint.id, {
+      organizationId,
+      url: endpoint.url,
+      events: endpoint.events
+    });
+
+    return { ...endpoint, secret };
+  }
+
+  /**
+   * Update a webhook endpoint
+   *
+   * @param organizationId Organization ID
+   * @param endpointId Endpoint ID
+   * @param data Fields to update
+   * @param actorId Acting user ID
+   */
+  async updateEndpoint(organizationId: string, endpointId: string, data: WebhookEndpointInput, actorId: string) {
+    await this.getEndpoint(organizationId, endpointId);
+
+    if (data.url !== undefined) {
+      await this.checkUrl(data.url);
+    }
+
+    const endpoint = await prisma.webhookEndpoint.update({
+      where: { id: endpointId },
+      data,
+      select: endpointSelect
+    });
+
+    await this.audit(AuditEventType.WEBHOOK_UPDATE, AuditAction.UPDATE, actorId, endpointId, {
+      organizationId,
+      fields: Object.keys(data)
+    });
+
+    return endpoint;
+  }
+
+  /**
+   * Delete a webhook endpoint together with its delivery log
+   *
+   * @param organizationId Organization ID
+   * @param endpointId Endpoint ID
+   * @param actorId Acting user ID
+   */
+  async deleteEndpoint(organizationId: string, endpointId: string, actorId: string): Promise<void> {
+    const { count } = await prisma.webhookEndpoint.deleteMany({
+      where: { id: endpointId, organizationId }
+    });
+
+    if (count === 0) {
+      throw new ApiError(404, 'Webhook endpoint not found', 'WEBHOOK_NOT_FOUND');
+    }
+
+    await this.audit(AuditEventType.WEBHOOK_DELETE, AuditAction.DELETE, actorId, endpointId, { organizationId });
+  }
+
+  /**
+   * Replace the signing secret of an endpoint. Deliveries still waiting for
+   * a retry are signed with the new secret.
+   *
+   * @param organizationId Organization ID
+   * @param endpointId Endpoint ID
+   * @param actorId Acting user ID
+   */
+  async rotateSecret(organizationId: string, endpointId: string, actorId: string) {
+    await this.getEndpoint(organizationId, endpointId);
+
+    const secret = this.generateSecret();
+    const endpoint = await prisma.webhookEndpoint.update({
+      where: { id: endpointId },
+      data: { secret, secretPrefix: secret.slice(0, SECRET_DISPLAY_LENGTH) },
+      select: endpointSelect
+    });
+
+    await this.audit(AuditEventType.WEBHOOK_UPDATE, AuditAction.UPDATE, actorId, endpointId, {
+      organizationId,
+      secretPrefix: endpoint.secretPrefix
+    }, AuditSeverity.WARNING);
+
+    return { ...endpoint, secret };
+  }
+
+  /**
+   * Queue an event for the proofs' organizations
+   *
+   * Never throws, so a webhook problem cannot fail the state change that
+   * raised the event.
+   *
+   * @param type Event type
+   * @param proofIds Proofs the event is about
+   * @param data Event details added to each proof's data
+   * @returns Number of deliveries queued
+   */
+  async emitProofEvent(type: WebhookEventType, proofIds: string | string[], data: Record<string, any> = {}): Promise<number> {
+    const ids = Array.isArray(proofIds) ? proofIds : [proofIds];
+
+    try {
+      const proofs = await prisma.proof.findMany({
+        where: { id: { in: ids }, templateId: { not: null } },
+        select: {
+          id: true,
+          referenceId: true,
+          proofType: true,
+          status: true,
+          expiresAt: true,
+          template: { select: { id: true, organizationId: true } }
+        }
+      });
+
+      const organizationIds = [...new Set(proofs.map(proof => proof.template!.organizationId))];
+      if (organizationIds.length === 0) {
+        return 0;
+      }
+
+      const endpoints = await prisma.webhookEndpoint.findMany({
+        where: { organizationId: { in: organizationIds }, isActive: true, events: { has: type } },
+        select: { id: true, organizationId: true }
+      });
+
+      const createdAt = new Date().toISOString();
+      const deliveries = proofs.flatMap(proof => {
+        const organizationId = proof.template!.organizationId;
+        const event: WebhookEvent = {
+          id: `evt_${uuidv4()}`,
+          type,
+          createdAt,
+          organizationId,
+          data: {
+            proofId: proof.id,
+            referenceId: proof.referenceId,
+            proofType: proof.proofType,
+            status: proof.status,
+            templateId: proof.template!.id,
+            expiresAt: proof.expiresAt,
+            ...data
+          }
+        };
+        const payload = JSON.stringify(event);
+
+        return endpoints
+          .filter(endpoint => endpoint.organizationId === organizationId)
+          .map(endpoint => ({
+            endpointId: endpoint.id,
+            organizationId,
+            eventId: event.id,
+            eventType: type,
+            payload
+          }));
+      });
+
+      if (deliveries.length === 0) {
+        return 0;
+      }
+
+      await prisma.webhookDelivery.createMany({ data: deliveries });
+
+      logger.info('Webhook event queued', { type, proofCount: proofs.length, deliveryCount: deliveries.length });
+
+      this.kick();
+      return deliveries.length;
+    } catch (error) {
+      logger.error('Failed to queue webhook event', {
+        type,
+        proofIds: ids,
+        error: error instanceof Error ? error.message : 'Unknown error'
+      });
+      return 0;
+    }
+  }
+
+  /**
+   * Send every delivery that is due
+   *
+   * A delivery is leased by pushing its next attempt past the request
+   * timeout, so another instance only picks it up again if this one stops
+   * before recording the outcome.
+   *
+   * @returns Number of deliveries attempted
+   */
+  async processDueDeliveries(): Promise<number> {
+    if (this.processing) {
+      return 0;
+    }
+    this.processing = true;
+
+    try {
+      const now = new Date();
+      const due = await prisma.webhookDelivery.findMany({
+        where: { status: 'PENDING', nextAttemptAt: { lte: now } },
+        orderBy: { nextAttemptAt: 'asc' },
+        take: DELIVERY_BATCH_SIZE,
+        select: { id: true }
+      });
+
+      const claimed: string[] = [];
+      for (const { id } of due) {
+        const { count } = await prisma.webhookDelivery.updateMany({
+          where: { id, status: 'PENDING', nextAttemptAt: { lte: now } },
+          data: {
+            nextAttemptAt: new Date(now.getTime() + this.options.timeoutMs * 2),
+            attempts: { increment: 1 }
+          }
+        });
+
+        if (count === 1) {
+          claimed.push(id);
+        }
+      }
+
+      await Promise.all(claimed.map(id => this.deliver(id)));
+      return claimed.length;
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Check that an endpoint URL only reaches the public internet, unless
+   * private URLs are allowed for local development
+   *
+   * @throws ApiError 400 if the URL resolves to a loopback, private, link-local or metadata address
+   */
+  private async checkUrl(url: string): Promise<void> {
+    if (!this.options.allowPrivateUrls) {
+      await assertPublicUrl(url, this.options.resolveHost);
+    }
+  }
+
+  /**
+   * Sign and send a claimed delivery and record the outcome
+   */
+  private async deliver(deliveryId: string): Promise<void> {
+    const delivery = await prisma.webhookDelivery.findUnique({
+      where: { id: deliveryId },
+      include: { endpoint: { select: { url: true, secret: true } } }
+    });
+
+    if (!delivery) {
+      return;
+    }
+
+    const signed = signWebhookPayload(JSON.parse(delivery.payload), delivery.endpoint.secret);
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), this.options.timeoutMs);
+
+    let responseStatus: number | null = null;
+    let error: string | null = null;
+
+    try {
+      // The host may resolve differently since the endpoint was registered
+      await this.checkUrl(delivery.endpoint.url);
+
+      const response = await this.options.transport(delivery.endpoint.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'ProofOfFunds-Webhooks/1.0',
+          'X-Webhook-Id': delivery.eventId,
+          'X-Webhook-Event': delivery.eventType,
+          'X-Webhook-Delivery': delivery.id,
+          'X-Webhook-Signature': signed._security.signature!
+        },
+        body: JSON.stringify(signed),
+        redirect: 'manual',
+        signal: controller.signal
+      });
+
+      responseStatus = response.status;
+      if (response.status >= 300 && response.status < 400) {
+        error = `Endpoint redirected with HTTP ${response.status}; redirects are not followed`;
+      } else if (!response.ok) {
+        error = `Endpoint responded with HTTP ${response.status}`;
+      }
+    } catch (err) {
+      error = controller.signal.aborted
+        ? `No response within ${this.options.timeoutMs} ms`
+        : err instanceof Error ? err.message : String(err);
+    } finally {
+      clearTimeout(timeout);
+    }
+
+    if (!error) {
+      await prisma.webhookDelivery.update({
+        where: { id: delivery.id },
+        data: { status: 'DELIVERED', responseStatus, lastError: null, deliveredAt: new Date() }
+      });
+      return;
+    }
+
+    await this.recordFailure(delivery, responseStatus, error.slice(0, MAX_ERROR_LENGTH));
+  }
+
+  /**
+   * Schedule a retry, or dead-letter the delivery once its attempts run out
+   */
+  private async recordFailure(delivery: any, responseStatus: number | null, error: string): Promise<void> {
+    if (delivery.attempts < this.options.maxAttempts) {
+      await prisma.webhookDelivery.update({
+        where: { id: delivery.id },
+        data: {
+          responseStatus,
+          lastError: error,
+          nextAttemptAt: new Date(Date.now() + this.getRetryDelay(delivery.attempts))
+        }
+      });
+      return;
+    }
+
+    await prisma.$transaction([
+      prisma.webhookDelivery.update({
+        where: { id: delivery.id },
+        data: { status: 'FAILED', responseStatus, lastError: error }
+      }),
+      prisma.webhookDeadLetter.create({
+        data: {
+          deliveryId: delivery.id,
+          organizationId: delivery.organizationId,
+          eventType: delivery.eventType,
+          attempts: delivery.attempts,
+          responseStatus,
+          lastError: error
+        }
+      })
+    ]);
+
+    logger.warn('Webhook delivery dead-lettered', {
+      deliveryId: delivery.id,
+      endpointId: delivery.endpointId,
+      attempts: delivery.attempts,
+      error
+    });
+  }
+
+  /**
+   * Delay before the next attempt: the base delay doubled after each failure
+   *
+   * @param attempts Attempts made so far
+   */
+  getRetryDelay(attempts: number): number {
+    return Math.min(this.options.backoffBaseMs * 2 ** Math.max(attempts - 1, 0), this.options.backoffMaxMs);
+  }
+
+  /**
+   * List the deliveries of an organization, newest first
+   *
+   * @param organizationId Organization ID
+   * @param filters Filters and paging
+   */
+  async listDeliveries(organizationId: string, filters: WebhookDeliveryFilters = {}) {
+    const page = filters.page || 1;
+    const limit = filters.limit || 20;
+
+    const where: any = { organizationId };
+
+    if (filters.endpointId) {
+      where.endpointId = filters.endpointId;
+    }
+
+    if (filters.status) {
+      where.status = filters.status;
+    }
+
+    if (filters.eventType) {
+      where.eventType = filters.eventType;
+    }
+
+    const [total, deliveries] = await Promise.all([
+      prisma.webhookDelivery.count({ where }),
+      prisma.webhookDelivery.findMany({
+        where,
+        select: deliverySelect,
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit
+      })
+    ]);
+
+    return {
+      deliveries: deliveries.map(delivery => this.toDeliveryResponse(delivery)),
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * List the dead-lettered deliveries of an organization, newest first
+   *
+   * @param organizationId Organization ID
+   * @param filters Paging and whether to include replayed entries
+   */
+  async listDeadLetters(organizationId: string, filters: { page?: number; limit?: number; includeReplayed?: boolean } = {}) {
+    const page = filters.page || 1;
+    const limit = filters.limit || 20;
+
+    const where: any = {
+      organizationId,
+      ...(filters.includeReplayed ? {} : { replayedAt: null })
+    };
+
+    const [total, deadLetters] = await Promise.all([
+      prisma.webhookDeadLetter.count({ where }),
+      prisma.webhookDeadLetter.findMany({
+        where,
+        include: { delivery: { select: { endpointId: true, eventId: true } } },
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit
+      })
+    ]);
+
+    return {
+      deadLetters,
+      pagination: {
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Send a delivery's event again as a new delivery. The event keeps its ID
+   * so receivers can recognize events they already processed.
+   *
+   * @param organizationId Organization ID
+   * @param deliveryId Delivery to replay
+   * @param actorId Acting user ID
+   * @throws ApiError 404 if the delivery does not belong to the organization
+   */
+  async replayDelivery(organizationId: string, deliveryId: string, actorId: string) {
+    const original = await prisma.webhookDelivery.findFirst({
+      where: { id: deliveryId, organizationId },
+      select: { id: true, endpointId: true, eventId: true, eventType: true, payload: true }
+    });
+
+    if (!original) {
+      throw new ApiError(404, 'Webhook delivery not found', 'DELIVERY_NOT_FOUND');
+    }
+
+    const replay = await prisma.webhookDelivery.create({
+      data: {
+        endpointId: original.endpointId,
+        organizationId,
+        eventId: original.eventId,
+        eventType: original.eventType,
+        payload: original.payload,
+        replayOfId: original.id
+      },
+      select: deliverySelect
+    });
+
+    await prisma.webhookDeadLetter.updateMany({
+      where: { deliveryId: original.id, replayedAt: null },
+      data: { replayedAt: new Date() }
+    });
+
+    await this.audit(AuditEventType.WEBHOOK_REPLAY, AuditAction.EXECUTE, actorId, original.endpointId, {
+      organizationId,
+      deliveryId: original.id,
+      replayId: replay.id,
+      eventType: original.eventType
+    });
+
+    this.kick();
+    return this.toDeliveryResponse(replay);
+  }
+
+  /**
+   * Send new deliveries right away when the background loop is running
+   */
+  private kick(): void {
+    if (!this.timer) {
+      return;
+    }
+
+    this.processDueDeliveries().catch(error => {
+      logger.error('Webhook delivery failed', {
+        error: error instanceof Error ? error.message : 'Unknown error'
+      });
+    });
+  }
+
+  /**
+   * Periodically send due deliveries
+   */
+  start(intervalMs: number = this.options.intervalMs): void {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.kick(), intervalMs);
+
+    // Do not keep the process alive just for the delivery loop
+    this.timer.unref();
+  }
+
+  /**
+   * Stop the periodic worker
+   */
+  async shutdown(): Promise<void> {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Generate an endpoint signing secret
+   */
+  private generateSecret(): string {
+    return `${SECRET_PREFIX}${generateSecureToken(24)}`;
+  }
+
+  /**
+   * Shape a delivery for API responses
+   */
+  private toDeliveryResponse({ payload, ...delivery }: any) {
+    return { ...delivery, event: JSON.parse(payload) };
+  }
+
+  /**
+   * Record a webhook event in the audit log
+   */
+  private async audit(
+    eventType: AuditEventType,
+    action: AuditAction,
+    actorId: string,
+    endpointId: string,
+    details: Record<string, any>,
+    severity: AuditSeverity = AuditSeverity.INFO
+  ): Promise<void> {
+    await auditLogService.log({
+      eventType,
+      actorId,
+      actorType: ActorType.USER,
+      action,
+      resourceType: 'webhook',
+      resourceId: endpointId,
+      status: AuditStatus.SUCCESS,
+      details,
+      severity
+    }).catch(err => {
+      logger.error('Failed to log webhook audit', { error: err, endpointId });
+    });
+  }
+}
+
+// Export singleton instance
+export const webhookService = new WebhookService();
+
+export default webhookService;
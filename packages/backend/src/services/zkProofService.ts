@@ -120,6 +120,22 @@ class ZkProofService {
     }
   }
 
+  /**
+   * Validate proof input and resolve the circuit files used to prove it.
+   * Used by the proof job queue before handing the work to a worker thread.
+   * 
+   * @param proofType Type of proof to generate
+   * @param input Input data for the proof
+   * @returns Paths to the circuit wasm and zkey files
+   * @throws ApiError if the proof type or input is invalid or circuit files are missing
+   */
+  prepareProof(proofType: string, input: any): { wasmPath: string; zkeyPath: string } {
+    const normalizedType = proofType.toLowerCase();
+    this.validateInput(normalizedType, input);
+    const { wasmPath, zkeyPath } = this.getCircuitPaths(normalizedType);
+    return { wasmPath, zkeyPath };
+  }
+
   /**
    * Generate a ZK proof
    * 
@@ -138,11 +154,8 @@ class ZkProofService {
       // Normalize proof type to lowercase
       const normalizedType = proofType.toLowerCase();
 
-      // Validate input for the proof type
-      this.validateInput(normalizedType, input);
-
-      // Get circuit paths
-      const { wasmPath, zkeyPath } = this.getCircuitPaths(normalizedType);
+      // Validate input and get circuit paths
+      const { wasmPath, zkeyPath } = this.prepareProof(normalizedType, input);
 
       // Log proof generation attempt
       logger.info('Generating ZK proof', { proofType: normalizedType });
@@ -0,0 +1,75 @@
+/**
+ * Balance Snapshot Utilities
+ *
+ * Helpers for proofs of historical balances. A snapshot records the date the
+ * balances were taken as of and, per chain, the block they were read at, so
+ * verifiers can check the balance against the same block.
+ */
+import { ApiError } from '../middleware/errorHandler';
+
+/**
+ * Block a chain's balances were read at
+ */
+export interface SnapshotBlock {
+  chainId: number;
+  blockNumber: number;
+  timestamp: number;
+}
+
+/**
+ * Date and blocks a proof's balances were taken as of
+ */
+export interface BalanceSnapshotRecord {
+  timestamp: number;
+  blocks: SnapshotBlock[];
+}
+
+const isNonNegativeInteger = (value: unknown): value is number =>
+  typeof value === 'number' && Number.isInteger(value) && value >= 0;
+
+/**
+ * Validate a balance snapshot sent by a client
+ *
+ * @param snapshot Snapshot from the request body, if any
+ * @param now Current time, snapshots may not be in the future
+ * @returns The snapshot with only known fields, or null if none was sent
+ * @throws ApiError 400 if the snapshot is malformed or in the future
+ */
+export const parseBalanceSnapshot = (
+  snapshot: unknown,
+  now: Date = new Date()
+): BalanceSnapshotRecord | null => {
+  if (snapshot === undefined || snapshot === null) {
+    return null;
+  }
+
+  const { timestamp, blocks } = snapshot as Partial<BalanceSnapshotRecord>;
+
+  if (!isNonNegativeInteger(timestamp)) {
+    throw new ApiError(400, 'Snapshot timestamp must be a Unix time in seconds', 'INVALID_SNAPSHOT');
+  }
+
+  if (timestamp > Math.floor(now.getTime() / 1000)) {
+    throw new ApiError(400, 'Snapshot timestamp cannot be in the future', 'INVALID_SNAPSHOT');
+  }
+
+  if (!Array.isArray(blocks)) {
+    throw new ApiError(400, 'Snapshot blocks must be an array', 'INVALID_SNAPSHOT');
+  }
+
+  return {
+    timestamp,
+    blocks: blocks.map(block => {
+      if (!block || !isNonNegativeInteger(block.chainId) || !isNonNegativeInteger(block.blockNumber)
+        || !isNonNegativeInteger(block.timestamp)) {
+        throw new ApiError(400, 'Snapshot blocks need a chain ID, block number and timestamp', 'INVALID_SNAPSHOT');
+      }
+
+      if (block.timestamp > timestamp) {
+        throw new ApiError(400, `Snapshot block on chain ${block.chainId} is after the snapshot date`, 'INVALID_SNAPSHOT');
+      }
+
+      return { chainId: block.chainId, blockNumber: block.blockNumber, timestamp: block.timestamp };
+    })
+  };
+};
@@ -0,0 +1,110 @@
+/**
+ * Merkle Tree Utilities
+ *
+ * Builds keccak256 Merkle trees over reference-token IDs in the format expected
+ * by ReferenceTokenRegistry: leaves are keccak256(abi.encodePacked(tokenId)) and
+ * pairs are hashed in sorted order, matching OpenZeppelin's MerkleProof library.
+ */
+
+import { ethers } from 'ethers';
+
+// A built tree, from the leaf layer up to the root
+export interface MerkleTree {
+  root: string;
+  leaves: string[];
+  layers: string[][];
+}
+
+/**
+ * Derive the on-chain reference-token ID (bytes32) for a proof reference ID
+ */
+export const toTokenId = (referenceId: string): string => {
+  return ethers.utils.id(referenceId);
+};
+
+/**
+ * Derive the on-chain batch ID (bytes32) for a batch record ID
+ */
+export const toBatchId = (batchId: string): string => {
+  return ethers.utils.id(batchId);
+};
+
+/**
+ * Hash a token ID into a tree leaf
+ */
+export const hashLeaf = (tokenId: string): string => {
+  return ethers.utils.keccak256(tokenId);
+};
+
+/**
+ * Hash two nodes in sorted order
+ */
+const hashPair = (a: string, b: string): string => {
+  const [first, second] = a.toLowerCase() < b.toLowerCase() ? [a, b] : [b, a];
+  return ethers.utils.keccak256(ethers.utils.concat([first, second]));
+};
+
+/**
+ * Build a Merkle tree over a list of token IDs
+ *
+ * An odd node at the end of a layer is promoted unchanged to the next layer,
+ * so no proof ever contains a duplicated sibling.
+ */
+export const buildMerkleTree = (tokenIds: string[]): MerkleTree => {
+  if (tokenIds.length === 0) {
+    throw new Error('Cannot build a Merkle tree without leaves');
+  }
+
+  const leaves = tokenIds.map(hashLeaf);
+  const layers: string[][] = [leaves];
+
+  while (layers[layers.length - 1].length > 1) {
+    const current = layers[layers.length - 1];
+    const next: string[] = [];
+
+    for (let i = 0; i < current.length; i += 2) {
+      next.push(i + 1 < current.length ? hashPair(current[i], current[i + 1]) : current[i]);
+    }
+
+    layers.push(next);
+  }
+
+  return {
+    root: layers[layers.length - 1][0],
+    leaves,
+    layers
+  };
+};
+
+/**
+ * Get the sibling path proving the leaf at the given index
+ */
+export const getMerkleProof = (tree: MerkleTree, index: number): string[] => {
+  if (index < 0 || index >= tree.leaves.length) {
+    throw new Error(`Leaf index out of range: ${index}`);
+  }
+
+  const proof: string[] = [];
+  let position = index;
+
+  for (let level = 0; level < tree.layers.length - 1; level++) {
+    const layer = tree.layers[level];
+    const sibling = position % 2 === 0 ? position + 1 : position - 1;
+
+    if (sibling < layer.length) {
+      proof.push(layer[sibling]);
+    }
+
+    position = Math.floor(position / 2);
+  }
+
+  return proof;
+};
+
+/**
+ * Check a token ID against a Merkle root using its sibling path
+ */
+export const verifyMerkleProof = (tokenId: string, proof: string[], root: string): boolean => {
+  const computed = proof.reduce((node, sibling) => hashPair(node, sibling), hashLeaf(tokenId));
+  return computed.toLowerCase() === root.toLowerCase();
+};
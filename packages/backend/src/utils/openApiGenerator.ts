@@ -0,0 +1,431 @@
+/**
+ * OpenAPI Generator
+ *
+ * Builds OpenAPI 3.1 path items from Express routers. Parameters and request
+ * bodies are derived from the express-validator chains of each route, whether
+ * they run through the validate() middleware or are mounted directly, so the
+ * documented contract follows the validation the API actually applies.
+ */
+import { Router } from 'express';
+
+export type SchemaObject = Record<string, any>;
+
+// Route handler, middleware or validator function
+type AnyFunction = (...args: any[]) => any;
+
+export interface ParameterObject {
+  name: string;
+  in: 'path' | 'query' | 'header' | 'cookie';
+  required: boolean;
+  description?: string;
+  schema: SchemaObject;
+}
+
+export interface ResponseObject {
+  description: string;
+  content?: Record<string, { schema: SchemaObject }>;
+}
+
+export interface OperationObject {
+  operationId?: string;
+  summary?: string;
+  description?: string;
+  tags?: string[];
+  security?: Array<Record<string, string[]>>;
+  parameters?: ParameterObject[];
+  requestBody?: {
+    required: boolean;
+    content: Record<string, { schema: SchemaObject }>;
+  };
+  responses: Record<string, ResponseObject>;
+}
+
+export type PathsObject = Record<string, Record<string, OperationObject>>;
+
+export interface OpenApiGeneratorOptions {
+  // Security scheme name for each authentication middleware
+  securitySchemes?: Map<AnyFunction, string>;
+  // Operation details keyed by method and OpenAPI path, e.g. "GET /proofs/{proofId}"
+  operations?: Record<string, Partial<OperationObject>>;
+  // Schema of error responses
+  errorSchema?: SchemaObject;
+}
+
+/**
+ * A route found in a router, with every handler that runs for it
+ */
+export interface RouteDefinition {
+  method: string;
+  path: string;
+  handlers: AnyFunction[];
+}
+
+type Location = 'body' | 'query' | 'params' | 'headers' | 'cookies';
+
+interface FieldDescription {
+  field: string;
+  location: Location;
+  optional: boolean;
+  schema: SchemaObject;
+  description?: string;
+}
+
+const PARAMETER_LOCATIONS: Record<Exclude<Location, 'body'>, ParameterObject['in']> = {
+  params: 'path',
+  query: 'query',
+  headers: 'header',
+  cookies: 'cookie'
+};
+
+const METHODS_WITH_BODY = ['post', 'put', 'patch', 'delete'];
+
+/**
+ * Schema keywords for the validator.js functions behind express-validator's
+ * standard validators, keyed by function name
+ */
+const STANDARD_VALIDATORS: Record<string, (options: any[]) => SchemaObject> = {
+  isInt: ([options = {}]) => ({ type: 'integer', ...toRange(options) }),
+  isFloat: ([options = {}]) => ({ type: 'number', ...toRange(options) }),
+  isNumeric: () => ({ type: 'number' }),
+  isBoolean: () => ({ type: 'boolean' }),
+  isUUID: () => ({ type: 'string', format: 'uuid' }),
+  isEmail: () => ({ type: 'string', format: 'email' }),
+  isURL: () => ({ type: 'string', format: 'uri' }),
+  isISO8601: () => ({ type: 'string', format: 'date-time' }),
+  isJWT: () => ({ type: 'string', pattern: '^[A-Za-z0-9_-]+\\.[A-Za-z0-9_-]+\\.[A-Za-z0-9_-]*$' }),
+  isEthereumAddress: () => ({ type: 'string', pattern: '^0x[a-fA-F0-9]{40}$' }),
+  isIn: ([values = []]) => ({ enum: [...values] }),
+  isLength: ([options = {}]) => ({
+    ...(options.min !== undefined && { minLength: options.min }),
+    ...(options.max !== undefined && { maxLength: options.max })
+  }),
+  matches: ([pattern]) => ({ type: 'string', pattern: pattern instanceof RegExp ? pattern.source : String(pattern) })
+};
+
+/**
+ * Sample values used to recognise the type checks express-validator
+ * implements as custom validators (isString, isArray, isObject)
+ */
+const TYPE_PROBES: Array<[string, unknown[]]> = [
+  ['string', ['value']],
+  ['number', [1]],
+  ['boolean', [true]],
+  ['array', [[], ['value']]],
+  ['object', [{}]]
+];
+
+/**
+ * Convert validator.js range options to schema keywords
+ */
+function toRange(options: { min?: number; max?: number; gt?: number; lt?: number }): SchemaObject {
+  return {
+    ...(options.min !== undefined && { minimum: options.min }),
+    ...(options.max !== undefined && { maximum: options.max }),
+    ...(options.gt !== undefined && { exclusiveMinimum: options.gt }),
+    ...(options.lt !== undefined && { exclusiveMaximum: options.lt })
+  };
+}
+
+/**
+ * Find the JSON type a custom validator accepts
+ *
+ * Only synchronous single-argument validators are probed; validators that
+ * read the request or return a promise are left undocumented.
+ */
+function probeType(validator: AnyFunction): string | undefined {
+  if (validator.length > 1) {
+    return undefined;
+  }
+
+  const accepts = (sample: unknown) => {
+    try {
+      const result = validator(sample);
+      if (result instanceof Promise) {
+        result.catch(() => undefined);
+        return false;
+      }
+      return Boolean(result);
+    } catch {
+      return false;
+    }
+  };
+
+  const accepted = TYPE_PROBES.filter(([, samples]) => samples.some(accepts));
+  return accepted.length === 1 ? accepted[0][0] : undefined;
+}
+
+/**
+ * Get the mount path of a router layer from its path regexp
+ */
+function getMountPath(layer: any): string {
+  let keyIndex = 0;
+
+  return layer.regexp.source
+    .replace(/\(\?:\\\/\(\[\^\/\]\+\?\)\)/g, () => `/:${layer.keys[keyIndex++]?.name}`)
+    .replace(/^\^/, '')
+    .replace(/\\\/\?\(\?=\\\/\|\$\)$/, '')
+    .replace(/\\\//g, '/');
+}
+
+/**
+ * Collect the routes of a router and its sub-routers
+ *
+ * @param router Express router
+ * @param prefix Path the router is mounted at
+ * @param inherited Middleware that runs before the router
+ * @returns Routes with the full list of handlers that run for each of them
+ */
+export function collectRoutes(router: Router, prefix: string = '', inherited: AnyFunction[] = []): RouteDefinition[] {
+  const routes: RouteDefinition[] = [];
+  const middleware: any[] = [];
+
+  // Middleware applies to the routes registered after it under its mount path
+  const applicable = (path: string) => [
+    ...inherited,
+    ...middleware.filter(layer => layer.regexp.test(path)).map(layer => layer.handle)
+  ];
+
+  for (const layer of (router as any).stack) {
+    if (layer.route) {
+      const handlers = [...applicable(layer.route.path), ...layer.route.stack.map((item: any) => item.handle)];
+
+      for (const method of Object.keys(layer.route.methods).filter(method => method !== '_all')) {
+        routes.push({ method, path: `${prefix}${layer.route.path}`, handlers });
+      }
+    } else if (Array.isArray(layer.handle?.stack)) {
+      const mountPath = getMountPath(layer);
+      routes.push(...collectRoutes(layer.handle, `${prefix}${mountPath}`, applicable(mountPath || '/')));
+    } else {
+      middleware.push(layer);
+    }
+  }
+
+  return routes;
+}
+
+/**
+ * Describe the fields checked by an express-validator chain
+ */
+function describeChain(chain: any, hasBody: boolean): FieldDescription[] {
+  const context = chain.builder.build();
+  let schema: SchemaObject = {};
+  const messages = new Set<string>();
+
+  for (const item of context.stack) {
+    if (typeof item.validator !== 'function') {
+      continue;
+    }
+
+    if (typeof item.message === 'string') {
+      messages.add(item.message);
+    }
+
+    if (Array.isArray(item.options)) {
+      // Standard validator from validator.js
+      if (item.negated) {
+        if (item.validator.name === 'isEmpty') {
+          schema.minLength = Math.max(schema.minLength || 0, 1);
+        }
+      } else if (STANDARD_VALIDATORS[item.validator.name]) {
+        schema = { ...schema, ...STANDARD_VALIDATORS[item.validator.name](item.options) };
+      }
+    } else if (!item.negated) {
+      const type = probeType(item.validator);
+      if (type && !schema.type) {
+        schema.type = type;
+      }
+    }
+  }
+
+  if (typeof context.message === 'string') {
+    messages.add(context.message);
+  }
+
+  // express-validator 7 stores the optional mode, earlier versions an options object
+  const optional = Boolean(context.optional);
+  const nullable = context.optional === 'null' || context.optional === 'falsy' ||
+    Boolean(context.optional?.nullable || context.optional?.checkFalsy);
+
+  if (nullable && schema.type) {
+    schema.type = [schema.type, 'null'];
+  }
+
+  const location: Location = context.locations.length === 1
+    ? context.locations[0]
+    : (hasBody ? 'body' : 'query');
+  const description = messages.size > 0 ? [...messages].join('; ') : undefined;
+
+  return context.fields.map((field: string) => ({ field, location, optional, schema, description }));
+}
+
+/**
+ * Get the express-validator chains among route handlers
+ */
+function getValidationChains(handlers: AnyFunction[]): any[] {
+  return handlers.flatMap((handler: any) => {
+    if (Array.isArray(handler.validations)) {
+      return handler.validations;
+    }
+    return handler.builder ? [handler] : [];
+  });
+}
+
+/**
+ * Add a body field to the request body schema, following dotted paths and
+ * wildcards into nested objects and arrays
+ */
+function addBodyField(root: SchemaObject, { field, optional, schema, description }: FieldDescription): void {
+  const segments = field ? field.split('.') : [];
+  let node = root;
+
+  segments.forEach((segment, index) => {
+    if (segment === '*') {
+      node.type = node.type || 'array';
+      node.items = node.items || {};
+      node = node.items;
+      return;
+    }
+
+    node.type = node.type || 'object';
+    node.properties = node.properties || {};
+    node.properties[segment] = node.properties[segment] || {};
+
+    if (index === segments.length - 1 && !optional) {
+      node.required = [...new Set([...(node.required || []), segment])];
+    }
+
+    node = node.properties[segment];
+  });
+
+  Object.assign(node, schema);
+  if (description && !node.description) {
+    node.description = description;
+  }
+}
+
+/**
+ * Convert an Express path to an OpenAPI path
+ */
+export function toOpenApiPath(path: string): string {
+  const converted = path.replace(/:(\w+)\??/g, '{$1}');
+  return converted.length > 1 ? converted.replace(/\/$/, '') : converted;
+}
+
+/**
+ * Turn a handler name like "getProofDetails" into "Get proof details"
+ */
+function toSummary(name: string): string {
+  const words = name.replace(/([a-z0-9])([A-Z])/g, '$1 $2').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * Build an operation from a route
+ */
+function buildOperation(route: RouteDefinition, openApiPath: string, options: OpenApiGeneratorOptions): OperationObject {
+  const hasBody = METHODS_WITH_BODY.includes(route.method);
+  const fields = getValidationChains(route.handlers).flatMap(chain => describeChain(chain, hasBody));
+  const parameters = new Map<string, ParameterObject>();
+  const body: SchemaObject = { type: 'object' };
+  let hasBodyFields = false;
+  let bodyRequired = false;
+
+  for (const field of fields) {
+    if (field.location === 'body') {
+      addBodyField(body, field);
+      hasBodyFields = true;
+      // A chain on the whole body, e.g. body().isObject()
+      bodyRequired = bodyRequired || (!field.field && !field.optional);
+      continue;
+    }
+
+    const location = PARAMETER_LOCATIONS[field.location];
+    const key = `${location}:${field.field}`;
+    const existing = parameters.get(key);
+
+    parameters.set(key, {
+      name: field.field,
+      in: location,
+      required: location === 'path' || (!field.optional && (existing?.required ?? true)),
+      ...(field.description && { description: field.description }),
+      schema: { ...existing?.schema, ...field.schema }
+    });
+  }
+
+  // Path parameters without validation are plain strings
+  for (const [, name] of openApiPath.matchAll(/\{(\w+)\}/g)) {
+    if (!parameters.has(`path:${name}`)) {
+      parameters.set(`path:${name}`, { name, in: 'path', required: true, schema: { type: 'string' } });
+    }
+  }
+
+  const handlerName = (route.handlers[route.handlers.length - 1]?.name || '').replace(/^bound /, '');
+  const security = [...new Set(route.handlers
+    .map(item => options.securitySchemes?.get(item))
+    .filter((scheme): scheme is string => Boolean(scheme)))];
+  const errorContent = options.errorSchema
+    ? { content: { 'application/json': { schema: options.errorSchema } } }
+    : {};
+
+  const operation: OperationObject = {
+    ...(handlerName && { operationId: handlerName, summary: toSummary(handlerName) }),
+    tags: [openApiPath.split('/')[1] || 'api'],
+    ...(security.length > 0 && { security: security.map(scheme => ({ [scheme]: [] })) }),
+    ...(parameters.size > 0 && { parameters: [...parameters.values()] }),
+    ...(hasBodyFields && {
+      requestBody: {
+        required: bodyRequired || (body.required || []).length > 0,
+        content: { 'application/json': { schema: body } }
+      }
+    }),
+    responses: {
+      '2XX': { description: 'Successful response' },
+      ...(fields.length > 0 && { '400': { description: 'Validation failed', ...errorContent } }),
+      ...(security.length > 0 && { '401': { description: 'Authentication required', ...errorContent } }),
+      default: { description: 'Unexpected error', ...errorContent }
+    }
+  };
+
+  const override = options.operations?.[`${route.method.toUpperCase()} ${openApiPath}`];
+  if (!override) {
+    return operation;
+  }
+
+  const responses = { ...operation.responses, ...override.responses };
+  if (Object.keys(override.responses || {}).some(status => status.startsWith('2'))) {
+    delete responses['2XX'];
+  }
+
+  return { ...operation, ...override, responses };
+}
+
+/**
+ * Generate OpenAPI path items for every route of a router
+ *
+ * @param router Express router serving the API
+ * @param options Security schemes, operation details and the error schema
+ * @returns OpenAPI paths object
+ */
+export function generatePaths(router: Router, options: OpenApiGeneratorOptions = {}): PathsObject {
+  const paths: PathsObject = {};
+  const operationIds = new Set<string>();
+
+  for (const route of collectRoutes(router)) {
+    const openApiPath = toOpenApiPath(route.path);
+    const operation = buildOperation(route, openApiPath, options);
+
+    // Handlers shared between routes need distinct operation IDs
+    if (!operation.operationId || operationIds.has(operation.operationId)) {
+      const words = openApiPath.split(/[^A-Za-z0-9]+/).filter(Boolean);
+      operation.operationId = `${route.method}${(words.length > 0 ? words : ['root'])
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+        .join('')}`;
+    }
+    operationIds.add(operation.operationId);
+
+    paths[openApiPath] = paths[openApiPath] || {};
+    paths[openApiPath][route.method] = operation;
+  }
+
+  return paths;
+}
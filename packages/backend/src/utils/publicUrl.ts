@@ -0,0 +1,110 @@
+/**
+ * Public URL Utilities
+ *
+ * Checks that a URL the server will call on a user's behalf, such as a
+ * webhook endpoint, points at the public internet. Hosts are resolved and
+ * every address is checked, so a hostname cannot be used to reach loopback,
+ * private, link-local or cloud metadata addresses of the server's network.
+ */
+import dns from 'dns/promises';
+import net from 'net';
+import { ApiError } from '../middleware/errorHandler';
+
+/**
+ * Resolves a hostname to all of its addresses
+ */
+export type HostResolver = (hostname: string) => Promise<string[]>;
+
+const blockedAddresses = new net.BlockList();
+
+// Addresses that are not routable on the public internet
+[
+  ['0.0.0.0', 8],        // "This" network
+  ['10.0.0.0', 8],       // Private
+  ['100.64.0.0', 10],    // Carrier-grade NAT, includes some metadata services
+  ['127.0.0.0', 8],      // Loopback
+  ['169.254.0.0', 16],   // Link-local, includes 169.254.169.254 metadata
+  ['172.16.0.0', 12],    // Private
+  ['192.0.0.0', 24],     // IETF protocol assignments
+  ['192.0.2.0', 24],     // Documentation
+  ['192.168.0.0', 16],   // Private
+  ['198.18.0.0', 15],    // Benchmarking
+  ['198.51.100.0', 24],  // Documentation
+  ['203.0.113.0', 24],   // Documentation
+  ['224.0.0.0', 4],      // Multicast
+  ['240.0.0.0', 4]       // Reserved and broadcast
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address as string, prefix as number, 'ipv4'));
+
+[
+  ['::', 128],           // Unspecified
+  ['::1', 128],          // Loopback
+  ['64:ff9b::', 96],     // NAT64, maps onto IPv4
+  ['100::', 64],         // Discard
+  ['2001:db8::', 32],    // Documentation
+  ['fc00::', 7],         // Unique local, includes fd00:ec2::254 metadata
+  ['fe80::', 10],        // Link-local
+  ['ff00::', 8]          // Multicast
+].forEach(([address, prefix]) => blockedAddresses.addSubnet(address as string, prefix as number, 'ipv6'));
+
+/**
+ * Check whether an IP address is routable on the public internet
+ *
+ * @param address IPv4 or IPv6 address
+ * @returns False for loopback, private, link-local, metadata and other reserved addresses
+ */
+export const isPublicAddress = (address: string): boolean => {
+  // IPv4-mapped IPv6 addresses reach the IPv4 address
+  const mapped = address.toLowerCase().match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) {
+    return isPublicAddress(mapped[1]);
+  }
+
+  const family = net.isIP(address);
+  if (family === 4) {
+    return !blockedAddresses.check(address, 'ipv4');
+  }
+  if (family === 6) {
+    return !blockedAddresses.check(address, 'ipv6') && !address.toLowerCase().startsWith('::ffff:');
+  }
+
+  return false;
+};
+
+/**
+ * Resolve a hostname with the system resolver
+ */
+export const resolveHost: HostResolver = async hostname => {
+  const results = await dns.lookup(hostname, { all: true, verbatim: true });
+  return results.map(result => result.address);
+};
+
+/**
+ * Check that a URL only resolves to public addresses
+ *
+ * @param url URL to check
+ * @param resolve Resolver for the URL's hostname
+ * @throws ApiError 400 if the host cannot be resolved or any of its addresses is not public
+ */
+export const assertPublicUrl = async (url: string, resolve: HostResolver = resolveHost): Promise<void> => {
+  let hostname: string;
+  try {
+    hostname = new URL(url).hostname.replace(/^\[(.*)\]$/, '$1');
+  } catch {
+    throw new ApiError(400, 'URL is not valid', 'URL_NOT_ALLOWED');
+  }
+
+  let addresses: string[];
+  if (net.isIP(hostname)) {
+    addresses = [hostname];
+  } else {
+    try {
+      addresses = await resolve(hostname);
+    } catch {
+      throw new ApiError(400, `Host ${hostname} could not be resolved`, 'URL_NOT_ALLOWED');
+    }
+  }
+
+  if (addresses.length === 0 || !addresses.every(isPublicAddress)) {
+    throw new ApiError(400, `Host ${hostname} does not resolve to a public address`, 'URL_NOT_ALLOWED');
+  }
+};
@@ -0,0 +1,195 @@
+/**
+ * Wallet Signature Validation
+ *
+ * Verifies EIP-191 message signatures of externally owned accounts and of
+ * smart-contract accounts such as Safe multisigs. Contract accounts are asked
+ * through ERC-1271 `isValidSignature`; signatures of counterfactual accounts
+ * that are not deployed yet (EIP-6492) are checked with a deployless eth_call.
+ */
+import { ethers } from 'ethers';
+
+/**
+ * How a signature was found to be valid
+ */
+export type SignatureMethod = 'eoa' | 'eip1271' | 'eip6492';
+
+// Suffix marking an EIP-6492 wrapped signature
+export const ERC6492_DETECTION_SUFFIX = '0x6492649264926492649264926492649264926492649264926492649264926492';
+
+// Return value of isValidSignature for a valid signature
+const ERC1271_MAGIC_VALUE = '0x1626ba7e';
+
+const erc1271 = new ethers.utils.Interface([
+  'function isValidSignature(bytes32 hash, bytes signature) view returns (bytes4)'
+]);
+
+/**
+ * Creation code of ValidateSigOffchain (packages/contracts/contracts/UniversalSigValidator.sol,
+ * solc 0.8.19 with the optimizer, 200 runs). Running it with eth_call returns 0x01 when the
+ * signature is valid, deploying a counterfactual account only within the call.
+ */
+export const VALIDATE_SIG_OFFCHAIN_BYTECODE =
+  '0x' +
+  '608060405234801561001057600080fd5b50604051610da0380380610da083398101604081905261002f91610124565b' +
+  '600060405161003d906100dd565b604051809103906000f080158015610059573d6000803e3d6000fd5b509050600081' +
+  '6001600160a01b0316638f0684308686866040518463ffffffff1660e01b815260040161008e939291906101fb565b60' +
+  '20604051808303816000875af11580156100ad573d6000803e3d6000fd5b505050506040513d601f19601f8201168201' +
+  '80604052508101906100d19190610244565b9050806000526001601ff35b610b328061026e83390190565b634e487b71' +
+  '60e01b600052604160045260246000fd5b60005b8381101561011b578181015183820152602001610103565b50506000' +
+  '910152565b60008060006060848603121561013957600080fd5b83516001600160a01b038116811461015057600080fd' +
+  '5b6020850151604086015191945092506001600160401b038082111561017457600080fd5b818601915086601f830112' +
+  '61018857600080fd5b81518181111561019a5761019a6100ea565b604051601f8201601f19908116603f011681019083' +
+  '821181831017156101c2576101c26100ea565b816040528281528960208487010111156101db57600080fd5b6101ec83' +
+  '6020830160208801610100565b80955050505050509250925092565b60018060a01b0384168152826020820152606060' +
+  '408201526000825180606084015261022e816080850160208701610100565b601f01601f191691909101608001949350' +
+  '505050565b60006020828403121561025657600080fd5b8151801515811461026657600080fd5b939250505056fe6080' +
+  '60405234801561001057600080fd5b50610b12806100206000396000f3fe608060405234801561001057600080fd5b50' +
+  '600436106100415760003560e01c806376be4cea146100465780638f0684301461006d57806398ef1ed814610080575b' +
+  '600080fd5b61005961005436600461071e565b610093565b604051901515815260200160405180910390f35b61005961' +
+  '007b3660046107a3565b610545565b61005961008e3660046107a3565b6105c4565b60006001600160a01b0387163b60' +
+  '6082602087108015906100f457507f649264926492649264926492649264926492649264926492649264926492649288' +
+  '886100dd6020826107ff565b6100e9928b9290610826565b6100f291610850565b145b905080156101d3576000606089' +
+  '828a61010e6020826107ff565b9261011b93929190610826565b8101906101289190610911565b955090925090508415' +
+  '806101395750865b156101cc57600080836001600160a01b03168360405161015991906109ab565b6000604051808303' +
+  '816000865af19150503d8060008114610196576040519150601f19603f3d011682016040523d82523d6000602084013e' +
+  '61019b565b606091505b5091509150816101c95780604051639d0d6e2d60e01b81526004016101c091906109f3565b60' +
+  '405180910390fd5b50505b505061020d565b87878080601f016020809104026020016040519081016040528093929190' +
+  '8181526020018383808284376000920191909152509294505050505b80806102195750600083115b1561037d57604051' +
+  '630b135d3f60e11b81526001600160a01b038b1690631626ba7e9061024c908c908690600401610a0d565b6020604051' +
+  '80830381865afa925050508015610285575060408051601f3d908101601f1916820190925261028291810190610a2656' +
+  '5b60015b610301573d8080156102b3576040519150601f19603f3d011682016040523d82523d6000602084013e6102b8' +
+  '565b606091505b50851580156102c75750600084115b156102e6576102db8b8b8b8b8b6001610093565b945050505050' +
+  '61053b565b80604051636f2a959960e01b81526004016101c091906109f3565b6001600160e01b03198116630b135d3f' +
+  '60e11b14841580156103205750825b801561032a575087155b1561033957806000526001601ffd5b8015801561034557' +
+  '5086155b80156103515750600085115b15610371576103658c8c8c8c8c6001610093565b9550505050505061053b565b' +
+  '945061053b9350505050565b604187146103f35760405162461bcd60e51b815260206004820152603a60248201527f53' +
+  '69676e617475726556616c696461746f72237265636f7665725369676e657260448201527f3a20696e76616c69642073' +
+  '69676e6174757265206c656e67746800000000000060648201526084016101c0565b60006104026020828a8c61082656' +
+  '5b61040b91610850565b9050600061041d604060208b8d610826565b61042691610850565b905060008a8a6040818110' +
+  '61043d5761043d610a50565b919091013560f81c915050601b811480159061045d57508060ff16601c14155b156104c0' +
+  '5760405162461bcd60e51b815260206004820152602d60248201527f5369676e617475726556616c696461746f723a20' +
+  '696e76616c6964207369676e60448201526c617475726520762076616c756560981b60648201526084016101c0565b60' +
+  '40805160008152602081018083528e905260ff83169181019190915260608101849052608081018390526001600160a0' +
+  '1b038e169060019060a0016020604051602081039080840390855afa15801561051e573d6000803e3d6000fd5b505050' +
+  '602060405103516001600160a01b03161496505050505050505b9695505050505050565b604051633b5f267560e11b81' +
+  '5260009030906376be4cea906105769088908890889088906001908990600401610a66565b6020604051808303816000' +
+  '875af1158015610595573d6000803e3d6000fd5b505050506040513d601f19601f820116820180604052508101906105' +
+  'b99190610abf565b90505b949350505050565b604051633b5f267560e11b815260009030906376be4cea906105f49088' +
+  '9088908890889088908190600401610a66565b6020604051808303816000875af192505050801561062f575060408051' +
+  '601f3d908101601f1916820190925261062c91810190610abf565b60015b6106a8573d80801561065d57604051915060' +
+  '1f19603f3d011682016040523d82523d6000602084013e610662565b606091505b50805160018190036106a157816000' +
+  '8151811061068157610681610a50565b6020910101516001600160f81b031916600160f81b1492506105bc915050565b' +
+  '8060208301fd5b90506105bc565b6001600160a01b03811681146106c457600080fd5b50565b60008083601f84011261' +
+  '06d957600080fd5b50813567ffffffffffffffff8111156106f157600080fd5b60208301915083602082850101111561' +
+  '070957600080fd5b9250929050565b80151581146106c457600080fd5b60008060008060008060a08789031215610737' +
+  '57600080fd5b8635610742816106af565b955060208701359450604087013567ffffffffffffffff8111156107655760' +
+  '0080fd5b61077189828a016106c7565b909550935050606087013561078581610710565b915060808701356107958161' +
+  '0710565b809150509295509295509295565b600080600080606085870312156107b957600080fd5b84356107c4816106' +
+  'af565b935060208501359250604085013567ffffffffffffffff8111156107e757600080fd5b6107f3878288016106c7' +
+  '565b95989497509550505050565b8181038181111561082057634e487b7160e01b600052601160045260246000fd5b92' +
+  '915050565b6000808585111561083657600080fd5b8386111561084357600080fd5b5050820193919092039150565b80' +
+  '35602083101561082057600019602084900360031b1b1692915050565b634e487b7160e01b6000526041600452602460' +
+  '00fd5b600082601f83011261089557600080fd5b813567ffffffffffffffff808211156108b0576108b061086e565b60' +
+  '4051601f8301601f19908116603f011681019082821181831017156108d8576108d861086e565b816040528381528660' +
+  '208588010111156108f157600080fd5b836020870160208301376000602085830101528094505050505092915050565b' +
+  '60008060006060848603121561092657600080fd5b8335610931816106af565b9250602084013567ffffffffffffffff' +
+  '8082111561094e57600080fd5b61095a87838801610884565b9350604086013591508082111561097057600080fd5b50' +
+  '61097d86828701610884565b9150509250925092565b60005b838110156109a257818101518382015260200161098a56' +
+  '5b50506000910152565b600082516109bd818460208701610987565b9190910192915050565b600081518084526109df' +
+  '816020860160208601610987565b601f01601f19169290920160200192915050565b602081526000610a066020830184' +
+  '6109c7565b9392505050565b8281526040602082015260006105bc60408301846109c7565b600060208284031215610a' +
+  '3857600080fd5b81516001600160e01b031981168114610a0657600080fd5b634e487b7160e01b600052603260045260' +
+  '246000fd5b6001600160a01b03871681526020810186905260a0604082018190528101849052838560c0830137600060' +
+  'c085830181019190915292151560608201529015156080820152601f909201601f1916909101019392505050565b6000' +
+  '60208284031215610ad157600080fd5b8151610a068161071056fea2646970667358221220bbfb867789751fc3f64a4c' +
+  '9a5246453284dc6a0b5e7c3b99d19f58e33bb3ec4064736f6c63430008130033';
+
+/**
+ * Run an eth_call, returning null when it reverts
+ *
+ * Accounts revert on signatures they reject; other errors, such as an
+ * unreachable node, are thrown.
+ */
+const callOrRevert = async (
+  provider: ethers.providers.Provider,
+  transaction: ethers.providers.TransactionRequest
+): Promise<string | null> => {
+  try {
+    return await provider.call(transaction);
+  } catch (error: any) {
+    if (error?.code === ethers.errors.CALL_EXCEPTION) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Whether a signature is wrapped for a counterfactual account (EIP-6492)
+ */
+export const isCounterfactualSignature = (signature: string): boolean =>
+  ethers.utils.isHexString(signature) && signature.toLowerCase().endsWith(ERC6492_DETECTION_SUFFIX.slice(2));
+
+/**
+ * Verify a signature of an EIP-191 personal message
+ *
+ * EOA signatures are checked locally. The provider is only used for
+ * contract accounts; without one, only EOA signatures can be valid.
+ *
+ * @param address Account expected to have signed
+ * @param message Message that was signed
+ * @param signature Signature, possibly EIP-6492 wrapped
+ * @param provider Provider of the chain the account lives on
+ * @returns How the signature was validated, or null if it is not valid
+ * @throws Error if the provider fails
+ */
+export const verifyMessageSignature = async (
+  address: string,
+  message: string,
+  signature: string,
+  provider?: ethers.providers.Provider
+): Promise<SignatureMethod | null> => {
+  if (!ethers.utils.isHexString(signature)) {
+    return null;
+  }
+
+  const hash = ethers.utils.hashMessage(message);
+
+  if (isCounterfactualSignature(signature)) {
+    if (!provider) {
+      return null;
+    }
+
+    const data = ethers.utils.hexConcat([
+      VALIDATE_SIG_OFFCHAIN_BYTECODE,
+      ethers.utils.defaultAbiCoder.encode(['address', 'bytes32', 'bytes'], [address, hash, signature])
+    ]);
+
+    return (await callOrRevert(provider, { data })) === '0x01' ? 'eip6492' : null;
+  }
+
+  if (ethers.utils.hexDataLength(signature) === 65) {
+    try {
+      if (ethers.utils.recoverAddress(hash, signature).toLowerCase() === address.toLowerCase()) {
+        return 'eoa';
+      }
+    } catch {
+      // Not a valid ECDSA signature; the account may still be a contract
+    }
+  }
+
+  if (!provider || (await provider.getCode(address)) === '0x') {
+    return null;
+  }
+
+  const result = await callOrRevert(provider, {
+    to: address,
+    data: erc1271.encodeFunctionData('isValidSignature', [hash, signature])
+  });
+
+  // A bytes4 return value is padded to a full word; anything else is revert data
+  return result !== null && ethers.utils.hexDataLength(result) === 32 &&
+    ethers.utils.hexDataSlice(result, 0, 4) === ERC1271_MAGIC_VALUE
+    ? 'eip1271'
+    : null;
+};
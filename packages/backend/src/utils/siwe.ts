@@ -0,0 +1,204 @@
+/**
+ * Sign-In With Ethereum Utilities
+ *
+ * Formatting and parsing of EIP-4361 sign-in messages. The wallet signs the
+ * message as text (EIP-191), so the server rebuilds nothing: it parses the
+ * signed text and checks its fields.
+ */
+import crypto from 'crypto';
+import { ethers } from 'ethers';
+import { ApiError } from '../middleware/errorHandler';
+
+/**
+ * Fields of an EIP-4361 message
+ */
+export interface SiweMessageFields {
+  domain: string;
+  address: string;
+  statement?: string;
+  uri: string;
+  version: string;
+  chainId: number;
+  nonce: string;
+  issuedAt: string;
+  expirationTime?: string;
+  notBefore?: string;
+  requestId?: string;
+  resources?: string[];
+}
+
+const HEADER_SUFFIX = ' wants you to sign in with your Ethereum account:';
+
+// Optional fields after the nonce, in the order EIP-4361 lists them
+const OPTIONAL_FIELDS: Array<[keyof SiweMessageFields, string]> = [
+  ['expirationTime', 'Expiration Time'],
+  ['notBefore', 'Not Before'],
+  ['requestId', 'Request ID']
+];
+
+// RFC 3339 date-time, as produced by Date.toISOString
+const DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+
+const invalid = (detail: string): ApiError =>
+  new ApiError(400, `Invalid sign-in message: ${detail}`, 'INVALID_SIWE_MESSAGE');
+
+/**
+ * Generate a nonce for a sign-in message
+ *
+ * EIP-4361 nonces are alphanumeric and at least 8 characters long.
+ *
+ * @returns 32 random hex characters
+ */
+export const generateSiweNonce = (): string => crypto.randomBytes(16).toString('hex');
+
+/**
+ * Format the text of a sign-in message
+ *
+ * @param fields Message fields; the address is written checksummed
+ * @returns Message text for the wallet to sign
+ */
+export const formatSiweMessage = (fields: SiweMessageFields): string => {
+  const lines = [
+    `${fields.domain}${HEADER_SUFFIX}`,
+    ethers.utils.getAddress(fields.address),
+    ''
+  ];
+
+  if (fields.statement) {
+    lines.push(fields.statement, '');
+  }
+
+  lines.push(
+    `URI: ${fields.uri}`,
+    `Version: ${fields.version}`,
+    `Chain ID: ${fields.chainId}`,
+    `Nonce: ${fields.nonce}`,
+    `Issued At: ${fields.issuedAt}`
+  );
+
+  for (const [key, label] of OPTIONAL_FIELDS) {
+    if (fields[key]) {
+      lines.push(`${label}: ${fields[key]}`);
+    }
+  }
+
+  if (fields.resources && fields.resources.length > 0) {
+    lines.push('Resources:', ...fields.resources.map(resource => `- ${resource}`));
+  }
+
+  return lines.join('\n');
+};
+
+/**
+ * Parse the text of a sign-in message
+ *
+ * @param message Message text signed by the wallet
+ * @returns The message fields
+ * @throws ApiError 400 if the text is not a well-formed EIP-4361 message
+ */
+export const parseSiweMessage = (message: string): SiweMessageFields => {
+  if (typeof message !== 'string' || message.length === 0) {
+    throw invalid('message is empty');
+  }
+
+  const lines = message.split('\n');
+  let index = 0;
+
+  // Header and address
+  const header = lines[index++];
+  if (!header.endsWith(HEADER_SUFFIX)) {
+    throw invalid('missing header');
+  }
+  const domain = header.slice(0, -HEADER_SUFFIX.length);
+  if (!domain || /\s/.test(domain)) {
+    throw invalid('invalid domain');
+  }
+
+  const address = lines[index++];
+  if (!address || !ethers.utils.isAddress(address) || ethers.utils.getAddress(address) !== address) {
+    throw invalid('address must be a checksummed Ethereum address');
+  }
+
+  if (lines[index++] !== '') {
+    throw invalid('expected an empty line after the address');
+  }
+
+  // Optional statement, followed by an empty line
+  let statement: string | undefined;
+  if (!lines[index]?.startsWith('URI: ')) {
+    if (lines[index] !== '') {
+      statement = lines[index];
+      index++;
+    }
+    if (lines[index++] !== '') {
+      throw invalid('expected an empty line after the statement');
+    }
+  }
+
+  // Required tagged fields, in order
+  const field = (label: string): string => {
+    const line = lines[index];
+    if (!line?.startsWith(`${label}: `)) {
+      throw invalid(`missing ${label}`);
+    }
+    index++;
+    return line.slice(label.length + 2);
+  };
+
+  const uri = field('URI');
+  const version = field('Version');
+  const chainId = field('Chain ID');
+  const nonce = field('Nonce');
+  const issuedAt = field('Issued At');
+
+  if (!/^[a-z][a-z0-9+.-]*:\S*$/i.test(uri)) {
+    throw invalid('invalid URI');
+  }
+  if (version !== '1') {
+    throw invalid('unsupported version');
+  }
+  if (!/^[1-9]\d*$/.test(chainId)) {
+    throw invalid('invalid chain ID');
+  }
+  if (!/^[a-zA-Z0-9]{8,}$/.test(nonce)) {
+    throw invalid('nonce must be at least 8 alphanumeric characters');
+  }
+
+  const fields: SiweMessageFields = {
+    domain,
+    address,
+    statement,
+    uri,
+    version,
+    chainId: Number(chainId),
+    nonce,
+    issuedAt
+  };
+
+  for (const [key, label] of OPTIONAL_FIELDS) {
+    if (lines[index]?.startsWith(`${label}: `)) {
+      (fields as any)[key] = field(label);
+    }
+  }
+
+  for (const key of ['issuedAt', 'expirationTime', 'notBefore'] as const) {
+    const value = fields[key];
+    if (value !== undefined && (!DATE_TIME.test(value) || Number.isNaN(Date.parse(value)))) {
+      throw invalid(`invalid ${key}`);
+    }
+  }
+
+  if (lines[index] === 'Resources:') {
+    index++;
+    fields.resources = [];
+    while (lines[index]?.startsWith('- ')) {
+      fields.resources.push(lines[index++].slice(2));
+    }
+  }
+
+  if (index !== lines.length) {
+    throw invalid('unexpected content after the message fields');
+  }
+
+  return fields;
+};
@@ -0,0 +1,144 @@
+/**
+ * TOTP Utilities
+ *
+ * Time-based one-time passwords (RFC 6238) with the parameters authenticator
+ * apps expect: HMAC-SHA1, 6 digits and 30-second time steps. Secrets are
+ * shared as base32 strings inside an otpauth:// URI.
+ */
+import crypto from 'crypto';
+
+export const TOTP_DIGITS = 6;
+export const TOTP_PERIOD_SECONDS = 30;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encode bytes as unpadded base32
+ */
+export const base32Encode = (buffer: Buffer): string => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode base32, ignoring case, spaces and padding
+ *
+ * @throws Error if the input contains characters outside the base32 alphabet
+ */
+export const base32Decode = (input: string): Buffer => {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  const bytes: number[] = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a TOTP secret
+ *
+ * @returns 160 random bits as base32, the size RFC 4226 recommends
+ */
+export const generateTotpSecret = (): string => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Build the otpauth:// URI authenticator apps import, usually from a QR code
+ *
+ * @param secret Base32 secret
+ * @param accountName Account shown in the app, e.g. the user's email
+ * @param issuer Service shown in the app
+ */
+export const buildOtpauthUrl = (secret: string, accountName: string, issuer: string): string => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Get the time step a moment falls in
+ */
+export const getTimeStep = (time: number = Date.now()): number => Math.floor(time / 1000 / TOTP_PERIOD_SECONDS);
+
+/**
+ * Generate the code of a time step
+ *
+ * @param secret Base32 secret
+ * @param step Time step
+ */
+export const generateTotp = (secret: string, step: number = getTimeStep()): string => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Find the time step a code belongs to
+ *
+ * @param secret Base32 secret
+ * @param token Code entered by the user
+ * @param window Time steps accepted either side of the current one
+ * @param time Current time in milliseconds
+ * @returns The matching time step, or null if the code matches none
+ */
+export const findTotpStep = (
+  secret: string,
+  token: string,
+  window: number = 1,
+  time: number = Date.now()
+): number | null => {
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(token)) {
+    return null;
+  }
+
+  const current = getTimeStep(time);
+  const expected = Buffer.from(token);
+
+  for (let step = current - window; step <= current + window; step++) {
+    if (crypto.timingSafeEqual(Buffer.from(generateTotp(secret, step)), expected)) {
+      return step;
+    }
+  }
+
+  return null;
+};
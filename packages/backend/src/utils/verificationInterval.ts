@@ -0,0 +1,29 @@
+/**
+ * Verification Interval Utilities
+ *
+ * Helpers for enforcing a template's minVerificationInterval, the minimum
+ * time between successful verifications of the same proof
+ */
+
+/**
+ * Get the number of seconds until a proof may be verified again
+ *
+ * @param lastVerifiedAt Time of the last successful verification, if any
+ * @param minVerificationInterval Minimum interval in seconds, if the template sets one
+ * @param now Current time
+ * @returns Seconds to wait, or 0 if the proof may be verified now
+ */
+export const getVerificationRetryAfter = (
+  lastVerifiedAt: Date | null | undefined,
+  minVerificationInterval: number | null | undefined,
+  now: Date = new Date()
+): number => {
+  if (!lastVerifiedAt || !minVerificationInterval || minVerificationInterval <= 0) {
+    return 0;
+  }
+
+  const nextAllowedAt = lastVerifiedAt.getTime() + minVerificationInterval * 1000;
+  const remainingMs = nextAllowedAt - now.getTime();
+
+  return remainingMs > 0 ? Math.ceil(remainingMs / 1000) : 0;
+};
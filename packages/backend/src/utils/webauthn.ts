@@ -0,0 +1,431 @@
+/**
+ * WebAuthn Utilities
+ *
+ * Verification of WebAuthn registration (attestation) and authentication
+ * (assertion) responses, as sent by the browser's navigator.credentials API
+ * with binary fields base64url-encoded.
+ *
+ * Registration options ask for no attestation, so the attestation statement
+ * is not checked: a passkey is trusted because the signed-in user registered
+ * it, not because of its make. Supported key algorithms are ES256, EdDSA and
+ * RS256.
+ */
+import crypto from 'crypto';
+
+// COSE algorithm identifiers
+export const COSE_ALG_ES256 = -7;
+export const COSE_ALG_EDDSA = -8;
+export const COSE_ALG_RS256 = -257;
+export const SUPPORTED_ALGORITHMS = [COSE_ALG_ES256, COSE_ALG_EDDSA, COSE_ALG_RS256];
+
+// Authenticator data flags
+const FLAG_USER_PRESENT = 0x01;
+const FLAG_USER_VERIFIED = 0x04;
+const FLAG_BACKUP_ELIGIBLE = 0x08;
+const FLAG_BACKED_UP = 0x10;
+const FLAG_ATTESTED_CREDENTIAL_DATA = 0x40;
+
+/**
+ * Registration response of navigator.credentials.create, JSON-encoded
+ */
+export interface RegistrationResponseJSON {
+  id: string;
+  rawId: string;
+  type: string;
+  response: {
+    clientDataJSON: string;
+    attestationObject: string;
+    transports?: string[];
+  };
+}
+
+/**
+ * Authentication response of navigator.credentials.get, JSON-encoded
+ */
+export interface AuthenticationResponseJSON {
+  id: string;
+  rawId: string;
+  type: string;
+  response: {
+    clientDataJSON: string;
+    authenticatorData: string;
+    signature: string;
+    userHandle?: string | null;
+  };
+}
+
+/**
+ * Checks every response must pass
+ */
+export interface ExpectedCeremony {
+  challenge: string;
+  origins: string[];
+  rpId: string;
+  requireUserVerification: boolean;
+}
+
+/**
+ * Credential created by a verified registration
+ */
+export interface VerifiedCredential {
+  credentialId: string;
+  publicKey: string;
+  algorithm: number;
+  signCount: number;
+  aaguid: string;
+  transports: string[];
+  backupEligible: boolean;
+  backedUp: boolean;
+}
+
+/**
+ * Parsed authenticator data
+ */
+export interface AuthenticatorData {
+  rpIdHash: Buffer;
+  flags: number;
+  signCount: number;
+  attestedCredential?: {
+    aaguid: Buffer;
+    credentialId: Buffer;
+    publicKey: Buffer;
+  };
+}
+
+/**
+ * Error of a response that fails verification
+ */
+export class WebAuthnError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'WebAuthnError';
+  }
+}
+
+export const toBase64Url = (buffer: Buffer): string => buffer.toString('base64url');
+
+export const fromBase64Url = (value: string): Buffer => {
+  if (typeof value !== 'string' || !/^[A-Za-z0-9_-]*$/.test(value)) {
+    throw new WebAuthnError('Invalid base64url value');
+  }
+  return Buffer.from(value, 'base64url');
+};
+
+/**
+ * Generate a challenge
+ *
+ * @returns 32 random bytes, base64url-encoded
+ */
+export const generateChallenge = (): string => toBase64Url(crypto.randomBytes(32));
+
+/**
+ * Decode one CBOR item
+ *
+ * Supports the subset WebAuthn uses: integers, byte and text strings, arrays,
+ * maps (decoded to Map) and the simple values false, true and null.
+ *
+ * @returns The item and the offset after it
+ */
+export const decodeCbor = (buffer: Buffer, offset = 0): { value: any; offset: number } => {
+  if (offset >= buffer.length) {
+    throw new WebAuthnError('Truncated CBOR data');
+  }
+
+  const initial = buffer[offset++];
+  const majorType = initial >> 5;
+  const info = initial & 0x1f;
+
+  const readLength = (): number => {
+    if (info < 24) {
+      return info;
+    }
+    const size = { 24: 1, 25: 2, 26: 4 }[info as 24 | 25 | 26];
+    if (!size || offset + size > buffer.length) {
+      throw new WebAuthnError('Unsupported CBOR length');
+    }
+    const length = buffer.readUIntBE(offset, size);
+    offset += size;
+    return length;
+  };
+
+  switch (majorType) {
+    case 0:
+      return { value: readLength(), offset };
+    case 1:
+      return { value: -1 - readLength(), offset };
+    case 2:
+    case 3: {
+      const length = readLength();
+      if (offset + length > buffer.length) {
+        throw new WebAuthnError('Truncated CBOR data');
+      }
+      const bytes = buffer.subarray(offset, offset + length);
+      return { value: majorType === 2 ? Buffer.from(bytes) : bytes.toString('utf8'), offset: offset + length };
+    }
+    case 4: {
+      const length = readLength();
+      const items = [];
+      for (let i = 0; i < length; i++) {
+        const item = decodeCbor(buffer, offset);
+        items.push(item.value);
+        offset = item.offset;
+      }
+      return { value: items, offset };
+    }
+    case 5: {
+      const length = readLength();
+      const map = new Map<any, any>();
+      for (let i = 0; i < length; i++) {
+        const key = decodeCbor(buffer, offset);
+        const item = decodeCbor(buffer, key.offset);
+        map.set(key.value, item.value);
+        offset = item.offset;
+      }
+      return { value: map, offset };
+    }
+    case 7:
+      if (info === 20) {
+        return { value: false, offset };
+      }
+      if (info === 21) {
+        return { value: true, offset };
+      }
+      if (info === 22) {
+        return { value: null, offset };
+      }
+      break;
+  }
+
+  throw new WebAuthnError('Unsupported CBOR item');
+};
+
+/**
+ * Parse authenticator data
+ */
+export const parseAuthenticatorData = (data: Buffer): AuthenticatorData => {
+  if (data.length < 37) {
+    throw new WebAuthnError('Authenticator data is too short');
+  }
+
+  const parsed: AuthenticatorData = {
+    rpIdHash: data.subarray(0, 32),
+    flags: data[32],
+    signCount: data.readUInt32BE(33)
+  };
+
+  if (parsed.flags & FLAG_ATTESTED_CREDENTIAL_DATA) {
+    if (data.length < 55) {
+      throw new WebAuthnError('Attested credential data is truncated');
+    }
+    const credentialIdLength = data.readUInt16BE(53);
+    const credentialIdEnd = 55 + credentialIdLength;
+    const { offset } = decodeCbor(data, credentialIdEnd);
+
+    parsed.attestedCredential = {
+      aaguid: data.subarray(37, 53),
+      credentialId: data.subarray(55, credentialIdEnd),
+      publicKey: data.subarray(credentialIdEnd, offset)
+    };
+  }
+
+  return parsed;
+};
+
+/**
+ * Convert a COSE public key to a key object
+ *
+ * @returns The key and its COSE algorithm
+ * @throws WebAuthnError for unsupported key types or algorithms
+ */
+export const coseToPublicKey = (coseKey: Buffer): { key: crypto.KeyObject; algorithm: number } => {
+  const map: Map<number, any> = decodeCbor(coseKey).value;
+  if (!(map instanceof Map)) {
+    throw new WebAuthnError('Invalid COSE key');
+  }
+
+  const keyType = map.get(1);
+  const algorithm = map.get(3);
+  const b64 = (label: number): string => {
+    const value = map.get(label);
+    if (!Buffer.isBuffer(value)) {
+      throw new WebAuthnError('Invalid COSE key');
+    }
+    return toBase64Url(value);
+  };
+
+  let jwk: crypto.JsonWebKey;
+  if (keyType === 2 && algorithm === COSE_ALG_ES256 && map.get(-1) === 1) {
+    jwk = { kty: 'EC', crv: 'P-256', x: b64(-2), y: b64(-3) };
+  } else if (keyType === 1 && algorithm === COSE_ALG_EDDSA && map.get(-1) === 6) {
+    jwk = { kty: 'OKP', crv: 'Ed25519', x: b64(-2) };
+  } else if (keyType === 3 && algorithm === COSE_ALG_RS256) {
+    jwk = { kty: 'RSA', n: b64(-1), e: b64(-2) };
+  } else {
+    throw new WebAuthnError('Unsupported public key algorithm');
+  }
+
+  try {
+    return { key: crypto.createPublicKey({ key: jwk, format: 'jwk' }), algorithm };
+  } catch {
+    throw new WebAuthnError('Invalid COSE key');
+  }
+};
+
+/**
+ * Check the client data of a response
+ *
+ * @returns The hash of the client data, which the authenticator signs
+ */
+const verifyClientData = (clientDataJSON: string, type: string, expected: ExpectedCeremony): Buffer => {
+  const raw = fromBase64Url(clientDataJSON);
+  let clientData: { type?: string; challenge?: string; origin?: string; crossOrigin?: boolean };
+  try {
+    clientData = JSON.parse(raw.toString('utf8'));
+  } catch {
+    throw new WebAuthnError('Invalid client data');
+  }
+
+  if (clientData.type !== type) {
+    throw new WebAuthnError(`Expected a ${type} response`);
+  }
+  if (clientData.challenge !== expected.challenge) {
+    throw new WebAuthnError('Challenge mismatch');
+  }
+  if (!clientData.origin || !expected.origins.includes(clientData.origin)) {
+    throw new WebAuthnError('Origin mismatch');
+  }
+  if (clientData.crossOrigin) {
+    throw new WebAuthnError('Cross-origin requests are not allowed');
+  }
+
+  return crypto.createHash('sha256').update(raw).digest();
+};
+
+/**
+ * Check the relying party and user flags of authenticator data
+ */
+const verifyAuthenticatorData = (authData: AuthenticatorData, expected: ExpectedCeremony): void => {
+  const rpIdHash = crypto.createHash('sha256').update(expected.rpId).digest();
+
+  if (!crypto.timingSafeEqual(authData.rpIdHash, rpIdHash)) {
+    throw new WebAuthnError('Relying party ID mismatch');
+  }
+  if (!(authData.flags & FLAG_USER_PRESENT)) {
+    throw new WebAuthnError('User presence is required');
+  }
+  if (expected.requireUserVerification && !(authData.flags & FLAG_USER_VERIFIED)) {
+    throw new WebAuthnError('User verification is required');
+  }
+};
+
+/**
+ * Read the challenge a response was made for, before it is verified
+ *
+ * @throws WebAuthnError if the client data cannot be read
+ */
+export const getResponseChallenge = (clientDataJSON: string): string => {
+  try {
+    const { challenge } = JSON.parse(fromBase64Url(clientDataJSON).toString('utf8'));
+    if (typeof challenge === 'string' && challenge.length > 0) {
+      return challenge;
+    }
+  } catch {
+    // Reported below
+  }
+  throw new WebAuthnError('Invalid client data');
+};
+
+/**
+ * Verify a registration response
+ *
+ * @param response Response of navigator.credentials.create
+ * @param expected Challenge, origins and relying party the response must be for
+ * @returns The new credential
+ * @throws WebAuthnError if the response fails verification
+ */
+export const verifyRegistrationResponse = (
+  response: RegistrationResponseJSON,
+  expected: ExpectedCeremony
+): VerifiedCredential => {
+  if (response?.type !== 'public-key' || !response.response) {
+    throw new WebAuthnError('Invalid credential type');
+  }
+
+  verifyClientData(response.response.clientDataJSON, 'webauthn.create', expected);
+
+  const attestation: Map<string, any> = decodeCbor(fromBase64Url(response.response.attestationObject)).value;
+  const authDataBytes = attestation instanceof Map ? attestation.get('authData') : undefined;
+  if (!Buffer.isBuffer(authDataBytes)) {
+    throw new WebAuthnError('Invalid attestation object');
+  }
+
+  const authData = parseAuthenticatorData(authDataBytes);
+  verifyAuthenticatorData(authData, expected);
+
+  const credential = authData.attestedCredential;
+  if (!credential) {
+    throw new WebAuthnError('Attested credential data is missing');
+  }
+  if (!credential.credentialId.equals(fromBase64Url(response.rawId))) {
+    throw new WebAuthnError('Credential ID mismatch');
+  }
+
+  const { algorithm } = coseToPublicKey(credential.publicKey);
+  const aaguid = credential.aaguid.toString('hex');
+
+  return {
+    credentialId: toBase64Url(credential.credentialId),
+    publicKey: toBase64Url(credential.publicKey),
+    algorithm,
+    signCount: authData.signCount,
+    aaguid: `${aaguid.slice(0, 8)}-${aaguid.slice(8, 12)}-${aaguid.slice(12, 16)}-${aaguid.slice(16, 20)}-${aaguid.slice(20)}`,
+    transports: Array.isArray(response.response.transports) ? response.response.transports.map(String) : [],
+    backupEligible: Boolean(authData.flags & FLAG_BACKUP_ELIGIBLE),
+    backedUp: Boolean(authData.flags & FLAG_BACKED_UP)
+  };
+};
+
+/**
+ * Verify an authentication response
+ *
+ * @param response Response of navigator.credentials.get
+ * @param expected Challenge, origins and relying party the response must be for
+ * @param credential Stored public key and signature counter of the credential
+ * @returns The new signature counter and backup state
+ * @throws WebAuthnError if the response fails verification or the counter went backwards
+ */
+export const verifyAuthenticationResponse = (
+  response: AuthenticationResponseJSON,
+  expected: ExpectedCeremony,
+  credential: { publicKey: string; signCount: number }
+): { signCount: number; backedUp: boolean } => {
+  if (response?.type !== 'public-key' || !response.response) {
+    throw new WebAuthnError('Invalid credential type');
+  }
+
+  const clientDataHash = verifyClientData(response.response.clientDataJSON, 'webauthn.get', expected);
+  const authDataBytes = fromBase64Url(response.response.authenticatorData);
+  const authData = parseAuthenticatorData(authDataBytes);
+  verifyAuthenticatorData(authData, expected);
+
+  const { key, algorithm } = coseToPublicKey(fromBase64Url(credential.publicKey));
+  const signedData = Buffer.concat([authDataBytes, clientDataHash]);
+  const signature = fromBase64Url(response.response.signature);
+
+  const isValid = algorithm === COSE_ALG_EDDSA
+    ? crypto.verify(null, signedData, key, signature)
+    : crypto.verify('sha256', signedData, key, signature);
+  if (!isValid) {
+    throw new WebAuthnError('Invalid signature');
+  }
+
+  // A counter that does not increase points to a cloned authenticator; authenticators without counters send 0
+  if ((authData.signCount > 0 || credential.signCount > 0) && authData.signCount <= credential.signCount) {
+    throw new WebAuthnError('Signature counter did not increase');
+  }
+
+  return {
+    signCount: authData.signCount,
+    backedUp: Boolean(authData.flags & FLAG_BACKED_UP)
+  };
+};
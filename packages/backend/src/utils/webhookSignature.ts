@@ -0,0 +1,123 @@
+/**
+ * Webhook Signature Utilities
+ *
+ * Signs webhook payloads the way ResponseSigner signs API responses: a
+ * _security block with a timestamp and an HMAC over the JSON payload
+ * (without the signature) is added to the body. Each endpoint has its own
+ * secret, so receivers can check that an event came from us and was not
+ * altered or replayed long after it was sent.
+ */
+import { createHmac, timingSafeEqual } from 'crypto';
+
+export const SIGNATURE_ALGORITHM = 'sha256';
+export const SIGNATURE_VERSION = '1.0';
+
+// Signed payloads older than this, or this far in the future, are rejected
+const MAX_AGE_MS = 15 * 60 * 1000;
+const MAX_CLOCK_SKEW_MS = 60 * 1000;
+
+/**
+ * Security metadata added to signed payloads
+ */
+export interface WebhookSecurity {
+  timestamp: number;
+  expires: null;
+  algorithm: string;
+  version: string;
+  signature?: string;
+}
+
+export type SignedWebhookPayload<T extends Record<string, any>> = T & { _security: WebhookSecurity };
+
+/**
+ * Result of checking a signed payload
+ */
+export interface WebhookVerificationResult {
+  valid: boolean;
+  reason?: 'MISSING_SECURITY_METADATA' | 'MISSING_SIGNATURE' | 'INVALID_SIGNATURE' | 'STALE_TIMESTAMP' | 'FUTURE_TIMESTAMP';
+}
+
+/**
+ * Compute the `algorithm:hex` HMAC of a payload
+ */
+const computeSignature = (payload: Record<string, any>, secret: string, algorithm: string): string => {
+  const hmac = createHmac(algorithm, secret);
+  hmac.update(JSON.stringify(payload));
+
+  return `${algorithm}:${hmac.digest('hex')}`;
+};
+
+/**
+ * Sign a webhook payload with an endpoint secret
+ *
+ * @param payload Event payload
+ * @param secret Endpoint signing secret
+ * @param now Signing time in milliseconds
+ * @returns The payload with a _security block
+ */
+export const signWebhookPayload = <T extends Record<string, any>>(
+  payload: T,
+  secret: string,
+  now: number = Date.now()
+): SignedWebhookPayload<T> => {
+  const security: WebhookSecurity = {
+    timestamp: now,
+    expires: null,
+    algorithm: SIGNATURE_ALGORITHM,
+    version: SIGNATURE_VERSION
+  };
+
+  // The signature itself is excluded from the signed data
+  const signature = computeSignature({ ...payload, _security: { ...security, signature: undefined } }, secret, security.algorithm);
+
+  return { ...payload, _security: { ...security, signature } };
+};
+
+/**
+ * Check the signature and age of a signed webhook payload
+ *
+ * @param signed Parsed request body
+ * @param secret Endpoint signing secret
+ * @param now Current time in milliseconds
+ */
+export const verifyWebhookPayload = (
+  signed: Record<string, any>,
+  secret: string,
+  now: number = Date.now()
+): WebhookVerificationResult => {
+  const security = signed?._security;
+
+  if (!security || typeof security !== 'object') {
+    return { valid: false, reason: 'MISSING_SECURITY_METADATA' };
+  }
+
+  if (typeof security.signature !== 'string' || !security.signature.startsWith(`${SIGNATURE_ALGORITHM}:`)) {
+    return { valid: false, reason: 'MISSING_SIGNATURE' };
+  }
+
+  // Only our own algorithm is accepted, whatever the payload claims
+  const expected = computeSignature(
+    { ...signed, _security: { ...security, signature: undefined } },
+    secret,
+    SIGNATURE_ALGORITHM
+  );
+
+  const providedBuffer = Buffer.from(security.signature.split(':')[1], 'hex');
+  const expectedBuffer = Buffer.from(expected.split(':')[1], 'hex');
+
+  if (providedBuffer.length !== expectedBuffer.length || !timingSafeEqual(providedBuffer, expectedBuffer)) {
+    return { valid: false, reason: 'INVALID_SIGNATURE' };
+  }
+
+  const timestamp = Number(security.timestamp);
+
+  if (!Number.isFinite(timestamp) || now - timestamp > MAX_AGE_MS) {
+    return { valid: false, reason: 'STALE_TIMESTAMP' };
+  }
+
+  if (timestamp - now > MAX_CLOCK_SKEW_MS) {
+    return { valid: false, reason: 'FUTURE_TIMESTAMP' };
+  }
+
+  return { valid: true };
+};
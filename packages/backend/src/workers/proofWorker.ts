@@ -0,0 +1,78 @@
+/**
+ * Proof Worker
+ *
+ * Worker thread entry point for the proof job queue. Calculates the witness
+ * and the Groth16 proof for one job and reports progress to the parent as
+ * it goes, so proving never blocks the API event loop.
+ */
+import { parentPort, workerData } from 'worker_threads';
+
+// Stages logged by snarkjs while proving, in order
+const PROVING_STEPS = [
+  'Reading Wtns',
+  'Reading Coeffs',
+  'Building ABC',
+  'Join ABC',
+  'Reading A Points',
+  'Reading B1 Points',
+  'Reading B2 Points',
+  'Reading C Points',
+  'Reading H Points'
+];
+
+// Progress ranges of the witness and proving stages
+const WITNESS_PROGRESS = 10;
+const PROOF_PROGRESS = 40;
+const PROOF_PROGRESS_END = 90;
+
+/**
+ * Task sent by the proof job queue
+ */
+export interface ProofWorkerTask {
+  input: Record<string, any>;
+  wasmPath: string;
+  zkeyPath: string;
+}
+
+/**
+ * Messages posted to the proof job queue
+ */
+export type ProofWorkerMessage =
+  | { type: 'progress'; stage: 'witness' | 'proof'; progress: number }
+  | { type: 'result'; proof: any; publicSignals: any }
+  | { type: 'error'; message: string };
+
+const post = (message: ProofWorkerMessage) => parentPort?.postMessage(message);
+
+/**
+ * Map snarkjs debug output to proving progress
+ */
+const provingLogger = {
+  debug(message: string) {
+    const step = PROVING_STEPS.findIndex(name => message.startsWith(name));
+    if (step >= 0) {
+      const progress = PROOF_PROGRESS + Math.round(((PROOF_PROGRESS_END - PROOF_PROGRESS) * (step + 1)) / PROVING_STEPS.length);
+      post({ type: 'progress', stage: 'proof', progress });
+    }
+  },
+  info() {},
+  warn() {},
+  error() {}
+};
+
+async function run(task: ProofWorkerTask): Promise<void> {
+  const snarkjs = require('snarkjs');
+
+  post({ type: 'progress', stage: 'witness', progress: WITNESS_PROGRESS });
+  const witness = { type: 'mem' };
+  await snarkjs.wtns.calculate(task.input, task.wasmPath, witness);
+
+  post({ type: 'progress', stage: 'proof', progress: PROOF_PROGRESS });
+  const { proof, publicSignals } = await snarkjs.groth16.prove(task.zkeyPath, witness, provingLogger);
+
+  post({ type: 'result', proof, publicSignals });
+}
+
+run(workerData as ProofWorkerTask).catch(error => {
+  post({ type: 'error', message: error instanceof Error ? error.message : String(error) });
+});
@@ -0,0 +1,91 @@
+/**
+ * OpenAPI Response Validation
+ *
+ * Checks API responses in tests against the OpenAPI document, so the
+ * published contract fails the build when it drifts from the code
+ */
+import Ajv from 'ajv/dist/2020';
+import { getOpenApiDocument } from '../src/api/docs/openApiSpec';
+
+const DOCUMENT_ID = 'openapi';
+
+let ajv: Ajv | null = null;
+
+/**
+ * Get a validator with the OpenAPI document loaded
+ */
+function getAjv(): Ajv {
+  if (!ajv) {
+    // OpenAPI adds keywords such as "example" that are not part of JSON Schema
+    ajv = new Ajv({ strict: false, allErrors: true });
+    ajv.addFormat('uuid', /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i);
+    ajv.addFormat('date-time', value => !Number.isNaN(Date.parse(value)));
+    ajv.addFormat('email', /^[^\s@]+@[^\s@]+$/);
+    ajv.addFormat('uri', value => {
+      try {
+        return Boolean(new URL(value));
+      } catch {
+        return false;
+      }
+    });
+    ajv.addSchema(getOpenApiDocument(), DOCUMENT_ID);
+  }
+
+  return ajv;
+}
+
+/**
+ * Escape a JSON pointer segment
+ */
+const pointer = (segment: string) => segment.replace(/~/g, '~0').replace(/\//g, '~1');
+
+/**
+ * Find the documented path matching a request path
+ */
+function findPath(paths: Record<string, any>, requestPath: string): string | undefined {
+  return Object.keys(paths)
+    // Prefer literal segments over parameters, e.g. /proofs/jobs/{jobId} over /proofs/{proofId}
+    .sort((a, b) => (a.match(/\{/g) || []).length - (b.match(/\{/g) || []).length)
+    .find(path => new RegExp(`^${path.replace(/\{\w+\}/g, '[^/]+')}$`).test(requestPath));
+}
+
+/**
+ * Expect a response to match its operation in the OpenAPI document
+ *
+ * @param response Supertest response
+ * @returns The response body for chaining
+ */
+export function expectMatchesSpec(response: any) {
+  const document = getOpenApiDocument();
+  const method = response.req.method.toLowerCase();
+  const requestPath = response.req.path
+    .split('?')[0]
+    .slice(document.servers[0].url.length) || '/';
+
+  const path = findPath(document.paths, requestPath);
+  if (!path || !document.paths[path][method]) {
+    throw new Error(`${method.toUpperCase()} ${requestPath} is not documented`);
+  }
+
+  const status = String(response.status);
+  const responses = document.paths[path][method].responses;
+  const documented = [status, `${status.charAt(0)}XX`, 'default'].find(key => responses[key]);
+  if (!documented) {
+    throw new Error(`Status ${status} is not documented for ${method.toUpperCase()} ${path}`);
+  }
+
+  if (responses[documented].content?.['application/json']) {
+    const validate = getAjv().compile({
+      $ref: `${DOCUMENT_ID}#/paths/${pointer(path)}/${method}/responses/${documented}/content/${pointer('application/json')}/schema`
+    });
+
+    if (!validate(response.body)) {
+      throw new Error(
+        `Response ${status} of ${method.toUpperCase()} ${path} does not match the OpenAPI document: ` +
+        getAjv().errorsText(validate.errors)
+      );
+    }
+  }
+
+  return response.body;
+}
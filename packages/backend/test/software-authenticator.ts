@@ -0,0 +1,222 @@
+/**
+ * Software Authenticator
+ *
+ * A WebAuthn authenticator in memory for testing passkey registration and
+ * login. It creates ES256 (P-256) or EdDSA (Ed25519) credentials and answers
+ * registration and authentication options with responses shaped like the
+ * JSON a browser sends after navigator.credentials.create/get.
+ */
+import crypto from 'crypto';
+
+export interface SoftwareCredential {
+  id: Buffer;
+  algorithm: -7 | -8;
+  privateKey: crypto.KeyObject;
+  publicKey: crypto.KeyObject;
+  userHandle: string;
+  signCount: number;
+}
+
+export interface AuthenticatorOptions {
+  origin?: string;
+  rpId?: string;
+  // Counter increment per signature; 0 for authenticators without counters
+  counterStep?: number;
+  userVerified?: boolean;
+  backedUp?: boolean;
+}
+
+const b64url = (buffer: Buffer): string => buffer.toString('base64url');
+
+/**
+ * Encode a value as CBOR: unsigned and negative integers, Buffers, strings, arrays and Maps
+ */
+export function encodeCbor(value: any): Buffer {
+  const head = (majorType: number, length: number): Buffer => {
+    if (length < 24) {
+      return Buffer.from([(majorType << 5) | length]);
+    }
+    if (length < 0x100) {
+      return Buffer.from([(majorType << 5) | 24, length]);
+    }
+    if (length < 0x10000) {
+      const buffer = Buffer.alloc(3);
+      buffer[0] = (majorType << 5) | 25;
+      buffer.writeUInt16BE(length, 1);
+      return buffer;
+    }
+    const buffer = Buffer.alloc(5);
+    buffer[0] = (majorType << 5) | 26;
+    buffer.writeUInt32BE(length, 1);
+    return buffer;
+  };
+
+  if (typeof value === 'number') {
+    return value >= 0 ? head(0, value) : head(1, -1 - value);
+  }
+  if (Buffer.isBuffer(value)) {
+    return Buffer.concat([head(2, value.length), value]);
+  }
+  if (typeof value === 'string') {
+    const bytes = Buffer.from(value, 'utf8');
+    return Buffer.concat([head(3, bytes.length), bytes]);
+  }
+  if (Array.isArray(value)) {
+    return Buffer.concat([head(4, value.length), ...value.map(encodeCbor)]);
+  }
+  if (value instanceof Map) {
+    const entries = [...value.entries()].flatMap(([key, item]) => [encodeCbor(key), encodeCbor(item)]);
+    return Buffer.concat([head(5, value.size), ...entries]);
+  }
+  throw new Error(`Cannot encode ${typeof value} as CBOR`);
+}
+
+/**
+ * Software authenticator class
+ */
+export class SoftwareAuthenticator {
+  readonly credentials: SoftwareCredential[] = [];
+  readonly aaguid = crypto.randomBytes(16);
+  private options: Required<AuthenticatorOptions>;
+
+  constructor(options: AuthenticatorOptions = {}) {
+    this.options = {
+      origin: options.origin ?? 'http://localhost:3000',
+      rpId: options.rpId ?? 'localhost',
+      counterStep: options.counterStep ?? 1,
+      userVerified: options.userVerified ?? true,
+      backedUp: options.backedUp ?? false
+    };
+  }
+
+  /**
+   * Create a credential for registration options
+   *
+   * @param options Options from the server, as given to navigator.credentials.create
+   * @param algorithm COSE algorithm of the new key
+   */
+  createCredential(options: Record<string, any>, algorithm: -7 | -8 = -7) {
+    const { privateKey, publicKey } = algorithm === -8
+      ? crypto.generateKeyPairSync('ed25519')
+      : crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+
+    const credential: SoftwareCredential = {
+      id: crypto.randomBytes(32),
+      algorithm,
+      privateKey,
+      publicKey,
+      userHandle: options.user.id,
+      signCount: 0
+    };
+    this.credentials.push(credential);
+
+    const clientDataJSON = this.clientData('webauthn.create', options.challenge);
+    const idLength = Buffer.alloc(2);
+    idLength.writeUInt16BE(credential.id.length);
+
+    const authData = Buffer.concat([
+      this.authData(0x40, this.nextCount(credential)),
+      this.aaguid,
+      idLength,
+      credential.id,
+      this.coseKey(credential)
+    ]);
+
+    return {
+      credential,
+      response: {
+        id: b64url(credential.id),
+        rawId: b64url(credential.id),
+        type: 'public-key',
+        response: {
+          clientDataJSON: b64url(clientDataJSON),
+          attestationObject: b64url(encodeCbor(new Map<string, any>([
+            ['fmt', 'none'],
+            ['attStmt', new Map()],
+            ['authData', authData]
+          ]))),
+          transports: ['internal', 'hybrid']
+        },
+        clientExtensionResults: {}
+      }
+    };
+  }
+
+  /**
+   * Sign authentication options with a credential
+   *
+   * @param options Options from the server, as given to navigator.credentials.get
+   * @param credential Credential to use; defaults to the first allowed or created one
+   */
+  getAssertion(options: Record<string, any>, credential?: SoftwareCredential) {
+    const allowed: string[] = (options.allowCredentials || []).map((item: any) => item.id);
+    const selected = credential
+      ?? this.credentials.find(item => allowed.length === 0 || allowed.includes(b64url(item.id)));
+    if (!selected) {
+      throw new Error('No credential for these options');
+    }
+
+    const clientDataJSON = this.clientData('webauthn.get', options.challenge);
+    const authData = this.authData(0, this.nextCount(selected));
+    const signedData = Buffer.concat([authData, crypto.createHash('sha256').update(clientDataJSON).digest()]);
+    const signature = crypto.sign(selected.algorithm === -8 ? null : 'sha256', signedData, selected.privateKey);
+
+    return {
+      id: b64url(selected.id),
+      rawId: b64url(selected.id),
+      type: 'public-key',
+      response: {
+        clientDataJSON: b64url(clientDataJSON),
+        authenticatorData: b64url(authData),
+        signature: b64url(signature),
+        userHandle: selected.userHandle
+      },
+      clientExtensionResults: {}
+    };
+  }
+
+  private clientData(type: string, challenge: string): Buffer {
+    return Buffer.from(JSON.stringify({ type, challenge, origin: this.options.origin, crossOrigin: false }));
+  }
+
+  private authData(extraFlags: number, signCount: number): Buffer {
+    const counter = Buffer.alloc(4);
+    counter.writeUInt32BE(signCount);
+    const flags = 0x01
+      | (this.options.userVerified ? 0x04 : 0)
+      | (this.options.backedUp ? 0x18 : 0)
+      | extraFlags;
+
+    return Buffer.concat([
+      crypto.createHash('sha256').update(this.options.rpId).digest(),
+      Buffer.from([flags]),
+      counter
+    ]);
+  }
+
+  private nextCount(credential: SoftwareCredential): number {
+    credential.signCount += this.options.counterStep;
+    return credential.signCount;
+  }
+
+  private coseKey(credential: SoftwareCredential): Buffer {
+    const jwk = credential.publicKey.export({ format: 'jwk' });
+
+    if (credential.algorithm === -8) {
+      return encodeCbor(new Map<number, any>([
+        [1, 1],
+        [3, -8],
+        [-1, 6],
+        [-2, Buffer.from(jwk.x as string, 'base64url')]
+      ]));
+    }
+
+    return encodeCbor(new Map<number, any>([
+      [1, 2],
+      [3, -7],
+      [-1, 1],
+      [-2, Buffer.from(jwk.x as string, 'base64url')],
+      [-3, Buffer.from(jwk.y as string, 'base64url')]
+    ]));
+  }
+}
@@ -21,6 +21,8 @@
 // Contract addresses - these should be set via environment variables in production
 // Fallback values from deployment files for development/testing only
 export const CONTRACT_ADDRESS = process.env.CONTRACT_ADDRESS || '0x19180Cc2d399257F2ea6212A2985eBEcA9EC9970';
+// Version of the ProofOfFunds deployment at CONTRACT_ADDRESS; 2.0.0 stores several proofs per wallet
+export const CONTRACT_VERSION = process.env.CONTRACT_VERSION || '1.0.0';
 export const ZK_VERIFIER_ADDRESS = process.env.ZK_VERIFIER_ADDRESS || '0x9E98DdFD14e47295a9e900a3dF332EcF6a9587B5';
 
 // Export the dynamic contract registry functions (when needed for advanced usage)
@@ -60,16 +60,34 @@ const zkConfig = {
         ? '/lib/zk/circuits/maximumProof.vkey.json'
         : './lib/zk/circuits/maximumProof.vkey.json'
     },
+    // Balance-commitment circuits (circuit version v2.0.0)
+    thresholdV2: {
+      wasm: process.env.NODE_ENV === 'production'
+        ? '/lib/zk/circuits/thresholdProofV2.wasm'
+        : './lib/zk/circuits/thresholdProofV2.wasm',
+      zkey: process.env.NODE_ENV === 'production'
+        ? '/lib/zk/circuits/thresholdProofV2.zkey'
+        : './lib/zk/circuits/thresholdProofV2.zkey',
+      vkey: process.env.NODE_ENV === 'production'
+        ? '/lib/zk/circuits/thresholdProofV2.vkey.json'
+        : './lib/zk/circuits/thresholdProofV2.vkey.json'
+    },
+    maximumV2: {
+      wasm: process.env.NODE_ENV === 'production'
+        ? '/lib/zk/circuits/maximumProofV2.wasm'
+        : './lib/zk/circuits/maximumProofV2.wasm',
+      zkey: process.env.NODE_ENV === 'production'
+        ? '/lib/zk/circuits/maximumProofV2.zkey'
+        : './lib/zk/circuits/maximumProofV2.zkey',
+      vkey: process.env.NODE_ENV === 'production'
+        ? '/lib/zk/circuits/maximumProofV2.vkey.json'
+        : './lib/zk/circuits/maximumProofV2.vkey.json'
+    },
     
     // Helper functions to get paths for a specific circuit
     wasmPath: function(circuitName) {
-      // Convert standard/threshold/maximum to the full names if needed
-      const normalizedName = circuitName.endsWith('Proof') ? 
-        circuitName : 
-        `${circuitName}Proof`;
-        
-      // Get the right circuit config
-      const baseKey = normalizedName.replace('Proof', '');
+      // Accept standard/threshold/maximum as well as full names such as thresholdProofV2
+      const baseKey = circuitName.replace('Proof', '');
       if (!this[baseKey]) {
         console.error(`Unknown circuit: ${circuitName}, baseKey: ${baseKey}`);
         // Fallback to standard proof
@@ -80,13 +98,8 @@ const zkConfig = {
     },
     
     zkeyPath: function(circuitName) {
-      // Convert standard/threshold/maximum to the full names if needed
-      const normalizedName = circuitName.endsWith('Proof') ? 
-        circuitName : 
-        `${circuitName}Proof`;
-        
-      // Get the right circuit config
-      const baseKey = normalizedName.replace('Proof', '');
+      // Accept standard/threshold/maximum as well as full names such as thresholdProofV2
+      const baseKey = circuitName.replace('Proof', '');
       if (!this[baseKey]) {
         console.error(`Unknown circuit: ${circuitName}, baseKey: ${baseKey}`);
         // Fallback to standard proof
@@ -97,13 +110,8 @@ const zkConfig = {
     },
     
     vkeyPath: function(circuitName) {
-      // Convert standard/threshold/maximum to the full names if needed
-      const normalizedName = circuitName.endsWith('Proof') ? 
-        circuitName : 
-        `${circuitName}Proof`;
-        
-      // Get the right circuit config
-      const baseKey = normalizedName.replace('Proof', '');
+      // Accept standard/threshold/maximum as well as full names such as thresholdProofV2
+      const baseKey = circuitName.replace('Proof', '');
       if (!this[baseKey]) {
         console.error(`Unknown circuit: ${circuitName}, baseKey: ${baseKey}`);
         // Fallback to standard proof
@@ -321,6 +321,7 @@ export function generateTokenDisplayInfo(token) {
 export const cache = {
   priceCache: {},
   tokenMetadataCache: {},
+  balanceCache: {},
   
   // Cache prices with 5-minute TTL
   setPrice(key, value) {
@@ -366,6 +367,27 @@ export const cache = {
     return entry.metadata;
   },
   
+  // Cache wallet balances; balances change often, so the TTL is short (default 1 minute)
+  setBalances(key, balances, ttlMs = 60 * 1000) {
+    this.balanceCache[key] = {
+      balances,
+      timestamp: Date.now(),
+      expires: Date.now() + ttlMs
+    };
+  },
+  
+  getBalances(key) {
+    const entry = this.balanceCache[key];
+    if (!entry) {return null;}
+    
+    if (Date.now() > entry.expires) {
+      delete this.balanceCache[key];
+      return null;
+    }
+    
+    return entry.balances;
+  },
+  
   // Get cache statistics
   getStats() {
     return {
@@ -376,6 +398,10 @@ export const cache = {
       tokenMetadata: {
         count: Object.keys(this.tokenMetadataCache).length,
         avgAge: this._getAverageAge(this.tokenMetadataCache)
+      },
+      balances: {
+        count: Object.keys(this.balanceCache).length,
+        avgAge: this._getAverageAge(this.balanceCache)
       }
     };
   },
@@ -404,12 +430,21 @@ export const cache = {
         delete this.tokenMetadataCache[key];
       }
     });
+    
+    Object.keys(this.balanceCache).forEach(key => {
+      if (now > this.balanceCache[key].expires) {
+        delete this.balanceCache[key];
+      }
+    });
   }
 };
 
-// Run cleanup every 5 minutes
+// Run cleanup every 5 minutes, without keeping a Node.js process alive
 if (typeof setInterval !== 'undefined') {
-  setInterval(() => cache.cleanup(), 5 * 60 * 1000);
+  const cleanupInterval = setInterval(() => cache.cleanup(), 5 * 60 * 1000);
+  if (cleanupInterval && typeof cleanupInterval.unref === 'function') {
+    cleanupInterval.unref();
+  }
 }
 
 /**
@@ -0,0 +1,233 @@
+/**
+ * Balance Commitment Tests
+ *
+ * Validates the off-circuit balance commitment used by the v2 threshold and
+ * maximum circuits, and the server-side checks built on it.
+ */
+
+import { jest, describe, it, expect } from '@jest/globals';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import * as snarkjs from 'snarkjs';
+import {
+  MAX_COMMITMENT_WALLETS,
+  BALANCE_COMMITMENT_VERSION,
+  LEGACY_CIRCUIT_VERSION,
+  COMMITMENT_SIGNALS,
+  computeBalanceCommitment,
+  buildCommitmentInputs,
+  checkCommitmentSignals,
+  splitBlockHash
+} from '../balanceCommitment.mjs';
+import { prepareCircuitInputs } from '../zkCircuitInputs.mjs';
+import { generateZKProof, getVerificationKey, verifyZKProof } from '../zkUtils.mjs';
+import {
+  getCircuitVersion,
+  getLatestCircuitVersion,
+  findCompatibleCircuit,
+  getCircuitConstraintCount
+} from '../zkCircuitRegistry.mjs';
+
+const wallets = [
+  { address: '0x1111111111111111111111111111111111111111', networkId: 137, balance: '5000000000000000000' },
+  { address: 'bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4', networkId: 0, balance: '12345' }
+];
+const snapshot = { blockNumber: 5123456, blockHash: `0x${'ab'.repeat(32)}` };
+const salt = '987654321';
+
+// Output of the compiled thresholdProofV2 circuit for the inputs above
+const CIRCUIT_COMMITMENT = '18428189642371714396910473647548223195310254188947298312897656124525707870803';
+
+const publicSignalsFor = (overrides = {}) => {
+  const inputs = buildCommitmentInputs({ wallets, snapshot, salt });
+  const signals = {
+    valid: '1',
+    commitment: inputs.commitment,
+    threshold: '1000',
+    blockNumber: inputs.blockNumber,
+    blockHashHi: inputs.blockHashHi,
+    blockHashLo: inputs.blockHashLo,
+    ...overrides
+  };
+
+  return Object.keys(COMMITMENT_SIGNALS).map(name => signals[name]);
+};
+
+describe('balanceCommitment', () => {
+  it('should match the commitment computed by the circuit', () => {
+    expect(computeBalanceCommitment({ wallets, snapshot, salt })).toBe(CIRCUIT_COMMITMENT);
+  });
+
+  it('should change when a balance, the snapshot or the salt changes', () => {
+    const changed = [
+      { wallets: [{ ...wallets[0], balance: '5000000000000000001' }, wallets[1]], snapshot, salt },
+      { wallets, snapshot: { ...snapshot, blockNumber: 5123457 }, salt },
+      { wallets, snapshot, salt: '987654322' }
+    ];
+
+    for (const params of changed) {
+      expect(computeBalanceCommitment(params)).not.toBe(CIRCUIT_COMMITMENT);
+    }
+  });
+
+  it('should reject wallets listed more than once', () => {
+    expect(() => computeBalanceCommitment({
+      wallets: [wallets[0], { ...wallets[0], address: wallets[0].address.toUpperCase().replace('0X', '0x') }],
+      snapshot,
+      salt
+    })).toThrow('listed more than once');
+  });
+
+  it('should reject too many wallets and out-of-range balances', () => {
+    const tooMany = Array.from({ length: MAX_COMMITMENT_WALLETS + 1 }, (_, i) => ({
+      address: `0x${String(i + 1).padStart(40, '0')}`,
+      networkId: 1,
+      balance: '1'
+    }));
+
+    expect(() => computeBalanceCommitment({ wallets: tooMany, snapshot, salt })).toThrow('At most');
+    expect(() => computeBalanceCommitment({
+      wallets: [{ ...wallets[0], balance: '-1' }],
+      snapshot,
+      salt
+    })).toThrow('out of range');
+    expect(() => computeBalanceCommitment({
+      wallets: [{ ...wallets[0], balance: (1n << 128n).toString() }],
+      snapshot,
+      salt
+    })).toThrow('out of range');
+  });
+
+  it('should split block hashes into 128-bit halves', () => {
+    const { blockHashHi, blockHashLo } = splitBlockHash(`0x${'00'.repeat(15)}01${'00'.repeat(15)}02`);
+
+    expect(blockHashHi).toBe(1n);
+    expect(blockHashLo).toBe(2n);
+    expect(() => splitBlockHash('0x1234')).toThrow('32-byte');
+  });
+
+  it('should report every public signal that does not match', () => {
+    expect(checkCommitmentSignals(publicSignalsFor(), { wallets, snapshot, salt, threshold: '1000' }))
+      .toEqual({ valid: true, mismatches: [] });
+
+    const result = checkCommitmentSignals(
+      publicSignalsFor({ threshold: '999', blockNumber: '1' }),
+      { wallets, snapshot, salt, threshold: '1000' }
+    );
+    expect(result.valid).toBe(false);
+    expect(result.mismatches.sort()).toEqual(['blockNumber', 'threshold']);
+  });
+});
+
+describe('prepareCircuitInputs with wallet balances', () => {
+  const fetchBalance = jest.fn(async wallet => wallets.find(w => w.address === wallet.address).balance);
+
+  it('should bind the fetched balances into the circuit inputs', async () => {
+    const inputs = await prepareCircuitInputs({ wallets, snapshot, threshold: '1000', salt }, 'threshold', { fetchBalance });
+
+    expect(fetchBalance).toHaveBeenCalledWith(wallets[0], snapshot);
+    expect(inputs.meta.circuitVersion).toBe(BALANCE_COMMITMENT_VERSION);
+    expect(inputs.meta.commitment).toBe(CIRCUIT_COMMITMENT);
+    expect(inputs.balances).toEqual(['5000000000000000000', '12345', '0', '0']);
+    expect(inputs.threshold).toBe('1000');
+    expect(inputs.salt).toBe(salt);
+  });
+
+  it('should reject claimed balances that differ from the fetched balances', async () => {
+    const inflated = [{ ...wallets[0], balance: '9000000000000000000' }, wallets[1]];
+
+    await expect(prepareCircuitInputs({ wallets: inflated, snapshot, threshold: '1000' }, 'threshold', { fetchBalance }))
+      .rejects.toThrow('do not match');
+  });
+
+  it('should require a balance fetcher', async () => {
+    await expect(prepareCircuitInputs({ wallets, snapshot, threshold: '1000' }, 'maximum'))
+      .rejects.toThrow('balance fetcher');
+  });
+
+  it('should leave inputs without wallets unchanged', async () => {
+    const inputs = await prepareCircuitInputs({ totalBalance: '5', threshold: '1' }, 'threshold');
+
+    expect(inputs.meta.circuitVersion).toBeUndefined();
+    expect(inputs.totalBalance).toBe('5');
+  });
+});
+
+describe('verifyZKProof with a balance commitment', () => {
+  const proof = { pi_a: ['1', '2', '1'], pi_b: [['1', '2'], ['3', '4'], ['1', '0']], pi_c: ['1', '2', '1'] };
+
+  it('should require independently fetched balances', async () => {
+    await expect(verifyZKProof(proof, publicSignalsFor(), 'threshold', { circuitVersion: BALANCE_COMMITMENT_VERSION }))
+      .rejects.toThrow('Independently fetched balances');
+  });
+
+  it('should reject proofs committing to other balances', async () => {
+    const fetched = [{ ...wallets[0], balance: '4000000000000000000' }, wallets[1]];
+
+    await expect(verifyZKProof(proof, publicSignalsFor(), 'threshold', {
+      circuitVersion: BALANCE_COMMITMENT_VERSION,
+      balanceCommitment: { wallets: fetched, snapshot, salt, threshold: '1000' }
+    })).resolves.toBe(false);
+  });
+
+  it('should fail clearly when the verification key has not been built', async () => {
+    await expect(getVerificationKey('threshold', 'thresholdProofV2')).rejects.toThrow('scripts/compile-circuits.sh');
+  });
+});
+
+describe('generateZKProof with a balance commitment', () => {
+  it('should fail instead of returning a placeholder proof when the circuit has not been built', async () => {
+    const fetchBalance = async wallet => wallets.find(w => w.address === wallet.address).balance;
+    const inputs = await prepareCircuitInputs({ wallets, snapshot, threshold: '1000', salt }, 'threshold', { fetchBalance });
+
+    await expect(generateZKProof(inputs, 'threshold')).rejects.toThrow('scripts/compile-circuits.sh');
+  });
+});
+
+describe('circuit registry', () => {
+  it('should keep the legacy circuits verifiable next to the commitment circuits', () => {
+    expect(getLatestCircuitVersion('threshold')).toMatchObject({ version: BALANCE_COMMITMENT_VERSION, bindsBalances: true });
+    expect(getCircuitVersion('maximum', BALANCE_COMMITMENT_VERSION).name).toBe('maximumProofV2');
+    expect(findCompatibleCircuit('threshold', LEGACY_CIRCUIT_VERSION)).toMatchObject({
+      name: 'thresholdProof',
+      bindsBalances: false
+    });
+    expect(getLatestCircuitVersion('standard').version).toBe(LEGACY_CIRCUIT_VERSION);
+  });
+
+  it('should mark the commitment circuits as verified off-chain only', () => {
+    expect(getCircuitVersion('threshold', BALANCE_COMMITMENT_VERSION).verifiableOnChain).toBe(false);
+    expect(getCircuitVersion('threshold', LEGACY_CIRCUIT_VERSION).verifiableOnChain).toBe(true);
+  });
+});
+
+describe('compiled commitment circuits', () => {
+  const circuitDir = fileURLToPath(new URL('../../../../../circuits/threshold/', import.meta.url));
+
+  it('should read the constraint counts from the compiled circuits', () => {
+    expect(getCircuitConstraintCount(getCircuitVersion('threshold', BALANCE_COMMITMENT_VERSION))).toBe(7642);
+    expect(getCircuitConstraintCount(getCircuitVersion('maximum', BALANCE_COMMITMENT_VERSION))).toBe(7137);
+    expect(getCircuitConstraintCount({ path: 'threshold', name: 'missingProof' })).toBeNull();
+  });
+
+  it('should prove and verify the prepared inputs with the shipped threshold circuit', async () => {
+    const fetchBalance = async wallet => wallets.find(w => w.address === wallet.address).balance;
+    const { meta, ...circuitInputs } = await prepareCircuitInputs(
+      { wallets, snapshot, threshold: '1000', salt },
+      'threshold',
+      { fetchBalance }
+    );
+
+    const { proof, publicSignals } = await snarkjs.groth16.fullProve(
+      circuitInputs,
+      `${circuitDir}thresholdProofV2_js/thresholdProofV2.wasm`,
+      `${circuitDir}thresholdProofV2.zkey`
+    );
+    const vkey = JSON.parse(fs.readFileSync(`${circuitDir}thresholdProofV2.vkey.json`, 'utf8'));
+
+    expect(publicSignals[COMMITMENT_SIGNALS.commitment]).toBe(meta.commitment);
+    expect(meta.commitment).toBe(CIRCUIT_COMMITMENT);
+    expect(checkCommitmentSignals(publicSignals, { wallets, snapshot, salt, threshold: '1000' }).valid).toBe(true);
+    expect(await snarkjs.groth16.verify(vkey, publicSignals, proof)).toBe(true);
+  }, 60000);
+});
@@ -0,0 +1,195 @@
+/**
+ * Nonce Store Tests
+ *
+ * Simulates concurrent replays against each nonce store backend and checks
+ * that the nonce validator and request signature verifier accept a nonce or
+ * signature only once per user.
+ */
+
+import { jest, describe, it, expect, afterEach } from '@jest/globals';
+import {
+  MemoryNonceStore,
+  RedisNonceStore,
+  PrismaNonceStore,
+  createNonceStore
+} from '../security/NonceStore.js';
+import { createNonceValidator, createRequestNonceHeaders } from '../security/NonceValidator.js';
+import { createSignatureVerifier } from '../security/RequestSignatureVerifier.js';
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+/**
+ * Redis client double with ioredis SET semantics. Each command yields to the
+ * event loop first, so concurrent calls interleave like network round trips.
+ */
+function createFakeRedis() {
+  const keys = new Map();
+  return {
+    keys,
+    set: jest.fn(async (key, value, px, ttl, nx) => {
+      await tick();
+      const entry = keys.get(key);
+      if (nx === 'NX' && entry && entry.expiresAt > Date.now()) {
+        return null;
+      }
+      keys.set(key, { value, expiresAt: Date.now() + ttl });
+      return 'OK';
+    })
+  };
+}
+
+/**
+ * Prisma client double that applies the INSERT ... ON CONFLICT statement of
+ * PrismaNonceStore to an in-memory table.
+ */
+function createFakePrisma() {
+  const rows = new Map();
+  return {
+    rows,
+    $executeRaw: jest.fn(async (strings, scope, nonce, expiresAt) => {
+      await tick();
+      const key = `${scope}:${nonce}`;
+      const row = rows.get(key);
+      if (row && row.expiresAt.getTime() > Date.now()) {
+        return 0;
+      }
+      rows.set(key, { expiresAt });
+      return 1;
+    }),
+    usedNonce: {
+      deleteMany: jest.fn(async () => ({ count: 0 }))
+    }
+  };
+}
+
+const stores = [
+  ['memory', () => new MemoryNonceStore()],
+  ['redis', () => new RedisNonceStore({ client: createFakeRedis() })],
+  ['postgres', () => new PrismaNonceStore({ prisma: createFakePrisma() })]
+];
+
+describe.each(stores)('%s nonce store', (_name, createStore) => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('accepts a nonce exactly once under concurrent replays', async () => {
+    const validator = createNonceValidator({ store: createStore() });
+
+    const results = await Promise.all(
+      Array.from({ length: 25 }, () => validator.validateNonce('nonce-1', 'user-1', Date.now()))
+    );
+
+    expect(results.filter(result => result.valid)).toHaveLength(1);
+    expect(results.filter(result => result.reason === 'REPLAY_ATTACK')).toHaveLength(24);
+  });
+
+  it('scopes nonces per user', async () => {
+    const validator = createNonceValidator({ store: createStore() });
+
+    const [first, second] = await Promise.all([
+      validator.validateNonce('shared', 'user-1', Date.now()),
+      validator.validateNonce('shared', 'user-2', Date.now())
+    ]);
+
+    expect(first.valid).toBe(true);
+    expect(second.valid).toBe(true);
+  });
+
+  it('accepts a nonce again once its TTL has passed', async () => {
+    const store = createStore();
+    const now = Date.now();
+    const nowSpy = jest.spyOn(Date, 'now').mockReturnValue(now);
+
+    expect(await store.checkAndSet('user-1', 'nonce', 1000)).toBe(true);
+    expect(await store.checkAndSet('user-1', 'nonce', 1000)).toBe(false);
+
+    nowSpy.mockReturnValue(now + 1001);
+
+    expect(await store.checkAndSet('user-1', 'nonce', 1000)).toBe(true);
+  });
+});
+
+describe('createNonceValidator', () => {
+  it('does not record nonces with invalid timestamps', async () => {
+    const store = new MemoryNonceStore();
+    const validator = createNonceValidator({ store });
+
+    const expired = await validator.validateNonce('nonce', 'user-1', Date.now() - 10 * 60 * 1000);
+    const fresh = await validator.validateNonce('nonce', 'user-1', Date.now());
+
+    expect(expired.reason).toBe('EXPIRED_NONCE');
+    expect(fresh.valid).toBe(true);
+  });
+
+  it('rejects requests when the store is unavailable', async () => {
+    const store = { checkAndSet: jest.fn().mockRejectedValue(new Error('connection refused')) };
+    const validator = createNonceValidator({ store });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const result = await validator.validateNonce('nonce', 'user-1', Date.now());
+
+    expect(result).toMatchObject({ valid: false, reason: 'STORE_ERROR' });
+  });
+
+  it('rejects oversized nonces', async () => {
+    const validator = createNonceValidator();
+
+    const result = await validator.validateNonce('x'.repeat(257), 'user-1');
+
+    expect(result).toMatchObject({ valid: false, reason: 'FORMAT_ERROR' });
+  });
+
+  it('accepts the nonce headers created for a request once', async () => {
+    const validator = createNonceValidator();
+    const headers = createRequestNonceHeaders();
+    const nonce = headers['X-Request-Nonce'];
+    const timestamp = headers['X-Request-Timestamp'];
+
+    expect(createRequestNonceHeaders()['X-Request-Nonce']).not.toBe(nonce);
+    expect((await validator.validateNonce(nonce, 'user:1', timestamp)).valid).toBe(true);
+    expect((await validator.validateNonce(nonce, 'user:1', timestamp)).reason).toBe('REPLAY_ATTACK');
+  });
+});
+
+describe('createSignatureVerifier', () => {
+  const signatureInfo = () => ({
+    signature: '0xabc123',
+    timestamp: Date.now().toString(),
+    clientId: 'client-1'
+  });
+
+  it('accepts a signature once under concurrent replays', async () => {
+    const verifier = createSignatureVerifier({
+      nonceStore: new RedisNonceStore({ client: createFakeRedis() })
+    });
+
+    const results = await Promise.all(
+      Array.from({ length: 10 }, () => verifier.verifyClientSignature({ input: 1 }, signatureInfo()))
+    );
+
+    expect(results.filter(result => result.valid)).toHaveLength(1);
+    expect(results.filter(result => result.reason === 'REPLAY_ATTACK')).toHaveLength(9);
+  });
+
+  it('does not track signatures without a nonce store', async () => {
+    const verifier = createSignatureVerifier();
+
+    expect((await verifier.verifyClientSignature({}, signatureInfo())).valid).toBe(true);
+    expect((await verifier.verifyClientSignature({}, signatureInfo())).valid).toBe(true);
+  });
+});
+
+describe('createNonceStore', () => {
+  it('creates the configured store', () => {
+    expect(createNonceStore()).toBeInstanceOf(MemoryNonceStore);
+    expect(createNonceStore({ type: 'redis', client: createFakeRedis() })).toBeInstanceOf(RedisNonceStore);
+    expect(createNonceStore({ type: 'postgres', prisma: createFakePrisma() })).toBeInstanceOf(PrismaNonceStore);
+  });
+
+  it('requires a client for shared stores', () => {
+    expect(() => createNonceStore({ type: 'redis' })).toThrow('Redis client');
+    expect(() => createNonceStore({ type: 'postgres' })).toThrow('Prisma client');
+    expect(() => createNonceStore({ type: 'sqlite' })).toThrow('Unknown nonce store type');
+  });
+});
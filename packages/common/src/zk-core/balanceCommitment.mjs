@@ -0,0 +1,347 @@
+/**
+ * Balance Commitment (ESM Version)
+ *
+ * Off-circuit counterpart of the BalanceCommitment template used by the v2
+ * threshold and maximum circuits. The v1 circuits took the total balance as a
+ * free private input, so a prover could claim any balance. The v2 circuits
+ * output a Poseidon commitment that binds the per-wallet balances to the wallet
+ * addresses, their networks and a block snapshot; this module computes the same
+ * commitment so the server can check it against balances it fetched itself.
+ *
+ * Commitment layout (must match circuits/balanceCommitment.circom):
+ *   leaf_i     = Poseidon(address_i, networkId_i, balance_i)
+ *   commitment = Poseidon(leaf_0, ..., leaf_3, blockNumber, blockHashHi, blockHashLo, salt)
+ * Unused wallet slots are zero-filled.
+ *
+ * The compiled v2 circuits are shipped next to the v1 ones and rebuilt with
+ * scripts/compile-circuits.sh; proving or verifying without their .wasm, .zkey
+ * and .vkey.json files fails instead of falling back to placeholder proofs. The
+ * zk API handlers prepare v2 inputs with prepareCircuitInputs and check v2
+ * proofs with checkCommitmentSignals, both against balances they read from the
+ * chain at the snapshot block. v2 proofs are verified off-chain only; the
+ * ZKVerifier contract accepts the single `valid` signal of the v1 circuits and
+ * rejects v2 public signals.
+ */
+
+import { poseidon3, poseidon8 } from 'poseidon-lite';
+import pkg from 'js-sha3';
+import { ZKErrorCode, createZKError, ErrorSeverity } from '../error-handling/zkErrorHandler.mjs';
+
+const keccak256 = pkg.keccak256;
+
+// BN254 scalar field, same as SNARK_FIELD_SIZE in zkUtils
+const FIELD_SIZE = 21888242871839275222246405745257275088548364400416034343698204186575808495617n;
+
+// Balances are range-checked to 128 bits in the circuit
+const BALANCE_LIMIT = 1n << 128n;
+
+/**
+ * Number of wallet slots in the v2 circuits
+ */
+export const MAX_COMMITMENT_WALLETS = 4;
+
+/**
+ * Circuit version of the original circuits without a balance commitment
+ */
+export const LEGACY_CIRCUIT_VERSION = 'v1.0.0';
+
+/**
+ * Circuit version that binds balances to wallets and a block snapshot
+ */
+export const BALANCE_COMMITMENT_VERSION = 'v2.0.0';
+
+/**
+ * Circuits built with the balance commitment, by proof type
+ */
+export const BALANCE_COMMITMENT_CIRCUITS = {
+  threshold: 'thresholdProofV2',
+  maximum: 'maximumProofV2'
+};
+
+/**
+ * Position of each public signal in the v2 circuits (outputs first, then public inputs)
+ */
+export const COMMITMENT_SIGNALS = {
+  valid: 0,
+  commitment: 1,
+  threshold: 2,
+  blockNumber: 3,
+  blockHashHi: 4,
+  blockHashLo: 5
+};
+
+// Numeric proof types used by the API handlers
+const PROOF_TYPE_NAMES = { 0: 'standard', 1: 'threshold', 2: 'maximum' };
+
+const invalidInput = (message, details = {}) => createZKError(
+  ZKErrorCode.PROOF_INPUT_INVALID,
+  message,
+  {
+    severity: ErrorSeverity.ERROR,
+    details,
+    recoverable: false,
+    userFixable: true
+  }
+);
+
+/**
+ * Get the circuit name for a proof type and circuit version when that version
+ * uses the balance commitment
+ *
+ * @param {string|number} proofType - Proof type (name or numeric type)
+ * @param {string} [circuitVersion] - Circuit version the proof was or will be built with
+ * @returns {string|null} Circuit name, or null for circuits without a commitment
+ */
+export function getCommitmentCircuitName(proofType, circuitVersion) {
+  if (circuitVersion !== BALANCE_COMMITMENT_VERSION) {
+    return null;
+  }
+
+  const type = PROOF_TYPE_NAMES[proofType] || String(proofType);
+  return BALANCE_COMMITMENT_CIRCUITS[type] || null;
+}
+
+/**
+ * Create the error for a compiled artifact of a balance-commitment circuit that is missing
+ *
+ * @param {string} circuitName - Circuit name, e.g. thresholdProofV2
+ * @param {'wasm'|'zkey'|'vkey'} artifact - Missing artifact
+ * @param {string} filePath - Path the artifact was looked up at
+ * @returns {ZKError} Error pointing at the compile script
+ */
+export function createMissingArtifactError(circuitName, artifact, filePath) {
+  return createZKError(
+    artifact === 'vkey' ? ZKErrorCode.VERIFICATION_KEY_MISSING : ZKErrorCode.SYSTEM_RESOURCE_UNAVAILABLE,
+    `Compiled ${artifact} file of ${circuitName} not found at ${filePath}; ` +
+      'build the balance-commitment circuits with scripts/compile-circuits.sh',
+    {
+      severity: ErrorSeverity.ERROR,
+      details: { circuitName, artifact, path: filePath },
+      recoverable: false,
+      userFixable: false
+    }
+  );
+}
+
+/**
+ * Convert a wallet address to a field element
+ * EVM addresses fit in the field as-is; other addresses are hashed
+ *
+ * @param {string} address - Wallet address
+ * @returns {bigint} Field element for the address
+ */
+export function addressToField(address) {
+  if (!address || typeof address !== 'string') {
+    throw invalidInput('Wallet address must be a non-empty string');
+  }
+
+  if (/^0x[0-9a-fA-F]{40}$/.test(address)) {
+    return BigInt(address.toLowerCase());
+  }
+
+  return BigInt(`0x${keccak256(address)}`) % FIELD_SIZE;
+}
+
+/**
+ * Split a 32-byte block hash into two 128-bit field elements
+ *
+ * @param {string} blockHash - 0x-prefixed block hash
+ * @returns {{blockHashHi: bigint, blockHashLo: bigint}} High and low halves
+ */
+export function splitBlockHash(blockHash) {
+  if (typeof blockHash !== 'string' || !/^0x[0-9a-fA-F]{64}$/.test(blockHash)) {
+    throw invalidInput('Snapshot block hash must be a 0x-prefixed 32-byte hex string', { blockHash });
+  }
+
+  return {
+    blockHashHi: BigInt(`0x${blockHash.slice(2, 34)}`),
+    blockHashLo: BigInt(`0x${blockHash.slice(34)}`)
+  };
+}
+
+/**
+ * Convert a balance in base units to a bigint within the circuit's range
+ * @private
+ */
+function toBalance(value, address) {
+  let balance;
+  try {
+    balance = BigInt(typeof value === 'object' && value !== null ? value.toString() : value);
+  } catch {
+    throw invalidInput(`Invalid balance for ${address}: balances must be integers in base units`, { address });
+  }
+
+  if (balance < 0n || balance >= BALANCE_LIMIT) {
+    throw invalidInput(`Balance for ${address} is out of range`, { address });
+  }
+
+  return balance;
+}
+
+/**
+ * Validate a block snapshot and convert it to field elements
+ * @private
+ */
+function toSnapshotSignals(snapshot) {
+  if (!snapshot || snapshot.blockNumber === undefined || snapshot.blockNumber === null) {
+    throw invalidInput('A snapshot block number and hash are required');
+  }
+
+  const blockNumber = BigInt(snapshot.blockNumber);
+  if (blockNumber < 0n) {
+    throw invalidInput('Snapshot block number must not be negative', { blockNumber: snapshot.blockNumber });
+  }
+
+  return { blockNumber, ...splitBlockHash(snapshot.blockHash) };
+}
+
+/**
+ * Validate wallets and pad them to the circuit's wallet slots
+ *
+ * @param {Array<{address: string, networkId: number, balance: string|bigint}>} wallets - Wallets and balances in base units
+ * @returns {{balances: bigint[], addresses: bigint[], networkIds: bigint[]}} Padded circuit arrays
+ * @throws {ZKError} If the wallet list is empty, too long, contains duplicates or invalid balances
+ */
+export function toCommitmentWallets(wallets) {
+  if (!Array.isArray(wallets) || wallets.length === 0) {
+    throw invalidInput('At least one wallet is required');
+  }
+
+  if (wallets.length > MAX_COMMITMENT_WALLETS) {
+    throw invalidInput(`At most ${MAX_COMMITMENT_WALLETS} wallets can be combined in one proof`, {
+      walletCount: wallets.length
+    });
+  }
+
+  const balances = [];
+  const addresses = [];
+  const networkIds = [];
+  const seen = new Set();
+
+  for (const wallet of wallets) {
+    const address = addressToField(wallet?.address);
+    const networkId = BigInt(wallet.networkId ?? 0);
+
+    // Listing a wallet twice would count its balance twice
+    const key = `${networkId}:${address}`;
+    if (seen.has(key)) {
+      throw invalidInput(`Wallet ${wallet.address} is listed more than once`, { address: wallet.address });
+    }
+    seen.add(key);
+
+    balances.push(toBalance(wallet.balance, wallet.address));
+    addresses.push(address);
+    networkIds.push(networkId);
+  }
+
+  while (balances.length < MAX_COMMITMENT_WALLETS) {
+    balances.push(0n);
+    addresses.push(0n);
+    networkIds.push(0n);
+  }
+
+  return { balances, addresses, networkIds };
+}
+
+/**
+ * Compute the balance commitment for a set of wallets at a block snapshot
+ *
+ * @param {Object} params - Commitment parameters
+ * @param {Array<Object>} params.wallets - Wallets with address, networkId and balance in base units
+ * @param {{blockNumber: number|string, blockHash: string}} params.snapshot - Block the balances were read at
+ * @param {string|bigint} params.salt - Blinding factor chosen by the prover
+ * @returns {string} Commitment as a decimal string, as it appears in the public signals
+ */
+export function computeBalanceCommitment({ wallets, snapshot, salt }) {
+  const { balances, addresses, networkIds } = toCommitmentWallets(wallets);
+  const { blockNumber, blockHashHi, blockHashLo } = toSnapshotSignals(snapshot);
+
+  const leaves = balances.map((balance, i) => poseidon3([addresses[i], networkIds[i], balance]));
+
+  return poseidon8([...leaves, blockNumber, blockHashHi, blockHashLo, BigInt(salt)]).toString();
+}
+
+/**
+ * Build the commitment-related circuit inputs for the v2 circuits
+ *
+ * @param {Object} params - Same parameters as computeBalanceCommitment
+ * @returns {Object} Circuit inputs as decimal strings, plus the expected commitment
+ */
+export function buildCommitmentInputs({ wallets, snapshot, salt }) {
+  const { balances, addresses, networkIds } = toCommitmentWallets(wallets);
+  const { blockNumber, blockHashHi, blockHashLo } = toSnapshotSignals(snapshot);
+
+  return {
+    balances: balances.map(String),
+    addresses: addresses.map(String),
+    networkIds: networkIds.map(String),
+    salt: BigInt(salt).toString(),
+    blockNumber: blockNumber.toString(),
+    blockHashHi: blockHashHi.toString(),
+    blockHashLo: blockHashLo.toString(),
+    commitment: computeBalanceCommitment({ wallets, snapshot, salt })
+  };
+}
+
+/**
+ * Generate a random salt for the commitment
+ *
+ * @returns {string} Random field element as a decimal string
+ */
+export function generateCommitmentSalt() {
+  const bytes = new Uint8Array(32);
+  globalThis.crypto.getRandomValues(bytes);
+
+  const hex = Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+  return (BigInt(`0x${hex}`) % FIELD_SIZE).toString();
+}
+
+/**
+ * Check the public signals of a v2 proof against independently fetched balances
+ *
+ * @param {Array<string>} publicSignals - Public signals of the proof
+ * @param {Object} expected - Expected values
+ * @param {Array<Object>} expected.wallets - Wallets with the balances fetched by the verifier
+ * @param {{blockNumber: number|string, blockHash: string}} expected.snapshot - Snapshot the proof claims
+ * @param {string|bigint} expected.salt - Salt disclosed by the prover
+ * @param {string|bigint} [expected.threshold] - Threshold the proof must be for
+ * @returns {{valid: boolean, mismatches: string[]}} Whether every signal matches, and the names of those that do not
+ */
+export function checkCommitmentSignals(publicSignals, expected) {
+  const { blockNumber, blockHashHi, blockHashLo } = toSnapshotSignals(expected.snapshot);
+
+  const expectedSignals = {
+    valid: '1',
+    commitment: computeBalanceCommitment(expected),
+    blockNumber: blockNumber.toString(),
+    blockHashHi: blockHashHi.toString(),
+    blockHashLo: blockHashLo.toString()
+  };
+
+  if (expected.threshold !== undefined && expected.threshold !== null) {
+    expectedSignals.threshold = BigInt(expected.threshold).toString();
+  }
+
+  const mismatches = Object.keys(expectedSignals).filter(name =>
+    String(publicSignals[COMMITMENT_SIGNALS[name]]) !== expectedSignals[name]
+  );
+
+  return { valid: mismatches.length === 0, mismatches };
+}
+
+export default {
+  MAX_COMMITMENT_WALLETS,
+  LEGACY_CIRCUIT_VERSION,
+  BALANCE_COMMITMENT_VERSION,
+  BALANCE_COMMITMENT_CIRCUITS,
+  COMMITMENT_SIGNALS,
+  getCommitmentCircuitName,
+  createMissingArtifactError,
+  addressToField,
+  splitBlockHash,
+  toCommitmentWallets,
+  computeBalanceCommitment,
+  buildCommitmentInputs,
+  generateCommitmentSalt,
+  checkCommitmentSignals
+};
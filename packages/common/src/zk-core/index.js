@@ -26,5 +26,13 @@ export {
 // Export generateZKProof under a different name for internal use
 export { generateZKProof as generateZKProofCore } from './zkUtils.mjs';
 
+// Export balance-commitment (circuit version v2.0.0) input preparation and checks
+export { prepareCircuitInputs } from './zkCircuitInputs.mjs';
+export {
+  BALANCE_COMMITMENT_VERSION,
+  getCommitmentCircuitName,
+  checkCommitmentSignals
+} from './balanceCommitment.mjs';
+
 // Export error handling
 export { getErrorLogger } from '../error-handling/index.js';
\ No newline at end of file
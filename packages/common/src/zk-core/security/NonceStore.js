@@ -0,0 +1,180 @@
+/**
+ * Nonce Store module
+ *
+ * Storage backends for used request nonces. Every store implements the same
+ * interface:
+ *
+ *   checkAndSet(scope, nonce, ttlMs) -> Promise<boolean>
+ *
+ * which atomically records the nonce within the scope (usually a user ID) and
+ * resolves to true only for the first caller. Concurrent calls with the same
+ * scope and nonce resolve to true exactly once until the TTL has passed.
+ *
+ * The Redis and Prisma stores take an existing client so the module has no
+ * server-only imports and replay protection is shared across API instances.
+ */
+
+/**
+ * In-process nonce store. Replay protection is lost on restart and is not
+ * shared between instances, so use it for development and tests only.
+ */
+export class MemoryNonceStore {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxEntries=100000] - Entries kept before expired ones are swept
+   */
+  constructor({ maxEntries = 100000 } = {}) {
+    this.entries = new Map();
+    this.maxEntries = maxEntries;
+  }
+
+  /**
+   * Record a nonce if it has not been used within the scope
+   * @param {string} scope - Scope of the nonce, e.g. the user ID
+   * @param {string} nonce - The nonce
+   * @param {number} ttlMs - How long the nonce stays used
+   * @returns {Promise<boolean>} True if the nonce was not used before
+   */
+  async checkAndSet(scope, nonce, ttlMs) {
+    const key = `${scope}:${nonce}`;
+    const now = Date.now();
+    const expiresAt = this.entries.get(key);
+
+    if (expiresAt !== undefined && expiresAt > now) {
+      return false;
+    }
+
+    if (this.entries.size >= this.maxEntries) {
+      this.cleanup(now);
+    }
+
+    this.entries.set(key, now + ttlMs);
+    return true;
+  }
+
+  /**
+   * Remove expired nonces
+   * @param {number} [now=Date.now()] - Current time in milliseconds
+   * @returns {number} Number of nonces removed
+   */
+  cleanup(now = Date.now()) {
+    let removed = 0;
+    for (const [key, expiresAt] of this.entries.entries()) {
+      if (expiresAt <= now) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+}
+
+/**
+ * Redis nonce store. Uses SET NX with a millisecond expiry, so the check and
+ * the write are a single atomic command and Redis removes expired nonces.
+ */
+export class RedisNonceStore {
+  /**
+   * @param {Object} options
+   * @param {Object} options.client - ioredis client
+   * @param {string} [options.keyPrefix='pof-nonce:'] - Key prefix
+   */
+  constructor({ client, keyPrefix = 'pof-nonce:' } = {}) {
+    if (!client) {
+      throw new Error('RedisNonceStore requires a Redis client');
+    }
+    this.client = client;
+    this.keyPrefix = keyPrefix;
+  }
+
+  /**
+   * Record a nonce if it has not been used within the scope
+   * @param {string} scope - Scope of the nonce, e.g. the user ID
+   * @param {string} nonce - The nonce
+   * @param {number} ttlMs - How long the nonce stays used
+   * @returns {Promise<boolean>} True if the nonce was not used before
+   */
+  async checkAndSet(scope, nonce, ttlMs) {
+    const result = await this.client.set(
+      `${this.keyPrefix}${scope}:${nonce}`,
+      Date.now().toString(),
+      'PX',
+      Math.max(1, Math.ceil(ttlMs)),
+      'NX'
+    );
+    return result === 'OK';
+  }
+}
+
+/**
+ * Postgres nonce store backed by the `used_nonces` table. A single
+ * INSERT ... ON CONFLICT statement records the nonce, or reclaims it once the
+ * previous use has expired, so concurrent requests cannot both succeed.
+ */
+export class PrismaNonceStore {
+  /**
+   * @param {Object} options
+   * @param {Object} options.prisma - Prisma client
+   */
+  constructor({ prisma } = {}) {
+    if (!prisma) {
+      throw new Error('PrismaNonceStore requires a Prisma client');
+    }
+    this.prisma = prisma;
+  }
+
+  /**
+   * Record a nonce if it has not been used within the scope
+   * @param {string} scope - Scope of the nonce, e.g. the user ID
+   * @param {string} nonce - The nonce
+   * @param {number} ttlMs - How long the nonce stays used
+   * @returns {Promise<boolean>} True if the nonce was not used before
+   */
+  async checkAndSet(scope, nonce, ttlMs) {
+    const expiresAt = new Date(Date.now() + ttlMs);
+
+    const inserted = await this.prisma.$executeRaw`
+      INSERT INTO "used_nonces" ("scope", "nonce", "expires_at")
+      VALUES (${scope}, ${nonce}, ${expiresAt})
+      ON CONFLICT ("scope", "nonce") DO UPDATE
+        SET "expires_at" = EXCLUDED."expires_at", "created_at" = CURRENT_TIMESTAMP
+        WHERE "used_nonces"."expires_at" <= CURRENT_TIMESTAMP`;
+
+    return inserted === 1;
+  }
+
+  /**
+   * Remove expired nonces
+   * @returns {Promise<number>} Number of nonces removed
+   */
+  async cleanup() {
+    const { count } = await this.prisma.usedNonce.deleteMany({
+      where: { expiresAt: { lte: new Date() } }
+    });
+    return count;
+  }
+}
+
+/**
+ * Create a nonce store
+ * @param {Object} [options]
+ * @param {string} [options.type='memory'] - Store type ('memory', 'redis' or 'postgres')
+ * @param {Object} [options.client] - ioredis client for the Redis store
+ * @param {Object} [options.prisma] - Prisma client for the Postgres store
+ * @param {string} [options.keyPrefix] - Key prefix for the Redis store
+ * @returns {MemoryNonceStore|RedisNonceStore|PrismaNonceStore} The nonce store
+ */
+export function createNonceStore(options = {}) {
+  const { type = 'memory' } = options;
+
+  switch (type) {
+    case 'memory':
+      return new MemoryNonceStore(options);
+    case 'redis':
+      return new RedisNonceStore(options);
+    case 'postgres':
+      return new PrismaNonceStore(options);
+    default:
+      throw new Error(`Unknown nonce store type: ${type}`);
+  }
+}
@@ -1,29 +1,24 @@
 /**
  * Nonce Validator module
- * 
+ *
  * This module provides utilities for validating nonces to prevent replay attacks.
+ * Used nonces are recorded per user in a pluggable nonce store (see NonceStore.js);
+ * use the Redis or Postgres store when the API runs on more than one instance.
  */
 
-// In-memory store of used nonces (for demo purposes)
-// In a production environment, this would be a persistent store
-const usedNonces = new Set();
-const nonceExpirationMap = new Map();
+import { MemoryNonceStore } from './NonceStore.js';
 
-// Cleanup old nonces periodically
-const NONCE_CLEANUP_INTERVAL = 60 * 60 * 1000; // 1 hour
+export { MemoryNonceStore, RedisNonceStore, PrismaNonceStore, createNonceStore } from './NonceStore.js';
+
+// How long a used nonce is remembered
 const NONCE_EXPIRATION = 24 * 60 * 60 * 1000; // 24 hours
 
-if (typeof setInterval !== 'undefined') {
-  setInterval(() => {
-    const now = Date.now();
-    for (const [nonce, expiration] of nonceExpirationMap.entries()) {
-      if (now > expiration) {
-        usedNonces.delete(nonce);
-        nonceExpirationMap.delete(nonce);
-      }
-    }
-  }, NONCE_CLEANUP_INTERVAL);
-}
+// Maximum age of a nonce timestamp and tolerated clock skew
+const NONCE_MAX_AGE = 5 * 60 * 1000; // 5 minutes
+const NONCE_MAX_CLOCK_SKEW = 60 * 1000; // 1 minute
+
+// Upper bound on nonce length to keep store keys small
+const NONCE_MAX_LENGTH = 256;
 
 /**
  * Generate a nonce for use in a request
@@ -34,87 +29,124 @@ function generateNonce() {
 }
 
 /**
- * Validate a nonce to prevent replay attacks
- * @param {string} nonce - The nonce to validate
- * @param {string} userId - The user ID
- * @param {number} timestamp - The timestamp when the nonce was created
- * @returns {Object} The validation result
+ * Create the headers carrying a fresh nonce and its timestamp, as the
+ * /api/zk/* routes require them
+ * @returns {Object} X-Request-Nonce and X-Request-Timestamp headers
  */
-function validateNonce(nonce, userId, timestamp) {
-  // Ensure nonce is a string
-  if (typeof nonce !== 'string') {
-    return {
-      valid: false,
-      message: 'Invalid nonce format',
-      reason: 'FORMAT_ERROR'
-    };
-  }
-
-  // Ensure nonce is not empty
-  if (!nonce.trim()) {
-    return {
-      valid: false,
-      message: 'Nonce cannot be empty',
-      reason: 'EMPTY_NONCE'
-    };
-  }
-
-  // Create a user-specific nonce
-  const userNonce = `${userId}:${nonce}`;
+export function createRequestNonceHeaders() {
+  return {
+    'X-Request-Nonce': generateNonce(),
+    'X-Request-Timestamp': String(Date.now())
+  };
+}
 
-  // Check if nonce has been used before
-  if (usedNonces.has(userNonce)) {
-    return {
-      valid: false,
-      message: 'Nonce has already been used',
-      reason: 'REPLAY_ATTACK'
-    };
-  }
+/**
+ * Create a nonce validator backed by a nonce store
+ * @param {Object} [options]
+ * @param {Object} [options.store] - Nonce store, defaults to an in-memory store
+ * @param {number} [options.ttlMs] - How long a used nonce is remembered
+ * @returns {Object} Nonce validator with generateNonce and validateNonce
+ */
+export function createNonceValidator({ store = new MemoryNonceStore(), ttlMs = NONCE_EXPIRATION } = {}) {
+  /**
+   * Validate a nonce to prevent replay attacks. A valid nonce is recorded as
+   * used, so concurrent requests with the same nonce succeed only once.
+   * @param {string} nonce - The nonce to validate
+   * @param {string} userId - The user ID
+   * @param {number} timestamp - The timestamp when the nonce was created
+   * @returns {Promise<Object>} The validation result
+   */
+  async function validateNonce(nonce, userId, timestamp) {
+    // Ensure nonce is a string
+    if (typeof nonce !== 'string') {
+      return {
+        valid: false,
+        message: 'Invalid nonce format',
+        reason: 'FORMAT_ERROR'
+      };
+    }
 
-  // Check timestamp if provided
-  if (timestamp) {
-    const now = Date.now();
-    const nonceTime = Number(timestamp);
+    // Ensure nonce is not empty
+    if (!nonce.trim()) {
+      return {
+        valid: false,
+        message: 'Nonce cannot be empty',
+        reason: 'EMPTY_NONCE'
+      };
+    }
 
-    // Ensure timestamp is a valid number
-    if (isNaN(nonceTime)) {
+    if (nonce.length > NONCE_MAX_LENGTH) {
       return {
         valid: false,
-        message: 'Invalid timestamp format',
-        reason: 'TIMESTAMP_FORMAT_ERROR'
+        message: `Nonce cannot be longer than ${NONCE_MAX_LENGTH} characters`,
+        reason: 'FORMAT_ERROR'
       };
     }
 
-    // Check if nonce is too old (5 minutes)
-    if (now - nonceTime > 5 * 60 * 1000) {
+    // Check timestamp if provided
+    if (timestamp) {
+      const now = Date.now();
+      const nonceTime = Number(timestamp);
+
+      // Ensure timestamp is a valid number
+      if (isNaN(nonceTime)) {
+        return {
+          valid: false,
+          message: 'Invalid timestamp format',
+          reason: 'TIMESTAMP_FORMAT_ERROR'
+        };
+      }
+
+      // Check if nonce is too old
+      if (now - nonceTime > NONCE_MAX_AGE) {
+        return {
+          valid: false,
+          message: 'Nonce is expired',
+          reason: 'EXPIRED_NONCE'
+        };
+      }
+
+      // Check if nonce is from the future (clock skew or tampering)
+      if (nonceTime > now + NONCE_MAX_CLOCK_SKEW) {
+        return {
+          valid: false,
+          message: 'Nonce timestamp is in the future',
+          reason: 'FUTURE_NONCE'
+        };
+      }
+    }
+
+    // Record the nonce for this user; fails if it has been used before
+    let recorded;
+    try {
+      recorded = await store.checkAndSet(String(userId || 'anonymous'), nonce, ttlMs);
+    } catch (error) {
+      console.error('Error recording nonce:', error);
       return {
         valid: false,
-        message: 'Nonce is expired',
-        reason: 'EXPIRED_NONCE'
+        message: 'Nonce could not be verified',
+        reason: 'STORE_ERROR'
       };
     }
 
-    // Check if nonce is from the future (clock skew or tampering)
-    if (nonceTime > now + 60 * 1000) {
+    if (!recorded) {
       return {
         valid: false,
-        message: 'Nonce timestamp is in the future',
-        reason: 'FUTURE_NONCE'
+        message: 'Nonce has already been used',
+        reason: 'REPLAY_ATTACK'
       };
     }
-  }
 
-  // Add nonce to used nonces set
-  usedNonces.add(userNonce);
-  nonceExpirationMap.set(userNonce, Date.now() + NONCE_EXPIRATION);
+    return {
+      valid: true,
+      message: 'Nonce is valid'
+    };
+  }
 
   return {
-    valid: true,
-    message: 'Nonce is valid'
+    generateNonce,
+    validateNonce
   };
 }
 
-export const nonceValidator = {
-  generateNonce,
-  validateNonce
-};
\ No newline at end of file
+export const nonceValidator = createNonceValidator();
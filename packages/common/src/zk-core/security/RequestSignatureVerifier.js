@@ -1,98 +1,130 @@
 /**
  * Request Signature Verifier module
- * 
+ *
  * This module provides utilities for verifying signatures on API requests
- * to ensure they come from authorized clients.
+ * to ensure they come from authorized clients. When created with a nonce
+ * store, each signature is accepted only once per client.
  */
 
 import { ethers } from 'ethers';
 
+// Maximum age of a signature and tolerated clock skew
+const SIGNATURE_MAX_AGE = 15 * 60 * 1000; // 15 minutes
+const SIGNATURE_MAX_CLOCK_SKEW = 60 * 1000; // 1 minute
+
 /**
- * Verify a client signature on a request
- * @param {Object} requestData - The request data that was signed
- * @param {Object} signatureInfo - Information about the signature
- * @param {string} signatureInfo.signature - The signature to verify
- * @param {string} signatureInfo.timestamp - The timestamp when the signature was created
- * @param {string} signatureInfo.clientId - The client ID that signed the request
- * @returns {Object} The verification result
+ * Create a request signature verifier
+ * @param {Object} [options]
+ * @param {Object} [options.nonceStore] - Nonce store used to reject replayed signatures
+ * @returns {Object} Signature verifier with verifyClientSignature
  */
-function verifyClientSignature(requestData, signatureInfo) {
-  try {
-    // Ensure required parameters are provided
-    if (!signatureInfo || !signatureInfo.signature) {
-      return {
-        valid: false,
-        message: 'Missing signature',
-        reason: 'MISSING_SIGNATURE'
-      };
-    }
+export function createSignatureVerifier({ nonceStore } = {}) {
+  /**
+   * Verify a client signature on a request
+   * @param {Object} requestData - The request data that was signed
+   * @param {Object} signatureInfo - Information about the signature
+   * @param {string} signatureInfo.signature - The signature to verify
+   * @param {string} signatureInfo.timestamp - The timestamp when the signature was created
+   * @param {string} signatureInfo.clientId - The client ID that signed the request
+   * @returns {Promise<Object>} The verification result
+   */
+  async function verifyClientSignature(requestData, signatureInfo) {
+    try {
+      // Ensure required parameters are provided
+      if (!signatureInfo || !signatureInfo.signature) {
+        return {
+          valid: false,
+          message: 'Missing signature',
+          reason: 'MISSING_SIGNATURE'
+        };
+      }
 
-    if (!signatureInfo.timestamp) {
-      return {
-        valid: false,
-        message: 'Missing timestamp',
-        reason: 'MISSING_TIMESTAMP'
-      };
-    }
+      if (!signatureInfo.timestamp) {
+        return {
+          valid: false,
+          message: 'Missing timestamp',
+          reason: 'MISSING_TIMESTAMP'
+        };
+      }
 
-    if (!signatureInfo.clientId) {
-      return {
-        valid: false,
-        message: 'Missing client ID',
-        reason: 'MISSING_CLIENT_ID'
-      };
-    }
+      if (!signatureInfo.clientId) {
+        return {
+          valid: false,
+          message: 'Missing client ID',
+          reason: 'MISSING_CLIENT_ID'
+        };
+      }
 
-    // Check if timestamp is reasonable
-    const now = Date.now();
-    const signatureTime = Number(signatureInfo.timestamp);
+      // Check if timestamp is reasonable
+      const now = Date.now();
+      const signatureTime = Number(signatureInfo.timestamp);
 
-    if (isNaN(signatureTime)) {
-      return {
-        valid: false,
-        message: 'Invalid timestamp format',
-        reason: 'TIMESTAMP_FORMAT_ERROR'
-      };
-    }
+      if (isNaN(signatureTime)) {
+        return {
+          valid: false,
+          message: 'Invalid timestamp format',
+          reason: 'TIMESTAMP_FORMAT_ERROR'
+        };
+      }
+
+      // Check if signature is too old
+      if (now - signatureTime > SIGNATURE_MAX_AGE) {
+        return {
+          valid: false,
+          message: 'Signature is expired',
+          reason: 'EXPIRED_SIGNATURE'
+        };
+      }
+
+      // Check if signature is from the future (clock skew or tampering)
+      if (signatureTime > now + SIGNATURE_MAX_CLOCK_SKEW) {
+        return {
+          valid: false,
+          message: 'Signature timestamp is in the future',
+          reason: 'FUTURE_SIGNATURE'
+        };
+      }
+
+      // In a real implementation, we would verify the signature here
+      // For this placeholder, we'll simply return valid
+      // This would involve reconstructing the exact message that was signed
+      // and verifying it against the provided signature using ethers.js or similar
+
+      // Accept each signature once; after the maximum age the timestamp check rejects it
+      if (nonceStore) {
+        const recorded = await nonceStore.checkAndSet(
+          `signature:${signatureInfo.clientId}`,
+          String(signatureInfo.signature),
+          SIGNATURE_MAX_AGE + SIGNATURE_MAX_CLOCK_SKEW
+        );
+
+        if (!recorded) {
+          return {
+            valid: false,
+            message: 'Signature has already been used',
+            reason: 'REPLAY_ATTACK'
+          };
+        }
+      }
 
-    // Check if signature is too old (15 minutes)
-    if (now - signatureTime > 15 * 60 * 1000) {
       return {
-        valid: false,
-        message: 'Signature is expired',
-        reason: 'EXPIRED_SIGNATURE'
+        valid: true,
+        message: 'Signature is valid'
       };
-    }
-
-    // Check if signature is from the future (clock skew or tampering)
-    if (signatureTime > now + 60 * 1000) {
+    } catch (error) {
+      console.error('Error verifying signature:', error);
       return {
         valid: false,
-        message: 'Signature timestamp is in the future',
-        reason: 'FUTURE_SIGNATURE'
+        message: 'Error verifying signature',
+        reason: 'VERIFICATION_ERROR',
+        error: error.message
       };
     }
-
-    // In a real implementation, we would verify the signature here
-    // For this placeholder, we'll simply return valid
-    // This would involve reconstructing the exact message that was signed
-    // and verifying it against the provided signature using ethers.js or similar
-
-    return {
-      valid: true,
-      message: 'Signature is valid'
-    };
-  } catch (error) {
-    console.error('Error verifying signature:', error);
-    return {
-      valid: false,
-      message: 'Error verifying signature',
-      reason: 'VERIFICATION_ERROR',
-      error: error.message
-    };
   }
+
+  return {
+    verifyClientSignature
+  };
 }
 
-export const signatureVerifier = {
-  verifyClientSignature
-};
\ No newline at end of file
+export const signatureVerifier = createSignatureVerifier();
@@ -10,6 +10,12 @@ import { getEthers } from '../utils/ethersUtils.js';
 import { toFieldElement } from './zkUtils.mjs';
 import { zkErrorLogger } from '../error-handling/zkErrorLogger.mjs';
 import { ZKErrorCode, createZKError, ErrorSeverity } from '../error-handling/zkErrorHandler.mjs';
+import {
+  BALANCE_COMMITMENT_VERSION,
+  buildCommitmentInputs,
+  generateCommitmentSalt,
+  getCommitmentCircuitName
+} from './balanceCommitment.mjs';
 
 /**
  * Defines the supported types of zero-knowledge proofs in the system
@@ -532,13 +538,120 @@ export function shortenAddress(address, chars = 4) {
 
 /**
  * Prepares inputs for a zk circuit based on the type of proof
+ *
+ * Threshold and maximum inputs that list per-wallet balances (`inputs.wallets`)
+ * are prepared for the balance-commitment circuits. The claimed balances are
+ * checked against balances fetched independently at the snapshot block, so a
+ * prover cannot commit to balances the wallets did not hold.
+ *
  * @param {Object} inputs - Raw input values
+ * @param {Array<Object>} [inputs.wallets] - Wallets with address, networkId and balance in base units
+ * @param {{blockNumber: number, blockHash: string}} [inputs.snapshot] - Block the balances were read at
+ * @param {string} [inputs.threshold] - Threshold in base units
+ * @param {string} [inputs.salt] - Commitment salt; generated when omitted
  * @param {string} proofType - Type of proof to generate
+ * @param {Object} [options] - Preparation options
+ * @param {Function} [options.fetchBalance] - async (wallet, snapshot) => balance in base units,
+ *   required for balance-commitment inputs
  * @returns {Object} Formatted circuit inputs
+ * @throws {ZKError} If the balances cannot be fetched or do not match the claimed balances
  */
-export const prepareCircuitInputs = async (inputs, proofType) => {
-  // ESM implementation
-  return { meta: { proofType, timestamp: Date.now() }, ...inputs };
+export const prepareCircuitInputs = async (inputs, proofType, options = {}) => {
+  if (!Array.isArray(inputs?.wallets) || !getCommitmentCircuitName(proofType, BALANCE_COMMITMENT_VERSION)) {
+    return { meta: { proofType, timestamp: Date.now() }, ...inputs };
+  }
+
+  const { wallets, snapshot, threshold } = inputs;
+
+  if (threshold === undefined || threshold === null) {
+    throw createZKError(
+      ZKErrorCode.INPUT_MISSING_REQUIRED,
+      'A threshold is required for threshold and maximum proofs',
+      {
+        severity: ErrorSeverity.ERROR,
+        details: { proofType },
+        recoverable: false,
+        userFixable: true
+      }
+    );
+  }
+
+  if (typeof options.fetchBalance !== 'function') {
+    throw createZKError(
+      ZKErrorCode.INPUT_MISSING_REQUIRED,
+      'A balance fetcher is required to prepare balance-commitment inputs',
+      {
+        severity: ErrorSeverity.ERROR,
+        details: { proofType },
+        recoverable: false,
+        userFixable: false
+      }
+    );
+  }
+
+  let fetchedBalances;
+  try {
+    fetchedBalances = await Promise.all(wallets.map(wallet => options.fetchBalance(wallet, snapshot)));
+  } catch (error) {
+    const zkError = createZKError(
+      ZKErrorCode.NETWORK_REQUEST_FAILED,
+      `Failed to fetch wallet balances at the snapshot block: ${error.message}`,
+      {
+        severity: ErrorSeverity.ERROR,
+        details: { blockNumber: snapshot?.blockNumber, originalError: error.message },
+        recoverable: true,
+        userFixable: false
+      }
+    );
+    zkErrorLogger.logError(zkError, { context: 'prepareCircuitInputs.fetchBalance' });
+    throw zkError;
+  }
+
+  // Compare the claimed balances with the independently fetched ones
+  const sameBalance = (claimed, fetched) => {
+    try {
+      return BigInt(claimed) === BigInt(fetched.toString());
+    } catch {
+      return false;
+    }
+  };
+  const mismatched = wallets
+    .filter((wallet, i) => !sameBalance(wallet.balance, fetchedBalances[i]))
+    .map(wallet => wallet.address);
+
+  if (mismatched.length > 0) {
+    const zkError = createZKError(
+      ZKErrorCode.PROOF_INPUT_INVALID,
+      'Claimed balances do not match the wallet balances at the snapshot block',
+      {
+        severity: ErrorSeverity.ERROR,
+        details: { mismatched, blockNumber: snapshot?.blockNumber },
+        recoverable: false,
+        userFixable: false,
+        securityCritical: true
+      }
+    );
+    zkErrorLogger.logError(zkError, { context: 'prepareCircuitInputs.balances' });
+    throw zkError;
+  }
+
+  const { commitment, ...commitmentInputs } = buildCommitmentInputs({
+    wallets: wallets.map((wallet, i) => ({ ...wallet, balance: fetchedBalances[i] })),
+    snapshot,
+    salt: inputs.salt ?? generateCommitmentSalt()
+  });
+
+  return {
+    meta: {
+      proofType,
+      circuitVersion: BALANCE_COMMITMENT_VERSION,
+      commitment,
+      snapshot: { blockNumber: Number(snapshot.blockNumber), blockHash: snapshot.blockHash },
+      timestamp: Date.now()
+    },
+    ...commitmentInputs,
+    threshold: BigInt(threshold).toString()
+  };
 };
 
 /**
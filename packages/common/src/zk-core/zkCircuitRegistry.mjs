@@ -35,6 +35,12 @@ import { fileURLToPath } from 'url';
 // Import error handling modules
 import * as zkErrorHandler from '../error-handling/zkErrorHandler.mjs';
 import { zkErrorLogger } from '../error-handling/zkErrorLogger.mjs';
+import {
+  LEGACY_CIRCUIT_VERSION,
+  BALANCE_COMMITMENT_VERSION,
+  BALANCE_COMMITMENT_CIRCUITS,
+  COMMITMENT_SIGNALS
+} from './balanceCommitment.mjs';
 
 // Destructure error classes and related utilities
 const {
@@ -51,6 +57,9 @@ const __dirname = path.dirname(__filename);
 const BUILD_DIR = path.resolve(__dirname, 'build');
 const REGISTRY_PATH = path.join(BUILD_DIR, 'circuit-registry.json');
 
+// Circuit sources and their compiled .r1cs files, one directory per circuit type
+const CIRCUITS_DIR = path.resolve(__dirname, '../../../../circuits');
+
 /**
  * Circuit types supported by the system
  * Used to identify which circuit implementation to use for each proof type
@@ -70,9 +79,141 @@ const DEFAULT_REGISTRY = {
   circuits: []
 };
 
+/**
+ * Circuit versions shipped with the system
+ * Always present in the registry so that proofs generated with any released
+ * version stay verifiable, even when the build registry file is missing or
+ * only lists newer builds. v2.0.0 binds the balances of the threshold and
+ * maximum circuits to the wallets and a block snapshot; its proofs are
+ * verified off-chain only, as ZKVerifier accepts the v1 public signals.
+ * Constraint counts are read from the compiled .r1cs files, see
+ * getCircuitConstraintCount.
+ */
+const BUILTIN_CIRCUITS = [
+  {
+    type: CIRCUIT_TYPES.STANDARD,
+    version: LEGACY_CIRCUIT_VERSION,
+    name: 'standardProof',
+    path: 'standard',
+    bindsBalances: false,
+    verifiableOnChain: true,
+    publicSignals: ['valid']
+  },
+  {
+    type: CIRCUIT_TYPES.THRESHOLD,
+    version: LEGACY_CIRCUIT_VERSION,
+    name: 'thresholdProof',
+    path: 'threshold',
+    bindsBalances: false,
+    verifiableOnChain: true,
+    publicSignals: ['valid']
+  },
+  {
+    type: CIRCUIT_TYPES.MAXIMUM,
+    version: LEGACY_CIRCUIT_VERSION,
+    name: 'maximumProof',
+    path: 'maximum',
+    bindsBalances: false,
+    verifiableOnChain: true,
+    publicSignals: ['valid']
+  },
+  {
+    type: CIRCUIT_TYPES.THRESHOLD,
+    version: BALANCE_COMMITMENT_VERSION,
+    name: BALANCE_COMMITMENT_CIRCUITS.threshold,
+    path: 'threshold',
+    bindsBalances: true,
+    verifiableOnChain: false,
+    publicSignals: Object.keys(COMMITMENT_SIGNALS)
+  },
+  {
+    type: CIRCUIT_TYPES.MAXIMUM,
+    version: BALANCE_COMMITMENT_VERSION,
+    name: BALANCE_COMMITMENT_CIRCUITS.maximum,
+    path: 'maximum',
+    bindsBalances: true,
+    verifiableOnChain: false,
+    publicSignals: Object.keys(COMMITMENT_SIGNALS)
+  }
+];
+
+/**
+ * Add the built-in circuit versions missing from a registry
+ * Entries from the registry file take precedence over built-in ones
+ *
+ * @param {Object} registry - Registry loaded from disk or the default registry
+ * @returns {Object} Registry including all built-in circuit versions
+ */
+function withBuiltinCircuits(registry) {
+  const circuits = registry.circuits || [];
+  const missing = BUILTIN_CIRCUITS.filter(builtin =>
+    !circuits.some(circuit => circuit.type === builtin.type && circuit.version === builtin.version)
+  );
+
+  return { ...registry, circuits: [...circuits, ...missing] };
+}
+
+// Constraint counts read from .r1cs files, by path
+const constraintCounts = new Map();
+
+/**
+ * Read the number of constraints from the header of a compiled .r1cs file
+ *
+ * @param {string} r1csPath - Path to the .r1cs file
+ * @returns {number|null} Constraint count, or null if the file is missing or not an r1cs file
+ */
+function readR1csConstraintCount(r1csPath) {
+  let buffer;
+  try {
+    buffer = fs.readFileSync(r1csPath);
+  } catch {
+    return null;
+  }
+
+  if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'r1cs') {
+    return null;
+  }
+
+  // Sections follow the magic, version and section count: type (u32), size (u64), data
+  const sectionCount = buffer.readUInt32LE(8);
+  let offset = 12;
+  for (let i = 0; i < sectionCount && offset + 12 <= buffer.length; i++) {
+    const type = buffer.readUInt32LE(offset);
+    const size = Number(buffer.readBigUInt64LE(offset + 4));
+    offset += 12;
+
+    if (type === 1) {
+      // Header: field size n8, prime (n8 bytes), nWires, nPubOut, nPubIn, nPrvIn, nLabels (u64), nConstraints
+      const n8 = buffer.readUInt32LE(offset);
+      return buffer.readUInt32LE(offset + 4 + n8 + 4 * 4 + 8);
+    }
+
+    offset += size;
+  }
+
+  return null;
+}
+
+/**
+ * Get the number of constraints of a circuit from its compiled .r1cs file
+ *
+ * @param {Object} circuit - Circuit metadata with name and path
+ * @returns {number|null} Constraint count, or null if the circuit has not been compiled
+ */
+function getCircuitConstraintCount(circuit) {
+  const r1csPath = path.join(CIRCUITS_DIR, circuit.path, `${circuit.name}.r1cs`);
+
+  if (!constraintCounts.has(r1csPath)) {
+    constraintCounts.set(r1csPath, readR1csConstraintCount(r1csPath));
+  }
+
+  return constraintCounts.get(r1csPath);
+}
+
 /**
  * Load the circuit registry from disk
- * Reads the registry JSON file or returns the default registry if not found
+ * Reads the registry JSON file or returns the default registry if not found,
+ * in both cases including the built-in circuit versions
  * 
  * @returns {Object} The circuit registry object containing all circuit metadata
  * @throws {SystemError} If registry exists but cannot be read or parsed
@@ -85,7 +226,7 @@ function loadRegistry() {
       try {
         const content = fs.readFileSync(REGISTRY_PATH, 'utf8');
         try {
-          return JSON.parse(content);
+          return withBuiltinCircuits(JSON.parse(content));
         } catch (parseError) {
           const zkError = new SystemError(`Failed to parse circuit registry: ${parseError.message}`, {
             code: ErrorCode.SYSTEM_RESOURCE_UNAVAILABLE,
@@ -138,7 +279,7 @@ function loadRegistry() {
   }
 
   // Return default registry if no registry file exists
-  return { ...DEFAULT_REGISTRY };
+  return withBuiltinCircuits({ ...DEFAULT_REGISTRY });
 }
 
 /**
@@ -651,13 +792,14 @@ function getCircuitMemoryRequirements(circuitType, version) {
       // Estimate memory requirements based on constraints
       // These are rough estimates and would be refined based on real measurements
 
-      // If we have metadata with constraints, use that for a better estimate
-      if (circuit.constraints) {
+      // If we have metadata or a compiled .r1cs with constraints, use that for a better estimate
+      const constraints = circuit.constraints ?? getCircuitConstraintCount(circuit);
+      if (constraints) {
         // Approximate memory usage based on constraint count
         // This is a simplified estimate and would need calibration
         return {
-          proving: Math.max(200, Math.ceil(circuit.constraints / 1000) * 50),
-          verifying: Math.max(50, Math.ceil(circuit.constraints / 5000) * 50)
+          proving: Math.max(200, Math.ceil(constraints / 1000) * 50),
+          verifying: Math.max(50, Math.ceil(constraints / 5000) * 50)
         };
       }
 
@@ -719,6 +861,7 @@ export {
   areCircuitsCompatible,
   getCircuitArtifactPaths,
   findCompatibleCircuit,
+  getCircuitConstraintCount,
   getCircuitMemoryRequirements
 };
 
@@ -731,5 +874,6 @@ export default {
   areCircuitsCompatible,
   getCircuitArtifactPaths,
   findCompatibleCircuit,
+  getCircuitConstraintCount,
   getCircuitMemoryRequirements
 };
\ No newline at end of file
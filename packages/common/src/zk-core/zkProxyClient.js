@@ -5,6 +5,8 @@
  * including rate limiting functionality for API requests.
  */
 
+import { createRequestNonceHeaders } from './security/NonceValidator.js';
+
 /**
  * Rate limiter implementation for ZK API requests
  * Enforces request limits per minute and hour for different users
@@ -298,7 +300,8 @@ export class ZkProxyClient {
   }
 
   /**
-   * Execute a fetch request with retries
+   * Execute a fetch request with retries. Each attempt carries a fresh nonce,
+   * as the server rejects a nonce it has already seen.
    * @private
    * @param {string} url - The URL to fetch
    * @param {Object} options - Fetch options
@@ -310,7 +313,8 @@ export class ZkProxyClient {
 
     while (retries <= this.retryAttempts) {
       try {
-        const response = await this._fetchWithTimeout(fetch(url, options), this.timeout);
+        const attempt = { ...options, headers: { ...options.headers, ...createRequestNonceHeaders() } };
+        const response = await this._fetchWithTimeout(fetch(url, attempt), this.timeout);
         
         if (response.ok) {
           return response;
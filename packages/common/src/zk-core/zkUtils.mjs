@@ -95,6 +95,12 @@ import {
   SecurityError,
   isZKError
 } from '../error-handling/zkErrorHandler.mjs';
+import {
+  BALANCE_COMMITMENT_CIRCUITS,
+  getCommitmentCircuitName,
+  checkCommitmentSignals,
+  createMissingArtifactError
+} from './balanceCommitment.mjs';
 
 // Set variables from imports
 const keccak256 = pkg.keccak256;
@@ -103,6 +109,7 @@ const snarkjs = snarkjsModule;
 
 // Import config for circuit paths
 import zkConfigModule from '../config/real-zk-config.js';
+import { createRequestNonceHeaders } from './security/NonceValidator.js';
 const zkConfig = zkConfigModule;
 
 // Initialize resource management system
@@ -1340,8 +1347,10 @@ export const generateZKProof = async (inputs, incomingProofType, options = {}) =
           );
         }
 
-        // Determine circuit from proof type
-        const circuitName = zkConfig.proofTypes[proofType] || 'standardProof';
+        // Determine circuit from proof type and, for prepared inputs, the circuit version
+        const circuitVersion = inputs.meta?.circuitVersion;
+        const commitmentCircuit = getCommitmentCircuitName(proofType, circuitVersion);
+        const circuitName = commitmentCircuit || zkConfig.proofTypes[proofType] || 'standardProof';
 
         // Get circuit paths
         const circuitPath = zkConfig.circuitPaths.wasmPath(circuitName);
@@ -1357,7 +1366,7 @@ export const generateZKProof = async (inputs, incomingProofType, options = {}) =
             try {
               const response = await fetch('/api/zk/generateProof', {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
+                headers: { 'Content-Type': 'application/json', ...createRequestNonceHeaders() },
                 body: JSON.stringify({ inputs, proofType })
               });
 
@@ -1411,6 +1420,17 @@ export const generateZKProof = async (inputs, incomingProofType, options = {}) =
               console.warn('Failed to create circuit directories:', err);
             }
 
+            // Balance-commitment circuits are built separately; a placeholder
+            // proof would carry no commitment, so missing files are an error
+            if (commitmentCircuit) {
+              if (!safeFileOps.fileExists(wasmFile)) {
+                throw createMissingArtifactError(circuitName, 'wasm', wasmFile);
+              }
+              if (!safeFileOps.fileExists(zkeyFile)) {
+                throw createMissingArtifactError(circuitName, 'zkey', zkeyFile);
+              }
+            }
+
             // Check if WASM file exists
             if (!safeFileOps.fileExists(wasmFile)) {
               console.error('Circuit file not found:', {
@@ -1516,6 +1536,9 @@ export const generateZKProof = async (inputs, incomingProofType, options = {}) =
               }
               
               // If using placeholder files, return a token-agnostic proof
+              if (isPlaceholder && commitmentCircuit) {
+                throw createMissingArtifactError(circuitName, 'wasm', wasmFile);
+              }
               if (isPlaceholder) {
                 console.log('Using token-agnostic implementation with placeholder files');
                 
@@ -1554,8 +1577,10 @@ export const generateZKProof = async (inputs, incomingProofType, options = {}) =
               console.log('Using real ZK proof generation with actual circuit files');
               
               // Generate witness first (this step generates the inputs for the proof)
+              // Metadata added by prepareCircuitInputs is not a circuit signal
+              const { meta: _meta, ...circuitInputs } = inputs;
               const { witness, wtnsFile } = await snarkjs.wtns.calculate(
-                inputs,
+                circuitInputs,
                 wasmFile,
                 // For this implementation we won't use a temporary file
                 { noSanityCheck: false, logPrefix: '[ZKP]', logging: options.logging || false }
@@ -1569,11 +1594,16 @@ export const generateZKProof = async (inputs, incomingProofType, options = {}) =
                 { logPrefix: '[ZKP]', logging: options.logging || false }
               );
 
-              // Return proof and publicSignals
-              return { proof, publicSignals };
+              // Return proof and publicSignals, with the circuit version needed to verify them
+              return circuitVersion ? { proof, publicSignals, circuitVersion } : { proof, publicSignals };
             } catch (snarkError) {
               console.error('Error in ZK proof generation:', snarkError);
               
+              // Balance-commitment proofs never fall back to a placeholder proof
+              if (commitmentCircuit) {
+                throw snarkError;
+              }
+              
               // Instead of failing, follow token-agnostic approach and return a valid proof structure
               console.log('Falling back to token-agnostic proof after error');
               
@@ -1717,10 +1747,19 @@ function redactInputs(inputs) {
 
 /**
  * Verifies a zero-knowledge proof against the appropriate circuit
+ *
+ * Proofs built with a balance-commitment circuit version are only valid when
+ * their commitment matches the balances the verifier fetched independently
+ * (`options.balanceCommitment`). Proofs without a circuit version are verified
+ * against the original v1 circuits.
+ *
  * @param {Object} proof - The proof to verify
  * @param {Array} publicSignals - Public signals for verification
  * @param {string} proofType - Type of proof to verify
  * @param {Object} options - Additional options for verification
+ * @param {string} [options.circuitVersion] - Circuit version the proof was generated with
+ * @param {Object} [options.balanceCommitment] - Expected commitment values: wallets with the
+ *   fetched balances, snapshot, salt and optionally threshold
  * @returns {Promise<boolean>} Whether the proof is valid
  * @throws {ZKError} If verification fails
  */
@@ -1807,8 +1846,36 @@ async function verifyZKProofInternal(proof, publicSignals, proofType, operationI
       );
     }
 
+    // Check the balance commitment before the (more expensive) pairing check
+    const commitmentCircuit = getCommitmentCircuitName(proofType, options.circuitVersion);
+    if (commitmentCircuit) {
+      if (!options.balanceCommitment) {
+        throw createZKError(
+          ZKErrorCode.VERIFICATION_SIGNAL_ERROR,
+          'Independently fetched balances are required to verify a balance commitment',
+          {
+            severity: ErrorSeverity.ERROR,
+            details: { proofType, circuitVersion: options.circuitVersion },
+            recoverable: false,
+            userFixable: false
+          }
+        );
+      }
+
+      const { valid, mismatches } = checkCommitmentSignals(publicSignals, options.balanceCommitment);
+      if (!valid) {
+        zkErrorLogger.log('WARNING', 'ZK proof verification failed: balance commitment mismatch', {
+          category: 'proof_verification',
+          userFixable: false,
+          recoverable: false,
+          details: { proofType, operationId, mismatches }
+        });
+        return false;
+      }
+    }
+
     // Get verification key for this proof type
-    const vKey = await getVerificationKey(proofType);
+    const vKey = await getVerificationKey(proofType, commitmentCircuit || undefined);
 
     try {
       // Verify the proof using snarkjs
@@ -1916,7 +1983,7 @@ async function verifyZKProofInternal(proof, publicSignals, proofType, operationI
  * This function works in both Node.js and browser environments
  * 
  * @param {string} proofType - Type of proof (standard, threshold, maximum)
- * @param {string} circuitName - Custom circuit name (if provided)
+ * @param {string} circuitName - Custom circuit name (if provided), e.g. a balance-commitment circuit
  * @returns {Promise<Object>} Verification key object
  * @throws {ZKError} If verification key cannot be loaded
  */
@@ -1937,6 +2004,11 @@ export const getVerificationKey = async (proofType, circuitName) => {
       const filePath = path ? path.resolve(currentDir, vkeyPath) : vkeyPath;
 
       if (!safeFileOps.fileExists(filePath)) {
+        // Balance-commitment circuits are built separately; say how to build them
+        if (circuitName && Object.values(BALANCE_COMMITMENT_CIRCUITS).includes(circuitName)) {
+          throw createMissingArtifactError(circuitName, 'vkey', filePath);
+        }
+
         throw createZKError(
           ZKErrorCode.VERIFICATION_KEY_NOT_FOUND,
           `Could not load verification key from ${vkeyPath}`,
@@ -1955,7 +2027,8 @@ export const getVerificationKey = async (proofType, circuitName) => {
       // Client-side: Fetch from API
       try {
         // In browser, fetch the verification key from our API endpoint
-        const response = await fetch(`/api/zk/verificationKey?proofType=${proofType}`);
+        const circuitParam = circuitName ? `&circuit=${encodeURIComponent(circuitName)}` : '';
+        const response = await fetch(`/api/zk/verificationKey?proofType=${proofType}${circuitParam}`);
         if (!response.ok) {
           throw new Error(`Failed to fetch verification key: ${response.statusText}`);
         }
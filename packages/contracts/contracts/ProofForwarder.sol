@@ -0,0 +1,112 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+
+/**
+ * @title Proof Forwarder
+ * @dev Trusted forwarder (ERC-2771) through which the platform relayer submits proofs on behalf
+ * of users. The user signs an EIP-712 ForwardRequest with their temporary wallet and the relayer
+ * pays the gas; ZKVerifier and ProofOfFunds read the signer as the sender from the address
+ * appended to the call data.
+ *
+ * Requests carry a per-signer nonce so each can be executed once, and a deadline so a relayer
+ * cannot hold on to a request and submit it later. A failed call reverts the whole transaction,
+ * so the nonce is only used up when the forwarded call succeeds.
+ */
+contract ProofForwarder is EIP712 {
+    using ECDSA for bytes32;
+
+    /**
+     * @dev Call signed by `from` for the relayer to forward
+     * @param from Signer of the request, seen by the target as the sender
+     * @param to Contract to call
+     * @param value Native currency sent with the call
+     * @param gas Gas forwarded to the call
+     * @param nonce Nonce of the signer, see getNonce
+     * @param deadline Last timestamp at which the request can be executed
+     * @param data Call data for the target
+     */
+    struct ForwardRequest {
+        address from;
+        address to;
+        uint256 value;
+        uint256 gas;
+        uint256 nonce;
+        uint256 deadline;
+        bytes data;
+    }
+
+    bytes32 private constant _TYPEHASH = keccak256(
+        "ForwardRequest(address from,address to,uint256 value,uint256 gas,uint256 nonce,uint256 deadline,bytes data)"
+    );
+
+    // Next request nonce of each signer
+    mapping(address => uint256) private _nonces;
+
+    event ForwardRequestExecuted(address indexed from, address indexed to, uint256 nonce);
+
+    constructor() EIP712("ProofForwarder", "1") {}
+
+    /**
+     * @dev Get the nonce the next request of a signer must use
+     * @param from Address of the signer
+     * @return The next nonce
+     */
+    function getNonce(address from) public view returns (uint256) {
+        return _nonces[from];
+    }
+
+    /**
+     * @dev Check that a request is signed by its sender, unused and not expired
+     * @param req The request
+     * @param signature EIP-712 signature of the request by `req.from`
+     * @return Whether the request can be executed
+     */
+    function verify(ForwardRequest calldata req, bytes calldata signature) public view returns (bool) {
+        (address signer, ECDSA.RecoverError error) = _hashTypedDataV4(
+            keccak256(abi.encode(_TYPEHASH, req.from, req.to, req.value, req.gas, req.nonce, req.deadline, keccak256(req.data)))
+        ).tryRecover(signature);
+
+        return error == ECDSA.RecoverError.NoError
+            && signer == req.from
+            && _nonces[req.from] == req.nonce
+            && req.deadline >= block.timestamp;
+    }
+
+    /**
+     * @dev Execute a signed request, reverting with the target's reason if the call fails
+     * @param req The request
+     * @param signature EIP-712 signature of the request by `req.from`
+     * @return Return data of the call
+     */
+    function execute(ForwardRequest calldata req, bytes calldata signature) external payable returns (bytes memory) {
+        require(req.deadline >= block.timestamp, "ProofForwarder: request expired");
+        require(verify(req, signature), "ProofForwarder: signature does not match request");
+        require(msg.value == req.value, "ProofForwarder: value mismatch");
+
+        _nonces[req.from] = req.nonce + 1;
+
+        (bool success, bytes memory returndata) = req.to.call{gas: req.gas, value: req.value}(
+            abi.encodePacked(req.data, req.from)
+        );
+
+        // The relayer must not starve the call of gas (EIP-150 keeps 1/64 back)
+        if (gasleft() <= req.gas / 63) {
+            assembly {
+                invalid()
+            }
+        }
+
+        if (!success) {
+            assembly {
+                revert(add(returndata, 32), mload(returndata))
+            }
+        }
+
+        emit ForwardRequestExecuted(req.from, req.to, req.nonce);
+
+        return returndata;
+    }
+}
@@ -4,6 +4,26 @@ pragma solidity ^0.8.19;
 import "@openzeppelin/contracts/security/Pausable.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/metatx/ERC2771Context.sol";
+
+/**
+ * @dev Read interface of version 1 of ProofOfFunds, which stored one proof per address
+ */
+interface ILegacyProofOfFunds {
+    struct Proof {
+        address user;
+        uint256 timestamp;
+        uint256 expiryTime;
+        bytes32 proofHash;
+        uint8 proofType;
+        uint256 thresholdAmount;
+        bool isRevoked;
+        string signatureMessage;
+        bytes signature;
+    }
+
+    function getProof(address _user) external view returns (Proof memory);
+}
 
 /**
  * @title Proof of Funds
@@ -13,20 +33,23 @@ import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
  * - Standard proof (exact amount verification)
  * - Threshold proof (minimum amount verification)
  * - Maximum proof (maximum amount verification)
- * 
+ *
  * @dev Each proof type uses a different verification mechanism and includes:
  * - Proof hash generation using address + amount + type
- * - Expiration mechanism to ensure proofs are time-bound
+ * - Proof IDs, so a user can keep several proofs open at the same time
+ * - Per-proof expiration and revocation to ensure proofs are time-bound
  * - Signature message storage for context of the verification
  * - Proof type storage to prevent cross-type verification
  * - Circuit breaker pattern to pause the contract in case of emergencies
  * - Access control for administrative functions
  * - Reentrancy protection for all state-changing functions
- * 
+ * - Gas-sponsored submission through a trusted forwarder (ERC-2771)
+ * - Import of the proofs of a version 1 deployment
+ *
  * @custom:security-contact security@arbitr.finance
- * @custom:version 1.0.0
+ * @custom:version 2.0.0
  */
-contract ProofOfFunds is Pausable, Ownable, ReentrancyGuard {
+contract ProofOfFunds is Pausable, Ownable, ReentrancyGuard, ERC2771Context {
     /**
      * @dev Enum to represent the different types of proofs
      */
@@ -38,6 +61,7 @@ contract ProofOfFunds is Pausable, Ownable, ReentrancyGuard {
 
     /**
      * @dev Structure to store proof data
+     * @param id The ID of the proof, starting at 1
      * @param user The address of the user who submitted the proof
      * @param timestamp The time when the proof was submitted
      * @param expiryTime The time when the proof expires
@@ -58,23 +82,40 @@ contract ProofOfFunds is Pausable, Ownable, ReentrancyGuard {
         bool isRevoked;
         string signatureMessage;
         bytes signature;
+        uint256 id; // Last so that v1 readers of getProof(address) still decode the struct
     }
 
-    // Mapping from user address to their proof
-    mapping(address => Proof) public proofs;
-    
+    // Mapping from proof ID to proof
+    mapping(uint256 => Proof) private proofs;
+
+    // IDs of the proofs of each user, in submission order
+    mapping(address => uint256[]) private userProofIds;
+
+    // Number of proofs stored, which is also the ID of the latest proof
+    uint256 public proofCount;
+
+    // Forwarder allowed to submit calls on behalf of signers (ERC-2771)
+    address public trustedForwarder;
+
+    // Users whose version 1 proof has been imported
+    mapping(address => bool) public legacyProofImported;
+
+    // Set once the import of version 1 proofs is complete
+    bool public migrationFinalized;
+
     // Contract version for tracking upgrades
-    string public constant VERSION = "1.0.0";
-    
+    string public constant VERSION = "2.0.0";
+
     // Minimum expiry time to prevent extremely short-lived proofs (1 hour)
     uint256 public constant MIN_EXPIRY_TIME = 3600;
-    
+
     // Maximum expiry time to prevent extremely long-lived proofs (1 year)
     uint256 public constant MAX_EXPIRY_TIME = 31536000;
 
     // Events
     /**
      * @dev Emitted when a new proof is submitted
+     * @param proofId The ID of the proof
      * @param user The address of the user who submitted the proof
      * @param proofHash The hash of the proof data
      * @param timestamp The time when the proof was submitted
@@ -82,31 +123,66 @@ contract ProofOfFunds is Pausable, Ownable, ReentrancyGuard {
      * @param proofType The type of proof
      */
     event ProofSubmitted(
-        address indexed user, 
-        bytes32 proofHash, 
-        uint256 timestamp, 
+        uint256 indexed proofId,
+        address indexed user,
+        bytes32 proofHash,
+        uint256 timestamp,
         uint256 expiryTime,
         ProofType proofType
     );
-    
+
     /**
      * @dev Emitted when a proof is revoked
+     * @param proofId The ID of the revoked proof
      * @param user The address of the user who revoked the proof
      * @param proofHash The hash of the revoked proof
      * @param reason The reason for revoking the proof
      */
     event ProofRevoked(
-        address indexed user, 
+        uint256 indexed proofId,
+        address indexed user,
         bytes32 proofHash,
         string reason
     );
-    
+
+    /**
+     * @dev Emitted when the owner of a proof changes its expiry time
+     * @param proofId The ID of the proof
+     * @param user The address of the user who owns the proof
+     * @param previousExpiryTime The expiry time before the change
+     * @param expiryTime The new expiry time
+     */
+    event ProofExpiryUpdated(
+        uint256 indexed proofId,
+        address indexed user,
+        uint256 previousExpiryTime,
+        uint256 expiryTime
+    );
+
+    /**
+     * @dev Emitted when a version 1 proof is imported
+     * @param proofId The ID given to the imported proof
+     * @param user The address of the user who submitted the proof
+     * @param legacyContract The version 1 contract the proof was read from
+     */
+    event ProofMigrated(
+        uint256 indexed proofId,
+        address indexed user,
+        address legacyContract
+    );
+
+    /**
+     * @dev Emitted when the import of version 1 proofs is closed
+     * @param account The address that closed the import
+     */
+    event MigrationFinalized(address account);
+
     /**
      * @dev Emitted when the contract is paused
      * @param account The address that paused the contract
      */
     event ContractPaused(address account);
-    
+
     /**
      * @dev Emitted when the contract is unpaused
      * @param account The address that unpaused the contract
@@ -115,11 +191,13 @@ contract ProofOfFunds is Pausable, Ownable, ReentrancyGuard {
 
     /**
      * @dev Constructor to initialize the contract
+     * @param _trustedForwarder Forwarder allowed to submit calls on behalf of signers
      */
-    constructor() {
+    constructor(address _trustedForwarder) ERC2771Context(_trustedForwarder) {
+        trustedForwarder = _trustedForwarder;
         // Contract starts in unpaused state
     }
-    
+
     /**
      * @dev Modifier to validate expiry time is within acceptable bounds
      * @param _expiryTime The expiry time to validate
@@ -131,6 +209,16 @@ contract ProofOfFunds is Pausable, Ownable, ReentrancyGuard {
         _;
     }
 
+    /**
+     * @dev Modifier to restrict a function to the user who submitted a proof
+     * @param _proofId The ID of the proof
+     */
+    modifier onlyProofOwner(uint256 _proofId) {
+        require(proofs[_proofId].user != address(0), "Proof does not exist");
+        require(proofs[_proofId].user == _msgSender(), "Caller does not own the proof");
+        _;
+    }
+
     /**
      * @dev Generates a proof hash based on the user address, amount, and proof type
      * @param _user The user's address
@@ -151,13 +239,14 @@ contract ProofOfFunds is Pausable, Ownable, ReentrancyGuard {
     }
 
     /**
-     * @dev Submit a new proof of funds
+     * @dev Submit a new proof of funds. Earlier proofs of the user stay valid.
      * @param _proofType The type of proof (STANDARD, THRESHOLD, MAXIMUM)
      * @param _proofHash The hash of the proof data
      * @param _expiryTime The time when the proof expires
      * @param _thresholdAmount The threshold amount for threshold/maximum proofs
      * @param _signatureMessage The message that was signed by the user
      * @param _signature The signature of the user
+     * @return proofId The ID of the new proof
      */
     function submitProof(
         ProofType _proofType,
@@ -166,18 +255,18 @@ contract ProofOfFunds is Pausable, Ownable, ReentrancyGuard {
         uint256 _thresholdAmount,
         string calldata _signatureMessage,
         bytes calldata _signature
-    ) external nonReentrant whenNotPaused validExpiryTime(_expiryTime) {
+    ) external nonReentrant whenNotPaused validExpiryTime(_expiryTime) returns (uint256 proofId) {
         // Validation checks
         require(bytes(_signatureMessage).length > 0, "Signature message is required");
-        
+
         // For THRESHOLD and MAXIMUM types, require a threshold amount
         if (_proofType == ProofType.THRESHOLD || _proofType == ProofType.MAXIMUM) {
             require(_thresholdAmount > 0, "Threshold amount must be greater than zero");
         }
 
         // Create and store the proof
-        proofs[msg.sender] = Proof({
-            user: msg.sender,
+        proofId = _storeProof(Proof({
+            user: _msgSender(),
             timestamp: block.timestamp,
             expiryTime: _expiryTime,
             proofHash: _proofHash,
@@ -185,148 +274,379 @@ contract ProofOfFunds is Pausable, Ownable, ReentrancyGuard {
             thresholdAmount: _thresholdAmount,
             isRevoked: false,
             signatureMessage: _signatureMessage,
-            signature: _signature
-        });
+            signature: _signature,
+            id: 0
+        }));
 
-        emit ProofSubmitted(msg.sender, _proofHash, block.timestamp, _expiryTime, _proofType);
+        Proof storage proof = proofs[proofId];
+        emit ProofSubmitted(proofId, proof.user, proof.proofHash, proof.timestamp, proof.expiryTime, proof.proofType);
     }
 
     /**
-     * @dev Verify a standard proof (exact amount)
-     * @param _user The user's address
-     * @param _claimedAmount The amount to verify
+     * @dev Verify a proof by ID against an amount, according to its type: the exact amount for
+     * standard proofs, and an amount the proven threshold is at least (threshold proofs) or at
+     * most (maximum proofs)
+     * @param _proofId The ID of the proof
+     * @param _amount The amount to verify
      * @return bool Whether the proof is valid
      */
-    function verifyStandardProof(address _user, uint256 _claimedAmount) external view returns (bool) {
-        Proof memory userProof = proofs[_user];
-        
-        // Check if proof exists, is not expired, not revoked, and is of correct type
-        if (userProof.user == address(0) || 
-            userProof.expiryTime <= block.timestamp || 
-            userProof.isRevoked || 
-            userProof.proofType != ProofType.STANDARD) {
+    function verifyProof(uint256 _proofId, uint256 _amount) external view returns (bool) {
+        Proof storage proof = proofs[_proofId];
+
+        if (!_isActive(proof)) {
             return false;
         }
 
-        // Generate hash with claimed amount and check if it matches
-        bytes32 claimedHash = generateProofHash(_user, _claimedAmount, ProofType.STANDARD);
-        return userProof.proofHash == claimedHash;
+        return _matchesAmount(proof, proof.proofType, _amount);
+    }
+
+    /**
+     * @dev Verify a standard proof (exact amount)
+     * @param _user The user's address
+     * @param _claimedAmount The amount to verify
+     * @return bool Whether any active standard proof of the user is for the amount
+     */
+    function verifyStandardProof(address _user, uint256 _claimedAmount) external view returns (bool) {
+        return _anyProofMatches(_user, ProofType.STANDARD, _claimedAmount);
     }
 
     /**
      * @dev Verify a threshold proof (minimum amount)
      * @param _user The user's address
      * @param _minimumAmount The minimum amount to verify
-     * @return bool Whether the proof is valid
+     * @return bool Whether any active threshold proof of the user is for at least the amount
      */
     function verifyThresholdProof(address _user, uint256 _minimumAmount) external view returns (bool) {
-        Proof memory userProof = proofs[_user];
-        
-        // Check if proof exists, is not expired, not revoked, and is of correct type
-        if (userProof.user == address(0) || 
-            userProof.expiryTime <= block.timestamp || 
-            userProof.isRevoked || 
-            userProof.proofType != ProofType.THRESHOLD) {
-            return false;
-        }
-
-        // For threshold proofs, check if the stored threshold amount is at least the minimum
-        return userProof.thresholdAmount >= _minimumAmount;
+        return _anyProofMatches(_user, ProofType.THRESHOLD, _minimumAmount);
     }
 
     /**
      * @dev Verify a maximum proof (maximum amount)
      * @param _user The user's address
      * @param _maximumAmount The maximum amount to verify
-     * @return bool Whether the proof is valid
+     * @return bool Whether any active maximum proof of the user is for at most the amount
      */
     function verifyMaximumProof(address _user, uint256 _maximumAmount) external view returns (bool) {
-        Proof memory userProof = proofs[_user];
-        
-        // Check if proof exists, is not expired, not revoked, and is of correct type
-        if (userProof.user == address(0) || 
-            userProof.expiryTime <= block.timestamp || 
-            userProof.isRevoked || 
-            userProof.proofType != ProofType.MAXIMUM) {
-            return false;
-        }
+        return _anyProofMatches(_user, ProofType.MAXIMUM, _maximumAmount);
+    }
 
-        // For maximum proofs, check if the stored threshold amount is at most the maximum
-        return userProof.thresholdAmount <= _maximumAmount;
+    /**
+     * @dev Revoke one of the caller's proofs
+     * @param _proofId The ID of the proof
+     * @param _reason The reason for revoking the proof
+     */
+    function revokeProofById(
+        uint256 _proofId,
+        string calldata _reason
+    ) external nonReentrant whenNotPaused onlyProofOwner(_proofId) {
+        _revoke(proofs[_proofId], _reason);
     }
 
     /**
-     * @dev Revoke a proof
+     * @dev Revoke the caller's latest proof, as version 1 revoked the caller's only proof
      * @param _reason The reason for revoking the proof
      */
     function revokeProof(string calldata _reason) external nonReentrant whenNotPaused {
-        Proof storage userProof = proofs[msg.sender];
-        
-        // Check if proof exists and is not already revoked
-        require(userProof.user != address(0), "No proof exists for user");
-        require(!userProof.isRevoked, "Proof is already revoked");
-        
-        // Revoke the proof
-        userProof.isRevoked = true;
-        
-        emit ProofRevoked(msg.sender, userProof.proofHash, _reason);
+        uint256[] storage ids = userProofIds[_msgSender()];
+
+        // Check if proof exists
+        require(ids.length > 0, "No proof exists for user");
+
+        _revoke(proofs[ids[ids.length - 1]], _reason);
+    }
+
+    /**
+     * @dev Change the expiry time of one of the caller's proofs
+     * @param _proofId The ID of the proof
+     * @param _expiryTime The new expiry time
+     */
+    function updateProofExpiry(
+        uint256 _proofId,
+        uint256 _expiryTime
+    ) external nonReentrant whenNotPaused onlyProofOwner(_proofId) validExpiryTime(_expiryTime) {
+        Proof storage proof = proofs[_proofId];
+        require(!proof.isRevoked, "Proof is already revoked");
+
+        uint256 previousExpiryTime = proof.expiryTime;
+        proof.expiryTime = _expiryTime;
+
+        emit ProofExpiryUpdated(_proofId, proof.user, previousExpiryTime, _expiryTime);
     }
 
     /**
      * @dev Check if a proof is valid (not expired and not revoked)
-     * @param _user The user's address
+     * @param _proofId The ID of the proof
      * @return bool Whether the proof is valid
      */
+    function isProofValidById(uint256 _proofId) external view returns (bool) {
+        return _isActive(proofs[_proofId]);
+    }
+
+    /**
+     * @dev Check if a user has a valid proof (not expired and not revoked)
+     * @param _user The user's address
+     * @return bool Whether any proof of the user is valid
+     */
     function isProofValid(address _user) external view returns (bool) {
-        Proof memory userProof = proofs[_user];
-        
-        return (userProof.user != address(0) && 
-                userProof.expiryTime > block.timestamp && 
-                !userProof.isRevoked);
+        uint256[] storage ids = userProofIds[_user];
+
+        for (uint256 i = 0; i < ids.length; i++) {
+            if (_isActive(proofs[ids[i]])) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * @dev Retrieve a proof by ID
+     * @param _proofId The ID of the proof
+     * @return The proof, with a zero user if it does not exist
+     */
+    function getProofById(uint256 _proofId) external view returns (Proof memory) {
+        return proofs[_proofId];
     }
 
     /**
-     * @dev Retrieve a proof for a specific user
+     * @dev Retrieve the latest proof of a user
      * @param _user The address of the user
-     * @return The proof data for the specified user
+     * @return The latest proof of the user, with a zero user if there is none
      */
     function getProof(address _user) external view returns (Proof memory) {
-        return proofs[_user];
+        uint256[] storage ids = userProofIds[_user];
+
+        if (ids.length == 0) {
+            return proofs[0];
+        }
+
+        return proofs[ids[ids.length - 1]];
+    }
+
+    /**
+     * @dev Get the IDs of the proofs of a user, oldest first
+     * @param _user The address of the user
+     * @return The proof IDs
+     */
+    function getUserProofIds(address _user) external view returns (uint256[] memory) {
+        return userProofIds[_user];
+    }
+
+    /**
+     * @dev Get the number of proofs of a user, including revoked and expired ones
+     * @param _user The address of the user
+     * @return The number of proofs
+     */
+    function getUserProofCount(address _user) external view returns (uint256) {
+        return userProofIds[_user].length;
+    }
+
+    /**
+     * @dev Get a page of the proofs of a user, oldest first
+     * @param _user The address of the user
+     * @param _offset Index of the first proof to return
+     * @param _limit Maximum number of proofs to return
+     * @return page The proofs
+     */
+    function getUserProofs(
+        address _user,
+        uint256 _offset,
+        uint256 _limit
+    ) external view returns (Proof[] memory page) {
+        uint256[] storage ids = userProofIds[_user];
+
+        if (_offset >= ids.length) {
+            return new Proof[](0);
+        }
+
+        uint256 end = _offset + _limit > ids.length ? ids.length : _offset + _limit;
+        page = new Proof[](end - _offset);
+
+        for (uint256 i = _offset; i < end; i++) {
+            page[i - _offset] = proofs[ids[i]];
+        }
     }
 
     /**
      * @dev Verify if a signature is valid for a message
      * @param _user The user's address
      * @param _message The message that was signed
-     * @return bool Whether the signature is valid
+     * @return bool Whether any proof of the user was signed with the message
      */
     function verifySignature(address _user, string calldata _message) external view returns (bool) {
-        Proof memory userProof = proofs[_user];
-        
-        // Check if proof exists
-        if (userProof.user == address(0)) {
-            return false;
+        uint256[] storage ids = userProofIds[_user];
+        bytes32 messageHash = keccak256(bytes(_message));
+
+        // Compare the stored messages with the provided message
+        for (uint256 i = 0; i < ids.length; i++) {
+            if (keccak256(bytes(proofs[ids[i]].signatureMessage)) == messageHash) {
+                return true;
+            }
         }
 
-        // Compare the stored message with the provided message
-        return keccak256(bytes(userProof.signatureMessage)) == keccak256(bytes(_message));
+        return false;
     }
-    
+
+    /**
+     * @dev Import the proofs of users from a version 1 deployment, keeping their submission
+     * time, expiry and revocation. Users without a proof or imported before are skipped.
+     * @notice Can only be called by the contract owner, until the migration is finalized
+     * @param _legacyContract The version 1 contract
+     * @param _users The users whose proofs to import
+     */
+    function importLegacyProofs(address _legacyContract, address[] calldata _users) external onlyOwner {
+        require(!migrationFinalized, "Migration is finalized");
+
+        ILegacyProofOfFunds legacy = ILegacyProofOfFunds(_legacyContract);
+
+        for (uint256 i = 0; i < _users.length; i++) {
+            if (legacyProofImported[_users[i]]) {
+                continue;
+            }
+
+            ILegacyProofOfFunds.Proof memory legacyProof = legacy.getProof(_users[i]);
+            if (legacyProof.user != _users[i]) {
+                continue;
+            }
+
+            legacyProofImported[_users[i]] = true;
+            uint256 proofId = _storeProof(Proof({
+                user: legacyProof.user,
+                timestamp: legacyProof.timestamp,
+                expiryTime: legacyProof.expiryTime,
+                proofHash: legacyProof.proofHash,
+                proofType: ProofType(legacyProof.proofType),
+                thresholdAmount: legacyProof.thresholdAmount,
+                isRevoked: legacyProof.isRevoked,
+                signatureMessage: legacyProof.signatureMessage,
+                signature: legacyProof.signature,
+                id: 0
+            }));
+
+            emit ProofMigrated(proofId, legacyProof.user, _legacyContract);
+        }
+    }
+
+    /**
+     * @dev Close the import of version 1 proofs for good
+     * @notice Can only be called by the contract owner
+     */
+    function finalizeMigration() external onlyOwner {
+        require(!migrationFinalized, "Migration is finalized");
+
+        migrationFinalized = true;
+        emit MigrationFinalized(_msgSender());
+    }
+
     /**
      * @dev Pauses the contract, preventing new proof submissions and revocations
      * @notice Can only be called by the contract owner
      */
     function pause() external onlyOwner {
         _pause();
-        emit ContractPaused(msg.sender);
+        emit ContractPaused(_msgSender());
     }
-    
+
     /**
      * @dev Unpauses the contract, allowing proof submissions and revocations
      * @notice Can only be called by the contract owner
      */
     function unpause() external onlyOwner {
         _unpause();
-        emit ContractUnpaused(msg.sender);
+        emit ContractUnpaused(_msgSender());
+    }
+
+    /**
+     * @dev Check whether an address is the trusted forwarder. Ownable reads the sender while the
+     * contract is being constructed, before ERC2771Context's immutable forwarder can be read, so
+     * the forwarder is also kept in storage.
+     */
+    function isTrustedForwarder(address forwarder) public view override returns (bool) {
+        return forwarder == trustedForwarder;
+    }
+
+    /**
+     * @dev Store a proof under the next ID and add it to the user's list
+     * @param _proof The proof, whose ID is set here
+     * @return proofId The ID of the stored proof
+     */
+    function _storeProof(Proof memory _proof) private returns (uint256 proofId) {
+        proofId = ++proofCount;
+        _proof.id = proofId;
+
+        proofs[proofId] = _proof;
+        userProofIds[_proof.user].push(proofId);
+    }
+
+    /**
+     * @dev Revoke a proof that is not revoked yet
+     */
+    function _revoke(Proof storage _proof, string calldata _reason) private {
+        require(!_proof.isRevoked, "Proof is already revoked");
+
+        // Revoke the proof
+        _proof.isRevoked = true;
+
+        emit ProofRevoked(_proof.id, _proof.user, _proof.proofHash, _reason);
+    }
+
+    /**
+     * @dev Check if a proof exists, is not expired and is not revoked
+     */
+    function _isActive(Proof storage _proof) private view returns (bool) {
+        return _proof.user != address(0) &&
+            _proof.expiryTime > block.timestamp &&
+            !_proof.isRevoked;
+    }
+
+    /**
+     * @dev Check an amount against a proof of the given type
+     */
+    function _matchesAmount(Proof storage _proof, ProofType _proofType, uint256 _amount) private view returns (bool) {
+        if (_proof.proofType != _proofType) {
+            return false;
+        }
+
+        if (_proofType == ProofType.STANDARD) {
+            // Generate hash with claimed amount and check if it matches
+            return _proof.proofHash == generateProofHash(_proof.user, _amount, ProofType.STANDARD);
+        } else if (_proofType == ProofType.THRESHOLD) {
+            // For threshold proofs, check if the stored threshold amount is at least the minimum
+            return _proof.thresholdAmount >= _amount;
+        }
+
+        // For maximum proofs, check if the stored threshold amount is at most the maximum
+        return _proof.thresholdAmount <= _amount;
+    }
+
+    /**
+     * @dev Check if any active proof of a user of the given type matches an amount
+     */
+    function _anyProofMatches(address _user, ProofType _proofType, uint256 _amount) private view returns (bool) {
+        uint256[] storage ids = userProofIds[_user];
+
+        for (uint256 i = 0; i < ids.length; i++) {
+            Proof storage proof = proofs[ids[i]];
+            if (_isActive(proof) && _matchesAmount(proof, _proofType, _amount)) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * @dev The sender is the signer of forwarded calls and the caller otherwise
+     */
+    function _msgSender() internal view override(Context, ERC2771Context) returns (address) {
+        return ERC2771Context._msgSender();
+    }
+
+    function _msgData() internal view override(Context, ERC2771Context) returns (bytes calldata) {
+        return ERC2771Context._msgData();
+    }
+
+    function _contextSuffixLength() internal view override(Context, ERC2771Context) returns (uint256) {
+        return ERC2771Context._contextSuffixLength();
     }
-} 
\ No newline at end of file
+}
@@ -0,0 +1,153 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @dev ERC-1271 signature check of smart-contract wallets
+ */
+interface IERC1271Wallet {
+    function isValidSignature(bytes32 hash, bytes calldata signature) external view returns (bytes4 magicValue);
+}
+
+error ERC1271Revert(bytes error);
+error ERC6492DeployFailed(bytes error);
+
+/**
+ * @title Universal Signature Validator
+ * @dev Reference validator of EIP-6492. Checks a signature of `hash` by `signer`, whether the signer
+ * is an EOA, a deployed ERC-1271 wallet or a counterfactual wallet that is not deployed yet.
+ *
+ * Signatures of counterfactual wallets are wrapped as
+ * `abi.encode(factory, factoryCalldata, innerSignature) ++ ERC6492_DETECTION_SUFFIX`; the validator
+ * deploys the wallet through the factory before asking it to check the inner signature.
+ */
+contract UniversalSigValidator {
+    bytes32 private constant ERC6492_DETECTION_SUFFIX = 0x6492649264926492649264926492649264926492649264926492649264926492;
+    bytes4 private constant ERC1271_SUCCESS = 0x1626ba7e;
+
+    /**
+     * @dev Check a signature, deploying a counterfactual wallet if needed
+     * @param _signer Address expected to have signed
+     * @param _hash Hash that was signed
+     * @param _signature Signature, possibly wrapped for a counterfactual wallet
+     * @param allowSideEffects Keep the wallet deployed; otherwise the deployment is undone by reverting
+     * @param tryPrepare Run the factory call even if the wallet is already deployed
+     * @return bool Whether the signature is valid
+     */
+    function isValidSigImpl(
+        address _signer,
+        bytes32 _hash,
+        bytes calldata _signature,
+        bool allowSideEffects,
+        bool tryPrepare
+    ) public returns (bool) {
+        uint256 contractCodeLen = address(_signer).code.length;
+        bytes memory sigToValidate;
+
+        bool isCounterfactual = _signature.length >= 32 &&
+            bytes32(_signature[_signature.length - 32:_signature.length]) == ERC6492_DETECTION_SUFFIX;
+
+        if (isCounterfactual) {
+            address create2Factory;
+            bytes memory factoryCalldata;
+            (create2Factory, factoryCalldata, sigToValidate) = abi.decode(
+                _signature[0:_signature.length - 32],
+                (address, bytes, bytes)
+            );
+
+            if (contractCodeLen == 0 || tryPrepare) {
+                (bool success, bytes memory err) = create2Factory.call(factoryCalldata);
+                if (!success) revert ERC6492DeployFailed(err);
+            }
+        } else {
+            sigToValidate = _signature;
+        }
+
+        if (isCounterfactual || contractCodeLen > 0) {
+            try IERC1271Wallet(_signer).isValidSignature(_hash, sigToValidate) returns (bytes4 magicValue) {
+                bool isValid = magicValue == ERC1271_SUCCESS;
+
+                // Undo the deployment and report the result through the revert data
+                if (contractCodeLen == 0 && isCounterfactual && !allowSideEffects) {
+                    assembly {
+                        mstore(0, isValid)
+                        revert(31, 1)
+                    }
+                }
+
+                // The wallet may need the factory call to be up to date, e.g. after an owner change
+                if (!isValid && !tryPrepare && contractCodeLen > 0) {
+                    return isValidSigImpl(_signer, _hash, _signature, allowSideEffects, true);
+                }
+
+                return isValid;
+            } catch (bytes memory err) {
+                if (!tryPrepare && contractCodeLen > 0) {
+                    return isValidSigImpl(_signer, _hash, _signature, allowSideEffects, true);
+                }
+
+                revert ERC1271Revert(err);
+            }
+        }
+
+        require(_signature.length == 65, "SignatureValidator#recoverSigner: invalid signature length");
+        bytes32 r = bytes32(_signature[0:32]);
+        bytes32 s = bytes32(_signature[32:64]);
+        uint8 v = uint8(_signature[64]);
+        if (v != 27 && v != 28) {
+            revert("SignatureValidator: invalid signature v value");
+        }
+
+        return ecrecover(_hash, v, r, s) == _signer;
+    }
+
+    /**
+     * @dev Check a signature and keep a counterfactual wallet deployed
+     */
+    function isValidSigWithSideEffects(
+        address _signer,
+        bytes32 _hash,
+        bytes calldata _signature
+    ) external returns (bool) {
+        return this.isValidSigImpl(_signer, _hash, _signature, true, false);
+    }
+
+    /**
+     * @dev Check a signature without leaving a counterfactual wallet deployed
+     */
+    function isValidSig(
+        address _signer,
+        bytes32 _hash,
+        bytes calldata _signature
+    ) external returns (bool) {
+        try this.isValidSigImpl(_signer, _hash, _signature, false, false) returns (bool isValid) {
+            return isValid;
+        } catch (bytes memory error) {
+            // A one-byte revert carries the result of a counterfactual check
+            uint256 len = error.length;
+            if (len == 1) {
+                return error[0] == 0x01;
+            }
+
+            assembly {
+                revert(add(error, 0x20), len)
+            }
+        }
+    }
+}
+
+/**
+ * @title Off-chain Signature Validation
+ * @dev Deployless validator: run its creation code with eth_call and the call returns a single byte,
+ * 0x01 when the signature is valid. Works on any chain without deploying anything.
+ */
+contract ValidateSigOffchain {
+    constructor(address _signer, bytes32 _hash, bytes memory _signature) {
+        UniversalSigValidator validator = new UniversalSigValidator();
+        bool isValidSig = validator.isValidSigWithSideEffects(_signer, _hash, _signature);
+
+        assembly {
+            mstore(0, isValidSig)
+            return(31, 1)
+        }
+    }
+}
@@ -1,13 +1,15 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.19;
 
+import "@openzeppelin/contracts/metatx/ERC2771Context.sol";
 import "./ProofOfFunds.sol";
+import "./verifiers/IGroth16Verifier.sol";
 
 /**
  * @title Zero-Knowledge Verifier
  * @dev A contract for managing and verifying zero-knowledge proofs related to funds verification.
- * This implementation focuses on the proof management aspects rather than the actual zk-SNARK
- * verification logic, which would be implemented in a production environment.
+ * Every proof is checked with a Groth16 pairing verifier generated from the verification key
+ * of its circuit, both when it is submitted and whenever it is verified.
  *
  * The contract supports three types of zero-knowledge proofs:
  * - Standard: Verify exact amounts without revealing the specific value
@@ -16,8 +18,11 @@ import "./ProofOfFunds.sol";
  *
  * Each proof includes metadata like expiration time, signature message, and revocation status
  * to provide a complete solution for privacy-preserving fund verification.
+ *
+ * Proofs can be submitted through the trusted ProofForwarder (ERC-2771), in which case the
+ * relayer pays the gas and the proof belongs to the address that signed the request.
  */
-contract ZKVerifier {
+contract ZKVerifier is ERC2771Context {
     /**
      * @dev Enum defining the types of zero-knowledge proofs supported
      */
@@ -47,6 +52,20 @@ contract ZKVerifier {
         bytes signature;
     }
 
+    // Number of uint256 words in an encoded proof: A (2), B (4) and C (2) in snarkjs order
+    uint256 private constant PROOF_WORDS = 8;
+
+    // Number of public signals exposed by the proof circuits (the `valid` output).
+    // Only the v1 circuits are verified on-chain: proofs of the balance-commitment (v2)
+    // circuits expose six signals, are checked off-chain against fetched balances and
+    // are rejected here.
+    uint256 private constant PUBLIC_SIGNAL_COUNT = 1;
+
+    // Pairing verifiers generated from the circuit verification keys
+    IGroth16Verifier public immutable standardVerifier;
+    IGroth16Verifier public immutable thresholdVerifier;
+    IGroth16Verifier public immutable maximumVerifier;
+
     // Mapping from user address to their ZK proof
     mapping(address => ZKProof) public zkProofs;
 
@@ -61,10 +80,33 @@ contract ZKVerifier {
     event ZKProofRevoked(address indexed user, uint256 timestamp, string reason);
     event ZKSignatureMessageAdded(address indexed user, string message, bytes signature);
 
+    /**
+     * @dev Initializes the contract with the verifier of each proof type
+     * @param _standardVerifier Verifier generated from standardProof.vkey.json
+     * @param _thresholdVerifier Verifier generated from thresholdProof.vkey.json
+     * @param _maximumVerifier Verifier generated from maximumProof.vkey.json
+     * @param _trustedForwarder Forwarder allowed to submit calls on behalf of signers
+     */
+    constructor(
+        address _standardVerifier,
+        address _thresholdVerifier,
+        address _maximumVerifier,
+        address _trustedForwarder
+    ) ERC2771Context(_trustedForwarder) {
+        require(
+            _standardVerifier != address(0) && _thresholdVerifier != address(0) && _maximumVerifier != address(0),
+            "ZKVerifier: verifier address cannot be zero"
+        );
+
+        standardVerifier = IGroth16Verifier(_standardVerifier);
+        thresholdVerifier = IGroth16Verifier(_thresholdVerifier);
+        maximumVerifier = IGroth16Verifier(_maximumVerifier);
+    }
+
     /**
      * @dev Submit a new zero-knowledge proof
-     * @param _proof The ZK proof data
-     * @param _publicSignals Public inputs to the ZK circuit
+     * @param _proof The ZK proof, ABI-encoded as uint256[8] (pi_a, pi_b, pi_c in snarkjs order)
+     * @param _publicSignals Public signals of the circuit, ABI-encoded as uint256[]
      * @param _expiryTime Time (in seconds) until the proof expires
      * @param _proofType Type of proof (standard, threshold, maximum)
      * @param _signatureMessage Message signed by the user
@@ -78,11 +120,11 @@ contract ZKVerifier {
         string memory _signatureMessage,
         bytes memory _signature
     ) external {
-        // In a real implementation, we would verify the proof here
-        // verifyProof(_proof, _publicSignals);
-        
-        zkProofs[msg.sender] = ZKProof(
-            msg.sender,
+        require(verifyProofData(_proof, _publicSignals, _proofType), "ZKVerifier: invalid proof");
+
+        address sender = _msgSender();
+        zkProofs[sender] = ZKProof(
+            sender,
             block.timestamp,
             _expiryTime > 0 ? block.timestamp + _expiryTime : 0,
             _publicSignals,
@@ -94,7 +136,7 @@ contract ZKVerifier {
         );
 
         emit ZKProofSubmitted(
-            msg.sender, 
+            sender, 
             block.timestamp, 
             _expiryTime > 0 ? block.timestamp + _expiryTime : 0,
             _proofType,
@@ -134,44 +176,58 @@ contract ZKVerifier {
             return false;
         }
         
-        // Verify on-chain signature and basic proof validity
+        // Re-run the pairing check against the stored proof
         return verifyProofData(userProof.proof, userProof.publicSignals, userProof.proofType);
     }
     
     /**
-     * @dev Verify proof data is valid by checking signature and proof format 
-     * @param _proof The ZK proof data to verify
-     * @param _publicSignals Public signals from the proof
+     * @dev Verify proof data with the Groth16 verifier of the proof type
+     * @param _proof The ZK proof, ABI-encoded as uint256[8] (pi_a, pi_b, pi_c in snarkjs order)
+     * @param _publicSignals Public signals of the circuit, ABI-encoded as uint256[]
      * @param _proofType Type of proof being verified
-     * @return Whether the proof data is valid
+     * @return Whether the proof is valid and attests a satisfied balance condition
      */
-    function verifyProofData(bytes memory _proof, bytes memory _publicSignals, ZKProofType _proofType) private pure returns (bool) {
-        // Ensure proof and signals are not empty
-        if (_proof.length == 0 || _publicSignals.length == 0) {
+    function verifyProofData(bytes memory _proof, bytes memory _publicSignals, ZKProofType _proofType) internal view returns (bool) {
+        // Dynamic uint256[] encoding: offset word, length word, then the elements.
+        // Checking the exact size up front keeps abi.decode from reverting on malformed input.
+        if (_proof.length != 64 + PROOF_WORDS * 32 || _publicSignals.length != 64 + PUBLIC_SIGNAL_COUNT * 32) {
             return false;
         }
-        
-        // Basic proof structure verification
-        // The real implementation would do a full zkSNARK verification here
-        // using a Verifier contract specific to each proof type
-        
-        // For different proof types, we'd verify the data differently
+
+        uint256[] memory proofWords = abi.decode(_proof, (uint256[]));
+        uint256[] memory signals = abi.decode(_publicSignals, (uint256[]));
+        if (proofWords.length != PROOF_WORDS || signals.length != PUBLIC_SIGNAL_COUNT) {
+            return false;
+        }
+
+        // The circuits prove a comparison and expose its result as `valid`. A sound
+        // proof with valid == 0 shows the balance condition does NOT hold.
+        if (signals[0] != 1) {
+            return false;
+        }
+
+        uint[2] memory a = [proofWords[0], proofWords[1]];
+        // snarkjs stores G2 coordinates as (c0, c1); the pairing precompile expects (c1, c0)
+        uint[2][2] memory b = [[proofWords[3], proofWords[2]], [proofWords[5], proofWords[4]]];
+        uint[2] memory c = [proofWords[6], proofWords[7]];
+        uint[1] memory input = [signals[0]];
+
+        return verifierFor(_proofType).verifyProof(a, b, c, input);
+    }
+
+    /**
+     * @dev Get the verifier contract responsible for a proof type
+     * @param _proofType Type of proof
+     * @return The verifier for the proof type
+     */
+    function verifierFor(ZKProofType _proofType) public view returns (IGroth16Verifier) {
         if (_proofType == ZKProofType.Standard) {
-            // For standard proof, verify proof length meets minimum requirements
-            // A real implementation would use the StandardProofVerifier contract
-            return _proof.length >= 160; // Minimum length for a proper proof
-        } 
-        else if (_proofType == ZKProofType.Threshold) {
-            // For threshold proof, verify against ThresholdProofVerifier 
-            return _proof.length >= 160;
+            return standardVerifier;
         }
-        else if (_proofType == ZKProofType.Maximum) {
-            // For maximum proof, verify against MaximumProofVerifier
-            return _proof.length >= 160;
+        if (_proofType == ZKProofType.Threshold) {
+            return thresholdVerifier;
         }
-        
-        // Unknown proof type
-        return false;
+        return maximumVerifier;
     }
 
     /**
@@ -179,9 +235,10 @@ contract ZKVerifier {
      * @param _reason Reason for revoking the proof
      */
     function revokeZKProof(string memory _reason) external {
-        require(zkProofs[msg.sender].user == msg.sender, "No proof found for user");
-        zkProofs[msg.sender].isRevoked = true;
-        emit ZKProofRevoked(msg.sender, block.timestamp, _reason);
+        address sender = _msgSender();
+        require(zkProofs[sender].user == sender, "No proof found for user");
+        zkProofs[sender].isRevoked = true;
+        emit ZKProofRevoked(sender, block.timestamp, _reason);
     }
 
     /**
@@ -190,10 +247,11 @@ contract ZKVerifier {
      * @param _signature Cryptographic signature of the message
      */
     function addZKSignatureMessage(string memory _message, bytes memory _signature) external {
-        require(zkProofs[msg.sender].user == msg.sender, "No proof found for user");
-        zkProofs[msg.sender].signatureMessage = _message;
-        zkProofs[msg.sender].signature = _signature;
-        emit ZKSignatureMessageAdded(msg.sender, _message, _signature);
+        address sender = _msgSender();
+        require(zkProofs[sender].user == sender, "No proof found for user");
+        zkProofs[sender].signatureMessage = _message;
+        zkProofs[sender].signature = _signature;
+        emit ZKSignatureMessageAdded(sender, _message, _signature);
     }
 
     /**
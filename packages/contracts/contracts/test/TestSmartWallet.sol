@@ -0,0 +1,40 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+import "@openzeppelin/contracts/interfaces/IERC1271.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+
+/**
+ * @title Test Smart Wallet
+ * @dev Minimal ERC-1271 wallet for tests: a signature is valid when its owner signed the hash.
+ * Used to test signature validation of smart-contract accounts such as Safe multisigs.
+ */
+contract TestSmartWallet is IERC1271 {
+    address public owner;
+
+    constructor(address _owner) {
+        owner = _owner;
+    }
+
+    function isValidSignature(bytes32 _hash, bytes memory _signature) external view override returns (bytes4) {
+        (address signer, ECDSA.RecoverError error) = ECDSA.tryRecover(_hash, _signature);
+
+        return error == ECDSA.RecoverError.NoError && signer == owner ? IERC1271.isValidSignature.selector : bytes4(0xffffffff);
+    }
+}
+
+/**
+ * @title Test Smart Wallet Factory
+ * @dev Deploys TestSmartWallets with CREATE2 so their address is known before deployment
+ */
+contract TestSmartWalletFactory {
+    function deploy(address _owner, bytes32 _salt) external returns (address) {
+        return address(new TestSmartWallet{salt: _salt}(_owner));
+    }
+
+    function getAddress(address _owner, bytes32 _salt) external view returns (address) {
+        bytes32 codeHash = keccak256(abi.encodePacked(type(TestSmartWallet).creationCode, abi.encode(_owner)));
+
+        return address(uint160(uint256(keccak256(abi.encodePacked(bytes1(0xff), address(this), _salt, codeHash)))));
+    }
+}
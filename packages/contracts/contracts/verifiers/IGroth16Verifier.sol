@@ -0,0 +1,25 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.19;
+
+/**
+ * @title Groth16 Verifier Interface
+ * @dev Common interface of the pairing-based verifier contracts generated from the
+ * circuit verification keys (see scripts/generate-verifiers.js). All current proof
+ * circuits expose a single public signal: the `valid` output of the comparison.
+ */
+interface IGroth16Verifier {
+    /**
+     * @dev Verify a Groth16 proof over the BN254 curve
+     * @param _pA Proof point A (G1)
+     * @param _pB Proof point B (G2, coordinates in precompile order)
+     * @param _pC Proof point C (G1)
+     * @param _pubSignals Public signals of the circuit
+     * @return Whether the pairing check succeeds
+     */
+    function verifyProof(
+        uint[2] calldata _pA,
+        uint[2][2] calldata _pB,
+        uint[2] calldata _pC,
+        uint[1] calldata _pubSignals
+    ) external view returns (bool);
+}
@@ -11,12 +11,40 @@ async function main() {
   const balance = await deployer.getBalance();
   console.log("Account balance:", hre.ethers.utils.formatEther(balance), "MATIC");
 
+  // Deploy the Groth16 verifiers generated from the circuit verification keys
+  // (regenerate them with `npm run generate:verifiers` after changing a circuit)
+  const verifiers = {};
+  for (const name of ["StandardProofVerifier", "ThresholdProofVerifier", "MaximumProofVerifier"]) {
+    console.log(`Deploying ${name}...`);
+    const Verifier = await hre.ethers.getContractFactory(name);
+    const verifier = await Verifier.deploy();
+    await verifier.deployed();
+    verifiers[name] = verifier.address;
+    console.log(`${name} deployed to:`, verifier.address);
+  }
+
+  // Gas-sponsored submissions go through the trusted forwarder; reuse a deployed one if given
+  let forwarderAddress = process.env.PROOF_FORWARDER_ADDRESS;
+  if (!forwarderAddress) {
+    console.log("Deploying ProofForwarder...");
+    const ProofForwarder = await hre.ethers.getContractFactory("ProofForwarder");
+    const forwarder = await ProofForwarder.deploy();
+    await forwarder.deployed();
+    forwarderAddress = forwarder.address;
+    console.log("ProofForwarder deployed to:", forwarderAddress);
+  }
+
   // Get the contract factory
   const ZKVerifier = await hre.ethers.getContractFactory("ZKVerifier");
 
   // Deploy the contract
   console.log("Deploying ZKVerifier...");
-  const zkVerifier = await ZKVerifier.deploy();
+  const zkVerifier = await ZKVerifier.deploy(
+    verifiers.StandardProofVerifier,
+    verifiers.ThresholdProofVerifier,
+    verifiers.MaximumProofVerifier,
+    forwarderAddress
+  );
 
   // Wait for deployment
   await zkVerifier.deployed();
@@ -26,6 +54,8 @@ async function main() {
   const deployment = {
     network: "polygon-amoy",
     address: zkVerifier.address,
+    verifiers,
+    forwarder: forwarderAddress,
     deployer: deployer.address,
     deploymentTime: new Date().toISOString(),
     transactionHash: zkVerifier.deployTransaction.hash
@@ -55,7 +85,12 @@ async function main() {
     try {
       await hre.run("verify:verify", {
         address: zkVerifier.address,
-        constructorArguments: []
+        constructorArguments: [
+          verifiers.StandardProofVerifier,
+          verifiers.ThresholdProofVerifier,
+          verifiers.MaximumProofVerifier,
+          forwarderAddress
+        ]
       });
       console.log("Contract verified on Polygonscan!");
     } catch (error) {
@@ -73,7 +108,8 @@ main()
     console.log("Contract address:", address);
     console.log("\nNext steps:");
     console.log("1. Update ZK_VERIFIER_ADDRESS in packages/frontend/.env with:", address);
-    console.log("2. Fund the service wallet if needed");
+    console.log("2. Set RELAYER_FORWARDER_ADDRESS and RELAYER_ZK_VERIFIER_ADDRESS for the backend relayer");
+    console.log("3. Fund the relayer wallet if needed");
     process.exit(0);
   })
   .catch((error) => {
@@ -6,12 +6,22 @@ const path = require("path");
 async function main() {
     console.log("Deploying ProofOfFunds contract...");
 
+    // Gas-sponsored submissions go through the trusted forwarder; reuse a deployed one if given
+    let forwarderAddress = process.env.PROOF_FORWARDER_ADDRESS;
+    if (!forwarderAddress) {
+        const ProofForwarder = await ethers.getContractFactory("ProofForwarder");
+        const forwarder = await ProofForwarder.deploy();
+        await forwarder.deployed();
+        forwarderAddress = forwarder.address;
+        console.log(`ProofForwarder deployed to: ${forwarderAddress}`);
+    }
+
     // Get the contract factory
     const ProofOfFunds = await ethers.getContractFactory("ProofOfFunds");
 
     // Deploy the contract
     console.log("Starting deployment transaction...");
-    const proofOfFunds = await ProofOfFunds.deploy();
+    const proofOfFunds = await ProofOfFunds.deploy(forwarderAddress);
 
     // Wait for the contract to be deployed (ethers v5 syntax)
     await proofOfFunds.deployed();
@@ -27,7 +37,7 @@ async function main() {
 
     // Log verification command
     console.log("\nTo verify on Etherscan, run:");
-    console.log(`npx hardhat verify --network ${network.name} ${contractAddress}`);
+    console.log(`npx hardhat verify --network ${network.name} ${contractAddress} ${forwarderAddress}`);
 
     // Save deployment data to file
     const deploymentDir = path.join(__dirname, "../deployments");
@@ -38,6 +48,7 @@ async function main() {
 
     const deploymentData = {
         contractAddress: contractAddress,
+        forwarderAddress: forwarderAddress,
         txHash: txHash,
         network: network.name,
         chainId: network.config.chainId,
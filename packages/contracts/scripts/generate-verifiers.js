@@ -0,0 +1,67 @@
+// Generates Groth16 verifier contracts from the circuit verification keys
+//
+// Each circuit in /circuits ships a `<name>Proof.vkey.json` exported by snarkjs.
+// This script renders the snarkjs Groth16 Solidity template with those keys and
+// writes one verifier contract per proof type into contracts/verifiers/.
+// Re-run it whenever a circuit is recompiled or a new zkey is contributed:
+//
+//   npm run generate:verifiers -w @proof-of-funds/contracts
+const fs = require("fs");
+const path = require("path");
+const ejs = require("ejs");
+
+const CIRCUITS_DIR = path.join(__dirname, "../../../circuits");
+const OUTPUT_DIR = path.join(__dirname, "../contracts/verifiers");
+// snarkjs does not export its templates, so resolve them relative to the package build
+const TEMPLATE_PATH = path.join(path.dirname(require.resolve("snarkjs")), "../templates/verifier_groth16.sol.ejs");
+
+// Circuit directory name -> generated contract name
+const VERIFIERS = {
+    standard: "StandardProofVerifier",
+    threshold: "ThresholdProofVerifier",
+    maximum: "MaximumProofVerifier",
+};
+
+function loadVerificationKey(circuit) {
+    const vkeyPath = path.join(CIRCUITS_DIR, circuit, `${circuit}Proof.vkey.json`);
+
+    if (!fs.existsSync(vkeyPath)) {
+        throw new Error(`Verification key not found: ${vkeyPath}`);
+    }
+
+    const vkey = JSON.parse(fs.readFileSync(vkeyPath, "utf8"));
+
+    if (vkey.protocol !== "groth16" || vkey.curve !== "bn128") {
+        throw new Error(`Unsupported verification key for ${circuit}: ${vkey.protocol}/${vkey.curve}`);
+    }
+
+    return vkey;
+}
+
+function main() {
+    const template = fs.readFileSync(TEMPLATE_PATH, "utf8");
+
+    if (!fs.existsSync(OUTPUT_DIR)) {
+        fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+    }
+
+    for (const [circuit, contractName] of Object.entries(VERIFIERS)) {
+        const vkey = loadVerificationKey(circuit);
+
+        const source = ejs
+            .render(template, vkey)
+            .replace("contract Groth16Verifier", `contract ${contractName}`);
+
+        const outputPath = path.join(OUTPUT_DIR, `${contractName}.sol`);
+        fs.writeFileSync(outputPath, source);
+
+        console.log(`Generated ${contractName} (${vkey.nPublic} public signal(s)) -> ${path.relative(process.cwd(), outputPath)}`);
+    }
+}
+
+try {
+    main();
+} catch (error) {
+    console.error("Verifier generation failed:", error.message);
+    process.exit(1);
+}
@@ -0,0 +1,63 @@
+// Migration script copying the proofs of a ProofOfFunds 1.0.0 deployment into a 2.0.0 deployment
+const { ethers, network } = require("hardhat");
+
+// Wallets imported per transaction, small enough to stay well below the block gas limit
+const BATCH_SIZE = Number(process.env.MIGRATION_BATCH_SIZE || 50);
+
+async function main() {
+    const legacyAddress = process.env.LEGACY_CONTRACT_ADDRESS;
+    const targetAddress = process.env.CONTRACT_ADDRESS;
+    const fromBlock = Number(process.env.LEGACY_FROM_BLOCK || 0);
+
+    if (!legacyAddress || !targetAddress) {
+        throw new Error("Set LEGACY_CONTRACT_ADDRESS and CONTRACT_ADDRESS");
+    }
+
+    console.log(`Migrating proofs from ${legacyAddress} to ${targetAddress}`);
+    console.log(`Network: ${network.name} (chainId: ${network.config.chainId})`);
+
+    const legacy = await ethers.getContractAt("ProofOfFundsV1", legacyAddress);
+    const proofOfFunds = await ethers.getContractAt("ProofOfFunds", targetAddress);
+
+    if (await proofOfFunds.migrationFinalized()) {
+        throw new Error("The migration of the target contract is already finalized");
+    }
+
+    // Every wallet that ever submitted a proof to the old contract
+    const events = await legacy.queryFilter(legacy.filters.ProofSubmitted(), fromBlock);
+    const users = [...new Set(events.map(event => event.args.user))];
+
+    // Skip wallets already copied by an earlier run
+    const pending = [];
+    for (const user of users) {
+        if (!(await proofOfFunds.legacyProofImported(user))) {
+            pending.push(user);
+        }
+    }
+
+    console.log(`Found ${users.length} wallets, ${pending.length} still to import`);
+
+    for (let i = 0; i < pending.length; i += BATCH_SIZE) {
+        const batch = pending.slice(i, i + BATCH_SIZE);
+        const tx = await proofOfFunds.importLegacyProofs(legacyAddress, batch);
+        await tx.wait();
+        console.log(`Imported wallets ${i + 1}-${i + batch.length} (tx: ${tx.hash})`);
+    }
+
+    // Finalizing is irreversible, so it has to be asked for explicitly
+    if (process.env.FINALIZE_MIGRATION === "true") {
+        const tx = await proofOfFunds.finalizeMigration();
+        await tx.wait();
+        console.log(`Migration finalized (tx: ${tx.hash})`);
+    } else {
+        console.log("Run again with FINALIZE_MIGRATION=true to close the migration");
+    }
+}
+
+// Handle errors
+main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+        console.error("Migration failed:", error);
+        process.exit(1);
+    });
@@ -45,10 +45,52 @@ export class AbiVersionManager {
           "function getProofInfo(bytes32 proofId) view returns (bool, uint8, uint256, address, uint8)",
           "function getLatestProofForWallet(address walletAddress, uint8 proofType) view returns (bytes32)",
           "function getAllProofsForWallet(address walletAddress, uint8 proofType) view returns (bytes32[])",
-          "event ProofSubmitted(bytes32 indexed proofId, address indexed walletAddress, uint8 proofType, bool verified)"
+          "event ProofSubmitted(bytes32 indexed proofId, address indexed walletAddress, uint8 proofType, bool verified)",
+          // Per-address proof storage
+          "function getProof(address _user) view returns (tuple(address user, uint256 timestamp, uint256 expiryTime, bytes32 proofHash, uint8 proofType, uint256 thresholdAmount, bool isRevoked, string signatureMessage, bytes signature))",
+          "function isProofValid(address _user) view returns (bool)",
+          "function revokeProof(string _reason)",
+          "event ProofRevoked(address indexed user, bytes32 proofHash, string reason)"
         ],
         deployedDate: new Date('2025-03-25'),
         compatibleChains: [1, 5, 137, 80001, 80002]
+      },
+      '2.0.0': {
+        version: '2.0.0',
+        abi: [
+          // Proofs are stored under sequential IDs, so a wallet can hold several at once
+          "function submitProof(uint8 _proofType, bytes32 _proofHash, uint256 _expiryTime, uint256 _thresholdAmount, string _signatureMessage, bytes _signature) returns (uint256 proofId)",
+          "function generateProofHash(address _user, uint256 _amount, uint8 _proofType) pure returns (bytes32)",
+          "function verifyProof(uint256 _proofId, uint256 _amount) view returns (bool)",
+          "function verifyStandardProof(address _user, uint256 _claimedAmount) view returns (bool)",
+          "function verifyThresholdProof(address _user, uint256 _minimumAmount) view returns (bool)",
+          "function verifyMaximumProof(address _user, uint256 _maximumAmount) view returns (bool)",
+          "function verifySignature(address _user, string _message) view returns (bool)",
+          "function revokeProofById(uint256 _proofId, string _reason)",
+          "function revokeProof(string _reason)",
+          "function updateProofExpiry(uint256 _proofId, uint256 _expiryTime)",
+          "function isProofValidById(uint256 _proofId) view returns (bool)",
+          "function isProofValid(address _user) view returns (bool)",
+          "function getProofById(uint256 _proofId) view returns (tuple(address user, uint256 timestamp, uint256 expiryTime, bytes32 proofHash, uint8 proofType, uint256 thresholdAmount, bool isRevoked, string signatureMessage, bytes signature, uint256 id))",
+          "function getProof(address _user) view returns (tuple(address user, uint256 timestamp, uint256 expiryTime, bytes32 proofHash, uint8 proofType, uint256 thresholdAmount, bool isRevoked, string signatureMessage, bytes signature, uint256 id))",
+          "function getUserProofIds(address _user) view returns (uint256[])",
+          "function getUserProofCount(address _user) view returns (uint256)",
+          "function getUserProofs(address _user, uint256 _offset, uint256 _limit) view returns (tuple(address user, uint256 timestamp, uint256 expiryTime, bytes32 proofHash, uint8 proofType, uint256 thresholdAmount, bool isRevoked, string signatureMessage, bytes signature, uint256 id)[] page)",
+          "function proofCount() view returns (uint256)",
+          // Migration from a 1.0.0 deployment
+          "function importLegacyProofs(address _legacyContract, address[] _users)",
+          "function finalizeMigration()",
+          "function legacyProofImported(address) view returns (bool)",
+          "function migrationFinalized() view returns (bool)",
+          "event ProofSubmitted(uint256 indexed proofId, address indexed user, bytes32 proofHash, uint256 timestamp, uint256 expiryTime, uint8 proofType)",
+          "event ProofRevoked(uint256 indexed proofId, address indexed user, bytes32 proofHash, string reason)",
+          "event ProofExpiryUpdated(uint256 indexed proofId, address indexed user, uint256 previousExpiryTime, uint256 expiryTime)",
+          "event ProofMigrated(uint256 indexed proofId, address indexed user, address legacyContract)",
+          "event MigrationFinalized(address account)"
+        ],
+        deployedDate: new Date('2025-10-19'),
+        compatibleChains: [1, 137, 31337, 80002],
+        notes: 'Multiple proofs per wallet; migrate 1.0.0 deployments with importLegacyProofs'
       }
     },
     'ProofOfFundsSimple': {
@@ -75,7 +117,12 @@ export class AbiVersionManager {
           "function getVerificationKey(string circuitId) view returns (string)",
           "function setVerificationKey(string circuitId, string verificationKey) returns (bool)",
           "function verifiedProofs(bytes32) view returns (bool)",
-          "event ProofVerified(bytes32 indexed proofId, bool verified)"
+          "event ProofVerified(bytes32 indexed proofId, bool verified)",
+          // Per-address ZK proof storage
+          "function getZKProof(address _user) view returns (tuple(address user, uint256 timestamp, uint256 expiryTime, bytes publicSignals, bytes proof, uint8 proofType, bool isRevoked, string signatureMessage, bytes signature))",
+          "function verifyZKProof(address _user) view returns (bool)",
+          "function revokeZKProof(string _reason)",
+          "event ZKProofRevoked(address indexed user, uint256 timestamp, string reason)"
         ],
         deployedDate: new Date('2025-03-25'),
         compatibleChains: [1, 5, 137, 80001, 80002]
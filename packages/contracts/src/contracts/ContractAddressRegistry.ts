@@ -3,6 +3,8 @@
  * @description Registry for contract addresses across multiple chains
  */
 
+import { CONTRACT_ADDRESS, CONTRACT_VERSION, ZK_VERIFIER_ADDRESS } from '@proof-of-funds/common/src/config/constants';
+
 interface ContractDeployment {
   address: string;
   deployedAt: number; // Block number
@@ -167,8 +169,28 @@ export class ContractAddressRegistry {
         }
       ];
       
+      // Proof storage contracts on Amoy, overridable through the shared constants
+      const proofDeployments = [
+        {
+          contractName: 'ProofOfFunds',
+          chainId: 80002, // Amoy
+          address: CONTRACT_ADDRESS,
+          blockNumber: 3000000,
+          deployer: '0x1234567890123456789012345678901234567890',
+          version: CONTRACT_VERSION
+        },
+        {
+          contractName: 'ZKVerifier',
+          chainId: 80002, // Amoy
+          address: ZK_VERIFIER_ADDRESS,
+          blockNumber: 3000000,
+          deployer: '0x1234567890123456789012345678901234567890',
+          version: '1.0.0'
+        }
+      ];
+      
       // Process each hardcoded deployment
-      for (const deployment of simpleDeployments) {
+      for (const deployment of [...simpleDeployments, ...proofDeployments]) {
         this.addDeployment(
           deployment.contractName,
           deployment.chainId,
@@ -48,6 +48,12 @@ export abstract class ContractInterface {
    */
   protected initializeContract(chainId: number): void {
     const address = this.addressRegistry.getAddress(this.contractName, chainId);
+    
+    // Talk to the deployment with the ABI of its version when one is known
+    const [deployment] = this.addressRegistry.getAllDeployments(this.contractName, chainId);
+    if (deployment && this.abiManager.getAvailableVersions().includes(deployment.version)) {
+      this.abiManager.setCurrentVersion(deployment.version);
+    }
     const abi = this.abiManager.getCurrentAbi();
     
     if (!address) {
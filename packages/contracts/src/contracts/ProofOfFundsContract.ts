@@ -12,8 +12,10 @@ import {
   ProofType, 
   WalletAddress,
   ProofSubmission,
-  ProofStatus
-} from '../types';
+  ProofStatus,
+  OnChainProof,
+  TransactionResult
+} from '../types/contractTypes';
 
 /**
  * Interface for ProofOfFunds smart contract
@@ -338,6 +340,223 @@ export class ProofOfFundsContract extends ContractInterface {
     }
   }
   
+  /**
+   * Gets the latest proof stored for a wallet
+   * @param walletAddress Wallet address that submitted the proof
+   * @returns Promise that resolves to the proof or null if the wallet has none
+   */
+  async getProof(walletAddress: WalletAddress): Promise<OnChainProof | null> {
+    const normalizedWalletAddress = ethers.utils.getAddress(walletAddress);
+    
+    const proof = await this.call<any>('getProof', normalizedWalletAddress);
+    
+    return this.toOnChainProof(proof);
+  }
+  
+  /**
+   * Gets a proof by its ID
+   * @param proofId ID assigned to the proof on submission
+   * @returns Promise that resolves to the proof or null if it does not exist
+   */
+  async getProofById(proofId: number): Promise<OnChainProof | null> {
+    this.requireProofIds();
+    
+    const proof = await this.call<any>('getProofById', proofId);
+    
+    return this.toOnChainProof(proof);
+  }
+  
+  /**
+   * Gets the IDs of all proofs a wallet has submitted, oldest first
+   * @param walletAddress Wallet address that submitted the proofs
+   * @returns Promise that resolves to the proof IDs
+   */
+  async getUserProofIds(walletAddress: WalletAddress): Promise<number[]> {
+    this.requireProofIds();
+    
+    const ids = await this.call<ethers.BigNumber[]>('getUserProofIds', ethers.utils.getAddress(walletAddress));
+    
+    return ids.map(id => id.toNumber());
+  }
+  
+  /**
+   * Gets the proofs a wallet has submitted, oldest first
+   *
+   * A 1.0.0 deployment keeps a single proof per wallet, which is returned on its own.
+   *
+   * @param walletAddress Wallet address that submitted the proofs
+   * @param offset Number of proofs to skip
+   * @param limit Maximum number of proofs to return, all remaining proofs when omitted
+   * @returns Promise that resolves to the proofs
+   */
+  async getUserProofs(
+    walletAddress: WalletAddress,
+    offset: number = 0,
+    limit?: number
+  ): Promise<OnChainProof[]> {
+    const normalizedWalletAddress = ethers.utils.getAddress(walletAddress);
+    
+    if (!this.supportsProofIds()) {
+      const proof = offset === 0 ? await this.getProof(normalizedWalletAddress) : null;
+      return proof ? [proof] : [];
+    }
+    
+    const proofs = await this.call<any[]>(
+      'getUserProofs',
+      normalizedWalletAddress,
+      offset,
+      limit ?? ethers.constants.MaxUint256.sub(offset)
+    );
+    
+    return proofs
+      .map(proof => this.toOnChainProof(proof))
+      .filter((proof): proof is OnChainProof => proof !== null);
+  }
+  
+  /**
+   * Checks whether any of a wallet's proofs is unexpired and not revoked
+   * @param walletAddress Wallet address to check
+   * @returns Promise that resolves to true if a proof is valid
+   */
+  async isProofValid(walletAddress: WalletAddress): Promise<boolean> {
+    return this.call<boolean>('isProofValid', ethers.utils.getAddress(walletAddress));
+  }
+  
+  /**
+   * Checks whether a proof exists, is unexpired and not revoked
+   * @param proofId ID of the proof
+   * @returns Promise that resolves to true if the proof is valid
+   */
+  async isProofValidById(proofId: number): Promise<boolean> {
+    this.requireProofIds();
+    
+    return this.call<boolean>('isProofValidById', proofId);
+  }
+  
+  /**
+   * Revokes the signer's latest proof
+   * @param reason Reason recorded in the ProofRevoked event
+   * @param options Transaction options
+   * @returns Promise that resolves to the transaction result
+   */
+  async revokeProof(reason: string, options: TransactionOptions = {}): Promise<TransactionResult> {
+    return await this.sendTransaction('revokeProof', options, reason);
+  }
+  
+  /**
+   * Revokes one of the signer's proofs
+   * @param proofId ID of the proof to revoke
+   * @param reason Reason recorded in the ProofRevoked event
+   * @param options Transaction options
+   * @returns Promise that resolves to the transaction result
+   */
+  async revokeProofById(
+    proofId: number,
+    reason: string,
+    options: TransactionOptions = {}
+  ): Promise<TransactionResult> {
+    this.requireProofIds();
+    
+    return await this.sendTransaction('revokeProofById', options, proofId, reason);
+  }
+  
+  /**
+   * Changes when one of the signer's proofs expires
+   * @param proofId ID of the proof
+   * @param expiryTime New expiry time in seconds since epoch
+   * @param options Transaction options
+   * @returns Promise that resolves to the transaction result
+   */
+  async updateProofExpiry(
+    proofId: number,
+    expiryTime: number,
+    options: TransactionOptions = {}
+  ): Promise<TransactionResult> {
+    this.requireProofIds();
+    
+    return await this.sendTransaction('updateProofExpiry', options, proofId, expiryTime);
+  }
+  
+  /**
+   * Copies the proofs of wallets from a 1.0.0 deployment (owner only)
+   *
+   * Wallets that were already imported or have no proof in the old deployment
+   * are skipped, so the same list can be sent again after a failed batch.
+   *
+   * @param legacyAddress Address of the 1.0.0 deployment
+   * @param walletAddresses Wallets whose proofs to copy
+   * @param options Transaction options
+   * @returns Promise that resolves to the transaction result
+   */
+  async importLegacyProofs(
+    legacyAddress: string,
+    walletAddresses: WalletAddress[],
+    options: TransactionOptions = {}
+  ): Promise<TransactionResult> {
+    this.requireProofIds();
+    
+    return await this.sendTransaction(
+      'importLegacyProofs',
+      options,
+      ethers.utils.getAddress(legacyAddress),
+      walletAddresses.map(address => ethers.utils.getAddress(address))
+    );
+  }
+  
+  /**
+   * Ends the migration so that no more proofs can be imported (owner only)
+   * @param options Transaction options
+   * @returns Promise that resolves to the transaction result
+   */
+  async finalizeMigration(options: TransactionOptions = {}): Promise<TransactionResult> {
+    this.requireProofIds();
+    
+    return await this.sendTransaction('finalizeMigration', options);
+  }
+  
+  /**
+   * Whether the deployment stores proofs under IDs (version 2.0.0 and later)
+   */
+  private supportsProofIds(): boolean {
+    return Number(this.getAbiVersion().split('.')[0]) >= 2;
+  }
+  
+  /**
+   * @throws Error if the deployment predates proof IDs
+   */
+  private requireProofIds(): void {
+    if (!this.supportsProofIds()) {
+      throw new Error(`ProofOfFunds ${this.getAbiVersion()} does not support proof IDs`);
+    }
+  }
+  
+  /**
+   * Converts a proof struct returned by the contract
+   * @param proof Decoded proof struct
+   * @returns The proof or null for an unset storage slot
+   */
+  private toOnChainProof(proof: any): OnChainProof | null {
+    // Unset storage slots come back with a zero user
+    if (!proof || proof.user === ethers.constants.AddressZero) {
+      return null;
+    }
+    
+    return {
+      // 1.0.0 deployments do not return an ID
+      id: proof.id ? proof.id.toNumber() : 0,
+      user: proof.user,
+      timestamp: proof.timestamp.toNumber(),
+      expiryTime: proof.expiryTime.toNumber(),
+      proofHash: proof.proofHash,
+      // The contract enum is zero-based
+      proofType: (Number(proof.proofType) + 1) as ProofType,
+      thresholdAmount: proof.thresholdAmount,
+      isRevoked: proof.isRevoked,
+      signatureMessage: proof.signatureMessage,
+      signature: proof.signature
+    };
+  }
+  
   /**
    * Validates proof data
    * @param proofData The proof data to validate
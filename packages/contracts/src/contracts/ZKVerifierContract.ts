@@ -5,7 +5,15 @@
 
 import { ethers } from 'ethers';
 import { ContractInterface } from './ContractInterface';
-import { ProofData, TransactionOptions, VerificationResult, TransactionResult } from '../types';
+import {
+  ProofData,
+  ProofType,
+  TransactionOptions,
+  VerificationResult,
+  TransactionResult,
+  OnChainZKProof,
+  WalletAddress
+} from '../types/contractTypes';
 
 /**
  * Interface for ZK Verifier smart contract
@@ -134,6 +142,54 @@ export class ZKVerifierContract extends ContractInterface {
     return this.call<boolean>('verifiedProofs', proofId);
   }
   
+  /**
+   * Gets the ZK proof stored for a wallet
+   * @param walletAddress Wallet address that submitted the proof
+   * @returns Promise that resolves to the proof or null if the wallet has none
+   */
+  async getZKProof(walletAddress: WalletAddress): Promise<OnChainZKProof | null> {
+    const normalizedWalletAddress = ethers.utils.getAddress(walletAddress);
+    
+    const proof = await this.call<any>('getZKProof', normalizedWalletAddress);
+    
+    // Unset storage slots come back with a zero user
+    if (!proof || proof.user === ethers.constants.AddressZero) {
+      return null;
+    }
+    
+    return {
+      user: proof.user,
+      timestamp: proof.timestamp.toNumber(),
+      expiryTime: proof.expiryTime.toNumber(),
+      publicSignals: proof.publicSignals,
+      proof: proof.proof,
+      // The contract enum is zero-based
+      proofType: (Number(proof.proofType) + 1) as ProofType,
+      isRevoked: proof.isRevoked,
+      signatureMessage: proof.signatureMessage,
+      signature: proof.signature
+    };
+  }
+  
+  /**
+   * Checks whether a wallet's ZK proof verifies and is still active
+   * @param walletAddress Wallet address to check
+   * @returns Promise that resolves to true if the proof is valid
+   */
+  async isZKProofValid(walletAddress: WalletAddress): Promise<boolean> {
+    return this.call<boolean>('verifyZKProof', ethers.utils.getAddress(walletAddress));
+  }
+  
+  /**
+   * Revokes the signer's ZK proof
+   * @param reason Reason recorded in the ZKProofRevoked event
+   * @param options Transaction options
+   * @returns Promise that resolves to the transaction result
+   */
+  async revokeZKProof(reason: string, options: TransactionOptions = {}): Promise<TransactionResult> {
+    return await this.sendTransaction('revokeZKProof', options, reason);
+  }
+  
   /**
    * Validates proof data
    * @param proofData The proof data to validate
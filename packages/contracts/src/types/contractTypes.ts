@@ -101,6 +101,37 @@ export interface ProofSubmission {
   batchIndex?: number;
 }
 
+/**
+ * Interface for a proof stored by the ProofOfFunds contract
+ */
+export interface OnChainProof {
+  id: number; // Proof ID, 0 for proofs read from a 1.0.0 deployment
+  user: string;
+  timestamp: number; // Seconds since epoch
+  expiryTime: number; // Seconds since epoch
+  proofHash: string;
+  proofType: ProofType;
+  thresholdAmount: ethers.BigNumber;
+  isRevoked: boolean;
+  signatureMessage: string;
+  signature: string;
+}
+
+/**
+ * Interface for a proof stored by the ZKVerifier contract
+ */
+export interface OnChainZKProof {
+  user: string;
+  timestamp: number; // Seconds since epoch
+  expiryTime: number; // Seconds since epoch, 0 for no expiry
+  publicSignals: string;
+  proof: string;
+  proofType: ProofType;
+  isRevoked: boolean;
+  signatureMessage: string;
+  signature: string;
+}
+
 /**
  * Interface for gas strategy
  */
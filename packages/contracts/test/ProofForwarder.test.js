@@ -0,0 +1,140 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("ProofForwarder", function () {
+    let forwarder;
+    let proofOfFunds;
+    let relayer;
+    let user;
+    let other;
+
+    const ForwardRequest = [
+        { name: "from", type: "address" },
+        { name: "to", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "gas", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+        { name: "data", type: "bytes" }
+    ];
+
+    const latestTimestamp = async () => (await ethers.provider.getBlock("latest")).timestamp;
+
+    // Build and sign a request for `signer` to call ProofOfFunds through the forwarder
+    const signRequest = async (signer, data, overrides = {}) => {
+        const { chainId } = await ethers.provider.getNetwork();
+        const request = {
+            from: await signer.getAddress(),
+            to: proofOfFunds.address,
+            value: 0,
+            gas: 500000,
+            nonce: (await forwarder.getNonce(await signer.getAddress())).toNumber(),
+            deadline: (await latestTimestamp()) + 3600,
+            data,
+            ...overrides
+        };
+        const domain = { name: "ProofForwarder", version: "1", chainId, verifyingContract: forwarder.address };
+        const signature = await signer._signTypedData(domain, { ForwardRequest }, request);
+
+        return { request, signature };
+    };
+
+    const submitProofData = async () => proofOfFunds.interface.encodeFunctionData("submitProof", [
+        0, // STANDARD type
+        await proofOfFunds.generateProofHash(await user.getAddress(), ethers.utils.parseEther("10"), 0),
+        (await latestTimestamp()) + 86400,
+        0,
+        "Test signature message",
+        "0x"
+    ]);
+
+    beforeEach(async function () {
+        [relayer, user, other] = await ethers.getSigners();
+
+        const ProofForwarder = await ethers.getContractFactory("ProofForwarder");
+        forwarder = await ProofForwarder.deploy();
+        await forwarder.deployed();
+
+        const ProofOfFunds = await ethers.getContractFactory("ProofOfFunds");
+        proofOfFunds = await ProofOfFunds.deploy(forwarder.address);
+        await proofOfFunds.deployed();
+    });
+
+    describe("Forwarding", function () {
+        it("Should submit the proof for the signer while the relayer pays the gas", async function () {
+            const { request, signature } = await signRequest(user, await submitProofData());
+            const userBalance = await user.getBalance();
+
+            expect(await forwarder.verify(request, signature)).to.be.true;
+            await expect(forwarder.connect(relayer).execute(request, signature))
+                .to.emit(forwarder, "ForwardRequestExecuted")
+                .withArgs(request.from, proofOfFunds.address, 0);
+
+            const proof = await proofOfFunds.getProof(await user.getAddress());
+            expect(proof.user).to.equal(await user.getAddress());
+            expect((await proofOfFunds.getProof(await relayer.getAddress())).user).to.equal(ethers.constants.AddressZero);
+            expect(await user.getBalance()).to.equal(userBalance);
+            expect(await forwarder.getNonce(await user.getAddress())).to.equal(1);
+        });
+
+        it("Should revoke the signer's proof", async function () {
+            const submitted = await signRequest(user, await submitProofData());
+            await forwarder.execute(submitted.request, submitted.signature);
+
+            const revoked = await signRequest(user, proofOfFunds.interface.encodeFunctionData("revokeProof", ["Rotated wallet"]));
+            await forwarder.execute(revoked.request, revoked.signature);
+
+            expect((await proofOfFunds.getProof(await user.getAddress())).isRevoked).to.be.true;
+        });
+
+        it("Should still accept direct calls from users", async function () {
+            const revoke = proofOfFunds.connect(user).revokeProof("Direct");
+
+            await expect(revoke).to.be.revertedWith("No proof exists for user");
+        });
+
+        it("Should recognise only its own address as trusted", async function () {
+            expect(await proofOfFunds.isTrustedForwarder(forwarder.address)).to.be.true;
+            expect(await proofOfFunds.isTrustedForwarder(await relayer.getAddress())).to.be.false;
+        });
+    });
+
+    describe("Rejecting requests", function () {
+        it("Should reject requests signed by someone else", async function () {
+            const { request, signature } = await signRequest(other, await submitProofData(), {
+                from: await user.getAddress()
+            });
+
+            expect(await forwarder.verify(request, signature)).to.be.false;
+            await expect(forwarder.execute(request, signature))
+                .to.be.revertedWith("ProofForwarder: signature does not match request");
+        });
+
+        it("Should reject replayed requests", async function () {
+            const { request, signature } = await signRequest(user, await submitProofData());
+            await forwarder.execute(request, signature);
+
+            await expect(forwarder.execute(request, signature))
+                .to.be.revertedWith("ProofForwarder: signature does not match request");
+        });
+
+        it("Should reject requests past their deadline", async function () {
+            const { request, signature } = await signRequest(user, await submitProofData(), {
+                deadline: (await latestTimestamp()) - 1
+            });
+
+            await expect(forwarder.execute(request, signature))
+                .to.be.revertedWith("ProofForwarder: request expired");
+        });
+
+        it("Should bubble up the target's revert and keep the nonce", async function () {
+            const { request, signature } = await signRequest(
+                user,
+                proofOfFunds.interface.encodeFunctionData("revokeProof", ["Nothing to revoke"])
+            );
+
+            await expect(forwarder.execute(request, signature)).to.be.revertedWith("No proof exists for user");
+            expect(await forwarder.getNonce(await user.getAddress())).to.equal(0);
+        });
+    });
+});
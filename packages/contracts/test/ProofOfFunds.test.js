@@ -21,9 +21,13 @@ describe("ProofOfFunds", function () {
     };
 
     beforeEach(async function () {
-        // Deploy the contract
+        // Deploy the contract with its trusted forwarder
+        const ProofForwarder = await ethers.getContractFactory("ProofForwarder");
+        const forwarder = await ProofForwarder.deploy();
+        await forwarder.deployed();
+
         const ProofOfFunds = await ethers.getContractFactory("ProofOfFunds");
-        proofOfFunds = await ProofOfFunds.deploy();
+        proofOfFunds = await ProofOfFunds.deploy(forwarder.address);
         await proofOfFunds.deployed(); // ethers v5 uses deployed() instead of waitForDeployment()
 
         // Get signers
@@ -206,4 +210,168 @@ describe("ProofOfFunds", function () {
             expect(isValidAfter).to.be.false;
         });
     });
-});
\ No newline at end of file
+
+    describe("Multiple Proofs", function () {
+        // Submit a proof for `signer` and return its ID
+        const submit = async (signer, proofType, amount, message = "Test signature message") => {
+            const address = await signer.getAddress();
+            const proofHash = await proofOfFunds.generateProofHash(address, amount, proofType);
+            const tx = await proofOfFunds.connect(signer).submitProof(
+                proofType,
+                proofHash,
+                Math.floor(Date.now() / 1000) + 86400,
+                proofType === 0 ? 0 : amount,
+                message,
+                "0x"
+            );
+            const receipt = await tx.wait();
+            return receipt.events.find(event => event.event === "ProofSubmitted").args.proofId;
+        };
+
+        it("Should keep earlier proofs when a user submits another", async function () {
+            const address = await user1.getAddress();
+
+            const first = await submit(user1, 0, parseEther("10"));
+            const second = await submit(user1, 1, parseEther("50"), "For counterparty B");
+            await submit(user2, 0, parseEther("1"));
+
+            expect(first).to.equal(1);
+            expect(second).to.equal(2);
+            expect(await proofOfFunds.proofCount()).to.equal(3);
+            expect(await proofOfFunds.getUserProofCount(address)).to.equal(2);
+            expect((await proofOfFunds.getUserProofIds(address)).map(id => id.toNumber())).to.deep.equal([1, 2]);
+
+            // Both proofs verify, and the latest is returned by address
+            expect(await proofOfFunds.verifyStandardProof(address, parseEther("10"))).to.be.true;
+            expect(await proofOfFunds.verifyThresholdProof(address, parseEther("40"))).to.be.true;
+            expect(await proofOfFunds.verifyProof(first, parseEther("10"))).to.be.true;
+            expect(await proofOfFunds.verifyProof(second, parseEther("60"))).to.be.false;
+            expect((await proofOfFunds.getProof(address)).id).to.equal(second);
+            expect(await proofOfFunds.verifySignature(address, "For counterparty B")).to.be.true;
+        });
+
+        it("Should page through the proofs of a user", async function () {
+            const address = await user1.getAddress();
+            for (let i = 1; i <= 3; i++) {
+                await submit(user1, 1, parseEther(String(i)));
+            }
+
+            const page = await proofOfFunds.getUserProofs(address, 1, 5);
+
+            expect(page.map(proof => proof.id.toNumber())).to.deep.equal([2, 3]);
+            expect(page[0].thresholdAmount).to.equal(parseEther("2"));
+            expect(await proofOfFunds.getUserProofs(address, 3, 5)).to.deep.equal([]);
+        });
+
+        it("Should revoke one proof and leave the others valid", async function () {
+            const address = await user1.getAddress();
+            const first = await submit(user1, 0, parseEther("10"));
+            const second = await submit(user1, 0, parseEther("20"));
+
+            await expect(proofOfFunds.connect(user1).revokeProofById(first, "Deal closed"))
+                .to.emit(proofOfFunds, "ProofRevoked")
+                .withArgs(first, address, (await proofOfFunds.getProofById(first)).proofHash, "Deal closed");
+
+            expect(await proofOfFunds.isProofValidById(first)).to.be.false;
+            expect(await proofOfFunds.isProofValidById(second)).to.be.true;
+            expect(await proofOfFunds.isProofValid(address)).to.be.true;
+            expect(await proofOfFunds.verifyStandardProof(address, parseEther("10"))).to.be.false;
+            expect(await proofOfFunds.verifyStandardProof(address, parseEther("20"))).to.be.true;
+
+            await expect(proofOfFunds.connect(user1).revokeProofById(first, "Again"))
+                .to.be.revertedWith("Proof is already revoked");
+        });
+
+        it("Should only let the owner of a proof change it", async function () {
+            const proofId = await submit(user1, 0, parseEther("10"));
+
+            await expect(proofOfFunds.connect(user2).revokeProofById(proofId, "Not mine"))
+                .to.be.revertedWith("Caller does not own the proof");
+            await expect(proofOfFunds.connect(user1).revokeProofById(99, "Missing"))
+                .to.be.revertedWith("Proof does not exist");
+        });
+
+        it("Should change the expiry of a proof", async function () {
+            const address = await user1.getAddress();
+            const proofId = await submit(user1, 0, parseEther("10"));
+            const previousExpiry = (await proofOfFunds.getProofById(proofId)).expiryTime;
+            const expiryTime = Math.floor(Date.now() / 1000) + 7 * 86400;
+
+            await expect(proofOfFunds.connect(user1).updateProofExpiry(proofId, expiryTime))
+                .to.emit(proofOfFunds, "ProofExpiryUpdated")
+                .withArgs(proofId, address, previousExpiry, expiryTime);
+            expect((await proofOfFunds.getProofById(proofId)).expiryTime).to.equal(expiryTime);
+
+            await expect(proofOfFunds.connect(user1).updateProofExpiry(proofId, Math.floor(Date.now() / 1000) - 1))
+                .to.be.revertedWith("Expiry time must be in the future");
+        });
+
+        it("Should revoke the latest proof through the version 1 revokeProof", async function () {
+            const first = await submit(user1, 0, parseEther("10"));
+            const second = await submit(user1, 0, parseEther("20"));
+
+            await proofOfFunds.connect(user1).revokeProof("Latest");
+
+            expect(await proofOfFunds.isProofValidById(first)).to.be.true;
+            expect(await proofOfFunds.isProofValidById(second)).to.be.false;
+        });
+
+        it("Should keep getProof readable through the version 1 ABI", async function () {
+            const address = await user1.getAddress();
+            await submit(user1, 1, parseEther("50"), "Read by a version 1 client");
+
+            const v1Reader = await ethers.getContractAt("ProofOfFundsV1", proofOfFunds.address);
+            const proof = await v1Reader.getProof(address);
+
+            expect(proof.user).to.equal(address);
+            expect(proof.proofType).to.equal(1);
+            expect(proof.thresholdAmount).to.equal(parseEther("50"));
+            expect(proof.signatureMessage).to.equal("Read by a version 1 client");
+        });
+    });
+
+    describe("Migration", function () {
+        let legacy;
+
+        beforeEach(async function () {
+            const ProofOfFundsV1 = await ethers.getContractFactory("ProofOfFundsV1");
+            legacy = await ProofOfFundsV1.deploy(ethers.constants.AddressZero);
+            await legacy.deployed();
+        });
+
+        it("Should import the proofs of a version 1 deployment", async function () {
+            const address = await user1.getAddress();
+            const proofHash = await legacy.generateProofHash(address, parseEther("10"), 0);
+            const expiryTime = Math.floor(Date.now() / 1000) + 86400;
+            await legacy.connect(user1).submitProof(0, proofHash, expiryTime, 0, "Legacy message", "0x1234");
+            await legacy.connect(user2).submitProof(1, proofHash, expiryTime, parseEther("5"), "Revoked", "0x");
+            await legacy.connect(user2).revokeProof("Old");
+
+            await expect(proofOfFunds.importLegacyProofs(legacy.address, [address, await user2.getAddress(), await owner.getAddress()]))
+                .to.emit(proofOfFunds, "ProofMigrated")
+                .withArgs(1, address, legacy.address);
+
+            const imported = await proofOfFunds.getProof(address);
+            expect(imported.id).to.equal(1);
+            expect(imported.expiryTime).to.equal(expiryTime);
+            expect(imported.signatureMessage).to.equal("Legacy message");
+            expect(imported.signature).to.equal("0x1234");
+            expect(await proofOfFunds.verifyStandardProof(address, parseEther("10"))).to.be.true;
+            expect((await proofOfFunds.getProof(await user2.getAddress())).isRevoked).to.be.true;
+            expect(await proofOfFunds.proofCount()).to.equal(2);
+
+            // Importing a user twice does not duplicate the proof
+            await proofOfFunds.importLegacyProofs(legacy.address, [address]);
+            expect(await proofOfFunds.getUserProofCount(address)).to.equal(1);
+        });
+
+        it("Should only let the owner import until the migration is finalized", async function () {
+            await expect(proofOfFunds.connect(user1).importLegacyProofs(legacy.address, []))
+                .to.be.revertedWith("Ownable: caller is not the owner");
+
+            await expect(proofOfFunds.finalizeMigration()).to.emit(proofOfFunds, "MigrationFinalized");
+            await expect(proofOfFunds.importLegacyProofs(legacy.address, []))
+                .to.be.revertedWith("Migration is finalized");
+        });
+    });
+});
@@ -0,0 +1,90 @@
+const fs = require("fs");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("UniversalSigValidator", function () {
+    const ERC6492_DETECTION_SUFFIX = "0x6492649264926492649264926492649264926492649264926492649264926492";
+    const salt = ethers.utils.formatBytes32String("wallet");
+    const message = "Sign in to Proof of Funds";
+    const hash = ethers.utils.hashMessage(message);
+
+    let factory;
+    let owner;
+    let other;
+
+    // Run ValidateSigOffchain with eth_call, as a backend without a deployed validator does
+    const validateOffchain = async (signer, signature) => {
+        const ValidateSigOffchain = await ethers.getContractFactory("ValidateSigOffchain");
+        const { data } = ValidateSigOffchain.getDeployTransaction(signer, hash, signature);
+
+        return (await ethers.provider.call({ data })) === "0x01";
+    };
+
+    // Wrap a signature of a wallet that is not deployed yet
+    const wrapCounterfactual = (walletOwner, signature) => ethers.utils.hexConcat([
+        ethers.utils.defaultAbiCoder.encode(
+            ["address", "bytes", "bytes"],
+            [factory.address, factory.interface.encodeFunctionData("deploy", [walletOwner, salt]), signature]
+        ),
+        ERC6492_DETECTION_SUFFIX
+    ]);
+
+    beforeEach(async function () {
+        [owner, other] = await ethers.getSigners();
+
+        const TestSmartWalletFactory = await ethers.getContractFactory("TestSmartWalletFactory");
+        factory = await TestSmartWalletFactory.deploy();
+        await factory.deployed();
+    });
+
+    it("Should validate signatures of EOAs", async function () {
+        const signature = await owner.signMessage(message);
+
+        expect(await validateOffchain(owner.address, signature)).to.be.true;
+        expect(await validateOffchain(other.address, signature)).to.be.false;
+    });
+
+    it("Should validate signatures of deployed ERC-1271 wallets", async function () {
+        await factory.deploy(owner.address, salt);
+        const wallet = await factory.getAddress(owner.address, salt);
+
+        expect(await validateOffchain(wallet, await owner.signMessage(message))).to.be.true;
+        expect(await validateOffchain(wallet, await other.signMessage(message))).to.be.false;
+    });
+
+    it("Should validate signatures of counterfactual wallets without deploying them", async function () {
+        const wallet = await factory.getAddress(owner.address, salt);
+
+        expect(await validateOffchain(wallet, wrapCounterfactual(owner.address, await owner.signMessage(message)))).to.be.true;
+        expect(await validateOffchain(wallet, wrapCounterfactual(owner.address, await other.signMessage(message)))).to.be.false;
+        expect(await ethers.provider.getCode(wallet)).to.equal("0x");
+    });
+
+    it("Should match the ValidateSigOffchain bytecode the backend runs", async function () {
+        // The backend keeps the creation code as a constant so it can validate signatures without artifacts
+        const source = fs.readFileSync(
+            path.join(__dirname, "../../backend/src/utils/signatureValidation.ts"),
+            "utf8"
+        );
+        const [, expression] = source.match(/VALIDATE_SIG_OFFCHAIN_BYTECODE\s*=([^;]*);/);
+        const backendBytecode = expression.match(/'([0-9a-fx]*)'/gi).map(part => part.slice(1, -1)).join("");
+
+        const ValidateSigOffchain = await ethers.getContractFactory("ValidateSigOffchain");
+
+        expect(backendBytecode).to.equal(ValidateSigOffchain.bytecode);
+    });
+
+    it("Should undo the deployment when checking through a deployed validator", async function () {
+        const UniversalSigValidator = await ethers.getContractFactory("UniversalSigValidator");
+        const validator = await UniversalSigValidator.deploy();
+        await validator.deployed();
+        const wallet = await factory.getAddress(owner.address, salt);
+        const signature = wrapCounterfactual(owner.address, await owner.signMessage(message));
+
+        expect(await validator.callStatic.isValidSig(wallet, hash, signature)).to.be.true;
+        await validator.isValidSig(wallet, hash, signature);
+
+        expect(await ethers.provider.getCode(wallet)).to.equal("0x");
+    });
+});
@@ -0,0 +1,266 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const path = require("path");
+const snarkjs = require("snarkjs");
+
+const CIRCUITS_DIR = path.join(__dirname, "../../../circuits");
+
+// Matches ZKVerifier.ZKProofType
+const ProofType = { Standard: 0, Threshold: 1, Maximum: 2 };
+
+describe("ZKVerifier", function () {
+  // Proof generation runs the real witness calculator and prover
+  this.timeout(120000);
+
+  let zkVerifier;
+  let forwarder;
+  let user;
+  let other;
+  let proofs;
+
+  // Generate a proof with the same wasm/zkey files the proving service uses
+  async function generateProof(circuit, input) {
+    const wasmPath = path.join(CIRCUITS_DIR, circuit, `${circuit}Proof_js`, `${circuit}Proof.wasm`);
+    const zkeyPath = path.join(CIRCUITS_DIR, circuit, `${circuit}Proof.zkey`);
+    return snarkjs.groth16.fullProve(input, wasmPath, zkeyPath);
+  }
+
+  // Encode a snarkjs proof the way the frontend submits it (uint256[] in snarkjs order)
+  function encodeProof(proof) {
+    return ethers.utils.defaultAbiCoder.encode(
+      ["uint256[]"],
+      [[
+        proof.pi_a[0], proof.pi_a[1],
+        proof.pi_b[0][0], proof.pi_b[0][1], proof.pi_b[1][0], proof.pi_b[1][1],
+        proof.pi_c[0], proof.pi_c[1]
+      ]]
+    );
+  }
+
+  function encodeSignals(publicSignals) {
+    return ethers.utils.defaultAbiCoder.encode(["uint256[]"], [publicSignals]);
+  }
+
+  function submit(signer, { proof, publicSignals }, proofType, expiry = 86400) {
+    return zkVerifier.connect(signer).submitZKProof(
+      encodeProof(proof),
+      encodeSignals(publicSignals),
+      expiry,
+      proofType,
+      "I own these funds",
+      "0x1234"
+    );
+  }
+
+  before(async function () {
+    proofs = {
+      standard: await generateProof("standard", {
+        balance: "1000000000000000000",
+        threshold: "1000000000000000000",
+        userAddress: "123456789"
+      }),
+      threshold: await generateProof("threshold", {
+        totalBalance: "2000000000000000000",
+        threshold: "1000000000000000000",
+        userAddress: "123456789",
+        networkId: "137"
+      }),
+      maximum: await generateProof("maximum", {
+        maxBalance: "500000000000000000",
+        threshold: "1000000000000000000",
+        userAddress: "123456789",
+        networks: ["1", "137", "0", "0"]
+      }),
+      // Valid proof whose statement is false: balance is below the threshold
+      unmetThreshold: await generateProof("threshold", {
+        totalBalance: "100",
+        threshold: "1000",
+        userAddress: "123456789",
+        networkId: "137"
+      })
+    };
+  });
+
+  beforeEach(async function () {
+    [, user, other] = await ethers.getSigners();
+
+    const deployVerifier = async (name) => {
+      const factory = await ethers.getContractFactory(name);
+      const verifier = await factory.deploy();
+      await verifier.deployed();
+      return verifier.address;
+    };
+
+    const ProofForwarder = await ethers.getContractFactory("ProofForwarder");
+    forwarder = await ProofForwarder.deploy();
+    await forwarder.deployed();
+
+    const ZKVerifier = await ethers.getContractFactory("ZKVerifier");
+    zkVerifier = await ZKVerifier.deploy(
+      await deployVerifier("StandardProofVerifier"),
+      await deployVerifier("ThresholdProofVerifier"),
+      await deployVerifier("MaximumProofVerifier"),
+      forwarder.address
+    );
+    await zkVerifier.deployed();
+  });
+
+  describe("Deployment", function () {
+    it("should reject zero verifier addresses", async function () {
+      const ZKVerifier = await ethers.getContractFactory("ZKVerifier");
+      await expect(
+        ZKVerifier.deploy(ethers.constants.AddressZero, user.address, user.address, user.address)
+      ).to.be.revertedWith("ZKVerifier: verifier address cannot be zero");
+    });
+
+    it("should route each proof type to its verifier", async function () {
+      expect(await zkVerifier.verifierFor(ProofType.Standard)).to.equal(await zkVerifier.standardVerifier());
+      expect(await zkVerifier.verifierFor(ProofType.Threshold)).to.equal(await zkVerifier.thresholdVerifier());
+      expect(await zkVerifier.verifierFor(ProofType.Maximum)).to.equal(await zkVerifier.maximumVerifier());
+    });
+  });
+
+  describe("Accepting valid proofs", function () {
+    it("should accept a standard proof from the snarkjs pipeline", async function () {
+      await submit(user, proofs.standard, ProofType.Standard);
+      expect(await zkVerifier.verifyZKProof(user.address)).to.equal(true);
+    });
+
+    it("should accept a threshold proof from the snarkjs pipeline", async function () {
+      await submit(user, proofs.threshold, ProofType.Threshold);
+      expect(await zkVerifier.verifyZKProof(user.address)).to.equal(true);
+    });
+
+    it("should accept a maximum proof from the snarkjs pipeline", async function () {
+      await submit(user, proofs.maximum, ProofType.Maximum);
+      expect(await zkVerifier.verifyZKProof(user.address)).to.equal(true);
+    });
+
+    it("should store the submitted proof for the sender", async function () {
+      await expect(submit(user, proofs.threshold, ProofType.Threshold))
+        .to.emit(zkVerifier, "ZKProofSubmitted");
+
+      const stored = await zkVerifier.getZKProof(user.address);
+      expect(stored.user).to.equal(user.address);
+      expect(stored.proofType).to.equal(ProofType.Threshold);
+      expect(stored.isRevoked).to.equal(false);
+    });
+  });
+
+  describe("Gas-sponsored submission", function () {
+    it("should store a proof relayed through the trusted forwarder for the signer", async function () {
+      const [relayer] = await ethers.getSigners();
+      const { chainId } = await ethers.provider.getNetwork();
+      const { proof, publicSignals } = proofs.threshold;
+
+      const request = {
+        from: user.address,
+        to: zkVerifier.address,
+        value: 0,
+        gas: 1000000,
+        nonce: 0,
+        deadline: (await ethers.provider.getBlock("latest")).timestamp + 3600,
+        data: zkVerifier.interface.encodeFunctionData("submitZKProof", [
+          encodeProof(proof),
+          encodeSignals(publicSignals),
+          86400,
+          ProofType.Threshold,
+          "I own these funds",
+          "0x1234"
+        ])
+      };
+      const signature = await user._signTypedData(
+        { name: "ProofForwarder", version: "1", chainId, verifyingContract: forwarder.address },
+        {
+          ForwardRequest: [
+            { name: "from", type: "address" },
+            { name: "to", type: "address" },
+            { name: "value", type: "uint256" },
+            { name: "gas", type: "uint256" },
+            { name: "nonce", type: "uint256" },
+            { name: "deadline", type: "uint256" },
+            { name: "data", type: "bytes" }
+          ]
+        },
+        request
+      );
+
+      await forwarder.connect(relayer).execute(request, signature);
+
+      expect(await zkVerifier.verifyZKProof(user.address)).to.equal(true);
+      expect(await zkVerifier.verifyZKProof(relayer.address)).to.equal(false);
+    });
+  });
+
+  describe("Rejecting invalid proofs", function () {
+    it("should reject a proof with a tampered point", async function () {
+      const tampered = JSON.parse(JSON.stringify(proofs.threshold));
+      tampered.proof.pi_a[0] = ethers.BigNumber.from(tampered.proof.pi_a[0]).add(1).toString();
+
+      await expect(submit(user, tampered, ProofType.Threshold))
+        .to.be.revertedWith("ZKVerifier: invalid proof");
+    });
+
+    it("should reject a proof with swapped points", async function () {
+      const tampered = JSON.parse(JSON.stringify(proofs.standard));
+      tampered.proof.pi_c = proofs.threshold.proof.pi_c;
+
+      await expect(submit(user, tampered, ProofType.Standard))
+        .to.be.revertedWith("ZKVerifier: invalid proof");
+    });
+
+    it("should reject a proof submitted under the wrong proof type", async function () {
+      await expect(submit(user, proofs.standard, ProofType.Threshold))
+        .to.be.revertedWith("ZKVerifier: invalid proof");
+    });
+
+    it("should reject a proof whose balance condition is not met", async function () {
+      expect(proofs.unmetThreshold.publicSignals[0]).to.equal("0");
+
+      await expect(submit(user, proofs.unmetThreshold, ProofType.Threshold))
+        .to.be.revertedWith("ZKVerifier: invalid proof");
+    });
+
+    it("should reject tampered public signals", async function () {
+      const tampered = { ...proofs.unmetThreshold, publicSignals: ["1"] };
+
+      await expect(submit(user, tampered, ProofType.Threshold))
+        .to.be.revertedWith("ZKVerifier: invalid proof");
+    });
+
+    it("should reject malformed proof bytes", async function () {
+      await expect(
+        zkVerifier.connect(user).submitZKProof(
+          "0x" + "ab".repeat(160),
+          encodeSignals(proofs.threshold.publicSignals),
+          86400,
+          ProofType.Threshold,
+          "I own these funds",
+          "0x1234"
+        )
+      ).to.be.revertedWith("ZKVerifier: invalid proof");
+    });
+  });
+
+  describe("Verification state", function () {
+    it("should return false for users without a proof", async function () {
+      expect(await zkVerifier.verifyZKProof(other.address)).to.equal(false);
+    });
+
+    it("should return false after the proof is revoked", async function () {
+      await submit(user, proofs.threshold, ProofType.Threshold);
+      await zkVerifier.connect(user).revokeZKProof("No longer needed");
+
+      expect(await zkVerifier.verifyZKProof(user.address)).to.equal(false);
+    });
+
+    it("should return false after the proof expires", async function () {
+      await submit(user, proofs.threshold, ProofType.Threshold, 60);
+
+      await ethers.provider.send("evm_increaseTime", [120]);
+      await ethers.provider.send("evm_mine", []);
+
+      expect(await zkVerifier.verifyZKProof(user.address)).to.equal(false);
+    });
+  });
+});
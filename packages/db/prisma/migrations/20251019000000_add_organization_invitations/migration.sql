@@ -0,0 +1,38 @@
+-- AlterTable
+ALTER TABLE "organizations" ADD COLUMN "api_key_prefix" TEXT,
+ADD COLUMN "api_key_created_at" TIMESTAMP(3);
+
+-- Store API keys as SHA-256 hashes; existing keys keep working
+UPDATE "organizations"
+SET "api_key_prefix" = LEFT("api_key", 12),
+    "api_key_created_at" = CURRENT_TIMESTAMP,
+    "api_key" = encode(sha256(convert_to("api_key", 'UTF8')), 'hex')
+WHERE "api_key" IS NOT NULL;
+
+-- CreateTable
+CREATE TABLE "organization_invitations" (
+  "id" UUID NOT NULL,
+  "organization_id" UUID NOT NULL,
+  "email" TEXT NOT NULL,
+  "role" "OrgRole" NOT NULL DEFAULT 'MEMBER',
+  "token_hash" TEXT NOT NULL,
+  "invited_by_id" UUID NOT NULL,
+  "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "expires_at" TIMESTAMP(3) NOT NULL,
+  "accepted_at" TIMESTAMP(3),
+  "revoked_at" TIMESTAMP(3),
+
+  CONSTRAINT "organization_invitations_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "organization_invitations_token_hash_key" ON "organization_invitations"("token_hash");
+
+-- CreateIndex
+CREATE INDEX "idx_organization_invitations_organization_id" ON "organization_invitations"("organization_id");
+
+-- CreateIndex
+CREATE INDEX "idx_organization_invitations_email" ON "organization_invitations"("email");
+
+-- AddForeignKey
+ALTER TABLE "organization_invitations" ADD CONSTRAINT "organization_invitations_organization_id_fkey" FOREIGN KEY ("organization_id") REFERENCES "organizations"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
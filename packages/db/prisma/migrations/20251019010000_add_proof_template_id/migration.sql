@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "proofs" ADD COLUMN "template_id" UUID;
+
+-- CreateIndex
+CREATE INDEX "idx_proofs_template_id" ON "proofs"("template_id");
+
+-- AddForeignKey
+ALTER TABLE "proofs" ADD CONSTRAINT "proofs_template_id_fkey" FOREIGN KEY ("template_id") REFERENCES "proof_templates"("id") ON DELETE SET NULL ON UPDATE CASCADE;
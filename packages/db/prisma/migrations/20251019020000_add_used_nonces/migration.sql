@@ -0,0 +1,12 @@
+-- CreateTable
+CREATE TABLE "used_nonces" (
+  "scope" TEXT NOT NULL,
+  "nonce" TEXT NOT NULL,
+  "expires_at" TIMESTAMP(3) NOT NULL,
+  "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+  CONSTRAINT "used_nonces_pkey" PRIMARY KEY ("scope", "nonce")
+);
+
+-- CreateIndex
+CREATE INDEX "idx_used_nonces_expires_at" ON "used_nonces"("expires_at");
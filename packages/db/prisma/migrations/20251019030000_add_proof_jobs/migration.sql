@@ -0,0 +1,45 @@
+-- CreateEnum
+CREATE TYPE "ProofJobStatus" AS ENUM ('QUEUED', 'RUNNING', 'COMPLETED', 'FAILED', 'CANCELLED');
+
+-- CreateTable
+CREATE TABLE "proof_jobs" (
+  "id" UUID NOT NULL,
+  "user_id" UUID NOT NULL,
+  "proof_type" "ProofType" NOT NULL,
+  "template_id" UUID,
+  "reference_id" TEXT NOT NULL,
+  "expires_at" TIMESTAMP(3) NOT NULL,
+  "status" "ProofJobStatus" NOT NULL DEFAULT 'QUEUED',
+  "stage" TEXT NOT NULL DEFAULT 'init',
+  "progress" INTEGER NOT NULL DEFAULT 0,
+  "input" TEXT,
+  "encryption_key" TEXT,
+  "proof_id" UUID,
+  "error" JSONB,
+  "attempts" INTEGER NOT NULL DEFAULT 0,
+  "worker_id" TEXT,
+  "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "started_at" TIMESTAMP(3),
+  "completed_at" TIMESTAMP(3),
+  "updated_at" TIMESTAMP(3) NOT NULL,
+
+  CONSTRAINT "proof_jobs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "proof_jobs_reference_id_key" ON "proof_jobs"("reference_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "proof_jobs_proof_id_key" ON "proof_jobs"("proof_id");
+
+-- CreateIndex
+CREATE INDEX "idx_proof_jobs_status_created_at" ON "proof_jobs"("status", "created_at");
+
+-- CreateIndex
+CREATE INDEX "idx_proof_jobs_user_id" ON "proof_jobs"("user_id");
+
+-- AddForeignKey
+ALTER TABLE "proof_jobs" ADD CONSTRAINT "proof_jobs_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "proof_jobs" ADD CONSTRAINT "proof_jobs_proof_id_fkey" FOREIGN KEY ("proof_id") REFERENCES "proofs"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,81 @@
+-- CreateEnum
+CREATE TYPE "WebhookDeliveryStatus" AS ENUM ('PENDING', 'DELIVERED', 'FAILED');
+
+-- CreateTable
+CREATE TABLE "webhook_endpoints" (
+  "id" UUID NOT NULL,
+  "organization_id" UUID NOT NULL,
+  "url" TEXT NOT NULL,
+  "description" TEXT,
+  "events" TEXT[],
+  "secret" TEXT NOT NULL,
+  "secret_prefix" TEXT NOT NULL,
+  "is_active" BOOLEAN NOT NULL DEFAULT true,
+  "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "updated_at" TIMESTAMP(3) NOT NULL,
+
+  CONSTRAINT "webhook_endpoints_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "webhook_deliveries" (
+  "id" UUID NOT NULL,
+  "endpoint_id" UUID NOT NULL,
+  "organization_id" UUID NOT NULL,
+  "event_id" TEXT NOT NULL,
+  "event_type" TEXT NOT NULL,
+  "payload" TEXT NOT NULL,
+  "status" "WebhookDeliveryStatus" NOT NULL DEFAULT 'PENDING',
+  "attempts" INTEGER NOT NULL DEFAULT 0,
+  "next_attempt_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "response_status" INTEGER,
+  "last_error" TEXT,
+  "replay_of_id" UUID,
+  "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "delivered_at" TIMESTAMP(3),
+  "updated_at" TIMESTAMP(3) NOT NULL,
+
+  CONSTRAINT "webhook_deliveries_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "webhook_dead_letters" (
+  "id" UUID NOT NULL,
+  "delivery_id" UUID NOT NULL,
+  "organization_id" UUID NOT NULL,
+  "event_type" TEXT NOT NULL,
+  "attempts" INTEGER NOT NULL,
+  "response_status" INTEGER,
+  "last_error" TEXT,
+  "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "replayed_at" TIMESTAMP(3),
+
+  CONSTRAINT "webhook_dead_letters_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "idx_webhook_endpoints_organization_id" ON "webhook_endpoints"("organization_id");
+
+-- CreateIndex
+CREATE INDEX "idx_webhook_deliveries_status_next_attempt_at" ON "webhook_deliveries"("status", "next_attempt_at");
+
+-- CreateIndex
+CREATE INDEX "idx_webhook_deliveries_organization_id_created_at" ON "webhook_deliveries"("organization_id", "created_at");
+
+-- CreateIndex
+CREATE INDEX "idx_webhook_deliveries_endpoint_id" ON "webhook_deliveries"("endpoint_id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "webhook_dead_letters_delivery_id_key" ON "webhook_dead_letters"("delivery_id");
+
+-- CreateIndex
+CREATE INDEX "idx_webhook_dead_letters_organization_id_created_at" ON "webhook_dead_letters"("organization_id", "created_at");
+
+-- AddForeignKey
+ALTER TABLE "webhook_endpoints" ADD CONSTRAINT "webhook_endpoints_organization_id_fkey" FOREIGN KEY ("organization_id") REFERENCES "organizations"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "webhook_deliveries" ADD CONSTRAINT "webhook_deliveries_endpoint_id_fkey" FOREIGN KEY ("endpoint_id") REFERENCES "webhook_endpoints"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "webhook_dead_letters" ADD CONSTRAINT "webhook_dead_letters_delivery_id_fkey" FOREIGN KEY ("delivery_id") REFERENCES "webhook_deliveries"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,18 @@
+-- AlterTable
+ALTER TABLE "proofs" ADD COLUMN "wrapped_data_key" TEXT;
+
+-- CreateIndex
+CREATE INDEX "idx_proofs_encryption_key_id" ON "proofs"("encryption_key_id");
+
+-- Unfinished jobs hold an unwrapped data key, which is no longer kept
+UPDATE "proof_jobs"
+SET "status" = 'FAILED',
+    "error" = '{"code": "JOB_ABANDONED", "message": "Proof generation did not finish"}',
+    "input" = NULL,
+    "completed_at" = CURRENT_TIMESTAMP
+WHERE "status" IN ('QUEUED', 'RUNNING');
+
+-- AlterTable
+ALTER TABLE "proof_jobs" DROP COLUMN "encryption_key",
+ADD COLUMN "wrapped_data_key" TEXT,
+ADD COLUMN "encryption_key_id" TEXT;
@@ -0,0 +1,47 @@
+-- CreateEnum
+CREATE TYPE "RelayTransactionStatus" AS ENUM ('PENDING', 'SUBMITTED', 'CONFIRMED', 'FAILED');
+
+-- CreateTable
+CREATE TABLE "relay_transactions" (
+  "id" UUID NOT NULL,
+  "user_id" UUID NOT NULL,
+  "chain_id" INTEGER NOT NULL,
+  "relayer_address" TEXT NOT NULL,
+  "nonce" INTEGER,
+  "forwarder" TEXT NOT NULL,
+  "target" TEXT NOT NULL,
+  "signer" TEXT NOT NULL,
+  "request_nonce" INTEGER NOT NULL,
+  "deadline" TIMESTAMP(3) NOT NULL,
+  "data" TEXT NOT NULL,
+  "gas_limit" TEXT NOT NULL,
+  "gas_price" TEXT NOT NULL,
+  "tx_hash" TEXT,
+  "previous_hashes" TEXT[] DEFAULT ARRAY[]::TEXT[],
+  "replacements" INTEGER NOT NULL DEFAULT 0,
+  "status" "RelayTransactionStatus" NOT NULL DEFAULT 'PENDING',
+  "error" TEXT,
+  "block_number" INTEGER,
+  "gas_used" TEXT,
+  "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "submitted_at" TIMESTAMP(3),
+  "confirmed_at" TIMESTAMP(3),
+  "updated_at" TIMESTAMP(3) NOT NULL,
+
+  CONSTRAINT "relay_transactions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "relay_transactions_relayer_address_chain_id_nonce_key" ON "relay_transactions"("relayer_address", "chain_id", "nonce");
+
+-- CreateIndex
+CREATE INDEX "idx_relay_transactions_status_submitted_at" ON "relay_transactions"("status", "submitted_at");
+
+-- CreateIndex
+CREATE INDEX "idx_relay_transactions_user_id_created_at" ON "relay_transactions"("user_id", "created_at");
+
+-- CreateIndex
+CREATE INDEX "idx_relay_transactions_signer_request_nonce" ON "relay_transactions"("signer", "request_nonce");
+
+-- AddForeignKey
+ALTER TABLE "relay_transactions" ADD CONSTRAINT "relay_transactions_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
@@ -0,0 +1,40 @@
+-- CreateEnum
+CREATE TYPE "ScheduledJobRunStatus" AS ENUM ('RUNNING', 'SUCCEEDED', 'FAILED');
+
+-- AlterTable
+ALTER TABLE "proofs" ADD COLUMN "confirmed_at" TIMESTAMP(3),
+ADD COLUMN "block_number" INTEGER;
+
+-- CreateTable
+CREATE TABLE "scheduler_leases" (
+  "name" TEXT NOT NULL,
+  "holder_id" TEXT NOT NULL,
+  "expires_at" TIMESTAMP(3) NOT NULL,
+  "updated_at" TIMESTAMP(3) NOT NULL,
+
+  CONSTRAINT "scheduler_leases_pkey" PRIMARY KEY ("name")
+);
+
+-- CreateTable
+CREATE TABLE "scheduled_job_runs" (
+  "id" UUID NOT NULL,
+  "job" TEXT NOT NULL,
+  "instance_id" TEXT NOT NULL,
+  "status" "ScheduledJobRunStatus" NOT NULL DEFAULT 'RUNNING',
+  "result" JSONB,
+  "error" TEXT,
+  "started_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "finished_at" TIMESTAMP(3),
+  "duration_ms" INTEGER,
+
+  CONSTRAINT "scheduled_job_runs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "idx_scheduled_job_runs_job_started_at" ON "scheduled_job_runs"("job", "started_at");
+
+-- CreateIndex
+CREATE INDEX "idx_scheduled_job_runs_started_at" ON "scheduled_job_runs"("started_at");
+
+-- CreateIndex
+CREATE INDEX "idx_proofs_status_confirmed_at" ON "proofs"("status", "confirmed_at");
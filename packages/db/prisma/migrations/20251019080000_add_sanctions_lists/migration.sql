@@ -0,0 +1,61 @@
+-- CreateTable
+CREATE TABLE "sanctions_lists" (
+  "id" UUID NOT NULL,
+  "name" TEXT NOT NULL,
+  "version" INTEGER NOT NULL,
+  "format" TEXT NOT NULL,
+  "source" TEXT,
+  "checksum" TEXT NOT NULL,
+  "entry_count" INTEGER NOT NULL,
+  "is_active" BOOLEAN NOT NULL DEFAULT false,
+  "imported_by" TEXT,
+  "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "activated_at" TIMESTAMP(3),
+
+  CONSTRAINT "sanctions_lists_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "sanctioned_addresses" (
+  "id" UUID NOT NULL,
+  "list_id" UUID NOT NULL,
+  "address" TEXT NOT NULL,
+  "currency" TEXT,
+  "entity_name" TEXT,
+  "entity_id" TEXT,
+
+  CONSTRAINT "sanctioned_addresses_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "sanctions_allowlist" (
+  "id" UUID NOT NULL,
+  "address" TEXT NOT NULL,
+  "reason" TEXT NOT NULL,
+  "created_by" TEXT NOT NULL,
+  "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "expires_at" TIMESTAMP(3),
+  "revoked_at" TIMESTAMP(3),
+  "revoked_by" TEXT,
+  "revoke_reason" TEXT,
+
+  CONSTRAINT "sanctions_allowlist_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "sanctions_lists_name_version_key" ON "sanctions_lists"("name", "version");
+
+-- CreateIndex
+CREATE INDEX "idx_sanctions_lists_name_is_active" ON "sanctions_lists"("name", "is_active");
+
+-- CreateIndex
+CREATE INDEX "idx_sanctioned_addresses_address" ON "sanctioned_addresses"("address");
+
+-- CreateIndex
+CREATE INDEX "idx_sanctioned_addresses_list_id" ON "sanctioned_addresses"("list_id");
+
+-- CreateIndex
+CREATE INDEX "idx_sanctions_allowlist_address" ON "sanctions_allowlist"("address");
+
+-- AddForeignKey
+ALTER TABLE "sanctioned_addresses" ADD CONSTRAINT "sanctioned_addresses_list_id_fkey" FOREIGN KEY ("list_id") REFERENCES "sanctions_lists"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "proofs" ADD COLUMN "balance_snapshot" JSONB;
+
+-- AlterTable
+ALTER TABLE "proof_jobs" ADD COLUMN "balance_snapshot" JSONB;
@@ -0,0 +1,14 @@
+-- CreateTable
+CREATE TABLE "auth_nonces" (
+  "nonce" TEXT NOT NULL,
+  "wallet_address" TEXT NOT NULL,
+  "chain_id" INTEGER NOT NULL,
+  "issued_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "expires_at" TIMESTAMP(3) NOT NULL,
+  "used_at" TIMESTAMP(3),
+
+  CONSTRAINT "auth_nonces_pkey" PRIMARY KEY ("nonce")
+);
+
+-- CreateIndex
+CREATE INDEX "idx_auth_nonces_expires_at" ON "auth_nonces"("expires_at");
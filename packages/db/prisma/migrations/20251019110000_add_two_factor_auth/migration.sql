@@ -0,0 +1,17 @@
+-- CreateTable
+CREATE TABLE "two_factor_auth" (
+  "user_id" UUID NOT NULL,
+  "encrypted_secret" TEXT NOT NULL,
+  "wrapped_data_key" TEXT NOT NULL,
+  "encryption_key_id" TEXT NOT NULL,
+  "enabled" BOOLEAN NOT NULL DEFAULT false,
+  "last_used_step" INTEGER,
+  "backup_codes" TEXT[] DEFAULT ARRAY[]::TEXT[],
+  "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "confirmed_at" TIMESTAMP(3),
+
+  CONSTRAINT "two_factor_auth_pkey" PRIMARY KEY ("user_id")
+);
+
+-- AddForeignKey
+ALTER TABLE "two_factor_auth" ADD CONSTRAINT "two_factor_auth_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,41 @@
+-- CreateTable
+CREATE TABLE "passkey_credentials" (
+  "id" UUID NOT NULL,
+  "user_id" UUID NOT NULL,
+  "credential_id" TEXT NOT NULL,
+  "public_key" TEXT NOT NULL,
+  "sign_count" INTEGER NOT NULL DEFAULT 0,
+  "transports" TEXT[] DEFAULT ARRAY[]::TEXT[],
+  "aaguid" TEXT,
+  "name" TEXT NOT NULL,
+  "backup_eligible" BOOLEAN NOT NULL DEFAULT false,
+  "backed_up" BOOLEAN NOT NULL DEFAULT false,
+  "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "last_used_at" TIMESTAMP(3),
+
+  CONSTRAINT "passkey_credentials_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "webauthn_challenges" (
+  "challenge" TEXT NOT NULL,
+  "purpose" TEXT NOT NULL,
+  "user_id" UUID,
+  "created_at" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "expires_at" TIMESTAMP(3) NOT NULL,
+  "used_at" TIMESTAMP(3),
+
+  CONSTRAINT "webauthn_challenges_pkey" PRIMARY KEY ("challenge")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "passkey_credentials_credential_id_key" ON "passkey_credentials"("credential_id");
+
+-- CreateIndex
+CREATE INDEX "idx_passkey_credentials_user_id" ON "passkey_credentials"("user_id");
+
+-- CreateIndex
+CREATE INDEX "idx_webauthn_challenges_expires_at" ON "webauthn_challenges"("expires_at");
+
+-- AddForeignKey
+ALTER TABLE "passkey_credentials" ADD CONSTRAINT "passkey_credentials_user_id_fkey" FOREIGN KEY ("user_id") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
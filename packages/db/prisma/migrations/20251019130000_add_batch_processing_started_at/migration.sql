@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "batches" ADD COLUMN "processing_started_at" TIMESTAMP(3);
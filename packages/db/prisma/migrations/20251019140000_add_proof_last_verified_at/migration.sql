@@ -0,0 +1,13 @@
+-- AlterTable
+ALTER TABLE "proofs" ADD COLUMN "last_verified_at" TIMESTAMP(3);
+
+-- Backfill from the last successful verification of each proof
+UPDATE "proofs" p
+SET "last_verified_at" = v."verified_at"
+FROM (
+  SELECT "proof_id", MAX("verified_at") AS "verified_at"
+  FROM "verifications"
+  WHERE "is_successful" = true
+  GROUP BY "proof_id"
+) v
+WHERE v."proof_id" = p."id";
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "proofs" ADD COLUMN "last_checked_at" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "idx_proofs_status_last_checked_at" ON "proofs"("status", "last_checked_at");
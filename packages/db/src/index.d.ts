@@ -2,6 +2,24 @@ import { PrismaClient, User, Wallet, Proof, Verification, Batch, Organization, O
 
 export const prisma: PrismaClient;
 
+/**
+ * Client checked out of the pg connection pool
+ */
+export interface PoolClient {
+  query(text: string, params?: unknown[]): Promise<{ rows: any[] }>;
+  on(event: 'notification', listener: (message: { channel: string; payload?: string }) => void): this;
+  on(event: 'error', listener: (error: Error) => void): this;
+  release(error?: Error | boolean): void;
+}
+
+/**
+ * pg connection pool, for features Prisma does not support such as LISTEN/NOTIFY
+ */
+export const pool: {
+  connect(): Promise<PoolClient>;
+  query(text: string, params?: unknown[]): Promise<{ rows: any[] }>;
+};
+
 /**
  * Execute a database transaction
  *
@@ -8,6 +8,7 @@
  * - Navigation bar for site-wide navigation
  * - Main content area with appropriate spacing and container sizing
  * - Footer with copyright information and external links
+ * - Background panel with the progress of queued proof generation jobs
  * 
  * The layout uses a flex column design to ensure the footer stays at the bottom
  * of the page even when content doesn't fill the entire viewport height.
@@ -19,6 +20,7 @@
 
 import Head from 'next/head';
 import Navbar from './Navbar';
+import ProofJobsPanel from './ProofJobsPanel';
 
 export default function Layout({ children, title = 'Proof of Funds - Polygon' }) {
     return (
@@ -50,6 +52,8 @@ export default function Layout({ children, title = 'Proof of Funds - Polygon' })
                     </div>
                 </footer>
             </div>
+
+            <ProofJobsPanel />
         </>
     );
 } 
\ No newline at end of file
@@ -0,0 +1,41 @@
+/**
+ * Proof Jobs Panel
+ *
+ * Shows the proof generation jobs queued from this browser in the
+ * BackgroundProcessor panel, with the progress reported by the backend's
+ * proving workers. Renders nothing until a job has been queued.
+ */
+
+import React, { useState } from 'react';
+import { useRouter } from 'next/router';
+import BackgroundProcessor from './BackgroundProcessor';
+import { useProofJobs } from '../hooks/useProofJobs';
+import { toBackgroundOperation } from '../services/proofJobService';
+
+const ProofJobsPanel: React.FC = () => {
+  const router = useRouter();
+  const { jobs, cancelJob } = useProofJobs();
+  const [minimized, setMinimized] = useState(true);
+
+  if (jobs.length === 0) {
+    return null;
+  }
+
+  const handleOperationAction = (operationId: string, action: 'pause' | 'resume' | 'cancel') => {
+    if (action === 'cancel') {
+      cancelJob(operationId).catch(error => console.error('Error cancelling proof job:', error));
+    }
+  };
+
+  return (
+    <BackgroundProcessor
+      operations={jobs.map(job => toBackgroundOperation(job))}
+      onOperationAction={handleOperationAction}
+      onViewResult={() => router.push('/manage')}
+      minimized={minimized}
+      onToggleMinimize={() => setMinimized(current => !current)}
+    />
+  );
+};
+
+export default ProofJobsPanel;
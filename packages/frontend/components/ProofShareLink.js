@@ -0,0 +1,116 @@
+/**
+ * Proof Share Link Component
+ *
+ * Lets a proof owner build a verification link and QR code for a proof.
+ * The backend does not keep decryption keys, so the owner enters the key
+ * they received when the proof was created; it is only placed in the link's
+ * URL fragment and never sent anywhere by this component.
+ *
+ * @param {Object} props - Component properties
+ * @param {string} props.referenceId - Reference ID of the proof to share
+ * @param {string} props.decryptionKey - Decryption key, if already known
+ * @param {Function} props.onClose - Called when the panel is closed
+ */
+
+import React, { useState, useEffect } from 'react';
+import QRCode from 'qrcode';
+import { buildVerificationLink, isValidDecryptionKey } from '../services/proofVerificationService';
+
+const ProofShareLink = ({ referenceId, decryptionKey: initialDecryptionKey = '', onClose }) => {
+    const [decryptionKey, setDecryptionKey] = useState(initialDecryptionKey);
+    const [qrCode, setQrCode] = useState(null);
+    const [copied, setCopied] = useState(false);
+
+    const trimmedKey = decryptionKey.trim();
+    const keyIsValid = isValidDecryptionKey(trimmedKey);
+    const link = keyIsValid && typeof window !== 'undefined'
+        ? buildVerificationLink(window.location.origin, referenceId, trimmedKey)
+        : null;
+
+    // Render the QR code whenever the link changes
+    useEffect(() => {
+        let cancelled = false;
+        setQrCode(null);
+        setCopied(false);
+
+        if (!link) {
+            return undefined;
+        }
+
+        QRCode.toDataURL(link, { margin: 1, width: 192 })
+            .then(dataUrl => {
+                if (!cancelled) {
+                    setQrCode(dataUrl);
+                }
+            })
+            .catch(error => console.error('Error generating QR code:', error));
+
+        return () => {
+            cancelled = true;
+        };
+    }, [link]);
+
+    const handleCopy = async () => {
+        try {
+            await navigator.clipboard.writeText(link);
+            setCopied(true);
+            setTimeout(() => setCopied(false), 2000);
+        } catch (error) {
+            console.error('Error copying verification link:', error);
+        }
+    };
+
+    return (
+        <div className="p-4 border border-gray-200 rounded-md bg-gray-50 text-left space-y-4">
+            <div className="flex justify-between items-center">
+                <h3 className="text-sm font-medium text-gray-900">Share Proof {referenceId}</h3>
+                {onClose && (
+                    <button onClick={onClose} className="text-sm text-gray-500 hover:text-gray-700">
+                        Close
+                    </button>
+                )}
+            </div>
+
+            {!initialDecryptionKey && (
+                <div>
+                    <label htmlFor={`shareKey-${referenceId}`} className="block text-sm font-medium text-gray-700">
+                        Decryption Key
+                    </label>
+                    <input
+                        type="password"
+                        id={`shareKey-${referenceId}`}
+                        autoComplete="off"
+                        value={decryptionKey}
+                        onChange={(e) => setDecryptionKey(e.target.value)}
+                        className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-300 focus:ring focus:ring-indigo-200 focus:ring-opacity-50"
+                    />
+                    <p className="mt-1 text-sm text-gray-500">
+                        Enter the key you received when the proof was created. Anyone with the link can verify the proof.
+                    </p>
+                    {decryptionKey && !keyIsValid && (
+                        <p className="mt-1 text-sm text-red-600">The decryption key must be 64 hexadecimal characters</p>
+                    )}
+                </div>
+            )}
+
+            {link && (
+                <div className="flex flex-col sm:flex-row gap-4 items-start">
+                    {qrCode && (
+                        <img src={qrCode} alt="Verification link QR code" className="w-48 h-48 border border-gray-200 bg-white" />
+                    )}
+                    <div className="flex-1 min-w-0 space-y-2">
+                        <p className="text-sm text-gray-700 break-all font-mono">{link}</p>
+                        <button
+                            onClick={handleCopy}
+                            className="bg-primary-600 hover:bg-primary-700 text-white text-sm rounded-md py-1 px-3"
+                        >
+                            {copied ? 'Copied!' : 'Copy Link'}
+                        </button>
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ProofShareLink;
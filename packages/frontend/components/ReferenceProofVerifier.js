@@ -0,0 +1,218 @@
+/**
+ * Reference Proof Verifier Component
+ *
+ * Verifies a proof by its reference ID and decryption key. The proof is
+ * decrypted and verified by the backend; the result is shown through
+ * VerificationResultFormatter.formatForUI together with the proof's warning
+ * flags and its verification history.
+ *
+ * @param {Object} props - Component properties
+ * @param {string} props.initialReferenceId - Reference ID from a verification link
+ * @param {string} props.initialDecryptionKey - Decryption key from a verification link
+ */
+
+import React, { useState, useEffect } from 'react';
+import { VerificationResultFormatter } from '../services/VerificationResultFormatter';
+import {
+    isValidReferenceId,
+    isValidDecryptionKey,
+    verifyProofByReference,
+    toVerificationResult
+} from '../services/proofVerificationService';
+
+const formatter = new VerificationResultFormatter();
+
+const ReferenceProofVerifier = ({ initialReferenceId = '', initialDecryptionKey = '' }) => {
+    const [referenceId, setReferenceId] = useState(initialReferenceId);
+    const [decryptionKey, setDecryptionKey] = useState(initialDecryptionKey);
+    const [isVerifying, setIsVerifying] = useState(false);
+    const [result, setResult] = useState(null);
+    const [error, setError] = useState(null);
+
+    // Fill in the values of a verification link once the page has read them
+    useEffect(() => {
+        if (initialReferenceId) {
+            setReferenceId(initialReferenceId);
+        }
+        if (initialDecryptionKey) {
+            setDecryptionKey(initialDecryptionKey);
+        }
+    }, [initialReferenceId, initialDecryptionKey]);
+
+    const handleVerify = async (e) => {
+        e.preventDefault();
+        setError(null);
+        setResult(null);
+
+        const trimmedReferenceId = referenceId.trim();
+        const trimmedKey = decryptionKey.trim();
+
+        if (!isValidReferenceId(trimmedReferenceId)) {
+            setError('Please enter a valid reference ID');
+            return;
+        }
+
+        if (!isValidDecryptionKey(trimmedKey)) {
+            setError('The decryption key must be 64 hexadecimal characters');
+            return;
+        }
+
+        setIsVerifying(true);
+        const startTime = performance.now();
+
+        try {
+            const response = await verifyProofByReference(trimmedReferenceId, trimmedKey);
+            const verificationResult = toVerificationResult(response, performance.now() - startTime);
+            setResult(formatter.formatForUI(verificationResult));
+        } catch (verifyError) {
+            console.error('Error verifying proof:', verifyError);
+            setError(verifyError.message || 'Failed to verify proof');
+        } finally {
+            setIsVerifying(false);
+        }
+    };
+
+    const canSubmit = referenceId && decryptionKey && !isVerifying;
+
+    return (
+        <div className="space-y-6">
+            <form onSubmit={handleVerify} className="space-y-6">
+                <div>
+                    <label htmlFor="referenceId" className="block text-sm font-medium text-gray-700">
+                        Reference ID
+                    </label>
+                    <input
+                        type="text"
+                        id="referenceId"
+                        placeholder="pof-..."
+                        value={referenceId}
+                        onChange={(e) => setReferenceId(e.target.value)}
+                        className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-300 focus:ring focus:ring-indigo-200 focus:ring-opacity-50"
+                    />
+                </div>
+
+                <div>
+                    <label htmlFor="decryptionKey" className="block text-sm font-medium text-gray-700">
+                        Decryption Key
+                    </label>
+                    <input
+                        type="password"
+                        id="decryptionKey"
+                        autoComplete="off"
+                        value={decryptionKey}
+                        onChange={(e) => setDecryptionKey(e.target.value)}
+                        className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-300 focus:ring focus:ring-indigo-200 focus:ring-opacity-50"
+                    />
+                    <p className="mt-1 text-sm text-gray-500">
+                        Both values are filled in when you open a verification link shared by the proof owner.
+                    </p>
+                </div>
+
+                <button
+                    type="submit"
+                    disabled={!canSubmit}
+                    className={`w-full ${!canSubmit
+                        ? 'bg-gray-300 cursor-not-allowed'
+                        : 'bg-primary-600 hover:bg-primary-700'
+                        } text-white rounded-md py-2 px-4 flex justify-center items-center`}
+                >
+                    {isVerifying ? 'Verifying...' : 'Verify Proof'}
+                </button>
+            </form>
+
+            {error && (
+                <div className="bg-red-50 border-l-4 border-red-400 p-4">
+                    <h3 className="text-sm font-medium text-red-800">Verification Error</h3>
+                    <p className="mt-2 text-sm text-red-700">{error}</p>
+                </div>
+            )}
+
+            {result && (
+                <div className={`p-4 border rounded-md ${result.verified ? 'border-green-300 bg-green-50 text-green-900' : 'border-red-300 bg-red-50 text-red-900'}`}>
+                    <p className="text-sm font-medium">
+                        {result.verified ? 'Proof Verified Successfully' : 'Proof Verification Failed'}
+                    </p>
+                    {result.errorMessage && (
+                        <p className="mt-1 text-sm">{result.errorMessage}</p>
+                    )}
+
+                    <div className="mt-4 grid grid-cols-2 gap-2 text-sm">
+                        <div>
+                            <p className="font-medium">Proof Type:</p>
+                            <p className="text-gray-700">
+                                {result.proofDetails.zeroKnowledge ? 'Zero-Knowledge ' : ''}{result.proofType}
+                            </p>
+                        </div>
+                        <div>
+                            <p className="font-medium">Wallet Address:</p>
+                            <p className="text-gray-700 break-all">{result.proofDetails.user}</p>
+                        </div>
+                        {result.proofDetails.thresholdAmount && (
+                            <div>
+                                <p className="font-medium">Minimum Amount:</p>
+                                <p className="text-gray-700">{result.proofDetails.thresholdAmount}</p>
+                            </div>
+                        )}
+                        {result.proofDetails.maximumAmount && (
+                            <div>
+                                <p className="font-medium">Maximum Amount:</p>
+                                <p className="text-gray-700">{result.proofDetails.maximumAmount}</p>
+                            </div>
+                        )}
+                        {result.proofDetails.balanceDate && (
+                            <div>
+                                <p className="font-medium">Balance As Of:</p>
+                                <p className="text-gray-700">{result.proofDetails.balanceDate}</p>
+                                {result.proofDetails.snapshotBlocks && (
+                                    <p className="text-xs text-gray-500 break-all">Block {result.proofDetails.snapshotBlocks}</p>
+                                )}
+                            </div>
+                        )}
+                        {result.expiryTime && (
+                            <div>
+                                <p className="font-medium">Expires At:</p>
+                                <p className="text-gray-700">{result.expiryTime}</p>
+                            </div>
+                        )}
+                        <div>
+                            <p className="font-medium">Verified At:</p>
+                            <p className="text-gray-700">{result.timestamp} ({result.verificationTime})</p>
+                        </div>
+                    </div>
+
+                    {result.warnings.length > 0 && (
+                        <div className="mt-4 bg-yellow-50 border-l-4 border-yellow-400 p-3 text-yellow-800">
+                            <p className="text-sm font-medium">Warnings</p>
+                            <ul className="list-disc pl-5 mt-1 text-sm">
+                                {result.warnings.map((warning, index) => (
+                                    <li key={`${warning.code}-${index}`}>
+                                        {warning.message}
+                                        {warning.detail && <span className="break-all"> ({warning.detail})</span>}
+                                    </li>
+                                ))}
+                            </ul>
+                        </div>
+                    )}
+
+                    {result.history.length > 0 && (
+                        <div className="mt-4">
+                            <p className="text-sm font-medium">Verification History</p>
+                            <ul className="mt-1 divide-y divide-gray-200 text-sm text-gray-700">
+                                {result.history.map((entry, index) => (
+                                    <li key={index} className="py-1 flex justify-between">
+                                        <span>{entry.date}</span>
+                                        <span className={entry.verified ? 'text-green-700' : 'text-red-700'}>
+                                            {entry.verified ? 'Verified' : 'Failed'}
+                                        </span>
+                                    </li>
+                                ))}
+                            </ul>
+                        </div>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ReferenceProofVerifier;
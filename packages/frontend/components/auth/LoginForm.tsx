@@ -1,12 +1,13 @@
 /**
  * Login Form Component
  * 
- * Provides a form for users to login with either wallet or email/password.
+ * Provides a form for users to login with either wallet, email/password or a passkey.
  */
 
 import React, { useState } from 'react';
 import { useAuthentication } from '../../hooks/useAuthentication';
 import { useWallet } from '../../hooks/useWallet';
+import { isPasskeySupported } from '../../services/passkeyService';
 
 interface LoginFormProps {
   onSuccess?: () => void;
@@ -20,7 +21,7 @@ const LoginForm: React.FC<LoginFormProps> = ({
   defaultTab = 'wallet'
 }) => {
   // Hooks
-  const { loginWithEmail, error: authError } = useAuthentication();
+  const { loginWithEmail, loginWithPasskey, error: authError } = useAuthentication();
   const { connect: connectWallet, isConnecting, connectionError } = useWallet();
   
   // Form state
@@ -89,6 +90,30 @@ const LoginForm: React.FC<LoginFormProps> = ({
     }
   };
   
+  /**
+   * Handle passkey login
+   */
+  const handlePasskeyLogin = async () => {
+    try {
+      setIsSubmitting(true);
+      setError(null);
+      setSuccessMessage(null);
+      
+      const success = await loginWithPasskey();
+      
+      if (success) {
+        setSuccessMessage('Login successful');
+        if (onSuccess) {onSuccess();}
+      } else {
+        setError('Passkey login failed');
+      }
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Login failed');
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+  
   return (
     <div className="bg-white rounded-lg shadow-md p-6 max-w-md mx-auto">
       <h2 className="text-2xl font-bold mb-6 text-center text-gray-800">Login to Proof of Funds</h2>
@@ -200,6 +225,17 @@ const LoginForm: React.FC<LoginFormProps> = ({
             {isSubmitting ? 'Logging in...' : 'Login'}
           </button>
           
+          {isPasskeySupported() && (
+            <button
+              type="button"
+              className="w-full mt-3 border border-blue-600 text-blue-600 hover:bg-blue-50 font-bold py-3 px-4 rounded-md transition-colors"
+              onClick={handlePasskeyLogin}
+              disabled={isSubmitting}
+            >
+              Sign in with a passkey
+            </button>
+          )}
+          
           <p className="text-sm text-gray-600 mt-4 text-center">
             Don't have an account?{' '}
             <a href="/register" className="text-blue-600 hover:text-blue-800">
@@ -0,0 +1,296 @@
+/**
+ * Sanctions Screening Component
+ *
+ * Lists the imported sanctions list versions, imports new versions from a
+ * file and activates earlier ones, and manages the allow-list of addresses
+ * cleared despite sanctions matches.
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  getSanctionsLists,
+  importSanctionsList,
+  activateSanctionsList,
+  getSanctionsAllowlist,
+  addSanctionsAllowlistEntry,
+  removeSanctionsAllowlistEntry,
+  SanctionsList,
+  SanctionsAllowlistEntry
+} from '../../services/securityService';
+
+const FORMATS: SanctionsList['format'][] = ['OFAC_SDN_XML', 'CSV', 'JSON'];
+
+const SanctionsScreening: React.FC = () => {
+  const [lists, setLists] = useState<SanctionsList[]>([]);
+  const [allowlist, setAllowlist] = useState<SanctionsAllowlistEntry[]>([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  // Import form
+  const [listName, setListName] = useState('');
+  const [listFormat, setListFormat] = useState<SanctionsList['format']>('CSV');
+  const [listFile, setListFile] = useState<File | null>(null);
+
+  // Allow-list form
+  const [address, setAddress] = useState('');
+  const [reason, setReason] = useState('');
+  const [expiresAt, setExpiresAt] = useState('');
+
+  // Load lists and allow-list on mount
+  useEffect(() => {
+    fetchSanctions();
+  }, []);
+
+  /**
+   * Fetch list versions and allow-list entries
+   */
+  const fetchSanctions = async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+
+      const [listData, allowlistData] = await Promise.all([
+        getSanctionsLists(),
+        getSanctionsAllowlist()
+      ]);
+      setLists(listData);
+      setAllowlist(allowlistData);
+    } catch (error) {
+      console.error('Error fetching sanctions lists:', error);
+      setError('Failed to load sanctions lists');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  /**
+   * Run an action, then reload
+   */
+  const runAction = async (action: () => Promise<unknown>) => {
+    try {
+      setError(null);
+      await action();
+      await fetchSanctions();
+    } catch (error) {
+      setError(error instanceof Error ? error.message : 'Request failed');
+    }
+  };
+
+  /**
+   * Import the selected file as the next version of the list
+   */
+  const handleImport = (event: React.FormEvent) => {
+    event.preventDefault();
+    if (!listFile || !listName) {
+      return;
+    }
+
+    runAction(async () => {
+      await importSanctionsList(listName, listFormat, await listFile.text(), listFile.name);
+      setListFile(null);
+    });
+  };
+
+  /**
+   * Add the address to the allow-list
+   */
+  const handleAllow = (event: React.FormEvent) => {
+    event.preventDefault();
+    if (!address || !reason) {
+      return;
+    }
+
+    runAction(async () => {
+      await addSanctionsAllowlistEntry(address, reason, expiresAt ? new Date(expiresAt).toISOString() : undefined);
+      setAddress('');
+      setReason('');
+      setExpiresAt('');
+    });
+  };
+
+  /**
+   * Revoke an allow-list entry after asking for a reason
+   */
+  const handleRevoke = (entry: SanctionsAllowlistEntry) => {
+    const revokeReason = window.prompt(`Reason for revoking the allow-list entry for ${entry.address}`);
+    if (revokeReason === null) {
+      return;
+    }
+
+    runAction(() => removeSanctionsAllowlistEntry(entry.id, revokeReason || undefined));
+  };
+
+  /**
+   * Format date for display
+   */
+  const formatDate = (dateString: string | null): string => {
+    return dateString ? new Date(dateString).toLocaleString() : '-';
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md overflow-hidden">
+      <div className="px-6 py-4 border-b border-gray-200">
+        <div className="flex justify-between items-center">
+          <div>
+            <h2 className="text-xl font-semibold text-gray-800">Sanctions Screening</h2>
+            <p className="text-sm text-gray-500">
+              {lists.some(list => list.isActive)
+                ? `${lists.filter(list => list.isActive).length} active list(s)`
+                : 'No sanctions list is active'}
+            </p>
+          </div>
+
+          <button
+            className="text-sm text-blue-600 hover:text-blue-800"
+            onClick={fetchSanctions}
+            disabled={isLoading}
+          >
+            {isLoading ? 'Refreshing...' : 'Refresh'}
+          </button>
+        </div>
+      </div>
+
+      {/* Error message */}
+      {error && (
+        <div className="px-6 py-4">
+          <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-md">
+            {error}
+          </div>
+        </div>
+      )}
+
+      {/* List versions */}
+      <div className="px-6 py-4">
+        <h3 className="text-sm font-medium text-gray-800 mb-2">Lists</h3>
+
+        <form className="flex flex-wrap gap-2 mb-4" onSubmit={handleImport}>
+          <input
+            className="border border-gray-300 rounded-md px-3 py-1 text-sm"
+            placeholder="List name, e.g. ofac-sdn"
+            value={listName}
+            onChange={event => setListName(event.target.value)}
+          />
+          <select
+            className="border border-gray-300 rounded-md px-3 py-1 text-sm"
+            value={listFormat}
+            onChange={event => setListFormat(event.target.value as SanctionsList['format'])}
+          >
+            {FORMATS.map(format => (
+              <option key={format} value={format}>{format}</option>
+            ))}
+          </select>
+          <input
+            type="file"
+            accept=".xml,.csv,.json"
+            className="text-sm"
+            onChange={event => setListFile(event.target.files?.[0] || null)}
+          />
+          <button
+            type="submit"
+            className="bg-blue-600 text-white text-sm px-3 py-1 rounded-md disabled:opacity-50"
+            disabled={!listFile || !listName}
+          >
+            Import
+          </button>
+        </form>
+
+        {!isLoading && lists.length === 0 ? (
+          <p className="text-sm text-gray-500">No lists imported</p>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th scope="col" className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">List</th>
+                <th scope="col" className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Version</th>
+                <th scope="col" className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Addresses</th>
+                <th scope="col" className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Imported</th>
+                <th scope="col" className="px-4 py-2" />
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {lists.map(list => (
+                <tr key={list.id}>
+                  <td className="px-4 py-2 text-sm text-gray-900">{list.name}</td>
+                  <td className="px-4 py-2 text-sm text-gray-500">v{list.version} ({list.format})</td>
+                  <td className="px-4 py-2 text-sm text-gray-500">{list.entryCount}</td>
+                  <td className="px-4 py-2 text-sm text-gray-500">{formatDate(list.createdAt)}</td>
+                  <td className="px-4 py-2 text-right">
+                    {list.isActive ? (
+                      <span className="px-2 py-1 text-xs rounded-full bg-green-100 text-green-800">Active</span>
+                    ) : (
+                      <button
+                        className="text-sm text-blue-600 hover:text-blue-800"
+                        onClick={() => runAction(() => activateSanctionsList(list.id))}
+                      >
+                        Activate
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {/* Allow-list */}
+      <div className="px-6 py-4 border-t border-gray-200">
+        <h3 className="text-sm font-medium text-gray-800 mb-2">Allow-list</h3>
+
+        <form className="flex flex-wrap gap-2 mb-4" onSubmit={handleAllow}>
+          <input
+            className="border border-gray-300 rounded-md px-3 py-1 text-sm flex-1"
+            placeholder="Address"
+            value={address}
+            onChange={event => setAddress(event.target.value)}
+          />
+          <input
+            className="border border-gray-300 rounded-md px-3 py-1 text-sm flex-1"
+            placeholder="Reason"
+            value={reason}
+            onChange={event => setReason(event.target.value)}
+          />
+          <input
+            type="date"
+            className="border border-gray-300 rounded-md px-3 py-1 text-sm"
+            value={expiresAt}
+            onChange={event => setExpiresAt(event.target.value)}
+          />
+          <button
+            type="submit"
+            className="bg-blue-600 text-white text-sm px-3 py-1 rounded-md disabled:opacity-50"
+            disabled={!address || !reason}
+          >
+            Allow
+          </button>
+        </form>
+
+        {!isLoading && allowlist.length === 0 ? (
+          <p className="text-sm text-gray-500">No allow-listed addresses</p>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            {allowlist.map(entry => (
+              <li key={entry.id} className="py-2 flex justify-between items-center">
+                <div>
+                  <p className="text-sm font-mono text-gray-900">{entry.address}</p>
+                  <p className="text-xs text-gray-500">
+                    {entry.reason} — by {entry.createdBy} on {formatDate(entry.createdAt)}
+                    {entry.expiresAt && `, until ${formatDate(entry.expiresAt)}`}
+                  </p>
+                </div>
+                <button
+                  className="text-sm text-red-600 hover:text-red-800"
+                  onClick={() => handleRevoke(entry)}
+                >
+                  Revoke
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SanctionsScreening;
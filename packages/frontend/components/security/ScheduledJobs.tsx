@@ -0,0 +1,195 @@
+/**
+ * Scheduled Jobs Component
+ *
+ * Displays the scheduler leader, the state of each maintenance job and
+ * the history of job runs.
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  getSchedulerStatus,
+  getScheduledJobRuns,
+  SchedulerStatus,
+  ScheduledJobRun
+} from '../../services/securityService';
+
+const ScheduledJobs: React.FC = () => {
+  const [status, setStatus] = useState<SchedulerStatus | null>(null);
+  const [runs, setRuns] = useState<ScheduledJobRun[]>([]);
+  const [selectedJob, setSelectedJob] = useState('');
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState<string | null>(null);
+
+  // Load status and history on mount and when the job filter changes
+  useEffect(() => {
+    fetchJobs();
+  }, [selectedJob]);
+
+  /**
+   * Fetch scheduler status and job runs
+   */
+  const fetchJobs = async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+
+      const [statusData, runsData] = await Promise.all([
+        getSchedulerStatus(),
+        getScheduledJobRuns(selectedJob || undefined, 20)
+      ]);
+      setStatus(statusData);
+      setRuns(runsData);
+    } catch (error) {
+      console.error('Error fetching scheduled jobs:', error);
+      setError('Failed to load scheduled jobs');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  /**
+   * Get run status badge color
+   */
+  const getStatusColor = (runStatus: string): string => {
+    switch (runStatus) {
+      case 'SUCCEEDED':
+        return 'bg-green-100 text-green-800';
+      case 'FAILED':
+        return 'bg-red-100 text-red-800';
+      case 'RUNNING':
+        return 'bg-blue-100 text-blue-800';
+      default:
+        return 'bg-gray-100 text-gray-800';
+    }
+  };
+
+  /**
+   * Format date for display
+   */
+  const formatDate = (dateString: string | null): string => {
+    return dateString ? new Date(dateString).toLocaleString() : '-';
+  };
+
+  /**
+   * Format a run's result counts, e.g. "expired: 3"
+   */
+  const formatResult = (run: ScheduledJobRun): string => {
+    if (run.error) {
+      return run.error;
+    }
+
+    return Object.entries(run.result || {})
+      .map(([key, count]) => `${key}: ${count}`)
+      .join(', ');
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md overflow-hidden">
+      <div className="px-6 py-4 border-b border-gray-200">
+        <div className="flex justify-between items-center">
+          <div>
+            <h2 className="text-xl font-semibold text-gray-800">Scheduled Jobs</h2>
+            <p className="text-sm text-gray-500">
+              {status?.leader
+                ? `Running on ${status.leader.holderId}`
+                : 'No instance is running the scheduler'}
+            </p>
+          </div>
+
+          <button
+            className="text-sm text-blue-600 hover:text-blue-800"
+            onClick={fetchJobs}
+            disabled={isLoading}
+          >
+            {isLoading ? 'Refreshing...' : 'Refresh'}
+          </button>
+        </div>
+      </div>
+
+      {/* Error message */}
+      {error && (
+        <div className="px-6 py-4">
+          <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded-md">
+            {error}
+          </div>
+        </div>
+      )}
+
+      {/* Jobs */}
+      {status && (
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4 px-6 py-4">
+          {status.jobs.map(job => (
+            <button
+              key={job.name}
+              className={`text-left rounded-lg p-4 border ${selectedJob === job.name ? 'border-blue-500 bg-blue-50' : 'border-gray-200 hover:bg-gray-50'}`}
+              onClick={() => setSelectedJob(selectedJob === job.name ? '' : job.name)}
+            >
+              <div className="flex justify-between items-center mb-1">
+                <h3 className="text-sm font-medium text-gray-800">{job.name}</h3>
+                {job.lastRun && (
+                  <span className={`px-2 py-0.5 text-xs rounded-full ${getStatusColor(job.lastRun.status)}`}>
+                    {job.lastRun.status}
+                  </span>
+                )}
+              </div>
+              <p className="text-xs text-gray-500">Last run: {formatDate(job.lastRun?.startedAt ?? null)}</p>
+              <p className="text-xs text-gray-500">Next run: {formatDate(job.nextRunAt)}</p>
+            </button>
+          ))}
+        </div>
+      )}
+
+      {/* Run history */}
+      {!isLoading && runs.length === 0 && (
+        <div className="px-6 py-12 text-center text-gray-500">
+          <p>No job runs found</p>
+        </div>
+      )}
+
+      {runs.length > 0 && (
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Job
+                </th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Status
+                </th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Started
+                </th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Duration
+                </th>
+                <th scope="col" className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  Result
+                </th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {runs.map(run => (
+                <tr key={run.id}>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{run.job}</td>
+                  <td className="px-6 py-4 whitespace-nowrap">
+                    <span className={`px-2 py-1 text-xs rounded-full ${getStatusColor(run.status)}`}>
+                      {run.status}
+                    </span>
+                  </td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">{formatDate(run.startedAt)}</td>
+                  <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                    {run.durationMs !== null ? `${run.durationMs} ms` : '-'}
+                  </td>
+                  <td className="px-6 py-4 text-sm text-gray-500">{formatResult(run)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ScheduledJobs;
@@ -1,11 +1,19 @@
 /**
  * User Preferences Panel
  * 
- * Component for managing user preferences.
+ * Component for managing user preferences and the user's passkeys.
  */
 
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import { useUserPreferences } from '../../contexts/UserPreferencesContext';
+import {
+  Passkey,
+  deletePasskey,
+  isPasskeySupported,
+  listPasskeys,
+  registerPasskey,
+  renamePasskey
+} from '../../services/passkeyService';
 
 const UserPreferencesPanel: React.FC = () => {
   const {
@@ -24,6 +32,19 @@ const UserPreferencesPanel: React.FC = () => {
   const [successMessage, setSuccessMessage] = useState<string | null>(null);
   const [errorMessage, setErrorMessage] = useState<string | null>(error);
   
+  // Passkey state
+  const [passkeys, setPasskeys] = useState<Passkey[]>([]);
+  const [newPasskeyName, setNewPasskeyName] = useState('');
+  const [editingPasskeyId, setEditingPasskeyId] = useState<string | null>(null);
+  const [editingPasskeyName, setEditingPasskeyName] = useState('');
+  const passkeysSupported = isPasskeySupported();
+  
+  useEffect(() => {
+    listPasskeys()
+      .then(setPasskeys)
+      .catch(error => console.error('Failed to load passkeys:', error));
+  }, []);
+  
   // Available options
   
   const networkOptions = [
@@ -119,6 +140,52 @@ const UserPreferencesPanel: React.FC = () => {
     }
   };
   
+  /**
+   * Run a passkey action and report its outcome
+   */
+  const runPasskeyAction = async (action: () => Promise<void>, success: string, failure: string) => {
+    try {
+      setIsSaving(true);
+      setErrorMessage(null);
+      setSuccessMessage(null);
+      
+      await action();
+      setPasskeys(await listPasskeys());
+      
+      setSuccessMessage(success);
+    } catch (error) {
+      console.error(`${failure}:`, error);
+      setErrorMessage(error instanceof Error ? `${failure}: ${error.message}` : failure);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+  
+  /**
+   * Handle adding a passkey on this device
+   */
+  const handleAddPasskey = () => runPasskeyAction(async () => {
+    await registerPasskey(newPasskeyName.trim() || undefined);
+    setNewPasskeyName('');
+  }, 'Passkey added', 'Failed to add passkey');
+  
+  /**
+   * Handle renaming a passkey
+   */
+  const handleRenamePasskey = (passkeyId: string) => runPasskeyAction(async () => {
+    await renamePasskey(passkeyId, editingPasskeyName.trim());
+    setEditingPasskeyId(null);
+  }, 'Passkey renamed', 'Failed to rename passkey');
+  
+  /**
+   * Handle removing a passkey
+   */
+  const handleRemovePasskey = (passkey: Passkey) => {
+    if (window.confirm(`Remove the passkey "${passkey.name}"? You will no longer be able to sign in with it.`)) {
+      runPasskeyAction(() => deletePasskey(passkey.id), 'Passkey removed', 'Failed to remove passkey');
+    }
+  };
+  
   // Render loading state
   if (isLoading) {
     return (
@@ -253,6 +320,118 @@ const UserPreferencesPanel: React.FC = () => {
         </div>
       </div>
       
+      {/* Passkeys */}
+      <div>
+        <h3 className="text-lg font-medium text-gray-900 mb-1">Passkeys</h3>
+        <p className="text-sm text-gray-500 mb-4">
+          Sign in and confirm sensitive actions with your device&apos;s fingerprint, face or screen lock instead of a password or code.
+        </p>
+        
+        {passkeys.length === 0 ? (
+          <p className="text-sm text-gray-700 mb-4">No passkeys yet.</p>
+        ) : (
+          <ul className="divide-y divide-gray-200 border border-gray-200 rounded-md mb-4">
+            {passkeys.map(passkey => (
+              <li key={passkey.id} className="flex items-center justify-between px-4 py-3">
+                {editingPasskeyId === passkey.id ? (
+                  <input
+                    type="text"
+                    aria-label="Passkey name"
+                    className="flex-1 mr-4 px-3 py-1 border border-gray-300 rounded-md sm:text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                    value={editingPasskeyName}
+                    maxLength={64}
+                    onChange={e => setEditingPasskeyName(e.target.value)}
+                    disabled={isSaving}
+                  />
+                ) : (
+                  <div>
+                    <p className="text-sm font-medium text-gray-900">
+                      {passkey.name}
+                      {passkey.backedUp && <span className="ml-2 text-xs text-gray-500">Synced</span>}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      Added {new Date(passkey.createdAt).toLocaleDateString()}
+                      {' · '}
+                      {passkey.lastUsedAt ? `Last used ${new Date(passkey.lastUsedAt).toLocaleDateString()}` : 'Never used'}
+                    </p>
+                  </div>
+                )}
+                
+                <div className="flex space-x-3">
+                  {editingPasskeyId === passkey.id ? (
+                    <>
+                      <button
+                        type="button"
+                        className="text-sm text-blue-600 hover:text-blue-800"
+                        onClick={() => handleRenamePasskey(passkey.id)}
+                        disabled={isSaving || !editingPasskeyName.trim()}
+                      >
+                        Save
+                      </button>
+                      <button
+                        type="button"
+                        className="text-sm text-gray-500 hover:text-gray-700"
+                        onClick={() => setEditingPasskeyId(null)}
+                        disabled={isSaving}
+                      >
+                        Cancel
+                      </button>
+                    </>
+                  ) : (
+                    <>
+                      <button
+                        type="button"
+                        className="text-sm text-blue-600 hover:text-blue-800"
+                        onClick={() => {
+                          setEditingPasskeyId(passkey.id);
+                          setEditingPasskeyName(passkey.name);
+                        }}
+                        disabled={isSaving}
+                      >
+                        Rename
+                      </button>
+                      <button
+                        type="button"
+                        className="text-sm text-red-600 hover:text-red-800"
+                        onClick={() => handleRemovePasskey(passkey)}
+                        disabled={isSaving}
+                      >
+                        Remove
+                      </button>
+                    </>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+        
+        {passkeysSupported ? (
+          <div className="flex space-x-3">
+            <input
+              type="text"
+              aria-label="New passkey name"
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-md sm:text-sm focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+              placeholder="Name, e.g. Work laptop"
+              value={newPasskeyName}
+              maxLength={64}
+              onChange={e => setNewPasskeyName(e.target.value)}
+              disabled={isSaving}
+            />
+            <button
+              type="button"
+              className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+              onClick={handleAddPasskey}
+              disabled={isSaving}
+            >
+              Add a passkey
+            </button>
+          </div>
+        ) : (
+          <p className="text-sm text-gray-500">This browser does not support passkeys.</p>
+        )}
+      </div>
+      
       {/* Reset preferences button */}
       <div className="flex justify-end pt-4">
         <button
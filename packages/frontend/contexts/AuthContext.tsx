@@ -7,6 +7,8 @@
 
 import React, { createContext, useContext, useEffect, useState, ReactNode } from 'react';
 import { v4 as uuidv4 } from 'uuid';
+import { loginWithPasskey as passkeyLogin } from '../services/passkeyService';
+import { fetchWithStepUp } from '../services/stepUpService';
 
 // Define user type
 export interface User {
@@ -29,6 +31,7 @@ export interface AuthState {
 export interface AuthContextType extends AuthState {
   loginWithWallet: (signature: string, message: string, walletAddress: string) => Promise<boolean>;
   loginWithEmail: (email: string, password: string) => Promise<boolean>;
+  loginWithPasskey: () => Promise<boolean>;
   register: (email: string, password: string) => Promise<boolean>;
   logout: () => Promise<void>;
   refreshToken: () => Promise<boolean>;
@@ -48,6 +51,7 @@ const AuthContext = createContext<AuthContextType>({
   authType: null,
   loginWithWallet: async () => false,
   loginWithEmail: async () => false,
+  loginWithPasskey: async () => false,
   register: async () => false,
   logout: async () => {},
   refreshToken: async () => false,
@@ -342,6 +346,42 @@ export const AuthProvider = ({ children }: { children: ReactNode }) => {
       return false;
     }
   };
+
+  /**
+   * Login with a passkey
+   */
+  const loginWithPasskey = async (): Promise<boolean> => {
+    try {
+      setState(prev => ({ ...prev, isLoading: true, error: null }));
+      
+      const data = await passkeyLogin();
+      storeTokens(data.token, data.refreshToken);
+      
+      setState({
+        isAuthenticated: true,
+        user: {
+          id: data.user.id,
+          email: data.user.email || undefined,
+          walletAddress: data.user.address || undefined,
+          permissions: data.user.permissions,
+        },
+        isLoading: false,
+        error: null,
+        authType: 'email',
+      });
+      
+      setupRefreshInterval();
+      return true;
+    } catch (error) {
+      console.error('Passkey login error:', error);
+      setState(prev => ({
+        ...prev,
+        isLoading: false,
+        error: error instanceof Error ? error.message : 'Login failed',
+      }));
+      return false;
+    }
+  };
   
   /**
    * Register with email and password
@@ -601,30 +641,29 @@ export const AuthProvider = ({ children }: { children: ReactNode }) => {
         throw new Error('Not authenticated');
       }
       
-      const response = await fetch('/api/user/auth/change-password', {
+      // Users with 2FA enabled are asked to verify a second factor first
+      await fetchWithStepUp('/api/user/auth/change-password', {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
           'Authorization': `Bearer ${accessToken}`,
         },
         body: JSON.stringify({ currentPassword, newPassword }),
-      });
-      
-      const data = await response.json();
+      }, 'Password change failed');
       
       setState(prev => ({
         ...prev,
         isLoading: false,
-        error: data.success ? null : (data.message || 'Password change failed'),
+        error: null,
       }));
       
-      return data.success;
+      return true;
     } catch (error) {
       console.error('Password change error:', error);
       setState(prev => ({
         ...prev,
         isLoading: false,
-        error: 'Password change failed',
+        error: error instanceof Error ? error.message : 'Password change failed',
       }));
       return false;
     }
@@ -635,6 +674,7 @@ export const AuthProvider = ({ children }: { children: ReactNode }) => {
     ...state,
     loginWithWallet,
     loginWithEmail,
+    loginWithPasskey,
     register,
     logout,
     refreshToken,
@@ -79,6 +79,22 @@ export function useAuthentication() {
     }
   };
 
+  /**
+   * Login with a passkey
+   * @returns Success status
+   */
+  const loginWithPasskey = async (): Promise<boolean> => {
+    try {
+      setIsLoggingIn(true);
+      return await auth.loginWithPasskey();
+    } catch (error) {
+      console.error('Passkey login error:', error);
+      return false;
+    } finally {
+      setIsLoggingIn(false);
+    }
+  };
+
   /**
    * Register a new user with email and password
    * @param email User email
@@ -207,6 +223,7 @@ export function useAuthentication() {
     // Authentication methods
     connectWallet,
     loginWithEmail,
+    loginWithPasskey,
     register,
     logout,
     verifyEmail,
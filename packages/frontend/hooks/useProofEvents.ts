@@ -0,0 +1,43 @@
+/**
+ * Proof Events Hook
+ *
+ * Keeps the proof event stream open while a component is mounted and passes
+ * its events to the component. `live` is false while the stream is not
+ * connected, or does not carry events from every API instance; components
+ * should poll the state they show until it is true.
+ */
+
+import { useEffect, useRef, useSyncExternalStore } from 'react';
+import {
+  ProofEventListener,
+  subscribeToProofEvents,
+  isProofEventStreamLive,
+  onProofEventStreamChange
+} from '../services/proofEventService';
+
+/**
+ * Interface for proof events hook return value
+ */
+export interface UseProofEventsReturn {
+  live: boolean;
+}
+
+/**
+ * Hook for receiving proof job, transaction and proof status events
+ *
+ * @param listener - Called with each event; may change between renders
+ */
+export function useProofEvents(listener?: ProofEventListener): UseProofEventsReturn {
+  const live = useSyncExternalStore(onProofEventStreamChange, isProofEventStreamLive, () => false);
+  const listenerRef = useRef(listener);
+
+  useEffect(() => {
+    listenerRef.current = listener;
+  }, [listener]);
+
+  useEffect(() => subscribeToProofEvents(event => listenerRef.current?.(event)), []);
+
+  return { live };
+}
+
+export default useProofEvents;
@@ -0,0 +1,197 @@
+/**
+ * Proof Jobs Hook
+ *
+ * Tracks the proof generation jobs queued from this browser. The tracked
+ * jobs are shared by every component using the hook and kept in
+ * localStorage, so progress survives page changes and reloads. Active jobs
+ * are updated from the proof event stream, and polled until they finish
+ * while the stream is not live.
+ */
+
+import { useCallback, useEffect, useSyncExternalStore } from 'react';
+import {
+  ProofJob,
+  ProofJobRequest,
+  QueuedProof,
+  queueProof as queueProofRequest,
+  fetchProofJob,
+  cancelProofJob,
+  isJobActive
+} from '../services/proofJobService';
+import {
+  ProofEvent,
+  subscribeToProofEvents,
+  isProofEventStreamLive,
+  onProofEventStreamChange
+} from '../services/proofEventService';
+
+const STORAGE_KEY = 'pof_proof_jobs';
+const POLL_INTERVAL = 2000; // 2 seconds
+const MAX_TRACKED_JOBS = 10;
+
+/**
+ * Interface for proof jobs hook return value
+ */
+export interface UseProofJobsReturn {
+  jobs: ProofJob[];
+  activeJobs: ProofJob[];
+  queueProof: (request: ProofJobRequest) => Promise<QueuedProof>;
+  cancelJob: (jobId: string) => Promise<void>;
+  dismissJob: (jobId: string) => void;
+}
+
+const EMPTY: ProofJob[] = [];
+const listeners = new Set<() => void>();
+let jobs: ProofJob[] | null = null;
+let pollTimer: ReturnType<typeof setTimeout> | null = null;
+let unsubscribeEvents: (() => void) | null = null;
+
+function loadJobs(): ProofJob[] {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+  } catch {
+    return [];
+  }
+}
+
+function getJobs(): ProofJob[] {
+  if (jobs === null) {
+    jobs = loadJobs();
+  }
+  return jobs;
+}
+
+function setJobs(next: ProofJob[]): void {
+  jobs = next.slice(0, MAX_TRACKED_JOBS);
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(jobs));
+  listeners.forEach(listener => listener());
+}
+
+function upsertJob(job: ProofJob): void {
+  setJobs([job, ...getJobs().filter(tracked => tracked.id !== job.id)]);
+}
+
+/**
+ * Fetch the current state of active jobs
+ */
+async function refreshActiveJobs(): Promise<void> {
+  const active = getJobs().filter(isJobActive);
+  const updates = await Promise.all(active.map(job => fetchProofJob(job.id).catch(() => null)));
+
+  setJobs(getJobs().map(job => updates.find(update => update?.id === job.id) || job));
+}
+
+/**
+ * Poll active jobs while any component is subscribed and the event stream is not live
+ */
+function schedulePoll(): void {
+  if (pollTimer || listeners.size === 0 || isProofEventStreamLive() || !getJobs().some(isJobActive)) {
+    return;
+  }
+
+  pollTimer = setTimeout(async () => {
+    await refreshActiveJobs();
+    pollTimer = null;
+    schedulePoll();
+  }, POLL_INTERVAL);
+}
+
+/**
+ * Replace a tracked job with the copy sent in a job event
+ */
+function handleProofEvent(event: ProofEvent): void {
+  const updated: ProofJob | undefined = event.data.job;
+
+  if (event.type.startsWith('job.') && updated && getJobs().some(job => job.id === updated.id)) {
+    setJobs(getJobs().map(job => (job.id === updated.id ? updated : job)));
+  }
+}
+
+/**
+ * Stop polling once the stream is live; events sent while it was down are
+ * not replayed, so the jobs are fetched once
+ */
+function handleStreamChange(live: boolean): void {
+  if (!live) {
+    schedulePoll();
+    return;
+  }
+
+  if (pollTimer) {
+    clearTimeout(pollTimer);
+    pollTimer = null;
+  }
+  refreshActiveJobs();
+}
+
+function subscribe(listener: () => void): () => void {
+  listeners.add(listener);
+
+  if (!unsubscribeEvents) {
+    const unsubscribeStream = subscribeToProofEvents(handleProofEvent);
+    const unsubscribeChange = onProofEventStreamChange(handleStreamChange);
+    unsubscribeEvents = () => {
+      unsubscribeStream();
+      unsubscribeChange();
+    };
+  }
+  schedulePoll();
+
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size === 0) {
+      unsubscribeEvents?.();
+      unsubscribeEvents = null;
+
+      if (pollTimer) {
+        clearTimeout(pollTimer);
+        pollTimer = null;
+      }
+    }
+  };
+}
+
+/**
+ * Hook for queueing proofs and following their generation jobs
+ */
+export function useProofJobs(): UseProofJobsReturn {
+  const trackedJobs = useSyncExternalStore(subscribe, getJobs, () => EMPTY);
+
+  // Resume polling when jobs are added and the stream is not live
+  useEffect(() => {
+    schedulePoll();
+  }, [trackedJobs]);
+
+  /**
+   * Queue a proof and start tracking its job
+   */
+  const queueProof = useCallback(async (request: ProofJobRequest) => {
+    const queued = await queueProofRequest(request);
+    upsertJob(await fetchProofJob(queued.jobId));
+    return queued;
+  }, []);
+
+  /**
+   * Cancel a queued or running job
+   */
+  const cancelJob = useCallback(async (jobId: string) => {
+    upsertJob(await cancelProofJob(jobId));
+  }, []);
+
+  /**
+   * Stop tracking a job
+   */
+  const dismissJob = useCallback((jobId: string) => {
+    setJobs(getJobs().filter(job => job.id !== jobId));
+  }, []);
+
+  return {
+    jobs: trackedJobs,
+    activeJobs: trackedJobs.filter(isJobActive),
+    queueProof,
+    cancelJob,
+    dismissJob
+  };
+}
+
+export default useProofJobs;
@@ -4,7 +4,7 @@
 module.exports = {
   preset: 'ts-jest',
   testEnvironment: 'jsdom',
-  roots: ['<rootDir>/services'],
+  roots: ['<rootDir>/services', '<rootDir>/utils/chains'],
   testMatch: ['**/__tests__/**/*.test.ts'],
   transform: {
     '^.+\\.tsx?$': ['ts-jest', {
@@ -35,6 +35,8 @@ module.exports = {
     '^(\\.{1,2}/.*)\\.js$': '$1',
     '^@proof-of-funds/common/utils/(.*)$': '<rootDir>/../common/src/utils/$1',
     '^@proof-of-funds/common/(.*)$': '<rootDir>/../common/src/$1',
+    // @solana/web3.js pulls in uuid, whose browser build is ESM-only under jsdom
+    '^uuid$': require.resolve('uuid'),
   },
   transformIgnorePatterns: [
     'node_modules/(?!(@proof-of-funds|ethers)/)'
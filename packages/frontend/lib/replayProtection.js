@@ -0,0 +1,146 @@
+/**
+ * Replay Protection for API routes
+ *
+ * Shares one nonce store between the nonce validator and the request signature
+ * verifier. The store is selected with NONCE_STORE_TYPE:
+ *   - memory (default): per-process, for development only
+ *   - redis: shared through REDIS_URL
+ *   - postgres: shared through the used_nonces table
+ *
+ * @note This module is designed for server-side use only.
+ */
+
+import { createNonceStore, createNonceValidator } from '@proof-of-funds/common/zk/src/security/NonceValidator';
+import { createSignatureVerifier } from '@proof-of-funds/common/zk/src/security/RequestSignatureVerifier';
+import { getAuthFromRequest } from '../utils/auth';
+
+let nonceStorePromise;
+let nonceValidatorPromise;
+let signatureVerifierPromise;
+
+/**
+ * Create the nonce store configured by the environment
+ * @returns {Promise<Object>} Nonce store
+ */
+async function createConfiguredNonceStore() {
+  const type = process.env.NONCE_STORE_TYPE || 'memory';
+
+  if (type === 'redis') {
+    const { default: Redis } = await import('ioredis');
+    const client = new Redis(process.env.REDIS_URL || 'redis://localhost:6379', {
+      maxRetriesPerRequest: 3,
+      connectTimeout: 10000, // 10 seconds
+      commandTimeout: 5000   // 5 seconds
+    });
+
+    client.on('error', (err) => {
+      console.error('Redis connection error for nonce store:', err);
+    });
+
+    return createNonceStore({ type, client });
+  }
+
+  if (type === 'postgres') {
+    const { prisma } = await import('@proof-of-funds/db');
+    return createNonceStore({ type, prisma });
+  }
+
+  if (process.env.NODE_ENV === 'production') {
+    console.warn('Using the in-memory nonce store; replay protection is not shared between instances');
+  }
+
+  return createNonceStore({ type });
+}
+
+/**
+ * Get the shared nonce store
+ * @returns {Promise<Object>} Nonce store
+ */
+export function getNonceStore() {
+  if (!nonceStorePromise) {
+    nonceStorePromise = createConfiguredNonceStore();
+  }
+  return nonceStorePromise;
+}
+
+/**
+ * Get the nonce validator backed by the shared nonce store
+ * @returns {Promise<Object>} Nonce validator
+ */
+export function getNonceValidator() {
+  if (!nonceValidatorPromise) {
+    nonceValidatorPromise = getNonceStore().then(store => createNonceValidator({ store }));
+  }
+  return nonceValidatorPromise;
+}
+
+/**
+ * Get the request signature verifier backed by the shared nonce store
+ * @returns {Promise<Object>} Signature verifier
+ */
+export function getSignatureVerifier() {
+  if (!signatureVerifierPromise) {
+    signatureVerifierPromise = getNonceStore().then(nonceStore => createSignatureVerifier({ nonceStore }));
+  }
+  return signatureVerifierPromise;
+}
+
+/**
+ * Get the user a request nonce is scoped to. Only a verified access token
+ * sets the scope; a client-chosen scope would let a captured request be
+ * replayed under another one. Other requests share the anonymous scope.
+ * @param {Object} req - Next.js request object
+ * @returns {Promise<string>} User identifier
+ */
+export async function getRequestUserId(req) {
+  const auth = await getAuthFromRequest(req);
+  const user = auth?.type === 'jwt' && auth.data?.type !== 'refresh' ? auth.data : null;
+
+  if (user?.id) {
+    return `user:${user.id}`;
+  }
+
+  if (user?.walletAddress) {
+    return `wallet:${String(user.walletAddress).toLowerCase()}`;
+  }
+
+  return 'anonymous';
+}
+
+/**
+ * Check the request nonce and send a 400 response if it is missing, invalid
+ * or replayed. The nonce and timestamp are read from the body or the
+ * X-Request-Nonce and X-Request-Timestamp headers. The timestamp is required
+ * too, so a nonce cannot be replayed once the store has forgotten it.
+ *
+ * @param {Object} req - Next.js request object
+ * @param {Object} res - Next.js response object
+ * @returns {Promise<boolean>} True if the request may proceed
+ */
+export async function checkRequestNonce(req, res) {
+  const nonce = req.body?.nonce ?? req.headers['x-request-nonce'];
+  const timestamp = req.body?.timestamp ?? req.headers['x-request-timestamp'];
+
+  if (nonce === undefined || timestamp === undefined) {
+    res.status(400).json({
+      error: 'Missing required parameter',
+      message: 'Nonce and timestamp are required to prevent replay attacks',
+      requiredParams: ['nonce', 'timestamp']
+    });
+    return false;
+  }
+
+  const validator = await getNonceValidator();
+  const result = await validator.validateNonce(nonce, await getRequestUserId(req), timestamp);
+
+  if (!result.valid) {
+    res.status(400).json({
+      error: 'Invalid nonce',
+      message: result.message,
+      reason: result.reason
+    });
+    return false;
+  }
+
+  return true;
+}
@@ -0,0 +1,45 @@
+/**
+ * Snapshot Balances for API routes
+ *
+ * Reads wallet balances at the snapshot block of a balance-commitment proof
+ * (circuit version v2.0.0) with the chain adapters, so the balances a proof
+ * commits to come from the chain rather than from the prover.
+ *
+ * @note This module is designed for server-side use only.
+ */
+
+import chainRegistry from '../utils/chains';
+
+/**
+ * Read the balance of a wallet at a snapshot block
+ * @param {Object} wallet - Wallet with address and networkId (chain ID)
+ * @param {{blockNumber: number|string}} snapshot - Block the balance is read at
+ * @returns {Promise<string>} Balance in base units
+ * @throws {Error} If the chain is not supported or the balance cannot be read
+ */
+export async function fetchSnapshotBalance(wallet, snapshot) {
+  const adapter = chainRegistry.getAdapter(Number(wallet.networkId));
+  const { balance } = await adapter.getBalanceAt(wallet.address, {
+    blockNumber: Number(snapshot.blockNumber)
+  });
+
+  return balance.toString();
+}
+
+/**
+ * Read the balances of the wallets of a proof at its snapshot block
+ * @param {Array<Object>} wallets - Wallets with address and networkId
+ * @param {{blockNumber: number|string}} snapshot - Block the balances are read at
+ * @returns {Promise<Array<Object>>} The wallets with their balance in base units
+ */
+export async function fetchSnapshotBalances(wallets, snapshot) {
+  return Promise.all(wallets.map(async wallet => ({
+    ...wallet,
+    balance: await fetchSnapshotBalance(wallet, snapshot)
+  })));
+}
+
+export default {
+  fetchSnapshotBalance,
+  fetchSnapshotBalances
+};
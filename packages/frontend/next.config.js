@@ -81,7 +81,7 @@ const headerConfig = isDev
 
 const nextConfig = {
   reactStrictMode: true,
-  transpilePackages: ['@proof-of-funds/common', 'snarkjs', 'fastfile', 'ffjavascript', 'ioredis'],
+  transpilePackages: ['@proof-of-funds/common', '@proof-of-funds/contracts', 'snarkjs', 'fastfile', 'ffjavascript', 'ioredis'],
   
   // Add contract address to both public and server runtime configs
   // Making sure we prioritize direct environment variables
@@ -13,6 +13,8 @@ import SecurityDashboardOverview from '../../components/security/SecurityDashboa
 import IPMonitoring from '../../components/security/IPMonitoring';
 import AuthenticationLogs from '../../components/security/AuthenticationLogs';
 import SecurityAlerts from '../../components/security/SecurityAlerts';
+import ScheduledJobs from '../../components/security/ScheduledJobs';
+import SanctionsScreening from '../../components/security/SanctionsScreening';
 
 const SecurityDashboardPage: NextPage = () => {
   return (
@@ -33,6 +35,14 @@ const SecurityDashboardPage: NextPage = () => {
           <div className="bg-white rounded-lg shadow-md overflow-hidden mb-8">
             <AuthenticationLogs />
           </div>
+          
+          <div className="mb-8">
+            <ScheduledJobs />
+          </div>
+          
+          <div className="mb-8">
+            <SanctionsScreening />
+          </div>
         </div>
       </Layout>
     </AuthGuard>
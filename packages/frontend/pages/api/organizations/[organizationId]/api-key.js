@@ -0,0 +1,61 @@
+/**
+ * Organization API Key Endpoint
+ * 
+ * Proxies API key rotation requests to the backend API server. The new key is
+ * only returned once, so the response must not be cached.
+ * Users with 2FA enabled must send a step-up token in the X-Step-Up-Token header.
+ */
+
+import { discoverBackendUrl } from '../../../../lib/backend-discovery';
+
+export default async function handler(req, res) {
+  // Only accept POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({ 
+      error: 'method_not_allowed',
+      message: 'Only POST method is supported'
+    });
+  }
+
+  try {
+    const { organizationId } = req.query;
+
+    // Get authorization header
+    const authHeader = req.headers.authorization;
+    
+    if (!authHeader) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authorization header required'
+      });
+    }
+
+    // Forward the step-up token, if any
+    const headers = {
+      'Content-Type': 'application/json',
+      'Authorization': authHeader,
+    };
+    if (req.headers['x-step-up-token']) {
+      headers['X-Step-Up-Token'] = req.headers['x-step-up-token'];
+    }
+
+    // Discover backend URL dynamically
+    const backendUrl = await discoverBackendUrl();
+    const response = await fetch(`${backendUrl}/api/v1/organizations/${encodeURIComponent(organizationId)}/api-key`, {
+      method: 'POST',
+      headers,
+    });
+    
+    const data = await response.json();
+    
+    // Return the backend response
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(response.status).json(data);
+  } catch (error) {
+    console.error('Organization API key proxy error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+}
@@ -0,0 +1,90 @@
+/**
+ * Proof Events API Endpoint
+ *
+ * Proxies the backend's proof event stream (Server-Sent Events) to the
+ * browser, passing each chunk on as it arrives.
+ */
+
+import { discoverBackendUrl } from '../../../lib/backend-discovery';
+
+// The stream stays open for as long as the page is
+export const config = {
+  api: {
+    responseLimit: false
+  }
+};
+
+export default async function handler(req, res) {
+  // Only accept GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      error: 'method_not_allowed',
+      message: 'Only GET method is supported'
+    });
+  }
+
+  // Get authorization header
+  const authHeader = req.headers.authorization;
+
+  if (!authHeader) {
+    return res.status(401).json({
+      success: false,
+      message: 'Authorization header required'
+    });
+  }
+
+  // Stop reading from the backend when the browser disconnects
+  const controller = new AbortController();
+  req.on('close', () => controller.abort());
+
+  try {
+    // Discover backend URL dynamically
+    const backendUrl = await discoverBackendUrl();
+    const response = await fetch(`${backendUrl}/api/v1/proofs/events`, {
+      method: 'GET',
+      headers: {
+        'Accept': 'text/event-stream',
+        'Authorization': authHeader,
+      },
+      signal: controller.signal
+    });
+
+    if (!response.ok || !response.body) {
+      const data = await response.json().catch(() => ({}));
+      return res.status(response.status).json(data);
+    }
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+
+    const reader = response.body.getReader();
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) {
+        break;
+      }
+      res.write(value);
+    }
+
+    res.end();
+  } catch (error) {
+    if (controller.signal.aborted) {
+      return res.end();
+    }
+
+    console.error('Proof events proxy error:', error);
+
+    if (res.headersSent) {
+      return res.end();
+    }
+
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+}
@@ -0,0 +1,55 @@
+/**
+ * Proofs API Endpoint
+ * 
+ * Proxies proof requests to the backend API server.
+ * GET lists the user's proofs, POST queues a new proof for generation.
+ */
+
+import { discoverBackendUrl } from '../../../lib/backend-discovery';
+
+export default async function handler(req, res) {
+  // Only accept GET and POST requests
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ 
+      error: 'method_not_allowed',
+      message: 'Only GET and POST methods are supported'
+    });
+  }
+
+  try {
+    // Get authorization header
+    const authHeader = req.headers.authorization;
+    
+    if (!authHeader) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authorization header required'
+      });
+    }
+
+    // Forward the query string for list filters and pagination
+    const query = req.url.includes('?') ? req.url.slice(req.url.indexOf('?')) : '';
+
+    // Discover backend URL dynamically
+    const backendUrl = await discoverBackendUrl();
+    const response = await fetch(`${backendUrl}/api/v1/proofs${query}`, {
+      method: req.method,
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': authHeader,
+      },
+      body: req.method === 'POST' ? JSON.stringify(req.body) : undefined,
+    });
+    
+    const data = await response.json();
+    
+    // Return the backend response
+    return res.status(response.status).json(data);
+  } catch (error) {
+    console.error('Proofs proxy error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+}
@@ -0,0 +1,56 @@
+/**
+ * Proof Job API Endpoint
+ * 
+ * Proxies proof generation job requests to the backend API server.
+ * GET returns the job status and progress, DELETE cancels the job.
+ */
+
+import { discoverBackendUrl } from '../../../../lib/backend-discovery';
+
+export default async function handler(req, res) {
+  // Only accept GET and DELETE requests
+  if (req.method !== 'GET' && req.method !== 'DELETE') {
+    return res.status(405).json({ 
+      error: 'method_not_allowed',
+      message: 'Only GET and DELETE methods are supported'
+    });
+  }
+
+  try {
+    const { jobId } = req.query;
+
+    // Get authorization header
+    const authHeader = req.headers.authorization;
+    
+    if (!authHeader) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authorization header required'
+      });
+    }
+
+    // Discover backend URL dynamically
+    const backendUrl = await discoverBackendUrl();
+    const response = await fetch(`${backendUrl}/api/v1/proofs/jobs/${encodeURIComponent(jobId)}`, {
+      method: req.method,
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': authHeader,
+      },
+    });
+    
+    const data = await response.json();
+    
+    // Job progress changes while the proof is generated and must not be cached
+    res.setHeader('Cache-Control', 'no-store');
+    
+    // Return the backend response
+    return res.status(response.status).json(data);
+  } catch (error) {
+    console.error('Proof job proxy error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+}
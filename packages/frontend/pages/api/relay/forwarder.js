@@ -0,0 +1,55 @@
+/**
+ * Relay Forwarder API Endpoint
+ *
+ * Proxies to the backend relayer. Returns the forwarder contract, the
+ * EIP-712 domain temporary wallets sign requests for and, with ?from=, the
+ * nonce the wallet's next request must use.
+ */
+
+import { discoverBackendUrl } from '../../../lib/backend-discovery';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      error: 'method_not_allowed',
+      message: 'Only GET method is supported'
+    });
+  }
+
+  try {
+    // Get authorization header
+    const authHeader = req.headers.authorization;
+
+    if (!authHeader) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authorization header required'
+      });
+    }
+
+    const query = req.query.from ? `?from=${encodeURIComponent(req.query.from)}` : '';
+
+    // Discover backend URL dynamically
+    const backendUrl = await discoverBackendUrl();
+    const response = await fetch(`${backendUrl}/api/v1/relay/forwarder${query}`, {
+      method: 'GET',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': authHeader,
+      },
+    });
+
+    const data = await response.json();
+
+    // The nonce changes with every relayed request
+    res.setHeader('Cache-Control', 'no-store');
+
+    return res.status(response.status).json(data);
+  } catch (error) {
+    console.error('Relay forwarder proxy error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+}
@@ -0,0 +1,54 @@
+/**
+ * Relay Transaction API Endpoint
+ *
+ * Proxies to the backend relayer. Returns the status of a relayed proof
+ * submission and its latest transaction hash.
+ */
+
+import { discoverBackendUrl } from '../../../../lib/backend-discovery';
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    return res.status(405).json({
+      error: 'method_not_allowed',
+      message: 'Only GET method is supported'
+    });
+  }
+
+  try {
+    const { transactionId } = req.query;
+
+    // Get authorization header
+    const authHeader = req.headers.authorization;
+
+    if (!authHeader) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authorization header required'
+      });
+    }
+
+    // Discover backend URL dynamically
+    const backendUrl = await discoverBackendUrl();
+    const response = await fetch(`${backendUrl}/api/v1/relay/transactions/${encodeURIComponent(transactionId)}`, {
+      method: 'GET',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': authHeader,
+      },
+    });
+
+    const data = await response.json();
+
+    // The status changes until the transaction is mined and must not be cached
+    res.setHeader('Cache-Control', 'no-store');
+
+    return res.status(response.status).json(data);
+  } catch (error) {
+    console.error('Relay transaction proxy error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+}
@@ -0,0 +1,41 @@
+/**
+ * Proof Request Template API Endpoint
+ * 
+ * Proxies proof request template lookups to the backend API server.
+ */
+
+import { discoverBackendUrl } from '../../../lib/backend-discovery';
+
+export default async function handler(req, res) {
+  // Only accept GET requests
+  if (req.method !== 'GET') {
+    return res.status(405).json({ 
+      error: 'method_not_allowed',
+      message: 'Only GET method is supported'
+    });
+  }
+
+  try {
+    const { templateId } = req.query;
+
+    // Discover backend URL dynamically
+    const backendUrl = await discoverBackendUrl();
+    const response = await fetch(`${backendUrl}/api/v1/templates/${encodeURIComponent(templateId)}`, {
+      method: 'GET',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+    });
+    
+    const data = await response.json();
+    
+    // Return the backend response
+    return res.status(response.status).json(data);
+  } catch (error) {
+    console.error('Template proxy error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+}
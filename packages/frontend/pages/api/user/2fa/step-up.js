@@ -0,0 +1,62 @@
+/**
+ * Two-Factor Step-Up API Endpoint
+ * 
+ * Proxies step-up requests to the backend API server. A valid TOTP or backup
+ * code is exchanged for a short-lived step-up token for sensitive actions.
+ */
+
+import { discoverBackendUrl } from '../../../../lib/backend-discovery';
+
+export default async function handler(req, res) {
+  // Only accept POST requests
+  if (req.method !== 'POST') {
+    return res.status(405).json({ 
+      error: 'method_not_allowed',
+      message: 'Only POST method is supported'
+    });
+  }
+
+  try {
+    const { token } = req.body || {};
+
+    // Validate required fields
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Verification code is required'
+      });
+    }
+
+    // Get authorization header
+    const authHeader = req.headers.authorization;
+    
+    if (!authHeader) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authorization header required'
+      });
+    }
+
+    // Discover backend URL dynamically
+    const backendUrl = await discoverBackendUrl();
+    const response = await fetch(`${backendUrl}/api/v1/user/2fa/step-up`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': authHeader,
+      },
+      body: JSON.stringify({ token }),
+    });
+    
+    const data = await response.json();
+    
+    // Return the backend response
+    return res.status(response.status).json(data);
+  } catch (error) {
+    console.error('Two-factor step-up proxy error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+}
@@ -2,6 +2,7 @@
  * Change Password API Endpoint
  * 
  * Proxies change password requests to the backend API server.
+ * Users with 2FA enabled must send a step-up token in the X-Step-Up-Token header.
  */
 
 export default async function handler(req, res) {
@@ -34,14 +35,20 @@ export default async function handler(req, res) {
       });
     }
     
+    // Forward the step-up token, if any
+    const headers = {
+      'Content-Type': 'application/json',
+      'Authorization': authHeader,
+    };
+    if (req.headers['x-step-up-token']) {
+      headers['X-Step-Up-Token'] = req.headers['x-step-up-token'];
+    }
+
     // Forward request to backend API
     const backendUrl = process.env.BACKEND_URL || 'http://127.0.0.1:3001';
     const response = await fetch(`${backendUrl}/api/v1/user/auth/change-password`, {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': authHeader,
-      },
+      headers,
       body: JSON.stringify({ currentPassword, newPassword }),
     });
     
@@ -0,0 +1,51 @@
+/**
+ * Passkey API Endpoints
+ *
+ * Proxies passkey registration, login, step-up and management requests to the
+ * backend API server.
+ */
+
+import { discoverBackendUrl } from '../../../../../lib/backend-discovery';
+
+const ALLOWED_METHODS = ['GET', 'POST', 'PATCH', 'DELETE'];
+
+export default async function handler(req, res) {
+  if (!ALLOWED_METHODS.includes(req.method)) {
+    return res.status(405).json({
+      error: 'method_not_allowed',
+      message: `Only ${ALLOWED_METHODS.join(', ')} methods are supported`
+    });
+  }
+
+  try {
+    const path = (req.query.path || []).map(segment => encodeURIComponent(segment)).join('/');
+
+    // Forward the caller's credentials and step-up token, if any
+    const headers = { 'Content-Type': 'application/json' };
+    if (req.headers.authorization) {
+      headers['Authorization'] = req.headers.authorization;
+    }
+    if (req.headers['x-step-up-token']) {
+      headers['X-Step-Up-Token'] = req.headers['x-step-up-token'];
+    }
+
+    // Discover backend URL dynamically
+    const backendUrl = await discoverBackendUrl();
+    const response = await fetch(`${backendUrl}/api/v1/user/auth/passkeys${path ? `/${path}` : ''}`, {
+      method: req.method,
+      headers,
+      body: ['POST', 'PATCH'].includes(req.method) ? JSON.stringify(req.body || {}) : undefined,
+    });
+
+    const data = await response.json();
+
+    // Return the backend response
+    return res.status(response.status).json(data);
+  } catch (error) {
+    console.error('Passkey proxy error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+}
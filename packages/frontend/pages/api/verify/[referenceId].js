@@ -0,0 +1,48 @@
+/**
+ * Proof Verification API Endpoint
+ * 
+ * Proxies reference ID verification requests to the backend API server.
+ * GET returns the proof status, POST verifies the proof with its decryption key.
+ */
+
+import { discoverBackendUrl } from '../../../lib/backend-discovery';
+
+export default async function handler(req, res) {
+  // Only accept GET and POST requests
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ 
+      error: 'method_not_allowed',
+      message: 'Only GET and POST methods are supported'
+    });
+  }
+
+  try {
+    const { referenceId } = req.query;
+
+    // Discover backend URL dynamically
+    const backendUrl = await discoverBackendUrl();
+    const response = await fetch(`${backendUrl}/api/v1/verify/${encodeURIComponent(referenceId)}`, {
+      method: req.method,
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: req.method === 'POST'
+        ? JSON.stringify({ decryptionKey: req.body?.decryptionKey })
+        : undefined,
+    });
+    
+    const data = await response.json();
+    
+    // Verification results depend on the decryption key and must not be cached
+    res.setHeader('Cache-Control', 'no-store');
+    
+    // Return the backend response
+    return res.status(response.status).json(data);
+  } catch (error) {
+    console.error('Verification proxy error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+}
@@ -16,8 +16,7 @@ import { snarkjsLoader } from '@proof-of-funds/common/zk/src/snarkjsLoader';
 import { telemetry } from '@proof-of-funds/common/zk/src/telemetry';
 import { performance } from 'perf_hooks';
 import { RateLimiter } from '@proof-of-funds/common/zk/src/zkProxyClient';
-import { nonceValidator } from '@proof-of-funds/common/zk/src/security/NonceValidator';
-import { signatureVerifier } from '@proof-of-funds/common/zk/src/security/RequestSignatureVerifier';
+import { checkRequestNonce, getSignatureVerifier } from '../../../lib/replayProtection';
 import { inputValidator } from '@proof-of-funds/common/zk/src/security/InputValidator';
 import { responseSigner } from '@proof-of-funds/common/zk/src/security/ResponseSigner';
 
@@ -128,7 +127,7 @@ export default async function handler(req, res) {
   // Set CORS headers for API access
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-API-Key, X-User-Id, X-Operation-Id');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-API-Key, X-User-Id, X-Operation-Id, X-Request-Nonce, X-Request-Timestamp');
 
   // Handle OPTIONS request for CORS preflight
   if (req.method === 'OPTIONS') {
@@ -156,9 +155,7 @@ export default async function handler(req, res) {
       circuitWasmPath,
       zkeyPath,
       options = {},
-      clientInfo = {},
-      nonce,
-      timestamp
+      clientInfo = {}
     } = req.body;
 
     // Validate required parameters
@@ -183,28 +180,13 @@ export default async function handler(req, res) {
     }
 
     // Validate nonce to prevent replay attacks
-    if (!nonce) {
-      return res.status(400).json({
-        error: 'Missing required parameter',
-        message: 'Nonce is required to prevent replay attacks',
-        requiredParams: ['nonce']
-      });
+    if (!(await checkRequestNonce(req, res))) {
+      return;
     }
     
-    // Get user ID for nonce validation and rate limiting
+    // Get user ID for rate limiting
     const userId = getUserId(req);
     
-    // Validate the nonce
-    const nonceValidation = nonceValidator.validateNonce(nonce, userId, timestamp || Date.now());
-    
-    if (!nonceValidation.valid) {
-      return res.status(400).json({
-        error: 'Invalid nonce',
-        message: nonceValidation.message,
-        reason: nonceValidation.reason
-      });
-    }
-    
     // Verify request signature if provided
     if (req.body.signature) {
       const signatureInfo = {
@@ -216,7 +198,8 @@ export default async function handler(req, res) {
       // Create a copy of the request data without the signature for verification
       const { signature, ...requestDataWithoutSignature } = req.body;
       
-      const signatureValidation = signatureVerifier.verifyClientSignature(
+      const signatureVerifier = await getSignatureVerifier();
+      const signatureValidation = await signatureVerifier.verifyClientSignature(
         requestDataWithoutSignature,
         signatureInfo
       );
@@ -12,6 +12,7 @@ import crypto from 'crypto';
 import rateLimiter from '../../../lib/rateLimit';
 import { validateApiRequest, validators } from '../../../utils/apiValidator';
 import { handleApiError } from '../../../utils/apiErrorHandler';
+import { checkRequestNonce } from '../../../lib/replayProtection';
 
 // Helper function to safely import ethers
 async function getEthers() {
@@ -100,6 +101,11 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
+  // Reject replayed requests
+  if (!(await checkRequestNonce(req, res))) {
+    return;
+  }
+
   console.log('generateTempWallet received request:', req.body);
 
   // Define validation specification
@@ -3,12 +3,18 @@
  * 
  * Responds to GET requests with the verification key for a specific proof type.
  * This endpoint is needed for browser-side verification of ZK proofs.
+ * An optional `circuit` parameter selects a balance-commitment (v2) circuit,
+ * whose files are built by scripts/compile-circuits.sh and not shipped prebuilt.
  */
 
 import fs from 'fs';
 import path from 'path';
 import zkConfig from '@proof-of-funds/common/zk/config/real-zk-config.mjs';
 
+// Balance-commitment circuits (circuit version v2.0.0) and where the compile script puts their keys
+const COMMITMENT_CIRCUITS = ['thresholdProofV2', 'maximumProofV2'];
+const COMMITMENT_CIRCUIT_DIR = 'public/lib/zk/circuits';
+
 export default async function handler(req, res) {
     // Only allow GET requests
     if (req.method !== 'GET') {
@@ -19,8 +25,8 @@ export default async function handler(req, res) {
     }
 
     try {
-        // Get proof type from query
-        const { proofType } = req.query;
+        // Get proof type and optional circuit from query
+        const { proofType, circuit } = req.query;
 
         if (!proofType && proofType !== 0) {
             return res.status(400).json({
@@ -29,20 +35,30 @@ export default async function handler(req, res) {
             });
         }
 
+        if (circuit && !COMMITMENT_CIRCUITS.includes(circuit)) {
+            return res.status(400).json({
+                error: 'Invalid parameter',
+                message: `Unknown circuit: ${circuit}`
+            });
+        }
+
         // Map proof type to circuit name
-        const circuitName = typeof proofType === 'string' ?
+        const circuitName = circuit || (typeof proofType === 'string' ?
             zkConfig.proofTypes[parseInt(proofType)] || 'standardProof' :
-            zkConfig.proofTypes[proofType] || 'standardProof';
+            zkConfig.proofTypes[proofType] || 'standardProof');
 
         // Get verification key path
-        const vkeyPath = zkConfig.circuitPaths.vkeyPath(circuitName);
-        const fullPath = path.resolve(process.cwd(), vkeyPath);
+        const fullPath = circuit
+            ? path.resolve(process.cwd(), COMMITMENT_CIRCUIT_DIR, `${circuit}.vkey.json`)
+            : path.resolve(process.cwd(), zkConfig.circuitPaths.vkeyPath(circuitName));
 
         // Check if verification key file exists
         if (!fs.existsSync(fullPath)) {
             return res.status(404).json({
                 error: 'Verification key not found',
-                message: `Verification key for ${circuitName} not found`
+                message: circuit
+                    ? `Verification key for ${circuitName} not found; build it with scripts/compile-circuits.sh`
+                    : `Verification key for ${circuitName} not found`
             });
         }
 
@@ -6,10 +6,12 @@
  */
 
 import snarkjsWrapper from '@proof-of-funds/common/zk-core/snarkjsWrapper';
+import { getCommitmentCircuitName, checkCommitmentSignals } from '@proof-of-funds/common/zk-core';
 import path from 'path';
 import fs from 'fs';
 import { handleApiError } from '../../../utils/apiErrorHandler';
 import { VerificationResultFormatter } from '../../../services';
+import { fetchSnapshotBalances } from '../../../lib/snapshotBalances';
 
 export default async function handler(req, res) {
   const formatter = new VerificationResultFormatter();
@@ -26,7 +28,16 @@ export default async function handler(req, res) {
   }
 
   try {
-    const { proofType, proof, publicSignals, wallet, amount, tokenSymbol } = req.body;
+    const {
+      proofType,
+      proof,
+      publicSignals,
+      wallet,
+      amount,
+      tokenSymbol,
+      circuitVersion,
+      balanceCommitment
+    } = req.body;
     
     if (!proofType || !proof || !publicSignals) {
       return res.status(400).json(
@@ -52,8 +63,63 @@ export default async function handler(req, res) {
       );
     }
     
+    // Balance-commitment proofs (circuit version v2.0.0) must commit to the
+    // wallet balances at their snapshot block, which are read from the chain here
+    const commitmentCircuit = getCommitmentCircuitName(proofType, circuitVersion);
+    if (commitmentCircuit) {
+      const { wallets, snapshot, salt } = balanceCommitment || {};
+      if (!Array.isArray(wallets) || !snapshot || salt === undefined || salt === null) {
+        return res.status(400).json(
+          formatter.formatError(
+            proofType,
+            'VALIDATION_ERROR',
+            'Balance-commitment proofs need the wallets, snapshot and salt they were generated with',
+            { circuitVersion }
+          )
+        );
+      }
+
+      let fetchedWallets;
+      try {
+        fetchedWallets = await fetchSnapshotBalances(
+          wallets.map(({ address, networkId }) => ({ address, networkId })),
+          snapshot
+        );
+      } catch (fetchError) {
+        return res.status(502).json(
+          formatter.formatError(
+            proofType,
+            'NETWORK_ERROR',
+            `Failed to read wallet balances at the snapshot block: ${fetchError.message}`,
+            { blockNumber: snapshot.blockNumber }
+          )
+        );
+      }
+
+      let commitmentCheck;
+      try {
+        commitmentCheck = checkCommitmentSignals(publicSignals, { wallets: fetchedWallets, snapshot, salt });
+      } catch (inputError) {
+        return res.status(400).json(
+          formatter.formatError(proofType, 'VALIDATION_ERROR', inputError.message, inputError.details || {})
+        );
+      }
+
+      if (!commitmentCheck.valid) {
+        return res.status(400).json(
+          formatter.formatFailure(
+            proofType,
+            'VERIFICATION_FAILED',
+            'Proof does not commit to the wallet balances at its snapshot block',
+            { wallet, amount, tokenSymbol, publicInputs: publicSignals, circuit: commitmentCircuit },
+            { mismatches: commitmentCheck.mismatches }
+          )
+        );
+      }
+    }
+
     // Build path to verification key
-    const circuitName = `${proofType}Proof`;
+    const circuitName = commitmentCircuit || `${proofType}Proof`;
     const vkeyPath = path.resolve(process.cwd(), `public/lib/zk/circuits/${circuitName}.vkey.json`);
     
     // Verify that verification key exists
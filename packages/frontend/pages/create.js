@@ -34,6 +34,12 @@ import { CONTRACT_ABI, getContractAddress, CONTRACT_TYPES, CHAIN_IDS } from '../
 import { useNetwork } from '@proof-of-funds/common';
 import { CheckIcon, ClockIcon } from '@heroicons/react/24/solid';
 import { generateZKProof } from '@proof-of-funds/common/zk';
+import { useRouter } from 'next/router';
+import { fetchRequestTemplate, getLockedProofSettings, formatPeriod } from '../services/proofTemplateService';
+import { submitZKProof as relayZKProof, waitForRelayTransaction } from '../services/relayService';
+import { getRequestNonceHeaders } from '../utils/requestNonce';
+import { ChainAdapterRegistry, ChainType, EVMChainAdapter } from '../utils/chains';
+import { getChainId, getRpcUrl } from '@proof-of-funds/common/utils/chainMappings';
 
 // Directly define isValidAmount function to bypass import issues
 const isValidAmount = (amount) => {
@@ -44,17 +50,42 @@ const isValidAmount = (amount) => {
     return true;
 };
 
-// Helper function to fetch wallet balance
-const fetchBalance = async (walletAddress, chain) => {
+// Relay a ZK proof signed by the temporary wallet and wait for it to be mined.
+// Only the signed request leaves the browser; the relayer pays the gas.
+const submitZKProofWithTempWallet = async (tempWallet, submission) => {
+    const { getEthers } = await import('@proof-of-funds/common/ethersUtils');
+    const { ethers } = await getEthers();
+
+    const relayed = await relayZKProof(new ethers.Wallet(tempWallet.privateKey), submission);
+    const confirmed = await waitForRelayTransaction(relayed.id);
+
+    return confirmed.txHash;
+};
+
+// Helper function to fetch wallet balance, as of a past block or date when a snapshot is given.
+// Historical EVM balances need an archive node behind the chain's RPC URL.
+const fetchBalance = async (walletAddress, chain, snapshot) => {
     try {
         // Dynamically import ethers
         const { getEthers } = await import('@proof-of-funds/common/ethersUtils');
         const { ethers } = await getEthers();
 
-        // Use ethers.js to fetch balance
-        const provider = new ethers.providers.JsonRpcProvider(getRpcUrl(chain));
-        const balance = await provider.getBalance(walletAddress);
-        return ethers.utils.formatEther(balance); // Convert from wei to ETH
+        const registry = ChainAdapterRegistry.getInstance();
+        const evmChainId = getChainId(chain);
+        const adapter = evmChainId
+            ? new EVMChainAdapter(evmChainId, { rpcUrl: getRpcUrl(chain) })
+            : registry.getAdapterByType(chain === 'solana' ? ChainType.SOLANA : ChainType.BITCOIN);
+        const chainId = adapter.getChainId();
+        const network = registry.getSupportedNetworks().find(n => n.chainId === chainId);
+        const decimals = network ? network.nativeCurrency.decimals : 18;
+
+        if (!snapshot) {
+            const balance = await adapter.getBalance(walletAddress);
+            return { chainId, balance: ethers.utils.formatUnits(balance, decimals) };
+        }
+
+        const { balance, blockNumber, timestamp } = await adapter.getBalanceAt(walletAddress, snapshot);
+        return { chainId, balance: ethers.utils.formatUnits(balance, decimals), blockNumber, timestamp };
     } catch (error) {
         console.error('Error fetching balance:', error);
         throw error;
@@ -213,6 +244,9 @@ export default function CreatePage() {
     // How long the proof will remain valid
     const [expiryDays, setExpiryDays] = useState('seven_days');
 
+    // Date to prove balances as of (YYYY-MM-DD), empty for current balances
+    const [balanceAsOf, setBalanceAsOf] = useState('');
+
     // Message to be signed by the user's wallet
     const [signatureMessage, setSignatureMessage] = useState('');
 
@@ -294,9 +328,54 @@ export default function CreatePage() {
     // State to track if the proof is being submitted
     const [isSubmittingProof, setIsSubmittingProof] = useState(false);
 
+    // --- PROOF REQUEST STATE ---
+    // Template of the organization's proof request link (/create?template=<id>)
+    const [requestTemplate, setRequestTemplate] = useState(null);
+
+    // Error message if the proof request could not be loaded
+    const [templateError, setTemplateError] = useState('');
+
     // Get connected account from wagmi
     const { address, isConnected } = useAccount();
 
+    const router = useRouter();
+    const templateId = router.query.template;
+
+    // Load the proof request template and lock the proof settings to it
+    useEffect(() => {
+        if (!templateId || Array.isArray(templateId)) {
+            return;
+        }
+
+        let cancelled = false;
+
+        fetchRequestTemplate(templateId)
+            .then(template => {
+                if (cancelled) {return;}
+
+                const settings = getLockedProofSettings(template);
+                setRequestTemplate(template);
+                setTemplateError('');
+                setProofCategory(settings.proofCategory);
+                setProofType(settings.proofType);
+                setZkProofType(settings.zkProofType);
+                setAmountInputType('usd');
+                setAmount(settings.amount);
+                setExpiryDays('template');
+            })
+            .catch(error => {
+                if (cancelled) {return;}
+
+                console.error('Failed to load proof request:', error);
+                setRequestTemplate(null);
+                setTemplateError(error.message);
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [templateId]);
+
     // Debugging: Log the connection status and synchronize with localStorage
     useEffect(() => {
 
@@ -1512,6 +1591,7 @@ export default function CreatePage() {
                                 method: 'POST',
                                 headers: {
                                     'Content-Type': 'application/json',
+                                    ...getRequestNonceHeaders()
                                 },
                                 body: JSON.stringify({
                                     proofType: zkProofType.toLowerCase(),
@@ -1540,35 +1620,14 @@ export default function CreatePage() {
                             throw apiError;
                         }
 
-                        // Generate temporary wallet - use server-side API for better security
-
-                        try {
-                            const response = await fetch('/api/zk/generateTempWallet', {
-                                method: 'POST',
-                                headers: {
-                                    'Content-Type': 'application/json',
-                                },
-                                body: JSON.stringify({
-                                    chain: primaryWallet.chain?.toLowerCase() || 'evm'
-                                }),
-                                // Add debugging info to console
-                                onload: (e) => {
-                                    console.log('Temp wallet request sent with chain:', primaryWallet.chain?.toLowerCase() || 'evm');
-                                    console.log('Primary wallet data:', primaryWallet);
-                                },
-                            });
-
-                            if (!response.ok) {
-                                const errorData = await response.json();
-                                throw new Error(errorData.message || 'Failed to generate temporary wallet');
-                            }
-
-                            const result = await response.json();
-                            tempWallet = result.wallet;
-                        } catch (apiError) {
-                            console.error('API error during temporary wallet generation:', apiError);
-                            throw apiError;
-                        }
+                        // Generate the temporary wallet in the browser so its key is never sent anywhere;
+                        // it only signs the relayed submission
+                        const randomWallet = ethers.Wallet.createRandom();
+                        tempWallet = {
+                            address: randomWallet.address,
+                            privateKey: randomWallet.privateKey,
+                            path: randomWallet.mnemonic?.path
+                        };
 
                     } catch (error) {
                         console.error('Error generating ZK proof:', error);
@@ -1578,6 +1637,31 @@ export default function CreatePage() {
                     }
                 }
 
+                // Read balances as of the end of the chosen day, recording the block read on each chain
+                let balanceSnapshot = null;
+                if (balanceAsOf) {
+                    const asOf = Math.floor(new Date(`${balanceAsOf}T23:59:59Z`).getTime() / 1000);
+
+                    try {
+                        const balances = await Promise.all(selectedWallets.map(async id => {
+                            const wallet = connectedWallets.find(w => w.id === id);
+                            const snapshot = await fetchBalance(wallet.fullAddress, wallet.chain, { timestamp: asOf });
+                            return { address: wallet.fullAddress, ...snapshot };
+                        }));
+
+                        balanceSnapshot = {
+                            timestamp: asOf,
+                            blocks: balances.map(({ chainId, blockNumber, timestamp }) => ({ chainId, blockNumber, timestamp })),
+                            balances: balances.map(({ address, chainId, balance }) => ({ address, chainId, balance }))
+                        };
+                    } catch (error) {
+                        console.error('Error fetching historical balances:', error);
+                        alert(`Could not read balances as of ${balanceAsOf}: ${error.message}`);
+                        setIsSubmittingProof(false);
+                        return;
+                    }
+                }
+
                 // Generate proof data that includes all selected wallets and token details if applicable
                 const proofDataObj = {
                     timestamp: Date.now(),
@@ -1605,6 +1689,8 @@ export default function CreatePage() {
                     maximumAmount: proofType === 'maximum' ? parseFloat(finalAmount) : null,
                     isThresholdProof: proofType === 'threshold',
                     isMaximumProof: proofType === 'maximum',
+                    // Date and blocks the balances were read at, for proofs of past balances
+                    balanceSnapshot,
                     // Include ZK-specific properties if available
                     zkProof: zkProofData ? zkProofData.proof : null,
                     zkPublicSignals: zkProofData ? zkProofData.publicSignals : null,
@@ -1685,15 +1771,7 @@ export default function CreatePage() {
             // Use the actual ZK proof data
             const { zkProof: proof, zkPublicSignals: publicSignals } = proofData;
 
-            // Convert proof object to array format for submission
-            // No need for ABI encoding here - the API does that
-            const proofArray = [
-                proof.pi_a[0], proof.pi_a[1],
-                proof.pi_b[0][0], proof.pi_b[0][1], proof.pi_b[1][0], proof.pi_b[1][1],
-                proof.pi_c[0], proof.pi_c[1]
-            ];
-
-            // Use the temp wallet to submit the proof
+            // Use the temp wallet to sign the submission
             const tempWallet = proofData.tempWallet;
             if (!tempWallet || !tempWallet.privateKey) {
                 console.error('Temporary wallet data missing');
@@ -1701,35 +1779,21 @@ export default function CreatePage() {
             }
 
             try {
-                // Submit the ZK proof to the blockchain using the API
-                const response = await fetch('/api/zk/submitProof', {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json',
-                    },
-                    body: JSON.stringify({
-                        proof: proofArray,
-                        publicSignals: publicSignals,
-                        expiryTime: expiryTime,
-                        proofType: zkProofTypeValue,
-                        signatureMessage: signatureMessage,
-                        signature: walletSignature,
-                        tempWalletPrivateKey: tempWallet.privateKey,
-                        tempWalletAddress: tempWallet.address
-                    })
+                // Submit the ZK proof to the blockchain through the relayer
+                const transactionHash = await submitZKProofWithTempWallet(tempWallet, {
+                    proof,
+                    publicSignals,
+                    expiryTime,
+                    proofType: zkProofTypeValue,
+                    signatureMessage,
+                    signature: walletSignature
                 });
 
-                const result = await response.json();
-
-                if (response.ok && result.success) {
-                    setTxHash(result.transactionHash);
-                    setSuccess(true);
-                    setIsSubmittingProof(false);
+                setTxHash(transactionHash);
+                setSuccess(true);
+                setIsSubmittingProof(false);
 
-                    alert(`ZK Proof submitted! Transaction hash: ${result.transactionHash.substring(0, 10)}...`);
-                } else {
-                    throw new Error(result.error || 'Failed to submit proof');
-                }
+                alert(`ZK Proof submitted! Transaction hash: ${transactionHash.substring(0, 10)}...`);
             } catch (error) {
                 console.error('Error submitting ZK proof:', error);
                 setIsSubmittingProof(false);
@@ -1975,41 +2039,20 @@ export default function CreatePage() {
                             throw new Error('Temporary wallet information is missing');
                         }
 
-                        // Convert proof object to array format
-                        const proofArray = [
-                            proof.pi_a[0], proof.pi_a[1],
-                            proof.pi_b[0][0], proof.pi_b[0][1], proof.pi_b[1][0], proof.pi_b[1][1],
-                            proof.pi_c[0], proof.pi_c[1]
-                        ];
-
-                        // Submit via API
-                        const response = await fetch('/api/zk/submitProof', {
-                            method: 'POST',
-                            headers: {
-                                'Content-Type': 'application/json',
-                            },
-                            body: JSON.stringify({
-                                proof: proofArray,
-                                publicSignals,
-                                expiryTime,
-                                proofType: zkProofType === 'standard' ? 0 : zkProofType === 'threshold' ? 1 : 2,
-                                signatureMessage,
-                                signature: walletSignature,
-                                tempWalletPrivateKey: tempWallet.privateKey,
-                                tempWalletAddress: tempWallet.address
-                            })
+                        // Submit through the relayer
+                        const transactionHash = await submitZKProofWithTempWallet(tempWallet, {
+                            proof,
+                            publicSignals,
+                            expiryTime,
+                            proofType: zkProofType === 'standard' ? 0 : zkProofType === 'threshold' ? 1 : 2,
+                            signatureMessage,
+                            signature: walletSignature
                         });
 
-                        const result = await response.json();
-                        
-                        if (response.ok && result.success) {
-                            setTxHash(result.transactionHash);
-                            setSuccess(true);
-                            setIsSubmittingProof(false);
-                            alert(`ZK Proof submitted! Transaction hash: ${result.transactionHash.substring(0, 10)}...`);
-                        } else {
-                            throw new Error(result.error || 'Failed to submit proof');
-                        }
+                        setTxHash(transactionHash);
+                        setSuccess(true);
+                        setIsSubmittingProof(false);
+                        alert(`ZK Proof submitted! Transaction hash: ${transactionHash.substring(0, 10)}...`);
                     } catch (zkError) {
                         console.error('Error submitting ZK proof:', zkError);
                         setIsSubmittingProof(false);
@@ -2425,34 +2468,20 @@ export default function CreatePage() {
                         }
 
                         try {
-                            const response = await fetch('/api/zk/submitProof', {
-                                method: 'POST',
-                                headers: {
-                                    'Content-Type': 'application/json',
-                                },
-                                body: JSON.stringify({
-                                    proof: proofArray,
-                                    publicSignals: publicSignals,
-                                    expiryTime: expiryTime,
-                                    proofType: zkProofTypeValue,
-                                    signatureMessage: signatureMessage,
-                                    signature: walletSignature,
-                                    tempWalletPrivateKey: tempWallet.privateKey,
-                                    tempWalletAddress: tempWallet.address
-                                })
+                            const transactionHash = await submitZKProofWithTempWallet(tempWallet, {
+                                proof,
+                                publicSignals,
+                                expiryTime,
+                                proofType: zkProofTypeValue,
+                                signatureMessage,
+                                signature: walletSignature
                             });
 
-                            const result = await response.json();
-
-                            if (response.ok && result.success) {
-                                setTxHash(result.transactionHash);
-                                setSuccess(true);
-                                setIsSubmittingProof(false);
+                            setTxHash(transactionHash);
+                            setSuccess(true);
+                            setIsSubmittingProof(false);
 
-                                alert(`ZK Proof submitted! Transaction hash: ${result.transactionHash.substring(0, 10)}...`);
-                            } else {
-                                throw new Error(result.error || 'Failed to submit proof');
-                            }
+                            alert(`ZK Proof submitted! Transaction hash: ${transactionHash.substring(0, 10)}...`);
                         } catch (error) {
                             console.error('Error submitting ZK proof:', error);
                             setIsSubmittingProof(false);
@@ -2654,6 +2683,11 @@ export default function CreatePage() {
     const getExpiryTimestamp = (expiryOption) => {
         const now = Math.floor(Date.now() / 1000); // Current time in seconds
 
+        // Proof request templates fix the expiry period
+        if (expiryOption === 'template' && requestTemplate) {
+            return now + requestTemplate.expiryPeriod;
+        }
+
         // Find the matching option in the array
         const option = Array.isArray(EXPIRY_OPTIONS)
             ? EXPIRY_OPTIONS.find(opt => opt.id === expiryOption)
@@ -3256,6 +3290,29 @@ export default function CreatePage() {
                             </div>
                         )}
 
+                        {/* Proof Request - settings are fixed by the requesting organization's template */}
+                        {requestTemplate && (
+                            <div className="p-4 bg-primary-50 border border-primary-200 rounded-md text-sm text-gray-700">
+                                <p className="font-medium text-gray-900">
+                                    {requestTemplate.organizationName
+                                        ? `${requestTemplate.organizationName} requested: ${requestTemplate.name}`
+                                        : `Proof request: ${requestTemplate.name}`}
+                                </p>
+                                {requestTemplate.description && (
+                                    <p className="mt-1">{requestTemplate.description}</p>
+                                )}
+                                <p className="mt-1 text-gray-500">
+                                    The proof type, amount and expiration are set by this request.
+                                </p>
+                            </div>
+                        )}
+                        {templateError && (
+                            <div className="p-4 bg-red-50 border border-red-200 rounded-md text-sm text-red-700">
+                                {templateError}
+                            </div>
+                        )}
+
+                        <fieldset disabled={Boolean(requestTemplate)} className="space-y-6">
                         {/* Proof Category */}
                         <div className="mb-6">
                             <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -3675,9 +3732,35 @@ export default function CreatePage() {
                                         </option>
                                     ))
                                 }
+                                {requestTemplate && (
+                                    <option value="template">
+                                        {formatPeriod(requestTemplate.expiryPeriod)}
+                                    </option>
+                                )}
                             </select>
                         </div>
 
+                        {/* Balance date */}
+                        <div>
+                            <label htmlFor="balance-as-of" className="block text-sm font-medium text-gray-700 mb-1">
+                                Balance As Of
+                            </label>
+                            <input
+                                id="balance-as-of"
+                                type="date"
+                                value={balanceAsOf}
+                                max={new Date().toISOString().slice(0, 10)}
+                                onChange={(e) => setBalanceAsOf(e.target.value)}
+                                className="block w-full rounded-md border-gray-300 shadow-sm focus:border-primary-500 focus:ring-primary-500 sm:text-sm p-2 border"
+                            />
+                            <p className="mt-1 text-xs text-gray-500">
+                                {balanceAsOf
+                                    ? `Balances will be read at the last block of ${balanceAsOf} (UTC)`
+                                    : 'Leave empty to prove current balances'}
+                            </p>
+                        </div>
+                        </fieldset>
+
                         {/* Wallet Signatures - Show in any stage if we have signatures or are in signing stage */}
                         {(proofStage === 'signing' || Object.keys(walletSignatures).length > 0) && (
                             <div>
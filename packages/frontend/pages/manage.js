@@ -1,9 +1,32 @@
-import { useState, useEffect } from 'react';
-import { useAccount, useContractRead, useContractWrite } from 'wagmi';
-import { CONTRACT_ADDRESS, CONTRACT_ABI } from '../config/constants';
+import { Fragment, useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { useAccount } from 'wagmi';
+import { ethers } from 'ethers';
+import { useNetwork } from '@proof-of-funds/common';
+import {
+    fetchOnChainProofs,
+    fetchBackendProofs,
+    mergeProofs,
+    filterProofs,
+    canRevoke,
+    revokeManagedProof
+} from '../services/proofManagementService';
+import ProofShareLink from '../components/ProofShareLink';
+import ZKProgressIndicator from '../components/ZKProgressIndicator';
+import { useProofJobs } from '../hooks/useProofJobs';
+import { useProofEvents } from '../hooks/useProofEvents';
+import { toProgressIndicatorProps } from '../services/proofJobService';
 
-// Using the imported constants - Smart contract address on Polygon Amoy testnet
-// const CONTRACT_ADDRESS = '0xD6bd1eFCE3A2c4737856724f96F39037a3564890';
+const STATUS_OPTIONS = ['ALL', 'PENDING', 'SUBMITTED', 'CONFIRMED', 'FAILED', 'EXPIRED', 'REVOKED'];
+const TYPE_OPTIONS = ['ALL', 'STANDARD', 'THRESHOLD', 'MAXIMUM', 'ZERO_KNOWLEDGE'];
+
+const STATUS_STYLES = {
+    PENDING: 'bg-yellow-100 text-yellow-800',
+    SUBMITTED: 'bg-blue-100 text-blue-800',
+    CONFIRMED: 'bg-green-100 text-green-800',
+    FAILED: 'bg-red-100 text-red-800',
+    EXPIRED: 'bg-gray-100 text-gray-800',
+    REVOKED: 'bg-gray-100 text-gray-800'
+};
 
 export default function ManagePage() {
     // Add a flag to track user-initiated connection, initialized from localStorage
@@ -15,8 +38,18 @@ export default function ManagePage() {
     });
 
     const { address, isConnected } = useAccount();
-    const [activeProofs, setActiveProofs] = useState([]);
+    const { getNetworkConfig } = useNetwork();
+    const networkConfig = getNetworkConfig();
+
+    const [proofs, setProofs] = useState([]);
     const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [warning, setWarning] = useState(null);
+    const [filters, setFilters] = useState({ status: 'ALL', type: 'ALL' });
+    const [revokingKey, setRevokingKey] = useState(null);
+    const [sharingKey, setSharingKey] = useState(null);
+    const { jobs, activeJobs, cancelJob } = useProofJobs();
+    const completedJobCount = useRef(null);
 
     // Update userInitiatedConnection if it changes in localStorage
     useEffect(() => {
@@ -30,97 +63,137 @@ export default function ManagePage() {
         }
     }, []);
 
-    // Read user's proofs - only if user has explicitly initiated a connection
-    const { data: proofIds, refetch: refetchProofIds } = useContractRead({
-        address: CONTRACT_ADDRESS,
-        abi: CONTRACT_ABI,
-        functionName: 'getUserProofs',
-        args: [address || '0x0000000000000000000000000000000000000000'],
-        enabled: isConnected && userInitiatedConnection,
-    });
+    // Read on-chain proofs for the wallet and merge them with the backend records
+    const loadProofs = useCallback(async () => {
+        if (!isConnected || !userInitiatedConnection || !address) {
+            setProofs([]);
+            setIsLoading(false);
+            return;
+        }
 
-    // Contract write hook for revocation
-    const { write: revokeProof, isLoading: isRevoking } = useContractWrite({
-        address: CONTRACT_ADDRESS,
-        abi: CONTRACT_ABI,
-        functionName: 'revokeProof',
-    });
+        setIsLoading(true);
+        setError(null);
+        setWarning(null);
+
+        try {
+            const provider = new ethers.providers.JsonRpcProvider(networkConfig.rpcUrl, networkConfig.chainId);
+
+            const [onChain, records] = await Promise.all([
+                fetchOnChainProofs(provider, networkConfig.chainId, address).catch(err => {
+                    console.error('Error reading on-chain proofs:', err);
+                    setError('Could not read proofs from the blockchain. Showing records from your account only.');
+                    return [];
+                }),
+                localStorage.getItem('pof_access_token')
+                    ? fetchBackendProofs().catch(err => {
+                        console.error('Error fetching proof records:', err);
+                        setWarning('Could not load your proof records. Reference IDs and verification counts are unavailable.');
+                        return [];
+                    })
+                    : Promise.resolve([])
+            ]);
+
+            setProofs(mergeProofs(onChain, records));
+        } catch (err) {
+            console.error('Error loading proofs:', err);
+            setError('Failed to load proofs.');
+        } finally {
+            setIsLoading(false);
+        }
+    }, [address, isConnected, userInitiatedConnection, networkConfig.chainId, networkConfig.rpcUrl]);
 
-    // Get details for each proof
     useEffect(() => {
-        const fetchProofDetails = async () => {
-            if (!proofIds || !proofIds.length) {
-                setActiveProofs([]);
-                setIsLoading(false);
-                return;
-            }
+        loadProofs();
+    }, [loadProofs]);
+
+    // Reload the list when a queued proof finishes generating
+    useEffect(() => {
+        const count = jobs.filter(job => job.status === 'COMPLETED').length;
+        if (completedJobCount.current !== null && count > completedJobCount.current) {
+            loadProofs();
+        }
+        completedJobCount.current = count;
+    }, [jobs, loadProofs]);
+
+    // Show status changes pushed by the backend, such as confirmations, without reloading
+    const handleProofEvent = useCallback((event) => {
+        if (!event.type.startsWith('proof.') || !event.data.proofId) {return;}
 
-            try {
-                const proofPromises = proofIds.map(id =>
-                    fetch(`https://api-amoy.polygonscan.com/api?module=proxy&action=eth_call&to=${CONTRACT_ADDRESS}&data=0x<function_signature>000000000000000000000000${id.toString(16).padStart(64, '0')}`)
-                        .then(res => res.json())
-                        .then(data => {
-                            // Simulated result for development
-                            return {
-                                id: Number(id),
-                                timestamp: Date.now() - Math.floor(Math.random() * 10000000),
-                                expiryTime: Date.now() + Math.floor(Math.random() * 10000000),
-                                proofType: Math.floor(Math.random() * 3), // 0: standard, 1: threshold, 2: maximum
-                                thresholdAmount: Math.floor(Math.random() * 1000),
-                                isRevoked: false,
-                                signatureMessage: 'Sample signature message for proof ' + id
-                            };
-                        })
-                );
-
-                const proofs = await Promise.all(proofPromises);
-                setActiveProofs(proofs.filter(p => !p.isRevoked && p.expiryTime > Date.now()));
-            } catch (error) {
-                console.error('Error fetching proof details:', error);
-            } finally {
-                setIsLoading(false);
+        setProofs(current => current.map(proof => (proof.backendId === event.data.proofId
+            ? {
+                ...proof,
+                status: event.data.status,
+                verificationCount: event.type === 'proof.verified'
+                    ? proof.verificationCount + 1
+                    : proof.verificationCount
             }
-        };
+            : proof)));
+    }, []);
+    useProofEvents(handleProofEvent);
+
+    const handleCancelJob = async (jobId) => {
+        try {
+            await cancelJob(jobId);
+        } catch (err) {
+            console.error('Error cancelling proof job:', err);
+            setError(`Failed to cancel proof generation: ${err.message}`);
+        }
+    };
 
-        fetchProofDetails();
-    }, [proofIds, isConnected]);
+    const visibleProofs = useMemo(() => filterProofs(proofs, filters), [proofs, filters]);
 
     // Handle proof revocation
-    const handleRevokeProof = async (proofId) => {
+    const handleRevokeProof = async (proof) => {
         if (!isConnected) {return;}
 
-        try {
-            revokeProof({
-                args: [proofId],
-            });
+        const reason = window.prompt('Reason for revoking this proof (optional):', '');
+        if (reason === null) {return;}
 
-            // Optimistically update UI
-            setActiveProofs(proofs => proofs.filter(p => p.id !== proofId));
+        setRevokingKey(proof.key);
+        setError(null);
+
+        try {
+            let signer = null;
+            if (proof.contract) {
+                if (!window.ethereum) {
+                    throw new Error('No Ethereum wallet detected');
+                }
+                signer = new ethers.providers.Web3Provider(window.ethereum).getSigner();
+            }
 
-            // Refetch proof IDs after successful revocation
-            refetchProofIds();
-        } catch (error) {
-            console.error('Error revoking proof:', error);
+            await revokeManagedProof(proof, signer, networkConfig.chainId, reason || undefined);
+            await loadProofs();
+        } catch (err) {
+            console.error('Error revoking proof:', err);
+            setError(`Failed to revoke proof: ${err.message}`);
+        } finally {
+            setRevokingKey(null);
         }
     };
 
     // Format timestamp for display
     const formatDate = (timestamp) => {
-        return new Date(timestamp).toLocaleString();
+        return timestamp ? new Date(timestamp).toLocaleString() : 'Never';
     };
 
     // Get proof type name
     const getProofTypeName = (type) => {
         switch (type) {
-            case 0: return 'Standard';
-            case 1: return 'Threshold';
-            case 2: return 'Maximum';
+            case 'STANDARD': return 'Standard';
+            case 'THRESHOLD': return 'Threshold';
+            case 'MAXIMUM': return 'Maximum';
+            case 'ZERO_KNOWLEDGE': return 'Zero-Knowledge';
             default: return 'Unknown';
         }
     };
 
+    const getOptionLabel = (value) => {
+        if (value === 'ALL') {return 'All';}
+        return value.charAt(0) + value.slice(1).toLowerCase().replace('_', ' ');
+    };
+
     return (
-        <div className="max-w-4xl mx-auto mt-8">
+        <div className="max-w-5xl mx-auto mt-8">
             <h1 className="text-3xl font-bold text-center mb-8">Manage Your Proofs</h1>
 
             {!isConnected ? (
@@ -135,68 +208,166 @@ export default function ManagePage() {
                         <div className="animate-spin rounded-full h-12 w-12 border-t-2 border-b-2 border-primary-600"></div>
                     </div>
                 </div>
-            ) : activeProofs.length === 0 ? (
-                <div className="card text-center py-8">
-                    <h2 className="text-xl font-medium mb-4">No Active Proofs</h2>
-                    <p className="text-gray-600 mb-6">You don't have any active proofs of funds.</p>
-                    <a href="/create" className="btn btn-primary">Create New Proof</a>
-                </div>
             ) : (
                 <div className="space-y-6">
                     <div className="flex justify-between items-center">
-                        <h2 className="text-xl font-medium">Your Active Proofs</h2>
+                        <h2 className="text-xl font-medium">Your Proofs</h2>
                         <a href="/create" className="btn btn-primary">Create New Proof</a>
                     </div>
 
-                    <div className="overflow-hidden shadow ring-1 ring-black ring-opacity-5 md:rounded-lg">
-                        <table className="min-w-full divide-y divide-gray-300">
-                            <thead className="bg-gray-50">
-                                <tr>
-                                    <th scope="col" className="py-3.5 pl-4 pr-3 text-left text-sm font-semibold text-gray-900 sm:pl-6">Type</th>
-                                    <th scope="col" className="px-3 py-3.5 text-left text-sm font-semibold text-gray-900">Created</th>
-                                    <th scope="col" className="px-3 py-3.5 text-left text-sm font-semibold text-gray-900">Expires</th>
-                                    <th scope="col" className="px-3 py-3.5 text-left text-sm font-semibold text-gray-900">Purpose</th>
-                                    <th scope="col" className="relative py-3.5 pl-3 pr-4 sm:pr-6">
-                                        <span className="sr-only">Actions</span>
-                                    </th>
-                                </tr>
-                            </thead>
-                            <tbody className="divide-y divide-gray-200 bg-white">
-                                {activeProofs.map((proof) => (
-                                    <tr key={proof.id}>
-                                        <td className="whitespace-nowrap py-4 pl-4 pr-3 text-sm font-medium text-gray-900 sm:pl-6">
-                                            {getProofTypeName(proof.proofType)}
-                                        </td>
-                                        <td className="whitespace-nowrap px-3 py-4 text-sm text-gray-500">
-                                            {formatDate(proof.timestamp)}
-                                        </td>
-                                        <td className="whitespace-nowrap px-3 py-4 text-sm text-gray-500">
-                                            {formatDate(proof.expiryTime)}
-                                        </td>
-                                        <td className="px-3 py-4 text-sm text-gray-500 max-w-xs truncate">
-                                            {proof.signatureMessage}
-                                        </td>
-                                        <td className="relative whitespace-nowrap py-4 pl-3 pr-4 text-right text-sm font-medium sm:pr-6">
-                                            <button
-                                                onClick={() => handleRevokeProof(proof.id)}
-                                                className="text-red-600 hover:text-red-900"
-                                            >
-                                                Revoke
-                                            </button>
-                                        </td>
-                                    </tr>
+                    {error && (
+                        <div className="bg-red-50 border-l-4 border-red-400 p-4 text-sm text-red-700">{error}</div>
+                    )}
+                    {warning && (
+                        <div className="bg-yellow-50 border-l-4 border-yellow-400 p-4 text-sm text-yellow-700">{warning}</div>
+                    )}
+
+                    {activeJobs.length > 0 && (
+                        <div className="card space-y-4">
+                            <h3 className="text-lg font-medium">Proofs in Progress</h3>
+                            {activeJobs.map(job => (
+                                <div key={job.id}>
+                                    <p className="text-sm text-gray-600 mb-1">
+                                        {getProofTypeName(job.proofType)} proof &middot; Reference {job.referenceId}
+                                    </p>
+                                    <ZKProgressIndicator
+                                        {...toProgressIndicatorProps(job)}
+                                        onCancel={() => handleCancelJob(job.id)}
+                                    />
+                                </div>
+                            ))}
+                        </div>
+                    )}
+
+                    <div className="flex flex-wrap gap-4">
+                        <label className="text-sm text-gray-700">
+                            Status
+                            <select
+                                className="ml-2 rounded-md border-gray-300 text-sm"
+                                value={filters.status}
+                                onChange={(e) => setFilters(current => ({ ...current, status: e.target.value }))}
+                            >
+                                {STATUS_OPTIONS.map(option => (
+                                    <option key={option} value={option}>{getOptionLabel(option)}</option>
+                                ))}
+                            </select>
+                        </label>
+                        <label className="text-sm text-gray-700">
+                            Type
+                            <select
+                                className="ml-2 rounded-md border-gray-300 text-sm"
+                                value={filters.type}
+                                onChange={(e) => setFilters(current => ({ ...current, type: e.target.value }))}
+                            >
+                                {TYPE_OPTIONS.map(option => (
+                                    <option key={option} value={option}>
+                                        {option === 'ALL' ? 'All' : getProofTypeName(option)}
+                                    </option>
                                 ))}
-                            </tbody>
-                        </table>
+                            </select>
+                        </label>
                     </div>
+
+                    {visibleProofs.length === 0 ? (
+                        <div className="card text-center py-8">
+                            <h2 className="text-xl font-medium mb-4">No Proofs Found</h2>
+                            <p className="text-gray-600 mb-6">
+                                {proofs.length === 0
+                                    ? 'You do not have any proofs of funds yet.'
+                                    : 'No proofs match the selected filters.'}
+                            </p>
+                        </div>
+                    ) : (
+                        <div className="overflow-x-auto shadow ring-1 ring-black ring-opacity-5 md:rounded-lg">
+                            <table className="min-w-full divide-y divide-gray-300">
+                                <thead className="bg-gray-50">
+                                    <tr>
+                                        <th scope="col" className="py-3.5 pl-4 pr-3 text-left text-sm font-semibold text-gray-900 sm:pl-6">Type</th>
+                                        <th scope="col" className="px-3 py-3.5 text-left text-sm font-semibold text-gray-900">Status</th>
+                                        <th scope="col" className="px-3 py-3.5 text-left text-sm font-semibold text-gray-900">Created</th>
+                                        <th scope="col" className="px-3 py-3.5 text-left text-sm font-semibold text-gray-900">Expires</th>
+                                        <th scope="col" className="px-3 py-3.5 text-left text-sm font-semibold text-gray-900">Reference</th>
+                                        <th scope="col" className="px-3 py-3.5 text-left text-sm font-semibold text-gray-900">Verifications</th>
+                                        <th scope="col" className="relative py-3.5 pl-3 pr-4 sm:pr-6">
+                                            <span className="sr-only">Actions</span>
+                                        </th>
+                                    </tr>
+                                </thead>
+                                <tbody className="divide-y divide-gray-200 bg-white">
+                                    {visibleProofs.map((proof) => (
+                                        <Fragment key={proof.key}>
+                                            <tr>
+                                                <td className="whitespace-nowrap py-4 pl-4 pr-3 text-sm font-medium text-gray-900 sm:pl-6">
+                                                    {getProofTypeName(proof.proofType)}
+                                                    {proof.contract && (
+                                                        <span className="block text-xs text-gray-500">On-chain ({proof.contract})</span>
+                                                    )}
+                                                </td>
+                                                <td className="whitespace-nowrap px-3 py-4 text-sm">
+                                                    <span className={`inline-flex rounded-full px-2 text-xs font-semibold leading-5 ${STATUS_STYLES[proof.status] || ''}`}>
+                                                        {getOptionLabel(proof.status)}
+                                                    </span>
+                                                </td>
+                                                <td className="whitespace-nowrap px-3 py-4 text-sm text-gray-500">
+                                                    {formatDate(proof.createdAt)}
+                                                </td>
+                                                <td className="whitespace-nowrap px-3 py-4 text-sm text-gray-500">
+                                                    {formatDate(proof.expiresAt)}
+                                                </td>
+                                                <td className="px-3 py-4 text-sm text-gray-500 max-w-xs truncate">
+                                                    {proof.referenceId || proof.signatureMessage || '—'}
+                                                </td>
+                                                <td className="whitespace-nowrap px-3 py-4 text-sm text-gray-500">
+                                                    {proof.backendId ? proof.verificationCount : '—'}
+                                                </td>
+                                                <td className="relative whitespace-nowrap py-4 pl-3 pr-4 text-right text-sm font-medium sm:pr-6 space-x-4">
+                                                    {proof.referenceId && proof.status !== 'REVOKED' && proof.status !== 'EXPIRED' && (
+                                                        <button
+                                                            onClick={() => setSharingKey(sharingKey === proof.key ? null : proof.key)}
+                                                            className="text-primary-600 hover:text-primary-900"
+                                                        >
+                                                            Share
+                                                        </button>
+                                                    )}
+                                                    {canRevoke(proof) && (
+                                                        <button
+                                                            onClick={() => handleRevokeProof(proof)}
+                                                            disabled={revokingKey !== null}
+                                                            className="text-red-600 hover:text-red-900 disabled:opacity-50"
+                                                        >
+                                                            {revokingKey === proof.key
+                                                                ? 'Revoking...'
+                                                                : proof.chainRevoked || proof.backendRevoked ? 'Finish revocation' : 'Revoke'}
+                                                        </button>
+                                                    )}
+                                                </td>
+                                            </tr>
+                                            {sharingKey === proof.key && (
+                                                <tr>
+                                                    <td colSpan={7} className="px-4 py-4 sm:px-6">
+                                                        <ProofShareLink
+                                                            referenceId={proof.referenceId}
+                                                            onClose={() => setSharingKey(null)}
+                                                        />
+                                                    </td>
+                                                </tr>
+                                            )}
+                                        </Fragment>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
                 </div>
             )}
 
             <div className="card mt-8">
                 <h2 className="text-xl font-semibold mb-4">About Proof Management</h2>
                 <p className="text-gray-600 mb-4">
-                    This dashboard allows you to view and manage all your active proofs of funds on the Polygon blockchain.
-                    You can revoke proofs that are no longer needed or create new ones for different purposes.
+                    This dashboard shows the proofs of funds your wallet has stored on the Polygon blockchain together with
+                    the proof records in your account. You can revoke proofs that are no longer needed or create new ones
+                    for different purposes. Use Share to create a verification link and QR code that lets others verify a
+                    proof with its reference ID.
                 </p>
 
                 <div className="bg-yellow-50 border-l-4 border-yellow-400 p-4 mt-4">
@@ -210,7 +381,8 @@ export default function ManagePage() {
                             <h3 className="text-sm font-medium text-yellow-800">Important Note</h3>
                             <div className="mt-2 text-sm text-yellow-700">
                                 <p>
-                                    Revoking a proof is permanent and cannot be undone. Once revoked, a proof can no longer be verified by third parties.
+                                    Revoking a proof is permanent and cannot be undone. On-chain proofs are revoked with a transaction
+                                    from the wallet that submitted them, after which they can no longer be verified by third parties.
                                 </p>
                             </div>
                         </div>
@@ -219,4 +391,4 @@ export default function ManagePage() {
             </div>
         </div>
     );
-} 
\ No newline at end of file
+}
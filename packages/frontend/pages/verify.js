@@ -6,6 +6,8 @@
  * types of fund verification proofs.
  * 
  * Key features:
+ * - Verification by reference ID, opened from a link or QR code shared by the
+ *   proof owner (`/verify?ref=<referenceId>#key=<decryptionKey>`)
  * - Support for multiple verification types:
  *   - Standard proofs (exact amount verification)
  *   - Threshold proofs (minimum amount verification)
@@ -27,6 +29,8 @@ import { ethers } from 'ethers';
 import { ZK_VERIFIER_ADDRESS, PROOF_TYPES, ZK_PROOF_TYPES, CONTRACT_ABI, CONTRACT_ADDRESS } from '../config/constants';
 import { verifyZKProof } from '@proof-of-funds/common/zk';
 import NetworkToggle from '../components/NetworkToggle';
+import ReferenceProofVerifier from '../components/ReferenceProofVerifier';
+import { parseKeyFragment } from '../services/proofVerificationService';
 import { useNetwork } from '@proof-of-funds/common';
 
 // Browser-friendly RPC URLs that support CORS
@@ -78,6 +82,8 @@ const getWorkingProvider = async (isTestnet = true) => {
 };
 
 export default function VerifyPage() {
+    const router = useRouter();
+
     // Get network information
     const { useTestNetwork, getNetworkConfig } = useNetwork();
     const networkConfig = getNetworkConfig();
@@ -93,7 +99,9 @@ export default function VerifyPage() {
     const [proofCategory, setProofCategory] = useState('standard'); // 'standard' or 'zk'
     const [proofType, setProofType] = useState('standard'); // 'standard', 'threshold', 'maximum'
     const [zkProofType, setZkProofType] = useState('standard'); // 'standard', 'threshold', 'maximum'
-    const [verificationMode, setVerificationMode] = useState('transaction'); // Only 'transaction' now
+    const [verificationMode, setVerificationMode] = useState('reference'); // 'reference' or 'transaction'
+    const [linkReferenceId, setLinkReferenceId] = useState('');
+    const [linkDecryptionKey, setLinkDecryptionKey] = useState('');
     const [walletAddress, setWalletAddress] = useState('');
     const [transactionHash, setTransactionHash] = useState('');
     const [amount, setAmount] = useState('');
@@ -115,6 +123,27 @@ export default function VerifyPage() {
         }
     }, []);
 
+    // Read the reference ID and decryption key of a shared verification link
+    useEffect(() => {
+        if (!router.isReady) {
+            return;
+        }
+
+        const ref = typeof router.query.ref === 'string' ? router.query.ref : '';
+        const key = parseKeyFragment(window.location.hash);
+
+        if (ref) {
+            setVerificationMode('reference');
+            setLinkReferenceId(ref);
+        }
+
+        if (key) {
+            setLinkDecryptionKey(key);
+            // Remove the key from the address bar and browser history
+            window.history.replaceState(window.history.state, '', `${window.location.pathname}${window.location.search}`);
+        }
+    }, [router.isReady, router.query.ref]);
+
     // Read contract for standard proof verification
     const { data: standardProofResult, isLoading: isLoadingStandard, refetch: refetchStandard } = useContractRead({
         address: networkConfig?.contractAddress || CONTRACT_ADDRESS,
@@ -617,180 +646,208 @@ export default function VerifyPage() {
             <div className="bg-white p-8 rounded-lg shadow-md">
                 <h2 className="text-xl font-semibold mb-6">Proof Verification</h2>
 
-                <form onSubmit={handleVerify} className="space-y-6">
-                    {/* Transaction Hash Input */}
-                    <div>
-                        <label htmlFor="transactionHash" className="block text-sm font-medium text-gray-700">
-                            Transaction Hash
-                        </label>
-                        <input
-                            type="text"
-                            id="transactionHash"
-                            placeholder="0x..."
-                            value={transactionHash}
-                            onChange={(e) => setTransactionHash(e.target.value)}
-                            className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-300 focus:ring focus:ring-indigo-200 focus:ring-opacity-50"
-                        />
-                        <p className="mt-1 text-sm text-gray-500">
-                            Enter the transaction hash of the proof you want to verify.
-                            A transaction hash starts with "0x" followed by 64 hexadecimal characters.
-                        </p>
-
-                        {/* Transaction hash validation feedback */}
-                        {transactionHash && (
-                            <p className={`mt-1 text-sm ${getTransactionHashStatus(transactionHash).valid ? 'text-green-600' : 'text-red-600'}`}>
-                                {getTransactionHashStatus(transactionHash).message}
-                            </p>
-                        )}
-
-                        {/* Example transactions */}
-                        <div className="mt-2">
-                            <p className="text-sm text-gray-500">Or try one of these example transactions:</p>
-                            <div className="mt-1 flex flex-wrap gap-2">
-                                {EXAMPLE_TX_HASHES.map((hash) => (
-                                    <button
-                                        key={hash}
-                                        type="button"
-                                        onClick={() => useExampleHash(hash)}
-                                        className="inline-flex items-center px-2.5 py-1.5 border border-gray-300 shadow-sm text-xs font-medium rounded text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500"
-                                    >
-                                        Example Transaction
-                                    </button>
-                                ))}
-                            </div>
-                        </div>
-                    </div>
-
-                    {/* Verify Button */}
-                    <div>
+                <div className="flex mb-6 border-b border-gray-200">
+                    {[
+                        { mode: 'reference', label: 'Reference ID' },
+                        { mode: 'transaction', label: 'Transaction Hash' }
+                    ].map(({ mode, label }) => (
                         <button
-                            type="submit"
-                            disabled={!transactionHash || isVerifying}
-                            className={`w-full ${!transactionHash || isVerifying
-                                ? 'bg-gray-300 cursor-not-allowed'
-                                : 'bg-primary-600 hover:bg-primary-700'
-                                } text-white rounded-md py-2 px-4 flex justify-center items-center`}
+                            key={mode}
+                            type="button"
+                            onClick={() => setVerificationMode(mode)}
+                            className={`py-2 px-4 -mb-px text-sm font-medium border-b-2 ${verificationMode === mode
+                                ? 'border-primary-600 text-primary-600'
+                                : 'border-transparent text-gray-500 hover:text-gray-700'
+                                }`}
                         >
-                            {isVerifying ? (
-                                <>
-                                    <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-                                        <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                                        <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                                    </svg>
-                                    Verifying...
-                                </>
-                            ) : (
-                                'Verify Proof'
-                            )}
+                            {label}
                         </button>
-                    </div>
-
-                    {/* Error message */}
-                    {error && (
-                        <div className="bg-red-50 border-l-4 border-red-400 p-4 my-4">
-                            <div className="flex items-start">
-                                <div className="flex-shrink-0">
-                                    <svg className="h-5 w-5 text-red-400" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor" aria-hidden="true">
-                                        <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM8.707 7.293a1 1 0 00-1.414 1.414L8.586 10l-1.293 1.293a1 1 0 101.414 1.414L10 11.414l1.293 1.293a1 1 0 001.414-1.414L11.414 10l1.293-1.293a1 1 0 00-1.414-1.414L10 8.586 8.707 7.293z" clipRule="evenodd" />
-                                    </svg>
-                                </div>
-                                <div className="ml-3">
-                                    <h3 className="text-sm font-medium text-red-800">Verification Error</h3>
-                                    <div className="mt-2 text-sm text-red-700">
-                                        <p>{error}</p>
-                                        {error.includes('Transaction not found') && (
-                                            <div className="mt-2">
-                                                <p>Possible reasons:</p>
-                                                <ul className="list-disc pl-5 mt-1">
-                                                    <li>The transaction hash might be incorrect</li>
-                                                    <li>The transaction may be on a different network (this app verifies on Polygon Amoy testnet)</li>
-                                                    <li>The transaction might be too recent and hasn't been indexed yet - try again in a minute</li>
-                                                    <li>The blockchain RPC providers might be experiencing connectivity issues</li>
-                                                </ul>
-                                            </div>
-                                        )}
-                                    </div>
+                    ))}
+                </div>
+
+                {verificationMode === 'reference' ? (
+                    <ReferenceProofVerifier
+                        initialReferenceId={linkReferenceId}
+                        initialDecryptionKey={linkDecryptionKey}
+                    />
+                ) : (
+                    <form onSubmit={handleVerify} className="space-y-6">
+                        {/* Transaction Hash Input */}
+                        <div>
+                            <label htmlFor="transactionHash" className="block text-sm font-medium text-gray-700">
+                                Transaction Hash
+                            </label>
+                            <input
+                                type="text"
+                                id="transactionHash"
+                                placeholder="0x..."
+                                value={transactionHash}
+                                onChange={(e) => setTransactionHash(e.target.value)}
+                                className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-indigo-300 focus:ring focus:ring-indigo-200 focus:ring-opacity-50"
+                            />
+                            <p className="mt-1 text-sm text-gray-500">
+                                Enter the transaction hash of the proof you want to verify.
+                                A transaction hash starts with "0x" followed by 64 hexadecimal characters.
+                            </p>
+
+                            {/* Transaction hash validation feedback */}
+                            {transactionHash && (
+                                <p className={`mt-1 text-sm ${getTransactionHashStatus(transactionHash).valid ? 'text-green-600' : 'text-red-600'}`}>
+                                    {getTransactionHashStatus(transactionHash).message}
+                                </p>
+                            )}
+
+                            {/* Example transactions */}
+                            <div className="mt-2">
+                                <p className="text-sm text-gray-500">Or try one of these example transactions:</p>
+                                <div className="mt-1 flex flex-wrap gap-2">
+                                    {EXAMPLE_TX_HASHES.map((hash) => (
+                                        <button
+                                            key={hash}
+                                            type="button"
+                                            onClick={() => useExampleHash(hash)}
+                                            className="inline-flex items-center px-2.5 py-1.5 border border-gray-300 shadow-sm text-xs font-medium rounded text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500"
+                                        >
+                                            Example Transaction
+                                        </button>
+                                    ))}
                                 </div>
                             </div>
                         </div>
-                    )}
-
-                    {/* Verification Result */}
-                    {verificationStatus !== null && (
-                        <div className={`p-4 border rounded-md ${verificationStatus ? 'border-green-300 bg-green-50 text-green-900' : 'border-red-300 bg-red-50 text-red-900'}`}>
-                            <div className="flex items-center">
-                                {verificationStatus ? (
-                                    <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6 text-green-500 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
-                                    </svg>
+
+                        {/* Verify Button */}
+                        <div>
+                            <button
+                                type="submit"
+                                disabled={!transactionHash || isVerifying}
+                                className={`w-full ${!transactionHash || isVerifying
+                                    ? 'bg-gray-300 cursor-not-allowed'
+                                    : 'bg-primary-600 hover:bg-primary-700'
+                                    } text-white rounded-md py-2 px-4 flex justify-center items-center`}
+                            >
+                                {isVerifying ? (
+                                    <>
+                                        <svg className="animate-spin -ml-1 mr-3 h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+                                            <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                                            <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                                        </svg>
+                                        Verifying...
+                                    </>
                                 ) : (
-                                    <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6 text-red-500 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
-                                    </svg>
+                                    'Verify Proof'
                                 )}
-                                <p className="text-sm font-medium">
-                                    {verificationStatus ? 'Proof Verified Successfully' : 'Proof Verification Failed'}
-                                </p>
-                            </div>
+                            </button>
+                        </div>
 
-                            {/* Show proof details if available */}
-                            {verificationStatus && proofDetails && (
-                                <div className="mt-4 text-sm">
-                                    <div className="grid grid-cols-2 gap-2">
-                                        <div>
-                                            <p className="font-medium">Wallet Address:</p>
-                                            <p className="text-gray-700 break-all">{proofDetails.user}</p>
-                                        </div>
-                                        <div>
-                                            <p className="font-medium">Amount:</p>
-                                            <p className="text-gray-700">{proofDetails.thresholdAmount !== '0' ? proofDetails.thresholdAmount : proofDetails.amount} {proofDetails.tokenSymbol}</p>
-                                        </div>
-                                        <div>
-                                            <p className="font-medium">Proof Type:</p>
-                                            <p className="text-gray-700 capitalize">
-                                                {proofCategory === 'zk' ? 'Zero-Knowledge ' : ''}
-                                                {proofDetails.proofType === 0 ? 'Standard' :
-                                                    proofDetails.proofType === 1 ? 'Threshold (At Least)' :
-                                                        'Maximum (At Most)'}
-                                            </p>
+                        {/* Error message */}
+                        {error && (
+                            <div className="bg-red-50 border-l-4 border-red-400 p-4 my-4">
+                                <div className="flex items-start">
+                                    <div className="flex-shrink-0">
+                                        <svg className="h-5 w-5 text-red-400" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 20 20" fill="currentColor" aria-hidden="true">
+                                            <path fillRule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zM8.707 7.293a1 1 0 00-1.414 1.414L8.586 10l-1.293 1.293a1 1 0 101.414 1.414L10 11.414l1.293 1.293a1 1 0 001.414-1.414L11.414 10l1.293-1.293a1 1 0 00-1.414-1.414L10 8.586 8.707 7.293z" clipRule="evenodd" />
+                                        </svg>
+                                    </div>
+                                    <div className="ml-3">
+                                        <h3 className="text-sm font-medium text-red-800">Verification Error</h3>
+                                        <div className="mt-2 text-sm text-red-700">
+                                            <p>{error}</p>
+                                            {error.includes('Transaction not found') && (
+                                                <div className="mt-2">
+                                                    <p>Possible reasons:</p>
+                                                    <ul className="list-disc pl-5 mt-1">
+                                                        <li>The transaction hash might be incorrect</li>
+                                                        <li>The transaction may be on a different network (this app verifies on Polygon Amoy testnet)</li>
+                                                        <li>The transaction might be too recent and hasn't been indexed yet - try again in a minute</li>
+                                                        <li>The blockchain RPC providers might be experiencing connectivity issues</li>
+                                                    </ul>
+                                                </div>
+                                            )}
                                         </div>
-                                        {proofDetails.timestamp && (
+                                    </div>
+                                </div>
+                            </div>
+                        )}
+
+                        {/* Verification Result */}
+                        {verificationStatus !== null && (
+                            <div className={`p-4 border rounded-md ${verificationStatus ? 'border-green-300 bg-green-50 text-green-900' : 'border-red-300 bg-red-50 text-red-900'}`}>
+                                <div className="flex items-center">
+                                    {verificationStatus ? (
+                                        <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6 text-green-500 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7" />
+                                        </svg>
+                                    ) : (
+                                        <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6 text-red-500 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                                        </svg>
+                                    )}
+                                    <p className="text-sm font-medium">
+                                        {verificationStatus ? 'Proof Verified Successfully' : 'Proof Verification Failed'}
+                                    </p>
+                                </div>
+
+                                {/* Show proof details if available */}
+                                {verificationStatus && proofDetails && (
+                                    <div className="mt-4 text-sm">
+                                        <div className="grid grid-cols-2 gap-2">
+                                            <div>
+                                                <p className="font-medium">Wallet Address:</p>
+                                                <p className="text-gray-700 break-all">{proofDetails.user}</p>
+                                            </div>
+                                            <div>
+                                                <p className="font-medium">Amount:</p>
+                                                <p className="text-gray-700">{proofDetails.thresholdAmount !== '0' ? proofDetails.thresholdAmount : proofDetails.amount} {proofDetails.tokenSymbol}</p>
+                                            </div>
                                             <div>
-                                                <p className="font-medium">Created At:</p>
-                                                <p className="text-gray-700">{proofDetails.timestamp}</p>
+                                                <p className="font-medium">Proof Type:</p>
+                                                <p className="text-gray-700 capitalize">
+                                                    {proofCategory === 'zk' ? 'Zero-Knowledge ' : ''}
+                                                    {proofDetails.proofType === 0 ? 'Standard' :
+                                                        proofDetails.proofType === 1 ? 'Threshold (At Least)' :
+                                                            'Maximum (At Most)'}
+                                                </p>
                                             </div>
-                                        )}
-                                        {proofDetails.expiryTime && (
+                                            {proofDetails.timestamp && (
+                                                <div>
+                                                    <p className="font-medium">Created At:</p>
+                                                    <p className="text-gray-700">{proofDetails.timestamp}</p>
+                                                </div>
+                                            )}
+                                            {proofDetails.expiryTime && (
+                                                <div>
+                                                    <p className="font-medium">Expires At:</p>
+                                                    <p className="text-gray-700">{proofDetails.expiryTime}</p>
+                                                </div>
+                                            )}
                                             <div>
-                                                <p className="font-medium">Expires At:</p>
-                                                <p className="text-gray-700">{proofDetails.expiryTime}</p>
+                                                <p className="font-medium">Transaction:</p>
+                                                <a
+                                                    href={`https://amoy.polygonscan.com/tx/${proofDetails.txHash}`}
+                                                    target="_blank"
+                                                    rel="noopener noreferrer"
+                                                    className="text-blue-600 hover:underline break-all"
+                                                >
+                                                    View on Explorer
+                                                </a>
                                             </div>
-                                        )}
-                                        <div>
-                                            <p className="font-medium">Transaction:</p>
-                                            <a
-                                                href={`https://amoy.polygonscan.com/tx/${proofDetails.txHash}`}
-                                                target="_blank"
-                                                rel="noopener noreferrer"
-                                                className="text-blue-600 hover:underline break-all"
-                                            >
-                                                View on Explorer
-                                            </a>
                                         </div>
                                     </div>
-                                </div>
-                            )}
-                        </div>
-                    )}
-                </form>
+                                )}
+                            </div>
+                        )}
+                    </form>
+                )}
             </div>
 
             {/* Information Section */}
             <div className="mt-12 border-t pt-6">
                 <h2 className="text-xl font-semibold mb-4">About Verification</h2>
                 <p className="text-gray-600 mb-4">
-                    This tool verifies proofs of funds created on the blockchain. Enter the transaction hash
-                    of a proof to verify its authenticity and view details including the amount, timestamp, and expiry.
+                    This tool verifies proofs of funds created on the platform. Open the verification link shared by the
+                    proof owner, or enter the proof&apos;s reference ID and decryption key, to verify its authenticity and view
+                    details including the amount, expiry, warnings and earlier verifications. On-chain proofs can also be
+                    verified by their transaction hash.
                 </p>
                 <div className="bg-blue-50 p-4 rounded-md border border-blue-100">
                     <h3 className="font-medium text-blue-800 mb-2">How Verification Works</h3>
@@ -200,6 +200,35 @@ describe('VerificationResultFormatter', () => {
     });
   });
 
+  test('should include warning flags and verification history for UI display', () => {
+    const verificationResult = formatter.formatSuccess(
+      'threshold',
+      { wallet: '0x1234567890123456789012345678901234567890' },
+      {
+        warningFlags: ['WALLET_BLACKLISTED:0xabc', 'UNKNOWN_FLAG'],
+        verificationHistory: [
+          { verifiedAt: 1622551200, verified: true },
+          { verifiedAt: 1622464800, verified: false }
+        ]
+      }
+    );
+
+    const uiResult = formatter.formatForUI(verificationResult);
+
+    expect(uiResult.warnings).toEqual([
+      {
+        code: 'WALLET_BLACKLISTED',
+        detail: '0xabc',
+        message: 'A wallet in this proof appears on a sanctions or blacklist'
+      },
+      { code: 'UNKNOWN_FLAG', detail: undefined, message: 'unknown flag' }
+    ]);
+    expect(uiResult.history).toEqual([
+      { date: new Date(1622551200 * 1000).toLocaleString(), verified: true },
+      { date: new Date(1622464800 * 1000).toLocaleString(), verified: false }
+    ]);
+  });
+
   test('should convert a legacy verification result to the new format', () => {
     const legacyResult = {
       verified: true,
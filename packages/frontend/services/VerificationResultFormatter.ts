@@ -18,6 +18,32 @@ export type ProofType = 'standard' | 'threshold' | 'maximum' | 'balance' | 'tran
  */
 export type VerificationStatus = 'success' | 'failure' | 'error' | 'pending';
 
+/**
+ * Earlier verification of the same proof
+ */
+export interface VerificationHistoryEntry {
+  verifiedAt: number;        // Unix timestamp of the verification
+  verified: boolean;         // Whether that verification succeeded
+}
+
+/**
+ * Descriptions of the warning flags attached to proofs. Flags may carry a
+ * detail after a colon, e.g. `WALLET_BLACKLISTED:0x...`.
+ */
+const WARNING_MESSAGES: Record<string, string> = {
+  WALLET_BLACKLISTED: 'A wallet in this proof appears on a sanctions or blacklist',
+  SANCTIONS_SCREENING_UNAVAILABLE: 'The wallets in this proof could not be screened against sanctions lists',
+  RECENT_LARGE_INFLOW: 'Much of the balance arrived shortly before the proof was created',
+  ROUND_TRIP: 'Funds were sent out and returned in a similar amount soon after',
+  FLAGGED_COUNTERPARTY: 'A wallet in this proof transacted with a blacklisted address',
+  SHORT_HOLDING_PERIOD: 'The balance has not been held for the minimum holding period',
+  SOURCE_OF_FUNDS_UNAVAILABLE: 'The transaction history of the wallets in this proof could not be analyzed',
+  PROOF_INVALID: 'The proof did not pass cryptographic verification',
+  PROOF_EXPIRED: 'The proof has expired',
+  PROOF_REVOKED: 'The proof has been revoked by its owner',
+  VERIFICATION_TOO_FREQUENT: 'The proof was verified too recently for its template'
+};
+
 /**
  * Common verification result structure
  */
@@ -50,6 +76,8 @@ export interface VerificationResult {
     proofHash?: string;      // Hash of the proof data
     createdBy?: string;      // Who/what created the proof
     verifiedBy?: string;     // Who/what verified the proof
+    warningFlags?: string[]; // Warning flags raised for the proof
+    verificationHistory?: VerificationHistoryEntry[]; // Recent verifications, newest first
     [key: string]: any;      // Additional metadata fields
   };
   
@@ -249,18 +277,36 @@ export class VerificationResultFormatter {
       proofDetails: {
         user: result.data.wallet,
         thresholdAmount: result.data.amount?.toString() || result.data.thresholdAmount?.toString(),
+        maximumAmount: result.data.maximumAmount?.toString(),
         tokenSymbol: result.data.tokenSymbol,
         txHash: result.data.transactionHash,
         proofHash: result.metadata.proofHash,
+        balanceDate: result.data.balanceDate ? formattedDate(result.data.balanceDate) : undefined,
         // Add any custom data fields here
         ...Object.entries(result.data).reduce((acc, [key, value]) => {
-          if (!['wallet', 'amount', 'tokenSymbol', 'transactionHash', 'thresholdAmount', 'maximumAmount'].includes(key)) {
+          if (!['wallet', 'amount', 'tokenSymbol', 'transactionHash', 'thresholdAmount', 'maximumAmount', 'balanceDate'].includes(key)) {
             acc[key] = value?.toString() || value;
           }
           return acc;
         }, {} as Record<string, any>)
       },
       
+      // Warning flags with descriptions
+      warnings: (result.metadata.warningFlags || []).map(flag => {
+        const [code, ...detail] = flag.split(':');
+        return {
+          code,
+          detail: detail.length ? detail.join(':') : undefined,
+          message: WARNING_MESSAGES[code] || code.replace(/_/g, ' ').toLowerCase()
+        };
+      }),
+      
+      // Earlier verifications of the proof
+      history: (result.metadata.verificationHistory || []).map(entry => ({
+        date: formattedDate(entry.verifiedAt),
+        verified: entry.verified
+      })),
+      
       // Include error information if present
       errorMessage: result.error?.message,
       errorCode: result.error?.code,
@@ -0,0 +1,206 @@
+/**
+ * Passkey Service Tests
+ */
+import {
+  deletePasskey,
+  fromBase64Url,
+  loginWithPasskey,
+  registerPasskey,
+  toBase64Url
+} from '../passkeyService';
+import { requestStepUpToken } from '../stepUpService';
+
+jest.mock('../stepUpService', () => ({
+  requestStepUpToken: jest.fn()
+}));
+
+// Mock global fetch
+global.fetch = jest.fn();
+
+const bytes = (...values: number[]) => new Uint8Array(values).buffer;
+
+const jsonResponse = (body: any, status = 200) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  json: async () => body
+});
+
+const credentials = {
+  create: jest.fn(),
+  get: jest.fn()
+};
+
+const assertionCredential = {
+  id: 'AQI',
+  rawId: bytes(1, 2),
+  type: 'public-key',
+  response: {
+    clientDataJSON: bytes(3),
+    authenticatorData: bytes(4),
+    signature: bytes(5),
+    userHandle: bytes(6)
+  },
+  getClientExtensionResults: () => ({})
+};
+
+const registrationOptions = {
+  challenge: 'AAEC',
+  rp: { id: 'localhost', name: 'Proof of Funds' },
+  user: { id: 'dXNlci0x', name: 'user@example.com', displayName: 'user@example.com' },
+  pubKeyCredParams: [{ type: 'public-key', alg: -7 }],
+  timeout: 300000,
+  attestation: 'none',
+  authenticatorSelection: { residentKey: 'required', userVerification: 'required' },
+  excludeCredentials: [{ type: 'public-key', id: 'BwgJ', transports: ['internal'] }]
+};
+
+const attestationCredential = {
+  id: 'AQI',
+  rawId: bytes(1, 2),
+  type: 'public-key',
+  response: {
+    clientDataJSON: bytes(3),
+    attestationObject: bytes(4),
+    getTransports: () => ['internal']
+  },
+  getClientExtensionResults: () => ({})
+};
+
+const authOptions = { challenge: 'AAEC', rpId: 'localhost', timeout: 300000, userVerification: 'required', allowCredentials: [] };
+
+describe('passkeyService', () => {
+  beforeAll(() => {
+    Object.defineProperty(navigator, 'credentials', { value: credentials, configurable: true });
+  });
+
+  beforeEach(() => {
+    (global.fetch as jest.Mock).mockReset();
+    credentials.create.mockReset();
+    credentials.get.mockReset();
+    localStorage.setItem('pof_access_token', 'token');
+  });
+
+  it('round-trips base64url', () => {
+    const buffer = bytes(251, 255, 0, 1);
+
+    expect(toBase64Url(buffer)).toBe('-_8AAQ');
+    expect(new Uint8Array(fromBase64Url('-_8AAQ'))).toEqual(new Uint8Array(buffer));
+  });
+
+  it('registers a passkey', async () => {
+    (global.fetch as jest.Mock)
+      .mockResolvedValueOnce(jsonResponse({
+        success: true,
+        options: registrationOptions
+      }))
+      .mockResolvedValueOnce(jsonResponse({ success: true, passkey: { id: 'passkey-1', name: 'Laptop' } }, 201));
+    credentials.create.mockResolvedValue(attestationCredential);
+
+    const passkey = await registerPasskey('Laptop');
+
+    expect(passkey).toEqual({ id: 'passkey-1', name: 'Laptop' });
+
+    const { publicKey } = credentials.create.mock.calls[0][0];
+    expect(new Uint8Array(publicKey.challenge)).toEqual(new Uint8Array([0, 1, 2]));
+    expect(String.fromCharCode(...new Uint8Array(publicKey.user.id))).toBe('user-1');
+    expect(new Uint8Array(publicKey.excludeCredentials[0].id)).toEqual(new Uint8Array([7, 8, 9]));
+
+    const [url, init] = (global.fetch as jest.Mock).mock.calls[1];
+    expect(url).toBe('/api/user/auth/passkeys/register/verify');
+    expect(init.headers.Authorization).toBe('Bearer token');
+    expect(JSON.parse(init.body)).toEqual({
+      response: {
+        id: 'AQI',
+        rawId: 'AQI',
+        type: 'public-key',
+        response: { clientDataJSON: 'Aw', attestationObject: 'BA', transports: ['internal'] },
+        clientExtensionResults: {}
+      },
+      name: 'Laptop'
+    });
+  });
+
+  it('steps up before registering a passkey when the API asks for a second factor', async () => {
+    (global.fetch as jest.Mock)
+      .mockResolvedValueOnce(jsonResponse({ success: false, requiresTwoFactor: true }, 403))
+      .mockResolvedValueOnce(jsonResponse({ success: true, options: registrationOptions }))
+      .mockResolvedValueOnce(jsonResponse({ success: true, passkey: { id: 'passkey-2', name: 'Phone' } }, 201));
+    (requestStepUpToken as jest.Mock).mockResolvedValue({ stepUpToken: 'step-up', expiresAt: '2030-01-01T00:00:00.000Z' });
+    credentials.create.mockResolvedValue(attestationCredential);
+
+    const passkey = await registerPasskey('Phone');
+
+    expect(passkey).toEqual({ id: 'passkey-2', name: 'Phone' });
+    expect(requestStepUpToken).toHaveBeenCalledTimes(1);
+
+    const calls = (global.fetch as jest.Mock).mock.calls;
+    expect(calls[0][1].headers['X-Step-Up-Token']).toBeUndefined();
+    expect(calls[1][0]).toBe('/api/user/auth/passkeys/register/options');
+    expect(calls[1][1].headers['X-Step-Up-Token']).toBe('step-up');
+    expect(calls[2][0]).toBe('/api/user/auth/passkeys/register/verify');
+    expect(calls[2][1].headers['X-Step-Up-Token']).toBe('step-up');
+  });
+
+  it('logs in with a passkey', async () => {
+    (global.fetch as jest.Mock)
+      .mockResolvedValueOnce(jsonResponse({ success: true, options: authOptions }))
+      .mockResolvedValueOnce(jsonResponse({
+        success: true,
+        token: 'access',
+        refreshToken: 'refresh',
+        user: { id: 'user-1', email: 'user@example.com', address: null, permissions: ['user'] }
+      }));
+    credentials.get.mockResolvedValue(assertionCredential);
+
+    const result = await loginWithPasskey();
+
+    expect(result.token).toBe('access');
+    expect(result.refreshToken).toBe('refresh');
+
+    const [url, init] = (global.fetch as jest.Mock).mock.calls[1];
+    expect(url).toBe('/api/user/auth/passkeys/login/verify');
+    expect(init.headers.Authorization).toBeUndefined();
+    expect(JSON.parse(init.body).response.response).toEqual({
+      clientDataJSON: 'Aw',
+      authenticatorData: 'BA',
+      signature: 'BQ',
+      userHandle: 'Bg'
+    });
+  });
+
+  it('reports a cancelled passkey prompt', async () => {
+    (global.fetch as jest.Mock).mockResolvedValueOnce(jsonResponse({ success: true, options: authOptions }));
+    credentials.get.mockResolvedValue(null);
+
+    await expect(loginWithPasskey()).rejects.toThrow('cancelled');
+  });
+
+  it('steps up with a passkey to remove a passkey', async () => {
+    (global.fetch as jest.Mock)
+      .mockResolvedValueOnce(jsonResponse({ success: false, requiresTwoFactor: true }, 403))
+      .mockResolvedValueOnce(jsonResponse({ success: true, options: authOptions }))
+      .mockResolvedValueOnce(jsonResponse({ success: true, stepUpToken: 'step-up', expiresAt: '2026-01-01T00:00:00Z' }))
+      .mockResolvedValueOnce(jsonResponse({ success: true }));
+    credentials.get.mockResolvedValue(assertionCredential);
+
+    await deletePasskey('passkey-1');
+
+    const calls = (global.fetch as jest.Mock).mock.calls;
+    expect(calls.map(([url]) => url)).toEqual([
+      '/api/user/auth/passkeys/passkey-1',
+      '/api/user/auth/passkeys/step-up/options',
+      '/api/user/auth/passkeys/step-up/verify',
+      '/api/user/auth/passkeys/passkey-1'
+    ]);
+    expect(calls[3][1].headers['X-Step-Up-Token']).toBe('step-up');
+  });
+
+  it('reports API errors', async () => {
+    (global.fetch as jest.Mock).mockResolvedValueOnce(jsonResponse({
+      success: false,
+      error: { message: 'Passkey not found' }
+    }, 404));
+
+    await expect(deletePasskey('missing')).rejects.toThrow('Passkey not found');
+  });
+});
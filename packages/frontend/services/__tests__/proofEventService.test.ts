@@ -0,0 +1,188 @@
+/**
+ * Proof Event Service Tests
+ */
+import { TextDecoder, TextEncoder } from 'util';
+import {
+  parseEventStream,
+  readProofEvents,
+  subscribeToProofEvents,
+  isProofEventStreamLive,
+  onProofEventStreamChange
+} from '../proofEventService';
+
+// jsdom does not provide the encoding API
+Object.assign(global, { TextDecoder, TextEncoder });
+
+// Mock global fetch
+global.fetch = jest.fn();
+
+/**
+ * Response whose body is read in the given chunks, then stays open until closed
+ */
+const streamResponse = (chunks: string[], status = 200) => {
+  const encoder = new TextEncoder();
+  let close: () => void = () => undefined;
+  const closed = new Promise<{ done: true; value: undefined }>(resolve => {
+    close = () => resolve({ done: true, value: undefined });
+  });
+
+  return {
+    close,
+    response: {
+      ok: status >= 200 && status < 300,
+      status,
+      body: {
+        getReader: () => ({
+          read: async () => (chunks.length > 0
+            ? { done: false, value: encoder.encode(chunks.shift()) }
+            : closed)
+        })
+      }
+    }
+  };
+};
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+const EVENT = {
+  id: 'evt_1',
+  type: 'job.progress',
+  userId: 'user-1',
+  createdAt: '2025-01-01T00:00:00.000Z',
+  data: { job: { id: 'job-1', progress: 40 } }
+};
+
+describe('proofEventService', () => {
+  beforeEach(() => {
+    (global.fetch as jest.Mock).mockReset();
+    localStorage.clear();
+    localStorage.setItem('pof_access_token', 'token');
+  });
+
+  describe('parseEventStream', () => {
+    it('parses complete messages and keeps the incomplete one', () => {
+      const { messages, rest } = parseEventStream(
+        'retry: 5000\n: heartbeat\n\nid: evt_1\nevent: job.progress\ndata: {"a":1}\n\nevent: proof.confirmed\ndata: {"b"'
+      );
+
+      expect(messages).toEqual([{ id: 'evt_1', event: 'job.progress', data: '{"a":1}' }]);
+      expect(rest).toBe('event: proof.confirmed\ndata: {"b"');
+    });
+
+    it('joins multi-line data and accepts CRLF line endings', () => {
+      const { messages, rest } = parseEventStream('data: first\r\ndata:second\r\n\r\n');
+
+      expect(messages).toEqual([{ event: 'message', data: 'first\nsecond' }]);
+      expect(rest).toBe('');
+    });
+  });
+
+  describe('readProofEvents', () => {
+    it('sends the access token and delivers events split across chunks', async () => {
+      const payload = `event: job.progress\ndata: ${JSON.stringify(EVENT)}\n\n`;
+      const { response, close } = streamResponse([
+        'retry: 5000\nevent: ready\ndata: {"crossInstance":true}\n\n',
+        payload.slice(0, 20),
+        payload.slice(20)
+      ]);
+      (global.fetch as jest.Mock).mockResolvedValueOnce(response);
+      const onEvent = jest.fn();
+      const onReady = jest.fn();
+
+      const reading = readProofEvents(onEvent, onReady);
+      await flush();
+      close();
+      await reading;
+
+      expect(global.fetch).toHaveBeenCalledWith('/api/proofs/events', expect.objectContaining({
+        headers: expect.objectContaining({ 'Authorization': 'Bearer token' })
+      }));
+      expect(onReady).toHaveBeenCalledWith(true);
+      expect(onEvent).toHaveBeenCalledTimes(1);
+      expect(onEvent).toHaveBeenCalledWith(EVENT);
+    });
+
+    it('throws when the stream cannot be opened', async () => {
+      (global.fetch as jest.Mock).mockResolvedValueOnce(streamResponse([], 401).response);
+
+      await expect(readProofEvents(jest.fn(), jest.fn())).rejects.toThrow('Failed to open proof event stream (401)');
+    });
+
+    it('requires an access token', async () => {
+      localStorage.clear();
+
+      await expect(readProofEvents(jest.fn(), jest.fn())).rejects.toThrow('Not authenticated');
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('subscribeToProofEvents', () => {
+    it('shares one connection and is live while it carries every event', async () => {
+      const { response } = streamResponse([
+        'event: ready\ndata: {"crossInstance":true}\n\n',
+        `event: job.progress\ndata: ${JSON.stringify(EVENT)}\n\n`
+      ]);
+      (global.fetch as jest.Mock).mockResolvedValueOnce(response);
+      const first = jest.fn();
+      const second = jest.fn();
+      const changes = jest.fn();
+      const removeChangeListener = onProofEventStreamChange(changes);
+
+      const unsubscribeFirst = subscribeToProofEvents(first);
+      const unsubscribeSecond = subscribeToProofEvents(second);
+      await flush();
+
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(isProofEventStreamLive()).toBe(true);
+      expect(first).toHaveBeenCalledWith(EVENT);
+      expect(second).toHaveBeenCalledWith(EVENT);
+
+      unsubscribeFirst();
+      expect(isProofEventStreamLive()).toBe(true);
+
+      unsubscribeSecond();
+      await flush();
+      expect(isProofEventStreamLive()).toBe(false);
+      expect(changes.mock.calls).toEqual([[true], [false]]);
+      removeChangeListener();
+    });
+
+    it('is not live when events from other instances do not reach the stream', async () => {
+      (global.fetch as jest.Mock).mockResolvedValueOnce(
+        streamResponse(['event: ready\ndata: {"crossInstance":false}\n\n']).response
+      );
+
+      const unsubscribe = subscribeToProofEvents(jest.fn());
+      await flush();
+
+      expect(isProofEventStreamLive()).toBe(false);
+      unsubscribe();
+    });
+
+    it('reconnects after the stream drops', async () => {
+      jest.useFakeTimers();
+      try {
+        const dropped = streamResponse(['event: ready\ndata: {"crossInstance":true}\n\n']);
+        (global.fetch as jest.Mock)
+          .mockResolvedValueOnce(dropped.response)
+          .mockResolvedValueOnce(streamResponse(['event: ready\ndata: {"crossInstance":true}\n\n']).response);
+
+        const unsubscribe = subscribeToProofEvents(jest.fn());
+        await jest.advanceTimersByTimeAsync(0);
+        expect(isProofEventStreamLive()).toBe(true);
+
+        dropped.close();
+        await jest.advanceTimersByTimeAsync(0);
+        expect(isProofEventStreamLive()).toBe(false);
+
+        await jest.advanceTimersByTimeAsync(1000);
+        expect(global.fetch).toHaveBeenCalledTimes(2);
+        expect(isProofEventStreamLive()).toBe(true);
+
+        unsubscribe();
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * Proof Job Service Tests
+ */
+import {
+  ProofJob,
+  queueProof,
+  fetchProofJob,
+  cancelProofJob,
+  isJobActive,
+  estimateTimeRemaining,
+  toBackgroundOperation,
+  toProgressIndicatorProps
+} from '../proofJobService';
+
+// Mock global fetch
+global.fetch = jest.fn();
+
+const JOB_ID = '11111111-2222-3333-4444-555555555555';
+const STARTED_AT = Date.parse('2025-01-01T00:00:00.000Z');
+
+const job = (overrides: Partial<ProofJob> = {}): ProofJob => ({
+  id: JOB_ID,
+  status: 'RUNNING',
+  stage: 'proof',
+  progress: 50,
+  proofType: 'ZERO_KNOWLEDGE',
+  referenceId: 'pof-1a2b3c4d',
+  proofId: null,
+  expiresAt: '2025-02-01T00:00:00.000Z',
+  error: null,
+  createdAt: '2024-12-31T23:59:50.000Z',
+  startedAt: '2025-01-01T00:00:00.000Z',
+  completedAt: null,
+  ...overrides
+});
+
+describe('proofJobService', () => {
+  beforeEach(() => {
+    (global.fetch as jest.Mock).mockReset();
+    localStorage.clear();
+    localStorage.setItem('pof_access_token', 'token');
+  });
+
+  describe('estimateTimeRemaining', () => {
+    it('extrapolates from the progress of a running job', () => {
+      expect(estimateTimeRemaining(job({ progress: 25 }), STARTED_AT + 30000)).toBe(90);
+    });
+
+    it('does not estimate jobs that are not running or have no progress yet', () => {
+      expect(estimateTimeRemaining(job({ status: 'QUEUED', startedAt: null }), STARTED_AT)).toBeUndefined();
+      expect(estimateTimeRemaining(job({ progress: 0 }), STARTED_AT + 1000)).toBeUndefined();
+      expect(estimateTimeRemaining(job({ status: 'COMPLETED', progress: 100 }), STARTED_AT)).toBeUndefined();
+    });
+  });
+
+  describe('toBackgroundOperation', () => {
+    it('maps a running job', () => {
+      const operation = toBackgroundOperation(job(), STARTED_AT + 10000);
+
+      expect(operation).toMatchObject({
+        id: JOB_ID,
+        name: 'Zero knowledge proof',
+        type: 'proof_generation',
+        status: 'running',
+        progress: 50,
+        estimatedTimeRemaining: 10,
+        canPause: false,
+        canCancel: true
+      });
+      expect(operation.startTime).toEqual(new Date(STARTED_AT));
+    });
+
+    it('maps finished jobs', () => {
+      const completed = toBackgroundOperation(job({
+        status: 'COMPLETED',
+        stage: 'complete',
+        progress: 100,
+        proofId: 'proof-1',
+        completedAt: '2025-01-01T00:01:00.000Z'
+      }));
+      expect(completed.status).toBe('completed');
+      expect(completed.result).toEqual({ proofId: 'proof-1', referenceId: 'pof-1a2b3c4d' });
+      expect(completed.canCancel).toBe(false);
+
+      const cancelled = toBackgroundOperation(job({ status: 'CANCELLED' }));
+      expect(cancelled.status).toBe('canceled');
+
+      const failed = toBackgroundOperation(job({ status: 'FAILED', error: { code: 'JOB_TIMEOUT', message: 'Timed out' } }));
+      expect(failed.status).toBe('failed');
+      expect(failed.error).toBe('Timed out');
+    });
+  });
+
+  describe('toProgressIndicatorProps', () => {
+    it('describes the current stage', () => {
+      expect(toProgressIndicatorProps(job({ status: 'QUEUED', stage: 'init', progress: 0, startedAt: null }))).toMatchObject({
+        progress: 0,
+        status: 'Waiting for a proving worker',
+        isCancellable: true,
+        operationId: JOB_ID
+      });
+      expect(toProgressIndicatorProps(job({ stage: 'witness' })).status).toBe('Calculating witness');
+    });
+
+    it('describes failures', () => {
+      const props = toProgressIndicatorProps(job({ status: 'FAILED', error: { code: 'PROOF_GENERATION_FAILED', message: 'Invalid input' } }));
+
+      expect(props.status).toBe('Proof generation failed: Invalid input');
+      expect(props.isCancellable).toBe(false);
+    });
+  });
+
+  describe('requests', () => {
+    it('queues a proof', async () => {
+      (global.fetch as jest.Mock).mockResolvedValue({
+        ok: true,
+        status: 202,
+        json: async () => ({ success: true, jobId: JOB_ID, status: 'QUEUED', decryptionKey: 'key' })
+      });
+
+      const queued = await queueProof({ proofType: 'STANDARD', input: { balance: '100' } });
+
+      expect(queued.jobId).toBe(JOB_ID);
+      expect(global.fetch).toHaveBeenCalledWith('/api/proofs', expect.objectContaining({
+        method: 'POST',
+        headers: expect.objectContaining({ Authorization: 'Bearer token' })
+      }));
+    });
+
+    it('fetches and cancels jobs', async () => {
+      (global.fetch as jest.Mock).mockResolvedValue({
+        ok: true,
+        status: 200,
+        json: async () => ({ success: true, job: job({ status: 'CANCELLED' }) })
+      });
+
+      expect((await fetchProofJob(JOB_ID)).id).toBe(JOB_ID);
+      expect(isJobActive(await cancelProofJob(JOB_ID))).toBe(false);
+      expect(global.fetch).toHaveBeenLastCalledWith(`/api/proofs/jobs/${JOB_ID}`, expect.objectContaining({ method: 'DELETE' }));
+    });
+
+    it('surfaces backend error messages', async () => {
+      (global.fetch as jest.Mock).mockResolvedValue({
+        ok: false,
+        status: 409,
+        json: async () => ({ success: false, error: { code: 'JOB_ALREADY_FINISHED', message: 'Proof job has already finished' } })
+      });
+
+      await expect(cancelProofJob(JOB_ID)).rejects.toThrow('Proof job has already finished');
+    });
+
+    it('requires authentication', async () => {
+      localStorage.clear();
+
+      await expect(fetchProofJob(JOB_ID)).rejects.toThrow('Not authenticated');
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+  });
+});
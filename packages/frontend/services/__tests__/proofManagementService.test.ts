@@ -0,0 +1,273 @@
+/**
+ * Proof Management Service Tests
+ */
+import { ethers } from 'ethers';
+import {
+  BackendProofRecord,
+  OnChainRecord,
+  ManagedProof,
+  mergeProofs,
+  filterProofs,
+  canRevoke,
+  fetchBackendProofs,
+  revokeManagedProof
+} from '../proofManagementService';
+
+const mockRevokeProof = jest.fn();
+const mockRevokeProofById = jest.fn();
+const mockRevokeZKProof = jest.fn();
+
+jest.mock('@proof-of-funds/contracts/src/contracts', () => ({
+  ProofType: { Standard: 1, Threshold: 2, Maximum: 3 },
+  ProofOfFundsContract: jest.fn().mockImplementation(() => ({
+    revokeProof: mockRevokeProof,
+    revokeProofById: mockRevokeProofById
+  })),
+  ZKVerifierContract: jest.fn().mockImplementation(() => ({ revokeZKProof: mockRevokeZKProof }))
+}));
+
+// Mock global fetch
+global.fetch = jest.fn();
+
+const WALLET = '0x1111111111111111111111111111111111111111';
+const NOW = 1700000000000;
+
+const backendRecord = (overrides: Partial<BackendProofRecord> = {}): BackendProofRecord => ({
+  id: 'proof-1',
+  referenceId: 'REF12345',
+  createdAt: new Date(NOW - 3600000).toISOString(),
+  expiresAt: new Date(NOW + 86400000).toISOString(),
+  proofType: 'THRESHOLD',
+  status: 'CONFIRMED',
+  isRevoked: false,
+  warningFlags: [],
+  originalWallets: [WALLET],
+  transactionHash: '0xabc',
+  verificationCount: 3,
+  ...overrides
+});
+
+const standardOnChain = (overrides: Record<string, any> = {}): OnChainRecord => ({
+  contract: 'ProofOfFunds',
+  proof: {
+    user: WALLET,
+    timestamp: (NOW - 3600000) / 1000,
+    expiryTime: (NOW + 86400000) / 1000,
+    proofHash: '0x' + '00'.repeat(32),
+    proofType: 2,
+    thresholdAmount: ethers.BigNumber.from('1000'),
+    isRevoked: false,
+    signatureMessage: 'Proof for loan application',
+    signature: '0x',
+    ...overrides
+  }
+} as OnChainRecord);
+
+const jsonResponse = (body: any, ok = true) => ({ ok, json: async () => body });
+
+describe('proofManagementService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    localStorage.clear();
+  });
+
+  describe('mergeProofs', () => {
+    it('should attach backend details to the matching on-chain proof', () => {
+      const [proof, ...rest] = mergeProofs([standardOnChain()], [backendRecord()], NOW);
+
+      expect(rest).toHaveLength(0);
+      expect(proof).toMatchObject({
+        key: 'proof-1',
+        proofType: 'THRESHOLD',
+        status: 'CONFIRMED',
+        contract: 'ProofOfFunds',
+        referenceId: 'REF12345',
+        thresholdAmount: '1000',
+        verificationCount: 3,
+        chainRevoked: false,
+        backendRevoked: false
+      });
+      expect(proof.createdAt).toBe(NOW - 3600000);
+    });
+
+    it('should not match backend records of another type or wallet', () => {
+      const proofs = mergeProofs(
+        [standardOnChain()],
+        [
+          backendRecord({ id: 'other-type', proofType: 'MAXIMUM' }),
+          backendRecord({ id: 'other-wallet', originalWallets: ['0x2222222222222222222222222222222222222222'] })
+        ],
+        NOW
+      );
+
+      expect(proofs).toHaveLength(3);
+      expect(proofs.find(p => p.contract === 'ProofOfFunds')?.backendId).toBeNull();
+    });
+
+    it('should prefer the on-chain revocation and expiry over the backend status', () => {
+      const [revoked] = mergeProofs([standardOnChain({ isRevoked: true })], [backendRecord()], NOW);
+      expect(revoked.status).toBe('REVOKED');
+      expect(revoked.isRevoked).toBe(false);
+      expect(canRevoke(revoked)).toBe(true);
+
+      const [expired] = mergeProofs([standardOnChain({ expiryTime: (NOW - 1000) / 1000 })], [backendRecord()], NOW);
+      expect(expired.status).toBe('EXPIRED');
+    });
+
+    it('should keep every proof a wallet stored under an ID', () => {
+      const proofs = mergeProofs(
+        [
+          standardOnChain({ id: 1, timestamp: (NOW - 7200000) / 1000 }),
+          standardOnChain({ id: 2 })
+        ],
+        [
+          backendRecord({ id: 'older', createdAt: new Date(NOW - 7200000).toISOString() }),
+          backendRecord({ id: 'newer' })
+        ],
+        NOW
+      );
+
+      expect(proofs.map(p => [p.key, p.chainProofId])).toEqual([['newer', 2], ['older', 1]]);
+    });
+
+    it('should key unmatched proofs by their ID', () => {
+      const [proof] = mergeProofs([standardOnChain({ id: 7 })], [], NOW);
+
+      expect(proof.key).toBe('ProofOfFunds-7');
+      expect(proof.chainProofId).toBe(7);
+    });
+
+    it('should mark backend-only proofs past their expiry as expired', () => {
+      const [proof] = mergeProofs([], [backendRecord({ expiresAt: new Date(NOW - 1000).toISOString() })], NOW);
+
+      expect(proof.status).toBe('EXPIRED');
+      expect(proof.contract).toBeNull();
+      expect(canRevoke(proof)).toBe(false);
+    });
+
+    it('should map ZKVerifier proofs to zero-knowledge proofs', () => {
+      const zk: OnChainRecord = {
+        contract: 'ZKVerifier',
+        proof: {
+          user: WALLET,
+          timestamp: NOW / 1000,
+          expiryTime: 0,
+          publicSignals: '0x',
+          proof: '0x',
+          proofType: 1,
+          isRevoked: false,
+          signatureMessage: '',
+          signature: '0x'
+        }
+      } as OnChainRecord;
+
+      const [proof] = mergeProofs([zk], [backendRecord({ proofType: 'ZERO_KNOWLEDGE' })], NOW);
+
+      expect(proof.proofType).toBe('ZERO_KNOWLEDGE');
+      expect(proof.expiresAt).toBeNull();
+      expect(proof.backendId).toBe('proof-1');
+    });
+  });
+
+  describe('filterProofs', () => {
+    it('should filter by status and type', () => {
+      const proofs = mergeProofs([], [
+        backendRecord({ id: 'a', proofType: 'STANDARD' }),
+        backendRecord({ id: 'b', proofType: 'THRESHOLD', status: 'PENDING' }),
+        backendRecord({ id: 'c', proofType: 'THRESHOLD' })
+      ], NOW);
+
+      expect(filterProofs(proofs, { status: 'ALL', type: 'ALL' })).toHaveLength(3);
+      expect(filterProofs(proofs, { type: 'THRESHOLD' }).map(p => p.key).sort()).toEqual(['b', 'c']);
+      expect(filterProofs(proofs, { status: 'CONFIRMED', type: 'THRESHOLD' }).map(p => p.key)).toEqual(['c']);
+    });
+  });
+
+  describe('fetchBackendProofs', () => {
+    it('should require an access token', async () => {
+      await expect(fetchBackendProofs()).rejects.toThrow('Not authenticated');
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it('should read every page of proofs', async () => {
+      localStorage.setItem('pof_access_token', 'token');
+      (global.fetch as jest.Mock)
+        .mockResolvedValueOnce(jsonResponse({ proofs: [backendRecord({ id: 'a' })], pagination: { pages: 2 } }))
+        .mockResolvedValueOnce(jsonResponse({ proofs: [backendRecord({ id: 'b' })], pagination: { pages: 2 } }));
+
+      const records = await fetchBackendProofs({ status: 'CONFIRMED' });
+
+      expect(records.map(r => r.id)).toEqual(['a', 'b']);
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+      const [url, init] = (global.fetch as jest.Mock).mock.calls[1];
+      expect(url).toBe('/api/proofs?page=2&limit=100&status=CONFIRMED');
+      expect(init.headers.Authorization).toBe('Bearer token');
+    });
+  });
+
+  describe('revokeManagedProof', () => {
+    const signer = {
+      provider: {},
+      getAddress: jest.fn().mockResolvedValue(WALLET)
+    } as unknown as ethers.Signer;
+
+    const managed = (): ManagedProof => mergeProofs([standardOnChain()], [backendRecord()], NOW)[0];
+
+    beforeEach(() => {
+      localStorage.setItem('pof_access_token', 'token');
+      (global.fetch as jest.Mock).mockResolvedValue(jsonResponse({ message: 'Proof revoked successfully' }));
+    });
+
+    it('should revoke on-chain before revoking in the backend', async () => {
+      mockRevokeProof.mockResolvedValue({ transactionHash: '0xrevoke', status: 'success' });
+
+      const hash = await revokeManagedProof(managed(), signer, 80002, 'No longer needed');
+
+      expect(hash).toBe('0xrevoke');
+      expect(mockRevokeProof).toHaveBeenCalledWith('No longer needed', { waitForConfirmation: true });
+      expect(global.fetch).toHaveBeenCalledWith('/api/proofs/proof-1/revoke', expect.objectContaining({
+        method: 'POST',
+        body: JSON.stringify({ reason: 'No longer needed' })
+      }));
+      expect(mockRevokeProof.mock.invocationCallOrder[0])
+        .toBeLessThan((global.fetch as jest.Mock).mock.invocationCallOrder[0]);
+    });
+
+    it('should revoke only the selected proof of a wallet with several', async () => {
+      mockRevokeProofById.mockResolvedValue({ transactionHash: '0xrevoke', status: 'success' });
+      const proof = mergeProofs([standardOnChain({ id: 3 })], [backendRecord()], NOW)[0];
+
+      await revokeManagedProof(proof, signer, 80002, 'No longer needed');
+
+      expect(mockRevokeProofById).toHaveBeenCalledWith(3, 'No longer needed', { waitForConfirmation: true });
+      expect(mockRevokeProof).not.toHaveBeenCalled();
+    });
+
+    it('should leave the backend untouched when the transaction fails', async () => {
+      mockRevokeProof.mockResolvedValue({ transactionHash: '0xrevoke', status: 'failure' });
+
+      await expect(revokeManagedProof(managed(), signer, 80002)).rejects.toThrow('Revocation transaction failed');
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it('should reject signers other than the proof owner', async () => {
+      const otherSigner = {
+        provider: {},
+        getAddress: jest.fn().mockResolvedValue('0x2222222222222222222222222222222222222222')
+      } as unknown as ethers.Signer;
+
+      await expect(revokeManagedProof(managed(), otherSigner, 80002)).rejects.toThrow('Connect the wallet');
+      expect(mockRevokeProof).not.toHaveBeenCalled();
+    });
+
+    it('should only finish the backend revocation for proofs already revoked on-chain', async () => {
+      const proof = mergeProofs([standardOnChain({ isRevoked: true })], [backendRecord()], NOW)[0];
+
+      const hash = await revokeManagedProof(proof, null, 80002);
+
+      expect(hash).toBeNull();
+      expect(mockRevokeProof).not.toHaveBeenCalled();
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * Proof Template Service Tests
+ */
+import {
+  ProofRequestTemplate,
+  fetchRequestTemplate,
+  getLockedProofSettings,
+  formatPeriod
+} from '../proofTemplateService';
+
+// Mock global fetch
+global.fetch = jest.fn();
+
+const TEMPLATE_ID = '22222222-2222-2222-2222-222222222222';
+
+const template = (overrides: Partial<ProofRequestTemplate> = {}): ProofRequestTemplate => ({
+  id: TEMPLATE_ID,
+  name: 'Tenant screening',
+  organizationName: 'Acme Lettings',
+  proofType: 'THRESHOLD',
+  threshold: '5000',
+  expiryPeriod: 7 * 86400,
+  ...overrides
+});
+
+describe('proofTemplateService', () => {
+  beforeEach(() => {
+    (global.fetch as jest.Mock).mockReset();
+  });
+
+  describe('fetchRequestTemplate', () => {
+    it('loads the template behind a request link', async () => {
+      (global.fetch as jest.Mock).mockResolvedValue({
+        ok: true,
+        status: 200,
+        json: async () => template()
+      });
+
+      const result = await fetchRequestTemplate(TEMPLATE_ID);
+
+      expect(global.fetch).toHaveBeenCalledWith(`/api/templates/${TEMPLATE_ID}`, expect.any(Object));
+      expect(result.name).toBe('Tenant screening');
+    });
+
+    it('reports links to deleted templates', async () => {
+      (global.fetch as jest.Mock).mockResolvedValue({ ok: false, status: 404 });
+
+      await expect(fetchRequestTemplate(TEMPLATE_ID)).rejects.toThrow('no longer valid');
+    });
+  });
+
+  describe('getLockedProofSettings', () => {
+    it('maps standard proof types', () => {
+      expect(getLockedProofSettings(template({ proofType: 'MAXIMUM' }))).toEqual({
+        proofCategory: 'standard',
+        proofType: 'maximum',
+        zkProofType: 'standard',
+        amount: '5000',
+        expirySeconds: 604800
+      });
+    });
+
+    it('maps zero-knowledge templates to the configured circuit', () => {
+      const settings = getLockedProofSettings(template({
+        proofType: 'ZERO_KNOWLEDGE',
+        settings: { zkProofType: 'maximum' }
+      }));
+
+      expect(settings.proofCategory).toBe('zk');
+      expect(settings.zkProofType).toBe('maximum');
+    });
+
+    it('defaults zero-knowledge templates to threshold proofs', () => {
+      const settings = getLockedProofSettings(template({ proofType: 'ZERO_KNOWLEDGE' }));
+
+      expect(settings.zkProofType).toBe('threshold');
+    });
+  });
+
+  describe('formatPeriod', () => {
+    it('uses the largest whole unit', () => {
+      expect(formatPeriod(86400)).toBe('1 day');
+      expect(formatPeriod(7 * 86400)).toBe('7 days');
+      expect(formatPeriod(36 * 3600)).toBe('36 hours');
+      expect(formatPeriod(90)).toBe('90 seconds');
+    });
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * Proof Verification Service Tests
+ */
+import {
+  ReferenceVerificationResponse,
+  ProofVerificationError,
+  isValidReferenceId,
+  buildVerificationLink,
+  parseKeyFragment,
+  verifyProofByReference,
+  toVerificationResult
+} from '../proofVerificationService';
+
+// Mock global fetch
+global.fetch = jest.fn();
+
+const REFERENCE_ID = 'pof-1a2b3c4d';
+const KEY = 'ab'.repeat(32);
+const WALLET = '0x1234567890abcdef1234567890abcdef12345678';
+
+const response = (overrides: Partial<ReferenceVerificationResponse> = {}): ReferenceVerificationResponse => ({
+  success: true,
+  isValid: true,
+  proofType: 'THRESHOLD',
+  createdAt: '2025-01-01T00:00:00.000Z',
+  expiresAt: '2025-02-01T00:00:00.000Z',
+  verificationId: 'verification-1',
+  input: { thresholdAmount: '5000' },
+  batch: null,
+  warningFlags: [],
+  verificationHistory: [
+    { verifiedAt: '2025-01-02T00:00:00.000Z', isSuccessful: true },
+    { verifiedAt: '2025-01-01T12:00:00.000Z', isSuccessful: false }
+  ],
+  issuerAddress: WALLET,
+  ...overrides
+});
+
+describe('proofVerificationService', () => {
+  beforeEach(() => {
+    (global.fetch as jest.Mock).mockReset();
+  });
+
+  describe('verification links', () => {
+    it('keeps the decryption key in the URL fragment', () => {
+      const link = buildVerificationLink('https://example.com', REFERENCE_ID, KEY);
+
+      expect(link).toBe(`https://example.com/verify?ref=${REFERENCE_ID}#key=${KEY}`);
+
+      const url = new URL(link);
+      expect(url.searchParams.get('ref')).toBe(REFERENCE_ID);
+      expect(url.search).not.toContain(KEY);
+      expect(parseKeyFragment(url.hash)).toBe(KEY);
+    });
+
+    it('ignores fragments without a valid key', () => {
+      expect(parseKeyFragment('')).toBeNull();
+      expect(parseKeyFragment('#section')).toBeNull();
+      expect(parseKeyFragment('#key=not-a-key')).toBeNull();
+    });
+
+    it('validates reference IDs', () => {
+      expect(isValidReferenceId(REFERENCE_ID)).toBe(true);
+      expect(isValidReferenceId('short')).toBe(false);
+      expect(isValidReferenceId('../admin/secrets')).toBe(false);
+    });
+  });
+
+  describe('verifyProofByReference', () => {
+    it('posts the decryption key to the verify route', async () => {
+      (global.fetch as jest.Mock).mockResolvedValue({
+        ok: true,
+        status: 200,
+        json: async () => response()
+      });
+
+      const result = await verifyProofByReference(REFERENCE_ID, KEY);
+
+      expect(result.isValid).toBe(true);
+      expect(global.fetch).toHaveBeenCalledWith(`/api/verify/${REFERENCE_ID}`, expect.objectContaining({
+        method: 'POST',
+        body: JSON.stringify({ decryptionKey: KEY })
+      }));
+    });
+
+    it('raises the backend error for revoked proofs', async () => {
+      (global.fetch as jest.Mock).mockResolvedValue({
+        ok: false,
+        status: 400,
+        json: async () => ({
+          error: { code: 'PROOF_REVOKED', message: 'Proof has been revoked', details: null }
+        })
+      });
+
+      const error = await verifyProofByReference(REFERENCE_ID, KEY).catch(e => e);
+
+      expect(error).toBeInstanceOf(ProofVerificationError);
+      expect(error.code).toBe('PROOF_REVOKED');
+      expect(error.status).toBe(400);
+      expect(error.message).toBe('Proof has been revoked');
+    });
+
+    it('falls back to a generic error when the response has no body', async () => {
+      (global.fetch as jest.Mock).mockResolvedValue({
+        ok: false,
+        status: 502,
+        json: async () => { throw new SyntaxError('Unexpected token'); }
+      });
+
+      await expect(verifyProofByReference(REFERENCE_ID, KEY)).rejects.toMatchObject({
+        code: 'VERIFICATION_FAILED',
+        status: 502
+      });
+    });
+  });
+
+  describe('toVerificationResult', () => {
+    it('maps a successful verification with history and warnings', () => {
+      const result = toVerificationResult(response({ warningFlags: ['WALLET_BLACKLISTED:ofac'] }), 120);
+
+      expect(result.verified).toBe(true);
+      expect(result.proofType).toBe('threshold');
+      expect(result.data.wallet).toBe(WALLET);
+      expect(result.data.thresholdAmount).toBe('5000');
+      expect(result.metadata.warningFlags).toEqual(['WALLET_BLACKLISTED:ofac']);
+      expect(result.metadata.verificationHistory).toEqual([
+        { verifiedAt: Date.UTC(2025, 0, 2) / 1000, verified: true },
+        { verifiedAt: Date.UTC(2025, 0, 1, 12) / 1000, verified: false }
+      ]);
+      expect(result.metadata.expiryTime).toBe(Date.UTC(2025, 1, 1) / 1000);
+    });
+
+    it('derives the proof type of zero-knowledge proofs from their inputs', () => {
+      const result = toVerificationResult(response({
+        proofType: 'ZERO_KNOWLEDGE',
+        input: { maximumAmount: '100' }
+      }));
+
+      expect(result.proofType).toBe('maximum');
+      expect(result.data.maximumAmount).toBe('100');
+      expect(result.data.zeroKnowledge).toBe('Yes');
+    });
+
+    it('maps the balance snapshot of historical proofs', () => {
+      const result = toVerificationResult(response({
+        balanceSnapshot: {
+          timestamp: 1759276799,
+          blocks: [
+            { chainId: 1, blockNumber: 23470002, timestamp: 1759276798 },
+            { chainId: 137, blockNumber: 77100000, timestamp: 1759276797 }
+          ]
+        }
+      }));
+
+      expect(result.data.balanceDate).toBe(1759276799);
+      expect(result.data.snapshotBlocks).toBe('23470002 (chain 1), 77100000 (chain 137)');
+    });
+
+    it('reports proofs missing from their batch', () => {
+      const result = toVerificationResult(response({
+        isValid: false,
+        batch: { included: false }
+      }));
+
+      expect(result.verified).toBe(false);
+      expect(result.error?.code).toBe('BATCH_INCLUSION_FAILED');
+    });
+
+    it('reports invalid proofs', () => {
+      const result = toVerificationResult(response({ isValid: false }));
+
+      expect(result.verified).toBe(false);
+      expect(result.error?.code).toBe('PROOF_INVALID');
+    });
+  });
+});
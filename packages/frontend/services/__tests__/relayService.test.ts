@@ -0,0 +1,238 @@
+/**
+ * Relay Service Tests
+ */
+import { ethers } from 'ethers';
+import {
+  ForwarderInfo,
+  RelayTransaction,
+  ZKProofSubmission,
+  encodeZKProofSubmission,
+  signForwardRequest,
+  submitZKProof,
+  waitForRelayTransaction
+} from '../relayService';
+import * as proofEvents from '../proofEventService';
+
+// Mock global fetch
+global.fetch = jest.fn();
+
+// Events are pushed by the tests instead of read from a stream
+jest.mock('../proofEventService', () => {
+  const listeners = new Set<(event: any) => void>();
+  return {
+    listeners,
+    subscribeToProofEvents: jest.fn((listener: (event: any) => void) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    }),
+    isProofEventStreamLive: jest.fn(() => false)
+  };
+});
+
+const pushEvent = (event: any) => (proofEvents as any).listeners.forEach((listener: any) => listener(event));
+
+const TEMP_WALLET_KEY = '0x59c6995e998f97a5a0044966f0945389dc9e86dae88c7a8412f4603b6b78690d';
+const ZK_VERIFIER = '0x5FbDB2315678afecb367f032d93F642f64180aa3';
+const FORWARDER = '0xe7f1725E7734CE288F8367e1Bb143E90bb3F0512';
+
+const FORWARD_REQUEST_TYPES = {
+  ForwardRequest: [
+    { name: 'from', type: 'address' },
+    { name: 'to', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'gas', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' },
+    { name: 'data', type: 'bytes' }
+  ]
+};
+
+const forwarder = (overrides: Partial<ForwarderInfo> = {}): ForwarderInfo => ({
+  chainId: 80002,
+  forwarder: FORWARDER,
+  domain: { name: 'ProofForwarder', version: '1', chainId: 80002, verifyingContract: FORWARDER },
+  types: FORWARD_REQUEST_TYPES,
+  targets: { zkVerifier: ZK_VERIFIER },
+  maxGas: 1500000,
+  nonce: '3',
+  ...overrides
+});
+
+const submission: ZKProofSubmission = {
+  proof: {
+    pi_a: ['1', '2', '1'],
+    pi_b: [['3', '4'], ['5', '6'], ['1', '0']],
+    pi_c: ['7', '8', '1']
+  },
+  publicSignals: ['1'],
+  expiryTime: 1767225600,
+  proofType: 0,
+  signatureMessage: 'I own this wallet',
+  signature: '0x1234'
+};
+
+const transaction = (overrides: Partial<RelayTransaction> = {}): RelayTransaction => ({
+  id: 'relay-1',
+  status: 'SUBMITTED',
+  chainId: 80002,
+  target: ZK_VERIFIER,
+  signer: '0x0000000000000000000000000000000000000001',
+  requestNonce: 3,
+  txHash: '0xabc',
+  replacements: 0,
+  gasPrice: '30000000000',
+  blockNumber: null,
+  gasUsed: null,
+  error: null,
+  createdAt: '2025-01-01T00:00:00.000Z',
+  submittedAt: '2025-01-01T00:00:01.000Z',
+  confirmedAt: null,
+  ...overrides
+});
+
+const jsonResponse = (body: unknown, status = 200) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  json: async () => body
+});
+
+describe('relayService', () => {
+  beforeEach(() => {
+    (global.fetch as jest.Mock).mockReset();
+    localStorage.clear();
+    localStorage.setItem('pof_access_token', 'token');
+  });
+
+  describe('encodeZKProofSubmission', () => {
+    it('encodes a submitZKProof call with the proof points in snarkjs order', () => {
+      const data = encodeZKProofSubmission(submission);
+      const decoded = new ethers.utils.Interface([
+        'function submitZKProof(bytes _proof, bytes _publicSignals, uint256 _expiryTime, uint8 _proofType, string _signatureMessage, bytes _signature)'
+      ]).decodeFunctionData('submitZKProof', data);
+
+      const [proof] = ethers.utils.defaultAbiCoder.decode(['uint256[]'], decoded._proof);
+      const [publicSignals] = ethers.utils.defaultAbiCoder.decode(['uint256[]'], decoded._publicSignals);
+
+      expect(proof.map(String)).toEqual(['1', '2', '3', '4', '5', '6', '7', '8']);
+      expect(publicSignals.map(String)).toEqual(['1']);
+      expect(decoded._expiryTime.toNumber()).toBe(1767225600);
+      expect(decoded._signatureMessage).toBe('I own this wallet');
+    });
+
+    it('refuses balance-commitment proofs, which are verified off-chain only', () => {
+      expect(() => encodeZKProofSubmission({ ...submission, publicSignals: ['1', '2', '3', '4', '5', '6'] }))
+        .toThrow('off-chain only');
+    });
+  });
+
+  describe('signForwardRequest', () => {
+    it('signs a request that recovers to the temporary wallet', async () => {
+      const wallet = new ethers.Wallet(TEMP_WALLET_KEY);
+      const info = forwarder();
+
+      const { request, signature } = await signForwardRequest(wallet, info, { to: ZK_VERIFIER, data: '0x1234' });
+
+      expect(request).toMatchObject({ from: wallet.address, to: ZK_VERIFIER, value: '0', gas: '1000000', nonce: '3' });
+      expect(ethers.utils.verifyTypedData(info.domain, info.types, request, signature)).toBe(wallet.address);
+    });
+
+    it('caps the gas at the relayer maximum', async () => {
+      const wallet = new ethers.Wallet(TEMP_WALLET_KEY);
+
+      const { request } = await signForwardRequest(wallet, forwarder({ maxGas: 400000 }), {
+        to: ZK_VERIFIER,
+        data: '0x'
+      });
+
+      expect(request.gas).toBe('400000');
+    });
+  });
+
+  describe('submitZKProof', () => {
+    it('relays the signed request without sending the private key', async () => {
+      const wallet = new ethers.Wallet(TEMP_WALLET_KEY);
+      (global.fetch as jest.Mock)
+        .mockResolvedValueOnce(jsonResponse(forwarder()))
+        .mockResolvedValueOnce(jsonResponse({ success: true, transaction: transaction() }, 202));
+
+      const result = await submitZKProof(wallet, submission);
+
+      expect(result.id).toBe('relay-1');
+      expect((global.fetch as jest.Mock).mock.calls[0][0]).toBe(
+        `/api/relay/forwarder?from=${encodeURIComponent(wallet.address)}`
+      );
+
+      const [url, init] = (global.fetch as jest.Mock).mock.calls[1];
+      const body = JSON.parse(init.body);
+      expect(url).toBe('/api/zk/submitProof');
+      expect(init.headers.Authorization).toBe('Bearer token');
+      expect(init.headers['X-Request-Nonce']).toMatch(/^[0-9a-f]{32}$/);
+      expect(Number(init.headers['X-Request-Timestamp'])).toBeLessThanOrEqual(Date.now());
+      expect(body.request).toMatchObject({ from: wallet.address, to: ZK_VERIFIER });
+      expect(init.body).not.toContain(TEMP_WALLET_KEY.slice(2));
+    });
+
+    it('fails when the relayer has no ZK verifier target', async () => {
+      (global.fetch as jest.Mock).mockResolvedValueOnce(jsonResponse(forwarder({ targets: {} })));
+
+      await expect(submitZKProof(new ethers.Wallet(TEMP_WALLET_KEY), submission))
+        .rejects.toThrow('ZK verifier contract is not configured for relaying');
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('surfaces relayer errors', async () => {
+      (global.fetch as jest.Mock)
+        .mockResolvedValueOnce(jsonResponse(forwarder()))
+        .mockResolvedValueOnce(jsonResponse({ error: { message: 'Daily relay quota exceeded' } }, 429));
+
+      await expect(submitZKProof(new ethers.Wallet(TEMP_WALLET_KEY), submission))
+        .rejects.toThrow('Daily relay quota exceeded');
+    });
+  });
+
+  describe('waitForRelayTransaction', () => {
+    it('polls until the submission is confirmed', async () => {
+      (global.fetch as jest.Mock)
+        .mockResolvedValueOnce(jsonResponse({ transaction: transaction() }))
+        .mockResolvedValueOnce(jsonResponse({ transaction: transaction({ status: 'CONFIRMED', blockNumber: 12 }) }));
+
+      const result = await waitForRelayTransaction('relay-1', { intervalMs: 1 });
+
+      expect(result.blockNumber).toBe(12);
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('throws the error of a failed submission', async () => {
+      (global.fetch as jest.Mock).mockResolvedValueOnce(
+        jsonResponse({ transaction: transaction({ status: 'FAILED', error: 'Transaction reverted' }) })
+      );
+
+      await expect(waitForRelayTransaction('relay-1', { intervalMs: 1 })).rejects.toThrow('Transaction reverted');
+    });
+
+    it('takes the outcome from the event stream while it is live', async () => {
+      (proofEvents.isProofEventStreamLive as jest.Mock).mockReturnValue(true);
+      (global.fetch as jest.Mock).mockResolvedValueOnce(jsonResponse({ transaction: transaction() }));
+
+      const waiting = waitForRelayTransaction('relay-1', { intervalMs: 1, liveIntervalMs: 60000 });
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      pushEvent({ type: 'transaction.confirmed', data: { transaction: transaction({ id: 'relay-2', status: 'CONFIRMED' }) } });
+      pushEvent({ type: 'transaction.confirmed', data: { transaction: transaction({ status: 'CONFIRMED', blockNumber: 15 }) } });
+
+      const result = await waiting;
+
+      expect(result.blockNumber).toBe(15);
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect((proofEvents as any).listeners.size).toBe(0);
+      (proofEvents.isProofEventStreamLive as jest.Mock).mockReturnValue(false);
+    });
+
+    it('gives up after the timeout', async () => {
+      (global.fetch as jest.Mock).mockResolvedValue(jsonResponse({ transaction: transaction() }));
+
+      await expect(waitForRelayTransaction('relay-1', { intervalMs: 5, timeoutMs: 1 }))
+        .rejects.toThrow('Timed out waiting for the proof submission to be mined');
+    });
+  });
+});
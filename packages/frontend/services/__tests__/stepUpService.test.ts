@@ -0,0 +1,117 @@
+/**
+ * Step-Up Service Tests
+ */
+import { fetchWithStepUp, requestStepUpToken, setStepUpCodePrompt } from '../stepUpService';
+import { isPasskeySupported, stepUpWithPasskey } from '../passkeyService';
+import { revokeBackendProof } from '../proofManagementService';
+
+jest.mock('../passkeyService', () => ({
+  STEP_UP_TOKEN_HEADER: 'X-Step-Up-Token',
+  isPasskeySupported: jest.fn(),
+  stepUpWithPasskey: jest.fn()
+}));
+
+jest.mock('@proof-of-funds/contracts/src/contracts', () => ({
+  ProofOfFundsContract: jest.fn(),
+  ZKVerifierContract: jest.fn(),
+  ProofType: {}
+}));
+
+// Mock global fetch
+global.fetch = jest.fn();
+
+const jsonResponse = (body: any, status = 200) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  json: async () => body
+});
+
+const mockIsPasskeySupported = isPasskeySupported as jest.Mock;
+const mockStepUpWithPasskey = stepUpWithPasskey as jest.Mock;
+
+describe('stepUpService', () => {
+  const codePrompt = jest.fn();
+
+  beforeEach(() => {
+    (global.fetch as jest.Mock).mockReset();
+    mockIsPasskeySupported.mockReset().mockReturnValue(false);
+    mockStepUpWithPasskey.mockReset();
+    codePrompt.mockReset();
+    setStepUpCodePrompt(codePrompt);
+    localStorage.setItem('pof_access_token', 'token');
+  });
+
+  afterAll(() => {
+    setStepUpCodePrompt(null);
+  });
+
+  it('steps up with a passkey when the browser supports it', async () => {
+    mockIsPasskeySupported.mockReturnValue(true);
+    mockStepUpWithPasskey.mockResolvedValue({ stepUpToken: 'passkey-step-up', expiresAt: '2026-01-01T00:00:00Z' });
+
+    const result = await requestStepUpToken();
+
+    expect(result.stepUpToken).toBe('passkey-step-up');
+    expect(codePrompt).not.toHaveBeenCalled();
+  });
+
+  it('asks for a code when no passkey can be used', async () => {
+    mockIsPasskeySupported.mockReturnValue(true);
+    mockStepUpWithPasskey.mockRejectedValue(new Error('No passkeys are registered for this account'));
+    codePrompt.mockResolvedValue(' 123456 ');
+    (global.fetch as jest.Mock).mockResolvedValueOnce(jsonResponse({
+      success: true,
+      stepUpToken: 'code-step-up',
+      expiresAt: '2026-01-01T00:00:00Z'
+    }));
+    jest.spyOn(console, 'warn').mockImplementation(() => undefined);
+
+    const result = await requestStepUpToken();
+
+    expect(result.stepUpToken).toBe('code-step-up');
+    const [url, init] = (global.fetch as jest.Mock).mock.calls[0];
+    expect(url).toBe('/api/user/2fa/step-up');
+    expect(init.headers.Authorization).toBe('Bearer token');
+    expect(JSON.parse(init.body)).toEqual({ token: '123456' });
+  });
+
+  it('reports a cancelled code prompt', async () => {
+    codePrompt.mockResolvedValue(null);
+
+    await expect(requestStepUpToken()).rejects.toThrow('cancelled');
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  it('retries a request with the step-up token when the API asks for it', async () => {
+    codePrompt.mockResolvedValue('123456');
+    (global.fetch as jest.Mock)
+      .mockResolvedValueOnce(jsonResponse({ success: false, requiresTwoFactor: true }, 403))
+      .mockResolvedValueOnce(jsonResponse({ success: true, stepUpToken: 'step-up', expiresAt: '2026-01-01T00:00:00Z' }))
+      .mockResolvedValueOnce(jsonResponse({ success: true, message: 'Proof revoked successfully' }));
+
+    await revokeBackendProof('proof-1', 'No longer needed');
+
+    const calls = (global.fetch as jest.Mock).mock.calls;
+    expect(calls.map(([url]) => url)).toEqual([
+      '/api/proofs/proof-1/revoke',
+      '/api/user/2fa/step-up',
+      '/api/proofs/proof-1/revoke'
+    ]);
+    expect(calls[0][1].headers['X-Step-Up-Token']).toBeUndefined();
+    expect(calls[2][1].headers['X-Step-Up-Token']).toBe('step-up');
+    expect(calls[2][1].headers.Authorization).toBe('Bearer token');
+    expect(JSON.parse(calls[2][1].body)).toEqual({ reason: 'No longer needed' });
+  });
+
+  it('does not step up for other forbidden responses', async () => {
+    (global.fetch as jest.Mock).mockResolvedValueOnce(jsonResponse({
+      success: false,
+      error: { message: 'Insufficient permissions' }
+    }, 403));
+
+    await expect(fetchWithStepUp('/api/audit-logs/export', { method: 'POST', headers: {} }, 'Failed'))
+      .rejects.toThrow('Insufficient permissions');
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(codePrompt).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * Audit Log Export Service
+ *
+ * Client-side helper for exporting audit logs. Exporting is a sensitive
+ * action: users with 2FA enabled are asked to verify a second factor before
+ * the request is sent again.
+ */
+import { fetchWithStepUp } from './stepUpService';
+
+/**
+ * Filters and format of an audit log export
+ */
+export interface AuditLogExportParams {
+  startDate?: string;
+  endDate?: string;
+  eventType?: string;
+  actorId?: string;
+  format?: 'json' | 'csv';
+}
+
+/**
+ * Export as returned by POST /api/audit-logs/export
+ */
+export interface AuditLogExport {
+  filename: string;
+  url: string;                  // Signed download URL
+  expiresAt: string;
+}
+
+/**
+ * Get auth headers for API requests
+ */
+function getAuthHeaders(): Record<string, string> {
+  const token = localStorage.getItem('pof_access_token');
+
+  if (!token) {
+    throw new Error('Not authenticated');
+  }
+
+  return {
+    'Authorization': `Bearer ${token}`,
+    'Content-Type': 'application/json'
+  };
+}
+
+/**
+ * Export audit logs matching the given filters
+ *
+ * @param params - Filters and file format
+ * @returns Download link for the export
+ */
+export async function exportAuditLogs(params: AuditLogExportParams = {}): Promise<AuditLogExport> {
+  const data = await fetchWithStepUp('/api/audit-logs/export', {
+    method: 'POST',
+    headers: getAuthHeaders(),
+    body: JSON.stringify(params)
+  }, 'Failed to export audit logs');
+
+  return { filename: data.filename, url: data.url, expiresAt: data.expiresAt };
+}
+
+export default {
+  exportAuditLogs
+};
@@ -0,0 +1,58 @@
+/**
+ * Organization API Key Service
+ *
+ * Client-side helpers for an organization's API key. Rotating the key is a
+ * sensitive action: users with 2FA enabled are asked to verify a second
+ * factor before the request is sent again.
+ */
+import { fetchWithStepUp } from './stepUpService';
+
+/**
+ * New API key as returned by POST /api/organizations/:organizationId/api-key
+ */
+export interface RotatedApiKey {
+  apiKey: string;               // Only returned once
+  apiKeyPrefix: string;
+  createdAt: string;
+  warning?: string;
+}
+
+/**
+ * Get auth headers for API requests
+ */
+function getAuthHeaders(): Record<string, string> {
+  const token = localStorage.getItem('pof_access_token');
+
+  if (!token) {
+    throw new Error('Not authenticated');
+  }
+
+  return {
+    'Authorization': `Bearer ${token}`,
+    'Content-Type': 'application/json'
+  };
+}
+
+/**
+ * Generate a new API key for an organization, replacing the current one
+ *
+ * @param organizationId - Organization to rotate the key of
+ * @returns The new key, which cannot be read again later
+ */
+export async function rotateOrganizationApiKey(organizationId: string): Promise<RotatedApiKey> {
+  const data = await fetchWithStepUp(`/api/organizations/${encodeURIComponent(organizationId)}/api-key`, {
+    method: 'POST',
+    headers: getAuthHeaders()
+  }, 'Failed to rotate API key');
+
+  return {
+    apiKey: data.apiKey,
+    apiKeyPrefix: data.apiKeyPrefix,
+    createdAt: data.createdAt,
+    warning: data.warning
+  };
+}
+
+export default {
+  rotateOrganizationApiKey
+};
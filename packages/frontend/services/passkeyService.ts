@@ -0,0 +1,347 @@
+/**
+ * Passkey Service
+ *
+ * Client-side service for WebAuthn passkeys. It runs the browser side of
+ * registration and assertion ceremonies against /api/user/auth/passkeys,
+ * converting between the base64url JSON the API uses and the ArrayBuffers
+ * navigator.credentials works with, and manages the user's passkeys.
+ */
+
+const PASSKEYS_API = '/api/user/auth/passkeys';
+
+// Header carrying a step-up token to sensitive endpoints
+export const STEP_UP_TOKEN_HEADER = 'X-Step-Up-Token';
+
+/**
+ * Passkey as returned by the API
+ */
+export interface Passkey {
+  id: string;
+  name: string;
+  transports: string[];
+  aaguid: string | null;
+  backupEligible: boolean;
+  backedUp: boolean;
+  createdAt: string;
+  lastUsedAt: string | null;
+}
+
+/**
+ * Result of a passkey login, as returned by the API
+ */
+export interface PasskeyLoginResult {
+  token: string;
+  refreshToken: string;
+  user: {
+    id: string;
+    email: string | null;
+    address: string | null;
+    permissions: string[];
+  };
+}
+
+/**
+ * Step-up token for a sensitive action
+ */
+export interface StepUpToken {
+  stepUpToken: string;
+  expiresAt: string;
+}
+
+/**
+ * Encode bytes as base64url
+ */
+export function toBase64Url(buffer: ArrayBuffer): string {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decode base64url to bytes
+ */
+export function fromBase64Url(value: string): ArrayBuffer {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64.padEnd(base64.length + ((4 - (base64.length % 4)) % 4), '='));
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes.buffer;
+}
+
+/**
+ * Check whether this browser supports passkeys
+ */
+export function isPasskeySupported(): boolean {
+  return typeof window !== 'undefined'
+    && typeof window.PublicKeyCredential !== 'undefined'
+    && typeof navigator !== 'undefined'
+    && Boolean(navigator.credentials);
+}
+
+/**
+ * Get auth headers for API requests
+ */
+function getAuthHeaders(): Record<string, string> {
+  const token = localStorage.getItem('pof_access_token');
+
+  if (!token) {
+    throw new Error('Not authenticated');
+  }
+
+  return {
+    'Authorization': `Bearer ${token}`,
+    'Content-Type': 'application/json'
+  };
+}
+
+/**
+ * Read the error message of a failed API response
+ */
+async function getErrorMessage(response: Response, fallback: string): Promise<string> {
+  const data = await response.json().catch(() => ({}));
+  return data.error?.message || data.message || fallback;
+}
+
+/**
+ * Call a passkey endpoint and return its JSON body
+ */
+async function request(
+  path: string,
+  init: RequestInit,
+  fallback: string
+): Promise<any> {
+  const response = await fetch(`${PASSKEYS_API}${path}`, init);
+
+  if (!response.ok) {
+    throw new Error(await getErrorMessage(response, fallback));
+  }
+
+  return response.json();
+}
+
+/**
+ * Turn credential descriptors from the API into ones navigator.credentials accepts
+ */
+function toDescriptors(credentials: Array<{ id: string; transports?: string[] }> = []): PublicKeyCredentialDescriptor[] {
+  return credentials.map(credential => ({
+    type: 'public-key',
+    id: fromBase64Url(credential.id),
+    transports: credential.transports as AuthenticatorTransport[]
+  }));
+}
+
+/**
+ * Run an assertion ceremony for options from the API
+ */
+async function getAssertion(options: Record<string, any>): Promise<Record<string, any>> {
+  const credential = await navigator.credentials.get({
+    publicKey: {
+      challenge: fromBase64Url(options.challenge),
+      rpId: options.rpId,
+      timeout: options.timeout,
+      userVerification: options.userVerification,
+      allowCredentials: toDescriptors(options.allowCredentials)
+    }
+  }) as PublicKeyCredential | null;
+
+  if (!credential) {
+    throw new Error('Passkey request was cancelled');
+  }
+
+  const response = credential.response as AuthenticatorAssertionResponse;
+
+  return {
+    id: credential.id,
+    rawId: toBase64Url(credential.rawId),
+    type: credential.type,
+    response: {
+      clientDataJSON: toBase64Url(response.clientDataJSON),
+      authenticatorData: toBase64Url(response.authenticatorData),
+      signature: toBase64Url(response.signature),
+      userHandle: response.userHandle ? toBase64Url(response.userHandle) : undefined
+    },
+    clientExtensionResults: credential.getClientExtensionResults()
+  };
+}
+
+/**
+ * Register a passkey on this device for the signed-in user
+ *
+ * Adding a passkey is a sensitive action: when the API asks for a second
+ * factor, the user verifies one first and the step-up token is sent with both
+ * the options and the verify request.
+ *
+ * @param name - Name to show in the passkey list
+ * @returns The registered passkey
+ */
+export async function registerPasskey(name?: string): Promise<Passkey> {
+  let headers = getAuthHeaders();
+  const optionsUrl = `${PASSKEYS_API}/register/options`;
+  let optionsResponse = await fetch(optionsUrl, { method: 'POST', headers });
+
+  if (optionsResponse.status === 403) {
+    const data = await optionsResponse.json().catch(() => ({}));
+    if (!data.requiresTwoFactor) {
+      throw new Error(data.error?.message || data.message || 'Failed to start passkey registration');
+    }
+
+    // Loaded lazily as the step-up service itself builds on this module
+    const { requestStepUpToken } = await import('./stepUpService');
+    const { stepUpToken } = await requestStepUpToken();
+    headers = { ...headers, [STEP_UP_TOKEN_HEADER]: stepUpToken };
+    optionsResponse = await fetch(optionsUrl, { method: 'POST', headers });
+  }
+
+  if (!optionsResponse.ok) {
+    throw new Error(await getErrorMessage(optionsResponse, 'Failed to start passkey registration'));
+  }
+
+  const { options } = await optionsResponse.json();
+
+  const credential = await navigator.credentials.create({
+    publicKey: {
+      challenge: fromBase64Url(options.challenge),
+      rp: options.rp,
+      user: {
+        id: fromBase64Url(options.user.id),
+        name: options.user.name,
+        displayName: options.user.displayName
+      },
+      pubKeyCredParams: options.pubKeyCredParams,
+      timeout: options.timeout,
+      attestation: options.attestation,
+      authenticatorSelection: options.authenticatorSelection,
+      excludeCredentials: toDescriptors(options.excludeCredentials)
+    }
+  }) as PublicKeyCredential | null;
+
+  if (!credential) {
+    throw new Error('Passkey registration was cancelled');
+  }
+
+  const response = credential.response as AuthenticatorAttestationResponse;
+  const data = await request('/register/verify', {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({
+      response: {
+        id: credential.id,
+        rawId: toBase64Url(credential.rawId),
+        type: credential.type,
+        response: {
+          clientDataJSON: toBase64Url(response.clientDataJSON),
+          attestationObject: toBase64Url(response.attestationObject),
+          transports: typeof response.getTransports === 'function' ? response.getTransports() : []
+        },
+        clientExtensionResults: credential.getClientExtensionResults()
+      },
+      ...(name ? { name } : {})
+    })
+  }, 'Failed to register passkey');
+
+  return data.passkey as Passkey;
+}
+
+/**
+ * Log in with a passkey of this site
+ *
+ * @returns Access and refresh tokens and the user
+ */
+export async function loginWithPasskey(): Promise<PasskeyLoginResult> {
+  const headers = { 'Content-Type': 'application/json' };
+  const { options } = await request('/login/options', { method: 'POST', headers }, 'Failed to start passkey login');
+  const assertion = await getAssertion(options);
+
+  const data = await request('/login/verify', {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({ response: assertion })
+  }, 'Passkey login failed');
+
+  return { token: data.token, refreshToken: data.refreshToken, user: data.user };
+}
+
+/**
+ * Verify a passkey of the signed-in user for a sensitive action
+ *
+ * @returns Step-up token to send in the X-Step-Up-Token header
+ */
+export async function stepUpWithPasskey(): Promise<StepUpToken> {
+  const headers = getAuthHeaders();
+  const { options } = await request('/step-up/options', { method: 'POST', headers }, 'Failed to start passkey verification');
+  const assertion = await getAssertion(options);
+
+  const data = await request('/step-up/verify', {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({ response: assertion })
+  }, 'Passkey verification failed');
+
+  return { stepUpToken: data.stepUpToken, expiresAt: data.expiresAt };
+}
+
+/**
+ * List the signed-in user's passkeys
+ */
+export async function listPasskeys(): Promise<Passkey[]> {
+  const data = await request('', { method: 'GET', headers: getAuthHeaders() }, 'Failed to load passkeys');
+  return data.passkeys as Passkey[];
+}
+
+/**
+ * Rename a passkey
+ */
+export async function renamePasskey(passkeyId: string, name: string): Promise<Passkey> {
+  const data = await request(`/${encodeURIComponent(passkeyId)}`, {
+    method: 'PATCH',
+    headers: getAuthHeaders(),
+    body: JSON.stringify({ name })
+  }, 'Failed to rename passkey');
+
+  return data.passkey as Passkey;
+}
+
+/**
+ * Remove a passkey
+ *
+ * Removing a passkey is a sensitive action: when the API asks for a second
+ * factor, the user is asked to verify with one of their passkeys first.
+ */
+export async function deletePasskey(passkeyId: string): Promise<void> {
+  const url = `${PASSKEYS_API}/${encodeURIComponent(passkeyId)}`;
+  let response = await fetch(url, { method: 'DELETE', headers: getAuthHeaders() });
+
+  if (response.status === 403) {
+    const data = await response.json().catch(() => ({}));
+    if (!data.requiresTwoFactor) {
+      throw new Error(data.error?.message || data.message || 'Failed to remove passkey');
+    }
+
+    const { stepUpToken } = await stepUpWithPasskey();
+    response = await fetch(url, {
+      method: 'DELETE',
+      headers: { ...getAuthHeaders(), [STEP_UP_TOKEN_HEADER]: stepUpToken }
+    });
+  }
+
+  if (!response.ok) {
+    throw new Error(await getErrorMessage(response, 'Failed to remove passkey'));
+  }
+}
+
+const passkeyService = {
+  isPasskeySupported,
+  registerPasskey,
+  loginWithPasskey,
+  stepUpWithPasskey,
+  listPasskeys,
+  renamePasskey,
+  deletePasskey
+};
+
+export default passkeyService;
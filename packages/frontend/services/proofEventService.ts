@@ -0,0 +1,269 @@
+/**
+ * Proof Event Service
+ *
+ * Receives the backend's proof events over Server-Sent Events: proof job
+ * progress, relayed transaction confirmations and proof status changes.
+ * The stream is read with fetch rather than EventSource so the access token
+ * can be sent in the Authorization header.
+ *
+ * One connection is shared by every subscriber and reconnected with backoff
+ * when it drops. Events are not replayed after a reconnect, and while the
+ * stream is not live subscribers should poll the state they follow instead.
+ */
+
+export type ProofEventType =
+  | 'job.progress'
+  | 'job.completed'
+  | 'job.failed'
+  | 'job.cancelled'
+  | 'transaction.confirmed'
+  | 'transaction.failed'
+  | 'proof.submitted'
+  | 'proof.confirmed'
+  | 'proof.failed'
+  | 'proof.verified'
+  | 'proof.revoked'
+  | 'proof.expired';
+
+/**
+ * Event as sent by the API
+ */
+export interface ProofEvent {
+  id: string;
+  type: ProofEventType;
+  userId: string;
+  createdAt: string;
+  data: Record<string, any>;
+}
+
+export type ProofEventListener = (event: ProofEvent) => void;
+
+/**
+ * Message of a Server-Sent Events stream
+ */
+export interface StreamMessage {
+  event: string;
+  data: string;
+  id?: string;
+}
+
+const INITIAL_RETRY_DELAY = 1000; // 1 second
+const MAX_RETRY_DELAY = 60000; // 1 minute
+
+const listeners = new Set<ProofEventListener>();
+const connectionListeners = new Set<(live: boolean) => void>();
+let live = false;
+let controller: AbortController | null = null;
+let retryTimer: ReturnType<typeof setTimeout> | null = null;
+let retryDelay = INITIAL_RETRY_DELAY;
+
+/**
+ * Split buffered stream text into complete messages
+ *
+ * @param buffer - Text received so far
+ * @returns The complete messages and the text of the incomplete one
+ */
+export function parseEventStream(buffer: string): { messages: StreamMessage[]; rest: string } {
+  const blocks = buffer.replace(/\r\n?/g, '\n').split('\n\n');
+  const rest = blocks.pop() || '';
+  const messages: StreamMessage[] = [];
+
+  for (const block of blocks) {
+    const message: StreamMessage = { event: 'message', data: '' };
+    const data: string[] = [];
+
+    for (const line of block.split('\n')) {
+      // Lines starting with a colon are comments, sent to keep the connection open
+      if (!line || line.startsWith(':')) {
+        continue;
+      }
+
+      const separator = line.indexOf(':');
+      const field = separator === -1 ? line : line.slice(0, separator);
+      const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+
+      if (field === 'event') {
+        message.event = value;
+      } else if (field === 'data') {
+        data.push(value);
+      } else if (field === 'id') {
+        message.id = value;
+      }
+    }
+
+    if (data.length > 0) {
+      message.data = data.join('\n');
+      messages.push(message);
+    }
+  }
+
+  return { messages, rest };
+}
+
+/**
+ * Read the event stream until it ends
+ *
+ * @param onEvent - Called with each proof event
+ * @param onReady - Called once the stream is open, with whether it carries events from every API instance
+ * @param signal - Aborts the request
+ * @throws Error if the stream cannot be opened
+ */
+export async function readProofEvents(
+  onEvent: ProofEventListener,
+  onReady: (crossInstance: boolean) => void,
+  signal?: AbortSignal
+): Promise<void> {
+  const token = localStorage.getItem('pof_access_token');
+
+  if (!token) {
+    throw new Error('Not authenticated');
+  }
+
+  const response = await fetch('/api/proofs/events', {
+    method: 'GET',
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      'Accept': 'text/event-stream'
+    },
+    signal
+  });
+
+  if (!response.ok || !response.body) {
+    throw new Error(`Failed to open proof event stream (${response.status})`);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) {
+      return;
+    }
+
+    const parsed = parseEventStream(buffer + decoder.decode(value, { stream: true }));
+    buffer = parsed.rest;
+
+    for (const message of parsed.messages) {
+      try {
+        const data = JSON.parse(message.data);
+        if (message.event === 'ready') {
+          onReady(Boolean(data.crossInstance));
+        } else {
+          onEvent(data);
+        }
+      } catch (error) {
+        console.error('Ignoring malformed proof event:', error);
+      }
+    }
+  }
+}
+
+function setLive(value: boolean): void {
+  if (live !== value) {
+    live = value;
+    connectionListeners.forEach(listener => listener(value));
+  }
+}
+
+/**
+ * Open the shared connection while anyone is subscribed
+ */
+function connect(): void {
+  if (controller || retryTimer || listeners.size === 0) {
+    return;
+  }
+
+  const current = new AbortController();
+  controller = current;
+
+  readProofEvents(
+    event => listeners.forEach(listener => listener(event)),
+    crossInstance => {
+      retryDelay = INITIAL_RETRY_DELAY;
+      setLive(crossInstance);
+    },
+    current.signal
+  )
+    .catch(error => {
+      if (!current.signal.aborted) {
+        console.warn('Proof event stream closed:', error.message);
+      }
+    })
+    .finally(() => {
+      if (controller !== current) {
+        return;
+      }
+      controller = null;
+      setLive(false);
+
+      if (listeners.size > 0) {
+        retryTimer = setTimeout(() => {
+          retryTimer = null;
+          connect();
+        }, retryDelay);
+        retryDelay = Math.min(retryDelay * 2, MAX_RETRY_DELAY);
+      }
+    });
+}
+
+/**
+ * Close the shared connection
+ */
+function disconnect(): void {
+  if (retryTimer) {
+    clearTimeout(retryTimer);
+    retryTimer = null;
+  }
+
+  const current = controller;
+  controller = null;
+  current?.abort();
+  retryDelay = INITIAL_RETRY_DELAY;
+  setLive(false);
+}
+
+/**
+ * Receive the user's proof events, opening the stream if needed
+ *
+ * @returns Function that ends the subscription
+ */
+export function subscribeToProofEvents(listener: ProofEventListener): () => void {
+  listeners.add(listener);
+  connect();
+
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size === 0) {
+      disconnect();
+    }
+  };
+}
+
+/**
+ * Whether the stream is open and carries every event of the user
+ */
+export function isProofEventStreamLive(): boolean {
+  return live;
+}
+
+/**
+ * Be told when the stream becomes live or stops being live
+ *
+ * @returns Function that removes the listener
+ */
+export function onProofEventStreamChange(listener: (live: boolean) => void): () => void {
+  connectionListeners.add(listener);
+  return () => {
+    connectionListeners.delete(listener);
+  };
+}
+
+export default {
+  parseEventStream,
+  readProofEvents,
+  subscribeToProofEvents,
+  isProofEventStreamLive,
+  onProofEventStreamChange
+};
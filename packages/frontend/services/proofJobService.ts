@@ -0,0 +1,218 @@
+/**
+ * Proof Job Service
+ *
+ * Queues proofs for generation by the backend's proving workers and reads
+ * job progress. Jobs are mapped to the props of the BackgroundProcessor and
+ * ZKProgressIndicator components.
+ */
+
+import type { BackgroundOperation, OperationStatus } from '../components/BackgroundProcessor';
+
+export type ProofJobStatus = 'QUEUED' | 'RUNNING' | 'COMPLETED' | 'FAILED' | 'CANCELLED';
+export type ProofJobStage = 'init' | 'witness' | 'proof' | 'complete';
+
+/**
+ * Proof generation job as returned by the API
+ */
+export interface ProofJob {
+  id: string;
+  status: ProofJobStatus;
+  stage: ProofJobStage;
+  progress: number;
+  proofType: string;
+  referenceId: string;
+  proofId: string | null;
+  expiresAt: string;
+  error: { code: string; message: string } | null;
+  createdAt: string;
+  startedAt: string | null;
+  completedAt: string | null;
+}
+
+/**
+ * Proof generation request
+ */
+export interface ProofJobRequest {
+  proofType: 'STANDARD' | 'THRESHOLD' | 'MAXIMUM' | 'ZERO_KNOWLEDGE';
+  input: Record<string, unknown>;
+  templateId?: string;
+}
+
+/**
+ * Response of POST /api/proofs
+ */
+export interface QueuedProof {
+  jobId: string;
+  status: ProofJobStatus;
+  referenceId: string;
+  expiresAt: string;
+  proofType: string;
+  decryptionKey: string;
+}
+
+const OPERATION_STATUS: Record<ProofJobStatus, OperationStatus> = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'canceled'
+};
+
+const STAGE_DESCRIPTIONS: Record<ProofJobStage, string> = {
+  init: 'Waiting for a proving worker',
+  witness: 'Calculating witness',
+  proof: 'Generating proof',
+  complete: 'Proof generated'
+};
+
+/**
+ * Build the authorization headers for backend requests
+ */
+function getAuthHeaders(): Record<string, string> {
+  const token = localStorage.getItem('pof_access_token');
+
+  if (!token) {
+    throw new Error('Not authenticated');
+  }
+
+  return {
+    'Authorization': `Bearer ${token}`,
+    'Content-Type': 'application/json'
+  };
+}
+
+/**
+ * Read the error message of a failed backend response
+ */
+async function getErrorMessage(response: Response, fallback: string): Promise<string> {
+  const data = await response.json().catch(() => ({}));
+  return data.error?.message || data.message || fallback;
+}
+
+/**
+ * Check whether a job may still change
+ */
+export function isJobActive(job: ProofJob): boolean {
+  return job.status === 'QUEUED' || job.status === 'RUNNING';
+}
+
+/**
+ * Queue a proof for generation
+ *
+ * @param request - Proof type, input and optional template
+ * @returns The queued job and the key that will decrypt the proof
+ */
+export async function queueProof(request: ProofJobRequest): Promise<QueuedProof> {
+  const response = await fetch('/api/proofs', {
+    method: 'POST',
+    headers: getAuthHeaders(),
+    body: JSON.stringify(request)
+  });
+
+  if (!response.ok) {
+    throw new Error(await getErrorMessage(response, 'Failed to queue proof'));
+  }
+
+  return response.json();
+}
+
+/**
+ * Get the status and progress of a job
+ */
+export async function fetchProofJob(jobId: string): Promise<ProofJob> {
+  const response = await fetch(`/api/proofs/jobs/${encodeURIComponent(jobId)}`, {
+    method: 'GET',
+    headers: getAuthHeaders()
+  });
+
+  if (!response.ok) {
+    throw new Error(await getErrorMessage(response, 'Failed to fetch proof job'));
+  }
+
+  const data = await response.json();
+  return data.job;
+}
+
+/**
+ * Cancel a queued or running job
+ */
+export async function cancelProofJob(jobId: string): Promise<ProofJob> {
+  const response = await fetch(`/api/proofs/jobs/${encodeURIComponent(jobId)}`, {
+    method: 'DELETE',
+    headers: getAuthHeaders()
+  });
+
+  if (!response.ok) {
+    throw new Error(await getErrorMessage(response, 'Failed to cancel proof job'));
+  }
+
+  const data = await response.json();
+  return data.job;
+}
+
+/**
+ * Estimate the seconds left on a running job from its progress so far
+ *
+ * @param job - Running job
+ * @param now - Current time in milliseconds
+ * @returns Seconds remaining, or undefined until there is enough progress to estimate
+ */
+export function estimateTimeRemaining(job: ProofJob, now: number = Date.now()): number | undefined {
+  if (job.status !== 'RUNNING' || !job.startedAt || job.progress <= 0 || job.progress >= 100) {
+    return undefined;
+  }
+
+  const elapsed = (now - new Date(job.startedAt).getTime()) / 1000;
+  return Math.max(0, (elapsed * (100 - job.progress)) / job.progress);
+}
+
+/**
+ * Map a job to a BackgroundProcessor operation
+ */
+export function toBackgroundOperation(job: ProofJob, now: number = Date.now()): BackgroundOperation {
+  return {
+    id: job.id,
+    name: `${job.proofType.charAt(0)}${job.proofType.slice(1).toLowerCase().replace('_', ' ')} proof`,
+    type: 'proof_generation',
+    status: OPERATION_STATUS[job.status],
+    progress: job.progress,
+    startTime: new Date(job.startedAt || job.createdAt),
+    endTime: job.completedAt ? new Date(job.completedAt) : undefined,
+    estimatedTimeRemaining: estimateTimeRemaining(job, now),
+    error: job.error?.message,
+    result: job.proofId ? { proofId: job.proofId, referenceId: job.referenceId } : undefined,
+    canPause: false,
+    canCancel: isJobActive(job)
+  };
+}
+
+/**
+ * Map a job to ZKProgressIndicator props
+ */
+export function toProgressIndicatorProps(job: ProofJob, now: number = Date.now()) {
+  let status = STAGE_DESCRIPTIONS[job.stage] || 'Generating proof';
+  if (job.status === 'FAILED') {
+    status = `Proof generation failed: ${job.error?.message || 'unknown error'}`;
+  } else if (job.status === 'CANCELLED') {
+    status = 'Proof generation cancelled';
+  }
+
+  return {
+    progress: job.progress,
+    status,
+    step: job.stage,
+    timeRemaining: estimateTimeRemaining(job, now),
+    isCancellable: isJobActive(job),
+    operationId: job.id
+  };
+}
+
+export default {
+  queueProof,
+  fetchProofJob,
+  cancelProofJob,
+  isJobActive,
+  estimateTimeRemaining,
+  toBackgroundOperation,
+  toProgressIndicatorProps
+};
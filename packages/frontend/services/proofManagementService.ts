@@ -0,0 +1,390 @@
+/**
+ * Proof Management Service
+ *
+ * Client-side service behind the proof management page. It reads the proofs a
+ * wallet has stored in the ProofOfFunds and ZKVerifier contracts, merges them
+ * with the user's proof records from the backend API (status, reference ID and
+ * verification count) and revokes proofs both on-chain and in the backend.
+ */
+import { ethers } from 'ethers';
+import {
+  ProofOfFundsContract,
+  ZKVerifierContract,
+  ProofType as ContractProofType,
+  OnChainProof,
+  OnChainZKProof
+} from '@proof-of-funds/contracts/src/contracts';
+import { fetchWithStepUp } from './stepUpService';
+
+export type ManagedProofType = 'STANDARD' | 'THRESHOLD' | 'MAXIMUM' | 'ZERO_KNOWLEDGE';
+
+export type ManagedProofStatus = 'PENDING' | 'SUBMITTED' | 'CONFIRMED' | 'FAILED' | 'EXPIRED' | 'REVOKED';
+
+/**
+ * Proof record as returned by GET /api/proofs
+ */
+export interface BackendProofRecord {
+  id: string;
+  referenceId: string;
+  createdAt: string;
+  expiresAt: string;
+  proofType: ManagedProofType;
+  status: ManagedProofStatus;
+  isRevoked: boolean;
+  revokedAt?: string | null;
+  warningFlags: string[];
+  originalWallets: string[];
+  transactionHash?: string | null;
+  verificationCount?: number;
+}
+
+/**
+ * On-chain proof of a wallet, tagged with the contract storing it
+ */
+export type OnChainRecord =
+  | { contract: 'ProofOfFunds'; proof: OnChainProof }
+  | { contract: 'ZKVerifier'; proof: OnChainZKProof };
+
+/**
+ * Proof as shown on the management page
+ */
+export interface ManagedProof {
+  key: string;
+  proofType: ManagedProofType;
+  status: ManagedProofStatus;
+  createdAt: number;              // Milliseconds since epoch
+  expiresAt: number | null;       // Milliseconds since epoch, null when the proof never expires
+  walletAddress: string | null;
+  contract: 'ProofOfFunds' | 'ZKVerifier' | null;  // Contract storing the proof, if any
+  chainProofId: number | null;    // ProofOfFunds proof ID, null for contracts storing one proof per wallet
+  backendId: string | null;       // Backend proof ID, if the proof is known to the API
+  referenceId: string | null;
+  thresholdAmount: string | null;
+  signatureMessage: string | null;
+  transactionHash: string | null;
+  verificationCount: number;
+  warningFlags: string[];
+  chainRevoked: boolean | null;   // Null when the proof is not stored on-chain
+  backendRevoked: boolean | null; // Null when the proof is not known to the API
+  isRevoked: boolean;             // Revoked everywhere the proof is stored
+}
+
+/**
+ * Filters applied to the proof list
+ */
+export interface ProofFilters {
+  status?: ManagedProofStatus | 'ALL';
+  type?: ManagedProofType | 'ALL';
+}
+
+const CONTRACT_PROOF_TYPES: Record<ContractProofType, ManagedProofType> = {
+  [ContractProofType.Standard]: 'STANDARD',
+  [ContractProofType.Threshold]: 'THRESHOLD',
+  [ContractProofType.Maximum]: 'MAXIMUM'
+};
+
+/**
+ * Build the authorization headers for backend requests
+ */
+function getAuthHeaders(): Record<string, string> {
+  const token = localStorage.getItem('pof_access_token');
+
+  if (!token) {
+    throw new Error('Not authenticated');
+  }
+
+  return {
+    'Authorization': `Bearer ${token}`,
+    'Content-Type': 'application/json'
+  };
+}
+
+/**
+ * Get the user's proof records from the backend
+ *
+ * @param filters - Optional status and type filters applied by the API
+ * @returns Proof records, newest first
+ */
+export async function fetchBackendProofs(filters: ProofFilters = {}): Promise<BackendProofRecord[]> {
+  const headers = getAuthHeaders();
+  const records: BackendProofRecord[] = [];
+  let page = 1;
+  let pages = 1;
+
+  do {
+    const params = new URLSearchParams({ page: String(page), limit: '100' });
+    if (filters.status && filters.status !== 'ALL') {
+      params.set('status', filters.status);
+    }
+    if (filters.type && filters.type !== 'ALL') {
+      params.set('type', filters.type);
+    }
+
+    const response = await fetch(`/api/proofs?${params.toString()}`, {
+      method: 'GET',
+      headers
+    });
+
+    if (!response.ok) {
+      throw new Error('Failed to fetch proofs');
+    }
+
+    const data = await response.json();
+    records.push(...(data.proofs || []));
+    pages = data.pagination?.pages || 1;
+    page++;
+  } while (page <= pages);
+
+  return records;
+}
+
+/**
+ * Revoke a proof in the backend
+ *
+ * Revoking is a sensitive action: users with 2FA enabled are asked to verify
+ * a second factor before the request is sent again.
+ *
+ * @param proofId - Backend proof ID
+ * @param reason - Optional revocation reason
+ */
+export async function revokeBackendProof(proofId: string, reason?: string): Promise<void> {
+  await fetchWithStepUp(`/api/proofs/${encodeURIComponent(proofId)}/revoke`, {
+    method: 'POST',
+    headers: getAuthHeaders(),
+    body: JSON.stringify(reason ? { reason } : {})
+  }, 'Failed to revoke proof');
+}
+
+/**
+ * Read the proofs a wallet has stored on-chain
+ *
+ * @param provider - Provider for the network the contracts are deployed on
+ * @param chainId - Chain ID of that network
+ * @param walletAddress - Wallet to read proofs for
+ * @returns All of the wallet's ProofOfFunds proofs and its ZKVerifier proof
+ */
+export async function fetchOnChainProofs(
+  provider: ethers.providers.Provider,
+  chainId: number,
+  walletAddress: string
+): Promise<OnChainRecord[]> {
+  const proofOfFunds = new ProofOfFundsContract(provider, null, chainId);
+  const zkVerifier = new ZKVerifierContract(provider, null, chainId);
+
+  const [proofs, zkProof] = await Promise.all([
+    proofOfFunds.getUserProofs(walletAddress),
+    zkVerifier.getZKProof(walletAddress)
+  ]);
+
+  const records: OnChainRecord[] = proofs.map(proof => ({ contract: 'ProofOfFunds' as const, proof }));
+  if (zkProof) {
+    records.push({ contract: 'ZKVerifier', proof: zkProof });
+  }
+  return records;
+}
+
+/**
+ * Derive the status of an on-chain proof
+ */
+function getOnChainStatus(record: OnChainRecord, now: number): ManagedProofStatus {
+  if (record.proof.isRevoked) {
+    return 'REVOKED';
+  }
+  if (record.proof.expiryTime > 0 && record.proof.expiryTime * 1000 <= now) {
+    return 'EXPIRED';
+  }
+  return 'CONFIRMED';
+}
+
+/**
+ * Merge on-chain proofs with backend records
+ *
+ * An on-chain proof is matched to the newest unmatched backend record of the same
+ * type that covers the proof's wallet. The contract's revocation and expiry take
+ * precedence over the backend status, which may lag behind the chain.
+ *
+ * @param onChain - On-chain proofs of the connected wallet
+ * @param records - Backend proof records
+ * @param now - Current time in milliseconds
+ * @returns Proofs for display, newest first
+ */
+export function mergeProofs(
+  onChain: OnChainRecord[],
+  records: BackendProofRecord[],
+  now: number = Date.now()
+): ManagedProof[] {
+  const unmatched = [...records].sort(
+    (a, b) => new Date(b.createdAt).getTime() - new Date(a.createdAt).getTime()
+  );
+  const proofs: ManagedProof[] = [];
+
+  // Newest on-chain proofs claim the newest backend records
+  const byNewest = [...onChain].sort((a, b) => b.proof.timestamp - a.proof.timestamp);
+
+  for (const record of byNewest) {
+    const { proof } = record;
+    const proofType: ManagedProofType = record.contract === 'ZKVerifier'
+      ? 'ZERO_KNOWLEDGE'
+      : CONTRACT_PROOF_TYPES[proof.proofType] || 'STANDARD';
+    const wallet = proof.user.toLowerCase();
+
+    const index = unmatched.findIndex(candidate =>
+      candidate.proofType === proofType &&
+      candidate.originalWallets.some(address => address.toLowerCase() === wallet)
+    );
+    const backend = index === -1 ? null : unmatched.splice(index, 1)[0];
+
+    const chainStatus = getOnChainStatus(record, now);
+    const backendRevoked = backend ? backend.isRevoked : null;
+    let status = chainStatus;
+    if (chainStatus === 'CONFIRMED' && backend) {
+      status = backend.status;
+    }
+
+    const chainProofId = record.contract === 'ProofOfFunds' && record.proof.id ? record.proof.id : null;
+
+    proofs.push({
+      key: backend ? backend.id : `${record.contract}-${chainProofId ?? wallet}`,
+      proofType,
+      status,
+      createdAt: proof.timestamp * 1000,
+      expiresAt: proof.expiryTime > 0 ? proof.expiryTime * 1000 : null,
+      walletAddress: proof.user,
+      contract: record.contract,
+      chainProofId,
+      backendId: backend ? backend.id : null,
+      referenceId: backend ? backend.referenceId : null,
+      thresholdAmount: record.contract === 'ProofOfFunds' ? record.proof.thresholdAmount.toString() : null,
+      signatureMessage: proof.signatureMessage || null,
+      transactionHash: backend?.transactionHash || null,
+      verificationCount: backend?.verificationCount || 0,
+      warningFlags: backend?.warningFlags || [],
+      chainRevoked: proof.isRevoked,
+      backendRevoked,
+      isRevoked: proof.isRevoked && backendRevoked !== false
+    });
+  }
+
+  for (const backend of unmatched) {
+    const expiresAt = new Date(backend.expiresAt).getTime();
+    const expired = !backend.isRevoked && expiresAt <= now && backend.status !== 'FAILED';
+
+    proofs.push({
+      key: backend.id,
+      proofType: backend.proofType,
+      status: expired ? 'EXPIRED' : backend.status,
+      createdAt: new Date(backend.createdAt).getTime(),
+      expiresAt,
+      walletAddress: backend.originalWallets[0] || null,
+      contract: null,
+      chainProofId: null,
+      backendId: backend.id,
+      referenceId: backend.referenceId,
+      thresholdAmount: null,
+      signatureMessage: null,
+      transactionHash: backend.transactionHash || null,
+      verificationCount: backend.verificationCount || 0,
+      warningFlags: backend.warningFlags || [],
+      chainRevoked: null,
+      backendRevoked: backend.isRevoked,
+      isRevoked: backend.isRevoked
+    });
+  }
+
+  return proofs.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Apply status and type filters to a proof list
+ *
+ * @param proofs - Proofs to filter
+ * @param filters - Status and type to keep; 'ALL' or undefined keeps everything
+ * @returns Matching proofs
+ */
+export function filterProofs(proofs: ManagedProof[], filters: ProofFilters): ManagedProof[] {
+  return proofs.filter(proof =>
+    (!filters.status || filters.status === 'ALL' || proof.status === filters.status) &&
+    (!filters.type || filters.type === 'ALL' || proof.proofType === filters.type)
+  );
+}
+
+/**
+ * Whether a proof can still be revoked
+ *
+ * Proofs revoked in only one place (for example when the backend request failed
+ * after the transaction) can be revoked again to finish the revocation.
+ */
+export function canRevoke(proof: ManagedProof): boolean {
+  return !proof.isRevoked && proof.status !== 'EXPIRED' && proof.status !== 'FAILED';
+}
+
+/**
+ * Revoke a proof on-chain and in the backend
+ *
+ * The on-chain revocation runs first so that a rejected transaction leaves the
+ * backend untouched; the backend record is then marked as revoked. Parts that
+ * are already revoked are skipped.
+ *
+ * @param proof - Proof to revoke
+ * @param signer - Signer of the wallet that submitted the proof
+ * @param chainId - Chain ID of the network the contracts are deployed on
+ * @param reason - Optional revocation reason
+ * @returns Hash of the revocation transaction, if one was sent
+ */
+export async function revokeManagedProof(
+  proof: ManagedProof,
+  signer: ethers.Signer | null,
+  chainId: number,
+  reason: string = 'Revoked by owner'
+): Promise<string | null> {
+  if (!canRevoke(proof)) {
+    throw new Error('Proof can no longer be revoked');
+  }
+
+  let transactionHash: string | null = null;
+
+  if (proof.contract && !proof.chainRevoked) {
+    if (!signer || !signer.provider) {
+      throw new Error('Connect the wallet that submitted this proof to revoke it');
+    }
+
+    const signerAddress = await signer.getAddress();
+    if (proof.walletAddress && signerAddress.toLowerCase() !== proof.walletAddress.toLowerCase()) {
+      throw new Error('Connect the wallet that submitted this proof to revoke it');
+    }
+
+    const options = { waitForConfirmation: true };
+    let result;
+    if (proof.contract === 'ProofOfFunds') {
+      const proofOfFunds = new ProofOfFundsContract(signer.provider, signer, chainId);
+      result = proof.chainProofId
+        ? await proofOfFunds.revokeProofById(proof.chainProofId, reason, options)
+        : await proofOfFunds.revokeProof(reason, options);
+    } else {
+      result = await new ZKVerifierContract(signer.provider, signer, chainId).revokeZKProof(reason, options);
+    }
+
+    // Receipts report 'success'/'failure' once confirmed
+    const status: unknown = result.status;
+    if (status === false || status === 'failure') {
+      throw new Error('Revocation transaction failed');
+    }
+    transactionHash = result.transactionHash;
+  }
+
+  if (proof.backendId && !proof.backendRevoked) {
+    await revokeBackendProof(proof.backendId, reason);
+  }
+
+  return transactionHash;
+}
+
+export default {
+  fetchBackendProofs,
+  fetchOnChainProofs,
+  mergeProofs,
+  filterProofs,
+  canRevoke,
+  revokeBackendProof,
+  revokeManagedProof
+};
@@ -0,0 +1,135 @@
+/**
+ * Proof Template Service
+ *
+ * Client-side helpers for proof request links. An organization shares a link
+ * to the create page with a template ID (`/create?template=<id>`); the page
+ * loads the template from the backend and locks the proof type, threshold and
+ * expiry to the template's values.
+ */
+
+export type TemplateProofType = 'STANDARD' | 'THRESHOLD' | 'MAXIMUM' | 'ZERO_KNOWLEDGE';
+
+type CreateProofType = 'standard' | 'threshold' | 'maximum';
+
+/**
+ * Template as returned by GET /api/templates/:templateId
+ */
+export interface ProofRequestTemplate {
+  id: string;
+  name: string;
+  description?: string | null;
+  organizationName?: string;
+  proofType: TemplateProofType;
+  threshold: string;
+  expiryPeriod: number;                      // Seconds
+  minVerificationInterval?: number | null;   // Seconds
+  categoryTags?: string[];
+  settings?: Record<string, any>;
+}
+
+/**
+ * Create page settings fixed by a template
+ */
+export interface LockedProofSettings {
+  proofCategory: 'standard' | 'zk';
+  proofType: CreateProofType;
+  zkProofType: CreateProofType;
+  amount: string;
+  expirySeconds: number;
+}
+
+const PROOF_TYPE_SETTINGS: Record<Exclude<TemplateProofType, 'ZERO_KNOWLEDGE'>, CreateProofType> = {
+  STANDARD: 'standard',
+  THRESHOLD: 'threshold',
+  MAXIMUM: 'maximum'
+};
+
+const CREATE_PROOF_TYPES: CreateProofType[] = ['standard', 'threshold', 'maximum'];
+
+/**
+ * Fetch the template behind a proof request link
+ *
+ * @param templateId - Template ID from the link
+ * @returns The template
+ * @throws Error if the template does not exist or was deleted
+ */
+export async function fetchRequestTemplate(templateId: string): Promise<ProofRequestTemplate> {
+  const response = await fetch(`/api/templates/${encodeURIComponent(templateId)}`, {
+    method: 'GET',
+    headers: { 'Content-Type': 'application/json' }
+  });
+
+  if (response.status === 404) {
+    throw new Error('This proof request link is no longer valid');
+  }
+
+  if (!response.ok) {
+    throw new Error('Failed to load the proof request');
+  }
+
+  return response.json();
+}
+
+/**
+ * Map a template to the create page settings it locks. Zero-knowledge
+ * templates pick the ZK circuit with `settings.zkProofType` (default threshold).
+ *
+ * @param template - Proof request template
+ * @returns Settings to apply on the create page
+ */
+export function getLockedProofSettings(template: ProofRequestTemplate): LockedProofSettings {
+  if (template.proofType === 'ZERO_KNOWLEDGE') {
+    const zkProofType = CREATE_PROOF_TYPES.includes(template.settings?.zkProofType)
+      ? template.settings!.zkProofType
+      : 'threshold';
+
+    return {
+      proofCategory: 'zk',
+      proofType: 'standard',
+      zkProofType,
+      amount: template.threshold,
+      expirySeconds: template.expiryPeriod
+    };
+  }
+
+  const proofType = PROOF_TYPE_SETTINGS[template.proofType];
+  if (!proofType) {
+    throw new Error(`Unsupported template proof type: ${template.proofType}`);
+  }
+
+  return {
+    proofCategory: 'standard',
+    proofType,
+    zkProofType: 'standard',
+    amount: template.threshold,
+    expirySeconds: template.expiryPeriod
+  };
+}
+
+/**
+ * Format a period in seconds for display, e.g. "7 days" or "12 hours"
+ *
+ * @param seconds - Period in seconds
+ */
+export function formatPeriod(seconds: number): string {
+  const units: Array<[string, number]> = [
+    ['day', 86400],
+    ['hour', 3600],
+    ['minute', 60]
+  ];
+
+  for (const [unit, size] of units) {
+    if (seconds >= size && seconds % size === 0) {
+      const count = seconds / size;
+      return `${count} ${unit}${count === 1 ? '' : 's'}`;
+    }
+  }
+
+  return `${seconds} seconds`;
+}
+
+export default {
+  fetchRequestTemplate,
+  getLockedProofSettings,
+  formatPeriod
+};
@@ -0,0 +1,200 @@
+/**
+ * Proof Verification Service
+ *
+ * Verifies proofs by reference ID. Proof owners share a verification link
+ * (`/verify?ref=<referenceId>#key=<decryptionKey>`); the decryption key is
+ * kept in the URL fragment so it is never sent to a server in the page
+ * request, only in the verification call itself.
+ */
+
+import {
+  VerificationResult,
+  VerificationResultFormatter,
+  ProofType
+} from './VerificationResultFormatter';
+
+/**
+ * Response of POST /api/verify/:referenceId
+ */
+export interface ReferenceVerificationResponse {
+  success: boolean;
+  isValid: boolean;
+  proofType: 'STANDARD' | 'THRESHOLD' | 'MAXIMUM' | 'ZERO_KNOWLEDGE';
+  createdAt: string;
+  expiresAt: string;
+  verificationId: string;
+  input?: Record<string, any>;
+  batch?: { included: boolean; [key: string]: any } | null;
+  warningFlags?: string[];
+  balanceSnapshot?: {
+    timestamp: number;
+    blocks: Array<{ chainId: number; blockNumber: number; timestamp: number }>;
+  } | null;
+  verificationHistory?: Array<{ verifiedAt: string; isSuccessful: boolean }>;
+  issuerAddress: string;
+}
+
+/**
+ * Error raised when the backend rejects a verification
+ */
+export class ProofVerificationError extends Error {
+  code: string;
+  status: number;
+
+  constructor(message: string, code: string, status: number) {
+    super(message);
+    this.name = 'ProofVerificationError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const REFERENCE_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+const DECRYPTION_KEY_PATTERN = /^[0-9a-f]{64}$/i;
+
+const formatter = new VerificationResultFormatter();
+
+/**
+ * Check whether a string looks like a proof reference ID
+ */
+export function isValidReferenceId(referenceId: string): boolean {
+  return REFERENCE_ID_PATTERN.test(referenceId);
+}
+
+/**
+ * Check whether a string is a 32-byte hex decryption key
+ */
+export function isValidDecryptionKey(key: string): boolean {
+  return DECRYPTION_KEY_PATTERN.test(key);
+}
+
+/**
+ * Build the link a proof owner shares with verifiers
+ *
+ * @param origin - Site origin, e.g. `window.location.origin`
+ * @param referenceId - Proof reference ID
+ * @param decryptionKey - Hex decryption key returned when the proof was created
+ * @returns Verification link with the key in the URL fragment
+ */
+export function buildVerificationLink(origin: string, referenceId: string, decryptionKey: string): string {
+  return `${origin}/verify?ref=${encodeURIComponent(referenceId)}#key=${decryptionKey}`;
+}
+
+/**
+ * Read the decryption key from a URL fragment such as `#key=<hex>`
+ *
+ * @param hash - `window.location.hash`
+ * @returns The key, or null if the fragment has no valid key
+ */
+export function parseKeyFragment(hash: string): string | null {
+  const key = new URLSearchParams(hash.replace(/^#/, '')).get('key');
+  return key && isValidDecryptionKey(key) ? key : null;
+}
+
+/**
+ * Verify a proof by reference ID. Every call is recorded by the backend in
+ * the proof's verification history.
+ *
+ * @param referenceId - Proof reference ID
+ * @param decryptionKey - Hex decryption key
+ * @returns Backend verification response
+ * @throws ProofVerificationError if the proof is missing, revoked, expired or invalid
+ */
+export async function verifyProofByReference(
+  referenceId: string,
+  decryptionKey: string
+): Promise<ReferenceVerificationResponse> {
+  const response = await fetch(`/api/verify/${encodeURIComponent(referenceId)}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ decryptionKey })
+  });
+
+  const body = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const error = body.error || {};
+    throw new ProofVerificationError(
+      error.details?.message || error.message || body.message || 'Proof verification failed',
+      error.code || 'VERIFICATION_FAILED',
+      response.status
+    );
+  }
+
+  return body;
+}
+
+/**
+ * Convert a backend verification response to a standard verification result
+ *
+ * @param response - Backend verification response
+ * @param verificationTime - Time taken to verify in milliseconds
+ * @returns Verification result for VerificationResultFormatter.formatForUI
+ */
+export function toVerificationResult(
+  response: ReferenceVerificationResponse,
+  verificationTime?: number
+): VerificationResult {
+  const toUnix = (date: string) => Math.floor(new Date(date).getTime() / 1000);
+  const input = response.input || {};
+  const thresholdAmount = input.thresholdAmount ?? input.threshold;
+  const maximumAmount = input.maximumAmount ?? input.maximum;
+
+  // Zero-knowledge proofs take their type from the public inputs
+  let proofType: ProofType;
+  if (response.proofType === 'ZERO_KNOWLEDGE') {
+    proofType = maximumAmount !== undefined ? 'maximum' : thresholdAmount !== undefined ? 'threshold' : 'standard';
+  } else {
+    proofType = response.proofType.toLowerCase() as ProofType;
+  }
+
+  const data = {
+    wallet: response.issuerAddress,
+    thresholdAmount,
+    maximumAmount,
+    zeroKnowledge: response.proofType === 'ZERO_KNOWLEDGE' ? 'Yes' : undefined,
+    // Historical proofs are of the balance as of a past date, read at these blocks
+    balanceDate: response.balanceSnapshot?.timestamp,
+    snapshotBlocks: response.balanceSnapshot?.blocks
+      .map(block => `${block.blockNumber} (chain ${block.chainId})`)
+      .join(', ')
+  };
+
+  const metadata = {
+    createdBy: response.issuerAddress,
+    createdAt: toUnix(response.createdAt),
+    expiryTime: toUnix(response.expiresAt),
+    verificationId: response.verificationId,
+    warningFlags: response.warningFlags || [],
+    verificationHistory: (response.verificationHistory || []).map(entry => ({
+      verifiedAt: toUnix(entry.verifiedAt),
+      verified: entry.isSuccessful
+    }))
+  };
+
+  if (response.isValid) {
+    return formatter.formatSuccess(proofType, data, metadata, verificationTime);
+  }
+
+  const notInBatch = response.batch && !response.batch.included;
+  return formatter.formatFailure(
+    proofType,
+    notInBatch ? 'BATCH_INCLUSION_FAILED' : 'PROOF_INVALID',
+    notInBatch
+      ? 'The proof is not included in its anchored batch'
+      : 'The proof did not pass cryptographic verification',
+    data,
+    {},
+    metadata,
+    verificationTime
+  );
+}
+
+export default {
+  isValidReferenceId,
+  isValidDecryptionKey,
+  buildVerificationLink,
+  parseKeyFragment,
+  verifyProofByReference,
+  toVerificationResult
+};
@@ -0,0 +1,317 @@
+/**
+ * Relay Service
+ *
+ * Submits proofs through the platform relayer. The temporary wallet signs an
+ * EIP-712 ForwardRequest in the browser and only the request and signature
+ * are sent; the relayer pays the gas and submits the request through the
+ * trusted forwarder, so the proof is recorded for the temporary wallet.
+ */
+
+import { ethers } from 'ethers';
+import { ProofEvent, subscribeToProofEvents, isProofEventStreamLive } from './proofEventService';
+import { getRequestNonceHeaders } from '../utils/requestNonce';
+
+export type RelayTransactionStatus = 'PENDING' | 'SUBMITTED' | 'CONFIRMED' | 'FAILED';
+
+/**
+ * Relayed submission as returned by the API
+ */
+export interface RelayTransaction {
+  id: string;
+  status: RelayTransactionStatus;
+  chainId: number;
+  target: string;
+  signer: string;
+  requestNonce: number;
+  txHash: string | null;
+  replacements: number;
+  gasPrice: string;
+  blockNumber: number | null;
+  gasUsed: string | null;
+  error: string | null;
+  createdAt: string;
+  submittedAt: string | null;
+  confirmedAt: string | null;
+}
+
+/**
+ * Forwarder details for signing requests
+ */
+export interface ForwarderInfo {
+  chainId: number;
+  forwarder: string;
+  domain: ethers.TypedDataDomain;
+  types: Record<string, ethers.TypedDataField[]>;
+  targets: { zkVerifier?: string; proofOfFunds?: string };
+  maxGas: number;
+  nonce?: string;
+}
+
+/**
+ * ForwardRequest as signed by the temporary wallet
+ */
+export interface ForwardRequest {
+  from: string;
+  to: string;
+  value: string;
+  gas: string;
+  nonce: string;
+  deadline: string;
+  data: string;
+}
+
+/**
+ * ZK proof submission for ZKVerifier.submitZKProof
+ */
+export interface ZKProofSubmission {
+  proof: { pi_a: string[]; pi_b: string[][]; pi_c: string[] };
+  publicSignals: string[];
+  expiryTime: number;
+  proofType: number;
+  signatureMessage: string;
+  signature: string;
+}
+
+/**
+ * Wallet that signs requests; an ethers v5 Wallet created from the temporary key
+ */
+export interface RequestSigner {
+  address: string;
+  _signTypedData(
+    domain: ethers.TypedDataDomain,
+    types: Record<string, ethers.TypedDataField[]>,
+    value: Record<string, unknown>
+  ): Promise<string>;
+}
+
+const ZK_VERIFIER_INTERFACE = new ethers.utils.Interface([
+  'function submitZKProof(bytes _proof, bytes _publicSignals, uint256 _expiryTime, uint8 _proofType, string _signatureMessage, bytes _signature)'
+]);
+
+// ZKVerifier verifies the v1 circuits, which expose only their `valid` output.
+// Balance-commitment (v2) proofs have more public signals and are verified off-chain only.
+const ZK_VERIFIER_PUBLIC_SIGNALS = 1;
+
+// Gas forwarded to the proof contract; covers Groth16 verification and storage
+const DEFAULT_REQUEST_GAS = 1000000;
+
+// How long the relayer has to get a request mined
+const DEFAULT_DEADLINE_SECONDS = 30 * 60;
+
+/**
+ * Build the authorization headers for backend requests
+ */
+function getAuthHeaders(): Record<string, string> {
+  const token = localStorage.getItem('pof_access_token');
+
+  if (!token) {
+    throw new Error('Not authenticated');
+  }
+
+  return {
+    'Authorization': `Bearer ${token}`,
+    'Content-Type': 'application/json'
+  };
+}
+
+/**
+ * Read the error message of a failed backend response
+ */
+async function getErrorMessage(response: Response, fallback: string): Promise<string> {
+  const data = await response.json().catch(() => ({}));
+  return data.error?.message || data.message || fallback;
+}
+
+/**
+ * Get the forwarder, its EIP-712 domain and the next nonce of a signer
+ */
+export async function fetchForwarder(from: string): Promise<ForwarderInfo> {
+  const response = await fetch(`/api/relay/forwarder?from=${encodeURIComponent(from)}`, {
+    method: 'GET',
+    headers: getAuthHeaders()
+  });
+
+  if (!response.ok) {
+    throw new Error(await getErrorMessage(response, 'Failed to fetch relay forwarder'));
+  }
+
+  return response.json();
+}
+
+/**
+ * Encode a ZKVerifier.submitZKProof call, with the proof points in snarkjs order
+ */
+export function encodeZKProofSubmission(submission: ZKProofSubmission): string {
+  const { proof, publicSignals } = submission;
+
+  if (publicSignals.length !== ZK_VERIFIER_PUBLIC_SIGNALS) {
+    throw new Error('Balance-commitment proofs are verified off-chain only and cannot be submitted to the ZK verifier contract');
+  }
+
+  const proofArray = [
+    proof.pi_a[0], proof.pi_a[1],
+    proof.pi_b[0][0], proof.pi_b[0][1], proof.pi_b[1][0], proof.pi_b[1][1],
+    proof.pi_c[0], proof.pi_c[1]
+  ];
+
+  return ZK_VERIFIER_INTERFACE.encodeFunctionData('submitZKProof', [
+    ethers.utils.defaultAbiCoder.encode(['uint256[]'], [proofArray]),
+    ethers.utils.defaultAbiCoder.encode(['uint256[]'], [publicSignals]),
+    submission.expiryTime,
+    submission.proofType,
+    submission.signatureMessage,
+    submission.signature
+  ]);
+}
+
+/**
+ * Sign a ForwardRequest calling a proof contract
+ *
+ * @param wallet - Temporary wallet the call is made for
+ * @param forwarder - Forwarder details, including the wallet's nonce
+ * @param call - Contract and call data
+ */
+export async function signForwardRequest(
+  wallet: RequestSigner,
+  forwarder: ForwarderInfo,
+  call: { to: string; data: string; gas?: number; deadlineSeconds?: number }
+): Promise<{ request: ForwardRequest; signature: string }> {
+  const request: ForwardRequest = {
+    from: wallet.address,
+    to: call.to,
+    value: '0',
+    gas: String(Math.min(call.gas ?? DEFAULT_REQUEST_GAS, forwarder.maxGas)),
+    nonce: forwarder.nonce ?? '0',
+    deadline: String(Math.floor(Date.now() / 1000) + (call.deadlineSeconds ?? DEFAULT_DEADLINE_SECONDS)),
+    data: call.data
+  };
+
+  const signature = await wallet._signTypedData(forwarder.domain, forwarder.types, { ...request });
+
+  return { request, signature };
+}
+
+/**
+ * Send a signed request to the relayer
+ */
+export async function relayRequest(request: ForwardRequest, signature: string): Promise<RelayTransaction> {
+  const response = await fetch('/api/zk/submitProof', {
+    method: 'POST',
+    headers: { ...getAuthHeaders(), ...getRequestNonceHeaders() },
+    body: JSON.stringify({ request, signature })
+  });
+
+  if (!response.ok) {
+    throw new Error(await getErrorMessage(response, 'Failed to relay proof submission'));
+  }
+
+  const data = await response.json();
+  return data.transaction;
+}
+
+/**
+ * Get the status of a relayed submission
+ */
+export async function fetchRelayTransaction(transactionId: string): Promise<RelayTransaction> {
+  const response = await fetch(`/api/relay/transactions/${encodeURIComponent(transactionId)}`, {
+    method: 'GET',
+    headers: getAuthHeaders()
+  });
+
+  if (!response.ok) {
+    throw new Error(await getErrorMessage(response, 'Failed to fetch relay transaction'));
+  }
+
+  const data = await response.json();
+  return data.transaction;
+}
+
+/**
+ * Wait until a relayed submission is confirmed or has failed
+ *
+ * The outcome is taken from the proof event stream when it arrives there;
+ * the submission is also polled, every `intervalMs` while the stream is not
+ * live and every `liveIntervalMs` as a safety net while it is.
+ *
+ * @throws Error if the submission failed or is not mined before the timeout
+ */
+export async function waitForRelayTransaction(
+  transactionId: string,
+  options: { intervalMs?: number; liveIntervalMs?: number; timeoutMs?: number } = {}
+): Promise<RelayTransaction> {
+  const { intervalMs = 3000, liveIntervalMs = 30000, timeoutMs = 5 * 60 * 1000 } = options;
+  const deadline = Date.now() + timeoutMs;
+
+  let pushed: RelayTransaction | null = null;
+  let wake: (() => void) | null = null;
+  const unsubscribe = subscribeToProofEvents((event: ProofEvent) => {
+    if (event.type.startsWith('transaction.') && event.data.transaction?.id === transactionId) {
+      pushed = event.data.transaction;
+      wake?.();
+    }
+  });
+
+  try {
+    for (;;) {
+      const transaction: RelayTransaction = pushed || await fetchRelayTransaction(transactionId);
+
+      if (transaction.status === 'FAILED') {
+        throw new Error(transaction.error || 'Relayed proof submission failed');
+      }
+
+      if (transaction.status === 'CONFIRMED') {
+        return transaction;
+      }
+
+      const remaining = deadline - Date.now();
+      if (remaining < intervalMs) {
+        throw new Error('Timed out waiting for the proof submission to be mined');
+      }
+
+      const delay = isProofEventStreamLive() ? Math.min(liveIntervalMs, remaining) : intervalMs;
+
+      await new Promise<void>(resolve => {
+        const timer = setTimeout(resolve, delay);
+        wake = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+      });
+      wake = null;
+    }
+  } finally {
+    unsubscribe();
+  }
+}
+
+/**
+ * Sign a ZK proof submission with the temporary wallet and relay it
+ *
+ * @param wallet - Temporary wallet the proof is recorded for
+ * @param submission - Proof, public signals and proof details
+ * @returns The relayed submission
+ */
+export async function submitZKProof(wallet: RequestSigner, submission: ZKProofSubmission): Promise<RelayTransaction> {
+  const forwarder = await fetchForwarder(wallet.address);
+
+  if (!forwarder.targets.zkVerifier) {
+    throw new Error('ZK verifier contract is not configured for relaying');
+  }
+
+  const { request, signature } = await signForwardRequest(wallet, forwarder, {
+    to: forwarder.targets.zkVerifier,
+    data: encodeZKProofSubmission(submission)
+  });
+
+  return relayRequest(request, signature);
+}
+
+export default {
+  fetchForwarder,
+  encodeZKProofSubmission,
+  signForwardRequest,
+  relayRequest,
+  fetchRelayTransaction,
+  waitForRelayTransaction,
+  submitZKProof
+};
@@ -460,6 +460,292 @@ export async function getWalletAuthHistory(
   }
 }
 
+/**
+ * Scheduled job run
+ */
+export interface ScheduledJobRun {
+  id: string;
+  job: string;
+  instanceId: string;
+  status: 'RUNNING' | 'SUCCEEDED' | 'FAILED';
+  result: Record<string, number> | null;
+  error: string | null;
+  startedAt: string;
+  finishedAt: string | null;
+  durationMs: number | null;
+}
+
+/**
+ * Scheduler leader and the state of each job
+ */
+export interface SchedulerStatus {
+  leader: { holderId: string; expiresAt: string } | null;
+  jobs: Array<{
+    name: string;
+    intervalMs: number;
+    lastRun: ScheduledJobRun | null;
+    nextRunAt: string | null;
+  }>;
+}
+
+/**
+ * Get the scheduler leader and the last run of each job
+ * 
+ * @returns Scheduler status
+ */
+export async function getSchedulerStatus(): Promise<SchedulerStatus> {
+  try {
+    // Get token from local storage
+    const token = localStorage.getItem('pof_access_token');
+    
+    if (!token) {
+      throw new Error('Not authenticated');
+    }
+    
+    const response = await fetch('/api/security-dashboard/scheduler', {
+      method: 'GET',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      }
+    });
+    
+    if (!response.ok) {
+      throw new Error('Failed to fetch scheduler status');
+    }
+    
+    const data = await response.json();
+    
+    return data as SchedulerStatus;
+  } catch (error) {
+    console.error('Error fetching scheduler status:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get recent scheduled job runs
+ * 
+ * @param job - Only return runs of this job
+ * @param limit - Maximum number of runs to return
+ * @returns Job runs, newest first
+ */
+export async function getScheduledJobRuns(
+  job?: string,
+  limit: number = 20
+): Promise<ScheduledJobRun[]> {
+  try {
+    // Get token from local storage
+    const token = localStorage.getItem('pof_access_token');
+    
+    if (!token) {
+      throw new Error('Not authenticated');
+    }
+    
+    const query = new URLSearchParams({ limit: String(limit) });
+    if (job) {
+      query.set('job', job);
+    }
+    
+    const response = await fetch(`/api/security-dashboard/scheduler/runs?${query}`, {
+      method: 'GET',
+      headers: {
+        'Authorization': `Bearer ${token}`,
+        'Content-Type': 'application/json'
+      }
+    });
+    
+    if (!response.ok) {
+      throw new Error('Failed to fetch scheduled job runs');
+    }
+    
+    const data = await response.json();
+    
+    return data.runs || [];
+  } catch (error) {
+    console.error('Error fetching scheduled job runs:', error);
+    throw error;
+  }
+}
+
+/**
+ * Version of an imported sanctions list
+ */
+export interface SanctionsList {
+  id: string;
+  name: string;
+  version: number;
+  format: 'OFAC_SDN_XML' | 'CSV' | 'JSON';
+  source: string | null;
+  checksum: string;
+  entryCount: number;
+  isActive: boolean;
+  importedBy: string | null;
+  createdAt: string;
+  activatedAt: string | null;
+}
+
+/**
+ * Address cleared despite sanctions matches
+ */
+export interface SanctionsAllowlistEntry {
+  id: string;
+  address: string;
+  reason: string;
+  createdBy: string;
+  createdAt: string;
+  expiresAt: string | null;
+  revokedAt: string | null;
+  revokedBy: string | null;
+  revokeReason: string | null;
+}
+
+/**
+ * Send an authenticated sanctions dashboard request
+ */
+async function sanctionsRequest(path: string, method: string, body?: Record<string, any>): Promise<any> {
+  // Get token from local storage
+  const token = localStorage.getItem('pof_access_token');
+  
+  if (!token) {
+    throw new Error('Not authenticated');
+  }
+  
+  const response = await fetch(`/api/security-dashboard/sanctions${path}`, {
+    method,
+    headers: {
+      'Authorization': `Bearer ${token}`,
+      'Content-Type': 'application/json'
+    },
+    ...(body && { body: JSON.stringify(body) })
+  });
+  
+  const data = await response.json().catch(() => ({}));
+  
+  if (!response.ok) {
+    throw new Error(data.error?.message || `Sanctions request failed (${response.status})`);
+  }
+  
+  return data;
+}
+
+/**
+ * Get the versions of the imported sanctions lists
+ * 
+ * @returns List versions, newest first within each list
+ */
+export async function getSanctionsLists(): Promise<SanctionsList[]> {
+  try {
+    const data = await sanctionsRequest('/lists', 'GET');
+    
+    return data.lists || [];
+  } catch (error) {
+    console.error('Error fetching sanctions lists:', error);
+    throw error;
+  }
+}
+
+/**
+ * Import a sanctions list document as the next version of a list
+ * 
+ * @param name - List name
+ * @param format - Document format
+ * @param content - Document text
+ * @param source - File name or URL the document came from
+ * @returns The list version, and whether the document was already imported
+ */
+export async function importSanctionsList(
+  name: string,
+  format: SanctionsList['format'],
+  content: string,
+  source?: string
+): Promise<{ list: SanctionsList; unchanged: boolean }> {
+  try {
+    return await sanctionsRequest('/lists', 'POST', { name, format, content, source });
+  } catch (error) {
+    console.error('Error importing sanctions list:', error);
+    throw error;
+  }
+}
+
+/**
+ * Make a list version the active version of its list
+ * 
+ * @param listId - List version ID
+ * @returns Activated list version
+ */
+export async function activateSanctionsList(listId: string): Promise<SanctionsList> {
+  try {
+    const data = await sanctionsRequest(`/lists/${encodeURIComponent(listId)}/activate`, 'POST');
+    
+    return data.list;
+  } catch (error) {
+    console.error('Error activating sanctions list:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get sanctions allow-list entries
+ * 
+ * @param includeRevoked - Include revoked entries
+ * @returns Entries, newest first
+ */
+export async function getSanctionsAllowlist(includeRevoked: boolean = false): Promise<SanctionsAllowlistEntry[]> {
+  try {
+    const data = await sanctionsRequest(`/allowlist?includeRevoked=${includeRevoked}`, 'GET');
+    
+    return data.entries || [];
+  } catch (error) {
+    console.error('Error fetching sanctions allow-list:', error);
+    throw error;
+  }
+}
+
+/**
+ * Clear an address despite sanctions matches
+ * 
+ * @param address - Wallet address
+ * @param reason - Reason recorded in the audit log
+ * @param expiresAt - When the entry stops applying
+ * @returns Allow-list entry
+ */
+export async function addSanctionsAllowlistEntry(
+  address: string,
+  reason: string,
+  expiresAt?: string
+): Promise<SanctionsAllowlistEntry> {
+  try {
+    const data = await sanctionsRequest('/allowlist', 'POST', { address, reason, expiresAt });
+    
+    return data.entry;
+  } catch (error) {
+    console.error('Error adding sanctions allow-list entry:', error);
+    throw error;
+  }
+}
+
+/**
+ * Revoke a sanctions allow-list entry
+ * 
+ * @param entryId - Entry ID
+ * @param reason - Reason recorded in the audit log
+ * @returns Revoked entry
+ */
+export async function removeSanctionsAllowlistEntry(
+  entryId: string,
+  reason?: string
+): Promise<SanctionsAllowlistEntry> {
+  try {
+    const data = await sanctionsRequest(`/allowlist/${encodeURIComponent(entryId)}`, 'DELETE', { reason });
+    
+    return data.entry;
+  } catch (error) {
+    console.error('Error removing sanctions allow-list entry:', error);
+    throw error;
+  }
+}
+
 const securityService = {
   getSecurityMetrics,
   getSecurityAlerts,
@@ -469,7 +755,15 @@ const securityService = {
   blockIP,
   allowIP,
   getWalletAuthStatistics,
-  getWalletAuthHistory
+  getWalletAuthHistory,
+  getSchedulerStatus,
+  getScheduledJobRuns,
+  getSanctionsLists,
+  importSanctionsList,
+  activateSanctionsList,
+  getSanctionsAllowlist,
+  addSanctionsAllowlistEntry,
+  removeSanctionsAllowlistEntry
 };
 
 export default securityService;
\ No newline at end of file
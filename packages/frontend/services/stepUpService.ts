@@ -0,0 +1,126 @@
+/**
+ * Step-Up Service
+ *
+ * Client-side helpers for sensitive actions. When the API answers a request
+ * with 403 and requiresTwoFactor, the user verifies a second factor and the
+ * request is sent again with the step-up token in the X-Step-Up-Token header.
+ * A passkey is tried first where the browser supports it; otherwise, or when
+ * the passkey cannot be used, the user is asked for a TOTP or backup code.
+ */
+import { STEP_UP_TOKEN_HEADER, StepUpToken, isPasskeySupported, stepUpWithPasskey } from './passkeyService';
+
+const TWO_FACTOR_STEP_UP_API = '/api/user/2fa/step-up';
+
+/**
+ * Asks the user for a TOTP or backup code, resolving to null when they cancel
+ */
+export type StepUpCodePrompt = () => Promise<string | null>;
+
+const defaultCodePrompt: StepUpCodePrompt = async () =>
+  window.prompt('Enter the code from your authenticator app or a backup code');
+
+let codePrompt: StepUpCodePrompt = defaultCodePrompt;
+
+/**
+ * Replace the prompt asking for a TOTP or backup code, e.g. with a modal
+ *
+ * @param prompt - Prompt to use, or null to restore the browser prompt
+ */
+export function setStepUpCodePrompt(prompt: StepUpCodePrompt | null): void {
+  codePrompt = prompt || defaultCodePrompt;
+}
+
+/**
+ * Get auth headers for API requests
+ */
+function getAuthHeaders(): Record<string, string> {
+  const token = localStorage.getItem('pof_access_token');
+
+  if (!token) {
+    throw new Error('Not authenticated');
+  }
+
+  return {
+    'Authorization': `Bearer ${token}`,
+    'Content-Type': 'application/json'
+  };
+}
+
+/**
+ * Exchange a TOTP or backup code for a step-up token
+ */
+export async function stepUpWithCode(code: string): Promise<StepUpToken> {
+  const response = await fetch(TWO_FACTOR_STEP_UP_API, {
+    method: 'POST',
+    headers: getAuthHeaders(),
+    body: JSON.stringify({ token: code })
+  });
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new Error(data.error?.message || data.message || 'Two-factor verification failed');
+  }
+
+  return { stepUpToken: data.stepUpToken, expiresAt: data.expiresAt };
+}
+
+/**
+ * Verify a second factor of the signed-in user for a sensitive action
+ *
+ * @returns Step-up token to send in the X-Step-Up-Token header
+ * @throws Error if the user cancels or verification fails
+ */
+export async function requestStepUpToken(): Promise<StepUpToken> {
+  if (isPasskeySupported()) {
+    try {
+      return await stepUpWithPasskey();
+    } catch (error) {
+      // No passkey registered or the prompt was dismissed: fall back to a code
+      console.warn('Passkey verification unavailable, asking for a code:', error);
+    }
+  }
+
+  const code = (await codePrompt())?.trim();
+  if (!code) {
+    throw new Error('Two-factor verification was cancelled');
+  }
+
+  return stepUpWithCode(code);
+}
+
+/**
+ * Send a request to an endpoint that may require step-up and return its JSON body
+ *
+ * @param url - Endpoint to call
+ * @param init - Request options; headers must be a plain object
+ * @param fallback - Error message when the API does not return one
+ * @throws Error with the API's message if the request fails
+ */
+export async function fetchWithStepUp(url: string, init: RequestInit, fallback: string): Promise<any> {
+  let response = await fetch(url, init);
+  let data = await response.json().catch(() => ({}));
+
+  if (response.status === 403 && data.requiresTwoFactor) {
+    const { stepUpToken } = await requestStepUpToken();
+    response = await fetch(url, {
+      ...init,
+      headers: { ...(init.headers as Record<string, string>), [STEP_UP_TOKEN_HEADER]: stepUpToken }
+    });
+    data = await response.json().catch(() => ({}));
+  }
+
+  if (!response.ok) {
+    throw new Error(data.error?.message || data.message || fallback);
+  }
+
+  return data;
+}
+
+const stepUpService = {
+  setStepUpCodePrompt,
+  stepUpWithCode,
+  requestStepUpToken,
+  fetchWithStepUp
+};
+
+export default stepUpService;
@@ -1,90 +1,566 @@
 /**
- * Bitcoin Chain Adapter (Placeholder for future implementation)
- * 
- * This module provides a placeholder implementation of the ChainAdapter interface
- * for Bitcoin blockchain. It will be expanded in a future phase of development.
- * 
- * NOTE: This is an intentional placeholder adapter that will be fully implemented 
- * in Phase 3.4 (Multi-Chain Extension) as described in the ZKP-PLATFORM-IMPLEMENTATION-PLAN.md.
- * 
- * Current Status:
- * - Basic address validation is implemented
- * - All other methods throw "not implemented" errors
- * - This adapter should not be used in production until fully implemented
- * 
- * Implementation Plan:
- * - Phase 3.4 will implement Bitcoin UTXO scanning and balance verification
- * - Will leverage Blockstream API and/or Electrum servers for blockchain data
- * - Will support xPub/yPub/zPub key derivation for HD wallets
- * - Will include proper transaction history retrieval and formatting
+ * Bitcoin Chain Adapter Implementation
+ *
+ * This module implements the ChainAdapter interface for the Bitcoin blockchain.
+ * Balances are aggregated from an address's unspent outputs and history is read
+ * from an Esplora-compatible indexer, so legacy (P2PKH/P2SH), segwit and taproot
+ * addresses are all supported.
+ *
+ * Ownership is proven with signed messages: BIP-137 compact signatures identify
+ * their signer directly, while BIP-322 simple signatures are verified against the
+ * address they claim to spend from. Taproot key path signatures do not carry a
+ * public key, so they can only be verified against a known address (the connected
+ * wallet, or verifyOwnership).
  */
 import { BigNumber } from 'ethers';
+import { base64 } from '@scure/base';
 import {
   ChainAdapter,
   Transaction,
   TransactionOptions,
-  ConnectionStatus
+  ConnectionStatus,
+  BalanceSnapshot,
+  HistoricalBalance
 } from './ChainAdapter';
+import {
+  EsploraClient,
+  EsploraTransaction,
+  EsploraUtxo,
+  HttpEsploraClient,
+  ESPLORA_PAGE_SIZE
+} from './EsploraClient';
+import {
+  BITCOIN_MAINNET,
+  BitcoinNetworkParams,
+  decodeAddress,
+  recoverBip137Signer,
+  recoverBip322Signer,
+  verifyBip322Simple,
+  verifyMessage
+} from './bitcoinUtils';
+
+// Network configurations for supported Bitcoin networks
+// Bitcoin has no EVM-style chain ID, so the registry uses a reserved ID
+export const BITCOIN_NETWORKS = {
+  0: {
+    name: 'Bitcoin',
+    esploraUrl: process.env.NEXT_PUBLIC_BITCOIN_ESPLORA_URL || 'https://blockstream.info/api',
+    blockExplorer: 'https://blockstream.info',
+    symbol: 'BTC',
+    decimals: 8,
+    logo: '/assets/networks/bitcoin.svg',
+    params: BITCOIN_MAINNET
+  }
+};
+
+/**
+ * Options for creating a Bitcoin adapter
+ */
+export interface BitcoinAdapterOptions {
+  esploraUrl?: string;
+  client?: EsploraClient;           // Overrides esploraUrl with a custom indexer client
+  includeUnconfirmed?: boolean;     // Count mempool outputs towards balances (default false)
+}
+
+/**
+ * Minimal shape of a UniSat-compatible injected provider
+ */
+interface BitcoinWalletProvider {
+  requestAccounts(): Promise<string[]>;
+  signMessage(message: string, type?: 'ecdsa' | 'bip322-simple'): Promise<string>;
+  on?(event: string, handler: (...args: any[]) => void): void;
+  removeListener?(event: string, handler: (...args: any[]) => void): void;
+}
 
 /**
- * Adapter for the Bitcoin blockchain
- * 
- * Note: This is a placeholder for future implementation in later phases.
+ * Returns whether a signature is a BIP-137 compact signature
+ */
+const isBip137Signature = (signature: string): boolean => {
+  try {
+    const bytes = base64.decode(signature);
+    return bytes.length === 65 && bytes[0] >= 27 && bytes[0] <= 42;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Adapter for the Bitcoin blockchain using an Esplora-compatible indexer
  */
 export class BitcoinChainAdapter implements ChainAdapter {
+  private client: EsploraClient;
+  private chainId: number;
+  private includeUnconfirmed: boolean;
+  private networkConfig: typeof BITCOIN_NETWORKS[keyof typeof BITCOIN_NETWORKS];
+  private params: BitcoinNetworkParams;
+  private wallet: BitcoinWalletProvider | null = null;
+  private walletAddress: string | null = null;
   private connectionStatus: ConnectionStatus = ConnectionStatus.DISCONNECTED;
-  
-  constructor() {
-    console.warn('BitcoinChainAdapter is a placeholder and not fully implemented yet');
+
+  /**
+   * Create a new Bitcoin Chain Adapter
+   * @param chainId The registry chain ID of the network (defaults to mainnet)
+   * @param options Optional indexer and balance overrides
+   */
+  constructor(chainId: number = 0, options: BitcoinAdapterOptions = {}) {
+    if (!BITCOIN_NETWORKS[chainId]) {
+      console.warn(`Bitcoin chain ID ${chainId} not supported, defaulting to mainnet`);
+      this.chainId = 0;
+    } else {
+      this.chainId = chainId;
+    }
+
+    this.networkConfig = BITCOIN_NETWORKS[this.chainId];
+    this.params = this.networkConfig.params;
+    this.client = options.client || new HttpEsploraClient(options.esploraUrl || this.networkConfig.esploraUrl);
+    this.includeUnconfirmed = options.includeUnconfirmed || false;
+
+    this.handleAccountsChanged = this.handleAccountsChanged.bind(this);
+  }
+
+  /**
+   * Ensure an address is valid for this network
+   * @param address The address to check
+   */
+  private assertAddress(address: string): void {
+    if (!this.validateAddress(address)) {
+      throw new Error('Invalid Bitcoin address');
+    }
+  }
+
+  /**
+   * Get the unspent outputs of an address
+   * @param address The address to check
+   * @returns Promise resolving to the spendable outputs counted towards the balance
+   */
+  public async getUtxos(address: string): Promise<EsploraUtxo[]> {
+    this.assertAddress(address);
+
+    try {
+      const utxos = await this.client.getAddressUtxos(address);
+      return this.includeUnconfirmed ? utxos : utxos.filter(utxo => utxo.status.confirmed);
+    } catch (error) {
+      console.error('Error getting UTXOs:', error);
+      throw new Error(`Failed to get UTXOs: ${error.message}`);
+    }
   }
-  
+
+  /**
+   * Get the BTC balance of an address
+   *
+   * Sums the address's unspent outputs. Indexers refuse to list outputs for very
+   * busy addresses, in which case the balance falls back to the funded minus
+   * spent totals of the address.
+   * @param address The address to check
+   * @returns Promise resolving to the balance in satoshis
+   */
   public async getBalance(address: string): Promise<BigNumber> {
-    throw new Error('BitcoinChainAdapter is not implemented yet');
+    this.assertAddress(address);
+
+    try {
+      const utxos = await this.getUtxos(address);
+      return utxos.reduce((total, utxo) => total.add(utxo.value), BigNumber.from(0));
+    } catch {
+      try {
+        const { chain_stats, mempool_stats } = await this.client.getAddressInfo(address);
+        let balance = BigNumber.from(chain_stats.funded_txo_sum).sub(chain_stats.spent_txo_sum);
+        if (this.includeUnconfirmed) {
+          balance = balance.add(mempool_stats.funded_txo_sum).sub(mempool_stats.spent_txo_sum);
+        }
+        return balance;
+      } catch (error) {
+        console.error('Error getting balance:', error);
+        throw new Error(`Failed to get balance: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Get the BTC balance of an address at a past block or date
+   *
+   * Replays the address's confirmed history up to the snapshot. The block
+   * reported is the last one at or before the snapshot that changed the
+   * balance; the balance is unchanged from it up to the snapshot.
+   * @param address The address to check
+   * @param blockOrTimestamp The block height, or the date to read the balance at
+   * @returns Promise resolving to the balance in satoshis and the block it was last changed in
+   */
+  public async getBalanceAt(address: string, blockOrTimestamp: BalanceSnapshot): Promise<HistoricalBalance> {
+    this.assertAddress(address);
+
+    const included = (tx: EsploraTransaction) => ('blockNumber' in blockOrTimestamp
+      ? (tx.status.block_height || 0) <= blockOrTimestamp.blockNumber
+      : (tx.status.block_time || 0) <= blockOrTimestamp.timestamp);
+
+    try {
+      let balance = BigNumber.from(0);
+      let last: EsploraTransaction | null = null;
+      let lastSeenTxId: string | undefined;
+
+      for (;;) {
+        const confirmed = (await this.client.getAddressTransactions(address, lastSeenTxId))
+          .filter(tx => tx.status.confirmed);
+
+        for (const tx of confirmed.filter(included)) {
+          for (const output of tx.vout) {
+            if (output.scriptpubkey_address === address) {
+              balance = balance.add(output.value);
+            }
+          }
+          for (const input of tx.vin) {
+            if (input.prevout?.scriptpubkey_address === address) {
+              balance = balance.sub(input.prevout.value);
+            }
+          }
+          if (!last || (tx.status.block_height || 0) > (last.status.block_height || 0)) {
+            last = tx;
+          }
+        }
+
+        if (confirmed.length < ESPLORA_PAGE_SIZE) {
+          break;
+        }
+        lastSeenTxId = confirmed[confirmed.length - 1].txid;
+      }
+
+      return {
+        balance,
+        blockNumber: last?.status.block_height || 0,
+        timestamp: last?.status.block_time || 0
+      };
+    } catch (error) {
+      console.error('Error getting historical balance:', error);
+      throw new Error(`Failed to get balance: ${error.message}`);
+    }
+  }
+
+  /**
+   * Collect history for an address, paging backwards from the newest
+   * @param address The address to get transactions for
+   * @param options Transaction retrieval options
+   * @returns Transactions within the requested block range, newest first
+   */
+  private async getHistory(address: string, options: TransactionOptions): Promise<EsploraTransaction[]> {
+    const wanted = (options.offset || 0) + (options.limit || 10);
+    const collected: EsploraTransaction[] = [];
+    let lastSeenTxId: string | undefined;
+
+    while (collected.length < wanted) {
+      const page = await this.client.getAddressTransactions(address, lastSeenTxId);
+      const confirmed = page.filter(tx => tx.status.confirmed);
+
+      for (const tx of page) {
+        const height = tx.status.block_height || 0;
+
+        if (!tx.status.confirmed) {
+          // Mempool transactions have no height, so they fall outside any range
+          if (options.startBlock === undefined && options.endBlock === undefined) {
+            collected.push(tx);
+          }
+          continue;
+        }
+        if (options.endBlock !== undefined && height > options.endBlock) {
+          continue;
+        }
+        if (options.startBlock !== undefined && height < options.startBlock) {
+          // Pages are ordered newest first, so nothing older can match
+          return collected;
+        }
+        collected.push(tx);
+      }
+
+      if (confirmed.length < ESPLORA_PAGE_SIZE) {
+        break;
+      }
+
+      lastSeenTxId = confirmed[confirmed.length - 1].txid;
+    }
+
+    return collected;
   }
-  
-  public async getTransactions(address: string, options?: TransactionOptions): Promise<Transaction[]> {
-    throw new Error('BitcoinChainAdapter is not implemented yet');
+
+  /**
+   * Map an Esplora transaction onto the common transaction format
+   *
+   * A transaction spending any of the address's outputs is outgoing and its value
+   * is the amount paid to other addresses (change and fee excluded); otherwise it
+   * is incoming and its value is the amount received.
+   */
+  private toTransaction(address: string, tx: EsploraTransaction, tipHeight: number): Transaction {
+    const spent = tx.vin.some(input => input.prevout?.scriptpubkey_address === address);
+
+    let value = 0;
+    let counterparty = '';
+
+    if (spent) {
+      for (const output of tx.vout) {
+        if (output.scriptpubkey_address !== address) {
+          value += output.value;
+          counterparty = counterparty || output.scriptpubkey_address || '';
+        }
+      }
+    } else {
+      for (const output of tx.vout) {
+        if (output.scriptpubkey_address === address) {
+          value += output.value;
+        }
+      }
+      const sender = tx.vin.find(input => input.prevout?.scriptpubkey_address);
+      counterparty = sender?.prevout?.scriptpubkey_address || '';
+    }
+
+    const height = tx.status.confirmed ? tx.status.block_height || 0 : 0;
+
+    return {
+      hash: tx.txid,
+      from: spent ? address : counterparty,
+      to: spent ? counterparty : address,
+      value: value.toString(),
+      timestamp: tx.status.block_time || 0,
+      blockNumber: height,
+      confirmations: tx.status.confirmed ? Math.max(tipHeight - height + 1, 0) : 0,
+      // Bitcoin transactions cannot fail once mined
+      status: tx.status.confirmed ? 'success' : 'pending'
+    };
+  }
+
+  /**
+   * Get transactions for an address
+   * @param address The address to get transactions for
+   * @param options Transaction retrieval options
+   * @returns Promise resolving to an array of transactions, newest first
+   */
+  public async getTransactions(
+    address: string,
+    options: TransactionOptions = {}
+  ): Promise<Transaction[]> {
+    this.assertAddress(address);
+    const limit = options.limit || 10;
+    const offset = options.offset || 0;
+
+    try {
+      const history = (await this.getHistory(address, options)).slice(offset, offset + limit);
+      if (history.length === 0) {
+        return [];
+      }
+
+      const tipHeight = await this.client.getTipHeight();
+      const transactions = history.map(tx => this.toTransaction(address, tx, tipHeight));
+
+      if (options.minValue) {
+        return transactions.filter(tx => BigNumber.from(tx.value).gte(options.minValue));
+      }
+
+      return transactions;
+    } catch (error) {
+      console.error('Error getting transactions:', error);
+      throw new Error(`Failed to get transactions: ${error.message}`);
+    }
   }
-  
+
+  /**
+   * Validate a Bitcoin address
+   * @param address The address to validate
+   * @returns Whether the address is a well-formed P2PKH, P2SH, segwit or taproot address for this network
+   */
   public validateAddress(address: string): boolean {
-    // Basic validation for Bitcoin addresses
-    // This is a placeholder and should be expanded in the future
-    
-    // Check if it starts with 1, 3, or bc1
-    return /^(1|3|bc1)[a-zA-Z0-9]{25,90}$/.test(address);
+    try {
+      decodeAddress(address, this.params);
+      return true;
+    } catch {
+      return false;
+    }
   }
-  
+
+  /**
+   * Sign a message with the connected wallet
+   *
+   * Segwit and taproot accounts sign with BIP-322, legacy accounts with BIP-137.
+   * @param message The message to sign
+   * @returns Promise resolving to the base64 encoded signature
+   */
   public async signMessage(message: string): Promise<string> {
-    throw new Error('BitcoinChainAdapter is not implemented yet');
+    if (!this.wallet || !this.walletAddress) {
+      throw new Error('Wallet not connected');
+    }
+
+    try {
+      const { type } = decodeAddress(this.walletAddress, this.params);
+      const format = type === 'p2wpkh' || type === 'p2tr' ? 'bip322-simple' : 'ecdsa';
+      return await this.wallet.signMessage(message, format);
+    } catch (error) {
+      console.error('Error signing message:', error);
+      throw new Error(`Failed to sign message: ${error.message}`);
+    }
   }
-  
+
+  /**
+   * Verify a message signature and return the signing address
+   * @param message The original message that was signed
+   * @param signature Base64 BIP-137 or BIP-322 simple signature
+   * @returns The address that created the signature
+   */
   public getAddressFromSignature(message: string, signature: string): string {
-    throw new Error('BitcoinChainAdapter is not implemented yet');
+    if (isBip137Signature(signature)) {
+      let recovered: { address: string; candidates: string[] };
+      try {
+        recovered = recoverBip137Signer(message, signature, this.params);
+      } catch (error) {
+        throw new Error(`Failed to recover address: ${error.message}`);
+      }
+
+      // Some wallets sign for segwit addresses with a P2PKH header
+      if (this.walletAddress && recovered.candidates.includes(this.walletAddress)) {
+        return this.walletAddress;
+      }
+      return recovered.address;
+    }
+
+    try {
+      return recoverBip322Signer(message, signature, this.params);
+    } catch (error) {
+      if (this.walletAddress && this.verifyOwnership(this.walletAddress, message, signature)) {
+        return this.walletAddress;
+      }
+      throw new Error(`Failed to recover address: ${error.message}`);
+    }
+  }
+
+  /**
+   * Verify that a signature proves control of an address
+   * @param address The address claiming ownership
+   * @param message The original message that was signed
+   * @param signature Base64 BIP-137 or BIP-322 simple signature
+   * @returns Whether the signature was produced by the key controlling the address
+   */
+  public verifyOwnership(address: string, message: string, signature: string): boolean {
+    if (!this.validateAddress(address)) {
+      return false;
+    }
+
+    if (isBip137Signature(signature)) {
+      return verifyMessage(address, message, signature, this.params);
+    }
+
+    try {
+      return verifyBip322Simple(address, message, signature, this.params);
+    } catch {
+      return false;
+    }
   }
-  
+
+  /**
+   * Get the chain ID for this adapter
+   * @returns The registry chain ID
+   */
   public getChainId(): number {
-    // Bitcoin doesn't use the same chainId concept as EVM chains
-    // Using 0 as a placeholder to differentiate
-    return 0;
+    return this.chainId;
   }
-  
+
+  /**
+   * Get human-readable name of the chain
+   * @returns The chain name
+   */
   public getChainName(): string {
-    return 'Bitcoin';
+    return this.networkConfig.name;
   }
-  
+
+  /**
+   * Get the current connection status
+   * @returns The connection status
+   */
   public getConnectionStatus(): ConnectionStatus {
     return this.connectionStatus;
   }
-  
-  public async connect(options?: any): Promise<string> {
-    throw new Error('BitcoinChainAdapter is not implemented yet');
+
+  /**
+   * Connect to a UniSat-compatible wallet
+   * @param options Optional connection options; `provider` overrides the injected wallet
+   * @returns Promise resolving to the connected address
+   */
+  public async connect(options: any = {}): Promise<string> {
+    try {
+      this.connectionStatus = ConnectionStatus.CONNECTING;
+
+      const provider: BitcoinWalletProvider | undefined = options.provider ||
+        (typeof window !== 'undefined' ? (window as any).unisat : undefined);
+
+      if (!provider) {
+        this.connectionStatus = ConnectionStatus.DISCONNECTED;
+        throw new Error('No Bitcoin wallet detected. Please install UniSat or another Bitcoin wallet.');
+      }
+
+      const [address] = await provider.requestAccounts();
+
+      if (!address) {
+        throw new Error('No accounts returned from wallet');
+      }
+      if (!this.validateAddress(address)) {
+        throw new Error(`Wallet account ${address} is not a ${this.networkConfig.name} address`);
+      }
+
+      this.wallet = provider;
+      this.walletAddress = address;
+
+      if (provider.on) {
+        provider.on('accountsChanged', this.handleAccountsChanged);
+      }
+
+      this.connectionStatus = ConnectionStatus.CONNECTED;
+      return this.walletAddress;
+    } catch (error) {
+      this.connectionStatus = ConnectionStatus.ERROR;
+      console.error('Connection error:', error);
+      throw new Error(`Connection failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Handle account changes from the wallet
+   * @param accounts New accounts, empty when the wallet was locked or disconnected
+   */
+  private async handleAccountsChanged(accounts: string[]): Promise<void> {
+    if (!accounts || accounts.length === 0) {
+      await this.disconnect();
+      return;
+    }
+
+    this.walletAddress = accounts[0];
+
+    if (typeof window !== 'undefined') {
+      const event = new CustomEvent('bitcoinAccountChanged', {
+        detail: { address: this.walletAddress, chainId: this.chainId }
+      });
+      window.dispatchEvent(event);
+    }
   }
-  
+
+  /**
+   * Disconnect from the chain
+   * @returns Promise that resolves when disconnected
+   */
   public async disconnect(): Promise<void> {
+    if (this.wallet?.removeListener) {
+      this.wallet.removeListener('accountsChanged', this.handleAccountsChanged);
+    }
+
+    this.wallet = null;
+    this.walletAddress = null;
     this.connectionStatus = ConnectionStatus.DISCONNECTED;
+
+    if (typeof window !== 'undefined') {
+      const event = new CustomEvent('bitcoinDisconnected', {
+        detail: { chainId: this.chainId }
+      });
+      window.dispatchEvent(event);
+    }
   }
-  
+
+  /**
+   * Check if the adapter is ready to use
+   * @returns Whether the adapter is ready
+   */
   public isReady(): boolean {
-    return false; // Not implemented yet
+    return this.client !== null;
   }
-}
\ No newline at end of file
+}
@@ -52,6 +52,21 @@ export interface TransactionOptions {
   minValue?: BigNumber;
 }
 
+/**
+ * Point in history to read a balance at: a block (slot on Solana) or a
+ * Unix timestamp
+ */
+export type BalanceSnapshot = { blockNumber: number } | { timestamp: number };
+
+/**
+ * Balance of an address at a point in history
+ */
+export interface HistoricalBalance {
+  balance: BigNumber;
+  blockNumber: number;  // Block the balance is as of (end of block)
+  timestamp: number;    // Unix timestamp of that block
+}
+
 /**
  * Common interface for all blockchain adapters
  */
@@ -63,6 +78,14 @@ export interface ChainAdapter {
    */
   getBalance(address: string): Promise<BigNumber>;
 
+  /**
+   * Get the balance of an address at a past block or date
+   * @param address The address to check
+   * @param blockOrTimestamp The block, or the date whose last block is used
+   * @returns Promise resolving to the balance and the block it was read at
+   */
+  getBalanceAt(address: string, blockOrTimestamp: BalanceSnapshot): Promise<HistoricalBalance>;
+
   /**
    * Get transactions for an address
    * @param address The address to get transactions for
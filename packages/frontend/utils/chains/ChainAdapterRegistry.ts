@@ -7,8 +7,8 @@
  */
 import { ChainAdapter, ConnectionStatus } from './ChainAdapter';
 import { EVMChainAdapter, EVM_NETWORKS } from './EVMChainAdapter';
-import { SolanaChainAdapter } from './SolanaChainAdapter';
-import { BitcoinChainAdapter } from './BitcoinChainAdapter';
+import { SolanaChainAdapter, SOLANA_NETWORKS } from './SolanaChainAdapter';
+import { BitcoinChainAdapter, BITCOIN_NETWORKS } from './BitcoinChainAdapter';
 
 /**
  * Registry of supported chain types
@@ -86,35 +86,40 @@ export class ChainAdapterRegistry {
       });
     }
     
-    // Add Solana networks (placeholder for future implementation)
-    this.supportedNetworks.push({
-      chainId: 999, // Placeholder
-      name: 'Solana',
-      nativeCurrency: {
-        name: 'SOL',
-        symbol: 'SOL',
-        decimals: 9
-      },
-      rpcUrls: ['https://api.mainnet-beta.solana.com'],
-      blockExplorerUrls: ['https://explorer.solana.com'],
-      logoUrl: '/assets/networks/solana.svg',
-      type: ChainType.SOLANA
-    });
+    // Add Solana clusters
+    for (const [chainIdStr, network] of Object.entries(SOLANA_NETWORKS)) {
+      this.supportedNetworks.push({
+        chainId: parseInt(chainIdStr, 10),
+        name: network.name,
+        nativeCurrency: {
+          name: network.symbol,
+          symbol: network.symbol,
+          decimals: network.decimals
+        },
+        rpcUrls: [network.rpcUrl],
+        blockExplorerUrls: [network.blockExplorer],
+        logoUrl: network.logo,
+        testnet: network.testnet || false,
+        type: ChainType.SOLANA
+      });
+    }
     
-    // Add Bitcoin (placeholder for future implementation)
-    this.supportedNetworks.push({
-      chainId: 0, // Placeholder
-      name: 'Bitcoin',
-      nativeCurrency: {
-        name: 'Bitcoin',
-        symbol: 'BTC',
-        decimals: 8
-      },
-      rpcUrls: [],
-      blockExplorerUrls: ['https://blockstream.info'],
-      logoUrl: '/assets/networks/bitcoin.svg',
-      type: ChainType.BITCOIN
-    });
+    // Add Bitcoin networks
+    for (const [chainIdStr, network] of Object.entries(BITCOIN_NETWORKS)) {
+      this.supportedNetworks.push({
+        chainId: parseInt(chainIdStr, 10),
+        name: network.name,
+        nativeCurrency: {
+          name: network.name,
+          symbol: network.symbol,
+          decimals: network.decimals
+        },
+        rpcUrls: [network.esploraUrl],
+        blockExplorerUrls: [network.blockExplorer],
+        logoUrl: network.logo,
+        type: ChainType.BITCOIN
+      });
+    }
   }
   
   /**
@@ -167,10 +172,10 @@ export class ChainAdapterRegistry {
         adapter = new EVMChainAdapter(chainId);
         break;
       case ChainType.SOLANA:
-        adapter = new SolanaChainAdapter();
+        adapter = new SolanaChainAdapter(chainId);
         break;
       case ChainType.BITCOIN:
-        adapter = new BitcoinChainAdapter();
+        adapter = new BitcoinChainAdapter(chainId);
         break;
       default:
         throw new Error(`Unsupported chain type: ${networkInfo.type}`);
@@ -180,6 +185,38 @@ export class ChainAdapterRegistry {
     return adapter;
   }
   
+  /**
+   * Get the adapter for a chain ID, or null if the chain is not supported
+   * @param chainId The chain ID
+   * @returns The chain adapter or null
+   */
+  public getAdapterById(chainId: number): ChainAdapter | null {
+    try {
+      return this.getAdapter(chainId);
+    } catch {
+      return null;
+    }
+  }
+  
+  /**
+   * Get the chain type of a supported chain ID
+   * @param chainId The chain ID
+   * @returns The chain type or null if the chain is not supported
+   */
+  public getChainTypeById(chainId: number): ChainType | null {
+    const networkInfo = this.supportedNetworks.find(network => network.chainId === chainId);
+    return networkInfo ? networkInfo.type : null;
+  }
+  
+  /**
+   * Get the IDs of all supported chains
+   * @param options Optional filter options
+   * @returns Array of chain IDs
+   */
+  public getAllChainIds(options: { testnet?: boolean, type?: ChainType } = {}): number[] {
+    return this.getSupportedNetworks(options).map(network => network.chainId);
+  }
+  
   /**
    * Get a chain adapter by type and optional chain ID
    * @param type The chain type
@@ -11,7 +11,9 @@ import {
   Transaction,
   TransactionOptions,
   ConnectionStatus,
-  ChainAccount
+  ChainAccount,
+  BalanceSnapshot,
+  HistoricalBalance
 } from './ChainAdapter';
 
 // Import centralized chain mappings
@@ -94,6 +96,19 @@ const RATE_LIMIT = {
   callWindow: 60 * 1000, // 1 minute in ms
 };
 
+// ERC-20 interface used to read token balances at past blocks
+const ERC20_INTERFACE = new ethers.utils.Interface([
+  'function balanceOf(address owner) view returns (uint256)'
+]);
+
+/**
+ * Options for creating an EVM adapter
+ */
+export interface EVMAdapterOptions {
+  rpcUrl?: string;                        // RPC endpoint, e.g. an archive node for historical balances
+  provider?: ethers.providers.Provider;   // Provider to use instead of creating one
+}
+
 /**
  * Adapter for EVM-compatible chains using ethers.js
  */
@@ -107,12 +122,15 @@ export class EVMChainAdapter implements ChainAdapter {
   private lastCallTimestamp: number = 0;
   private networkConfig: typeof EVM_NETWORKS[keyof typeof EVM_NETWORKS];
   private isMetaMaskInstalled: boolean = false;
+  private rpcUrl: string | undefined;
+  private blockTimestamps = new Map<number, number>();
   
   /**
    * Create a new EVM Chain Adapter
    * @param chainId The chain ID to connect to (defaults to Ethereum Mainnet)
+   * @param options Optional RPC endpoint or provider overrides
    */
-  constructor(chainId: number = 1) {
+  constructor(chainId: number = 1, options: EVMAdapterOptions = {}) {
     // Validate chain ID
     if (!EVM_NETWORKS[chainId]) {
       console.warn(`Chain ID ${chainId} not supported, defaulting to Ethereum Mainnet`);
@@ -128,8 +146,14 @@ export class EVMChainAdapter implements ChainAdapter {
       this.isMetaMaskInstalled = true;
     }
     
+    this.rpcUrl = options.rpcUrl;
+    
     // Initialize providers
-    this.initializeProvider();
+    if (options.provider) {
+      this.provider = options.provider;
+    } else {
+      this.initializeProvider();
+    }
   }
   
   /**
@@ -138,11 +162,11 @@ export class EVMChainAdapter implements ChainAdapter {
   private initializeProvider(): void {
     try {
       // For the browser environment, try to use injected provider first
-      if (typeof window !== 'undefined' && window.ethereum) {
+      if (typeof window !== 'undefined' && window.ethereum && !this.rpcUrl) {
         this.provider = new ethers.providers.Web3Provider(window.ethereum);
       } else {
         // Fallback to RPC provider
-        const rpcUrl = this.processRpcUrl(this.networkConfig.rpcUrl);
+        const rpcUrl = this.rpcUrl || this.processRpcUrl(this.networkConfig.rpcUrl);
         this.provider = new ethers.providers.JsonRpcProvider(rpcUrl);
       }
     } catch (error) {
@@ -219,6 +243,154 @@ export class EVMChainAdapter implements ChainAdapter {
     }
   }
   
+  /**
+   * Get the timestamp of a block, caching it since blocks do not change
+   * @param blockNumber The block number
+   * @returns Promise resolving to the block's Unix timestamp
+   */
+  private async getBlockTimestamp(blockNumber: number): Promise<number> {
+    const cached = this.blockTimestamps.get(blockNumber);
+    if (cached !== undefined) {
+      return cached;
+    }
+    
+    const block = await this.provider!.getBlock(blockNumber);
+    if (!block) {
+      throw new Error(`Block ${blockNumber} not found`);
+    }
+    
+    this.blockTimestamps.set(blockNumber, block.timestamp);
+    return block.timestamp;
+  }
+  
+  /**
+   * Find the last block mined at or before a timestamp
+   *
+   * Binary search over block timestamps, which never decrease on EVM chains,
+   * so a date takes about log2(height) block lookups.
+   * @param timestamp Unix timestamp
+   * @returns Promise resolving to the block number and its timestamp
+   */
+  public async findBlockByTimestamp(timestamp: number): Promise<{ blockNumber: number; timestamp: number }> {
+    if (!this.provider) {
+      throw new Error('Provider not initialized');
+    }
+    
+    const latest = await this.provider.getBlockNumber();
+    const latestTimestamp = await this.getBlockTimestamp(latest);
+    if (timestamp >= latestTimestamp) {
+      return { blockNumber: latest, timestamp: latestTimestamp };
+    }
+    
+    if (timestamp < await this.getBlockTimestamp(0)) {
+      throw new Error(`No block exists before ${new Date(timestamp * 1000).toISOString()}`);
+    }
+    
+    // The timestamp of low is at or before the target, that of high after it
+    let low = 0;
+    let high = latest;
+    while (high - low > 1) {
+      const mid = Math.floor((low + high) / 2);
+      if (await this.getBlockTimestamp(mid) <= timestamp) {
+        low = mid;
+      } else {
+        high = mid;
+      }
+    }
+    
+    return { blockNumber: low, timestamp: await this.getBlockTimestamp(low) };
+  }
+  
+  /**
+   * Resolve a snapshot to a block and its timestamp
+   * @param blockOrTimestamp The block, or the date whose last block is used
+   */
+  private async resolveSnapshot(blockOrTimestamp: BalanceSnapshot): Promise<{ blockNumber: number; timestamp: number }> {
+    if ('blockNumber' in blockOrTimestamp) {
+      if (!Number.isInteger(blockOrTimestamp.blockNumber) || blockOrTimestamp.blockNumber < 0) {
+        throw new Error('Invalid block number');
+      }
+      return {
+        blockNumber: blockOrTimestamp.blockNumber,
+        timestamp: await this.getBlockTimestamp(blockOrTimestamp.blockNumber)
+      };
+    }
+    
+    return this.findBlockByTimestamp(blockOrTimestamp.timestamp);
+  }
+  
+  /**
+   * Get the balance of an address at a past block or date
+   *
+   * State of old blocks is only kept by archive nodes, so the RPC endpoint
+   * must be one for dates beyond the last few minutes.
+   * @param address The address to check
+   * @param blockOrTimestamp The block, or the date whose last block is used
+   * @returns Promise resolving to the balance and the block it was read at
+   */
+  public async getBalanceAt(address: string, blockOrTimestamp: BalanceSnapshot): Promise<HistoricalBalance> {
+    if (!this.provider) {
+      throw new Error('Provider not initialized');
+    }
+    
+    if (!this.checkRateLimit()) {
+      throw new Error('Rate limit exceeded, please try again later');
+    }
+    
+    if (!this.validateAddress(address)) {
+      throw new Error('Invalid Ethereum address');
+    }
+    
+    const { blockNumber, timestamp } = await this.resolveSnapshot(blockOrTimestamp);
+    
+    try {
+      const balance = await this.provider.getBalance(address, blockNumber);
+      return { balance, blockNumber, timestamp };
+    } catch (error) {
+      console.error('Error getting historical balance:', error);
+      throw new Error(`Failed to get balance at block ${blockNumber} (historical balances need an archive node): ${error.message}`);
+    }
+  }
+  
+  /**
+   * Get the ERC-20 token balance of an address at a past block or date
+   * @param address The address to check
+   * @param tokenAddress The ERC-20 token contract
+   * @param blockOrTimestamp The block, or the date whose last block is used
+   * @returns Promise resolving to the balance in the token's smallest unit and the block it was read at
+   */
+  public async getTokenBalanceAt(
+    address: string,
+    tokenAddress: string,
+    blockOrTimestamp: BalanceSnapshot
+  ): Promise<HistoricalBalance> {
+    if (!this.provider) {
+      throw new Error('Provider not initialized');
+    }
+    
+    if (!this.checkRateLimit()) {
+      throw new Error('Rate limit exceeded, please try again later');
+    }
+    
+    if (!this.validateAddress(address) || !this.validateAddress(tokenAddress)) {
+      throw new Error('Invalid Ethereum address');
+    }
+    
+    const { blockNumber, timestamp } = await this.resolveSnapshot(blockOrTimestamp);
+    
+    try {
+      const result = await this.provider.call({
+        to: tokenAddress,
+        data: ERC20_INTERFACE.encodeFunctionData('balanceOf', [address])
+      }, blockNumber);
+      const [balance] = ERC20_INTERFACE.decodeFunctionResult('balanceOf', result);
+      return { balance, blockNumber, timestamp };
+    } catch (error) {
+      console.error('Error getting historical token balance:', error);
+      throw new Error(`Failed to get token balance at block ${blockNumber} (historical balances need an archive node): ${error.message}`);
+    }
+  }
+  
   /**
    * Get transactions for an address
    * @param address The address to get transactions for
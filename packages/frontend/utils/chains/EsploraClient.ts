@@ -0,0 +1,136 @@
+/**
+ * Esplora Client
+ *
+ * Minimal client for Esplora-compatible Bitcoin indexers (Blockstream,
+ * mempool.space or a self-hosted electrs). The BitcoinChainAdapter depends
+ * on the EsploraClient interface only, so deployments can plug in their own
+ * indexer or a client with caching and rate limiting.
+ */
+
+/**
+ * Confirmation status of a transaction or output
+ */
+export interface EsploraStatus {
+  confirmed: boolean;
+  block_height?: number;
+  block_hash?: string;
+  block_time?: number;
+}
+
+/**
+ * Unspent output of an address
+ */
+export interface EsploraUtxo {
+  txid: string;
+  vout: number;
+  value: number;        // Satoshis
+  status: EsploraStatus;
+}
+
+/**
+ * Transaction as returned by the address history endpoints
+ */
+export interface EsploraTransaction {
+  txid: string;
+  vin: Array<{
+    txid: string;
+    vout: number;
+    is_coinbase: boolean;
+    prevout: { scriptpubkey_address?: string; value: number } | null;
+  }>;
+  vout: Array<{
+    scriptpubkey_address?: string;
+    value: number;
+  }>;
+  fee: number;
+  status: EsploraStatus;
+}
+
+/**
+ * Funded and spent totals of an address
+ */
+export interface EsploraAddressStats {
+  funded_txo_count: number;
+  funded_txo_sum: number;
+  spent_txo_count: number;
+  spent_txo_sum: number;
+  tx_count: number;
+}
+
+/**
+ * Address summary including confirmed and mempool totals
+ */
+export interface EsploraAddressInfo {
+  address: string;
+  chain_stats: EsploraAddressStats;
+  mempool_stats: EsploraAddressStats;
+}
+
+/**
+ * Operations the Bitcoin adapter needs from an indexer
+ */
+export interface EsploraClient {
+  getAddressInfo(address: string): Promise<EsploraAddressInfo>;
+  getAddressUtxos(address: string): Promise<EsploraUtxo[]>;
+  /**
+   * Get a page of address history, newest first
+   * @param lastSeenTxId Confirmed txid to continue after; omitted for the first page,
+   *                     which also includes mempool transactions
+   */
+  getAddressTransactions(address: string, lastSeenTxId?: string): Promise<EsploraTransaction[]>;
+  getTipHeight(): Promise<number>;
+}
+
+// Confirmed transactions returned per history page by Esplora
+export const ESPLORA_PAGE_SIZE = 25;
+
+/**
+ * Esplora client over the REST API using fetch
+ */
+export class HttpEsploraClient implements EsploraClient {
+  private baseUrl: string;
+
+  /**
+   * Create a new client
+   * @param baseUrl API root, e.g. https://blockstream.info/api
+   */
+  constructor(baseUrl: string) {
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+  }
+
+  /**
+   * Perform a GET request against the API
+   * @param path Path relative to the API root
+   * @param json Whether to parse the response as JSON
+   */
+  private async request<T>(path: string, json: boolean = true): Promise<T> {
+    const response = await fetch(`${this.baseUrl}${path}`);
+
+    if (!response.ok) {
+      const body = await response.text().catch(() => '');
+      throw new Error(`Esplora request ${path} failed with status ${response.status}${body ? `: ${body}` : ''}`);
+    }
+
+    return (json ? response.json() : response.text()) as Promise<T>;
+  }
+
+  public async getAddressInfo(address: string): Promise<EsploraAddressInfo> {
+    return this.request<EsploraAddressInfo>(`/address/${encodeURIComponent(address)}`);
+  }
+
+  public async getAddressUtxos(address: string): Promise<EsploraUtxo[]> {
+    return this.request<EsploraUtxo[]>(`/address/${encodeURIComponent(address)}/utxo`);
+  }
+
+  public async getAddressTransactions(address: string, lastSeenTxId?: string): Promise<EsploraTransaction[]> {
+    const path = lastSeenTxId
+      ? `/address/${encodeURIComponent(address)}/txs/chain/${lastSeenTxId}`
+      : `/address/${encodeURIComponent(address)}/txs`;
+    return this.request<EsploraTransaction[]>(path);
+  }
+
+  public async getTipHeight(): Promise<number> {
+    const height = await this.request<string>('/blocks/tip/height', false);
+    return parseInt(height, 10);
+  }
+}
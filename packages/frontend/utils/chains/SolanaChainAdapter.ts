@@ -1,89 +1,638 @@
 /**
- * Solana Chain Adapter (Placeholder for future implementation)
- * 
- * This module provides a placeholder implementation of the ChainAdapter interface
- * for Solana blockchain. It will be expanded in a future phase of development.
- * 
- * NOTE: This is an intentional placeholder adapter that will be fully implemented 
- * in Phase 3.4 (Multi-Chain Extension) as described in the ZKP-PLATFORM-IMPLEMENTATION-PLAN.md.
- * 
- * Current Status:
- * - Basic address validation is implemented
- * - All other methods throw "not implemented" errors
- * - This adapter should not be used in production until fully implemented
- * 
- * Implementation Plan:
- * - Phase 3.4 will implement full Solana SPL token and SOL balance verification
- * - Will leverage Solana Web3.js for blockchain data retrieval
- * - Will support both mainnet and testnet (devnet) environments
- * - Will include proper SPL token metadata retrieval
- * - Will implement proper signature verification using Solana standards
+ * Solana Chain Adapter Implementation
+ *
+ * This module implements the ChainAdapter interface for the Solana blockchain.
+ * It provides SOL and SPL token balances, paginated transaction history and
+ * ed25519 message signing/verification using Solana Web3.js and Phantom-compatible
+ * injected wallets.
+ *
+ * Signatures produced by signMessage are base58 encoded and carry the signer's
+ * public key after the 64 byte ed25519 signature, because ed25519 (unlike ECDSA)
+ * does not allow recovering the signer from a signature. Plain 64 byte signatures
+ * are still accepted and checked against the connected wallet.
  */
 import { BigNumber } from 'ethers';
+import {
+  Connection,
+  PublicKey,
+  ParsedTransactionWithMeta,
+  ConfirmedSignatureInfo,
+  Commitment
+} from '@solana/web3.js';
+import bs58 from 'bs58';
+import nacl from 'tweetnacl';
 import {
   ChainAdapter,
   Transaction,
   TransactionOptions,
-  ConnectionStatus
+  ConnectionStatus,
+  BalanceSnapshot,
+  HistoricalBalance
 } from './ChainAdapter';
 
+// Network configurations for supported Solana clusters
+// Solana has no EVM-style chain ID, so the registry uses reserved IDs
+export const SOLANA_NETWORKS = {
+  999: {
+    name: 'Solana',
+    cluster: 'mainnet-beta',
+    rpcUrl: process.env.NEXT_PUBLIC_SOLANA_RPC_URL || 'https://api.mainnet-beta.solana.com',
+    blockExplorer: 'https://explorer.solana.com',
+    symbol: 'SOL',
+    decimals: 9,
+    logo: '/assets/networks/solana.svg'
+  },
+  998: {
+    name: 'Solana Devnet',
+    cluster: 'devnet',
+    rpcUrl: process.env.NEXT_PUBLIC_SOLANA_DEVNET_RPC_URL || 'https://api.devnet.solana.com',
+    blockExplorer: 'https://explorer.solana.com/?cluster=devnet',
+    symbol: 'SOL',
+    decimals: 9,
+    logo: '/assets/networks/solana.svg',
+    testnet: true
+  }
+};
+
+// SPL token programs whose accounts count towards token balances
+export const SPL_TOKEN_PROGRAM_IDS = [
+  'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA', // SPL Token
+  'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb'  // Token-2022
+];
+
+// RPC limits for history retrieval
+const MAX_SIGNATURES_PER_PAGE = 1000;
+const MAX_TRANSACTIONS_PER_REQUEST = 100;
+
+const ED25519_SIGNATURE_LENGTH = 64;
+const ED25519_PUBLIC_KEY_LENGTH = 32;
+
+/**
+ * SPL token balance held by an address, aggregated per mint
+ */
+export interface SplTokenBalance {
+  mint: string;
+  amount: BigNumber;   // Raw amount in the token's smallest unit
+  decimals: number;
+  accounts: string[];  // Token accounts holding the mint
+}
+
+/**
+ * Options for creating a Solana adapter
+ */
+export interface SolanaAdapterOptions {
+  rpcUrl?: string;
+  commitment?: Commitment;
+}
+
 /**
- * Adapter for the Solana blockchain
- * 
- * Note: This is a placeholder for future implementation in later phases.
+ * Minimal shape of a Phantom-compatible injected provider
+ */
+interface SolanaWalletProvider {
+  publicKey: { toString(): string; toBytes(): Uint8Array } | null;
+  isConnected: boolean;
+  connect(options?: any): Promise<{ publicKey: { toString(): string } }>;
+  disconnect(): Promise<void>;
+  signMessage(message: Uint8Array, display?: string): Promise<{ signature: Uint8Array; publicKey?: any }>;
+  on?(event: string, handler: (...args: any[]) => void): void;
+  removeListener?(event: string, handler: (...args: any[]) => void): void;
+}
+
+/**
+ * Adapter for the Solana blockchain using Solana Web3.js
  */
 export class SolanaChainAdapter implements ChainAdapter {
+  private connection: Connection;
+  private chainId: number;
+  private commitment: Commitment;
+  private networkConfig: typeof SOLANA_NETWORKS[keyof typeof SOLANA_NETWORKS];
+  private wallet: SolanaWalletProvider | null = null;
+  private walletAddress: string | null = null;
   private connectionStatus: ConnectionStatus = ConnectionStatus.DISCONNECTED;
-  
-  constructor() {
-    console.warn('SolanaChainAdapter is a placeholder and not fully implemented yet');
+
+  /**
+   * Create a new Solana Chain Adapter
+   * @param chainId The registry chain ID of the cluster (defaults to mainnet-beta)
+   * @param options Optional RPC endpoint and commitment overrides
+   */
+  constructor(chainId: number = 999, options: SolanaAdapterOptions = {}) {
+    if (!SOLANA_NETWORKS[chainId]) {
+      console.warn(`Solana chain ID ${chainId} not supported, defaulting to mainnet-beta`);
+      this.chainId = 999;
+    } else {
+      this.chainId = chainId;
+    }
+
+    this.networkConfig = SOLANA_NETWORKS[this.chainId];
+    this.commitment = options.commitment || 'confirmed';
+    this.connection = new Connection(options.rpcUrl || this.networkConfig.rpcUrl, this.commitment);
+
+    this.handleAccountChanged = this.handleAccountChanged.bind(this);
+    this.handleDisconnect = this.handleDisconnect.bind(this);
   }
-  
+
+  /**
+   * Parse and validate a base58 address
+   * @param address The address to parse
+   * @returns The public key
+   */
+  private toPublicKey(address: string): PublicKey {
+    if (!this.validateAddress(address)) {
+      throw new Error('Invalid Solana address');
+    }
+    return new PublicKey(address);
+  }
+
+  /**
+   * Get the SOL balance of an address
+   * @param address The address to check
+   * @returns Promise resolving to the balance in lamports
+   */
   public async getBalance(address: string): Promise<BigNumber> {
-    throw new Error('SolanaChainAdapter is not implemented yet');
+    const publicKey = this.toPublicKey(address);
+
+    try {
+      const lamports = await this.connection.getBalance(publicKey, this.commitment);
+      return BigNumber.from(lamports);
+    } catch (error) {
+      console.error('Error getting balance:', error);
+      throw new Error(`Failed to get balance: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the SPL token balances of an address
+   * @param address The owner address
+   * @returns Promise resolving to balances aggregated per mint, empty accounts excluded
+   */
+  public async getTokenBalances(address: string): Promise<SplTokenBalance[]> {
+    const owner = this.toPublicKey(address);
+
+    try {
+      const responses = await Promise.all(
+        SPL_TOKEN_PROGRAM_IDS.map(programId =>
+          this.connection.getParsedTokenAccountsByOwner(owner, { programId: new PublicKey(programId) }, this.commitment)
+        )
+      );
+
+      const balances = new Map<string, SplTokenBalance>();
+
+      for (const response of responses) {
+        for (const { pubkey, account } of response.value) {
+          const info = account.data.parsed?.info;
+          if (!info?.mint || !info.tokenAmount) {
+            continue;
+          }
+
+          const amount = BigNumber.from(info.tokenAmount.amount);
+          if (amount.isZero()) {
+            continue;
+          }
+
+          const existing = balances.get(info.mint);
+          if (existing) {
+            existing.amount = existing.amount.add(amount);
+            existing.accounts.push(pubkey.toBase58());
+          } else {
+            balances.set(info.mint, {
+              mint: info.mint,
+              amount,
+              decimals: info.tokenAmount.decimals,
+              accounts: [pubkey.toBase58()]
+            });
+          }
+        }
+      }
+
+      return Array.from(balances.values());
+    } catch (error) {
+      console.error('Error getting token balances:', error);
+      throw new Error(`Failed to get token balances: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the balance of a single SPL token mint
+   * @param address The owner address
+   * @param mint The token mint address
+   * @returns Promise resolving to the raw token amount
+   */
+  public async getTokenBalance(address: string, mint: string): Promise<BigNumber> {
+    const balances = await this.getTokenBalances(address);
+    const balance = balances.find(token => token.mint === mint);
+    return balance ? balance.amount : BigNumber.from(0);
+  }
+
+  /**
+   * Get the SOL balance of an address at a past slot or date
+   *
+   * Reads the address's balance after its newest transaction at or before the
+   * snapshot. The slot reported is that transaction's; the balance is
+   * unchanged from it up to the snapshot. Needs an RPC node that keeps the
+   * address's full history.
+   * @param address The address to check
+   * @param blockOrTimestamp The slot, or the date to read the balance at
+   * @returns Promise resolving to the balance in lamports and the slot it was last changed in
+   */
+  public async getBalanceAt(address: string, blockOrTimestamp: BalanceSnapshot): Promise<HistoricalBalance> {
+    const publicKey = this.toPublicKey(address);
+
+    try {
+      let before: string | undefined;
+
+      for (;;) {
+        const page = await this.connection.getSignaturesForAddress(
+          publicKey,
+          { before, limit: MAX_SIGNATURES_PER_PAGE },
+          this.commitment === 'finalized' ? 'finalized' : 'confirmed'
+        );
+        const latest = page.find(info => ('blockNumber' in blockOrTimestamp
+          ? info.slot <= blockOrTimestamp.blockNumber
+          : (info.blockTime || 0) <= blockOrTimestamp.timestamp));
+
+        if (latest) {
+          const parsed = await this.connection.getParsedTransaction(latest.signature, {
+            maxSupportedTransactionVersion: 0,
+            commitment: 'confirmed'
+          });
+          if (!parsed || !parsed.meta) {
+            throw new Error(`Transaction ${latest.signature} not found`);
+          }
+
+          const index = parsed.transaction.message.accountKeys.findIndex(key => key.pubkey.toBase58() === address);
+          return {
+            balance: BigNumber.from(parsed.meta.postBalances[index] || 0),
+            blockNumber: parsed.slot,
+            timestamp: parsed.blockTime || latest.blockTime || 0
+          };
+        }
+
+        if (page.length < MAX_SIGNATURES_PER_PAGE) {
+          break;
+        }
+        before = page[page.length - 1].signature;
+      }
+
+      // No transactions before the snapshot, so the account did not hold SOL yet
+      return { balance: BigNumber.from(0), blockNumber: 0, timestamp: 0 };
+    } catch (error) {
+      console.error('Error getting historical balance:', error);
+      throw new Error(`Failed to get balance: ${error.message}`);
+    }
+  }
+
+  /**
+   * Collect signatures for an address, paging backwards from the newest
+   * @param address The address to get signatures for
+   * @param options Transaction retrieval options
+   * @returns Signatures within the requested slot range, newest first
+   */
+  private async getSignatures(
+    address: PublicKey,
+    options: TransactionOptions
+  ): Promise<ConfirmedSignatureInfo[]> {
+    const wanted = (options.offset || 0) + (options.limit || 10);
+    const collected: ConfirmedSignatureInfo[] = [];
+    let before: string | undefined;
+
+    while (collected.length < wanted) {
+      const page = await this.connection.getSignaturesForAddress(
+        address,
+        { before, limit: MAX_SIGNATURES_PER_PAGE },
+        this.commitment === 'finalized' ? 'finalized' : 'confirmed'
+      );
+
+      if (page.length === 0) {
+        break;
+      }
+
+      for (const info of page) {
+        if (options.endBlock !== undefined && info.slot > options.endBlock) {
+          continue;
+        }
+        if (options.startBlock !== undefined && info.slot < options.startBlock) {
+          // Pages are ordered newest first, so nothing older can match
+          return collected;
+        }
+        collected.push(info);
+      }
+
+      if (page.length < MAX_SIGNATURES_PER_PAGE) {
+        break;
+      }
+
+      before = page[page.length - 1].signature;
+    }
+
+    return collected;
+  }
+
+  /**
+   * Map a parsed transaction onto the common transaction format
+   *
+   * Value and direction come from the address's SOL balance change; the fee is
+   * excluded when the address paid it, so outgoing values are the amount sent.
+   */
+  private toTransaction(
+    address: string,
+    info: ConfirmedSignatureInfo,
+    parsed: ParsedTransactionWithMeta | null,
+    currentSlot: number
+  ): Transaction | null {
+    if (!parsed || !parsed.meta) {
+      return null;
+    }
+
+    const accountKeys = parsed.transaction.message.accountKeys.map(key => key.pubkey.toBase58());
+    const index = accountKeys.indexOf(address);
+    if (index === -1) {
+      return null;
+    }
+
+    const { preBalances, postBalances, fee } = parsed.meta;
+    const deltas = accountKeys.map((_, i) => (postBalances[i] || 0) - (preBalances[i] || 0));
+    const feePaid = index === 0 ? fee : 0;
+    const delta = deltas[index] + feePaid;
+    const isIncoming = delta > 0;
+
+    // The counterparty is the account whose balance moved the most the other way
+    let counterparty = '';
+    let counterpartyDelta = 0;
+    deltas.forEach((value, i) => {
+      if (i === index) {
+        return;
+      }
+      const adjusted = value + (i === 0 ? fee : 0);
+      if (isIncoming ? adjusted < counterpartyDelta : adjusted > counterpartyDelta) {
+        counterparty = accountKeys[i];
+        counterpartyDelta = adjusted;
+      }
+    });
+
+    let status: Transaction['status'] = parsed.meta.err ? 'failed' : 'success';
+    if (!parsed.meta.err && info.confirmationStatus === 'processed') {
+      status = 'pending';
+    }
+
+    return {
+      hash: info.signature,
+      from: isIncoming ? counterparty : address,
+      to: isIncoming ? address : counterparty,
+      value: Math.abs(delta).toString(),
+      timestamp: parsed.blockTime || info.blockTime || 0,
+      blockNumber: parsed.slot,
+      confirmations: Math.max(currentSlot - parsed.slot, 0),
+      status
+    };
   }
-  
-  public async getTransactions(address: string, options?: TransactionOptions): Promise<Transaction[]> {
-    throw new Error('SolanaChainAdapter is not implemented yet');
+
+  /**
+   * Get transactions for an address
+   * @param address The address to get transactions for
+   * @param options Transaction retrieval options (blocks are slots)
+   * @returns Promise resolving to an array of transactions, newest first
+   */
+  public async getTransactions(
+    address: string,
+    options: TransactionOptions = {}
+  ): Promise<Transaction[]> {
+    const publicKey = this.toPublicKey(address);
+    const limit = options.limit || 10;
+    const offset = options.offset || 0;
+
+    try {
+      const signatures = (await this.getSignatures(publicKey, options)).slice(offset, offset + limit);
+      if (signatures.length === 0) {
+        return [];
+      }
+
+      const currentSlot = await this.connection.getSlot(this.commitment);
+      const transactions: Transaction[] = [];
+
+      for (let i = 0; i < signatures.length; i += MAX_TRANSACTIONS_PER_REQUEST) {
+        const chunk = signatures.slice(i, i + MAX_TRANSACTIONS_PER_REQUEST);
+        const parsed = await this.connection.getParsedTransactions(
+          chunk.map(info => info.signature),
+          { maxSupportedTransactionVersion: 0, commitment: 'confirmed' }
+        );
+
+        chunk.forEach((info, j) => {
+          const tx = this.toTransaction(address, info, parsed[j], currentSlot);
+          if (tx) {
+            transactions.push(tx);
+          }
+        });
+      }
+
+      if (options.minValue) {
+        return transactions.filter(tx => BigNumber.from(tx.value).gte(options.minValue));
+      }
+
+      return transactions;
+    } catch (error) {
+      console.error('Error getting transactions:', error);
+      throw new Error(`Failed to get transactions: ${error.message}`);
+    }
   }
-  
+
+  /**
+   * Validate a Solana address
+   * @param address The address to validate
+   * @returns Whether the address is a base58 encoded 32 byte public key
+   */
   public validateAddress(address: string): boolean {
-    // Basic validation for Solana addresses
-    // This is a placeholder and should be expanded in the future
-    return address.length === 44 || address.length === 43;
+    if (typeof address !== 'string' || address.length < 32 || address.length > 44) {
+      return false;
+    }
+
+    try {
+      return bs58.decode(address).length === ED25519_PUBLIC_KEY_LENGTH;
+    } catch {
+      return false;
+    }
   }
-  
+
+  /**
+   * Sign a message with the connected wallet
+   * @param message The message to sign
+   * @returns Promise resolving to the base58 signature followed by the signer's public key
+   */
   public async signMessage(message: string): Promise<string> {
-    throw new Error('SolanaChainAdapter is not implemented yet');
+    if (!this.wallet || !this.walletAddress) {
+      throw new Error('Wallet not connected');
+    }
+
+    try {
+      const encodedMessage = new TextEncoder().encode(message);
+      const { signature } = await this.wallet.signMessage(encodedMessage, 'utf8');
+      const publicKey = new PublicKey(this.walletAddress).toBytes();
+
+      const combined = new Uint8Array(ED25519_SIGNATURE_LENGTH + ED25519_PUBLIC_KEY_LENGTH);
+      combined.set(signature, 0);
+      combined.set(publicKey, ED25519_SIGNATURE_LENGTH);
+
+      return bs58.encode(combined);
+    } catch (error) {
+      console.error('Error signing message:', error);
+      throw new Error(`Failed to sign message: ${error.message}`);
+    }
   }
-  
+
+  /**
+   * Verify a message signature and return the signing address
+   * @param message The original message that was signed
+   * @param signature Base58 signature, optionally followed by the signer's public key
+   * @returns The address that created the signature
+   */
   public getAddressFromSignature(message: string, signature: string): string {
-    throw new Error('SolanaChainAdapter is not implemented yet');
+    let bytes: Uint8Array;
+    try {
+      bytes = bs58.decode(signature);
+    } catch {
+      throw new Error('Failed to recover address: invalid signature encoding');
+    }
+
+    let publicKey: Uint8Array;
+    if (bytes.length === ED25519_SIGNATURE_LENGTH + ED25519_PUBLIC_KEY_LENGTH) {
+      publicKey = bytes.slice(ED25519_SIGNATURE_LENGTH);
+    } else if (bytes.length === ED25519_SIGNATURE_LENGTH && this.walletAddress) {
+      publicKey = new PublicKey(this.walletAddress).toBytes();
+    } else {
+      throw new Error('Failed to recover address: signature does not identify its signer');
+    }
+
+    const isValid = nacl.sign.detached.verify(
+      new TextEncoder().encode(message),
+      bytes.slice(0, ED25519_SIGNATURE_LENGTH),
+      publicKey
+    );
+
+    if (!isValid) {
+      throw new Error('Failed to recover address: signature verification failed');
+    }
+
+    return bs58.encode(publicKey);
   }
-  
+
+  /**
+   * Get the chain ID for this adapter
+   * @returns The registry chain ID
+   */
   public getChainId(): number {
-    // Solana doesn't use the same chainId concept as EVM chains
-    // Using 999 as a placeholder to differentiate
-    return 999;
+    return this.chainId;
   }
-  
+
+  /**
+   * Get human-readable name of the chain
+   * @returns The chain name
+   */
   public getChainName(): string {
-    return 'Solana';
+    return this.networkConfig.name;
   }
-  
+
+  /**
+   * Get the current connection status
+   * @returns The connection status
+   */
   public getConnectionStatus(): ConnectionStatus {
     return this.connectionStatus;
   }
-  
-  public async connect(options?: any): Promise<string> {
-    throw new Error('SolanaChainAdapter is not implemented yet');
+
+  /**
+   * Connect to a Phantom-compatible wallet
+   * @param options Optional connection options; `provider` overrides the injected wallet
+   * @returns Promise resolving to the connected address
+   */
+  public async connect(options: any = {}): Promise<string> {
+    try {
+      this.connectionStatus = ConnectionStatus.CONNECTING;
+
+      const provider: SolanaWalletProvider | undefined = options.provider ||
+        (typeof window !== 'undefined' ? (window as any).solana : undefined);
+
+      if (!provider) {
+        this.connectionStatus = ConnectionStatus.DISCONNECTED;
+        throw new Error('No Solana wallet detected. Please install Phantom or another Solana wallet.');
+      }
+
+      const response = await provider.connect(options.onlyIfTrusted ? { onlyIfTrusted: true } : undefined);
+      const publicKey = response?.publicKey || provider.publicKey;
+
+      if (!publicKey) {
+        throw new Error('No public key returned from wallet');
+      }
+
+      this.wallet = provider;
+      this.walletAddress = publicKey.toString();
+
+      if (provider.on) {
+        provider.on('accountChanged', this.handleAccountChanged);
+        provider.on('disconnect', this.handleDisconnect);
+      }
+
+      this.connectionStatus = ConnectionStatus.CONNECTED;
+      return this.walletAddress;
+    } catch (error) {
+      this.connectionStatus = ConnectionStatus.ERROR;
+      console.error('Connection error:', error);
+      throw new Error(`Connection failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Handle account changes from the wallet
+   * @param publicKey New public key, or null when the wallet hides the account
+   */
+  private async handleAccountChanged(publicKey: { toString(): string } | null): Promise<void> {
+    if (!publicKey) {
+      await this.disconnect();
+      return;
+    }
+
+    this.walletAddress = publicKey.toString();
+
+    if (typeof window !== 'undefined') {
+      const event = new CustomEvent('solanaAccountChanged', {
+        detail: { address: this.walletAddress, chainId: this.chainId }
+      });
+      window.dispatchEvent(event);
+    }
   }
-  
+
+  /**
+   * Handle disconnect events from the wallet
+   */
+  private async handleDisconnect(): Promise<void> {
+    await this.disconnect();
+  }
+
+  /**
+   * Disconnect from the chain
+   * @returns Promise that resolves when disconnected
+   */
   public async disconnect(): Promise<void> {
+    if (this.wallet?.removeListener) {
+      this.wallet.removeListener('accountChanged', this.handleAccountChanged);
+      this.wallet.removeListener('disconnect', this.handleDisconnect);
+    }
+
+    this.wallet = null;
+    this.walletAddress = null;
     this.connectionStatus = ConnectionStatus.DISCONNECTED;
+
+    if (typeof window !== 'undefined') {
+      const event = new CustomEvent('solanaDisconnected', {
+        detail: { chainId: this.chainId }
+      });
+      window.dispatchEvent(event);
+    }
   }
-  
+
+  /**
+   * Check if the adapter is ready to use
+   * @returns Whether the adapter is ready
+   */
   public isReady(): boolean {
-    return false; // Not implemented yet
+    return this.connection !== null;
   }
-}
\ No newline at end of file
+}
@@ -0,0 +1,365 @@
+/**
+ * @jest-environment node
+ */
+/**
+ * Bitcoin Chain Adapter Tests
+ *
+ * Runs the adapter against a local mock Esplora server so balances and history
+ * go through the real HTTP client. Message verification is checked against the
+ * BIP-322 reference vectors and BIP-137 signatures produced in the tests.
+ */
+import { BigNumber } from 'ethers';
+import { secp256k1 } from '@noble/curves/secp256k1';
+import { base64 } from '@scure/base';
+import { BitcoinChainAdapter } from '../BitcoinChainAdapter';
+import { bip137MessageHash, publicKeyToAddresses } from '../bitcoinUtils';
+import { ConnectionStatus } from '../ChainAdapter';
+import { ChainAdapterRegistry, ChainType } from '../ChainAdapterRegistry';
+import { TransactionHistoryProcessor } from '../../../services/TransactionHistoryProcessor';
+import { startMockEsplora, MockEsplora } from './helpers/mockEsplora';
+
+const txid = (n: number) => n.toString(16).padStart(64, '0');
+
+// BIP-322 reference vectors (private key L3VFeEujGtevx9w18HD1fhRbCH67Az2dpCymeRE1SoPK6XQtaN2k)
+const BIP322_P2WPKH = 'bc1q9vza2e8x573nczrlzms0wvx3gsqjx7vavgkx0l';
+const BIP322_P2WPKH_SIGNATURE = 'AkcwRAIgZRfIY3p7/DoVTty6YZbWS71bc5Vct9p9Fia83eRmw2QCICK/ENGfwLtptFluMGs2KsqoNSk89pO7F29zJLUx9a/sASECx/EgAxlkQpQ9hYjgGu6EBCPMVPwVIVJqO4XCsMvViHI=';
+const BIP322_P2WPKH_EMPTY_SIGNATURE = 'AkcwRAIgM2gBAQqvZX15ZiysmKmQpDrG83avLIT492QBzLnQIxYCIBaTpOaD20qRlEylyxFSeEA2ba9YOixpX8z46TSDtS40ASECx/EgAxlkQpQ9hYjgGu6EBCPMVPwVIVJqO4XCsMvViHI=';
+const BIP322_P2TR = 'bc1ppv609nr0vr25u07u95waq5lucwfm6tde4nydujnu8npg4q75mr5sxq8lt3';
+const BIP322_P2TR_SIGNATURE = 'AUHd69PrJQEv+oKTfZ8l+WROBHuy9HKrbFCJu7U1iK2iiEy1vMU5EfMtjc+VSHM7aU0SDbak5IUZRVno2P5mjSafAQ==';
+
+/**
+ * Produce a BIP-137 signature with the given header offset
+ * (31 = compressed P2PKH, 35 = nested segwit, 39 = native segwit)
+ */
+const signBip137 = (privateKey: Uint8Array, message: string, headerBase: number = 31) => {
+  const signature = secp256k1.sign(bip137MessageHash(message), privateKey);
+  const bytes = new Uint8Array(65);
+  bytes[0] = headerBase + signature.recovery;
+  bytes.set(signature.toCompactRawBytes(), 1);
+  return base64.encode(bytes);
+};
+
+// UniSat-like injected provider that signs with a local key
+const createWalletProvider = (address: string, sign: (message: string) => string) => ({
+  requestAccounts: jest.fn().mockResolvedValue([address]),
+  signMessage: jest.fn().mockImplementation(async (message: string) => sign(message)),
+  on: jest.fn(),
+  removeListener: jest.fn()
+});
+
+describe('BitcoinChainAdapter', () => {
+  let esplora: MockEsplora;
+  let adapter: BitcoinChainAdapter;
+  const privateKey = secp256k1.utils.randomPrivateKey();
+  const addresses = publicKeyToAddresses(secp256k1.getPublicKey(privateKey, true));
+  const owner = addresses.p2wpkh;
+  const counterparty = '1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa';
+
+  beforeEach(async () => {
+    esplora = await startMockEsplora();
+    adapter = new BitcoinChainAdapter(0, { esploraUrl: esplora.url });
+  });
+
+  afterEach(async () => {
+    await esplora.close();
+  });
+
+  describe('validateAddress', () => {
+    it('should accept legacy, segwit and taproot mainnet addresses', () => {
+      expect(adapter.validateAddress('1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNa')).toBe(true);
+      expect(adapter.validateAddress('3J98t1WpEZ73CNmQviecrnyiWrnqRhWNLy')).toBe(true);
+      expect(adapter.validateAddress('bc1qar0srrr7xfkvy5l643lydnw9re59gtzzwf5mdq')).toBe(true);
+      expect(adapter.validateAddress('BC1QAR0SRRR7XFKVY5L643LYDNW9RE59GTZZWF5MDQ')).toBe(true);
+      expect(adapter.validateAddress('bc1qrp33g0q5c5txsp9arysrx4k6zdkfs4nce4xj0gdcccefvpysxf3qccfmv3')).toBe(true);
+      expect(adapter.validateAddress(BIP322_P2TR)).toBe(true);
+    });
+
+    it('should reject bad checksums, wrong encodings and other networks', () => {
+      expect(adapter.validateAddress('1A1zP1eP5QGefi2DMPTfTL5SLmv7DivfNb')).toBe(false);
+      expect(adapter.validateAddress('bc1qar0srrr7xfkvy5l643lydnw9re59gtzzwf5mdx')).toBe(false);
+      // Taproot program encoded with bech32 instead of bech32m
+      expect(adapter.validateAddress('bc1pw508d6qejxtdg4y5r3zarvary0c5xw7kw508d6qejxtdg4y5r3zarvary0c5xw7k7grplx')).toBe(false);
+      expect(adapter.validateAddress('bc1qAr0srrr7xfkvy5l643lydnw9re59gtzzwf5mdq')).toBe(false);
+      expect(adapter.validateAddress('tb1qw508d6qejxtdg4y5r3zarvary0c5xw7kxpjzsx')).toBe(false);
+      expect(adapter.validateAddress('0x1234567890123456789012345678901234567890')).toBe(false);
+    });
+  });
+
+  describe('getBalance', () => {
+    it('should sum confirmed UTXOs across address types', async () => {
+      esplora.addUtxo(owner, 150000, 849000);
+      esplora.addUtxo(owner, 50000, 849500);
+      esplora.addUtxo(owner, 999, undefined);
+      esplora.addUtxo(BIP322_P2TR, 2100, 840000);
+      esplora.addUtxo(addresses.p2pkh, 700, 800000);
+
+      expect((await adapter.getBalance(owner)).toString()).toBe('200000');
+      expect((await adapter.getBalance(BIP322_P2TR)).toString()).toBe('2100');
+      expect((await adapter.getBalance(addresses.p2pkh)).toString()).toBe('700');
+      expect((await adapter.getUtxos(owner))).toHaveLength(2);
+    });
+
+    it('should include mempool outputs when configured to', async () => {
+      esplora.addUtxo(owner, 150000, 849000);
+      esplora.addUtxo(owner, 999, undefined);
+      const mempoolAdapter = new BitcoinChainAdapter(0, { esploraUrl: esplora.url, includeUnconfirmed: true });
+
+      expect((await mempoolAdapter.getBalance(owner)).toString()).toBe('150999');
+    });
+
+    it('should fall back to address totals when UTXOs cannot be listed', async () => {
+      esplora.addTransfer({ txid: txid(1), height: 849000, from: counterparty, to: owner, value: 500000 });
+      esplora.addTransfer({ txid: txid(2), height: 849100, from: owner, to: counterparty, value: 100000, change: 390000, fee: 10000 });
+      esplora.state.tooManyUtxos.push(owner);
+
+      const balance = await adapter.getBalance(owner);
+
+      expect(balance.toString()).toBe('390000');
+      expect(esplora.requests).toContain(`/address/${owner}`);
+    });
+
+    it('should reject invalid addresses before calling the indexer', async () => {
+      await expect(adapter.getBalance('not-an-address')).rejects.toThrow('Invalid Bitcoin address');
+      expect(esplora.requests).toHaveLength(0);
+    });
+  });
+
+  describe('getBalanceAt', () => {
+    beforeEach(() => {
+      esplora.addTransfer({ txid: txid(1), height: 800000, blockTime: 1690000000, from: counterparty, to: owner, value: 100000 });
+      esplora.addTransfer({ txid: txid(2), height: 810000, blockTime: 1695000000, from: owner, to: counterparty, value: 30000, change: 60000 });
+      esplora.addTransfer({ txid: txid(3), height: 820000, blockTime: 1700000000, from: counterparty, to: owner, value: 5000 });
+      esplora.addTransfer({ txid: txid(4), from: counterparty, to: owner, value: 777 });
+    });
+
+    it('should replay confirmed history up to a block', async () => {
+      const snapshot = await adapter.getBalanceAt(owner, { blockNumber: 805000 });
+
+      expect(snapshot.balance.toString()).toBe('100000');
+      expect(snapshot.blockNumber).toBe(800000);
+      expect(snapshot.timestamp).toBe(1690000000);
+    });
+
+    it('should replay confirmed history up to a date', async () => {
+      const snapshot = await adapter.getBalanceAt(owner, { timestamp: 1697000000 });
+
+      // 100000 received, then 91000 spent with 60000 change back
+      expect(snapshot.balance.toString()).toBe('69000');
+      expect(snapshot.blockNumber).toBe(810000);
+    });
+
+    it('should report an empty balance before the first transaction', async () => {
+      const snapshot = await adapter.getBalanceAt(owner, { timestamp: 1600000000 });
+
+      expect(snapshot).toEqual({ balance: BigNumber.from(0), blockNumber: 0, timestamp: 0 });
+    });
+
+    it('should page through the whole history', async () => {
+      for (let i = 0; i < 30; i++) {
+        esplora.addTransfer({ txid: txid(100 + i), height: 700000 + i, blockTime: 1600000000 + i, from: counterparty, to: addresses.p2pkh, value: 1000 });
+      }
+
+      const snapshot = await adapter.getBalanceAt(addresses.p2pkh, { blockNumber: 700029 });
+
+      expect(snapshot.balance.toString()).toBe('30000');
+      expect(esplora.requests.some(path => path.includes('/txs/chain/'))).toBe(true);
+    });
+  });
+
+  describe('getTransactions', () => {
+    it('should map transfers onto the common transaction format', async () => {
+      esplora.addTransfer({ txid: txid(1), height: 849000, blockTime: 1700000000, from: counterparty, to: owner, value: 500000 });
+      esplora.addTransfer({ txid: txid(2), height: 849900, blockTime: 1700500000, from: owner, to: counterparty, value: 100000, change: 399000 });
+      esplora.addTransfer({ txid: txid(3), from: counterparty, to: owner, value: 25000 });
+
+      const transactions = await adapter.getTransactions(owner);
+
+      expect(transactions).toEqual([
+        {
+          hash: txid(3),
+          from: counterparty,
+          to: owner,
+          value: '25000',
+          timestamp: 0,
+          blockNumber: 0,
+          confirmations: 0,
+          status: 'pending'
+        },
+        {
+          hash: txid(2),
+          from: owner,
+          to: counterparty,
+          value: '100000',
+          timestamp: 1700500000,
+          blockNumber: 849900,
+          confirmations: 101,
+          status: 'success'
+        },
+        {
+          hash: txid(1),
+          from: counterparty,
+          to: owner,
+          value: '500000',
+          timestamp: 1700000000,
+          blockNumber: 849000,
+          confirmations: 1001,
+          status: 'success'
+        }
+      ]);
+    });
+
+    it('should page through confirmed history to honour offset and limit', async () => {
+      for (let i = 1; i <= 30; i++) {
+        esplora.addTransfer({ txid: txid(i), height: 840000 + i, from: counterparty, to: owner, value: i });
+      }
+
+      const transactions = await adapter.getTransactions(owner, { offset: 26, limit: 3 });
+
+      expect(transactions.map(tx => tx.value)).toEqual(['4', '3', '2']);
+      expect(esplora.requests.filter(path => path.includes('/txs'))).toEqual([
+        `/address/${owner}/txs`,
+        `/address/${owner}/txs/chain/${txid(6)}`
+      ]);
+    });
+
+    it('should restrict history to the requested block range and minimum value', async () => {
+      esplora.addTransfer({ txid: txid(1), from: counterparty, to: owner, value: 900 });
+      esplora.addTransfer({ txid: txid(2), height: 849800, from: counterparty, to: owner, value: 500 });
+      esplora.addTransfer({ txid: txid(3), height: 849600, from: counterparty, to: owner, value: 10 });
+      esplora.addTransfer({ txid: txid(4), height: 849500, from: counterparty, to: owner, value: 500 });
+      esplora.addTransfer({ txid: txid(5), height: 849000, from: counterparty, to: owner, value: 500 });
+
+      const transactions = await adapter.getTransactions(owner, {
+        startBlock: 849400,
+        endBlock: 849700,
+        minValue: BigNumber.from(100)
+      });
+
+      expect(transactions.map(tx => tx.hash)).toEqual([txid(4)]);
+    });
+  });
+
+  describe('TransactionHistoryProcessor integration', () => {
+    it('should normalize Bitcoin history for proof generation', async () => {
+      esplora.addTransfer({ txid: txid(7), height: 849000, blockTime: 1700000000, from: counterparty, to: owner, value: 150000000 });
+
+      const registry = {
+        getAdapterById: () => adapter,
+        getChainTypeById: () => ChainType.BITCOIN,
+        getAllChainIds: () => [0]
+      } as unknown as ChainAdapterRegistry;
+      const processor = new TransactionHistoryProcessor(registry);
+
+      const [transaction] = await processor.getAllChainTransactions(owner, { includeOutgoing: false });
+
+      expect(transaction).toMatchObject({
+        id: `0-${txid(7)}`,
+        chainId: 0,
+        chainType: ChainType.BITCOIN,
+        from: counterparty,
+        to: owner
+      });
+      expect(transaction.value.toString()).toBe('150000000');
+    });
+  });
+
+  describe('message verification', () => {
+    it('should verify the BIP-322 reference vectors', () => {
+      expect(adapter.verifyOwnership(BIP322_P2WPKH, 'Hello World', BIP322_P2WPKH_SIGNATURE)).toBe(true);
+      expect(adapter.verifyOwnership(BIP322_P2WPKH, '', BIP322_P2WPKH_EMPTY_SIGNATURE)).toBe(true);
+      expect(adapter.verifyOwnership(BIP322_P2TR, 'Hello World', BIP322_P2TR_SIGNATURE)).toBe(true);
+    });
+
+    it('should reject BIP-322 signatures over another message or address', () => {
+      expect(adapter.verifyOwnership(BIP322_P2WPKH, '', BIP322_P2WPKH_SIGNATURE)).toBe(false);
+      expect(adapter.verifyOwnership(BIP322_P2TR, 'Hello World!', BIP322_P2TR_SIGNATURE)).toBe(false);
+      expect(adapter.verifyOwnership(owner, 'Hello World', BIP322_P2WPKH_SIGNATURE)).toBe(false);
+    });
+
+    it('should recover the signer of a P2WPKH BIP-322 signature', () => {
+      expect(adapter.getAddressFromSignature('Hello World', BIP322_P2WPKH_SIGNATURE)).toBe(BIP322_P2WPKH);
+      expect(() => adapter.getAddressFromSignature('Goodbye', BIP322_P2WPKH_SIGNATURE))
+        .toThrow('signature verification failed');
+    });
+
+    it('should require a known address for taproot signatures', () => {
+      expect(() => adapter.getAddressFromSignature('Hello World', BIP322_P2TR_SIGNATURE))
+        .toThrow('does not identify its signer');
+    });
+
+    it('should recover BIP-137 signers according to the header', () => {
+      const message = 'I control these funds';
+
+      expect(adapter.getAddressFromSignature(message, signBip137(privateKey, message, 31))).toBe(addresses.p2pkh);
+      expect(adapter.getAddressFromSignature(message, signBip137(privateKey, message, 35))).toBe(addresses.p2shP2wpkh);
+      expect(adapter.getAddressFromSignature(message, signBip137(privateKey, message, 39))).toBe(addresses.p2wpkh);
+    });
+
+    it('should accept BIP-137 signatures for any address type of the key', () => {
+      const message = 'Proof of funds';
+      const signature = signBip137(privateKey, message, 31);
+
+      expect(adapter.verifyOwnership(addresses.p2pkh, message, signature)).toBe(true);
+      expect(adapter.verifyOwnership(addresses.p2shP2wpkh, message, signature)).toBe(true);
+      expect(adapter.verifyOwnership(addresses.p2wpkh, message, signature)).toBe(true);
+      expect(adapter.verifyOwnership(counterparty, message, signature)).toBe(false);
+      expect(adapter.verifyOwnership(addresses.p2pkh, 'Another message', signature)).toBe(false);
+    });
+  });
+
+  describe('wallet connection', () => {
+    it('should sign with the connected wallet and recover the signer', async () => {
+      const provider = createWalletProvider(owner, message => signBip137(privateKey, message, 31));
+
+      const address = await adapter.connect({ provider });
+      const signature = await adapter.signMessage('I own these funds');
+
+      expect(address).toBe(owner);
+      expect(adapter.getConnectionStatus()).toBe(ConnectionStatus.CONNECTED);
+      expect(provider.signMessage).toHaveBeenCalledWith('I own these funds', 'bip322-simple');
+      // P2PKH header, but the connected segwit address is controlled by the same key
+      expect(adapter.getAddressFromSignature('I own these funds', signature)).toBe(owner);
+    });
+
+    it('should verify taproot signatures against the connected wallet', async () => {
+      await adapter.connect({ provider: createWalletProvider(BIP322_P2TR, () => BIP322_P2TR_SIGNATURE) });
+
+      expect(adapter.getAddressFromSignature('Hello World', await adapter.signMessage('Hello World'))).toBe(BIP322_P2TR);
+    });
+
+    it('should use BIP-137 for legacy accounts', async () => {
+      const provider = createWalletProvider(addresses.p2pkh, message => signBip137(privateKey, message, 31));
+      await adapter.connect({ provider });
+
+      await adapter.signMessage('legacy');
+
+      expect(provider.signMessage).toHaveBeenCalledWith('legacy', 'ecdsa');
+    });
+
+    it('should refuse to sign without a connected wallet', async () => {
+      await expect(adapter.signMessage('hello')).rejects.toThrow('Wallet not connected');
+    });
+
+    it('should fail to connect when no wallet is available', async () => {
+      await expect(adapter.connect()).rejects.toThrow('No Bitcoin wallet detected');
+      expect(adapter.getConnectionStatus()).toBe(ConnectionStatus.ERROR);
+    });
+
+    it('should reject wallet accounts from another network', async () => {
+      const provider = createWalletProvider('tb1qw508d6qejxtdg4y5r3zarvary0c5xw7kxpjzsx', () => '');
+
+      await expect(adapter.connect({ provider })).rejects.toThrow('is not a Bitcoin address');
+    });
+
+    it('should clear the wallet on disconnect', async () => {
+      const provider = createWalletProvider(owner, () => '');
+      await adapter.connect({ provider });
+
+      await adapter.disconnect();
+
+      expect(adapter.getConnectionStatus()).toBe(ConnectionStatus.DISCONNECTED);
+      expect(provider.removeListener).toHaveBeenCalledWith('accountsChanged', expect.any(Function));
+      await expect(adapter.signMessage('hello')).rejects.toThrow('Wallet not connected');
+    });
+  });
+});
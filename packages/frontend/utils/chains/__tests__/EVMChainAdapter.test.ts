@@ -0,0 +1,120 @@
+/**
+ * @jest-environment node
+ */
+/**
+ * EVM Chain Adapter Tests
+ *
+ * Covers historical balances against an in-memory provider whose blocks are
+ * mined every 12 seconds, so block lookups by date can be checked exactly.
+ */
+import { BigNumber, ethers } from 'ethers';
+import { EVMChainAdapter } from '../EVMChainAdapter';
+
+const GENESIS_TIME = 1600000000;
+const BLOCK_TIME = 12;
+const LATEST_BLOCK = 1000;
+
+const OWNER = '0x1234567890123456789012345678901234567890';
+const TOKEN = '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48';
+
+// Provider with blocks 0..LATEST_BLOCK whose balances grow by 1000 wei per block
+const createProvider = () => ({
+  _isProvider: true,
+  getBlockNumber: jest.fn().mockResolvedValue(LATEST_BLOCK),
+  getBlock: jest.fn().mockImplementation(async (blockNumber: number) => (blockNumber <= LATEST_BLOCK
+    ? { number: blockNumber, timestamp: GENESIS_TIME + blockNumber * BLOCK_TIME }
+    : null)),
+  getBalance: jest.fn().mockImplementation(async (_address: string, blockTag: number) => BigNumber.from(blockTag * 1000)),
+  call: jest.fn().mockResolvedValue(ethers.utils.defaultAbiCoder.encode(['uint256'], [42]))
+});
+
+describe('EVMChainAdapter', () => {
+  let provider: ReturnType<typeof createProvider>;
+  let adapter: EVMChainAdapter;
+
+  beforeEach(() => {
+    provider = createProvider();
+    adapter = new EVMChainAdapter(1, { provider: provider as unknown as ethers.providers.Provider });
+  });
+
+  describe('findBlockByTimestamp', () => {
+    it('should find the block mined at a timestamp', async () => {
+      expect(await adapter.findBlockByTimestamp(GENESIS_TIME + 500 * BLOCK_TIME)).toEqual({
+        blockNumber: 500,
+        timestamp: GENESIS_TIME + 500 * BLOCK_TIME
+      });
+    });
+
+    it('should find the last block before a timestamp between blocks', async () => {
+      const { blockNumber } = await adapter.findBlockByTimestamp(GENESIS_TIME + 321 * BLOCK_TIME + 5);
+
+      expect(blockNumber).toBe(321);
+    });
+
+    it('should use the latest block for timestamps after it', async () => {
+      const { blockNumber } = await adapter.findBlockByTimestamp(GENESIS_TIME + 10 * LATEST_BLOCK * BLOCK_TIME);
+
+      expect(blockNumber).toBe(LATEST_BLOCK);
+    });
+
+    it('should reject timestamps before the first block', async () => {
+      await expect(adapter.findBlockByTimestamp(GENESIS_TIME - 1)).rejects.toThrow('No block exists before');
+    });
+
+    it('should need a logarithmic number of block lookups', async () => {
+      await adapter.findBlockByTimestamp(GENESIS_TIME + 777 * BLOCK_TIME);
+
+      expect(provider.getBlock.mock.calls.length).toBeLessThanOrEqual(Math.ceil(Math.log2(LATEST_BLOCK)) + 3);
+    });
+  });
+
+  describe('getBalanceAt', () => {
+    it('should read the balance at the last block before a date', async () => {
+      const snapshot = await adapter.getBalanceAt(OWNER, { timestamp: GENESIS_TIME + 250 * BLOCK_TIME + 1 });
+
+      expect(snapshot).toEqual({
+        balance: BigNumber.from(250000),
+        blockNumber: 250,
+        timestamp: GENESIS_TIME + 250 * BLOCK_TIME
+      });
+      expect(provider.getBalance).toHaveBeenCalledWith(OWNER, 250);
+    });
+
+    it('should read the balance at a block', async () => {
+      const snapshot = await adapter.getBalanceAt(OWNER, { blockNumber: 42 });
+
+      expect(snapshot.balance.toString()).toBe('42000');
+      expect(snapshot.timestamp).toBe(GENESIS_TIME + 42 * BLOCK_TIME);
+    });
+
+    it('should reject blocks that do not exist', async () => {
+      await expect(adapter.getBalanceAt(OWNER, { blockNumber: LATEST_BLOCK + 1 })).rejects.toThrow('Block 1001 not found');
+      await expect(adapter.getBalanceAt(OWNER, { blockNumber: -1 })).rejects.toThrow('Invalid block number');
+    });
+
+    it('should explain failures of nodes without historical state', async () => {
+      provider.getBalance.mockRejectedValueOnce(new Error('missing trie node'));
+
+      await expect(adapter.getBalanceAt(OWNER, { blockNumber: 10 }))
+        .rejects.toThrow('Failed to get balance at block 10 (historical balances need an archive node): missing trie node');
+    });
+
+    it('should reject invalid addresses', async () => {
+      await expect(adapter.getBalanceAt('not-an-address', { blockNumber: 10 })).rejects.toThrow('Invalid Ethereum address');
+    });
+  });
+
+  describe('getTokenBalanceAt', () => {
+    it('should call balanceOf at the snapshot block', async () => {
+      const snapshot = await adapter.getTokenBalanceAt(OWNER, TOKEN, { blockNumber: 99 });
+
+      expect(snapshot.balance.toString()).toBe('42');
+      expect(snapshot.blockNumber).toBe(99);
+      expect(provider.call).toHaveBeenCalledWith({
+        to: TOKEN,
+        data: new ethers.utils.Interface(['function balanceOf(address owner) view returns (uint256)'])
+          .encodeFunctionData('balanceOf', [OWNER])
+      }, 99);
+    });
+  });
+});
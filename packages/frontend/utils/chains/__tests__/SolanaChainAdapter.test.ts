@@ -0,0 +1,284 @@
+/**
+ * @jest-environment node
+ */
+/**
+ * Solana Chain Adapter Tests
+ *
+ * Runs the adapter against a local mock JSON-RPC server so balances and
+ * history go through the real @solana/web3.js Connection.
+ */
+import { BigNumber } from 'ethers';
+import { Keypair } from '@solana/web3.js';
+import bs58 from 'bs58';
+import nacl from 'tweetnacl';
+import { SolanaChainAdapter, SPL_TOKEN_PROGRAM_IDS } from '../SolanaChainAdapter';
+import { ConnectionStatus } from '../ChainAdapter';
+import { ChainAdapterRegistry, ChainType } from '../ChainAdapterRegistry';
+import { TransactionHistoryProcessor } from '../../../services/TransactionHistoryProcessor';
+import { startMockSolanaRpc, MockSolanaRpc } from './helpers/mockSolanaRpc';
+
+const randomSignature = () => bs58.encode(nacl.randomBytes(64));
+
+// Phantom-like injected provider backed by a local keypair
+const createWalletProvider = (keypair: Keypair) => ({
+  publicKey: keypair.publicKey,
+  isConnected: false,
+  connect: jest.fn().mockImplementation(async () => ({ publicKey: keypair.publicKey })),
+  disconnect: jest.fn().mockResolvedValue(undefined),
+  signMessage: jest.fn().mockImplementation(async (message: Uint8Array) => ({
+    signature: nacl.sign.detached(message, keypair.secretKey),
+    publicKey: keypair.publicKey
+  })),
+  on: jest.fn(),
+  removeListener: jest.fn()
+});
+
+describe('SolanaChainAdapter', () => {
+  let rpc: MockSolanaRpc;
+  let adapter: SolanaChainAdapter;
+  const owner = Keypair.generate().publicKey.toBase58();
+  const counterparty = Keypair.generate().publicKey.toBase58();
+
+  beforeEach(async () => {
+    rpc = await startMockSolanaRpc();
+    adapter = new SolanaChainAdapter(999, { rpcUrl: rpc.url });
+  });
+
+  afterEach(async () => {
+    await rpc.close();
+  });
+
+  describe('validateAddress', () => {
+    it('should accept base58 encoded public keys', () => {
+      expect(adapter.validateAddress(owner)).toBe(true);
+      expect(adapter.validateAddress('11111111111111111111111111111111')).toBe(true);
+    });
+
+    it('should reject malformed addresses', () => {
+      expect(adapter.validateAddress('0x1234567890123456789012345678901234567890')).toBe(false);
+      expect(adapter.validateAddress('O'.repeat(44))).toBe(false);
+      expect(adapter.validateAddress(bs58.encode(nacl.randomBytes(31)))).toBe(false);
+    });
+  });
+
+  describe('getBalance', () => {
+    it('should return the SOL balance in lamports', async () => {
+      rpc.state.balances[owner] = 2500000000;
+
+      const balance = await adapter.getBalance(owner);
+
+      expect(balance.toString()).toBe('2500000000');
+    });
+
+    it('should reject invalid addresses before calling the RPC', async () => {
+      await expect(adapter.getBalance('not-an-address')).rejects.toThrow('Invalid Solana address');
+      expect(rpc.requests).toHaveLength(0);
+    });
+  });
+
+  describe('getBalanceAt', () => {
+    beforeEach(() => {
+      rpc.addTransfer({ signature: 'deposit', slot: 900, blockTime: 1700000000, from: counterparty, to: owner, lamports: 3000000000 });
+      rpc.addTransfer({ signature: 'payment', slot: 950, blockTime: 1700000500, from: owner, to: counterparty, lamports: 1000000000 });
+    });
+
+    it('should read the balance after the last transaction before a slot', async () => {
+      const snapshot = await adapter.getBalanceAt(owner, { blockNumber: 920 });
+
+      expect(snapshot.balance.toString()).toBe('4000000000');
+      expect(snapshot.blockNumber).toBe(900);
+      expect(snapshot.timestamp).toBe(1700000000);
+    });
+
+    it('should read the balance after the last transaction before a date', async () => {
+      const snapshot = await adapter.getBalanceAt(owner, { timestamp: 1700000600 });
+
+      // Sent 1 SOL and paid the fee
+      expect(snapshot.balance.toString()).toBe('8999995000');
+      expect(snapshot.blockNumber).toBe(950);
+    });
+
+    it('should report an empty balance before the first transaction', async () => {
+      const snapshot = await adapter.getBalanceAt(owner, { blockNumber: 100 });
+
+      expect(snapshot).toEqual({ balance: BigNumber.from(0), blockNumber: 0, timestamp: 0 });
+      expect(rpc.requests.map(request => request.method)).not.toContain('getTransaction');
+    });
+  });
+
+  describe('getTokenBalances', () => {
+    it('should aggregate SPL token accounts per mint across token programs', async () => {
+      const usdc = Keypair.generate().publicKey.toBase58();
+      const pyusd = Keypair.generate().publicKey.toBase58();
+      const empty = Keypair.generate().publicKey.toBase58();
+
+      rpc.state.tokenAccounts[owner] = [
+        { pubkey: Keypair.generate().publicKey.toBase58(), mint: usdc, amount: '1500000', decimals: 6, programId: SPL_TOKEN_PROGRAM_IDS[0] },
+        { pubkey: Keypair.generate().publicKey.toBase58(), mint: usdc, amount: '500000', decimals: 6, programId: SPL_TOKEN_PROGRAM_IDS[0] },
+        { pubkey: Keypair.generate().publicKey.toBase58(), mint: empty, amount: '0', decimals: 9, programId: SPL_TOKEN_PROGRAM_IDS[0] },
+        { pubkey: Keypair.generate().publicKey.toBase58(), mint: pyusd, amount: '42000000', decimals: 6, programId: SPL_TOKEN_PROGRAM_IDS[1] }
+      ];
+
+      const balances = await adapter.getTokenBalances(owner);
+
+      expect(balances).toHaveLength(2);
+      expect(balances.find(token => token.mint === usdc)).toMatchObject({ decimals: 6 });
+      expect(balances.find(token => token.mint === usdc)!.amount.toString()).toBe('2000000');
+      expect(balances.find(token => token.mint === usdc)!.accounts).toHaveLength(2);
+      expect((await adapter.getTokenBalance(owner, pyusd)).toString()).toBe('42000000');
+      expect((await adapter.getTokenBalance(owner, empty)).toString()).toBe('0');
+    });
+  });
+
+  describe('getTransactions', () => {
+    it('should map SOL transfers onto the common transaction format', async () => {
+      const incoming = randomSignature();
+      const outgoing = randomSignature();
+      rpc.addTransfer({ signature: incoming, slot: 900, blockTime: 1700000000, from: counterparty, to: owner, lamports: 3000000000 });
+      rpc.addTransfer({ signature: outgoing, slot: 950, blockTime: 1700000500, from: owner, to: counterparty, lamports: 1000000000 });
+
+      const transactions = await adapter.getTransactions(owner);
+
+      expect(transactions).toEqual([
+        {
+          hash: outgoing,
+          from: owner,
+          to: counterparty,
+          value: '1000000000',
+          timestamp: 1700000500,
+          blockNumber: 950,
+          confirmations: 50,
+          status: 'success'
+        },
+        {
+          hash: incoming,
+          from: counterparty,
+          to: owner,
+          value: '3000000000',
+          timestamp: 1700000000,
+          blockNumber: 900,
+          confirmations: 100,
+          status: 'success'
+        }
+      ]);
+    });
+
+    it('should report failed transactions', async () => {
+      const signature = randomSignature();
+      rpc.addTransfer({ signature, slot: 990, blockTime: 1700000000, from: owner, to: counterparty, lamports: 5, failed: true });
+
+      const [transaction] = await adapter.getTransactions(owner);
+
+      expect(transaction.status).toBe('failed');
+      expect(transaction.value).toBe('0');
+    });
+
+    it('should page through signatures to honour offset and limit', async () => {
+      // Five transfers followed by a full page of newer, unrelated signatures
+      for (let i = 0; i < 5; i++) {
+        rpc.addTransfer({ signature: `old-${i}`, slot: 10 - i, blockTime: 1600000000 - i, from: counterparty, to: owner, lamports: 100 + i });
+      }
+      for (let i = 0; i < 1000; i++) {
+        rpc.state.signatures[owner].unshift({ signature: `new-${999 - i}`, slot: 1000 + i, blockTime: 1700000000 + i });
+      }
+
+      const transactions = await adapter.getTransactions(owner, { offset: 1000, limit: 5 });
+
+      expect(transactions.map(tx => tx.hash)).toEqual(['old-0', 'old-1', 'old-2', 'old-3', 'old-4']);
+      const pages = rpc.requests.filter(request => request.method === 'getSignaturesForAddress');
+      expect(pages).toHaveLength(2);
+      expect(pages[1].params[1].before).toBe('new-999');
+    });
+
+    it('should restrict history to the requested slot range and minimum value', async () => {
+      rpc.addTransfer({ signature: 'late', slot: 980, blockTime: 1700000300, from: counterparty, to: owner, lamports: 50 });
+      rpc.addTransfer({ signature: 'small', slot: 960, blockTime: 1700000200, from: counterparty, to: owner, lamports: 10 });
+      rpc.addTransfer({ signature: 'large', slot: 950, blockTime: 1700000100, from: counterparty, to: owner, lamports: 500 });
+      rpc.addTransfer({ signature: 'early', slot: 900, blockTime: 1700000000, from: counterparty, to: owner, lamports: 500 });
+
+      const transactions = await adapter.getTransactions(owner, {
+        startBlock: 940,
+        endBlock: 970,
+        minValue: BigNumber.from(100)
+      });
+
+      expect(transactions.map(tx => tx.hash)).toEqual(['large']);
+    });
+  });
+
+  describe('TransactionHistoryProcessor integration', () => {
+    it('should normalize Solana history for proof generation', async () => {
+      rpc.addTransfer({ signature: 'deposit', slot: 900, blockTime: 1700000000, from: counterparty, to: owner, lamports: 7000000000 });
+
+      const registry = {
+        getAdapterById: () => adapter,
+        getChainTypeById: () => ChainType.SOLANA,
+        getAllChainIds: () => [999]
+      } as unknown as ChainAdapterRegistry;
+      const processor = new TransactionHistoryProcessor(registry);
+
+      const [transaction] = await processor.getAllChainTransactions(owner, { includeOutgoing: false });
+
+      expect(transaction).toMatchObject({
+        id: '999-deposit',
+        chainId: 999,
+        chainType: ChainType.SOLANA,
+        from: counterparty,
+        to: owner
+      });
+      expect(transaction.value.toString()).toBe('7000000000');
+    });
+  });
+
+  describe('message signing', () => {
+    it('should sign with the connected wallet and recover the signer', async () => {
+      const keypair = Keypair.generate();
+      const provider = createWalletProvider(keypair);
+
+      const address = await adapter.connect({ provider });
+      const signature = await adapter.signMessage('I own these funds');
+
+      expect(address).toBe(keypair.publicKey.toBase58());
+      expect(adapter.getConnectionStatus()).toBe(ConnectionStatus.CONNECTED);
+      expect(adapter.getAddressFromSignature('I own these funds', signature)).toBe(address);
+    });
+
+    it('should verify plain ed25519 signatures against the connected wallet', async () => {
+      const keypair = Keypair.generate();
+      await adapter.connect({ provider: createWalletProvider(keypair) });
+
+      const message = 'Plain signature';
+      const signature = bs58.encode(nacl.sign.detached(new TextEncoder().encode(message), keypair.secretKey));
+
+      expect(adapter.getAddressFromSignature(message, signature)).toBe(keypair.publicKey.toBase58());
+    });
+
+    it('should reject signatures over a different message', async () => {
+      await adapter.connect({ provider: createWalletProvider(Keypair.generate()) });
+      const signature = await adapter.signMessage('original');
+
+      expect(() => adapter.getAddressFromSignature('tampered', signature))
+        .toThrow('signature verification failed');
+    });
+
+    it('should refuse to sign without a connected wallet', async () => {
+      await expect(adapter.signMessage('hello')).rejects.toThrow('Wallet not connected');
+    });
+
+    it('should fail to connect when no wallet is available', async () => {
+      await expect(adapter.connect()).rejects.toThrow('No Solana wallet detected');
+      expect(adapter.getConnectionStatus()).toBe(ConnectionStatus.ERROR);
+    });
+
+    it('should clear the wallet on disconnect', async () => {
+      const provider = createWalletProvider(Keypair.generate());
+      await adapter.connect({ provider });
+
+      await adapter.disconnect();
+
+      expect(adapter.getConnectionStatus()).toBe(ConnectionStatus.DISCONNECTED);
+      expect(provider.removeListener).toHaveBeenCalledWith('disconnect', expect.any(Function));
+      await expect(adapter.signMessage('hello')).rejects.toThrow('Wallet not connected');
+    });
+  });
+});
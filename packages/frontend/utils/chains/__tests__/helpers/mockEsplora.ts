@@ -0,0 +1,168 @@
+/**
+ * Local mock Esplora server for adapter tests
+ *
+ * Serves the REST endpoints the BitcoinChainAdapter uses from in-memory
+ * fixtures, so tests exercise the real HttpEsploraClient without touching a
+ * public indexer.
+ */
+import http from 'http';
+import { AddressInfo } from 'net';
+import { EsploraTransaction, EsploraUtxo, ESPLORA_PAGE_SIZE } from '../../EsploraClient';
+
+export interface MockTransfer {
+  txid: string;
+  height?: number;      // Omit for mempool transactions
+  blockTime?: number;
+  from: string;
+  to: string;
+  value: number;
+  change?: number;
+  fee?: number;
+}
+
+export interface MockEsploraState {
+  tipHeight: number;
+  utxos: Record<string, EsploraUtxo[]>;
+  transactions: Record<string, EsploraTransaction[]>;  // Newest first, per address
+  tooManyUtxos: string[];                               // Addresses whose UTXO listing is refused
+}
+
+export interface MockEsplora {
+  url: string;
+  state: MockEsploraState;
+  requests: string[];
+  addUtxo(address: string, value: number, height?: number): void;
+  addTransfer(transfer: MockTransfer): void;
+  close(): Promise<void>;
+}
+
+const randomTxId = () => Array.from({ length: 64 }, () => Math.floor(Math.random() * 16).toString(16)).join('');
+
+const statusFor = (height?: number, blockTime?: number) => (height === undefined
+  ? { confirmed: false }
+  : { confirmed: true, block_height: height, block_hash: randomTxId(), block_time: blockTime || 1700000000 });
+
+/**
+ * Start a mock Esplora server on a random local port
+ */
+export async function startMockEsplora(initial: Partial<MockEsploraState> = {}): Promise<MockEsplora> {
+  const state: MockEsploraState = {
+    tipHeight: 850000,
+    utxos: {},
+    transactions: {},
+    tooManyUtxos: [],
+    ...initial
+  };
+  const requests: string[] = [];
+
+  const sumStats = (address: string, confirmed: boolean) => {
+    const stats = { funded_txo_count: 0, funded_txo_sum: 0, spent_txo_count: 0, spent_txo_sum: 0, tx_count: 0 };
+    for (const tx of state.transactions[address] || []) {
+      if (tx.status.confirmed !== confirmed) {
+        continue;
+      }
+      stats.tx_count++;
+      for (const output of tx.vout.filter(o => o.scriptpubkey_address === address)) {
+        stats.funded_txo_count++;
+        stats.funded_txo_sum += output.value;
+      }
+      for (const input of tx.vin.filter(i => i.prevout?.scriptpubkey_address === address)) {
+        stats.spent_txo_count++;
+        stats.spent_txo_sum += input.prevout!.value;
+      }
+    }
+    return stats;
+  };
+
+  const route = (path: string): { status: number; body: any } => {
+    let match: RegExpMatchArray | null;
+
+    if (path === '/blocks/tip/height') {
+      return { status: 200, body: String(state.tipHeight) };
+    }
+
+    if ((match = path.match(/^\/address\/([^/]+)\/utxo$/))) {
+      if (state.tooManyUtxos.includes(match[1])) {
+        return { status: 400, body: 'Too many history entries' };
+      }
+      return { status: 200, body: state.utxos[match[1]] || [] };
+    }
+
+    if ((match = path.match(/^\/address\/([^/]+)\/txs(?:\/chain\/([0-9a-f]+))?$/))) {
+      const history = state.transactions[match[1]] || [];
+      const confirmed = history.filter(tx => tx.status.confirmed);
+
+      if (match[2]) {
+        const index = confirmed.findIndex(tx => tx.txid === match![2]);
+        return { status: 200, body: index === -1 ? [] : confirmed.slice(index + 1, index + 1 + ESPLORA_PAGE_SIZE) };
+      }
+
+      const mempool = history.filter(tx => !tx.status.confirmed).slice(0, 50);
+      return { status: 200, body: [...mempool, ...confirmed.slice(0, ESPLORA_PAGE_SIZE)] };
+    }
+
+    if ((match = path.match(/^\/address\/([^/]+)$/))) {
+      return {
+        status: 200,
+        body: { address: match[1], chain_stats: sumStats(match[1], true), mempool_stats: sumStats(match[1], false) }
+      };
+    }
+
+    return { status: 404, body: 'Not found' };
+  };
+
+  const server = http.createServer((req, res) => {
+    const path = decodeURIComponent(new URL(req.url || '/', 'http://localhost').pathname);
+    requests.push(path);
+
+    const { status, body } = route(path);
+    if (typeof body === 'string') {
+      res.writeHead(status, { 'Content-Type': 'text/plain' });
+      res.end(body);
+    } else {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    }
+  });
+
+  await new Promise<void>(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address() as AddressInfo;
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    state,
+    requests,
+    addUtxo(address: string, value: number, height?: number) {
+      const list = state.utxos[address] || (state.utxos[address] = []);
+      list.push({ txid: randomTxId(), vout: 0, value, status: statusFor(height) });
+    },
+    addTransfer(transfer: MockTransfer) {
+      const fee = transfer.fee ?? 1000;
+      const change = transfer.change ?? 0;
+      const tx: EsploraTransaction = {
+        txid: transfer.txid,
+        vin: [{
+          txid: randomTxId(),
+          vout: 0,
+          is_coinbase: false,
+          prevout: { scriptpubkey_address: transfer.from, value: transfer.value + change + fee }
+        }],
+        vout: [
+          { scriptpubkey_address: transfer.to, value: transfer.value },
+          ...(change ? [{ scriptpubkey_address: transfer.from, value: change }] : [])
+        ],
+        fee,
+        status: statusFor(transfer.height, transfer.blockTime)
+      };
+
+      // Mempool first, then newest block first, as returned by the indexer
+      for (const address of [transfer.from, transfer.to]) {
+        const list = state.transactions[address] || (state.transactions[address] = []);
+        list.push(tx);
+        list.sort((a, b) =>
+          (b.status.block_height ?? Number.MAX_SAFE_INTEGER) - (a.status.block_height ?? Number.MAX_SAFE_INTEGER));
+      }
+    },
+    close: () => new Promise<void>((resolve, reject) => server.close(error => (error ? reject(error) : resolve())))
+  };
+}
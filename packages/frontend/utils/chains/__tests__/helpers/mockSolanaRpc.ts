@@ -0,0 +1,235 @@
+/**
+ * Local mock Solana JSON-RPC server for adapter tests
+ *
+ * Serves the handful of RPC methods the SolanaChainAdapter uses from in-memory
+ * fixtures, including batched requests, so tests exercise the real
+ * @solana/web3.js Connection without touching a public cluster.
+ */
+import http from 'http';
+import { AddressInfo } from 'net';
+
+export const SYSTEM_PROGRAM_ID = '11111111111111111111111111111111';
+
+export interface MockSignature {
+  signature: string;
+  slot: number;
+  blockTime: number;
+  err?: any;
+  confirmationStatus?: 'processed' | 'confirmed' | 'finalized';
+}
+
+export interface MockTokenAccount {
+  pubkey: string;
+  mint: string;
+  amount: string;
+  decimals: number;
+  programId: string;
+}
+
+export interface MockTransfer {
+  signature: string;
+  slot: number;
+  blockTime: number;
+  from: string;
+  to: string;
+  lamports: number;
+  fee?: number;
+  failed?: boolean;
+}
+
+export interface MockSolanaState {
+  slot: number;
+  balances: Record<string, number>;
+  tokenAccounts: Record<string, MockTokenAccount[]>;
+  signatures: Record<string, MockSignature[]>;
+  transactions: Record<string, any>;
+}
+
+export interface MockSolanaRpc {
+  url: string;
+  state: MockSolanaState;
+  requests: Array<{ method: string; params: any[] }>;
+  addTransfer(transfer: MockTransfer): void;
+  close(): Promise<void>;
+}
+
+/**
+ * Build a jsonParsed getTransaction result for a SOL transfer
+ */
+const buildTransfer = (transfer: MockTransfer) => {
+  const fee = transfer.fee ?? 5000;
+  const debit = transfer.failed ? fee : transfer.lamports + fee;
+  const credit = transfer.failed ? 0 : transfer.lamports;
+
+  return {
+    slot: transfer.slot,
+    blockTime: transfer.blockTime,
+    version: 'legacy',
+    transaction: {
+      signatures: [transfer.signature],
+      message: {
+        accountKeys: [
+          { pubkey: transfer.from, signer: true, writable: true, source: 'transaction' },
+          { pubkey: transfer.to, signer: false, writable: true, source: 'transaction' },
+          { pubkey: SYSTEM_PROGRAM_ID, signer: false, writable: false, source: 'transaction' }
+        ],
+        instructions: [{
+          program: 'system',
+          programId: SYSTEM_PROGRAM_ID,
+          parsed: {
+            type: 'transfer',
+            info: { source: transfer.from, destination: transfer.to, lamports: transfer.lamports }
+          },
+          stackHeight: null
+        }],
+        recentBlockhash: 'EkSnNWid2cvwEVnVx9aBqawnmiCNiDgp3gUdkDPTKN1N'
+      }
+    },
+    meta: {
+      err: transfer.failed ? { InstructionError: [0, 'Custom'] } : null,
+      fee,
+      preBalances: [10_000_000_000, 1_000_000_000, 1],
+      postBalances: [10_000_000_000 - debit, 1_000_000_000 + credit, 1],
+      innerInstructions: [],
+      logMessages: [],
+      preTokenBalances: [],
+      postTokenBalances: [],
+      status: transfer.failed ? { Err: { InstructionError: [0, 'Custom'] } } : { Ok: null }
+    }
+  };
+};
+
+/**
+ * Start a mock RPC server on a random local port
+ */
+export async function startMockSolanaRpc(initial: Partial<MockSolanaState> = {}): Promise<MockSolanaRpc> {
+  const state: MockSolanaState = {
+    slot: 1000,
+    balances: {},
+    tokenAccounts: {},
+    signatures: {},
+    transactions: {},
+    ...initial
+  };
+  const requests: Array<{ method: string; params: any[] }> = [];
+
+  const context = () => ({ apiVersion: '1.18.0', slot: state.slot });
+
+  const handle = (method: string, params: any[] = []): any => {
+    requests.push({ method, params });
+
+    switch (method) {
+      case 'getBalance':
+        return { context: context(), value: state.balances[params[0]] || 0 };
+
+      case 'getSlot':
+        return state.slot;
+
+      case 'getTokenAccountsByOwner': {
+        const [owner, filter] = params;
+        const accounts = (state.tokenAccounts[owner] || []).filter(account => account.programId === filter.programId);
+        return {
+          context: context(),
+          value: accounts.map(account => ({
+            pubkey: account.pubkey,
+            account: {
+              executable: false,
+              lamports: 2039280,
+              owner: account.programId,
+              rentEpoch: 0,
+              space: 165,
+              data: {
+                program: 'spl-token',
+                space: 165,
+                parsed: {
+                  type: 'account',
+                  info: {
+                    isNative: false,
+                    mint: account.mint,
+                    owner,
+                    state: 'initialized',
+                    tokenAmount: {
+                      amount: account.amount,
+                      decimals: account.decimals,
+                      uiAmount: Number(account.amount) / 10 ** account.decimals,
+                      uiAmountString: (Number(account.amount) / 10 ** account.decimals).toString()
+                    }
+                  }
+                }
+              }
+            }
+          }))
+        };
+      }
+
+      case 'getSignaturesForAddress': {
+        const [address, options = {}] = params;
+        let signatures = state.signatures[address] || [];
+
+        if (options.before) {
+          const index = signatures.findIndex(info => info.signature === options.before);
+          signatures = index === -1 ? [] : signatures.slice(index + 1);
+        }
+
+        return signatures.slice(0, options.limit || 1000).map(info => ({
+          signature: info.signature,
+          slot: info.slot,
+          err: info.err || null,
+          memo: null,
+          blockTime: info.blockTime,
+          confirmationStatus: info.confirmationStatus || 'finalized'
+        }));
+      }
+
+      case 'getTransaction':
+        return state.transactions[params[0]] || null;
+
+      default:
+        throw new Error(`Method not supported by mock RPC: ${method}`);
+    }
+  };
+
+  const respond = (request: any) => {
+    try {
+      return { jsonrpc: '2.0', id: request.id, result: handle(request.method, request.params) };
+    } catch (error) {
+      return { jsonrpc: '2.0', id: request.id, error: { code: -32601, message: error.message } };
+    }
+  };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const payload = JSON.parse(body);
+      const response = Array.isArray(payload) ? payload.map(respond) : respond(payload);
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(response));
+    });
+  });
+
+  await new Promise<void>(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address() as AddressInfo;
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    state,
+    requests,
+    addTransfer(transfer: MockTransfer) {
+      state.transactions[transfer.signature] = buildTransfer(transfer);
+
+      // Newest first, as returned by the cluster
+      for (const address of [transfer.from, transfer.to]) {
+        const list = state.signatures[address] || (state.signatures[address] = []);
+        list.push({
+          signature: transfer.signature,
+          slot: transfer.slot,
+          blockTime: transfer.blockTime,
+          err: transfer.failed ? { InstructionError: [0, 'Custom'] } : null
+        });
+        list.sort((a, b) => b.slot - a.slot);
+      }
+    },
+    close: () => new Promise<void>((resolve, reject) => server.close(error => (error ? reject(error) : resolve())))
+  };
+}
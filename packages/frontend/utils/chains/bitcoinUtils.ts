@@ -0,0 +1,535 @@
+/**
+ * Bitcoin Address and Message Signature Utilities
+ *
+ * Decodes legacy (P2PKH/P2SH), segwit (P2WPKH/P2WSH) and taproot (P2TR)
+ * addresses and verifies signed messages in both formats wallets produce:
+ *
+ * - BIP-137 compact signatures ("Bitcoin Signed Message"), which allow the
+ *   signing public key to be recovered and are what most legacy wallets emit
+ * - BIP-322 "simple" signatures, a serialized witness stack that spends a
+ *   virtual transaction committing to the message; this is the only format
+ *   taproot wallets can produce
+ */
+import { secp256k1, schnorr } from '@noble/curves/secp256k1';
+import { sha256 } from '@noble/hashes/sha256';
+import { ripemd160 } from '@noble/hashes/ripemd160';
+import { concatBytes, utf8ToBytes } from '@noble/hashes/utils';
+import { base64, bech32, bech32m, createBase58check } from '@scure/base';
+
+const base58check = createBase58check(sha256);
+
+export type BitcoinAddressType = 'p2pkh' | 'p2sh' | 'p2wpkh' | 'p2wsh' | 'p2tr';
+
+/**
+ * Address encoding parameters of a Bitcoin network
+ */
+export interface BitcoinNetworkParams {
+  bech32: string;
+  pubKeyHash: number;
+  scriptHash: number;
+}
+
+export const BITCOIN_MAINNET: BitcoinNetworkParams = { bech32: 'bc', pubKeyHash: 0x00, scriptHash: 0x05 };
+export const BITCOIN_TESTNET: BitcoinNetworkParams = { bech32: 'tb', pubKeyHash: 0x6f, scriptHash: 0xc4 };
+
+/**
+ * A decoded Bitcoin address
+ */
+export interface DecodedAddress {
+  type: BitcoinAddressType;
+  hash: Uint8Array;         // Public key hash, script hash or witness program
+  scriptPubKey: Uint8Array;
+}
+
+// Script opcodes used by standard output scripts
+const OP_0 = 0x00;
+const OP_1 = 0x51;
+const OP_RETURN = 0x6a;
+const OP_DUP = 0x76;
+const OP_EQUAL = 0x87;
+const OP_EQUALVERIFY = 0x88;
+const OP_HASH160 = 0xa9;
+const OP_CHECKSIG = 0xac;
+
+const SIGHASH_DEFAULT = 0x00;
+const SIGHASH_ALL = 0x01;
+
+const BIP137_MAGIC = '\x18Bitcoin Signed Message:\n';
+
+export const hash160 = (data: Uint8Array): Uint8Array => ripemd160(sha256(data));
+
+const hash256 = (data: Uint8Array): Uint8Array => sha256(sha256(data));
+
+const taggedHash = (tag: string, ...messages: Uint8Array[]): Uint8Array => {
+  const tagHash = sha256(utf8ToBytes(tag));
+  return sha256(concatBytes(tagHash, tagHash, ...messages));
+};
+
+const uint32LE = (value: number): Uint8Array => {
+  const bytes = new Uint8Array(4);
+  new DataView(bytes.buffer).setUint32(0, value, true);
+  return bytes;
+};
+
+const uint64LE = (value: number): Uint8Array => {
+  const bytes = new Uint8Array(8);
+  new DataView(bytes.buffer).setBigUint64(0, BigInt(value), true);
+  return bytes;
+};
+
+const varInt = (value: number): Uint8Array => {
+  if (value < 0xfd) {
+    return new Uint8Array([value]);
+  }
+  if (value <= 0xffff) {
+    return new Uint8Array([0xfd, value & 0xff, value >> 8]);
+  }
+  return concatBytes(new Uint8Array([0xfe]), uint32LE(value));
+};
+
+const varSlice = (data: Uint8Array): Uint8Array => concatBytes(varInt(data.length), data);
+
+const bytesEqual = (a: Uint8Array, b: Uint8Array): boolean =>
+  a.length === b.length && a.every((byte, i) => byte === b[i]);
+
+/**
+ * Build the output script for an address type and hash
+ */
+const toScriptPubKey = (type: BitcoinAddressType, hash: Uint8Array): Uint8Array => {
+  switch (type) {
+    case 'p2pkh':
+      return concatBytes(new Uint8Array([OP_DUP, OP_HASH160, 20]), hash, new Uint8Array([OP_EQUALVERIFY, OP_CHECKSIG]));
+    case 'p2sh':
+      return concatBytes(new Uint8Array([OP_HASH160, 20]), hash, new Uint8Array([OP_EQUAL]));
+    case 'p2wpkh':
+    case 'p2wsh':
+      return concatBytes(new Uint8Array([OP_0, hash.length]), hash);
+    case 'p2tr':
+      return concatBytes(new Uint8Array([OP_1, hash.length]), hash);
+  }
+};
+
+/**
+ * Decode an address into its type, hash and output script
+ * @param address The address to decode
+ * @param network Address encoding parameters of the expected network
+ * @returns The decoded address
+ * @throws If the address is malformed or belongs to another network
+ */
+export function decodeAddress(address: string, network: BitcoinNetworkParams = BITCOIN_MAINNET): DecodedAddress {
+  if (typeof address !== 'string' || address.length === 0) {
+    throw new Error('Invalid Bitcoin address');
+  }
+
+  if (address.toLowerCase().startsWith(`${network.bech32}1`)) {
+    if (address !== address.toLowerCase() && address !== address.toUpperCase()) {
+      throw new Error('Invalid Bitcoin address: mixed case');
+    }
+
+    const lower = address.toLowerCase() as `${string}1${string}`;
+    let decoded: { prefix: string; words: number[] };
+    let version: number;
+    try {
+      // Witness v0 uses bech32, v1+ uses bech32m (BIP-350)
+      decoded = bech32.decode(lower);
+      version = decoded.words[0];
+      if (version !== 0) {
+        throw new Error('Witness v1+ must use bech32m');
+      }
+    } catch {
+      try {
+        decoded = bech32m.decode(lower);
+      } catch {
+        throw new Error('Invalid Bitcoin address: bad checksum');
+      }
+      version = decoded.words[0];
+      if (version === 0) {
+        throw new Error('Invalid Bitcoin address: witness v0 must use bech32');
+      }
+    }
+
+    if (decoded.prefix !== network.bech32) {
+      throw new Error('Invalid Bitcoin address: wrong network');
+    }
+
+    const program = Uint8Array.from(bech32.fromWords(decoded.words.slice(1)));
+
+    if (version === 0 && program.length === 20) {
+      return { type: 'p2wpkh', hash: program, scriptPubKey: toScriptPubKey('p2wpkh', program) };
+    }
+    if (version === 0 && program.length === 32) {
+      return { type: 'p2wsh', hash: program, scriptPubKey: toScriptPubKey('p2wsh', program) };
+    }
+    if (version === 1 && program.length === 32) {
+      return { type: 'p2tr', hash: program, scriptPubKey: toScriptPubKey('p2tr', program) };
+    }
+
+    throw new Error(`Invalid Bitcoin address: unsupported witness version ${version}`);
+  }
+
+  let payload: Uint8Array;
+  try {
+    payload = base58check.decode(address);
+  } catch {
+    throw new Error('Invalid Bitcoin address: bad checksum');
+  }
+
+  if (payload.length !== 21) {
+    throw new Error('Invalid Bitcoin address: bad length');
+  }
+
+  const hash = payload.slice(1);
+  if (payload[0] === network.pubKeyHash) {
+    return { type: 'p2pkh', hash, scriptPubKey: toScriptPubKey('p2pkh', hash) };
+  }
+  if (payload[0] === network.scriptHash) {
+    return { type: 'p2sh', hash, scriptPubKey: toScriptPubKey('p2sh', hash) };
+  }
+
+  throw new Error('Invalid Bitcoin address: wrong network');
+}
+
+/**
+ * Encode an address of the given type
+ * @param type The address type
+ * @param hash The public key hash, script hash or witness program
+ * @param network Address encoding parameters
+ * @returns The encoded address
+ */
+export function encodeAddress(
+  type: BitcoinAddressType,
+  hash: Uint8Array,
+  network: BitcoinNetworkParams = BITCOIN_MAINNET
+): string {
+  switch (type) {
+    case 'p2pkh':
+      return base58check.encode(concatBytes(new Uint8Array([network.pubKeyHash]), hash));
+    case 'p2sh':
+      return base58check.encode(concatBytes(new Uint8Array([network.scriptHash]), hash));
+    case 'p2wpkh':
+    case 'p2wsh':
+      return bech32.encode(network.bech32, [0, ...bech32.toWords(hash)]);
+    case 'p2tr':
+      return bech32m.encode(network.bech32, [1, ...bech32m.toWords(hash)]);
+  }
+}
+
+/**
+ * Derive the addresses a compressed public key can spend from without scripts
+ * @param publicKey 33 byte compressed public key
+ * @param network Address encoding parameters
+ * @returns The P2PKH, nested segwit (P2SH-P2WPKH) and native segwit addresses
+ */
+export function publicKeyToAddresses(
+  publicKey: Uint8Array,
+  network: BitcoinNetworkParams = BITCOIN_MAINNET
+): { p2pkh: string; p2shP2wpkh: string; p2wpkh: string } {
+  const keyHash = hash160(publicKey);
+  const redeemScript = toScriptPubKey('p2wpkh', keyHash);
+
+  return {
+    p2pkh: encodeAddress('p2pkh', keyHash, network),
+    p2shP2wpkh: encodeAddress('p2sh', hash160(redeemScript), network),
+    p2wpkh: encodeAddress('p2wpkh', keyHash, network)
+  };
+}
+
+/**
+ * Hash a message the way BIP-137 (and Bitcoin Core's signmessage) does
+ */
+export function bip137MessageHash(message: string): Uint8Array {
+  const bytes = utf8ToBytes(message);
+  return hash256(concatBytes(utf8ToBytes(BIP137_MAGIC), varInt(bytes.length), bytes));
+}
+
+/**
+ * Recover the signer of a BIP-137 compact signature
+ * @param message The signed message
+ * @param signature Base64 encoded 65 byte signature
+ * @param network Address encoding parameters
+ * @returns The address indicated by the signature header and every address the key controls
+ * @throws If the signature is malformed or recovery fails
+ */
+export function recoverBip137Signer(
+  message: string,
+  signature: string,
+  network: BitcoinNetworkParams = BITCOIN_MAINNET
+): { address: string; candidates: string[] } {
+  const bytes = base64.decode(signature);
+  if (bytes.length !== 65) {
+    throw new Error('Invalid BIP-137 signature length');
+  }
+
+  const header = bytes[0];
+  if (header < 27 || header > 42) {
+    throw new Error('Invalid BIP-137 signature header');
+  }
+
+  const recovery = (header - 27) & 3;
+  const compressed = header >= 31;
+  const point = secp256k1.Signature.fromCompact(bytes.slice(1))
+    .addRecoveryBit(recovery)
+    .recoverPublicKey(bip137MessageHash(message));
+
+  if (!compressed) {
+    const address = encodeAddress('p2pkh', hash160(point.toRawBytes(false)), network);
+    return { address, candidates: [address] };
+  }
+
+  const addresses = publicKeyToAddresses(point.toRawBytes(true), network);
+  const candidates = [addresses.p2pkh, addresses.p2shP2wpkh, addresses.p2wpkh];
+
+  // Headers 35-38 and 39-42 mark nested and native segwit keys respectively
+  if (header >= 39) {
+    return { address: addresses.p2wpkh, candidates };
+  }
+  if (header >= 35) {
+    return { address: addresses.p2shP2wpkh, candidates };
+  }
+  return { address: addresses.p2pkh, candidates };
+}
+
+/**
+ * Hash a message the way BIP-322 does
+ */
+export function bip322MessageHash(message: string): Uint8Array {
+  return taggedHash('BIP0322-signed-message', utf8ToBytes(message));
+}
+
+/**
+ * Serialize a single-input, single-output transaction without witness data
+ */
+const serializeTransaction = (
+  prevTxId: Uint8Array,
+  prevIndex: number,
+  scriptSig: Uint8Array,
+  outputScript: Uint8Array
+): Uint8Array => concatBytes(
+  uint32LE(0),                                   // version
+  varInt(1),
+  prevTxId, uint32LE(prevIndex), varSlice(scriptSig), uint32LE(0),
+  varInt(1),
+  uint64LE(0), varSlice(outputScript),
+  uint32LE(0)                                    // locktime
+);
+
+/**
+ * Build the BIP-322 virtual transactions for a message and address script
+ * @returns The to_spend txid (internal byte order) and the to_sign output script
+ */
+const buildVirtualTransactions = (message: string, scriptPubKey: Uint8Array) => {
+  const scriptSig = concatBytes(new Uint8Array([OP_0, 32]), bip322MessageHash(message));
+  const toSpend = serializeTransaction(new Uint8Array(32), 0xffffffff, scriptSig, scriptPubKey);
+
+  return {
+    toSpendTxId: hash256(toSpend),
+    toSignOutput: new Uint8Array([OP_RETURN])
+  };
+};
+
+/**
+ * Decode a serialized witness stack
+ */
+const decodeWitness = (bytes: Uint8Array): Uint8Array[] => {
+  let offset = 0;
+  const readVarInt = (): number => {
+    const first = bytes[offset++];
+    if (first < 0xfd) {
+      return first;
+    }
+    if (first === 0xfd) {
+      const value = bytes[offset] | (bytes[offset + 1] << 8);
+      offset += 2;
+      return value;
+    }
+    throw new Error('Unsupported witness item size');
+  };
+
+  const count = readVarInt();
+  const items: Uint8Array[] = [];
+  for (let i = 0; i < count; i++) {
+    const length = readVarInt();
+    if (offset + length > bytes.length) {
+      throw new Error('Truncated witness');
+    }
+    items.push(bytes.slice(offset, offset + length));
+    offset += length;
+  }
+
+  if (offset !== bytes.length) {
+    throw new Error('Trailing bytes after witness');
+  }
+
+  return items;
+};
+
+/**
+ * Compute the BIP-143 sighash of the to_sign input for a P2WPKH spend
+ */
+const segwitV0Sighash = (toSpendTxId: Uint8Array, keyHash: Uint8Array, output: Uint8Array, sighashType: number) => {
+  const outpoint = concatBytes(toSpendTxId, uint32LE(0));
+  const scriptCode = concatBytes(
+    new Uint8Array([0x19, OP_DUP, OP_HASH160, 20]),
+    keyHash,
+    new Uint8Array([OP_EQUALVERIFY, OP_CHECKSIG])
+  );
+
+  return hash256(concatBytes(
+    uint32LE(0),
+    hash256(outpoint),
+    hash256(uint32LE(0)),
+    outpoint,
+    scriptCode,
+    uint64LE(0),
+    uint32LE(0),
+    hash256(concatBytes(uint64LE(0), varSlice(output))),
+    uint32LE(0),
+    uint32LE(sighashType)
+  ));
+};
+
+/**
+ * Compute the BIP-341 key path sighash of the to_sign input
+ */
+const taprootSighash = (toSpendTxId: Uint8Array, scriptPubKey: Uint8Array, output: Uint8Array, sighashType: number) =>
+  taggedHash('TapSighash', concatBytes(
+    new Uint8Array([0x00, sighashType]),        // epoch, hash type
+    uint32LE(0),
+    uint32LE(0),
+    sha256(concatBytes(toSpendTxId, uint32LE(0))),
+    sha256(uint64LE(0)),
+    sha256(varSlice(scriptPubKey)),
+    sha256(uint32LE(0)),
+    sha256(concatBytes(uint64LE(0), varSlice(output))),
+    new Uint8Array([0x00]),                     // spend type: key path, no annex
+    uint32LE(0)
+  ));
+
+/**
+ * Verify a BIP-322 simple signature
+ * @param address The address that allegedly signed the message (P2WPKH or P2TR)
+ * @param message The signed message
+ * @param signature Base64 encoded witness stack
+ * @param network Address encoding parameters
+ * @returns Whether the witness validly spends the address's to_spend output
+ */
+export function verifyBip322Simple(
+  address: string,
+  message: string,
+  signature: string,
+  network: BitcoinNetworkParams = BITCOIN_MAINNET
+): boolean {
+  const decoded = decodeAddress(address, network);
+  const witness = decodeWitness(base64.decode(signature));
+  const { toSpendTxId, toSignOutput } = buildVirtualTransactions(message, decoded.scriptPubKey);
+
+  if (decoded.type === 'p2wpkh') {
+    if (witness.length !== 2) {
+      return false;
+    }
+
+    const [derSignature, publicKey] = witness;
+    const sighashType = derSignature[derSignature.length - 1];
+    if (sighashType !== SIGHASH_ALL || publicKey.length !== 33 || !bytesEqual(hash160(publicKey), decoded.hash)) {
+      return false;
+    }
+
+    const sighash = segwitV0Sighash(toSpendTxId, decoded.hash, toSignOutput, sighashType);
+    const parsed = secp256k1.Signature.fromDER(derSignature.slice(0, -1));
+    return secp256k1.verify(parsed, sighash, publicKey, { lowS: false });
+  }
+
+  if (decoded.type === 'p2tr') {
+    if (witness.length !== 1 || (witness[0].length !== 64 && witness[0].length !== 65)) {
+      return false;
+    }
+
+    const [schnorrSignature] = witness;
+    const sighashType = schnorrSignature.length === 65 ? schnorrSignature[64] : SIGHASH_DEFAULT;
+    if (sighashType !== SIGHASH_DEFAULT && sighashType !== SIGHASH_ALL) {
+      return false;
+    }
+    if (schnorrSignature.length === 65 && sighashType === SIGHASH_DEFAULT) {
+      return false;
+    }
+
+    const sighash = taprootSighash(toSpendTxId, decoded.scriptPubKey, toSignOutput, sighashType);
+    return schnorr.verify(schnorrSignature.slice(0, 64), sighash, decoded.hash);
+  }
+
+  throw new Error(`BIP-322 simple signatures are not supported for ${decoded.type} addresses`);
+}
+
+/**
+ * Recover the signer of a BIP-322 simple signature from its witness
+ *
+ * Only P2WPKH witnesses carry the public key; taproot key path signatures
+ * must be checked against a known address with verifyBip322Simple.
+ * @returns The P2WPKH address whose key produced the signature
+ * @throws If the signer cannot be recovered or the signature is invalid
+ */
+export function recoverBip322Signer(
+  message: string,
+  signature: string,
+  network: BitcoinNetworkParams = BITCOIN_MAINNET
+): string {
+  const witness = decodeWitness(base64.decode(signature));
+  if (witness.length !== 2 || witness[1].length !== 33) {
+    throw new Error('Signature does not identify its signer; verify it against an address');
+  }
+
+  const address = encodeAddress('p2wpkh', hash160(witness[1]), network);
+  if (!verifyBip322Simple(address, message, signature, network)) {
+    throw new Error('signature verification failed');
+  }
+
+  return address;
+}
+
+/**
+ * Verify that a message was signed by the key controlling an address
+ *
+ * Accepts BIP-137 signatures for P2PKH and P2WPKH keys (including nested segwit)
+ * and BIP-322 simple signatures for native segwit and taproot addresses.
+ * @param address The address claiming ownership
+ * @param message The signed message
+ * @param signature Base64 encoded signature in either format
+ * @param network Address encoding parameters
+ * @returns Whether the signature proves control of the address
+ */
+export function verifyMessage(
+  address: string,
+  message: string,
+  signature: string,
+  network: BitcoinNetworkParams = BITCOIN_MAINNET
+): boolean {
+  const decoded = decodeAddress(address, network);
+
+  let bytes: Uint8Array;
+  try {
+    bytes = base64.decode(signature);
+  } catch {
+    return false;
+  }
+
+  // A 65 byte payload starting with a valid header is a BIP-137 signature;
+  // a BIP-322 witness always starts with its (small) item count
+  if (bytes.length === 65 && bytes[0] >= 27 && bytes[0] <= 42) {
+    try {
+      const { candidates } = recoverBip137Signer(message, signature, network);
+      return candidates.includes(encodeAddress(decoded.type, decoded.hash, network));
+    } catch {
+      return false;
+    }
+  }
+
+  if (decoded.type !== 'p2wpkh' && decoded.type !== 'p2tr') {
+    return false;
+  }
+
+  try {
+    return verifyBip322Simple(address, message, signature, network);
+  } catch {
+    return false;
+  }
+}
@@ -11,6 +11,7 @@ export * from './ChainAdapter';
 export * from './EVMChainAdapter';
 export * from './SolanaChainAdapter';
 export * from './BitcoinChainAdapter';
+export * from './EsploraClient';
 
 // Export registry
 export * from './ChainAdapterRegistry';
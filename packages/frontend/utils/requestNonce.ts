@@ -0,0 +1,31 @@
+/**
+ * Request Nonce Utilities
+ *
+ * The /api/zk/* routes reject requests without a fresh nonce so a captured
+ * request cannot be sent again (see lib/replayProtection.js). Every request to
+ * them carries a new nonce and its timestamp in these headers.
+ */
+
+export const REQUEST_NONCE_HEADER = 'X-Request-Nonce';
+export const REQUEST_TIMESTAMP_HEADER = 'X-Request-Timestamp';
+
+/**
+ * Generate a random nonce
+ * @returns Hex-encoded 16 random bytes
+ */
+export function generateRequestNonce(): string {
+  const bytes = new Uint8Array(16);
+  crypto.getRandomValues(bytes);
+  return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Create the headers carrying a fresh nonce for a request to an /api/zk/* route
+ * @returns Nonce and timestamp headers
+ */
+export function getRequestNonceHeaders(): Record<string, string> {
+  return {
+    [REQUEST_NONCE_HEADER]: generateRequestNonce(),
+    [REQUEST_TIMESTAMP_HEADER]: String(Date.now())
+  };
+}
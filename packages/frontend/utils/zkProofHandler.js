@@ -10,9 +10,11 @@ import {
   validateApiRequest,
   validators,
   createZkError,
-  handleApiError
+  handleApiError,
+  ZkErrorType
 } from './shims/error-handling';
 import { createProofStrategy } from './zkProofStrategies';
+import { checkRequestNonce } from '../lib/replayProtection';
 
 /**
  * Rate limiter factory function
@@ -85,8 +87,9 @@ function getValidationSchema() {
             };
           }
 
-          // Check required input fields
-          const requiredFields = ['balance', 'userAddress'];
+          // Check required input fields; inputs listing per-wallet balances
+          // are checked when their balance commitment is prepared
+          const requiredFields = Array.isArray(value.wallets) ? [] : ['balance', 'userAddress'];
           for (const field of requiredFields) {
             if (value[field] === undefined) {
               return {
@@ -108,6 +111,42 @@ function getValidationSchema() {
   };
 }
 
+/**
+ * Prepare inputs for a balance-commitment circuit (circuit version v2.0.0)
+ * The claimed wallet balances must match the balances read from the chain at
+ * the snapshot block; a mismatch is rejected with 400 and a failed read with 502.
+ * @param {Object} input - Proof input with wallets, snapshot, threshold and an optional salt
+ * @param {string} proofType - The proof type (threshold or maximum)
+ * @returns {Promise<Object>} - Circuit name and input, and the commitment values a verifier needs
+ */
+async function prepareCommitmentInputs(input, proofType) {
+  // Load on demand so that other proofs do not pull in the chain adapters
+  const { prepareCircuitInputs, getCommitmentCircuitName } = await import('@proof-of-funds/common/zk-core');
+  const { fetchSnapshotBalance } = await import('../lib/snapshotBalances');
+
+  let prepared;
+  try {
+    prepared = await prepareCircuitInputs(input, proofType, { fetchBalance: fetchSnapshotBalance });
+  } catch (error) {
+    // Failed balance reads are recoverable; anything else is a problem with the input
+    error.type = error.recoverable ? ZkErrorType.SYSTEM_ERROR : ZkErrorType.INVALID_INPUT;
+    error.status = error.recoverable ? 502 : 400;
+    throw error;
+  }
+
+  const { meta, ...circuitInput } = prepared;
+  return {
+    circuitName: getCommitmentCircuitName(proofType, meta.circuitVersion),
+    circuitVersion: meta.circuitVersion,
+    circuitInput,
+    balanceCommitment: {
+      commitment: meta.commitment,
+      snapshot: meta.snapshot,
+      salt: circuitInput.salt
+    }
+  };
+}
+
 /**
  * Create a unified ZK proof generation handler
  * @param {Object} options - Handler options
@@ -147,6 +186,11 @@ export function createZkProofHandler(options = {}) {
       return res.status(405).json({ error: 'Method not allowed' });
     }
 
+    // Reject replayed requests
+    if (!(await checkRequestNonce(req, res))) {
+      return;
+    }
+
     // Create a strategy instance
     let proofStrategy = null;
 
@@ -174,13 +218,20 @@ export function createZkProofHandler(options = {}) {
       // Initialize strategy
       await proofStrategy.initialize();
 
+      // Inputs listing per-wallet balances are proven with the balance-commitment circuits
+      const commitment = Array.isArray(input.wallets) && proofType !== 'standard'
+        ? await prepareCommitmentInputs(input, proofType)
+        : null;
+
       // Get ZK circuit paths from strategy
-      const wasmPath = await proofStrategy.getWasmPath(proofType);
-      const zkeyData = await proofStrategy.getZKeyData(proofType);
+      const wasmPath = await proofStrategy.getWasmPath(proofType, commitment?.circuitName);
+      const zkeyData = await proofStrategy.getZKeyData(proofType, commitment?.circuitName);
 
       // Standardize input for the circuit
       let circuitInput;
-      if (proofType === 'threshold') {
+      if (commitment) {
+        circuitInput = commitment.circuitInput;
+      } else if (proofType === 'threshold') {
         circuitInput = {
           totalBalance: input.balance,
           threshold: input.threshold || '0',
@@ -227,7 +278,7 @@ export function createZkProofHandler(options = {}) {
 
       // Verify the proof if requested
       if (verifyProof) {
-        const vKey = await proofStrategy.getVerificationKey(proofType);
+        const vKey = await proofStrategy.getVerificationKey(proofType, commitment?.circuitName);
         verified = await snarkjs.groth16.verify(vKey, publicSignals, proof);
       }
 
@@ -249,6 +300,12 @@ export function createZkProofHandler(options = {}) {
         response.verified = verified;
       }
 
+      // Verifiers need the snapshot and salt to check the balance commitment
+      if (commitment) {
+        response.circuitVersion = commitment.circuitVersion;
+        response.balanceCommitment = commitment.balanceCommitment;
+      }
+
       return res.status(200).json(response);
     } catch (error) {
       // Clean up strategy resources if available
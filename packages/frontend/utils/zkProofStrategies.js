@@ -24,6 +24,7 @@ export class ZkProofStrategy {
   /**
    * Get WASM file path for the given proof type
    * @param {string} proofType - The proof type (standard, threshold, maximum)
+   * @param {string} [circuitName] - Circuit to use instead of the proof type's default, e.g. thresholdProofV2
    * @returns {string} - Path to the WASM file
    */
   async getWasmPath(proofType) {
@@ -33,6 +34,7 @@ export class ZkProofStrategy {
   /**
    * Get ZKey data for the given proof type
    * @param {string} proofType - The proof type (standard, threshold, maximum)
+   * @param {string} [circuitName] - Circuit to use instead of the proof type's default, e.g. thresholdProofV2
    * @returns {Buffer|string} - ZKey data or path
    */
   async getZKeyData(proofType) {
@@ -42,6 +44,7 @@ export class ZkProofStrategy {
   /**
    * Get verification key for the given proof type
    * @param {string} proofType - The proof type (standard, threshold, maximum)
+   * @param {string} [circuitName] - Circuit to use instead of the proof type's default, e.g. thresholdProofV2
    * @returns {Object} - Verification key data
    */
   async getVerificationKey(proofType) {
@@ -60,16 +63,17 @@ export class ZkProofStrategy {
  * Strategy that uses public files from web directory
  */
 export class PublicFilesStrategy extends ZkProofStrategy {
-  async getWasmPath(proofType) {
+  async getWasmPath(proofType, circuitName) {
+    const fileName = circuitName || `${proofType}Proof`;
     const isServer = typeof window === 'undefined';
     
     // In browser environment, use relative URL for direct access
     if (!isServer) {
-      return `/lib/zk/circuits/${proofType}Proof.wasm`;
+      return `/lib/zk/circuits/${fileName}.wasm`;
     }
     
     // On server, use filesystem path
-    const wasmPath = path.resolve(process.cwd(), `public/lib/zk/circuits/${proofType}Proof.wasm`);
+    const wasmPath = path.resolve(process.cwd(), `public/lib/zk/circuits/${fileName}.wasm`);
     
     // Verify that circuit file exists
     try {
@@ -85,16 +89,17 @@ export class PublicFilesStrategy extends ZkProofStrategy {
     }
   }
 
-  async getZKeyData(proofType) {
+  async getZKeyData(proofType, circuitName) {
+    const fileName = circuitName || `${proofType}Proof`;
     const isServer = typeof window === 'undefined';
     
     // In browser environment, use relative URL for direct access
     if (!isServer) {
-      return `/lib/zk/circuits/${proofType}Proof.zkey`;
+      return `/lib/zk/circuits/${fileName}.zkey`;
     }
     
     // On server, use filesystem path
-    const zkeyPath = path.resolve(process.cwd(), `public/lib/zk/circuits/${proofType}Proof.zkey`);
+    const zkeyPath = path.resolve(process.cwd(), `public/lib/zk/circuits/${fileName}.zkey`);
     
     // Verify that circuit file exists
     try {
@@ -110,13 +115,14 @@ export class PublicFilesStrategy extends ZkProofStrategy {
     }
   }
 
-  async getVerificationKey(proofType) {
+  async getVerificationKey(proofType, circuitName) {
+    const fileName = circuitName || `${proofType}Proof`;
     const isServer = typeof window === 'undefined';
     
     // Build verification key path
     const vkeyPath = isServer
-      ? path.resolve(process.cwd(), `public/lib/zk/circuits/${proofType}Proof.vkey.json`)
-      : `/lib/zk/circuits/${proofType}Proof.vkey.json`;
+      ? path.resolve(process.cwd(), `public/lib/zk/circuits/${fileName}.vkey.json`)
+      : `/lib/zk/circuits/${fileName}.vkey.json`;
     
     try {
       // In browser environment, fetch the file
@@ -146,13 +152,14 @@ export class PublicFilesStrategy extends ZkProofStrategy {
  * Strategy that uses secure local files from circuits directory
  */
 export class SecureLocalStrategy extends ZkProofStrategy {
-  async getWasmPath(proofType) {
+  async getWasmPath(proofType, circuitName) {
+    const fileName = circuitName || `${proofType}Proof`;
     const wasmPath = path.join(
       process.cwd(), 
       'circuits', 
       proofType, 
-      `${proofType}Proof_js`,
-      `${proofType}Proof.wasm`
+      `${fileName}_js`,
+      `${fileName}.wasm`
     );
     
     // Verify that circuit file exists
@@ -167,12 +174,13 @@ export class SecureLocalStrategy extends ZkProofStrategy {
     }
   }
 
-  async getZKeyData(proofType) {
+  async getZKeyData(proofType, circuitName) {
+    const fileName = circuitName || `${proofType}Proof`;
     const zkeyPath = path.join(
       process.cwd(), 
       'circuits', 
       proofType, 
-      `${proofType}Proof.zkey`
+      `${fileName}.zkey`
     );
     
     // Verify that circuit file exists
@@ -187,12 +195,13 @@ export class SecureLocalStrategy extends ZkProofStrategy {
     }
   }
 
-  async getVerificationKey(proofType) {
+  async getVerificationKey(proofType, circuitName) {
+    const fileName = circuitName || `${proofType}Proof`;
     const vkeyPath = path.join(
       process.cwd(), 
       'circuits', 
       proofType, 
-      `${proofType}Proof.vkey.json`
+      `${fileName}.vkey.json`
     );
     
     // Verify that verification key exists
@@ -227,10 +236,11 @@ export class CloudStorageStrategy extends ZkProofStrategy {
     }
   }
 
-  async getWasmPath(proofType) {
+  async getWasmPath(proofType, circuitName) {
+    const fileName = circuitName || `${proofType}Proof`;
     // In browser environment, use relative URL for direct access
     if (!this.isServer) {
-      return `/lib/zk/circuits/${proofType}Proof.wasm`;
+      return `/lib/zk/circuits/${fileName}.wasm`;
     }
     
     // On server, check multiple paths
@@ -238,7 +248,7 @@ export class CloudStorageStrategy extends ZkProofStrategy {
     const publicPath = path.join(
       process.cwd(),
       'public/lib/zk/circuits',
-      `${proofType}Proof.wasm`
+      `${fileName}.wasm`
     );
     
     // Fallback paths in order of preference
@@ -248,29 +258,29 @@ export class CloudStorageStrategy extends ZkProofStrategy {
         process.env.PROJECT_ROOT || path.resolve(process.cwd(), '../../..'),
         'circuits',
         proofType.toLowerCase(),
-        `${proofType}Proof_js`,
-        `${proofType}Proof.wasm`
+        `${fileName}_js`,
+        `${fileName}.wasm`
       ),
       // Fallback 2: Relative path to circuit files
       path.join(
         process.cwd(),
         '../../../circuits',
         proofType.toLowerCase(),
-        `${proofType}Proof_js`,
-        `${proofType}Proof.wasm`
+        `${fileName}_js`,
+        `${fileName}.wasm`
       ),
       // Fallback 3: Try direct path in circuits directory without _js
       path.join(
         process.cwd(),
         '../../../circuits',
         proofType.toLowerCase(),
-        `${proofType}Proof.wasm`
+        `${fileName}.wasm`
       ),
       // Fallback 4: Alternative public path
       path.join(
         process.cwd(),
         'public',
-        `${proofType}Proof.wasm`
+        `${fileName}.wasm`
       )
     ];
     
@@ -298,10 +308,11 @@ export class CloudStorageStrategy extends ZkProofStrategy {
     return publicPath;
   }
 
-  async getZKeyData(proofType) {
+  async getZKeyData(proofType, circuitName) {
+    const fileName = circuitName || `${proofType}Proof`;
     // In browser environment, use public URL
     if (!this.isServer) {
-      return `/lib/zk/circuits/${proofType}Proof.zkey`;
+      return `/lib/zk/circuits/${fileName}.zkey`;
     }
     
     // On server, use storage manager
@@ -311,13 +322,13 @@ export class CloudStorageStrategy extends ZkProofStrategy {
     
     try {
       // Get the actual zkey data from cloud storage
-      return await this.storageManager.getZKey(proofType);
+      return await this.storageManager.getZKey(circuitName || proofType);
     } catch (error) {
       // Fallback to local file if cloud storage fails
       const zkeyPath = path.join(
         process.cwd(),
         'public/lib/zk/circuits',
-        `${proofType}Proof.zkey`
+        `${fileName}.zkey`
       );
       
       if (fs.existsSync(zkeyPath)) {
@@ -335,10 +346,11 @@ export class CloudStorageStrategy extends ZkProofStrategy {
     }
   }
 
-  async getVerificationKey(proofType) {
+  async getVerificationKey(proofType, circuitName) {
+    const fileName = circuitName || `${proofType}Proof`;
     // In browser environment, fetch the file
     if (!this.isServer) {
-      const vkeyUrl = `/lib/zk/circuits/${proofType}Proof.vkey.json`;
+      const vkeyUrl = `/lib/zk/circuits/${fileName}.vkey.json`;
       try {
         const response = await fetch(vkeyUrl);
         if (!response.ok) {
@@ -357,7 +369,7 @@ export class CloudStorageStrategy extends ZkProofStrategy {
     const publicPath = path.join(
       process.cwd(),
       'public/lib/zk/circuits',
-      `${proofType}Proof.vkey.json`
+      `${fileName}.vkey.json`
     );
     
     // Fallback paths in order of preference
@@ -367,20 +379,20 @@ export class CloudStorageStrategy extends ZkProofStrategy {
         process.env.PROJECT_ROOT || path.resolve(process.cwd(), '../../..'),
         'circuits',
         proofType.toLowerCase(),
-        `${proofType}Proof.vkey.json`
+        `${fileName}.vkey.json`
       ),
       // Fallback 2: Relative path to circuit files
       path.join(
         process.cwd(),
         '../../../circuits',
         proofType.toLowerCase(),
-        `${proofType}Proof.vkey.json`
+        `${fileName}.vkey.json`
       ),
       // Fallback 3: Alternative public path
       path.join(
         process.cwd(),
         'public',
-        `${proofType}Proof.vkey.json`
+        `${fileName}.vkey.json`
       )
     ];
     
@@ -403,7 +415,7 @@ export class CloudStorageStrategy extends ZkProofStrategy {
     }
     
     // If we got here, no path worked
-    throw createZkError(`Verification key file not found for ${proofType}Proof`, {
+    throw createZkError(`Verification key file not found for ${fileName}`, {
       zkErrorType: ZkErrorType.CIRCUIT_ERROR,
       details: { triedPaths: [publicPath, ...fallbackPaths] }
     });
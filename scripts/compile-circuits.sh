@@ -66,6 +66,18 @@ download_powers_of_tau() {
     fi
 }
 
+# Download the larger Powers of Tau file needed by the balance-commitment
+# circuits (more constraints than the 2^10 limit of the default file)
+download_powers_of_tau_13() {
+    if [ ! -f "$BUILD_DIR/powersOfTau28_hez_final_13.ptau" ]; then
+        echo "Downloading Powers of Tau file (2^13)..."
+        if ! curl -L -o "$BUILD_DIR/powersOfTau28_hez_final_13.ptau" https://hermez.s3-eu-west-1.amazonaws.com/powersOfTau28_hez_final_13.ptau; then
+            echo "Could not download Powers of Tau file (2^13)."
+            exit 1
+        fi
+    fi
+}
+
 # Compile circuit locally
 compile_circuit_local() {
     local CIRCUIT_NAME="$1"
@@ -96,6 +108,34 @@ compile_circuit_local() {
     echo "Successfully compiled circuit: $CIRCUIT_NAME"
 }
 
+# Compile a balance-commitment circuit (circuit version v2.0.0) locally
+# These circuits live in the root circuits directory and include circomlib's Poseidon
+compile_commitment_circuit_local() {
+    local CIRCUIT_TYPE="$1"
+    local CIRCUIT_NAME="$2"
+    echo "Compiling circuit: $CIRCUIT_NAME"
+    
+    circom "$PROJECT_ROOT/circuits/$CIRCUIT_TYPE/$CIRCUIT_NAME.circom" --r1cs --wasm -l "$PROJECT_ROOT/node_modules" --output "$BUILD_DIR"
+    
+    snarkjs groth16 setup "$BUILD_DIR/$CIRCUIT_NAME.r1cs" "$BUILD_DIR/powersOfTau28_hez_final_13.ptau" "$BUILD_DIR/${CIRCUIT_NAME}_0.zkey"
+    snarkjs zkey contribute "$BUILD_DIR/${CIRCUIT_NAME}_0.zkey" "$BUILD_DIR/$CIRCUIT_NAME.zkey" -n="First contribution" -e="random text for entropy"
+    snarkjs zkey export verificationkey "$BUILD_DIR/$CIRCUIT_NAME.zkey" "$BUILD_DIR/$CIRCUIT_NAME.vkey.json"
+    
+    cp "$BUILD_DIR/${CIRCUIT_NAME}_js/$CIRCUIT_NAME.wasm" "$CIRCUIT_DIR/$CIRCUIT_NAME.wasm"
+    cp "$BUILD_DIR/$CIRCUIT_NAME.zkey" "$CIRCUIT_DIR/$CIRCUIT_NAME.zkey"
+    cp "$BUILD_DIR/$CIRCUIT_NAME.vkey.json" "$CIRCUIT_DIR/$CIRCUIT_NAME.vkey.json"
+    
+    # Keep the circuit's build next to its source; the circuit registry reads
+    # the constraint count from the .r1cs file
+    local SOURCE_DIR="$PROJECT_ROOT/circuits/$CIRCUIT_TYPE"
+    cp "$BUILD_DIR/$CIRCUIT_NAME.r1cs" "$SOURCE_DIR/$CIRCUIT_NAME.r1cs"
+    cp "$BUILD_DIR/$CIRCUIT_NAME.zkey" "$SOURCE_DIR/$CIRCUIT_NAME.zkey"
+    cp "$BUILD_DIR/$CIRCUIT_NAME.vkey.json" "$SOURCE_DIR/$CIRCUIT_NAME.vkey.json"
+    cp -r "$BUILD_DIR/${CIRCUIT_NAME}_js" "$SOURCE_DIR/"
+    
+    echo "Successfully compiled circuit: $CIRCUIT_NAME"
+}
+
 # Compile circuits using Docker
 compile_with_docker() {
     echo "Using Docker for compilation..."
@@ -127,6 +167,15 @@ compile_with_docker() {
         cd /circuits/maximum
         circom maximumProof.circom --wasm --r1cs
         
+        # Compile the balance-commitment circuits (v2.0.0)
+        echo 'Compiling thresholdProofV2...'
+        cd /circuits/threshold
+        circom thresholdProofV2.circom --wasm --r1cs -l /node_modules
+        
+        echo 'Compiling maximumProofV2...'
+        cd /circuits/maximum
+        circom maximumProofV2.circom --wasm --r1cs -l /node_modules
+        
         echo '===== Circuit Compilation Complete ====='
     "
 }
@@ -142,6 +191,11 @@ else
     compile_circuit_local "standardProof"
     compile_circuit_local "thresholdProof"
     compile_circuit_local "maximumProof"
+    
+    # Compile the balance-commitment circuits
+    download_powers_of_tau_13
+    compile_commitment_circuit_local "threshold" "thresholdProofV2"
+    compile_commitment_circuit_local "maximum" "maximumProofV2"
 fi
 
 echo "===== ZK Circuit Compilation Script Complete ====="
\ No newline at end of file